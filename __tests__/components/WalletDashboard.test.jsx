@@ -5,15 +5,31 @@
 import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import WalletDashboard from '@/components/WalletDashboard';
+import { getTransferHistoryPage, getCachedTransferHistory, cacheTransferHistory, exportTransferHistory, getRemainingAllowance, getMnemonic, setFeeSettings } from '@/utils/stellar/index';
 
 // Mock the stellar utilities
 jest.mock('@/utils/stellar/index', () => ({
   getContractTTLs: jest.fn(),
   getTransferHistory: jest.fn(),
+  getTransferHistoryPage: jest.fn(),
+  getCachedTransferHistory: jest.fn(() => null),
+  cacheTransferHistory: jest.fn(),
+  exportTransferHistory: jest.fn(),
+  getExportFileName: jest.fn((format) => `history.${format}`),
   getMnemonic: jest.fn(),
   bumpInstanceTTL: jest.fn(),
   bumpCodeTTL: jest.fn(),
   bumpBalanceTTL: jest.fn(),
+  getRemainingAllowance: jest.fn(),
+  getXlmContractId: jest.fn(() => 'CXLM'),
+  formatAmount: jest.fn((raw, decimals) => (Number(raw) / 10 ** decimals).toString()),
+  parseBatchCsv: jest.fn((text) => text.split('\n').filter(Boolean).map((line, index) => {
+    const [destination, symbol, amount] = line.split(',');
+    return { line: index + 1, destination, symbol, amount, error: destination.startsWith('G') ? null : 'Invalid destination' };
+  })),
+  FEE_PRESETS: { low: 'p10', normal: 'p50', high: 'p90' },
+  getFeeSettings: jest.fn(() => ({ preset: 'normal', inclusionFee: null, autoBump: false })),
+  setFeeSettings: jest.fn(({ preset, inclusionFee, autoBump }) => ({ preset, inclusionFee: inclusionFee || null, autoBump: autoBump === true })),
 }));
 
 // Mock config
@@ -23,6 +39,7 @@ jest.mock('@/utils/config', () => ({
     isTestnet: true,
     stellar: {
       network: 'testnet',
+      networkLabel: 'testnet',
       explorerUrl: 'https://stellar.expert/explorer/testnet',
     },
   },
@@ -147,6 +164,1013 @@ describe('WalletDashboard', () => {
 
       expect(screen.getByText('available: 100 xlm')).toBeInTheDocument();
     });
+
+    it('sends a tracked token selected in the picker', async () => {
+      const usdc = {
+        tokenContractId: 'CUSDC...XYZ',
+        raw: 12500000n,
+        display: '1.25',
+        decimals: 7,
+        symbol: 'USDC',
+        name: 'USD Coin',
+      };
+      const onSendXLM = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} tokenBalances={[usdc]} onSendXLM={onSendXLM} />);
+
+      expect(screen.getByText('1.25 USDC')).toBeInTheDocument();
+
+      const sendLinks = screen.getAllByText('send');
+      fireEvent.click(sendLinks[1]);
+      fireEvent.change(screen.getByLabelText('token'), { target: { value: 'CUSDC...XYZ' } });
+
+      expect(screen.getByText('send usdc (contract account)')).toBeInTheDocument();
+      expect(screen.getByText('available: 1.25 usdc')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText(/destination address/), { target: { value: 'GDEST' } });
+      fireEvent.change(screen.getByLabelText('amount (usdc)'), { target: { value: '1' } });
+      fireEvent.submit(screen.getByLabelText('amount (usdc)').closest('form'));
+
+      await waitFor(() => {
+        expect(onSendXLM).toHaveBeenCalledWith('GDEST', '1', { gasless: false, token: usdc });
+      });
+    });
+  });
+
+  describe('Fees', () => {
+    it('shows what each preset bids and saves the chosen one', () => {
+      render(<WalletDashboard {...defaultProps} feeEstimates={{ low: '100', normal: '1000', high: '25000' }} />);
+
+      expect(screen.getByText('high (25000 stroops)')).toBeInTheDocument();
+      expect(screen.getByLabelText('fee')).toHaveValue('normal');
+
+      fireEvent.change(screen.getByLabelText('fee'), { target: { value: 'high' } });
+
+      expect(setFeeSettings).toHaveBeenCalledWith({ preset: 'high', inclusionFee: null, autoBump: false });
+      expect(screen.getByLabelText('fee')).toHaveValue('high');
+    });
+
+    it('saves a custom fee and disables the presets', () => {
+      render(<WalletDashboard {...defaultProps} />);
+
+      fireEvent.change(screen.getByLabelText('custom fee (stroops)'), { target: { value: '5000' } });
+      fireEvent.blur(screen.getByLabelText('custom fee (stroops)'));
+
+      expect(setFeeSettings).toHaveBeenCalledWith({ preset: 'normal', inclusionFee: '5000', autoBump: false });
+      expect(screen.getByLabelText('fee')).toBeDisabled();
+    });
+
+    it('turns fee bumps for stalled transactions on', () => {
+      render(<WalletDashboard {...defaultProps} />);
+
+      expect(screen.getByLabelText('fee-bump stalled transactions')).not.toBeChecked();
+      fireEvent.click(screen.getByLabelText('fee-bump stalled transactions'));
+
+      expect(setFeeSettings).toHaveBeenCalledWith({ preset: 'normal', inclusionFee: null, autoBump: true });
+      expect(screen.getByLabelText('fee-bump stalled transactions')).toBeChecked();
+    });
+
+    it('shows why a custom fee was not saved', () => {
+      setFeeSettings.mockImplementationOnce(() => {
+        throw new Error('Inclusion fee must be a whole number of stroops of at least 100');
+      });
+      render(<WalletDashboard {...defaultProps} />);
+
+      fireEvent.change(screen.getByLabelText('custom fee (stroops)'), { target: { value: '5' } });
+      fireEvent.blur(screen.getByLabelText('custom fee (stroops)'));
+
+      expect(screen.getByText('Inclusion fee must be a whole number of stroops of at least 100')).toBeInTheDocument();
+      expect(screen.getByLabelText('fee')).not.toBeDisabled();
+    });
+  });
+
+  describe('RPC endpoint', () => {
+    it('shows the endpoint calls go to', () => {
+      render(<WalletDashboard {...defaultProps} rpcUrl="https://soroban-testnet.stellar.org" />);
+
+      expect(screen.getByText('rpc: soroban-testnet.stellar.org')).toBeInTheDocument();
+    });
+  });
+
+  describe('Network selector', () => {
+    const networks = [
+      { id: 'testnet', label: 'testnet', available: true, active: true },
+      { id: 'mainnet', label: 'mainnet', available: false, active: false },
+      { id: 'local', label: 'local', available: true, active: false },
+    ];
+
+    it('switches to another network', () => {
+      const onSwitchNetwork = jest.fn();
+      render(<WalletDashboard {...defaultProps} networks={networks} onSwitchNetwork={onSwitchNetwork} />);
+
+      expect(screen.getByLabelText('network')).toHaveValue('testnet');
+      fireEvent.change(screen.getByLabelText('network'), { target: { value: 'local' } });
+
+      expect(onSwitchNetwork).toHaveBeenCalledWith('local');
+    });
+
+    it('lists networks that are not configured without letting them be picked', () => {
+      render(<WalletDashboard {...defaultProps} walletAddress={null} publicKey={null} networks={networks} onSwitchNetwork={jest.fn()} />);
+
+      expect(screen.getByRole('option', { name: 'mainnet (not configured)' })).toBeDisabled();
+    });
+
+    it('checks and saves a custom network', async () => {
+      const onSaveNetwork = jest.fn().mockResolvedValue('custom-1');
+      render(<WalletDashboard {...defaultProps} networks={networks} onSwitchNetwork={jest.fn()} onSaveNetwork={onSaveNetwork} />);
+
+      fireEvent.click(screen.getByText('custom networks'));
+      expect(screen.getByText('no custom networks yet.')).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText('name'), { target: { value: 'staging' } });
+      fireEvent.change(screen.getByLabelText('rpc url'), { target: { value: 'https://rpc.staging.example.com' } });
+      fireEvent.click(screen.getByText('check and save'));
+
+      await waitFor(() => expect(onSaveNetwork).toHaveBeenCalledWith(expect.objectContaining({
+        label: 'staging',
+        sorobanRpcUrl: 'https://rpc.staging.example.com',
+        accountFactoryAddress: '',
+      })));
+      await waitFor(() => expect(screen.getByLabelText('name')).toHaveValue(''));
+    });
+
+    it('shows why a custom network was not saved', async () => {
+      const onSaveNetwork = jest.fn().mockRejectedValue(new Error('Factory CABC is not deployed on this network'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      render(<WalletDashboard {...defaultProps} networks={networks} onSwitchNetwork={jest.fn()} onSaveNetwork={onSaveNetwork} />);
+
+      fireEvent.click(screen.getByText('custom networks'));
+      fireEvent.click(screen.getByText('check and save'));
+
+      expect(await screen.findByText('Factory CABC is not deployed on this network')).toBeInTheDocument();
+      console.error.mockRestore();
+    });
+
+    it('removes custom networks other than the active one', () => {
+      const onRemoveNetwork = jest.fn();
+      const withCustom = [
+        ...networks,
+        { id: 'custom-1', label: 'staging', available: true, custom: true, active: false },
+        { id: 'custom-2', label: 'fork', available: true, custom: true, active: true },
+      ];
+      render(<WalletDashboard {...defaultProps} networks={withCustom} onSwitchNetwork={jest.fn()} onSaveNetwork={jest.fn()} onRemoveNetwork={onRemoveNetwork} />);
+
+      fireEvent.click(screen.getByText('custom networks'));
+      expect(screen.getByText('fork (active)')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('remove'));
+
+      expect(onRemoveNetwork).toHaveBeenCalledWith('custom-1');
+    });
+
+    it('is hidden when there is only one network', () => {
+      render(<WalletDashboard {...defaultProps} networks={networks.slice(0, 1)} onSwitchNetwork={jest.fn()} />);
+
+      expect(screen.queryByLabelText('network')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Pending transactions', () => {
+    const hash = 'abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789';
+
+    it('lists transactions that have not settled', () => {
+      render(<WalletDashboard {...defaultProps} pendingTransactions={[{ hash, description: 'transfer', stage: 'fee-bumped' }]} />);
+
+      expect(screen.getByText(/pending: transfer \(fee-bumped\)/)).toBeInTheDocument();
+      expect(screen.getByText('abcdef01')).toHaveAttribute('href', `https://stellar.expert/explorer/testnet/tx/${hash}`);
+    });
+
+    it('reports transactions that settled while the page was closed', () => {
+      const onDismissReconciled = jest.fn();
+      render(
+        <WalletDashboard
+          {...defaultProps}
+          reconciledTransactions={[
+            { hash, description: 'transfer', status: 'confirmed', error: null },
+            { hash: hash.replace('abcdef01', '99999999'), description: 'execute', status: 'expired', error: 'Transaction expired before it was included' },
+          ]}
+          onDismissReconciled={onDismissReconciled}
+        />
+      );
+
+      expect(screen.getByText(/transfer abcdef01 confirmed while you were away/)).toBeInTheDocument();
+      expect(screen.getByText(/execute 99999999 expired while you were away: Transaction expired before it was included/)).toHaveClass('error');
+
+      fireEvent.click(screen.getByText('dismiss'));
+
+      expect(onDismissReconciled).toHaveBeenCalled();
+    });
+  });
+
+  describe('Transaction preview', () => {
+    const preview = {
+      resourceFee: 50000n,
+      inclusionFee: 10000n,
+      maxFee: 60000n,
+      instructions: 1500000,
+      instructionBump: 1000000,
+      readBytes: 1200,
+      writeBytes: 300,
+      readOnlyEntries: 3,
+      readWriteEntries: 2,
+      authEntries: [{
+        signer: 'CABCDEFGHIJKLMNOPQRSTUVWXYZ234567ABCDEFGHIJKLMNOPQRSTUVW',
+        calls: [{ depth: 0, contract: 'CXLM', functionName: 'transfer', args: ['CABCDEFGHIJKLMNOPQRSTUVWXYZ234567ABCDEFGHIJKLMNOPQRSTUVW', 'GDEST', '10000000'] }],
+      }],
+      balanceDeltas: [
+        { address: 'CABCDEFGHIJKLMNOPQRSTUVWXYZ234567ABCDEFGHIJKLMNOPQRSTUVW', tokenContractId: 'CXLM', amount: -10000000n },
+        { address: 'GDESTINATION0000', tokenContractId: 'CXLM', amount: 10000000n },
+      ],
+      needsDeployment: false,
+    };
+
+    it('shows the simulated effects before sending', async () => {
+      const onPreviewSend = jest.fn().mockResolvedValue(preview);
+      const onSendXLM = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} onPreviewSend={onPreviewSend} onSendXLM={onSendXLM} />);
+
+      fireEvent.click(screen.getAllByText('send')[1]);
+      fireEvent.change(screen.getByLabelText(/destination address/), { target: { value: 'GDEST' } });
+      fireEvent.change(screen.getByLabelText('amount (xlm)'), { target: { value: '1' } });
+      fireEvent.click(screen.getByText('review'));
+
+      await waitFor(() => expect(screen.getByText('confirm')).toBeInTheDocument());
+      expect(onPreviewSend).toHaveBeenCalledWith('GDEST', '1', { token: null });
+      expect(onSendXLM).not.toHaveBeenCalled();
+      expect(screen.getByText('fee: up to 0.006 xlm (0.005 resources + 0.001 inclusion)')).toBeInTheDocument();
+      expect(screen.getByText(/including 1000000 for signature checks/)).toBeInTheDocument();
+      expect(screen.getByText(/3 read-only and 2 read-write entries/)).toBeInTheDocument();
+      expect(screen.getByText(/CABCDE\.\.\.\.RSTUVW authorizes CXLM\.transfer\(CABCDE\.\.\.\.RSTUVW, GDEST, 10000000\)/)).toBeInTheDocument();
+      expect(screen.getByText(/: -1 xlm/)).toBeInTheDocument();
+      expect(screen.getByText(/: \+1 xlm/)).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('confirm'));
+
+      await waitFor(() => expect(onSendXLM).toHaveBeenCalledWith('GDEST', '1', { gasless: false, token: null }));
+    });
+
+    it('shows why a send cannot be previewed', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onPreviewSend = jest.fn().mockRejectedValue(new Error('Transaction simulation failed'));
+      render(<WalletDashboard {...defaultProps} onPreviewSend={onPreviewSend} />);
+
+      fireEvent.click(screen.getAllByText('send')[1]);
+      fireEvent.click(screen.getByText('review'));
+
+      await waitFor(() => expect(screen.getByText('Transaction simulation failed')).toBeInTheDocument());
+      expect(screen.queryByText('confirm')).not.toBeInTheDocument();
+      console.error.mockRestore();
+    });
+
+    it('previews classic sends with the classic handler', async () => {
+      const onPreviewClassicSend = jest.fn().mockResolvedValue({ ...preview, instructionBump: 0, authEntries: [] });
+      render(<WalletDashboard {...defaultProps} onPreviewClassicSend={onPreviewClassicSend} />);
+
+      fireEvent.click(screen.getAllByText('send')[0]);
+      fireEvent.click(screen.getByText('review'));
+
+      await waitFor(() => expect(screen.getByText('confirm')).toBeInTheDocument());
+      expect(screen.queryByText(/signature checks/)).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('back'));
+      expect(screen.getByLabelText('amount (xlm)')).toBeInTheDocument();
+    });
+  });
+
+  describe('Batch payments', () => {
+    it('previews rows and reports the outcome of each', async () => {
+      const onSendBatch = jest.fn().mockImplementation(async (rows) => [
+        { ...rows[0], status: 'sent', hash: 'abc123' },
+        { ...rows[1], status: 'failed', error: 'Amount exceeds the remaining daily limit' },
+        { ...rows[2], status: 'failed' },
+      ]);
+      render(<WalletDashboard {...defaultProps} onSendBatch={onSendBatch} />);
+
+      fireEvent.click(screen.getByText('batch'));
+      fireEvent.change(screen.getByLabelText('payments'), {
+        target: { value: 'GAAAAAAAAAAAA,XLM,10\nGBBBBBBBBBBBB,XLM,500\nnope,XLM,1' },
+      });
+
+      expect(screen.getByText('2 payment(s) ready')).toBeInTheDocument();
+      expect(screen.getByText('line 3: Invalid destination')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('send 2 payment(s)'));
+
+      await waitFor(() => expect(screen.getByText(/1 sent/)).toBeInTheDocument());
+      expect(onSendBatch).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ line: 1 })]), []);
+      expect(screen.getByText('sent')).toHaveAttribute('href', 'https://stellar.expert/explorer/testnet/tx/abc123');
+      expect(screen.getByText(/failed: Amount exceeds the remaining daily limit/)).toBeInTheDocument();
+    });
+
+    it('shows rows whose outcome is unknown as pending', async () => {
+      const onSendBatch = jest.fn().mockImplementation(async (rows) => [
+        { ...rows[0], status: 'pending', hash: 'def456', error: 'Network Error' },
+      ]);
+      render(<WalletDashboard {...defaultProps} onSendBatch={onSendBatch} />);
+
+      fireEvent.click(screen.getByText('batch'));
+      fireEvent.change(screen.getByLabelText('payments'), { target: { value: 'GAAAAAAAAAAAA,XLM,10' } });
+      fireEvent.click(screen.getByText('send 1 payment(s)'));
+
+      await waitFor(() => expect(screen.getByText(/1 pending/)).toBeInTheDocument());
+      expect(screen.getByText('pending')).toHaveAttribute('href', 'https://stellar.expert/explorer/testnet/tx/def456');
+      expect(screen.getByText(/not confirmed yet: Network Error/)).toBeInTheDocument();
+      expect(screen.queryByText(/failed:/)).not.toBeInTheDocument();
+    });
+
+    it('shows errors that stop the whole batch', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onSendBatch = jest.fn().mockRejectedValue(new Error('No keypair found in storage'));
+      render(<WalletDashboard {...defaultProps} onSendBatch={onSendBatch} />);
+
+      fireEvent.click(screen.getByText('batch'));
+      fireEvent.change(screen.getByLabelText('payments'), { target: { value: 'GAAAAAAAAAAAA,XLM,10' } });
+      fireEvent.click(screen.getByText('send 1 payment(s)'));
+
+      await waitFor(() => expect(screen.getByText('No keypair found in storage')).toBeInTheDocument());
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Encrypted keystore', () => {
+    it('asks for the password before sending when locked', async () => {
+      const onUnlock = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} keystoreEncrypted locked onUnlock={onUnlock} />);
+
+      fireEvent.click(screen.getAllByText('send')[1]);
+      expect(screen.getByText('unlock wallet')).toBeInTheDocument();
+      expect(screen.queryByText('send xlm (contract account)')).not.toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('password'), { target: { value: '1234' } });
+      fireEvent.submit(screen.getByLabelText('password').closest('form'));
+
+      await waitFor(() => {
+        expect(screen.getByText('send xlm (contract account)')).toBeInTheDocument();
+      });
+      expect(onUnlock).toHaveBeenCalledWith('1234');
+    });
+
+    it('shows unlock errors', async () => {
+      const onUnlock = jest.fn().mockRejectedValue(new Error('Incorrect password'));
+      render(<WalletDashboard {...defaultProps} keystoreEncrypted locked onUnlock={onUnlock} />);
+
+      fireEvent.click(screen.getByText('unlock'));
+      fireEvent.change(screen.getByLabelText('password'), { target: { value: 'nope' } });
+      fireEvent.submit(screen.getByLabelText('password').closest('form'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Incorrect password')).toBeInTheDocument();
+      });
+    });
+
+    it('offers to encrypt unencrypted keys', async () => {
+      const onSetPassword = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} onSetPassword={onSetPassword} />);
+
+      fireEvent.click(screen.getByText('set password'));
+      fireEvent.change(screen.getByLabelText('password'), { target: { value: '1234' } });
+      fireEvent.change(screen.getByLabelText('confirm password'), { target: { value: '4321' } });
+      fireEvent.submit(screen.getByLabelText('password').closest('form'));
+
+      expect(screen.getByText('passwords do not match')).toBeInTheDocument();
+      expect(onSetPassword).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByLabelText('confirm password'), { target: { value: '1234' } });
+      fireEvent.submit(screen.getByLabelText('password').closest('form'));
+
+      await waitFor(() => {
+        expect(onSetPassword).toHaveBeenCalledWith('1234');
+      });
+    });
+
+    it('locks an unlocked keystore', () => {
+      const onLock = jest.fn();
+      render(<WalletDashboard {...defaultProps} keystoreEncrypted onLock={onLock} />);
+
+      expect(screen.queryByText('set password')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByText('lock'));
+
+      expect(onLock).toHaveBeenCalled();
+    });
+  });
+
+  describe('Account switcher', () => {
+    const accounts = [
+      { index: 0, publicKey: 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA0' },
+      { index: 1, publicKey: 'GBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB1' },
+    ];
+
+    it('switches to another account', () => {
+      const onSwitchAccount = jest.fn();
+      render(<WalletDashboard {...defaultProps} accounts={accounts} onSwitchAccount={onSwitchAccount} />);
+
+      expect(screen.getByText(/account #0/)).toBeInTheDocument();
+      fireEvent.click(screen.getByText('accounts'));
+      fireEvent.click(screen.getByText('switch'));
+
+      expect(onSwitchAccount).toHaveBeenCalledWith(1);
+    });
+
+    it('reports discovered accounts', async () => {
+      const onDiscoverAccounts = jest.fn().mockResolvedValue(2);
+      render(<WalletDashboard {...defaultProps} accounts={accounts} onDiscoverAccounts={onDiscoverAccounts} />);
+
+      fireEvent.click(screen.getByText('accounts'));
+      fireEvent.click(screen.getByText('discover'));
+
+      await waitFor(() => {
+        expect(screen.getByText('found 2 used accounts')).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('Wallet switcher', () => {
+    const wallets = [
+      { id: 'default', label: 'personal', publicKey: 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA0', active: true },
+      { id: 'abc', label: 'test', publicKey: 'GBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB1', active: false },
+    ];
+
+    it('shows the active wallet label and switches wallets', () => {
+      const onSwitchWallet = jest.fn();
+      render(<WalletDashboard {...defaultProps} wallets={wallets} onSwitchWallet={onSwitchWallet} />);
+
+      expect(screen.getByText(/^personal/)).toBeInTheDocument();
+      fireEvent.click(screen.getByText('wallets'));
+      fireEvent.click(screen.getByText('switch'));
+
+      expect(onSwitchWallet).toHaveBeenCalledWith('abc');
+    });
+
+    it('confirms before removing a wallet', () => {
+      const onRemoveWallet = jest.fn();
+      render(<WalletDashboard {...defaultProps} wallets={wallets} onRemoveWallet={onRemoveWallet} />);
+
+      fireEvent.click(screen.getByText('wallets'));
+      fireEvent.click(screen.getByText('remove'));
+      expect(onRemoveWallet).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByText('remove'));
+      expect(onRemoveWallet).toHaveBeenCalledWith('abc');
+    });
+
+    it('renames the active wallet', () => {
+      const onRenameWallet = jest.fn();
+      render(<WalletDashboard {...defaultProps} wallets={wallets} onRenameWallet={onRenameWallet} />);
+
+      fireEvent.click(screen.getByText('wallets'));
+      fireEvent.change(screen.getByLabelText('label'), { target: { value: 'savings' } });
+      fireEvent.click(screen.getByText('rename'));
+
+      expect(onRenameWallet).toHaveBeenCalledWith('default', 'savings');
+    });
+
+    it('imports another wallet with a label', async () => {
+      const onImportWallet = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} wallets={wallets} onImportWallet={onImportWallet} />);
+
+      fireEvent.click(screen.getByText('wallets'));
+      fireEvent.click(screen.getByText('import'));
+      fireEvent.change(screen.getByLabelText('recovery phrase'), { target: { value: 'word '.repeat(12).trim() } });
+      fireEvent.change(screen.getByLabelText('label (optional)'), { target: { value: 'test 2' } });
+      fireEvent.submit(screen.getByLabelText('recovery phrase').closest('form'));
+
+      await waitFor(() => {
+        expect(onImportWallet).toHaveBeenCalledWith('word '.repeat(12).trim(), undefined, 'test 2', undefined);
+      });
+    });
+
+    it('imports a rotated key with its contract account', async () => {
+      const onImportWallet = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} wallets={wallets} onImportWallet={onImportWallet} />);
+
+      fireEvent.click(screen.getByText('wallets'));
+      fireEvent.click(screen.getByText('import'));
+      fireEvent.change(screen.getByLabelText('recovery phrase'), { target: { value: 'word '.repeat(12).trim() } });
+      fireEvent.change(screen.getByLabelText('contract account (only if the key was rotated)'), { target: { value: ' CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC ' } });
+      fireEvent.submit(screen.getByLabelText('recovery phrase').closest('form'));
+
+      await waitFor(() => {
+        expect(onImportWallet).toHaveBeenCalledWith('word '.repeat(12).trim(), undefined, undefined, 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC');
+      });
+    });
+  });
+
+  describe('Multi-signer accounts', () => {
+    const accountSigners = { signers: ['GABC...XYZ', 'GSIGNER2...XYZ'], threshold: 2, multisig: true };
+
+    it('hides signers for legacy single-owner accounts', () => {
+      render(<WalletDashboard {...defaultProps} accountSigners={{ signers: ['GABC...XYZ'], threshold: 1, multisig: false }} />);
+
+      expect(screen.queryByText(/signers \(/)).not.toBeInTheDocument();
+    });
+
+    it('asks for co-signer keys when sending from a 2-of-2 account', async () => {
+      const onSendXLM = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} accountSigners={accountSigners} onSendXLM={onSendXLM} />);
+
+      fireEvent.click(screen.getAllByText('send')[1]);
+      fireEvent.change(screen.getByLabelText(/destination address/), { target: { value: 'GDEST' } });
+      fireEvent.change(screen.getByLabelText('amount (xlm)'), { target: { value: '1' } });
+      fireEvent.change(screen.getByLabelText('co-signer secret keys (one per line)'), { target: { value: 'SKEY1\n\n' } });
+      fireEvent.submit(screen.getByLabelText('amount (xlm)').closest('form'));
+
+      await waitFor(() => {
+        expect(onSendXLM).toHaveBeenCalledWith('GDEST', '1', { gasless: false, token: null, cosigners: ['SKEY1'] });
+      });
+    });
+
+    it('adds a signer and changes the threshold', async () => {
+      const onAddSigner = jest.fn().mockResolvedValue();
+      const onSetThreshold = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} accountSigners={accountSigners} onAddSigner={onAddSigner} onSetThreshold={onSetThreshold} />);
+
+      fireEvent.click(screen.getByText('signers (2-of-2)'));
+      expect(screen.getByText('2 of 2 signatures required')).toBeInTheDocument();
+      expect(screen.getByText(/\(this wallet\)/)).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('co-signer secret keys (one per line)'), { target: { value: 'SKEY1' } });
+      fireEvent.change(screen.getByLabelText('new signer'), { target: { value: 'GNEW' } });
+      fireEvent.click(screen.getByText('add signer'));
+      await waitFor(() => expect(onAddSigner).toHaveBeenCalledWith('GNEW', ['SKEY1']));
+
+      fireEvent.change(screen.getByLabelText('threshold'), { target: { value: '1' } });
+      fireEvent.click(screen.getByText('set threshold'));
+      await waitFor(() => expect(onSetThreshold).toHaveBeenCalledWith(1, []));
+    });
+
+    it('shows errors from signer changes', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onRemoveSigner = jest.fn().mockRejectedValue(new Error('This account requires 2 signatures (1 provided)'));
+      render(<WalletDashboard {...defaultProps} accountSigners={accountSigners} onRemoveSigner={onRemoveSigner} />);
+
+      fireEvent.click(screen.getByText('signers (2-of-2)'));
+      fireEvent.click(screen.getAllByText('remove')[1]);
+
+      await waitFor(() => expect(screen.getByText('This account requires 2 signatures (1 provided)')).toBeInTheDocument());
+      expect(onRemoveSigner).toHaveBeenCalledWith('GSIGNER2...XYZ', []);
+      console.error.mockRestore();
+    });
+
+    it('rotates the wallet key and shows the new recovery phrase', async () => {
+      getMnemonic.mockReturnValue('new words');
+      const onRotateKey = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} accountSigners={accountSigners} keystoreEncrypted onRotateKey={onRotateKey} />);
+
+      fireEvent.click(screen.getByText('signers (2-of-2)'));
+      fireEvent.click(screen.getByText('rotate key'));
+      fireEvent.change(screen.getByLabelText('password'), { target: { value: 'secret' } });
+      fireEvent.change(screen.getByLabelText('co-signer secret keys (one per line)'), { target: { value: 'SKEY1' } });
+      fireEvent.click(screen.getByText('rotate'));
+
+      await waitFor(() => expect(screen.getByText('recovery phrase')).toBeInTheDocument());
+      expect(onRotateKey).toHaveBeenCalledWith('secret', ['SKEY1']);
+    });
+
+    it('lists, adds and removes passkeys', async () => {
+      const onAddPasskey = jest.fn().mockResolvedValue();
+      const onRemovePasskey = jest.fn().mockResolvedValue();
+      const withPasskeys = { ...accountSigners, passkeys: [{ credentialId: 'cred-1', name: 'laptop', held: true }] };
+      render(<WalletDashboard {...defaultProps} accountSigners={withPasskeys} onAddPasskey={onAddPasskey} onRemovePasskey={onRemovePasskey} />);
+
+      fireEvent.click(screen.getByText('signers (2-of-3)'));
+      expect(screen.getByText(/passkey laptop \(this wallet\)/)).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('passkey name'), { target: { value: 'phone' } });
+      fireEvent.click(screen.getByText('add passkey'));
+      await waitFor(() => expect(onAddPasskey).toHaveBeenCalledWith('phone', []));
+
+      fireEvent.click(screen.getAllByText('remove')[2]);
+      await waitFor(() => expect(onRemovePasskey).toHaveBeenCalledWith('cred-1', []));
+    });
+
+    it('hides passkeys for accounts without support', () => {
+      render(<WalletDashboard {...defaultProps} accountSigners={accountSigners} />);
+
+      fireEvent.click(screen.getByText('signers (2-of-2)'));
+      expect(screen.queryByText('add passkey')).not.toBeInTheDocument();
+    });
+
+    it('only offers key rotation on the first account', () => {
+      render(<WalletDashboard {...defaultProps} accountSigners={accountSigners} activeAccountIndex={1} />);
+
+      fireEvent.click(screen.getByText('signers (2-of-2)'));
+      expect(screen.queryByText('rotate key')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Spending limits', () => {
+    const spendingPolicy = {
+      limits: { CXLM: { daily: 1000000000n, weekly: null } },
+      spending: {},
+      allowList: ['GALLOWED...XYZ'],
+      pendingLimits: {},
+      pendingAllowList: null,
+    };
+
+    beforeEach(() => {
+      getRemainingAllowance.mockReturnValue({ daily: 400000000n, weekly: null });
+    });
+
+    it('hides limits for accounts without policy support', () => {
+      render(<WalletDashboard {...defaultProps} />);
+
+      expect(screen.queryByText('limits')).not.toBeInTheDocument();
+    });
+
+    it('shows the remaining allowance and allowed destinations', () => {
+      render(<WalletDashboard {...defaultProps} spendingPolicy={spendingPolicy} />);
+
+      fireEvent.click(screen.getByText('limits'));
+
+      expect(screen.getByText(/40 of 100 xlm left today/)).toBeInTheDocument();
+      expect(getRemainingAllowance).toHaveBeenCalledWith(spendingPolicy, 'CXLM');
+      expect(screen.getByText(/GALLOW/)).toBeInTheDocument();
+    });
+
+    it('sets a limit and allows a destination', async () => {
+      const onSetSpendingLimit = jest.fn().mockResolvedValue();
+      const onSetAllowList = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} spendingPolicy={spendingPolicy} onSetSpendingLimit={onSetSpendingLimit} onSetAllowList={onSetAllowList} />);
+
+      fireEvent.click(screen.getByText('limits'));
+      fireEvent.change(screen.getByLabelText('daily limit'), { target: { value: '50' } });
+      fireEvent.click(screen.getByText('set limit'));
+      await waitFor(() => expect(onSetSpendingLimit).toHaveBeenCalledWith(null, { daily: '50', weekly: '' }, []));
+
+      fireEvent.change(screen.getByLabelText('new destination'), { target: { value: 'GNEW' } });
+      fireEvent.click(screen.getByText('allow destination'));
+      await waitFor(() => expect(onSetAllowList).toHaveBeenCalledWith(['GALLOWED...XYZ', 'GNEW'], []));
+    });
+
+    it('shows errors from policy changes', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onSetSpendingLimit = jest.fn().mockRejectedValue(new Error('This account does not support spending policies'));
+      render(<WalletDashboard {...defaultProps} spendingPolicy={spendingPolicy} onSetSpendingLimit={onSetSpendingLimit} />);
+
+      fireEvent.click(screen.getByText('limits'));
+      fireEvent.click(screen.getAllByText('remove')[0]);
+
+      await waitFor(() => expect(screen.getByText('This account does not support spending policies')).toBeInTheDocument());
+      expect(onSetSpendingLimit).toHaveBeenCalledWith({ tokenContractId: 'CXLM', symbol: 'XLM', decimals: 7 }, {}, []);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Session keys', () => {
+    const sessionKeys = [{
+      publicKey: 'GSESSIONKEY0000000000000000000000000000000000000000XYZ',
+      contracts: ['CXLM'],
+      functions: ['transfer'],
+      spendLimits: { CXLM: 50000000n },
+      spent: { CXLM: 10000000n },
+      expirationLedger: 5000,
+      expired: false,
+      held: true,
+    }];
+
+    it('hides session keys for accounts without support', () => {
+      render(<WalletDashboard {...defaultProps} />);
+
+      expect(screen.queryByText(/session keys/)).not.toBeInTheDocument();
+    });
+
+    it('lists session keys with their scope', () => {
+      render(<WalletDashboard {...defaultProps} sessionKeys={sessionKeys} />);
+
+      fireEvent.click(screen.getByText('session keys (1)'));
+
+      expect(screen.getByText(/transfer on XLM, 1 of 5 xlm spent, expires at ledger 5000/)).toBeInTheDocument();
+      expect(screen.getByText(/\(this browser\)/)).toBeInTheDocument();
+    });
+
+    it('lists the spending of each limited token', () => {
+      const usdc = { tokenContractId: 'CUSDC', symbol: 'USDC', decimals: 6, raw: 0n, display: '0' };
+      const session = { ...sessionKeys[0], contracts: ['CXLM', 'CUSDC'], spendLimits: { CXLM: 50000000n, CUSDC: 3000000n }, spent: { CUSDC: 1000000n } };
+      render(<WalletDashboard {...defaultProps} tokenBalances={[usdc]} sessionKeys={[session]} />);
+
+      fireEvent.click(screen.getByText('session keys (1)'));
+
+      expect(screen.getByText(/on XLM, USDC, 0 of 5 xlm spent, 1 of 3 usdc spent/)).toBeInTheDocument();
+    });
+
+    it('creates and revokes session keys', async () => {
+      const onAddSessionKey = jest.fn().mockResolvedValue();
+      const onRemoveSessionKey = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} sessionKeys={sessionKeys} onAddSessionKey={onAddSessionKey} onRemoveSessionKey={onRemoveSessionKey} />);
+
+      fireEvent.click(screen.getByText('session keys (1)'));
+      fireEvent.change(screen.getByLabelText('spend limit'), { target: { value: '2' } });
+      fireEvent.change(screen.getByLabelText('valid for (hours)'), { target: { value: '2' } });
+      fireEvent.click(screen.getByText('create session key'));
+
+      await waitFor(() => expect(onAddSessionKey).toHaveBeenCalledWith({
+        contracts: ['CXLM'],
+        functions: ['transfer'],
+        spendLimits: { CXLM: '2' },
+        decimals: { CXLM: 7 },
+        durationLedgers: 1440,
+      }, []));
+
+      fireEvent.click(screen.getByText('revoke'));
+      await waitFor(() => expect(onRemoveSessionKey).toHaveBeenCalledWith(sessionKeys[0].publicKey, []));
+    });
+
+    it('shows errors from session key changes', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onAddSessionKey = jest.fn().mockRejectedValue(new Error('A session key needs at least one contract'));
+      render(<WalletDashboard {...defaultProps} sessionKeys={[]} onAddSessionKey={onAddSessionKey} />);
+
+      fireEvent.click(screen.getByText('session keys (0)'));
+      expect(screen.getByText('no session keys')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('create session key'));
+
+      await waitFor(() => expect(screen.getByText('A session key needs at least one contract')).toBeInTheDocument());
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Guardian recovery', () => {
+    const recoveryState = {
+      guardians: ['GGUARDIAN0000000000000000000000000000000000000000000XYZ'],
+      threshold: 1,
+      recovery: null,
+    };
+
+    it('hides recovery for accounts without support', () => {
+      render(<WalletDashboard {...defaultProps} />);
+
+      expect(screen.queryByText(/^recovery/)).not.toBeInTheDocument();
+    });
+
+    it('saves guardians and the approvals needed', async () => {
+      const onSetGuardians = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} recoveryState={recoveryState} onSetGuardians={onSetGuardians} />);
+
+      fireEvent.click(screen.getByText('recovery'));
+      expect(screen.getByText('1 of 1 guardian(s) must approve a recovery')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('guardians (one address per line)'), { target: { value: 'GONE\n\nCTWO' } });
+      fireEvent.change(screen.getByLabelText('approvals needed'), { target: { value: '2' } });
+      fireEvent.click(screen.getByText('save guardians'));
+
+      await waitFor(() => expect(onSetGuardians).toHaveBeenCalledWith(['GONE', 'CTWO'], 2, []));
+    });
+
+    it('shows and cancels a pending recovery', async () => {
+      const onCancelRecovery = jest.fn().mockResolvedValue();
+      const pending = { ...recoveryState, recovery: { newSigner: 'GNEWKEY00000000000000000000000000000000000000000000XYZ', approvals: ['GGUARDIAN'], rejections: [], effectiveAt: 1750000000 } };
+      render(<WalletDashboard {...defaultProps} recoveryState={pending} onCancelRecovery={onCancelRecovery} />);
+
+      fireEvent.click(screen.getByText('recovery (pending)'));
+      expect(screen.getByText(/approved by 1 of 1/)).toBeInTheDocument();
+      expect(screen.queryByText(/rejected by/)).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('cancel'));
+      await waitFor(() => expect(onCancelRecovery).toHaveBeenCalledWith([]));
+    });
+
+    it('approves a recovery of another wallet', async () => {
+      const onApproveRecovery = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} recoveryState={recoveryState} onApproveRecovery={onApproveRecovery} />);
+
+      fireEvent.click(screen.getByText('recovery'));
+      fireEvent.change(screen.getByLabelText('account to recover'), { target: { value: 'CLOST' } });
+      fireEvent.change(screen.getByLabelText('new key'), { target: { value: 'GNEW' } });
+      fireEvent.click(screen.getByText('approve recovery'));
+
+      await waitFor(() => expect(screen.getByText('recovery approved')).toBeInTheDocument());
+      expect(onApproveRecovery).toHaveBeenCalledWith('CLOST', 'GNEW', []);
+    });
+
+    it('rejects a recovery of another wallet', async () => {
+      const onRejectRecovery = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} recoveryState={recoveryState} onRejectRecovery={onRejectRecovery} />);
+
+      fireEvent.click(screen.getByText('recovery'));
+      fireEvent.change(screen.getByLabelText('account to recover'), { target: { value: 'CLOST' } });
+      fireEvent.click(screen.getByText('reject recovery'));
+
+      await waitFor(() => expect(screen.getByText('recovery rejected')).toBeInTheDocument());
+      expect(onRejectRecovery).toHaveBeenCalledWith('CLOST', []);
+    });
+
+    it('shows errors from guardian actions', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onStartRecovery = jest.fn().mockRejectedValue(new Error('This wallet is not a guardian of CLOST'));
+      render(<WalletDashboard {...defaultProps} recoveryState={recoveryState} onStartRecovery={onStartRecovery} />);
+
+      fireEvent.click(screen.getByText('recovery'));
+      fireEvent.click(screen.getByText('start recovery'));
+
+      await waitFor(() => expect(screen.getByText('This wallet is not a guardian of CLOST')).toBeInTheDocument());
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Transfer history', () => {
+    const transfer = (id, direction) => ({
+      id,
+      txHash: `hash-${id}`,
+      ledger: 100,
+      timestamp: '2025-01-01T00:00:00Z',
+      direction,
+      amount: 15000000n,
+      tokenContractId: 'CXLM',
+      counterparty: 'GDESTINATIONADDRESS0000000000000000000000000000000000',
+    });
+
+    it('opens the contract account history and loads more pages', async () => {
+      getTransferHistoryPage
+        .mockResolvedValueOnce({ transfers: [transfer('2', 'received')], cursor: '2' })
+        .mockResolvedValueOnce({ transfers: [transfer('1', 'sent')], cursor: null });
+
+      render(<WalletDashboard {...defaultProps} />);
+      fireEvent.click(screen.getAllByText('history')[1]);
+
+      expect(screen.getByText('history (contract account)')).toBeInTheDocument();
+      await waitFor(() => expect(screen.getByText(/received 1.5 XLM from/)).toBeInTheDocument());
+      expect(getTransferHistoryPage).toHaveBeenCalledWith('CABC...XYZ', { cursor: null, pageSize: 20 });
+
+      fireEvent.click(screen.getByText('load more'));
+
+      await waitFor(() => expect(screen.getByText(/sent 1.5 XLM to/)).toBeInTheDocument());
+      expect(getTransferHistoryPage).toHaveBeenLastCalledWith('CABC...XYZ', { cursor: '2', pageSize: 20 });
+      expect(screen.queryByText('load more')).not.toBeInTheDocument();
+    });
+
+    it('shows the classic account history', async () => {
+      getTransferHistoryPage.mockResolvedValue({ transfers: [], cursor: null });
+
+      render(<WalletDashboard {...defaultProps} />);
+      fireEvent.click(screen.getAllByText('history')[0]);
+
+      expect(screen.getByText('history (classic account)')).toBeInTheDocument();
+      await waitFor(() => expect(screen.getByText('no transfers')).toBeInTheDocument());
+      expect(getTransferHistoryPage).toHaveBeenCalledWith('GABC...XYZ', { cursor: null, pageSize: 20 });
+    });
+
+    it('caches the newest page', async () => {
+      const page = { transfers: [transfer('2', 'received')], cursor: null };
+      getTransferHistoryPage.mockResolvedValue(page);
+
+      render(<WalletDashboard {...defaultProps} />);
+      fireEvent.click(screen.getAllByText('history')[1]);
+
+      await waitFor(() => expect(cacheTransferHistory).toHaveBeenCalledWith('CABC...XYZ', page));
+    });
+
+    it('keeps showing the cached page when the history cannot be loaded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      getCachedTransferHistory.mockReturnValueOnce({ transfers: [transfer('2', 'received')], cursor: null, savedAt: Date.now() });
+      getTransferHistoryPage.mockRejectedValue(new Error('Network Error'));
+
+      render(<WalletDashboard {...defaultProps} />);
+      fireEvent.click(screen.getAllByText('history')[1]);
+
+      expect(screen.getByText(/received 1.5 XLM from/)).toBeInTheDocument();
+      await waitFor(() => expect(screen.getByText('error: Network Error')).toBeInTheDocument());
+      expect(screen.getByText(/received 1.5 XLM from/)).toBeInTheDocument();
+      expect(screen.getByText(/^saved /)).toBeInTheDocument();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Incoming transfers', () => {
+    const incoming = {
+      id: 'event-1',
+      txHash: 'hash-1',
+      from: 'GSENDER000000000000000000000000000000000000000000000000',
+      to: 'CABC...XYZ',
+      amount: 25000000n,
+      tokenContractId: 'CXLM',
+    };
+
+    it('shows a toast per transfer until it is dismissed', () => {
+      const onDismissIncoming = jest.fn();
+      render(<WalletDashboard {...defaultProps} incomingTransfers={[incoming]} onDismissIncoming={onDismissIncoming} />);
+
+      expect(screen.getByText(/received 2.5 XLM from GSENDE....000000/)).toHaveTextContent('(contract account)');
+      fireEvent.click(screen.getByText('dismiss'));
+
+      expect(onDismissIncoming).toHaveBeenCalledWith('event-1');
+    });
+
+    it('formats amounts with the decimals of the token', () => {
+      const usdc = { tokenContractId: 'CUSDC', symbol: 'USDC', decimals: 6, raw: 0n, display: '0' };
+      render(<WalletDashboard {...defaultProps} tokenBalances={[usdc]} incomingTransfers={[{ ...incoming, tokenContractId: 'CUSDC' }]} />);
+
+      expect(screen.getByText(/received 25 USDC from/)).toBeInTheDocument();
+    });
+
+    it('formats tokens only the classic account holds', () => {
+      const eurc = { tokenContractId: 'CEURC', symbol: 'EURC', decimals: 6, raw: 0n, display: '0' };
+      const transfer = { ...incoming, tokenContractId: 'CEURC', to: defaultProps.publicKey };
+      render(<WalletDashboard {...defaultProps} classicTokenBalances={[eurc]} incomingTransfers={[transfer]} />);
+
+      expect(screen.getByText(/received 25 EURC from/)).toHaveTextContent('(classic account)');
+    });
+
+    it('offers to enable notifications until the browser has an answer', () => {
+      const onEnableNotifications = jest.fn();
+      const { rerender } = render(
+        <WalletDashboard {...defaultProps} notificationPermission="default" onEnableNotifications={onEnableNotifications} />
+      );
+
+      fireEvent.click(screen.getByText('notifications'));
+      expect(onEnableNotifications).toHaveBeenCalled();
+
+      rerender(<WalletDashboard {...defaultProps} notificationPermission="granted" onEnableNotifications={onEnableNotifications} />);
+      expect(screen.queryByText('notifications')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Offline', () => {
+    it('says balances are cached and sends queued while offline', () => {
+      render(<WalletDashboard {...defaultProps} offline />);
+
+      expect(screen.getByText(/offline: showing the last known balances. sends are queued/)).toBeInTheDocument();
+    });
+
+    it('sends without a preview while offline so the send can be queued', async () => {
+      const onPreviewSend = jest.fn();
+      const onSendXLM = jest.fn().mockResolvedValue();
+      render(<WalletDashboard {...defaultProps} offline onPreviewSend={onPreviewSend} onSendXLM={onSendXLM} />);
+
+      fireEvent.click(screen.getAllByText('send')[1]);
+      fireEvent.change(screen.getByLabelText(/destination address/), { target: { value: 'GDEST' } });
+      fireEvent.change(screen.getByLabelText('amount (xlm)'), { target: { value: '5' } });
+      expect(screen.queryByText('review')).not.toBeInTheDocument();
+      fireEvent.click(screen.getAllByText('send').at(-1));
+
+      await waitFor(() => expect(onSendXLM).toHaveBeenCalled());
+      expect(onPreviewSend).not.toHaveBeenCalled();
+    });
+
+    it('lists queued sends and discards one', () => {
+      const onDiscardQueued = jest.fn();
+      render(<WalletDashboard {...defaultProps} queuedSends={[{ id: 'q1', description: 'send 5 XLM to GDEST', stage: 'queued' }]} onDiscardQueued={onDiscardQueued} />);
+
+      expect(screen.getByText(/send 5 XLM to GDEST \(queued\)/)).toBeInTheDocument();
+      fireEvent.click(screen.getByText('discard'));
+      expect(onDiscardQueued).toHaveBeenCalledWith('q1');
+    });
+
+    it('reports queued sends that failed once the connection returned', () => {
+      render(<WalletDashboard {...defaultProps} reconciledTransactions={[{ id: 'q1', hash: null, description: 'send 5 XLM to GDEST', status: 'failed', error: 'Insufficient balance' }]} />);
+
+      expect(screen.getByText(/send 5 XLM to GDEST failed while you were away: Insufficient balance/)).toBeInTheDocument();
+    });
+
+    it('shows no offline note when online', () => {
+      render(<WalletDashboard {...defaultProps} />);
+
+      expect(screen.queryByText(/offline:/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('History export', () => {
+    beforeEach(() => {
+      global.URL.createObjectURL = jest.fn(() => 'blob:history');
+      global.URL.revokeObjectURL = jest.fn();
+    });
+
+    it('exports XLM history of both accounts as csv by default', async () => {
+      exportTransferHistory.mockResolvedValue({ content: 'csv', count: 3 });
+
+      render(<WalletDashboard {...defaultProps} />);
+      fireEvent.click(screen.getByText('export history'));
+      fireEvent.click(screen.getByText('download'));
+
+      await waitFor(() => expect(screen.getByText('exported 3 transfer(s)')).toBeInTheDocument());
+      expect(exportTransferHistory).toHaveBeenCalledWith(['GABC...XYZ', 'CABC...XYZ'], [], { format: 'csv' });
+      expect(URL.createObjectURL).toHaveBeenCalled();
+    });
+
+    it('exports all held tokens as json', async () => {
+      exportTransferHistory.mockResolvedValue({ content: '[]', count: 0 });
+      const usdc = { tokenContractId: 'CUSDC', symbol: 'USDC', decimals: 6, raw: 1n, display: '0.000001' };
+
+      render(<WalletDashboard {...defaultProps} tokenBalances={[usdc]} classicTokenBalances={[usdc]} />);
+      fireEvent.click(screen.getByText('export history'));
+      fireEvent.change(screen.getByLabelText('token'), { target: { value: 'all' } });
+      fireEvent.change(screen.getByLabelText('format'), { target: { value: 'json' } });
+      fireEvent.click(screen.getByText('download'));
+
+      await waitFor(() => expect(exportTransferHistory).toHaveBeenCalledWith(
+        ['GABC...XYZ', 'CABC...XYZ'],
+        [{ tokenContractId: null }, { tokenContractId: 'CUSDC', symbol: 'USDC', decimals: 6 }],
+        { format: 'json' }
+      ));
+    });
+
+    it('shows export errors', async () => {
+      exportTransferHistory.mockRejectedValue(new Error('RPC unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      render(<WalletDashboard {...defaultProps} />);
+      fireEvent.click(screen.getByText('export history'));
+      fireEvent.click(screen.getByText('download'));
+
+      await waitFor(() => expect(screen.getByText('error: RPC unavailable')).toBeInTheDocument());
+      console.error.mockRestore();
+    });
   });
 
   describe('Refresh functionality', () => {
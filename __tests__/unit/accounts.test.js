@@ -0,0 +1,112 @@
+/**
+ * Unit tests for account discovery
+ * Tests scanning SEP-0005 account indices for on-chain activity
+ */
+
+import { discoverAccounts, classicAccountExists } from '@/utils/stellar/accounts';
+import { deriveKeypairFromMnemonic } from '@/utils/stellar/keypair';
+import { deriveContractAddress } from '@/utils/stellar/helpers';
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+      sorobanRpcUrl: 'https://soroban-testnet.stellar.org',
+      accountFactoryAddress: 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+}));
+
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+/**
+ * Build a mock RPC server where the given indices have funded G accounts / deployed contracts
+ */
+function mockRpcServerFor({ funded = [], deployed = [] }) {
+  const fundedKeys = funded.map(i => deriveKeypairFromMnemonic(TEST_MNEMONIC, i).publicKey());
+
+  return {
+    getAccount: jest.fn((publicKey) => (
+      fundedKeys.includes(publicKey)
+        ? Promise.resolve({ accountId: () => publicKey })
+        : Promise.reject(new Error('Account not found'))
+    )),
+    // One instance lookup per scanned index, in order
+    getLedgerEntries: jest.fn(() => {
+      const index = mockRpcServerFor.lookups++;
+      return Promise.resolve({ entries: deployed.includes(index) ? [{}] : [] });
+    }),
+  };
+}
+
+describe('Account discovery', () => {
+  beforeEach(() => {
+    mockRpcServerFor.lookups = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('classicAccountExists', () => {
+    it('returns true for funded accounts', async () => {
+      const rpcServer = { getAccount: jest.fn().mockResolvedValue({}) };
+      await expect(classicAccountExists('GABC', { rpcServer })).resolves.toBe(true);
+    });
+
+    it('returns false when the account is missing', async () => {
+      const rpcServer = { getAccount: jest.fn().mockRejectedValue(new Error('Account not found')) };
+      await expect(classicAccountExists('GABC', { rpcServer })).resolves.toBe(false);
+    });
+  });
+
+  describe('discoverAccounts', () => {
+    it('always returns account 0', async () => {
+      const rpcServer = mockRpcServerFor({});
+
+      const accounts = await discoverAccounts(TEST_MNEMONIC, { rpcServer });
+
+      expect(accounts).toHaveLength(1);
+      expect(accounts[0]).toMatchObject({ index: 0, funded: false, deployed: false });
+      expect(rpcServer.getAccount).toHaveBeenCalledTimes(3);
+    });
+
+    it('finds funded classic accounts and deployed contract accounts', async () => {
+      const rpcServer = mockRpcServerFor({ funded: [0, 1], deployed: [3] });
+
+      const accounts = await discoverAccounts(TEST_MNEMONIC, { rpcServer });
+
+      expect(accounts.map(a => a.index)).toEqual([0, 1, 3]);
+      expect(accounts[2]).toMatchObject({ funded: false, deployed: true });
+      const publicKey = deriveKeypairFromMnemonic(TEST_MNEMONIC, 3).publicKey();
+      expect(accounts[2].publicKey).toBe(publicKey);
+      expect(accounts[2].contractAddress).toBe(deriveContractAddress(publicKey));
+    });
+
+    it('stops after the gap limit', async () => {
+      const rpcServer = mockRpcServerFor({ funded: [0, 5] });
+
+      const accounts = await discoverAccounts(TEST_MNEMONIC, { rpcServer, gapLimit: 2 });
+
+      expect(accounts.map(a => a.index)).toEqual([0]);
+      expect(rpcServer.getAccount).toHaveBeenCalledTimes(3);
+    });
+
+    it('never scans more than maxAccounts indices', async () => {
+      const rpcServer = mockRpcServerFor({ funded: [0, 1, 2, 3, 4, 5] });
+
+      const accounts = await discoverAccounts(TEST_MNEMONIC, { rpcServer, maxAccounts: 4 });
+
+      expect(accounts.map(a => a.index)).toEqual([0, 1, 2, 3]);
+    });
+  });
+});
@@ -1,14 +1,47 @@
 /**
  * Unit tests for balance query functions
- * Tests getBalance and simulateBalanceQuery
+ * Tests getBalance, getTokenBalance, getTokenMetadata and simulateBalanceQuery
  */
 
 import * as StellarSdk from '@stellar/stellar-sdk';
-import { getBalance, simulateBalanceQuery } from '@/utils/stellar/balance';
+import {
+  getBalance,
+  getTokenBalance,
+  getTokenMetadata,
+  simulateBalanceQuery,
+} from '@/utils/stellar/balance';
 
 // Test addresses
 const TEST_PUBLIC_KEY = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
 const TEST_CONTRACT_ADDRESS = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const TEST_TOKEN_ADDRESS = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+
+/**
+ * Read the contract ID and method name from a simulated transaction
+ */
+function invokedCall(tx) {
+  const invoke = tx.operations[0].func.invokeContract();
+  return {
+    contractId: StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString(),
+    method: invoke.functionName().toString(),
+  };
+}
+
+/**
+ * Mock simulateTransaction for an 18-decimal token
+ */
+function mockTokenSimulation(balance) {
+  const values = {
+    decimals: StellarSdk.nativeToScVal(18, { type: 'u32' }),
+    symbol: StellarSdk.nativeToScVal('TKN', { type: 'string' }),
+    name: StellarSdk.nativeToScVal('Test Token', { type: 'string' }),
+    balance: StellarSdk.nativeToScVal(balance, { type: 'i128' }),
+  };
+  return jest.fn((tx) => Promise.resolve({
+    result: { retval: values[invokedCall(tx).method] },
+    latestLedger: 12345,
+  }));
+}
 
 // Mock config
 jest.mock('@/utils/config', () => ({
@@ -179,6 +212,79 @@ describe('Balance Functions', () => {
     });
   });
 
+  describe('getTokenMetadata', () => {
+    it('reads decimals, symbol and name from the token contract', async () => {
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(true);
+      mockRpcServer.simulateTransaction = mockTokenSimulation(0n);
+
+      const metadata = await getTokenMetadata(TEST_TOKEN_ADDRESS, { rpcServer: mockRpcServer });
+
+      expect(metadata).toEqual({ name: 'Test Token', symbol: 'TKN', decimals: 18 });
+      const calls = mockRpcServer.simulateTransaction.mock.calls.map(([tx]) => invokedCall(tx));
+      expect(calls.every(c => c.contractId === TEST_TOKEN_ADDRESS)).toBe(true);
+    });
+
+    it('throws when a metadata call fails', async () => {
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'not a token', latestLedger: 12345 });
+
+      await expect(getTokenMetadata(TEST_TOKEN_ADDRESS, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Failed to read');
+    });
+  });
+
+  describe('getTokenBalance', () => {
+    it('returns raw bigint and display string using token decimals', async () => {
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(true);
+      mockRpcServer.simulateTransaction = mockTokenSimulation(1500000000000000000n);
+
+      const balance = await getTokenBalance(TEST_TOKEN_ADDRESS, TEST_PUBLIC_KEY, { rpcServer: mockRpcServer });
+
+      expect(balance.raw).toBe(1500000000000000000n);
+      expect(balance.display).toBe('1.5');
+      expect(balance).toMatchObject({ decimals: 18, symbol: 'TKN', name: 'Test Token' });
+    });
+
+    it('queries balance on the given token contract', async () => {
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(true);
+      mockRpcServer.simulateTransaction = mockTokenSimulation(1n);
+
+      await getTokenBalance(TEST_TOKEN_ADDRESS, TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+      const balanceCall = mockRpcServer.simulateTransaction.mock.calls
+        .map(([tx]) => invokedCall(tx))
+        .find(c => c.method === 'balance');
+      expect(balanceCall.contractId).toBe(TEST_TOKEN_ADDRESS);
+    });
+
+    it('skips metadata lookups when metadata is provided', async () => {
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(true);
+      mockRpcServer.simulateTransaction = mockTokenSimulation(500n);
+
+      const balance = await getTokenBalance(TEST_TOKEN_ADDRESS, TEST_PUBLIC_KEY, {
+        rpcServer: mockRpcServer,
+        metadata: { name: 'Cached', symbol: 'CCH', decimals: 2 },
+      });
+
+      expect(mockRpcServer.simulateTransaction).toHaveBeenCalledTimes(1);
+      expect(balance.display).toBe('5');
+      expect(balance.symbol).toBe('CCH');
+    });
+
+    it('returns zero when the balance simulation fails', async () => {
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockImplementation(r => !r.error);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'no balance', latestLedger: 12345 });
+
+      const balance = await getTokenBalance(TEST_TOKEN_ADDRESS, TEST_PUBLIC_KEY, {
+        rpcServer: mockRpcServer,
+        metadata: { name: 'Test Token', symbol: 'TKN', decimals: 18 },
+      });
+
+      expect(balance.raw).toBe(0n);
+      expect(balance.display).toBe('0');
+    });
+  });
+
   describe('simulateBalanceQuery', () => {
     it('returns raw simulation response', async () => {
       const mockResponse = {
@@ -237,6 +343,18 @@ describe('Balance Functions', () => {
       expect(createRpcServer).toHaveBeenCalled();
     });
 
+    it('queries the given token instead of native XLM', async () => {
+      mockRpcServer.simulateTransaction.mockResolvedValue({ latestLedger: 12345 });
+
+      await simulateBalanceQuery(TEST_PUBLIC_KEY, {
+        rpcServer: mockRpcServer,
+        tokenContractId: TEST_TOKEN_ADDRESS,
+      });
+
+      const calledTx = mockRpcServer.simulateTransaction.mock.calls[0][0];
+      expect(invokedCall(calledTx)).toEqual({ contractId: TEST_TOKEN_ADDRESS, method: 'balance' });
+    });
+
     it('propagates RPC errors', async () => {
       mockRpcServer.simulateTransaction.mockRejectedValue(new Error('RPC unavailable'));
 
@@ -0,0 +1,334 @@
+/**
+ * Unit tests for batch payments
+ * Tests CSV parsing, chunking, the transfer_batch encoding and how batches
+ * are sent, split and reported row by row
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  splitCsvLine,
+  parseBatchCsv,
+  chunkPayments,
+  buildBatchTransferOperation,
+  sendBatchFromContractAccount,
+} from '@/utils/stellar/batch';
+import { deriveContractAddress } from '@/utils/stellar/helpers';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+import { getPendingTransactions } from '@/utils/stellar/tracker';
+
+const TEST_KEYPAIR = StellarSdk.Keypair.random();
+const TEST_CONTRACT_ADDRESS = deriveContractAddress(TEST_KEYPAIR.publicKey());
+const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const USDC_ID = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+const ALICE = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const BOB = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+const CAROL = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+
+// Recent Soroban inclusion fees (getFeeStats)
+const FEE_STATS = { sorobanInclusionFee: { p10: '100', p50: '10000', p90: '50000' } };
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+      accountFactoryAddress: 'CDUIY5ADZ6MXJFKWMCTU2W3LN3UZJM3UNUTXPZBFA7FRB4UN22IETNIP',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock keypair storage
+jest.mock('@/utils/stellar/keypair', () => ({
+  getStoredKeypair: jest.fn(),
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+  getTokenContract: jest.fn(),
+  getXlmContractId: jest.fn(),
+}));
+
+// Import mocked modules
+import { getStoredKeypair } from '@/utils/stellar/keypair';
+import { getTokenContract, getXlmContractId } from '@/utils/stellar/rpc';
+
+const dataKey = (name) => StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvSymbol(name)]);
+const entry = (key, val) => new StellarSdk.xdr.ScMapEntry({ key, val });
+
+/**
+ * Build a getLedgerEntries response for the contract account instance
+ * @param {object} options - passkeys: whether the account has batch (and passkey) support; dailyXlm: raw daily XLM limit
+ */
+const instanceEntries = ({ passkeys = true, dailyXlm = null } = {}) => ({
+  entries: [{
+    val: StellarSdk.xdr.LedgerEntryData.contractData(new StellarSdk.xdr.ContractDataEntry({
+      ext: new StellarSdk.xdr.ExtensionPoint(0),
+      contract: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+      key: StellarSdk.xdr.ScVal.scvLedgerKeyContractInstance(),
+      durability: StellarSdk.xdr.ContractDataDurability.persistent(),
+      val: StellarSdk.xdr.ScVal.scvContractInstance(new StellarSdk.xdr.ScContractInstance({
+        executable: StellarSdk.xdr.ContractExecutable.contractExecutableWasm(Buffer.alloc(32)),
+        storage: [
+          entry(dataKey('Signers'), StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvBytes(TEST_KEYPAIR.rawPublicKey())])),
+          entry(dataKey('Threshold'), StellarSdk.xdr.ScVal.scvU32(1)),
+          ...(passkeys ? [entry(dataKey('Passkeys'), StellarSdk.xdr.ScVal.scvMap([]))] : []),
+          ...(dailyXlm === null ? [] : [entry(dataKey('Limits'), StellarSdk.xdr.ScVal.scvMap([
+            entry(StellarSdk.Address.fromString(XLM_ID).toScVal(), StellarSdk.xdr.ScVal.scvMap([
+              entry(StellarSdk.xdr.ScVal.scvSymbol('daily'), StellarSdk.nativeToScVal(dailyXlm, { type: 'i128' })),
+              entry(StellarSdk.xdr.ScVal.scvSymbol('weekly'), StellarSdk.xdr.ScVal.scvVoid()),
+            ])),
+          ]))]),
+        ],
+      })),
+    })),
+  }],
+});
+
+/**
+ * Read the invoked function and its arguments from a transaction
+ */
+const invocation = (transaction) => {
+  const args = transaction.toEnvelope().v1().tx().operations()[0].body().invokeHostFunctionOp().hostFunction().invokeContract();
+  return { functionName: args.functionName().toString(), args: args.args() };
+};
+
+/**
+ * Read the destinations a transfer or transfer_batch transaction pays
+ */
+const paidDestinations = (transaction) => {
+  const { functionName, args } = invocation(transaction);
+  if (functionName === 'transfer') {
+    return [StellarSdk.scValToNative(args[1])];
+  }
+  return StellarSdk.scValToNative(args[0]).map(payment => payment.to);
+};
+
+describe('Batch payments', () => {
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+  });
+
+  describe('splitCsvLine', () => {
+    it('splits and trims cells', () => {
+      expect(splitCsvLine(' GA , XLM ,1.5')).toEqual(['GA', 'XLM', '1.5']);
+    });
+
+    it('keeps commas and escaped quotes inside quoted cells', () => {
+      expect(splitCsvLine('"a,b","say ""hi""",c')).toEqual(['a,b', 'say "hi"', 'c']);
+    });
+  });
+
+  describe('parseBatchCsv', () => {
+    const tokens = [{ tokenContractId: USDC_ID, symbol: 'USDC', decimals: 6 }];
+
+    it('reads rows and skips the header, comments and blank lines', () => {
+      const rows = parseBatchCsv(`destination,token,amount\n# salaries\n${ALICE},XLM,10\n\n${BOB},usdc,2.5\r\n${CAROL},,1`, tokens);
+
+      expect(rows).toEqual([
+        { line: 3, destination: ALICE, tokenContractId: null, symbol: 'XLM', decimals: 7, amount: '10', error: null },
+        { line: 5, destination: BOB, tokenContractId: USDC_ID, symbol: 'USDC', decimals: 6, amount: '2.5', error: null },
+        { line: 6, destination: CAROL, tokenContractId: null, symbol: 'XLM', decimals: 7, amount: '1', error: null },
+      ]);
+    });
+
+    it('leaves the decimals of unknown token contracts to be read later', () => {
+      const [row] = parseBatchCsv(`${ALICE},${XLM_ID},1.123456789`);
+
+      expect(row).toMatchObject({ tokenContractId: XLM_ID, decimals: null, amount: '1.123456789', error: null });
+    });
+
+    it('keeps invalid rows with their error', () => {
+      const rows = parseBatchCsv([
+        'nope,XLM,1',
+        `${ALICE},DOGE,1`,
+        `${ALICE},XLM,abc`,
+        `${ALICE},XLM,0`,
+        `${ALICE},XLM`,
+        `${ALICE},USDC,0.0000001`,
+      ].join('\n'), tokens);
+
+      expect(rows.map(row => row.error)).toEqual([
+        'Invalid destination: nope',
+        'Unknown token: DOGE',
+        'Invalid amount: abc',
+        'Amount must be greater than zero',
+        'Expected destination,token,amount',
+        'Amount has more than 6 decimal places',
+      ]);
+    });
+  });
+
+  describe('chunkPayments', () => {
+    it('splits payments into chunks of at most the given size', () => {
+      expect(chunkPayments([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+      expect(chunkPayments([], 2)).toEqual([]);
+    });
+
+    it('rejects invalid chunk sizes', () => {
+      expect(() => chunkPayments([1], 0)).toThrow('Invalid chunk size: 0');
+    });
+  });
+
+  describe('buildBatchTransferOperation', () => {
+    it('encodes payments as Payment structs', () => {
+      const operation = buildBatchTransferOperation(TEST_CONTRACT_ADDRESS, [
+        { destination: ALICE, tokenContractId: XLM_ID, rawAmount: 100n },
+        { destination: CAROL, tokenContractId: USDC_ID, rawAmount: 5n },
+      ]);
+
+      const call = operation.body().invokeHostFunctionOp().hostFunction().invokeContract();
+      expect(StellarSdk.Address.fromScAddress(call.contractAddress()).toString()).toBe(TEST_CONTRACT_ADDRESS);
+      expect(call.functionName().toString()).toBe('transfer_batch');
+      expect(call.args()[0].vec()[0].map().map(e => e.key().sym().toString())).toEqual(['amount', 'to', 'token']);
+      expect(StellarSdk.scValToNative(call.args()[0])).toEqual([
+        { amount: 100n, to: ALICE, token: XLM_ID },
+        { amount: 5n, to: CAROL, token: USDC_ID },
+      ]);
+    });
+  });
+
+  describe('sendBatchFromContractAccount', () => {
+    let mockRpcServer;
+    let rejected;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      rejected = [];
+      mockRpcServer = {
+        getLedgerEntries: jest.fn().mockResolvedValue(instanceEntries()),
+        getAccount: jest.fn().mockResolvedValue(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), '100')),
+        getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+        // Rejects any transaction that pays a destination in `rejected`
+        simulateTransaction: jest.fn(async (transaction) => {
+          if (paidDestinations(transaction).some(destination => rejected.includes(destination))) {
+            return { _parsed: true, latestLedger: 1000, error: 'HostError: Error(Contract, #9)' };
+          }
+          return {
+            _parsed: true,
+            latestLedger: 1000,
+            minResourceFee: '100',
+            transactionData: new StellarSdk.SorobanDataBuilder(),
+            result: { auth: [], retval: StellarSdk.xdr.ScVal.scvVoid() },
+          };
+        }),
+        sendTransaction: jest.fn(async (transaction) => ({ status: 'PENDING', hash: transaction.hash().toString('hex') })),
+        getTransaction: jest.fn(async (hash) => ({ status: 'SUCCESS', txHash: hash })),
+      };
+      getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+      getXlmContractId.mockReturnValue(XLM_ID);
+      getTokenContract.mockImplementation((id) => new StellarSdk.Contract(id || XLM_ID));
+      // Confirm transactions without waiting between polls
+      jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
+    });
+
+    afterEach(() => {
+      global.setTimeout.mockRestore();
+    });
+
+    const rows = (text) => parseBatchCsv(text);
+
+    it('sends the valid rows in one transfer_batch and reports invalid ones', async () => {
+      const results = await sendBatchFromContractAccount(rows(`${ALICE},XLM,1\nnope,XLM,1\n${CAROL},XLM,2`), { rpcServer: mockRpcServer });
+
+      expect(mockRpcServer.sendTransaction).toHaveBeenCalledTimes(1);
+      const [transaction] = mockRpcServer.sendTransaction.mock.calls[0];
+      expect(invocation(transaction).functionName).toBe('transfer_batch');
+      expect(StellarSdk.scValToNative(invocation(transaction).args[0])).toEqual([
+        { amount: 10000000n, to: ALICE, token: XLM_ID },
+        { amount: 20000000n, to: CAROL, token: XLM_ID },
+      ]);
+
+      const hash = transaction.hash().toString('hex');
+      expect(results.map(({ line, status, hash: txHash, error }) => ({ line, status, txHash, error }))).toEqual([
+        { line: 1, status: 'sent', txHash: hash, error: null },
+        { line: 2, status: 'failed', txHash: null, error: 'Invalid destination: nope' },
+        { line: 3, status: 'sent', txHash: hash, error: null },
+      ]);
+    });
+
+    it('splits chunks to isolate the rows the simulation rejects', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      rejected = [BOB];
+
+      const results = await sendBatchFromContractAccount(rows(`${ALICE},XLM,1\n${BOB},XLM,1\n${CAROL},XLM,1`), { rpcServer: mockRpcServer });
+
+      expect(results.map(r => r.status)).toEqual(['sent', 'failed', 'sent']);
+      expect(results[1].error).toBe('Transaction simulation failed: Destination is not on the allow-list');
+      expect(mockRpcServer.sendTransaction.mock.calls.map(([tx]) => paidDestinations(tx))).toEqual([[ALICE], [CAROL]]);
+      // A lone row goes out as a plain transfer
+      expect(invocation(mockRpcServer.sendTransaction.mock.calls[0][0]).functionName).toBe('transfer');
+      console.error.mockRestore();
+    });
+
+    it('checks rows against the spending policy together', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries({ dailyXlm: 25000000n }));
+
+      const results = await sendBatchFromContractAccount(rows(`${ALICE},XLM,1\n${BOB},XLM,2\n${CAROL},XLM,0.5`), { rpcServer: mockRpcServer });
+
+      expect(results.map(r => r.status)).toEqual(['sent', 'failed', 'sent']);
+      expect(results[1].error).toBe('Amount exceeds the remaining daily limit');
+      expect(mockRpcServer.sendTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends one transfer per row from accounts without batch support', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries({ passkeys: false }));
+
+      const results = await sendBatchFromContractAccount(rows(`${ALICE},XLM,1\n${BOB},XLM,1`), { rpcServer: mockRpcServer });
+
+      expect(results.map(r => r.status)).toEqual(['sent', 'sent']);
+      expect(mockRpcServer.sendTransaction.mock.calls.map(([tx]) => invocation(tx).functionName)).toEqual(['transfer', 'transfer']);
+    });
+
+    it('fails the whole chunk when submission fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockRpcServer.sendTransaction.mockResolvedValue({
+        status: 'ERROR',
+        errorResult: new StellarSdk.xdr.TransactionResult({
+          feeCharged: StellarSdk.xdr.Int64.fromString('100'),
+          result: StellarSdk.xdr.TransactionResultResult.txBadSeq(),
+          ext: new StellarSdk.xdr.TransactionResultExt(0),
+        }),
+      });
+
+      const results = await sendBatchFromContractAccount(rows(`${ALICE},XLM,1\n${BOB},XLM,1`), { rpcServer: mockRpcServer });
+
+      const reason = 'Transaction failed: Another transaction was sent from this account at the same time; try again';
+      expect(results.map(r => r.error)).toEqual([reason, reason]);
+      expect(mockRpcServer.sendTransaction).toHaveBeenCalledTimes(1);
+      console.error.mockRestore();
+    });
+
+    it('reports the chunk as pending when the outcome is unknown', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      // The RPC stops answering once the transaction is submitted
+      mockRpcServer.getTransaction.mockRejectedValue(Object.assign(new Error('Network Error'), { isAxiosError: true }));
+
+      const results = await sendBatchFromContractAccount(rows(`${ALICE},XLM,1\n${BOB},XLM,1`), { rpcServer: mockRpcServer });
+
+      const hash = mockRpcServer.sendTransaction.mock.calls[0][0].hash().toString('hex');
+      expect(results.map(({ status, hash: txHash, error }) => ({ status, txHash, error }))).toEqual([
+        { status: 'pending', txHash: hash, error: 'Network Error' },
+        { status: 'pending', txHash: hash, error: 'Network Error' },
+      ]);
+      expect(getPendingTransactions()).toEqual([expect.objectContaining({ hash })]);
+      console.error.mockRestore();
+    });
+
+    it('does nothing when no row is valid', async () => {
+      const results = await sendBatchFromContractAccount(rows('nope,XLM,1'), { rpcServer: mockRpcServer });
+
+      expect(results[0].status).toBe('failed');
+      expect(mockRpcServer.getLedgerEntries).not.toHaveBeenCalled();
+    });
+
+    it('throws when no keypair is available', async () => {
+      getStoredKeypair.mockReturnValue(null);
+
+      await expect(sendBatchFromContractAccount(rows(`${ALICE},XLM,1`), { rpcServer: mockRpcServer }))
+        .rejects.toThrow('No keypair found in storage');
+    });
+  });
+});
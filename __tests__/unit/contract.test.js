@@ -1,6 +1,7 @@
 /**
  * Unit tests for contract deployment and account functions
- * Tests contractInstanceExists, deploySimpleAccount, sendFromContractAccount
+ * Tests contractInstanceExists, deploySimpleAccount, sendFromContractAccount,
+ * signer management, key rotation, passkeys, spending policies and session keys
  */
 
 import * as StellarSdk from '@stellar/stellar-sdk';
@@ -8,14 +9,44 @@ import {
   contractInstanceExists,
   deploySimpleAccount,
   sendFromContractAccount,
+  parseAccountSigners,
+  selectAccountSigners,
+  cosignersFromSecrets,
+  getAccountSigners,
+  addSigner,
+  removeSigner,
+  setSignerThreshold,
+  rotateOwner,
+  rotateAccountKey,
+  resumeOwnerRotation,
+  parseSpendingPolicy,
+  getRemainingAllowance,
+  assertWithinSpendingPolicy,
+  getSpendingPolicy,
+  setSpendingLimit,
+  setAllowList,
+  signContractAccountAuth,
+  parseSessionKeys,
+  getSessionKeys,
+  addSessionKey,
+  removeSessionKey,
+  addPasskey,
+  removePasskey,
 } from '@/utils/stellar/contract';
 import { deriveContractAddress } from '@/utils/stellar/helpers';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+import { saveSessionKey, getStoredSessionKeys } from '@/utils/stellar/session';
+import { setContractKey } from '@/utils/stellar/wallets';
+import { toBase64Url, fromBase64Url, savePasskey, getStoredPasskeys } from '@/utils/stellar/passkey';
 
 // Generate test keypairs
 const TEST_KEYPAIR = StellarSdk.Keypair.random();
 const TEST_PUBLIC_KEY = TEST_KEYPAIR.publicKey();
 const TEST_CONTRACT_ADDRESS = deriveContractAddress(TEST_PUBLIC_KEY);
 
+// Recent Soroban inclusion fees (getFeeStats)
+const FEE_STATS = { sorobanInclusionFee: { p10: '100', p50: '10000', p90: '50000' } };
+
 // Mock config
 jest.mock('@/utils/config', () => ({
   __esModule: true,
@@ -31,17 +62,28 @@ jest.mock('@/utils/config', () => ({
 // Mock keypair storage
 jest.mock('@/utils/stellar/keypair', () => ({
   getStoredKeypair: jest.fn(),
+  rotateWalletKey: jest.fn(),
+  resumeKeyRotation: jest.fn(),
 }));
 
 // Mock RPC module
 jest.mock('@/utils/stellar/rpc', () => ({
   createRpcServer: jest.fn(),
   getXlmContract: jest.fn(),
+  getTokenContract: jest.fn(),
+}));
+
+// Mock the browser side of passkeys
+jest.mock('@/utils/stellar/passkey', () => ({
+  ...jest.requireActual('@/utils/stellar/passkey'),
+  createPasskey: jest.fn(),
+  getPasskeyAssertion: jest.fn(),
 }));
 
 // Import mocked modules
-import { getStoredKeypair } from '@/utils/stellar/keypair';
-import { createRpcServer, getXlmContract } from '@/utils/stellar/rpc';
+import { getStoredKeypair, rotateWalletKey, resumeKeyRotation } from '@/utils/stellar/keypair';
+import { createRpcServer, getTokenContract } from '@/utils/stellar/rpc';
+import { createPasskey, getPasskeyAssertion } from '@/utils/stellar/passkey';
 
 describe('Contract Functions', () => {
   let mockRpcServer;
@@ -53,6 +95,7 @@ describe('Contract Functions', () => {
     mockRpcServer = {
       getLedgerEntries: jest.fn(),
       getAccount: jest.fn(),
+      getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
       simulateTransaction: jest.fn(),
       sendTransaction: jest.fn(),
       getTransaction: jest.fn(),
@@ -191,7 +234,7 @@ describe('Contract Functions', () => {
 
       // Mock XLM contract
       const mockXlmContract = new StellarSdk.Contract('CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC');
-      getXlmContract.mockReturnValue(mockXlmContract);
+      getTokenContract.mockReturnValue(mockXlmContract);
     });
 
     it('throws when no keypair is available', async () => {
@@ -273,6 +316,811 @@ describe('Contract Functions', () => {
 
       expect(mockRpcServer.simulateTransaction).toHaveBeenCalled();
     });
+
+    it('transfers the given token using its decimals', async () => {
+      const TOKEN_ID = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+      getTokenContract.mockReturnValue(new StellarSdk.Contract(TOKEN_ID));
+
+      mockRpcServer.getLedgerEntries.mockResolvedValue({
+        entries: [{}],
+        latestLedger: 12345,
+      });
+
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+      await expect(sendFromContractAccount(DESTINATION, '2.5', {
+        rpcServer: mockRpcServer,
+        keypair: TEST_KEYPAIR,
+        tokenContractId: TOKEN_ID,
+        decimals: 6,
+      })).rejects.toThrow();
+
+      expect(getTokenContract).toHaveBeenCalledWith(TOKEN_ID);
+      const tx = mockRpcServer.simulateTransaction.mock.calls[0][0];
+      const args = tx.operations[0].func.invokeContract().args();
+      expect(StellarSdk.scValToNative(args[2])).toBe(2500000n);
+    });
+  });
+});
+
+const dataKey = (name) => StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvSymbol(name)]);
+const entry = (key, val) => new StellarSdk.xdr.ScMapEntry({ key, val });
+
+const multisigStorage = (signers, threshold) => [
+  entry(dataKey('Signers'), StellarSdk.xdr.ScVal.scvVec(signers.map(kp => StellarSdk.xdr.ScVal.scvBytes(kp.rawPublicKey())))),
+  entry(dataKey('Threshold'), StellarSdk.xdr.ScVal.scvU32(threshold)),
+];
+
+const legacyStorage = (owner) => [
+  entry(dataKey('Owner'), StellarSdk.xdr.ScVal.scvBytes(owner.rawPublicKey())),
+];
+
+/**
+ * Build a getLedgerEntries response for a contract instance with the given storage
+ */
+const instanceEntries = (storage) => ({
+  entries: [{
+    val: StellarSdk.xdr.LedgerEntryData.contractData(new StellarSdk.xdr.ContractDataEntry({
+      ext: new StellarSdk.xdr.ExtensionPoint(0),
+      contract: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+      key: StellarSdk.xdr.ScVal.scvLedgerKeyContractInstance(),
+      durability: StellarSdk.xdr.ContractDataDurability.persistent(),
+      val: StellarSdk.xdr.ScVal.scvContractInstance(new StellarSdk.xdr.ScContractInstance({
+        executable: StellarSdk.xdr.ContractExecutable.contractExecutableWasm(Buffer.alloc(32)),
+        storage,
+      })),
+    })),
+  }],
+});
+
+describe('Multi-signer accounts', () => {
+  const SIGNER_A = StellarSdk.Keypair.random();
+  const SIGNER_B = StellarSdk.Keypair.random();
+
+  let mockRpcServer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRpcServer = {
+      getLedgerEntries: jest.fn(),
+      getAccount: jest.fn(),
+      getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+      simulateTransaction: jest.fn(),
+      sendTransaction: jest.fn(),
+    };
+    getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+  });
+
+  describe('parseAccountSigners', () => {
+    it('reads signers and threshold', () => {
+      expect(parseAccountSigners(multisigStorage([SIGNER_A, SIGNER_B], 2))).toEqual({
+        signers: [SIGNER_A.publicKey(), SIGNER_B.publicKey()],
+        threshold: 2,
+        multisig: true,
+        passkeys: null,
+      });
+    });
+
+    it('reads the owner of accounts deployed before multi-signer support', () => {
+      expect(parseAccountSigners(legacyStorage(SIGNER_A))).toEqual({
+        signers: [SIGNER_A.publicKey()],
+        threshold: 1,
+        multisig: false,
+        passkeys: null,
+      });
+    });
+
+    it('returns null for unknown storage', () => {
+      expect(parseAccountSigners([])).toBeNull();
+      expect(parseAccountSigners(undefined)).toBeNull();
+    });
+  });
+
+  describe('selectAccountSigners', () => {
+    const account = { signers: [TEST_PUBLIC_KEY, SIGNER_A.publicKey(), SIGNER_B.publicKey()], threshold: 2, multisig: true };
+
+    it('uses the single keypair for legacy accounts', () => {
+      expect(selectAccountSigners({ signers: [TEST_PUBLIC_KEY], threshold: 1, multisig: false }, TEST_KEYPAIR)).toBe(TEST_KEYPAIR);
+      expect(selectAccountSigners(null, TEST_KEYPAIR)).toBe(TEST_KEYPAIR);
+    });
+
+    it('rejects co-signers on legacy accounts', () => {
+      expect(() => selectAccountSigners(null, TEST_KEYPAIR, [SIGNER_A]))
+        .toThrow('This account does not support multiple signers');
+    });
+
+    it('combines the wallet keypair with co-signers', () => {
+      const signers = selectAccountSigners(account, TEST_KEYPAIR, [SIGNER_A, SIGNER_A]);
+      expect(signers.map(kp => kp.publicKey())).toEqual([TEST_PUBLIC_KEY, SIGNER_A.publicKey()]);
+    });
+
+    it('leaves out the wallet keypair once it is no longer a signer', () => {
+      const signers = selectAccountSigners({ ...account, signers: [SIGNER_A.publicKey(), SIGNER_B.publicKey()] }, TEST_KEYPAIR, [SIGNER_A, SIGNER_B]);
+      expect(signers.map(kp => kp.publicKey())).toEqual([SIGNER_A.publicKey(), SIGNER_B.publicKey()]);
+    });
+
+    it('rejects co-signers that are not signers', () => {
+      const stranger = StellarSdk.Keypair.random();
+      expect(() => selectAccountSigners(account, TEST_KEYPAIR, [stranger]))
+        .toThrow(`Not a signer of this account: ${stranger.publicKey()}`);
+    });
+
+    it('requires enough signatures to meet the threshold', () => {
+      expect(() => selectAccountSigners(account, TEST_KEYPAIR))
+        .toThrow('This account requires 2 signatures (1 provided)');
+    });
+  });
+
+  describe('cosignersFromSecrets', () => {
+    it('parses secret keys and skips blank lines', () => {
+      const cosigners = cosignersFromSecrets([SIGNER_A.secret(), '  ', ` ${SIGNER_B.secret()} `]);
+      expect(cosigners.map(kp => kp.publicKey())).toEqual([SIGNER_A.publicKey(), SIGNER_B.publicKey()]);
+    });
+
+    it('rejects invalid secret keys', () => {
+      expect(() => cosignersFromSecrets(['SNOTAKEY'])).toThrow('Invalid co-signer secret key');
+    });
+  });
+
+  describe('getAccountSigners', () => {
+    it('reads signers from the contract instance', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([SIGNER_A], 1)));
+
+      const account = await getAccountSigners(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+      expect(account).toEqual({ signers: [SIGNER_A.publicKey()], threshold: 1, multisig: true, passkeys: null });
+    });
+
+    it('returns null when the contract is not deployed', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue({ entries: [] });
+
+      expect(await getAccountSigners(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer })).toBeNull();
+    });
+  });
+
+  describe('signer management', () => {
+    it('rejects invalid signer public keys', async () => {
+      await expect(addSigner('GNOTAKEY', { rpcServer: mockRpcServer })).rejects.toThrow('Invalid signer public key');
+      await expect(removeSigner('', { rpcServer: mockRpcServer })).rejects.toThrow('Invalid signer public key');
+    });
+
+    it('rejects invalid thresholds', async () => {
+      await expect(setSignerThreshold(0, { rpcServer: mockRpcServer })).rejects.toThrow('Threshold must be a positive integer');
+      await expect(setSignerThreshold(1.5, { rpcServer: mockRpcServer })).rejects.toThrow('Threshold must be a positive integer');
+    });
+
+    it('refuses to manage signers of legacy accounts', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(legacyStorage(TEST_KEYPAIR)));
+
+      await expect(addSigner(SIGNER_A.publicKey(), { rpcServer: mockRpcServer }))
+        .rejects.toThrow('This account does not support multiple signers');
+    });
+
+    it('refuses when the contract is not deployed', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue({ entries: [] });
+
+      await expect(setSignerThreshold(2, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Contract account is not deployed');
+    });
+
+    it('invokes add_signer on the contract account', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([TEST_KEYPAIR], 1)));
+      mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+      await expect(addSigner(SIGNER_A.publicKey(), { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+
+      const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+      expect(StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString()).toBe(TEST_CONTRACT_ADDRESS);
+      expect(invoke.functionName().toString()).toBe('add_signer');
+      expect(Buffer.compare(invoke.args()[0].bytes(), SIGNER_A.rawPublicKey())).toBe(0);
+    });
+  });
+
+  describe('rotateOwner', () => {
+    it('rejects invalid or unchanged keys', async () => {
+      await expect(rotateOwner('GNOTAKEY', { rpcServer: mockRpcServer })).rejects.toThrow('Invalid new owner public key');
+      await expect(rotateOwner(TEST_PUBLIC_KEY, { rpcServer: mockRpcServer })).rejects.toThrow('The new key must differ from the current key');
+    });
+
+    it('signs with the rotated key for the original contract account', async () => {
+      setStorage(createMemoryStorage());
+      setContractKey(SIGNER_A.publicKey(), TEST_PUBLIC_KEY);
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([SIGNER_A], 1)));
+      mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(SIGNER_A.publicKey(), '100'));
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+      await expect(rotateOwner(SIGNER_B.publicKey(), { rpcServer: mockRpcServer, keypair: SIGNER_A }))
+        .rejects.toThrow('Transaction simulation failed');
+
+      const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+      expect(StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString()).toBe(TEST_CONTRACT_ADDRESS);
+      expect(invoke.functionName().toString()).toBe('rotate_owner');
+      expect(Buffer.compare(invoke.args()[0].bytes(), SIGNER_A.rawPublicKey())).toBe(0);
+      expect(Buffer.compare(invoke.args()[1].bytes(), SIGNER_B.rawPublicKey())).toBe(0);
+    });
+  });
+
+  describe('rotateAccountKey', () => {
+    const accountEntries = (numSubEntries) => ({
+      entries: [{ val: { account: () => ({ numSubEntries: () => numSubEntries }) } }],
+    });
+
+    it('refuses a classic account with trustlines before rotating', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(accountEntries(1));
+
+      await expect(rotateAccountKey({ password: 'pin', rpcServer: mockRpcServer }))
+        .rejects.toThrow(`Remove the trustlines and other entries of ${TEST_PUBLIC_KEY} first`);
+      expect(rotateWalletKey).not.toHaveBeenCalled();
+    });
+
+    it('rotates the contract account and then moves the classic account', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(accountEntries(0));
+      rotateWalletKey.mockResolvedValue({ keypair: SIGNER_B, mnemonic: 'words' });
+
+      expect(await rotateAccountKey({ password: 'pin', rpcServer: mockRpcServer }))
+        .toEqual({ keypair: SIGNER_B, mnemonic: 'words' });
+      expect(rotateWalletKey).toHaveBeenCalledWith(expect.any(Function), { password: 'pin' });
+    });
+  });
+
+  describe('resumeOwnerRotation', () => {
+    it('checks whether the contract account moved to the new key', async () => {
+      resumeKeyRotation.mockResolvedValue('completed');
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([SIGNER_A], 1)));
+
+      expect(await resumeOwnerRotation({ password: 'pin', rpcServer: mockRpcServer })).toBe('completed');
+
+      const [isRotated, options] = resumeKeyRotation.mock.calls[0];
+      expect(options).toEqual({ password: 'pin' });
+      expect(await isRotated(SIGNER_B.publicKey(), TEST_PUBLIC_KEY)).toBe(false);
+
+      mockRpcServer.getLedgerEntries.mockResolvedValue({ entries: [] });
+      expect(await isRotated(SIGNER_A.publicKey(), TEST_PUBLIC_KEY)).toBe(false);
+    });
+
+    it('moves the classic account once the contract account moved', async () => {
+      resumeKeyRotation.mockResolvedValue('completed');
+      await resumeOwnerRotation({ password: 'pin', rpcServer: mockRpcServer });
+      const [isRotated] = resumeKeyRotation.mock.calls[0];
+
+      mockRpcServer.getLedgerEntries
+        .mockResolvedValueOnce(instanceEntries(multisigStorage([SIGNER_A], 1)))
+        .mockResolvedValueOnce({ entries: [] });
+
+      expect(await isRotated(SIGNER_A.publicKey(), TEST_PUBLIC_KEY, TEST_KEYPAIR)).toBe(true);
+      const accountKey = mockRpcServer.getLedgerEntries.mock.calls[1][0];
+      expect(StellarSdk.StrKey.encodeEd25519PublicKey(accountKey.account().accountId().ed25519())).toBe(TEST_PUBLIC_KEY);
+      expect(mockRpcServer.sendTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Spending policy', () => {
+  const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+  const USDC_ID = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+  const DESTINATION = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+  const OTHER = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+  const NOW = 1750000000;
+  const DAY = Math.floor(NOW / 86400);
+  const WEEK = Math.floor(NOW / 604800);
+
+  const address = (value) => StellarSdk.Address.fromString(value).toScVal();
+  const i128 = (value) => (value === null ? StellarSdk.xdr.ScVal.scvVoid() : StellarSdk.nativeToScVal(value, { type: 'i128' }));
+  const u64 = (value) => StellarSdk.nativeToScVal(value, { type: 'u64' });
+  const struct = (fields) => StellarSdk.xdr.ScVal.scvMap(Object.keys(fields).sort().map(name =>
+    entry(StellarSdk.xdr.ScVal.scvSymbol(name), fields[name])));
+  const byToken = (values) => StellarSdk.xdr.ScVal.scvMap(Object.entries(values).map(([token, val]) => entry(address(token), val)));
+  const limit = (daily, weekly) => struct({ daily: i128(daily), weekly: i128(weekly) });
+
+  const policyStorage = ({ limits = {}, spending = {}, allowList = [], pendingLimits = {}, pendingAllowList = null } = {}) => [
+    ...multisigStorage([TEST_KEYPAIR], 1),
+    entry(dataKey('Limits'), byToken(limits)),
+    entry(dataKey('Spending'), byToken(spending)),
+    entry(dataKey('AllowList'), StellarSdk.xdr.ScVal.scvVec(allowList.map(address))),
+    entry(dataKey('PendingLimits'), byToken(pendingLimits)),
+    ...(pendingAllowList ? [entry(dataKey('PendingAllowList'), pendingAllowList)] : []),
+  ];
+
+  const spent = (day, daySpent, week, weekSpent) => struct({
+    day: u64(day), day_spent: i128(daySpent), week: u64(week), week_spent: i128(weekSpent),
+  });
+
+  let mockRpcServer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRpcServer = {
+      getLedgerEntries: jest.fn(),
+      getAccount: jest.fn(),
+      getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+      simulateTransaction: jest.fn(),
+      sendTransaction: jest.fn(),
+    };
+    getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+    getTokenContract.mockImplementation((id) => new StellarSdk.Contract(id || XLM_ID));
+  });
+
+  describe('parseSpendingPolicy', () => {
+    it('reads limits, spending and the allow-list', () => {
+      const policy = parseSpendingPolicy(policyStorage({
+        limits: { [XLM_ID]: limit(1000n, null) },
+        spending: { [XLM_ID]: spent(DAY, 400n, WEEK, 900n) },
+        allowList: [DESTINATION],
+      }), NOW);
+
+      expect(policy).toEqual({
+        limits: { [XLM_ID]: { daily: 1000n, weekly: null } },
+        spending: { [XLM_ID]: { day: DAY, daySpent: 400n, week: WEEK, weekSpent: 900n } },
+        allowList: [DESTINATION],
+        pendingLimits: {},
+        pendingAllowList: null,
+      });
+    });
+
+    it('applies pending changes whose delay has passed', () => {
+      const policy = parseSpendingPolicy(policyStorage({
+        limits: { [XLM_ID]: limit(1000n, null), [USDC_ID]: limit(5n, 10n) },
+        pendingLimits: {
+          [XLM_ID]: struct({ effective_at: u64(NOW - 1), limit: limit(null, null) }),
+          [USDC_ID]: struct({ effective_at: u64(NOW + 60), limit: limit(50n, null) }),
+        },
+        allowList: [DESTINATION],
+        pendingAllowList: struct({ destinations: StellarSdk.xdr.ScVal.scvVec([address(DESTINATION), address(OTHER)]), effective_at: u64(NOW - 1) }),
+      }), NOW);
+
+      expect(policy.limits).toEqual({ [USDC_ID]: { daily: 5n, weekly: 10n } });
+      expect(policy.pendingLimits).toEqual({ [USDC_ID]: { daily: 50n, weekly: null, effectiveAt: NOW + 60 } });
+      expect(policy.allowList).toEqual([DESTINATION, OTHER]);
+      expect(policy.pendingAllowList).toBeNull();
+    });
+  });
+
+  describe('getRemainingAllowance', () => {
+    const policy = {
+      limits: { [XLM_ID]: { daily: 1000n, weekly: 5000n } },
+      spending: { [XLM_ID]: { day: DAY, daySpent: 400n, week: WEEK, weekSpent: 4800n } },
+      allowList: [],
+    };
+
+    it('subtracts what was spent in the current day and week', () => {
+      expect(getRemainingAllowance(policy, XLM_ID, NOW)).toEqual({ daily: 600n, weekly: 200n });
+    });
+
+    it('restarts a period once it is over', () => {
+      expect(getRemainingAllowance(policy, XLM_ID, NOW + 86400)).toEqual({ daily: 1000n, weekly: 200n });
+    });
+
+    it('returns null for tokens without a limit', () => {
+      expect(getRemainingAllowance(policy, USDC_ID, NOW)).toBeNull();
+      expect(getRemainingAllowance(null, XLM_ID, NOW)).toBeNull();
+    });
+  });
+
+  describe('assertWithinSpendingPolicy', () => {
+    const policy = {
+      limits: { [XLM_ID]: { daily: 1000n, weekly: null } },
+      spending: {},
+      allowList: [DESTINATION],
+    };
+
+    it('accepts payments within the policy', () => {
+      expect(() => assertWithinSpendingPolicy(policy, XLM_ID, DESTINATION, 1000n, NOW)).not.toThrow();
+      expect(() => assertWithinSpendingPolicy(null, XLM_ID, OTHER, 10n ** 20n, NOW)).not.toThrow();
+    });
+
+    it('rejects destinations that are not on the allow-list', () => {
+      expect(() => assertWithinSpendingPolicy(policy, XLM_ID, OTHER, 1n, NOW))
+        .toThrow(`Destination is not on the allow-list: ${OTHER}`);
+    });
+
+    it('rejects amounts above the remaining allowance', () => {
+      expect(() => assertWithinSpendingPolicy(policy, XLM_ID, DESTINATION, 1001n, NOW))
+        .toThrow('Amount exceeds the remaining daily limit');
+    });
+  });
+
+  describe('getSpendingPolicy', () => {
+    it('returns null for accounts deployed before policy support', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(legacyStorage(TEST_KEYPAIR)));
+
+      expect(await getSpendingPolicy(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer })).toBeNull();
+    });
+
+    it('reads the policy from the contract instance', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(policyStorage({ allowList: [DESTINATION] })));
+
+      const policy = await getSpendingPolicy(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+      expect(policy.allowList).toEqual([DESTINATION]);
+    });
+  });
+
+  describe('sendFromContractAccount', () => {
+    it('refuses payments over the limit before simulating', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(policyStorage({
+        limits: { [XLM_ID]: limit(null, 10000000n) },
+      })));
+
+      await expect(sendFromContractAccount(DESTINATION, '1.5', { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Amount exceeds the remaining weekly limit');
+      expect(mockRpcServer.simulateTransaction).not.toHaveBeenCalled();
+    });
+
+    it('re-simulates with the signed auth entries', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(policyStorage()));
+      mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+
+      const authEntry = new StellarSdk.xdr.SorobanAuthorizationEntry({
+        credentials: StellarSdk.xdr.SorobanCredentials.sorobanCredentialsAddress(new StellarSdk.xdr.SorobanAddressCredentials({
+          address: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+          nonce: StellarSdk.xdr.Int64.fromString('1'),
+          signatureExpirationLedger: 0,
+          signature: StellarSdk.xdr.ScVal.scvVoid(),
+        })),
+        rootInvocation: new StellarSdk.xdr.SorobanAuthorizedInvocation({
+          function: StellarSdk.xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(new StellarSdk.xdr.InvokeContractArgs({
+            contractAddress: StellarSdk.Address.fromString(XLM_ID).toScAddress(),
+            functionName: 'transfer',
+            args: [],
+          })),
+          subInvocations: [],
+        }),
+      });
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValueOnce(true).mockReturnValueOnce(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ latestLedger: 1000, result: { auth: [authEntry] } });
+
+      await expect(sendFromContractAccount(DESTINATION, '1', { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Contract account rejected the transaction');
+
+      expect(mockRpcServer.simulateTransaction).toHaveBeenCalledTimes(2);
+      const [signed] = mockRpcServer.simulateTransaction.mock.calls[1][0].operations[0].auth;
+      expect(signed.credentials().address().signature().switch().name).toBe('scvVec');
+      expect(signed.credentials().address().signatureExpirationLedger()).toBe(1060);
+    });
+  });
+
+  describe('policy management', () => {
+    it('invokes set_limit with raw amounts and no weekly limit', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(policyStorage()));
+      mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+      await expect(setSpendingLimit(USDC_ID, { daily: '2.5', weekly: '' }, { decimals: 6, rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+
+      const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+      expect(invoke.functionName().toString()).toBe('set_limit');
+      expect(invoke.args().map(arg => StellarSdk.scValToNative(arg))).toEqual([USDC_ID, 2500000n, null]);
+    });
+
+    it('refuses policies on legacy accounts', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(legacyStorage(TEST_KEYPAIR)));
+
+      await expect(setSpendingLimit(null, { daily: '1' }, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('This account does not support spending policies');
+    });
+
+    it('rejects invalid allow-list destinations', async () => {
+      await expect(setAllowList([DESTINATION, 'GNOTAKEY'], { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Invalid destination address: GNOTAKEY');
+    });
+  });
+});
+
+describe('Session keys', () => {
+  const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+  const USDC_ID = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+  const DESTINATION = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+  const SESSION = StellarSdk.Keypair.random();
+
+  const address = (value) => StellarSdk.Address.fromString(value).toScVal();
+  const struct = (fields) => StellarSdk.xdr.ScVal.scvMap(Object.keys(fields).sort().map(name =>
+    entry(StellarSdk.xdr.ScVal.scvSymbol(name), fields[name])));
+
+  const tokenAmounts = (amounts) => StellarSdk.xdr.ScVal.scvMap(Object.entries(amounts).map(([token, amount]) =>
+    entry(address(token), StellarSdk.nativeToScVal(amount, { type: 'i128' }))));
+
+  const sessionStorage = ({ spendLimits = { [XLM_ID]: 100n }, spent = {}, expirationLedger = 5000 } = {}) => [
+    ...multisigStorage([TEST_KEYPAIR], 1),
+    entry(dataKey('SessionKeys'), StellarSdk.xdr.ScVal.scvMap([
+      entry(StellarSdk.xdr.ScVal.scvBytes(SESSION.rawPublicKey()), struct({
+        contracts: StellarSdk.xdr.ScVal.scvVec([address(XLM_ID)]),
+        expiration_ledger: StellarSdk.xdr.ScVal.scvU32(expirationLedger),
+        functions: StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvSymbol('transfer')]),
+        spend_limits: tokenAmounts(spendLimits),
+        spent: tokenAmounts(spent),
+      })),
+    ])),
+  ];
+
+  const transferEntry = (contract, amount) => new StellarSdk.xdr.SorobanAuthorizationEntry({
+    credentials: StellarSdk.xdr.SorobanCredentials.sorobanCredentialsAddress(new StellarSdk.xdr.SorobanAddressCredentials({
+      address: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+      nonce: StellarSdk.xdr.Int64.fromString('1'),
+      signatureExpirationLedger: 0,
+      signature: StellarSdk.xdr.ScVal.scvVoid(),
+    })),
+    rootInvocation: new StellarSdk.xdr.SorobanAuthorizedInvocation({
+      function: StellarSdk.xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(new StellarSdk.xdr.InvokeContractArgs({
+        contractAddress: StellarSdk.Address.fromString(contract).toScAddress(),
+        functionName: 'transfer',
+        args: [address(TEST_CONTRACT_ADDRESS), address(DESTINATION), StellarSdk.nativeToScVal(amount, { type: 'i128' })],
+      })),
+      subInvocations: [],
+    }),
+  });
+
+  const signersOf = (auth) => StellarSdk.scValToNative(auth.credentials().address().signature())
+    .map(sig => StellarSdk.StrKey.encodeEd25519PublicKey(sig.public_key));
+
+  let mockRpcServer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setStorage(createMemoryStorage());
+    mockRpcServer = {
+      getLedgerEntries: jest.fn(),
+      getLatestLedger: jest.fn().mockResolvedValue({ sequence: 1000 }),
+      getAccount: jest.fn(),
+      getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+      simulateTransaction: jest.fn(),
+      sendTransaction: jest.fn(),
+    };
+    getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+  });
+
+  describe('parseSessionKeys', () => {
+    it('reads session keys with their scope', () => {
+      expect(parseSessionKeys(sessionStorage({ spent: { [XLM_ID]: 25n } }))).toEqual([{
+        publicKey: SESSION.publicKey(),
+        contracts: [XLM_ID],
+        functions: ['transfer'],
+        spendLimits: { [XLM_ID]: 100n },
+        spent: { [XLM_ID]: 25n },
+        expirationLedger: 5000,
+      }]);
+    });
+
+    it('is empty for accounts without session keys', () => {
+      expect(parseSessionKeys(multisigStorage([TEST_KEYPAIR], 1))).toEqual([]);
+    });
+  });
+
+  describe('getSessionKeys', () => {
+    it('flags expired keys and keys held in this wallet', async () => {
+      await saveSessionKey(SESSION, TEST_CONTRACT_ADDRESS, TEST_KEYPAIR);
+      mockRpcServer.getLedgerEntries.mockResolvedValue({ ...instanceEntries(sessionStorage({ expirationLedger: 900 })), latestLedger: 1000 });
+
+      const [session] = await getSessionKeys(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+      expect(session).toMatchObject({ publicKey: SESSION.publicKey(), expired: true, held: true });
+    });
+
+    it('returns null for legacy accounts', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(legacyStorage(TEST_KEYPAIR)));
+
+      expect(await getSessionKeys(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer })).toBeNull();
+    });
+  });
+
+  describe('signContractAccountAuth', () => {
+    it('signs with a held session key when the invocation is in scope', async () => {
+      await saveSessionKey(SESSION, TEST_CONTRACT_ADDRESS, TEST_KEYPAIR);
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(sessionStorage()));
+
+      const { authEntries } = await signContractAccountAuth([transferEntry(XLM_ID, 50n)], 1100, { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR });
+
+      expect(signersOf(authEntries[0])).toEqual([SESSION.publicKey()]);
+    });
+
+    it('falls back to the account signers when out of scope', async () => {
+      await saveSessionKey(SESSION, TEST_CONTRACT_ADDRESS, TEST_KEYPAIR);
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(sessionStorage()));
+
+      const overLimit = await signContractAccountAuth([transferEntry(XLM_ID, 101n)], 1100, { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR });
+      const otherToken = await signContractAccountAuth([transferEntry(USDC_ID, 1n)], 1100, { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR });
+
+      expect(signersOf(overLimit.authEntries[0])).toEqual([TEST_PUBLIC_KEY]);
+      expect(signersOf(otherToken.authEntries[0])).toEqual([TEST_PUBLIC_KEY]);
+    });
+  });
+
+  describe('session key management', () => {
+    it('validates the scope', async () => {
+      await expect(addSessionKey({ contracts: [], durationLedgers: 10 }, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('A session key needs at least one contract');
+      await expect(addSessionKey({ contracts: [DESTINATION], durationLedgers: 10 }, { rpcServer: mockRpcServer }))
+        .rejects.toThrow(`Invalid contract address: ${DESTINATION}`);
+      await expect(addSessionKey({ contracts: [XLM_ID], functions: ['trans fer'], durationLedgers: 10 }, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Invalid function name: trans fer');
+      await expect(addSessionKey({ contracts: [XLM_ID], durationLedgers: 0 }, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Session duration must be a positive number of ledgers');
+      await expect(addSessionKey({ contracts: [XLM_ID], spendLimits: { [USDC_ID]: '5' }, durationLedgers: 10 }, { rpcServer: mockRpcServer }))
+        .rejects.toThrow(`A spend limit must be for one of the contracts: ${USDC_ID}`);
+    });
+
+    it('stores the key and invokes add_session_key', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([TEST_KEYPAIR], 1)));
+      mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+      await expect(addSessionKey(
+        { contracts: [XLM_ID], functions: ['transfer'], spendLimits: { [XLM_ID]: '1.5' }, durationLedgers: 720 },
+        { rpcServer: mockRpcServer }
+      )).rejects.toThrow('Transaction simulation failed');
+
+      const [held] = getStoredSessionKeys();
+      expect(held.account).toBe(TEST_CONTRACT_ADDRESS);
+
+      const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+      expect(invoke.functionName().toString()).toBe('add_session_key');
+      const [publicKey, ...scope] = invoke.args().map(arg => StellarSdk.scValToNative(arg));
+      expect(StellarSdk.StrKey.encodeEd25519PublicKey(publicKey)).toBe(held.publicKey);
+      expect(scope).toEqual([[XLM_ID], ['transfer'], { [XLM_ID]: 15000000n }, 1720]);
+    });
+
+    it('limits each token in its own decimals, ordered by address', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([TEST_KEYPAIR], 1)));
+      mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+      mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+      await expect(addSessionKey({
+        contracts: [XLM_ID, USDC_ID],
+        spendLimits: { [XLM_ID]: '1.5', [USDC_ID]: '2' },
+        decimals: { [USDC_ID]: 6 },
+        durationLedgers: 720,
+      }, { rpcServer: mockRpcServer })).rejects.toThrow('Transaction simulation failed');
+
+      const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+      const limits = invoke.args()[3].map();
+      expect(limits.map(e => StellarSdk.Address.fromScVal(e.key()).toString())).toEqual([USDC_ID, XLM_ID]);
+      expect(StellarSdk.scValToNative(invoke.args()[3])).toEqual({ [XLM_ID]: 15000000n, [USDC_ID]: 2000000n });
+    });
+
+    it('rejects invalid session public keys', async () => {
+      await expect(removeSessionKey('GNOTAKEY', { rpcServer: mockRpcServer })).rejects.toThrow('Invalid session public key');
+    });
+
+    it('refuses session keys on legacy accounts', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(legacyStorage(TEST_KEYPAIR)));
+
+      await expect(removeSessionKey(SESSION.publicKey(), { rpcServer: mockRpcServer }))
+        .rejects.toThrow('This account does not support session keys');
+    });
+  });
+});
+
+describe('Passkeys', () => {
+  const CREDENTIAL_ID = Buffer.from('credential-1');
+  const PASSKEY_PUBLIC_KEY = Buffer.concat([Buffer.from([4]), Buffer.alloc(64, 9)]);
+  const RP_ID_HASH = Buffer.alloc(32, 7);
+
+  const passkeyStorage = (threshold, signers = [TEST_KEYPAIR]) => [
+    ...multisigStorage(signers, threshold),
+    entry(dataKey('Passkeys'), StellarSdk.xdr.ScVal.scvMap([
+      entry(StellarSdk.xdr.ScVal.scvBytes(CREDENTIAL_ID), StellarSdk.xdr.ScVal.scvMap([
+        entry(StellarSdk.xdr.ScVal.scvSymbol('public_key'), StellarSdk.xdr.ScVal.scvBytes(PASSKEY_PUBLIC_KEY)),
+        entry(StellarSdk.xdr.ScVal.scvSymbol('rp_id_hash'), StellarSdk.xdr.ScVal.scvBytes(RP_ID_HASH)),
+      ])),
+    ])),
+  ];
+
+  const accountEntry = () => new StellarSdk.xdr.SorobanAuthorizationEntry({
+    credentials: StellarSdk.xdr.SorobanCredentials.sorobanCredentialsAddress(new StellarSdk.xdr.SorobanAddressCredentials({
+      address: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+      nonce: StellarSdk.xdr.Int64.fromString('1'),
+      signatureExpirationLedger: 0,
+      signature: StellarSdk.xdr.ScVal.scvVoid(),
+    })),
+    rootInvocation: new StellarSdk.xdr.SorobanAuthorizedInvocation({
+      function: StellarSdk.xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(new StellarSdk.xdr.InvokeContractArgs({
+        contractAddress: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+        functionName: 'set_threshold',
+        args: [StellarSdk.xdr.ScVal.scvU32(1)],
+      })),
+      subInvocations: [],
+    }),
+  });
+
+  let mockRpcServer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setStorage(createMemoryStorage());
+    mockRpcServer = {
+      getLedgerEntries: jest.fn(),
+      getAccount: jest.fn(),
+      getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+      simulateTransaction: jest.fn(),
+      sendTransaction: jest.fn(),
+    };
+    getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+    getPasskeyAssertion.mockImplementation(async (payload, credentialId) => ({
+      credentialId: fromBase64Url(credentialId),
+      authenticatorData: Buffer.alloc(37, 1),
+      clientDataJSON: Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge: toBase64Url(payload) })),
+      signature: Buffer.alloc(64, 2),
+    }));
+  });
+
+  it('reads passkeys of accounts that support them', () => {
+    expect(parseAccountSigners(passkeyStorage(1)).passkeys).toEqual([
+      { credentialId: toBase64Url(CREDENTIAL_ID), publicKey: PASSKEY_PUBLIC_KEY, rpIdHash: RP_ID_HASH },
+    ]);
+  });
+
+  it('marks passkeys this wallet registered', async () => {
+    savePasskey({ credentialId: toBase64Url(CREDENTIAL_ID), name: 'laptop' }, TEST_CONTRACT_ADDRESS);
+    mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(passkeyStorage(1)));
+
+    const account = await getAccountSigners(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+    expect(account.passkeys[0]).toMatchObject({ held: true, name: 'laptop' });
+  });
+
+  it('only uses held passkeys to make up for missing keys', () => {
+    const account = parseAccountSigners(passkeyStorage(2));
+    const held = [{ credentialId: toBase64Url(CREDENTIAL_ID) }, { credentialId: 'unregistered' }];
+
+    expect(selectAccountSigners({ ...account, threshold: 1 }, TEST_KEYPAIR, [], held)).toEqual([TEST_KEYPAIR]);
+    expect(selectAccountSigners(account, TEST_KEYPAIR, [], held)).toEqual([TEST_KEYPAIR, held[0]]);
+    expect(() => selectAccountSigners(account, TEST_KEYPAIR, [], held.slice(1)))
+      .toThrow('This account requires 2 signatures (1 provided)');
+  });
+
+  it('signs auth entries with a passkey assertion of the payload', async () => {
+    savePasskey({ credentialId: toBase64Url(CREDENTIAL_ID), name: 'laptop' }, TEST_CONTRACT_ADDRESS);
+    mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(passkeyStorage(2)));
+
+    const { authEntries, signatureCount } = await signContractAccountAuth([accountEntry()], 1100, { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR });
+
+    const signatures = authEntries[0].credentials().address().signature().vec();
+    expect(signatureCount).toBe(2);
+    expect(signatures.map(sig => sig.vec()[0].sym().toString())).toEqual(['Ed25519', 'WebAuthn']);
+    expect(getPasskeyAssertion).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to create a passkey for accounts without support', async () => {
+    mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(multisigStorage([TEST_KEYPAIR], 1)));
+
+    await expect(addPasskey('laptop', { rpcServer: mockRpcServer })).rejects.toThrow('This account does not support passkeys');
+    expect(createPasskey).not.toHaveBeenCalled();
+  });
+
+  it('invokes add_passkey with the new credential', async () => {
+    createPasskey.mockResolvedValue({ credentialId: toBase64Url(CREDENTIAL_ID), publicKey: PASSKEY_PUBLIC_KEY, rpIdHash: RP_ID_HASH });
+    mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(passkeyStorage(1)));
+    mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+    jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+    mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+    await expect(addPasskey('laptop', { rpcServer: mockRpcServer })).rejects.toThrow('Transaction simulation failed');
+
+    const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+    expect(invoke.functionName().toString()).toBe('add_passkey');
+    expect(invoke.args().map(arg => arg.bytes())).toEqual([CREDENTIAL_ID, PASSKEY_PUBLIC_KEY, RP_ID_HASH]);
+    expect(getStoredPasskeys()).toEqual([]);
+  });
+
+  it('invokes remove_passkey', async () => {
+    mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(passkeyStorage(1)));
+    mockRpcServer.getAccount.mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100'));
+    jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+    mockRpcServer.simulateTransaction.mockResolvedValue({ error: 'test' });
+
+    await expect(removePasskey(toBase64Url(CREDENTIAL_ID), { rpcServer: mockRpcServer })).rejects.toThrow('Transaction simulation failed');
+
+    const invoke = mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+    expect(invoke.functionName().toString()).toBe('remove_passkey');
+    expect(invoke.args()[0].bytes()).toEqual(CREDENTIAL_ID);
   });
 });
 
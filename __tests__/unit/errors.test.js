@@ -0,0 +1,223 @@
+/**
+ * Unit tests for failure reasons
+ * Tests decoding of host errors, diagnostic events, simulation errors and
+ * TransactionResult XDR into readable messages
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  describeHostError,
+  describeDiagnosticEvents,
+  isSimulationFailure,
+  describeSimulationError,
+  describeTransactionResult,
+  describeTransactionFailure,
+} from '@/utils/stellar/errors';
+
+const { xdr } = StellarSdk;
+const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+
+/**
+ * Build a diagnostic event emitted by the XLM contract
+ */
+const diagnosticEvent = (topics, data = xdr.ScVal.scvVoid()) => new xdr.DiagnosticEvent({
+  inSuccessfulContractCall: false,
+  event: new xdr.ContractEvent({
+    ext: new xdr.ExtensionPoint(0),
+    contractId: StellarSdk.StrKey.decodeContract(XLM_ID),
+    type: xdr.ContractEventType.diagnostic(),
+    body: new xdr.ContractEventBody(0, new xdr.ContractEventV0({ topics, data })),
+  }),
+});
+
+/**
+ * Build a diagnostic error event
+ */
+const errorEvent = (scError, data) => diagnosticEvent([xdr.ScVal.scvSymbol('error'), xdr.ScVal.scvError(scError)], data);
+
+const fnCallEvent = diagnosticEvent([xdr.ScVal.scvSymbol('fn_call'), xdr.ScVal.scvSymbol('transfer')]);
+
+/**
+ * Build a TransactionResult with the given outcome
+ */
+const transactionResult = (result) => new xdr.TransactionResult({
+  feeCharged: xdr.Int64.fromString('100'),
+  result,
+  ext: new xdr.TransactionResultExt(0),
+});
+
+const invokeResult = (result) => xdr.OperationResult.opInner(xdr.OperationResultTr.invokeHostFunction(result));
+
+describe('Failure reasons', () => {
+  describe('describeHostError', () => {
+    it('translates messages of the Stellar Asset Contract and the host', () => {
+      expect(describeHostError('Contract', 10, 'balance is not sufficient to spend')).toBe('Insufficient balance');
+      expect(describeHostError('Auth', 'InvalidInput', 'signature has expired')).toBe('The signature has expired; sign and send again');
+    });
+
+    it('reads contract errors without a message as contract account errors', () => {
+      expect(describeHostError('Contract', 8)).toBe('Amount exceeds the spending limit');
+      expect(describeHostError('Contract', 99)).toBe('Contract error #99');
+    });
+
+    it('keeps contract messages it does not know', () => {
+      expect(describeHostError('Contract', 9, 'operation invalid on issuer')).toBe('operation invalid on issuer');
+    });
+
+    it('describes host errors by type and code', () => {
+      expect(describeHostError('Auth', 'InvalidAction')).toBe('The transaction is missing a required authorization');
+      expect(describeHostError('Storage', 'MissingValue')).toMatch(/may need to be restored/);
+      expect(describeHostError('Value', 'UnexpectedType')).toBe('Error(Value, UnexpectedType)');
+    });
+  });
+
+  describe('describeDiagnosticEvents', () => {
+    it('describes the first error event', () => {
+      const events = [
+        fnCallEvent,
+        errorEvent(xdr.ScError.sceContract(10), xdr.ScVal.scvVec([
+          xdr.ScVal.scvString('balance is not sufficient to spend'),
+          xdr.ScVal.scvI32(1),
+        ])),
+        errorEvent(xdr.ScError.sceAuth(xdr.ScErrorCode.scecInvalidAction())),
+      ];
+
+      expect(describeDiagnosticEvents(events)).toBe('Insufficient balance');
+    });
+
+    it('reads string messages and host error codes', () => {
+      expect(describeDiagnosticEvents([
+        errorEvent(xdr.ScError.sceAuth(xdr.ScErrorCode.scecExistingValue()), xdr.ScVal.scvString('nonce already exists for address')),
+      ])).toBe('The signature was already used; sign and send again');
+      expect(describeDiagnosticEvents([errorEvent(xdr.ScError.sceBudget(xdr.ScErrorCode.scecExceededLimit()))]))
+        .toBe('The contract call exceeds the network resource limits');
+    });
+
+    it('returns null without error events', () => {
+      expect(describeDiagnosticEvents([fnCallEvent])).toBeNull();
+      expect(describeDiagnosticEvents(undefined)).toBeNull();
+    });
+  });
+
+  describe('isSimulationFailure', () => {
+    const success = { _parsed: true, latestLedger: 1, transactionData: new StellarSdk.SorobanDataBuilder(), minResourceFee: '100', result: {} };
+
+    it('accepts successful simulations', () => {
+      expect(isSimulationFailure(success)).toBe(false);
+    });
+
+    it('rejects errors and simulations that need a restore', () => {
+      expect(isSimulationFailure({ _parsed: true, latestLedger: 1, error: 'boom' })).toBe(true);
+      expect(isSimulationFailure({
+        ...success,
+        restorePreamble: { minResourceFee: '100', transactionData: new StellarSdk.SorobanDataBuilder() },
+      })).toBe(true);
+    });
+  });
+
+  describe('describeSimulationError', () => {
+    it('asks for a restore when entries are archived', () => {
+      const simulation = {
+        _parsed: true,
+        latestLedger: 1,
+        transactionData: new StellarSdk.SorobanDataBuilder(),
+        minResourceFee: '100',
+        result: {},
+        restorePreamble: { minResourceFee: '100', transactionData: new StellarSdk.SorobanDataBuilder() },
+      };
+
+      expect(describeSimulationError(simulation)).toBe('Some contract data is archived and must be restored first');
+    });
+
+    it('prefers the diagnostic events', () => {
+      const simulation = {
+        error: 'HostError: Error(Auth, InvalidAction)',
+        events: [errorEvent(xdr.ScError.sceContract(11))],
+      };
+
+      expect(describeSimulationError(simulation)).toBe('The session key has expired');
+    });
+
+    it('reads the root cause from the event log of the error', () => {
+      const simulation = {
+        error: [
+          'HostError: Error(Auth, InvalidAction)',
+          '',
+          'Event log (newest first):',
+          '   0: [Diagnostic Event] topics:[error, Error(Auth, InvalidAction)], data:"escalating error to panic"',
+          '   1: [Diagnostic Event] contract:CABC, topics:[error, Error(Contract, #9)], data:[]',
+        ].join('\n'),
+        events: [],
+      };
+
+      expect(describeSimulationError(simulation)).toBe('Destination is not on the allow-list');
+    });
+
+    it('falls back to the first line of the error', () => {
+      expect(describeSimulationError({ error: 'invalid transaction\ndetails' })).toBe('invalid transaction');
+      expect(describeSimulationError({})).toBe('Unknown simulation error');
+    });
+  });
+
+  describe('describeTransactionResult', () => {
+    it('describes transaction result codes', () => {
+      const result = transactionResult(xdr.TransactionResultResult.txInsufficientFee());
+
+      expect(describeTransactionResult(result)).toBe('The fee is too low for current network demand');
+      expect(describeTransactionResult(result.toXDR('base64'))).toBe('The fee is too low for current network demand');
+    });
+
+    it('describes the failed operation', () => {
+      const result = transactionResult(xdr.TransactionResultResult.txFailed([
+        invokeResult(xdr.InvokeHostFunctionResult.invokeHostFunctionEntryArchived()),
+      ]));
+
+      expect(describeTransactionResult(result)).toBe('Some contract data is archived and must be restored first');
+      expect(describeTransactionResult(transactionResult(xdr.TransactionResultResult.txFailed([xdr.OperationResult.opBadAuth()]))))
+        .toBe('An operation signature is missing or invalid');
+    });
+
+    it('describes the inner result of a fee bump', () => {
+      const result = transactionResult(xdr.TransactionResultResult.txFeeBumpInnerFailed(new xdr.InnerTransactionResultPair({
+        transactionHash: Buffer.alloc(32),
+        result: new xdr.InnerTransactionResult({
+          feeCharged: xdr.Int64.fromString('100'),
+          result: xdr.InnerTransactionResultResult.txBadSeq(),
+          ext: new xdr.InnerTransactionResultExt(0),
+        }),
+      })));
+
+      expect(describeTransactionResult(result)).toBe('Another transaction was sent from this account at the same time; try again');
+    });
+  });
+
+  describe('describeTransactionFailure', () => {
+    const trapped = transactionResult(xdr.TransactionResultResult.txFailed([
+      invokeResult(xdr.InvokeHostFunctionResult.invokeHostFunctionTrapped()),
+    ]));
+
+    it('prefers the diagnostic events of a rejected submission', () => {
+      const response = {
+        status: 'ERROR',
+        errorResult: trapped,
+        diagnosticEvents: [errorEvent(xdr.ScError.sceContract(1))],
+      };
+
+      expect(describeTransactionFailure(response)).toBe('Not enough signatures to authorize this transaction');
+    });
+
+    it('reads the result of a failed transaction', () => {
+      expect(describeTransactionFailure({ status: 'FAILED', resultXdr: trapped })).toBe('The contract call failed');
+      expect(describeTransactionFailure({
+        status: 'FAILED',
+        resultXdr: trapped,
+        diagnosticEventsXdr: [errorEvent(xdr.ScError.sceAuth(xdr.ScErrorCode.scecInvalidAction()))],
+      })).toBe('The transaction is missing a required authorization');
+    });
+
+    it('falls back when there is nothing to decode', () => {
+      expect(describeTransactionFailure({ status: 'ERROR' })).toBe('Unknown error');
+      expect(describeTransactionFailure({ status: 'ERROR', errorResult: 'not xdr' })).toBe('not xdr');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the fee strategy
+ * Tests fee presets, the saved fee settings and the fee bumps that replace
+ * stalled transactions
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  selectInclusionFee,
+  getInclusionFeeRate,
+  buildFeeBump,
+  getMaxFeeBumpFee,
+  getFeeSettings,
+  setFeeSettings,
+  getFeeEstimates,
+  getInclusionFee,
+  DEFAULT_INCLUSION_FEE,
+} from '@/utils/stellar/fees';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+
+const TEST_KEYPAIR = StellarSdk.Keypair.random();
+const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const NETWORK_PASSPHRASE = 'Test SDF Network ; September 2015';
+
+// Recent Soroban inclusion fees (getFeeStats)
+const FEE_STATS = {
+  sorobanInclusionFee: { p10: '50', p50: '1000', p90: '25000' },
+  inclusionFee: { p10: '100', p50: '100', p90: '100' },
+};
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+}));
+
+/**
+ * Build a signed Soroban transaction with the given total and resource fees
+ */
+const sorobanTransaction = ({ fee = '1100', resourceFee = 1000 } = {}) => {
+  const transaction = new StellarSdk.TransactionBuilder(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), '100'), {
+    fee,
+    networkPassphrase: NETWORK_PASSPHRASE,
+  })
+    .addOperation(new StellarSdk.Contract(XLM_ID).call('decimals'))
+    .setSorobanData(new StellarSdk.SorobanDataBuilder().setResourceFee(resourceFee).build())
+    .setTimeout(30)
+    .build();
+  transaction.sign(TEST_KEYPAIR);
+  return transaction;
+};
+
+describe('Fees', () => {
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+  });
+
+  describe('selectInclusionFee', () => {
+    it('bids the preset percentile of Soroban inclusion fees', () => {
+      expect(selectInclusionFee(FEE_STATS, 'normal')).toBe('1000');
+      expect(selectInclusionFee(FEE_STATS, 'high')).toBe('25000');
+      expect(selectInclusionFee(FEE_STATS)).toBe('1000');
+    });
+
+    it('never bids below the network minimum', () => {
+      expect(selectInclusionFee(FEE_STATS, 'low')).toBe(StellarSdk.BASE_FEE);
+    });
+
+    it('rejects unknown presets', () => {
+      expect(() => selectInclusionFee(FEE_STATS, 'urgent')).toThrow('Unknown fee preset: urgent');
+    });
+  });
+
+  describe('getInclusionFeeRate', () => {
+    it('excludes the resource fee', () => {
+      expect(getInclusionFeeRate(sorobanTransaction({ fee: '1500', resourceFee: 1000 }))).toBe(500n);
+    });
+  });
+
+  describe('buildFeeBump', () => {
+    it('wraps the transaction in a fee bump signed by the fee source', () => {
+      const transaction = sorobanTransaction({ fee: '1100', resourceFee: 1000 });
+
+      const feeBump = buildFeeBump(transaction, TEST_KEYPAIR, '5000');
+
+      expect(feeBump).toBeInstanceOf(StellarSdk.FeeBumpTransaction);
+      expect(feeBump.feeSource).toBe(TEST_KEYPAIR.publicKey());
+      expect(feeBump.innerTransaction.hash()).toEqual(transaction.hash());
+      // Two "operations" (the inner one and the fee bump) at 5000 plus the resource fee
+      expect(feeBump.fee).toBe('11000');
+      expect(TEST_KEYPAIR.verify(feeBump.hash(), feeBump.signatures[0].signature())).toBe(true);
+    });
+
+    it('offers at least ten times the current rate so it replaces the pending transaction', () => {
+      const transaction = sorobanTransaction({ fee: '3000', resourceFee: 1000 });
+
+      const feeBump = buildFeeBump(transaction, TEST_KEYPAIR, '100');
+
+      expect(feeBump.fee).toBe(String(20000 * 2 + 1000));
+    });
+  });
+
+  describe('getMaxFeeBumpFee', () => {
+    it('counts the bump rate twice plus the resource fee', () => {
+      expect(getMaxFeeBumpFee(1000n, 100n, '25000')).toBe(25000n * 2n + 1000n);
+    });
+
+    it('uses the replacement rate when the bid is lower', () => {
+      expect(getMaxFeeBumpFee(1000n, 5000n, '25000')).toBe(50000n * 2n + 1000n);
+    });
+  });
+
+  describe('fee settings', () => {
+    it('defaults to the normal preset without an override or fee bumps', () => {
+      expect(getFeeSettings()).toEqual({ preset: 'normal', inclusionFee: null, autoBump: false });
+    });
+
+    it('saves the preset and override', () => {
+      expect(setFeeSettings({ preset: 'high', inclusionFee: ' 2000 ', autoBump: true })).toEqual({ preset: 'high', inclusionFee: '2000', autoBump: true });
+      expect(getFeeSettings()).toEqual({ preset: 'high', inclusionFee: '2000', autoBump: true });
+
+      setFeeSettings({ preset: 'low', inclusionFee: '' });
+      expect(getFeeSettings()).toEqual({ preset: 'low', inclusionFee: null, autoBump: false });
+    });
+
+    it('rejects unknown presets and invalid overrides', () => {
+      expect(() => setFeeSettings({ preset: 'urgent' })).toThrow('Unknown fee preset: urgent');
+      expect(() => setFeeSettings({ inclusionFee: '1.5' })).toThrow(/whole number of stroops of at least 100/);
+      expect(() => setFeeSettings({ inclusionFee: '99' })).toThrow(/at least 100/);
+      expect(getFeeSettings()).toEqual({ preset: 'normal', inclusionFee: null, autoBump: false });
+    });
+  });
+
+  describe('getFeeEstimates', () => {
+    it('returns the fee of every preset', async () => {
+      const rpcServer = { getFeeStats: jest.fn().mockResolvedValue(FEE_STATS) };
+
+      await expect(getFeeEstimates({ rpcServer })).resolves.toEqual({ low: '100', normal: '1000', high: '25000' });
+    });
+  });
+
+  describe('getInclusionFee', () => {
+    let rpcServer;
+
+    beforeEach(() => {
+      rpcServer = { getFeeStats: jest.fn().mockResolvedValue(FEE_STATS) };
+    });
+
+    it('applies the saved preset to network fees', async () => {
+      setFeeSettings({ preset: 'high' });
+
+      await expect(getInclusionFee({ rpcServer })).resolves.toBe('25000');
+    });
+
+    it('uses the override without reading network fees', async () => {
+      setFeeSettings({ preset: 'low', inclusionFee: '777' });
+
+      await expect(getInclusionFee({ rpcServer })).resolves.toBe('777');
+      expect(rpcServer.getFeeStats).not.toHaveBeenCalled();
+    });
+
+    it('uses an explicit preset over the override', async () => {
+      setFeeSettings({ inclusionFee: '777' });
+
+      await expect(getInclusionFee({ rpcServer, preset: 'high' })).resolves.toBe('25000');
+    });
+
+    it('falls back to the default fee when network fees cannot be read', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      rpcServer.getFeeStats.mockRejectedValue(new Error('RPC unavailable'));
+
+      await expect(getInclusionFee({ rpcServer })).resolves.toBe(DEFAULT_INCLUSION_FEE);
+      console.error.mockRestore();
+    });
+  });
+});
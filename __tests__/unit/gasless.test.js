@@ -59,6 +59,42 @@ describe('Gasless Transfer Functions', () => {
     });
   });
 
+  describe('describeChannelsFailure', () => {
+    const trapped = new StellarSdk.xdr.TransactionResult({
+      feeCharged: StellarSdk.xdr.Int64.fromString('100'),
+      result: StellarSdk.xdr.TransactionResultResult.txFailed([
+        StellarSdk.xdr.OperationResult.opInner(StellarSdk.xdr.OperationResultTr.invokeHostFunction(
+          StellarSdk.xdr.InvokeHostFunctionResult.invokeHostFunctionTrapped()
+        )),
+      ]),
+      ext: new StellarSdk.xdr.TransactionResultExt(0),
+    }).toXDR('base64');
+
+    it('describes the result XDR of a failed submission', () => {
+      const { describeChannelsFailure } = require('@/utils/stellar/gasless');
+      const error = Object.assign(new Error('Transaction failed'), {
+        errorDetails: { code: 'ONCHAIN_FAILED', details: { status: 'failed', resultXdr: trapped } },
+      });
+
+      expect(describeChannelsFailure(error)).toBe('The contract call failed');
+      expect(describeChannelsFailure({ status: 'failed', resultXdr: trapped })).toBe('The contract call failed');
+    });
+
+    it('falls back to the reason given by the relayer', () => {
+      const { describeChannelsFailure } = require('@/utils/stellar/gasless');
+      const onChain = Object.assign(new Error('Transaction failed'), {
+        errorDetails: { code: 'ONCHAIN_FAILED', details: { status: 'failed', reason: 'txBadSeq' } },
+      });
+      const rejected = Object.assign(new Error('Plugin execution failed'), {
+        response: { data: { success: false, error: 'Invalid auth entries' } },
+      });
+
+      expect(describeChannelsFailure(onChain)).toBe('txBadSeq');
+      expect(describeChannelsFailure(rejected)).toBe('Invalid auth entries');
+      expect(describeChannelsFailure(new Error('Network error: timeout'))).toBe('Network error: timeout');
+    });
+  });
+
   describe('Auth Entry Signature Format', () => {
     /**
      * Tests the critical difference between classic and contract account signatures:
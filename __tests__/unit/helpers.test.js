@@ -6,10 +6,13 @@ import * as StellarSdk from '@stellar/stellar-sdk';
 import {
   stroopsToXlm,
   xlmToStroops,
+  parseAmount,
+  formatAmount,
   formatXlmBalance,
   deriveContractAddress,
   deriveContractSalt,
   scValToAmount,
+  scValToMuxedId,
 } from '@/utils/stellar/helpers';
 
 // Known test values - valid Stellar public key
@@ -61,6 +64,89 @@ describe('Helpers', () => {
     });
   });
 
+  describe('parseAmount', () => {
+    it('uses 7 decimals by default', () => {
+      expect(parseAmount('1.5')).toBe(15000000n);
+    });
+
+    it('converts using token decimals', () => {
+      expect(parseAmount('2.5', 6)).toBe(2500000n);
+      expect(parseAmount('1', 0)).toBe(1n);
+    });
+
+    it('parses amounts exactly', () => {
+      expect(parseAmount('0.1234567')).toBe(1234567n);
+      expect(parseAmount('0.0000001')).toBe(1n);
+      expect(parseAmount('1.000000000000000001', 18)).toBe(1000000000000000001n);
+      expect(parseAmount('922337203685.4775807')).toBe(9223372036854775807n);
+    });
+
+    it('accepts numbers, bigints and surrounding whitespace', () => {
+      expect(parseAmount(5)).toBe(50000000n);
+      expect(parseAmount(0.5)).toBe(5000000n);
+      expect(parseAmount(2n, 6)).toBe(2000000n);
+      expect(parseAmount(' 1.5 ')).toBe(15000000n);
+    });
+
+    it('rejects too many decimal places', () => {
+      expect(() => parseAmount('0.00000001')).toThrow('more than 7 decimal places');
+      expect(() => parseAmount('1.5', 0)).toThrow('more than 0 decimal places');
+    });
+
+    it('rejects negative amounts', () => {
+      expect(() => parseAmount('-1')).toThrow('cannot be negative');
+      expect(() => parseAmount(-1n)).toThrow('cannot be negative');
+    });
+
+    it('rejects non-numeric input', () => {
+      expect(() => parseAmount('abc')).toThrow('Invalid amount');
+      expect(() => parseAmount('')).toThrow('Invalid amount');
+      expect(() => parseAmount('1e5')).toThrow('Invalid amount');
+      expect(() => parseAmount('1.')).toThrow('Invalid amount');
+      expect(() => parseAmount(NaN)).toThrow('Invalid amount');
+      expect(() => parseAmount(undefined)).toThrow('Invalid amount');
+    });
+
+    it('rejects invalid decimals', () => {
+      expect(() => parseAmount('1', -1)).toThrow('Invalid decimals');
+    });
+  });
+
+  describe('formatAmount', () => {
+    it('uses 7 decimals by default', () => {
+      expect(formatAmount(15000000n)).toBe('1.5');
+    });
+
+    it('trims trailing zeros', () => {
+      expect(formatAmount(100000000n)).toBe('10');
+      expect(formatAmount(0n)).toBe('0');
+    });
+
+    it('formats small and large amounts exactly', () => {
+      expect(formatAmount(1n)).toBe('0.0000001');
+      expect(formatAmount(9223372036854775807n)).toBe('922337203685.4775807');
+      expect(formatAmount(1000000000000000001n, 18)).toBe('1.000000000000000001');
+    });
+
+    it('formats using token decimals', () => {
+      expect(formatAmount(1500n, 3)).toBe('1.5');
+      expect(formatAmount(42n, 0)).toBe('42');
+    });
+
+    it('handles negative amounts', () => {
+      expect(formatAmount(-15000000n)).toBe('-1.5');
+    });
+
+    it('accepts numbers and strings', () => {
+      expect(formatAmount(12345678)).toBe('1.2345678');
+      expect(formatAmount('10000000')).toBe('1');
+    });
+
+    it('round-trips with parseAmount', () => {
+      expect(formatAmount(parseAmount('123.4567891', 7))).toBe('123.4567891');
+    });
+  });
+
   describe('formatXlmBalance', () => {
     it('formats 0 as "0"', () => {
       expect(formatXlmBalance(0)).toBe('0');
@@ -165,6 +251,33 @@ describe('Helpers', () => {
     });
   });
 
+  describe('scValToMuxedId', () => {
+    it('returns null for a plain i128 amount', () => {
+      expect(scValToMuxedId(StellarSdk.nativeToScVal(1n, { type: 'i128' }))).toBeNull();
+    });
+
+    it('extracts a u64 muxed id', () => {
+      const scVal = StellarSdk.nativeToScVal(
+        { amount: 1n, to_muxed_id: 18446744073709551615n },
+        { type: { amount: ['symbol', 'i128'], to_muxed_id: ['symbol', 'u64'] } }
+      );
+      expect(scValToMuxedId(scVal)).toBe('18446744073709551615');
+    });
+
+    it('extracts a string muxed id', () => {
+      const scVal = StellarSdk.nativeToScVal(
+        { amount: 1n, to_muxed_id: 'memo-42' },
+        { type: { amount: ['symbol', 'i128'], to_muxed_id: ['symbol', 'string'] } }
+      );
+      expect(scValToMuxedId(scVal)).toBe('memo-42');
+    });
+
+    it('returns null for a map without a muxed id', () => {
+      const scVal = StellarSdk.nativeToScVal({ amount: 1n }, { type: { amount: ['symbol', 'i128'] } });
+      expect(scValToMuxedId(scVal)).toBeNull();
+    });
+  });
+
   describe('Error Handling and Edge Cases', () => {
     describe('stroopsToXlm edge cases', () => {
       it('handles negative values', () => {
@@ -0,0 +1,268 @@
+/**
+ * Unit tests for transfer history export and offline cache
+ * Tests record conversion, CSV/JSON serialization, full-history export and
+ * the cached newest page
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  EXPORT_COLUMNS,
+  transfersToRecords,
+  escapeCsvValue,
+  recordsToCsv,
+  recordsToJson,
+  getExportFileName,
+  getFullTransferHistory,
+  exportTransferHistory,
+  serializeTransfers,
+  deserializeTransfers,
+  getCachedTransferHistory,
+  cacheTransferHistory,
+} from '@/utils/stellar/history';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+
+const CLASSIC_ACCOUNT = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+const CONTRACT_ACCOUNT = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+const COUNTERPARTY = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const XLM_CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const USDC_CONTRACT_ID = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+      sorobanRpcUrl: 'https://soroban-testnet.stellar.org',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+  getXlmContractId: jest.fn(() => 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC'),
+}));
+
+const address = (value) => StellarSdk.nativeToScVal(StellarSdk.Address.fromString(value), { type: 'address' });
+
+/**
+ * Build a transfer event; `muxedId` produces a SEP-41 map value
+ */
+function transferEvent({ from, to, amount, ledger, tx = 1, contractId = XLM_CONTRACT_ID, muxedId }) {
+  const value = muxedId === undefined
+    ? StellarSdk.nativeToScVal(amount, { type: 'i128' })
+    : StellarSdk.nativeToScVal(
+      { amount, to_muxed_id: muxedId },
+      { type: { amount: ['symbol', 'i128'], to_muxed_id: ['symbol', 'u64'] } }
+    );
+
+  return {
+    id: `${((BigInt(ledger) << 32n) | (BigInt(tx) << 12n)).toString().padStart(19, '0')}-0000000000`,
+    contractId,
+    topic: [StellarSdk.nativeToScVal('transfer', { type: 'symbol' }), address(from), address(to)],
+    value,
+    txHash: `tx-${ledger}-${tx}`,
+    ledger,
+    ledgerClosedAt: '2025-01-01T00:00:00Z',
+  };
+}
+
+/**
+ * Mock RPC server that serves getEvents by contract and address, in ascending order
+ */
+function createMockServer(events) {
+  const sorted = [...events].sort((a, b) => (a.id < b.id ? -1 : 1));
+  return {
+    getHealth: jest.fn().mockResolvedValue({ latestLedger: 100000, oldestLedger: 80000 }),
+    getEvents: jest.fn(async ({ filters, startLedger, endLedger, cursor, limit }) => {
+      const contractId = filters[0].contractIds[0];
+      const [sentTopic, receivedTopic] = [filters[0].topics[0][1], filters[1].topics[0][2]];
+      const matching = sorted.filter(e =>
+        e.contractId === contractId &&
+        (e.topic[1].toXDR('base64') === sentTopic || e.topic[2].toXDR('base64') === receivedTopic) &&
+        (cursor ? e.id > cursor : e.ledger >= startLedger && e.ledger < endLedger)
+      ).slice(0, limit);
+      return { events: matching, cursor: matching.length ? matching[matching.length - 1].id : '', oldestLedger: 80000 };
+    }),
+  };
+}
+
+describe('History Export', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('transfersToRecords', () => {
+    it('keeps the exact raw amount and formats it with the token decimals', () => {
+      const [record] = transfersToRecords([{
+        txHash: 'abc',
+        ledger: 5,
+        timestamp: '2025-01-01T00:00:00Z',
+        direction: 'received',
+        counterparty: COUNTERPARTY,
+        amount: 123456789012345678901234567890n,
+        muxedId: '7',
+      }], CLASSIC_ACCOUNT, { tokenContractId: USDC_CONTRACT_ID, symbol: 'USDC', decimals: 6 });
+
+      expect(record).toEqual({
+        account: CLASSIC_ACCOUNT,
+        txHash: 'abc',
+        ledger: 5,
+        timestamp: '2025-01-01T00:00:00Z',
+        direction: 'received',
+        counterparty: COUNTERPARTY,
+        muxedId: '7',
+        token: USDC_CONTRACT_ID,
+        symbol: 'USDC',
+        decimals: 6,
+        amount: '123456789012345678901234567890',
+        amountDisplay: '123456789012345678901234.56789',
+      });
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('leaves plain values alone', () => {
+      expect(escapeCsvValue('abc')).toBe('abc');
+      expect(escapeCsvValue(42)).toBe('42');
+      expect(escapeCsvValue(null)).toBe('');
+    });
+
+    it('quotes separators and doubles quotes', () => {
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    });
+
+    it('neutralizes spreadsheet formulas', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('@SUM')).toBe("'@SUM");
+    });
+  });
+
+  describe('recordsToCsv / recordsToJson', () => {
+    const record = {
+      account: CLASSIC_ACCOUNT, txHash: 'abc', ledger: 5, timestamp: '', direction: 'sent',
+      counterparty: COUNTERPARTY, muxedId: '', token: XLM_CONTRACT_ID, symbol: 'XLM',
+      decimals: 7, amount: '10', amountDisplay: '0.000001',
+    };
+
+    it('writes a header row and one line per record', () => {
+      const lines = recordsToCsv([record]).trim().split('\r\n');
+      expect(lines[0]).toBe(EXPORT_COLUMNS.join(','));
+      expect(lines[1]).toBe(`${CLASSIC_ACCOUNT},abc,5,,sent,${COUNTERPARTY},,${XLM_CONTRACT_ID},XLM,7,10,0.000001`);
+    });
+
+    it('writes JSON with the export columns', () => {
+      const parsed = JSON.parse(recordsToJson([{ ...record, extra: 'ignored' }]));
+      expect(Object.keys(parsed[0])).toEqual(EXPORT_COLUMNS);
+      expect(parsed[0].amount).toBe('10');
+    });
+  });
+
+  it('builds a dated file name', () => {
+    expect(getExportFileName('csv', new Date('2025-03-04T10:00:00Z'))).toBe('lumenitos-history-2025-03-04.csv');
+  });
+
+  describe('serializeTransfers / deserializeTransfers', () => {
+    it('round-trips bigint amounts through JSON', () => {
+      const transfers = [{ id: '1', amount: 123456789012345678901234567890n }];
+
+      const stored = JSON.parse(JSON.stringify(serializeTransfers(transfers)));
+
+      expect(stored[0].amount).toBe('123456789012345678901234567890');
+      expect(deserializeTransfers(stored)).toEqual(transfers);
+    });
+  });
+
+  describe('history cache', () => {
+    beforeEach(() => {
+      setStorage(createMemoryStorage());
+    });
+
+    it('returns the page saved for an address', () => {
+      const transfers = [{ id: '1', txHash: 'abc', amount: 5n }];
+      cacheTransferHistory(CLASSIC_ACCOUNT, { transfers, cursor: '1' });
+
+      expect(getCachedTransferHistory(CLASSIC_ACCOUNT)).toEqual({ transfers, cursor: '1', savedAt: expect.any(Number) });
+      expect(getCachedTransferHistory(CONTRACT_ACCOUNT)).toBeNull();
+    });
+
+    it('keeps only the most recently saved addresses', () => {
+      const now = jest.spyOn(Date, 'now');
+      for (let i = 0; i < 11; i++) {
+        now.mockReturnValue(1000 + i);
+        cacheTransferHistory(`address-${i}`, { transfers: [], cursor: null });
+      }
+      now.mockRestore();
+
+      expect(getCachedTransferHistory('address-0')).toBeNull();
+      expect(getCachedTransferHistory('address-1')).not.toBeNull();
+      expect(getCachedTransferHistory('address-10')).not.toBeNull();
+    });
+  });
+
+  describe('getFullTransferHistory', () => {
+    it('follows cursors until history is exhausted', async () => {
+      const events = Array.from({ length: 250 }, (_, i) =>
+        transferEvent({ from: COUNTERPARTY, to: CLASSIC_ACCOUNT, amount: 1n, ledger: 90000 + i }));
+      const rpcServer = createMockServer(events);
+
+      const transfers = await getFullTransferHistory(CLASSIC_ACCOUNT, { rpcServer });
+
+      expect(transfers).toHaveLength(250);
+      expect(transfers[0].ledger).toBe(90249);
+      expect(transfers[249].ledger).toBe(90000);
+    });
+  });
+
+  describe('exportTransferHistory', () => {
+    const events = [
+      transferEvent({ from: COUNTERPARTY, to: CLASSIC_ACCOUNT, amount: 10000000n, ledger: 95000, muxedId: 42n }),
+      transferEvent({ from: CONTRACT_ACCOUNT, to: COUNTERPARTY, amount: 5n, ledger: 96000 }),
+      transferEvent({ from: COUNTERPARTY, to: CONTRACT_ACCOUNT, amount: 2500000n, ledger: 97000, contractId: USDC_CONTRACT_ID }),
+    ];
+
+    it('exports XLM transfers of every account by default', async () => {
+      const rpcServer = createMockServer(events);
+
+      const { content, count } = await exportTransferHistory([CLASSIC_ACCOUNT, CONTRACT_ACCOUNT], [], { format: 'json', rpcServer });
+      const records = JSON.parse(content);
+
+      expect(count).toBe(2);
+      expect(records.map(r => r.ledger)).toEqual([96000, 95000]);
+      expect(records[0]).toMatchObject({ account: CONTRACT_ACCOUNT, direction: 'sent', amount: '5', symbol: 'XLM' });
+      expect(records[1]).toMatchObject({ account: CLASSIC_ACCOUNT, direction: 'received', muxedId: '42', amountDisplay: '1' });
+    });
+
+    it('exports SEP-41 tokens with their own decimals', async () => {
+      const rpcServer = createMockServer(events);
+
+      const { content, count } = await exportTransferHistory(
+        [CONTRACT_ACCOUNT],
+        [{ tokenContractId: USDC_CONTRACT_ID, symbol: 'USDC', decimals: 6 }],
+        { rpcServer }
+      );
+
+      expect(count).toBe(1);
+      expect(content).toContain(`${USDC_CONTRACT_ID},USDC,6,2500000,2.5`);
+    });
+
+    it('rejects unknown formats', async () => {
+      await expect(exportTransferHistory([CLASSIC_ACCOUNT], [], { format: 'xml' }))
+        .rejects.toThrow('Unsupported export format: xml');
+    });
+
+    it('throws when the RPC request fails', async () => {
+      const rpcServer = createMockServer([]);
+      rpcServer.getEvents.mockRejectedValue(new Error('RPC unavailable'));
+
+      await expect(exportTransferHistory([CLASSIC_ACCOUNT], [], { rpcServer })).rejects.toThrow('RPC unavailable');
+    });
+  });
+});
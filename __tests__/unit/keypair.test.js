@@ -5,6 +5,7 @@
 
 import {
   deriveKeypairFromMnemonic,
+  getDerivationPath,
   generateMnemonic,
   validateMnemonic,
   normalizeMnemonic,
@@ -14,6 +15,8 @@ import {
 const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
 // This is the actual derived public key from the test mnemonic using SEP-0005 path m/44'/148'/0'
 const TEST_PUBLIC_KEY = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+// SEP-0005 test vector 1
+const SEP5_MNEMONIC = 'illness spike retreat truth genius clock brain pass fit cave bargain toe';
 
 describe('Keypair Pure Functions', () => {
   describe('generateMnemonic', () => {
@@ -115,6 +118,27 @@ describe('Keypair Pure Functions', () => {
       const keypair = deriveKeypairFromMnemonic(normalizedMnemonic);
       expect(keypair.publicKey()).toBe(TEST_PUBLIC_KEY);
     });
+
+    it('derives account indices per SEP-0005', () => {
+      expect(deriveKeypairFromMnemonic(SEP5_MNEMONIC).publicKey())
+        .toBe('GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6');
+      expect(deriveKeypairFromMnemonic(SEP5_MNEMONIC, 1).publicKey())
+        .toBe('GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX');
+      expect(deriveKeypairFromMnemonic(SEP5_MNEMONIC, 9).publicKey())
+        .toBe('GBTVYYDIYWGUQUTKX6ZMLGSZGMTESJYJKJWAATGZGITA25ZB6T5REF44');
+    });
+  });
+
+  describe('getDerivationPath', () => {
+    it('appends the hardened account index', () => {
+      expect(getDerivationPath()).toBe("m/44'/148'/0'");
+      expect(getDerivationPath(3)).toBe("m/44'/148'/3'");
+    });
+
+    it('rejects invalid indices', () => {
+      expect(() => getDerivationPath(-1)).toThrow('Invalid account index');
+      expect(() => getDerivationPath(1.5)).toThrow('Invalid account index');
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for the encrypted keystore
+ * Tests encryption round-trips, lock/unlock and migration of plain-text wallets
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  encryptKeystore,
+  decryptKeystore,
+  isEncryptedKeystore,
+  getKeystoreMeta,
+} from '@/utils/stellar/keystore';
+import {
+  generateAndStoreKeypair,
+  generateAndStoreEncryptedKeypair,
+  importFromMnemonicEncrypted,
+  encryptStoredKeypair,
+  getStoredKeypair,
+  getPublicKey,
+  getMnemonic,
+  hasKeypair,
+  clearKeypair,
+  isKeystoreEncrypted,
+  isLocked,
+  unlock,
+  lock,
+  setAutoLockTimeout,
+  onLockChange,
+  signMessage,
+  DEFAULT_AUTO_LOCK_MS,
+} from '@/utils/stellar/keypair';
+import { saveSessionKey, findSessionKeypair } from '@/utils/stellar/session';
+import { createMemoryStorage, setStorage, KEYS } from '@/utils/stellar/storage';
+
+// Keep key derivation fast in tests
+const FAST = { iterations: 1000 };
+
+const ACCOUNT = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('Keystore encryption', () => {
+  it('round-trips secrets with the right password', async () => {
+    const keystore = await encryptKeystore({ secret: 'S...', mnemonic: 'words' }, 'hunter2', FAST);
+
+    expect(isEncryptedKeystore(keystore)).toBe(true);
+    expect(keystore).not.toContain('words');
+    await expect(decryptKeystore(keystore, 'hunter2')).resolves.toEqual({ secret: 'S...', mnemonic: 'words' });
+  });
+
+  it('uses a fresh salt and iv for every encryption', async () => {
+    const a = JSON.parse(await encryptKeystore({ secret: 'x' }, 'pin', FAST));
+    const b = JSON.parse(await encryptKeystore({ secret: 'x' }, 'pin', FAST));
+
+    expect(a.kdf.salt).not.toBe(b.kdf.salt);
+    expect(a.cipher.iv).not.toBe(b.cipher.iv);
+    expect(a.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 });
+  });
+
+  it('derives the key with HKDF for secret keys', async () => {
+    const keystore = await encryptKeystore({ secret: 'x' }, 'SSECRET', { kdf: 'HKDF' });
+
+    expect(JSON.parse(keystore).kdf).toEqual({ name: 'HKDF', hash: 'SHA-256', salt: expect.any(String) });
+    await expect(decryptKeystore(keystore, 'SSECRET')).resolves.toEqual({ secret: 'x' });
+    await expect(decryptKeystore(keystore, 'SOTHER')).rejects.toThrow('Incorrect password');
+  });
+
+  it('rejects a wrong password', async () => {
+    const keystore = await encryptKeystore({ secret: 'x' }, 'right', FAST);
+
+    await expect(decryptKeystore(keystore, 'wrong')).rejects.toThrow('Incorrect password');
+  });
+
+  it('rejects tampered ciphertext', async () => {
+    const keystore = JSON.parse(await encryptKeystore({ secret: 'x' }, 'pin', FAST));
+    const bytes = atob(keystore.ciphertext).split('');
+    bytes[0] = String.fromCharCode(bytes[0].charCodeAt(0) ^ 1);
+    keystore.ciphertext = btoa(bytes.join(''));
+
+    await expect(decryptKeystore(JSON.stringify(keystore), 'pin')).rejects.toThrow('Incorrect password');
+  });
+
+  it('requires a password', async () => {
+    await expect(encryptKeystore({ secret: 'x' }, '', FAST)).rejects.toThrow('password is required');
+  });
+
+  it('keeps metadata readable without the password', async () => {
+    const keystore = await encryptKeystore({ secret: 'x' }, 'pin', { ...FAST, meta: { publicKey: 'GABC' } });
+
+    expect(getKeystoreMeta(keystore)).toEqual({ publicKey: 'GABC' });
+  });
+
+  it('does not treat plain-text secrets as a keystore', () => {
+    expect(isEncryptedKeystore('SABC')).toBe(false);
+    expect(isEncryptedKeystore(null)).toBe(false);
+    expect(isEncryptedKeystore('{not json')).toBe(false);
+  });
+});
+
+describe('Encrypted keypair storage', () => {
+  let memoryStorage;
+
+  beforeEach(() => {
+    memoryStorage = createMemoryStorage();
+    setStorage(memoryStorage);
+    clearKeypair();
+    setAutoLockTimeout(DEFAULT_AUTO_LOCK_MS);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('stores no plain-text secrets', async () => {
+    const keypair = await generateAndStoreEncryptedKeypair('pin', FAST);
+
+    expect(memoryStorage.get(KEYS.KEYPAIR)).toBeNull();
+    expect(memoryStorage.get(KEYS.MNEMONIC)).toBeNull();
+    expect(memoryStorage.get(KEYS.KEYSTORE)).not.toContain(keypair.secret());
+    expect(isKeystoreEncrypted()).toBe(true);
+    expect(hasKeypair()).toBe(true);
+  });
+
+  it('is unlocked right after creation', async () => {
+    const keypair = await generateAndStoreEncryptedKeypair('pin', FAST);
+
+    expect(isLocked()).toBe(false);
+    expect(getStoredKeypair().secret()).toBe(keypair.secret());
+    expect(getMnemonic().split(' ')).toHaveLength(12);
+  });
+
+  it('hides secrets while locked but keeps the public key', async () => {
+    const keypair = await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+    lock();
+
+    expect(isLocked()).toBe(true);
+    expect(getStoredKeypair()).toBeNull();
+    expect(getMnemonic()).toBeNull();
+    expect(getPublicKey()).toBe(keypair.publicKey());
+    expect(() => signMessage(btoa('hello'))).toThrow('Keystore is locked');
+  });
+
+  it('forgets decrypted session keys on lock', async () => {
+    const owner = await generateAndStoreEncryptedKeypair('pin', FAST);
+    const sessionKeypair = StellarSdk.Keypair.random();
+    const sessions = [{ publicKey: sessionKeypair.publicKey(), contracts: [], functions: [], spendLimits: {}, spent: {}, expirationLedger: 1000 }];
+    await saveSessionKey(sessionKeypair, ACCOUNT, owner);
+
+    expect(await findSessionKeypair(sessions, [], ACCOUNT, 900, StellarSdk.Keypair.random())).not.toBeNull();
+    lock();
+    expect(await findSessionKeypair(sessions, [], ACCOUNT, 900, StellarSdk.Keypair.random())).toBeNull();
+  });
+
+  it('unlocks with the right password', async () => {
+    const keypair = await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+    lock();
+
+    await unlock('pin');
+
+    expect(getStoredKeypair().publicKey()).toBe(keypair.publicKey());
+    expect(getMnemonic()).toBe(TEST_MNEMONIC);
+  });
+
+  it('stays locked with a wrong password', async () => {
+    await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+    lock();
+
+    await expect(unlock('nope')).rejects.toThrow('Incorrect password');
+    expect(isLocked()).toBe(true);
+  });
+
+  it('throws when unlocking without a keystore', async () => {
+    await expect(unlock('pin')).rejects.toThrow('No encrypted keystore found');
+  });
+
+  it('locks itself after inactivity', async () => {
+    await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+    jest.useFakeTimers();
+    setAutoLockTimeout(1000);
+
+    jest.advanceTimersByTime(600);
+    getStoredKeypair(); // activity postpones the lock
+    jest.advanceTimersByTime(600);
+    expect(isLocked()).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(isLocked()).toBe(true);
+  });
+
+  it('notifies listeners of lock changes', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onLockChange(listener);
+
+    await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+    lock();
+    unsubscribe();
+    await unlock('pin');
+
+    expect(listener.mock.calls).toEqual([[false], [true]]);
+  });
+
+  it('clears the keystore and session', async () => {
+    await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+
+    clearKeypair();
+
+    expect(hasKeypair()).toBe(false);
+    expect(isKeystoreEncrypted()).toBe(false);
+    expect(getStoredKeypair()).toBeNull();
+  });
+
+  describe('migration', () => {
+    it('encrypts a plain-text wallet in place', async () => {
+      const keypair = generateAndStoreKeypair();
+      const mnemonic = getMnemonic();
+
+      await encryptStoredKeypair('pin', FAST);
+
+      expect(memoryStorage.get(KEYS.KEYPAIR)).toBeNull();
+      expect(memoryStorage.get(KEYS.MNEMONIC)).toBeNull();
+      lock();
+      await unlock('pin');
+      expect(getStoredKeypair().secret()).toBe(keypair.secret());
+      expect(getMnemonic()).toBe(mnemonic);
+    });
+
+    it('migrates wallets created before mnemonic support', async () => {
+      const keypair = generateAndStoreKeypair();
+      memoryStorage.remove(KEYS.MNEMONIC);
+
+      await encryptStoredKeypair('pin', FAST);
+      lock();
+      await unlock('pin');
+
+      expect(getStoredKeypair().secret()).toBe(keypair.secret());
+      expect(getMnemonic()).toBeNull();
+    });
+
+    it('refuses to re-encrypt a locked keystore', async () => {
+      await importFromMnemonicEncrypted(TEST_MNEMONIC, 'pin', FAST);
+      lock();
+
+      await expect(encryptStoredKeypair('new', FAST)).rejects.toThrow('Keystore is locked');
+    });
+
+    it('throws when there is no wallet', async () => {
+      await expect(encryptStoredKeypair('pin', FAST)).rejects.toThrow('No keypair found');
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Unit tests for network selection
+ * Tests the network registry, runtime switching, per-network storage and
+ * custom network profiles
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+const LOCAL_FACTORY = 'CDUIY5ADZ6MXJFKWMCTU2W3LN3UZJM3UNUTXPZBFA7FRB4UN22IETNIP';
+
+// The presets read their environment when the config module loads
+process.env.NEXT_PUBLIC_LOCAL_ACCOUNT_FACTORY_ADDRESS = LOCAL_FACTORY;
+
+const { default: config } = require('@/utils/config');
+const { createMemoryStorage, setStorage, getStorage, KEYS } = require('@/utils/stellar/storage');
+const { getDefaultRpcServer } = require('@/utils/stellar/rpc');
+const { deriveContractAddress } = require('@/utils/stellar/helpers');
+const {
+  getSavedNetwork,
+  restoreNetwork,
+  listNetworks,
+  switchNetwork,
+  onNetworkChange,
+  validateNetworkProfile,
+  getNetworkProfiles,
+  verifyNetworkProfile,
+  saveNetworkProfile,
+  removeNetworkProfile,
+} = require('@/utils/stellar/network');
+
+const { xdr } = StellarSdk;
+const STAGING_PASSPHRASE = 'Staging Network ; 2025';
+const STAGING_FACTORY = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const SIMPLE_ACCOUNT_HASH = 'ab'.repeat(32);
+const FACTORY_HASH = 'cd'.repeat(32);
+
+const STAGING = {
+  label: 'staging',
+  sorobanRpcUrl: 'https://rpc.staging.example.com',
+  passphrase: STAGING_PASSPHRASE,
+  friendbotUrl: '',
+  accountFactoryAddress: STAGING_FACTORY,
+  simpleAccountWasmHash: '',
+  accountFactoryWasmHash: '',
+};
+
+/**
+ * Build an RPC server for a network whose factory derives addresses with the given passphrase
+ */
+const stagingRpcServer = ({ passphrase = STAGING_PASSPHRASE, derivePassphrase = STAGING_PASSPHRASE, deployed = true } = {}) => ({
+  getNetwork: jest.fn().mockResolvedValue({ passphrase }),
+  getLedgerEntries: jest.fn().mockResolvedValue({
+    entries: deployed ? [{
+      val: xdr.LedgerEntryData.contractData(new xdr.ContractDataEntry({
+        ext: new xdr.ExtensionPoint(0),
+        contract: new StellarSdk.Address(STAGING_FACTORY).toScAddress(),
+        key: xdr.ScVal.scvLedgerKeyContractInstance(),
+        durability: xdr.ContractDataDurability.persistent(),
+        val: xdr.ScVal.scvContractInstance(new xdr.ScContractInstance({
+          executable: xdr.ContractExecutable.contractExecutableWasm(Buffer.from(FACTORY_HASH, 'hex')),
+          storage: null,
+        })),
+      })),
+    }] : [],
+  }),
+  simulateTransaction: jest.fn(async (transaction) => {
+    const call = transaction.operations[0].func.invokeContract();
+    const retval = call.functionName().toString() === 'wasm_hash'
+      ? xdr.ScVal.scvBytes(Buffer.from(SIMPLE_ACCOUNT_HASH, 'hex'))
+      : new StellarSdk.Address(deriveContractAddress(
+        StellarSdk.StrKey.encodeEd25519PublicKey(call.args()[0].bytes()),
+        { factoryAddress: STAGING_FACTORY, networkPassphrase: derivePassphrase }
+      )).toScVal();
+    return { latestLedger: 1, transactionData: new StellarSdk.SorobanDataBuilder(), minResourceFee: '100', result: { auth: [], retval } };
+  }),
+});
+
+describe('Network selection', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = createMemoryStorage();
+    setStorage(memory);
+    restoreNetwork();
+  });
+
+  afterAll(() => {
+    delete process.env.NEXT_PUBLIC_LOCAL_ACCOUNT_FACTORY_ADDRESS;
+  });
+
+  describe('restoreNetwork', () => {
+    it('starts on the build network', () => {
+      expect(getSavedNetwork()).toBe('testnet');
+      expect(config.stellar.network).toBe('testnet');
+      expect(config.networkPassphrase).toBe('Test SDF Network ; September 2015');
+    });
+
+    it('activates the saved network', () => {
+      memory.set(KEYS.NETWORK, 'local');
+
+      expect(restoreNetwork()).toBe('local');
+      expect(config.stellar.sorobanRpcUrl).toBe('http://localhost:8000/rpc');
+    });
+
+    it('falls back to the build network when the saved one is not configured', () => {
+      memory.set(KEYS.NETWORK, 'futurenet');
+
+      expect(restoreNetwork()).toBe('testnet');
+    });
+  });
+
+  describe('listNetworks', () => {
+    it('marks the active network and those that are not configured', () => {
+      expect(listNetworks()).toEqual([
+        { id: 'testnet', label: 'testnet', available: true, custom: false, active: true },
+        { id: 'mainnet', label: 'mainnet', available: false, custom: false, active: false },
+        { id: 'futurenet', label: 'futurenet', available: false, custom: false, active: false },
+        { id: 'local', label: 'local', available: true, custom: false, active: false },
+      ]);
+    });
+  });
+
+  describe('switchNetwork', () => {
+    it('applies the settings of the network and saves the choice', () => {
+      switchNetwork('local');
+
+      expect(config.stellar.network).toBe('local');
+      expect(config.networkPassphrase).toBe('Standalone Network ; February 2017');
+      expect(config.stellar.friendbotUrl).toBe('http://localhost:8000/friendbot');
+      expect(config.stellar.explorerUrl).toBeNull();
+      expect(config.stellar.accountFactoryAddress).toBe(LOCAL_FACTORY);
+      expect(config.isTestnet).toBe(true);
+      expect(config.gasless.enabled).toBe(false);
+      expect(getSavedNetwork()).toBe('local');
+    });
+
+    it('moves RPC calls to the endpoint of the network', () => {
+      expect(getDefaultRpcServer().serverURL.toString()).toBe('https://134-209-117-133.nip.io/');
+
+      switchNetwork('local');
+
+      expect(getDefaultRpcServer().serverURL.toString()).toBe('http://localhost:8000/rpc');
+    });
+
+    it('notifies listeners', () => {
+      const listener = jest.fn();
+      const unsubscribe = onNetworkChange(listener);
+
+      switchNetwork('local');
+      unsubscribe();
+      switchNetwork('testnet');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith('local');
+    });
+
+    it('rejects unknown networks and networks that are not configured', () => {
+      expect(() => switchNetwork('devnet')).toThrow('Unknown network: devnet');
+      expect(() => switchNetwork('mainnet')).toThrow('Network mainnet is not configured');
+      expect(config.stellar.network).toBe('testnet');
+      expect(getSavedNetwork()).toBe('testnet');
+    });
+  });
+
+  describe('per-network storage', () => {
+    it('keeps network-bound values apart and shares keys', () => {
+      getStorage().set(KEYS.KEYPAIR, 'secret');
+      getStorage().set(KEYS.FEE_SETTINGS, 'testnet settings');
+
+      switchNetwork('local');
+
+      expect(getStorage().get(KEYS.KEYPAIR)).toBe('secret');
+      expect(getStorage().get(KEYS.FEE_SETTINGS)).toBeNull();
+      getStorage().set(KEYS.FEE_SETTINGS, 'local settings');
+
+      switchNetwork('testnet');
+
+      expect(getStorage().get(KEYS.FEE_SETTINGS)).toBe('testnet settings');
+      expect(memory.get(KEYS.FEE_SETTINGS)).toBe('testnet settings');
+      expect(memory.get(`local:${KEYS.FEE_SETTINGS}`)).toBe('local settings');
+    });
+
+    it('scopes the values of every wallet', () => {
+      switchNetwork('local');
+      getStorage().set(`${KEYS.CONTRACT_KEYS}:abc`, '{}');
+
+      expect(memory.get(`local:${KEYS.CONTRACT_KEYS}:abc`)).toBe('{}');
+      expect(memory.get(`${KEYS.CONTRACT_KEYS}:abc`)).toBeNull();
+    });
+  });
+
+  describe('validateNetworkProfile', () => {
+    it('trims values and empties optional ones', () => {
+      expect(validateNetworkProfile({ ...STAGING, label: ' staging ', simpleAccountWasmHash: SIMPLE_ACCOUNT_HASH.toUpperCase() })).toEqual({
+        label: 'staging',
+        sorobanRpcUrl: 'https://rpc.staging.example.com',
+        passphrase: STAGING_PASSPHRASE,
+        friendbotUrl: null,
+        accountFactoryAddress: STAGING_FACTORY,
+        simpleAccountWasmHash: SIMPLE_ACCOUNT_HASH,
+        accountFactoryWasmHash: null,
+      });
+    });
+
+    it('rejects missing and malformed values', () => {
+      expect(() => validateNetworkProfile({ ...STAGING, label: '' })).toThrow('Enter a name for the network');
+      expect(() => validateNetworkProfile({ ...STAGING, sorobanRpcUrl: 'ftp://rpc' })).toThrow('The RPC URL must be an http(s) URL');
+      expect(() => validateNetworkProfile({ ...STAGING, passphrase: ' ' })).toThrow('Enter the network passphrase');
+      expect(() => validateNetworkProfile({ ...STAGING, friendbotUrl: 'friendbot' })).toThrow('The Friendbot URL must be an http(s) URL');
+      expect(() => validateNetworkProfile({ ...STAGING, accountFactoryAddress: 'GABC' })).toThrow(/must be a contract address/);
+      expect(() => validateNetworkProfile({ ...STAGING, accountFactoryWasmHash: 'abc' })).toThrow('The account_factory WASM hash must be 64 hex characters');
+    });
+  });
+
+  describe('verifyNetworkProfile', () => {
+    const profile = validateNetworkProfile(STAGING);
+
+    it('fills in the WASM hashes read from the network', async () => {
+      await expect(verifyNetworkProfile(profile, { rpcServer: stagingRpcServer() })).resolves.toEqual({
+        ...profile,
+        simpleAccountWasmHash: SIMPLE_ACCOUNT_HASH,
+        accountFactoryWasmHash: FACTORY_HASH,
+      });
+    });
+
+    it('rejects an RPC of another network', async () => {
+      await expect(verifyNetworkProfile(profile, { rpcServer: stagingRpcServer({ passphrase: 'Other Network' }) }))
+        .rejects.toThrow(`The RPC serves "Other Network", not "${STAGING_PASSPHRASE}"`);
+    });
+
+    it('rejects a factory that is not deployed or runs other code', async () => {
+      await expect(verifyNetworkProfile(profile, { rpcServer: stagingRpcServer({ deployed: false }) }))
+        .rejects.toThrow(`Factory ${STAGING_FACTORY} is not deployed on this network`);
+      await expect(verifyNetworkProfile({ ...profile, accountFactoryWasmHash: 'ee'.repeat(32) }, { rpcServer: stagingRpcServer() }))
+        .rejects.toThrow(`The factory runs WASM ${FACTORY_HASH}`);
+      await expect(verifyNetworkProfile({ ...profile, simpleAccountWasmHash: 'ee'.repeat(32) }, { rpcServer: stagingRpcServer() }))
+        .rejects.toThrow(`The factory deploys simple_account WASM ${SIMPLE_ACCOUNT_HASH}`);
+    });
+
+    it('rejects a factory that derives account addresses differently', async () => {
+      const rpcServer = stagingRpcServer({ derivePassphrase: 'Test SDF Network ; September 2015' });
+
+      await expect(verifyNetworkProfile(profile, { rpcServer })).rejects.toThrow(/The factory derives account C\w+ where the wallet expects C\w+/);
+    });
+  });
+
+  describe('custom network profiles', () => {
+    it('saves a verified profile and makes it selectable', async () => {
+      const id = await saveNetworkProfile(STAGING, { rpcServer: stagingRpcServer() });
+
+      expect(getNetworkProfiles()).toEqual([expect.objectContaining({ id, label: 'staging', accountFactoryWasmHash: FACTORY_HASH })]);
+      expect(listNetworks()).toContainEqual({ id, label: 'staging', available: true, custom: true, active: false });
+
+      switchNetwork(id);
+
+      expect(config.networkPassphrase).toBe(STAGING_PASSPHRASE);
+      expect(config.stellar.accountFactoryAddress).toBe(STAGING_FACTORY);
+      expect(config.stellar.simpleAccountWasmHash).toBe(SIMPLE_ACCOUNT_HASH);
+      expect(config.stellar.friendbotUrl).toBeNull();
+      expect(config.stellar.networkLabel).toBe('staging');
+      expect(config.isTestnet).toBe(true);
+      switchNetwork('testnet');
+      removeNetworkProfile(id);
+    });
+
+    it('treats a profile with the mainnet passphrase as mainnet', async () => {
+      const passphrase = 'Public Global Stellar Network ; September 2015';
+      const id = await saveNetworkProfile(
+        { ...STAGING, label: 'my mainnet rpc', passphrase },
+        { rpcServer: stagingRpcServer({ passphrase, derivePassphrase: passphrase }) }
+      );
+
+      switchNetwork(id);
+
+      expect(config.isTestnet).toBe(false);
+      expect(config.stellar.networkLabel).toBe('my mainnet rpc');
+      switchNetwork('testnet');
+      removeNetworkProfile(id);
+    });
+
+    it('restores saved profiles after a reload', () => {
+      memory.set(KEYS.NETWORK_PROFILES, JSON.stringify([{ id: 'custom-1', ...validateNetworkProfile(STAGING) }]));
+      memory.set(KEYS.NETWORK, 'custom-1');
+
+      expect(restoreNetwork()).toBe('custom-1');
+      expect(config.stellar.sorobanRpcUrl).toBe('https://rpc.staging.example.com');
+      switchNetwork('testnet');
+      removeNetworkProfile('custom-1');
+    });
+
+    it('does not save a profile that fails verification', async () => {
+      await expect(saveNetworkProfile(STAGING, { rpcServer: stagingRpcServer({ deployed: false }) })).rejects.toThrow(/not deployed/);
+
+      expect(getNetworkProfiles()).toEqual([]);
+    });
+
+    it('removes profiles, but not the active network or presets', async () => {
+      const id = await saveNetworkProfile(STAGING, { rpcServer: stagingRpcServer() });
+      switchNetwork(id);
+
+      expect(() => removeNetworkProfile(id)).toThrow('Switch to another network before removing this one');
+      expect(() => removeNetworkProfile('testnet')).toThrow('Network testnet is built in');
+
+      switchNetwork('testnet');
+      removeNetworkProfile(id);
+
+      expect(getNetworkProfiles()).toEqual([]);
+      expect(listNetworks().map(network => network.id)).not.toContain(id);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Unit tests for incoming transfer notifications
+ * Tests incoming event selection, the last-seen ledgers, the polling watcher
+ * and Web Notifications
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  buildIncomingFilters,
+  selectIncomingTransfers,
+  describeIncomingTransfer,
+  getLastSeenLedgers,
+  checkIncomingTransfers,
+  watchIncomingTransfers,
+  getNotificationPermission,
+  showTransferNotification,
+} from '@/utils/stellar/notifications';
+import config from '@/utils/config';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+
+const CLASSIC_ACCOUNT = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+const CONTRACT_ACCOUNT = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+const SENDER = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const XLM_CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const ADDRESSES = [CLASSIC_ACCOUNT, CONTRACT_ACCOUNT];
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+  getXlmContractId: jest.fn(() => 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC'),
+}));
+
+const address = (value) => StellarSdk.nativeToScVal(StellarSdk.Address.fromString(value), { type: 'address' });
+
+/**
+ * Build an XLM transfer event
+ */
+function transferEvent({ from = SENDER, to, amount = 15000000n, ledger, tx = 1, contractId = XLM_CONTRACT_ID }) {
+  return {
+    id: `${((BigInt(ledger) << 32n) | (BigInt(tx) << 12n)).toString().padStart(19, '0')}-0000000000`,
+    contractId,
+    topic: [StellarSdk.nativeToScVal('transfer', { type: 'symbol' }), address(from), address(to)],
+    value: StellarSdk.nativeToScVal(amount, { type: 'i128' }),
+    txHash: `tx-${ledger}-${tx}`,
+    ledger,
+    ledgerClosedAt: '2025-01-01T00:00:00Z',
+  };
+}
+
+/**
+ * Mock RPC server that serves getEvents by recipient and ledger range, in ascending order
+ */
+function createMockServer(events, { latestLedger = 1000, oldestLedger = 1 } = {}) {
+  return {
+    getHealth: jest.fn().mockResolvedValue({ latestLedger, oldestLedger }),
+    getEvents: jest.fn(async ({ filters, startLedger, endLedger }) => {
+      const matching = events.filter(e =>
+        filters.some(filter => filter.contractIds.includes(e.contractId) && filter.topics[0][2] === e.topic[2].toXDR('base64')) &&
+        e.ledger >= startLedger && e.ledger < endLedger);
+      return { events: matching, cursor: '', oldestLedger };
+    }),
+  };
+}
+
+describe('Incoming transfer notifications', () => {
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('buildIncomingFilters', () => {
+    it('matches transfers to each address', () => {
+      const [filters, ...rest] = buildIncomingFilters(ADDRESSES, [XLM_CONTRACT_ID]);
+
+      expect(rest).toEqual([]);
+      expect(filters).toHaveLength(2);
+      expect(filters[0].contractIds).toEqual([XLM_CONTRACT_ID]);
+      expect(filters[0].topics[0][2]).toBe(address(CLASSIC_ACCOUNT).toXDR('base64'));
+      expect(filters[1].topics[0][2]).toBe(address(CONTRACT_ACCOUNT).toXDR('base64'));
+    });
+
+    it('splits many tokens over filters and requests within the getEvents limits', () => {
+      const tokens = Array.from({ length: 12 }, (_, i) => StellarSdk.StrKey.encodeContract(Buffer.alloc(32, i)));
+
+      const requests = buildIncomingFilters(ADDRESSES, tokens);
+
+      expect(requests.map(filters => filters.length)).toEqual([5, 1]);
+      const filters = requests.flat();
+      expect(filters.map(filter => filter.contractIds.length)).toEqual([5, 5, 2, 5, 5, 2]);
+      expect(filters.slice(0, 3).flatMap(filter => filter.contractIds)).toEqual(tokens);
+      expect(filters[3].topics[0][2]).toBe(address(CONTRACT_ACCOUNT).toXDR('base64'));
+    });
+  });
+
+  describe('selectIncomingTransfers', () => {
+    it('keeps transfers after the last seen ledger of their recipient', () => {
+      const events = [
+        transferEvent({ to: CLASSIC_ACCOUNT, ledger: 100 }),
+        transferEvent({ to: CLASSIC_ACCOUNT, ledger: 101 }),
+        transferEvent({ to: CONTRACT_ACCOUNT, ledger: 101, tx: 2 }),
+      ];
+
+      const transfers = selectIncomingTransfers(events, ADDRESSES, { [CLASSIC_ACCOUNT]: 100, [CONTRACT_ACCOUNT]: 100 });
+
+      expect(transfers.map(t => t.txHash)).toEqual(['tx-101-1', 'tx-101-2']);
+      expect(transfers[0]).toEqual(expect.objectContaining({ from: SENDER, to: CLASSIC_ACCOUNT, amount: 15000000n }));
+    });
+
+    it('skips transfers between the addresses and duplicate events', () => {
+      const event = transferEvent({ to: CONTRACT_ACCOUNT, ledger: 101 });
+      const events = [event, event, transferEvent({ from: CLASSIC_ACCOUNT, to: CONTRACT_ACCOUNT, ledger: 102 })];
+
+      expect(selectIncomingTransfers(events, ADDRESSES, { [CONTRACT_ACCOUNT]: 100 })).toHaveLength(1);
+    });
+
+    it('skips recipients without a last seen ledger', () => {
+      const events = [transferEvent({ to: CONTRACT_ACCOUNT, ledger: 101 })];
+
+      expect(selectIncomingTransfers(events, ADDRESSES, { [CLASSIC_ACCOUNT]: 100 })).toEqual([]);
+    });
+  });
+
+  describe('describeIncomingTransfer', () => {
+    it('names the amount, the sender and the account', () => {
+      expect(describeIncomingTransfer({ from: SENDER, to: CONTRACT_ACCOUNT, amount: 15000000n })).toEqual({
+        title: 'Received 1.5 XLM',
+        body: 'From GAIH3U....QJZNSR to your contract account',
+      });
+    });
+
+    it('formats the amount with the decimals of the token', () => {
+      const transfer = { from: SENDER, to: CLASSIC_ACCOUNT, amount: 15000000n };
+
+      expect(describeIncomingTransfer(transfer, { symbol: 'USDC', decimals: 6 }).title).toBe('Received 15 USDC');
+    });
+  });
+
+  describe('checkIncomingTransfers', () => {
+    it('starts at the latest ledger without reporting earlier transfers', async () => {
+      const rpcServer = createMockServer([transferEvent({ to: CLASSIC_ACCOUNT, ledger: 900 })]);
+
+      await expect(checkIncomingTransfers(ADDRESSES, { rpcServer })).resolves.toEqual([]);
+      expect(rpcServer.getEvents).not.toHaveBeenCalled();
+      expect(getLastSeenLedgers()).toEqual({ [CLASSIC_ACCOUNT]: 1000, [CONTRACT_ACCOUNT]: 1000 });
+    });
+
+    it('reports each transfer once', async () => {
+      const events = [transferEvent({ to: CONTRACT_ACCOUNT, ledger: 1005 })];
+      await checkIncomingTransfers(ADDRESSES, { rpcServer: createMockServer(events) });
+
+      const rpcServer = createMockServer(events, { latestLedger: 1010 });
+      const transfers = await checkIncomingTransfers(ADDRESSES, { rpcServer });
+
+      expect(transfers.map(t => t.txHash)).toEqual(['tx-1005-1']);
+      expect(rpcServer.getEvents).toHaveBeenCalledWith(expect.objectContaining({ startLedger: 1001, endLedger: 1011 }));
+      await expect(checkIncomingTransfers(ADDRESSES, { rpcServer })).resolves.toEqual([]);
+    });
+
+    it('reports transfers of every watched token in ledger order', async () => {
+      const tokens = Array.from({ length: 6 }, (_, i) => StellarSdk.StrKey.encodeContract(Buffer.alloc(32, i)));
+      await checkIncomingTransfers(ADDRESSES, { rpcServer: createMockServer([]), tokenContractIds: tokens });
+      const events = [
+        transferEvent({ to: CONTRACT_ACCOUNT, ledger: 1006, contractId: tokens[5] }),
+        transferEvent({ to: CLASSIC_ACCOUNT, ledger: 1004, contractId: tokens[0] }),
+        transferEvent({ to: CLASSIC_ACCOUNT, ledger: 1005, contractId: XLM_CONTRACT_ID }),
+      ];
+
+      const rpcServer = createMockServer(events, { latestLedger: 1010 });
+      const transfers = await checkIncomingTransfers(ADDRESSES, { rpcServer, tokenContractIds: tokens });
+
+      expect(transfers.map(t => [t.ledger, t.tokenContractId])).toEqual([[1004, tokens[0]], [1006, tokens[5]]]);
+      expect(rpcServer.getEvents).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not report earlier transfers to an address added later', async () => {
+      await checkIncomingTransfers([CLASSIC_ACCOUNT], { rpcServer: createMockServer([]) });
+      const events = [transferEvent({ to: CLASSIC_ACCOUNT, ledger: 1005 }), transferEvent({ to: CONTRACT_ACCOUNT, ledger: 1005, tx: 2 })];
+
+      const transfers = await checkIncomingTransfers(ADDRESSES, { rpcServer: createMockServer(events, { latestLedger: 1010 }) });
+
+      expect(transfers.map(t => t.to)).toEqual([CLASSIC_ACCOUNT]);
+      expect(getLastSeenLedgers()[CONTRACT_ACCOUNT]).toBe(1010);
+    });
+
+    it('keeps the last seen ledgers when the RPC fails', async () => {
+      await checkIncomingTransfers(ADDRESSES, { rpcServer: createMockServer([]) });
+      const rpcServer = createMockServer([], { latestLedger: 1010 });
+      rpcServer.getEvents.mockRejectedValue(new Error('RPC unavailable'));
+
+      await expect(checkIncomingTransfers(ADDRESSES, { rpcServer })).rejects.toThrow('RPC unavailable');
+      expect(getLastSeenLedgers()[CLASSIC_ACCOUNT]).toBe(1000);
+    });
+
+    it('discards a check that outlived a network switch', async () => {
+      await checkIncomingTransfers(ADDRESSES, { rpcServer: createMockServer([]) });
+      const rpcServer = createMockServer([transferEvent({ to: CLASSIC_ACCOUNT, ledger: 1005 })], { latestLedger: 1010 });
+      rpcServer.getHealth.mockImplementation(async () => {
+        config.stellar.network = 'local';
+        return { latestLedger: 1010, oldestLedger: 1 };
+      });
+
+      await expect(checkIncomingTransfers(ADDRESSES, { rpcServer })).resolves.toEqual([]);
+      config.stellar.network = 'testnet';
+      expect(getLastSeenLedgers()[CLASSIC_ACCOUNT]).toBe(1000);
+    });
+  });
+
+  describe('watchIncomingTransfers', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('checks every interval until stopped', async () => {
+      const events = [];
+      const rpcServer = createMockServer(events);
+      const onTransfers = jest.fn();
+
+      const stop = watchIncomingTransfers(ADDRESSES, onTransfers, { rpcServer, interval: 1000 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      events.push(transferEvent({ to: CLASSIC_ACCOUNT, ledger: 1005 }));
+      rpcServer.getHealth.mockResolvedValue({ latestLedger: 1010, oldestLedger: 1 });
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(onTransfers).toHaveBeenCalledTimes(1);
+      expect(onTransfers.mock.calls[0][0].map(t => t.txHash)).toEqual(['tx-1005-1']);
+
+      stop();
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(rpcServer.getHealth).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps checking after a failed check', async () => {
+      const rpcServer = createMockServer([]);
+      rpcServer.getHealth.mockRejectedValueOnce(new Error('RPC unavailable'));
+
+      const stop = watchIncomingTransfers(ADDRESSES, jest.fn(), { rpcServer, interval: 1000 });
+      await jest.advanceTimersByTimeAsync(1000);
+      stop();
+
+      expect(rpcServer.getHealth).toHaveBeenCalledTimes(2);
+      expect(getLastSeenLedgers()[CLASSIC_ACCOUNT]).toBe(1000);
+    });
+
+    it('skips checks while offline', async () => {
+      const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      const rpcServer = createMockServer([]);
+
+      const stop = watchIncomingTransfers(ADDRESSES, jest.fn(), { rpcServer, interval: 1000 });
+      await jest.advanceTimersByTimeAsync(3000);
+      stop();
+
+      expect(rpcServer.getHealth).not.toHaveBeenCalled();
+      onLine.mockRestore();
+    });
+  });
+
+  describe('Web Notifications', () => {
+    const transfer = { id: 'event-1', from: SENDER, to: CLASSIC_ACCOUNT, amount: 15000000n };
+
+    afterEach(() => {
+      delete global.Notification;
+      delete navigator.serviceWorker;
+    });
+
+    it('reports when notifications are unsupported', async () => {
+      expect(getNotificationPermission()).toBe('unsupported');
+      await expect(showTransferNotification(transfer)).resolves.toBe(false);
+    });
+
+    it('shows nothing without permission', async () => {
+      global.Notification = jest.fn();
+      global.Notification.permission = 'default';
+
+      await expect(showTransferNotification(transfer)).resolves.toBe(false);
+      expect(global.Notification).not.toHaveBeenCalled();
+    });
+
+    it('shows the notification through the service worker', async () => {
+      global.Notification = jest.fn();
+      global.Notification.permission = 'granted';
+      const registration = { showNotification: jest.fn().mockResolvedValue() };
+      Object.defineProperty(navigator, 'serviceWorker', {
+        value: { getRegistration: jest.fn().mockResolvedValue(registration) },
+        configurable: true,
+      });
+
+      await expect(showTransferNotification(transfer)).resolves.toBe(true);
+      expect(registration.showNotification).toHaveBeenCalledWith('Received 1.5 XLM', expect.objectContaining({
+        body: 'From GAIH3U....QJZNSR to your classic account',
+        tag: 'event-1',
+      }));
+      expect(global.Notification).not.toHaveBeenCalled();
+    });
+
+    it('falls back to a page notification without a service worker', async () => {
+      global.Notification = jest.fn();
+      global.Notification.permission = 'granted';
+
+      await expect(showTransferNotification(transfer)).resolves.toBe(true);
+      expect(global.Notification).toHaveBeenCalledWith('Received 1.5 XLM', expect.objectContaining({ tag: 'event-1' }));
+    });
+  });
+});
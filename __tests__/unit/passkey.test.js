@@ -0,0 +1,177 @@
+/**
+ * Unit tests for passkeys
+ * Tests encodings, signature normalization, held passkeys and the WebAuthn
+ * calls against a software authenticator
+ */
+
+import crypto from 'crypto';
+import {
+  toBase64Url,
+  fromBase64Url,
+  publicKeyFromSpki,
+  derToRawSignature,
+  getAssertionChallenge,
+  getStoredPasskeys,
+  savePasskey,
+  removeSavedPasskey,
+  createPasskey,
+  getPasskeyAssertion,
+} from '@/utils/stellar/passkey';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+
+const ACCOUNT = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+const P256_ORDER = BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Build a navigator.credentials stand-in that keeps P-256 keys in memory
+ */
+function createSoftwareAuthenticator() {
+  const keys = new Map();
+
+  return {
+    keys,
+    create: jest.fn(async ({ publicKey: options }) => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const rawId = crypto.randomBytes(16);
+      keys.set(rawId.toString('hex'), { privateKey, publicKey });
+      return {
+        rawId,
+        response: {
+          getPublicKey: () => publicKey.export({ type: 'spki', format: 'der' }),
+          getPublicKeyAlgorithm: () => options.pubKeyCredParams[0].alg,
+          // RP ID hash, flags (user present, attested credential data), signature counter
+          getAuthenticatorData: () => Buffer.concat([sha256('localhost'), Buffer.from([0x41]), Buffer.alloc(4)]),
+        },
+      };
+    }),
+    get: jest.fn(async ({ publicKey: options }) => {
+      const rawId = Buffer.from(options.allowCredentials[0].id);
+      const { privateKey } = keys.get(rawId.toString('hex'));
+      // RP ID hash, flags (user present and verified), signature counter
+      const authenticatorData = Buffer.concat([sha256('localhost'), Buffer.from([0x05]), Buffer.alloc(4)]);
+      const clientDataJSON = Buffer.from(JSON.stringify({
+        type: 'webauthn.get',
+        challenge: toBase64Url(options.challenge),
+        origin: 'http://localhost',
+      }));
+      return {
+        rawId,
+        response: {
+          authenticatorData,
+          clientDataJSON,
+          signature: crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), privateKey),
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * DER-encode an ECDSA signature from its integers
+ */
+function toDer(r, s) {
+  const integer = (value) => {
+    let bytes = Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+    while (bytes.length > 1 && bytes[0] === 0 && bytes[1] < 0x80) {
+      bytes = bytes.subarray(1);
+    }
+    if (bytes[0] >= 0x80) {
+      bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+  };
+  const body = Buffer.concat([integer(r), integer(s)]);
+  return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+describe('Passkeys', () => {
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+  });
+
+  describe('encodings', () => {
+    it('round-trips unpadded base64url', () => {
+      const bytes = Buffer.from([0xfb, 0xff, 0xfe, 0x01]);
+
+      expect(toBase64Url(bytes)).toBe('-__-AQ');
+      expect(fromBase64Url('-__-AQ')).toEqual(bytes);
+    });
+
+    it('extracts the public key point from SPKI', () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const jwk = publicKey.export({ format: 'jwk' });
+
+      const point = publicKeyFromSpki(publicKey.export({ type: 'spki', format: 'der' }));
+
+      expect(point).toEqual(Buffer.concat([Buffer.from([4]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)]));
+      expect(() => publicKeyFromSpki(Buffer.alloc(70))).toThrow('Unsupported passkey public key');
+    });
+
+    it('converts DER signatures to r || s with a low s', () => {
+      const r = 5n;
+      const lowS = 7n;
+
+      const fromLow = derToRawSignature(toDer(r, lowS));
+      const fromHigh = derToRawSignature(toDer(r, P256_ORDER - lowS));
+
+      expect(fromLow).toHaveLength(64);
+      expect(fromHigh).toEqual(fromLow);
+      expect(BigInt(`0x${fromLow.subarray(32).toString('hex')}`)).toBe(lowS);
+      expect(() => derToRawSignature(Buffer.from([0x31, 0]))).toThrow('Invalid passkey signature');
+    });
+  });
+
+  describe('held passkeys', () => {
+    it('stores and forgets passkeys', () => {
+      savePasskey({ credentialId: 'abc', name: 'laptop' }, ACCOUNT);
+      expect(getStoredPasskeys()).toEqual([{ credentialId: 'abc', name: 'laptop', account: ACCOUNT }]);
+
+      removeSavedPasskey('abc');
+      expect(getStoredPasskeys()).toEqual([]);
+    });
+  });
+
+  describe('WebAuthn', () => {
+    it('creates a passkey and returns its public key', async () => {
+      const credentials = createSoftwareAuthenticator();
+
+      const passkey = await createPasskey('laptop', { credentials });
+
+      const options = credentials.create.mock.calls[0][0].publicKey;
+      expect(options.user.name).toBe('laptop');
+      expect(options.pubKeyCredParams).toEqual([{ type: 'public-key', alg: -7 }]);
+      expect(passkey.publicKey).toHaveLength(65);
+      expect(passkey.rpIdHash).toEqual(sha256('localhost'));
+      expect(credentials.keys.has(fromBase64Url(passkey.credentialId).toString('hex'))).toBe(true);
+    });
+
+    it('rejects passkeys that are not secp256r1', async () => {
+      const credentials = createSoftwareAuthenticator();
+      credentials.create.mockResolvedValueOnce({ rawId: Buffer.alloc(16), response: { getPublicKeyAlgorithm: () => -8 } });
+
+      await expect(createPasskey('laptop', { credentials })).rejects.toThrow('The authenticator did not create a secp256r1 passkey');
+    });
+
+    it('signs a payload as the WebAuthn challenge', async () => {
+      const credentials = createSoftwareAuthenticator();
+      const { credentialId } = await createPasskey('laptop', { credentials });
+      const payload = crypto.randomBytes(32);
+
+      const assertion = await getPasskeyAssertion(payload, credentialId, { credentials });
+
+      expect(getAssertionChallenge(assertion)).toEqual(payload);
+      expect(toBase64Url(assertion.credentialId)).toBe(credentialId);
+
+      const { publicKey } = credentials.keys.get(assertion.credentialId.toString('hex'));
+      const signed = Buffer.concat([assertion.authenticatorData, sha256(assertion.clientDataJSON)]);
+      expect(crypto.verify('sha256', signed, { key: publicKey, dsaEncoding: 'ieee-p1363' }, assertion.signature)).toBe(true);
+      expect(BigInt(`0x${assertion.signature.subarray(32).toString('hex')}`) <= P256_ORDER / 2n).toBe(true);
+    });
+
+    it('reports browsers without WebAuthn', async () => {
+      await expect(getPasskeyAssertion(Buffer.alloc(32), 'abc')).rejects.toThrow('Passkeys are not supported in this browser');
+    });
+  });
+});
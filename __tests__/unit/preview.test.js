@@ -0,0 +1,459 @@
+/**
+ * Unit tests for transaction previews
+ * Tests how simulation results are decoded into fees, resources, auth entries
+ * and balance changes, and how sends are simulated without being submitted
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  formatScVal,
+  describeAuthEntry,
+  getBalanceDeltas,
+  summarizeSimulation,
+  previewContractAccountSend,
+  previewClassicSend,
+} from '@/utils/stellar/preview';
+import { deriveContractAddress } from '@/utils/stellar/helpers';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+import { setFeeSettings } from '@/utils/stellar/fees';
+
+const TEST_KEYPAIR = StellarSdk.Keypair.random();
+const TEST_CONTRACT_ADDRESS = deriveContractAddress(TEST_KEYPAIR.publicKey());
+const COSIGNER = StellarSdk.Keypair.random();
+const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const ALICE = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const BOB = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+
+// Recent Soroban inclusion fees (getFeeStats)
+const FEE_STATS = { sorobanInclusionFee: { p10: '100', p50: '10000', p90: '50000' } };
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+      accountFactoryAddress: 'CDUIY5ADZ6MXJFKWMCTU2W3LN3UZJM3UNUTXPZBFA7FRB4UN22IETNIP',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock keypair storage
+jest.mock('@/utils/stellar/keypair', () => ({
+  getStoredKeypair: jest.fn(),
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+  getTokenContract: jest.fn(),
+}));
+
+// Import mocked modules
+import { getStoredKeypair } from '@/utils/stellar/keypair';
+import { getTokenContract } from '@/utils/stellar/rpc';
+
+const dataKey = (name) => StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvSymbol(name)]);
+const entry = (key, val) => new StellarSdk.xdr.ScMapEntry({ key, val });
+const amountVal = (amount) => StellarSdk.nativeToScVal(amount, { type: 'i128' });
+
+/**
+ * Build an auth entry for a contract call with optional sub-invocations
+ * @param {string | null} signer - Address credentials, or null for the transaction source
+ */
+const authEntry = (signer, invocation) => new StellarSdk.xdr.SorobanAuthorizationEntry({
+  credentials: signer
+    ? StellarSdk.xdr.SorobanCredentials.sorobanCredentialsAddress(new StellarSdk.xdr.SorobanAddressCredentials({
+      address: StellarSdk.Address.fromString(signer).toScAddress(),
+      nonce: StellarSdk.xdr.Int64.fromString('1'),
+      signatureExpirationLedger: 0,
+      signature: StellarSdk.xdr.ScVal.scvVoid(),
+    }))
+    : StellarSdk.xdr.SorobanCredentials.sorobanCredentialsSourceAccount(),
+  rootInvocation: invocation,
+});
+
+const contractCall = (contract, functionName, args, subInvocations = []) => new StellarSdk.xdr.SorobanAuthorizedInvocation({
+  function: StellarSdk.xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(
+    new StellarSdk.xdr.InvokeContractArgs({
+      contractAddress: StellarSdk.Address.fromString(contract).toScAddress(),
+      functionName,
+      args,
+    })
+  ),
+  subInvocations,
+});
+
+/**
+ * Build a diagnostic event for a token transfer
+ * @param {object} options - data: the event data (defaults to the amount); successful: inSuccessfulContractCall
+ */
+const transferEvent = (token, from, to, amount, { data = amountVal(amount), successful = true, name = 'transfer' } = {}) =>
+  new StellarSdk.xdr.DiagnosticEvent({
+    inSuccessfulContractCall: successful,
+    event: new StellarSdk.xdr.ContractEvent({
+      ext: new StellarSdk.xdr.ExtensionPoint(0),
+      contractId: StellarSdk.StrKey.decodeContract(token),
+      type: StellarSdk.xdr.ContractEventType.contract(),
+      body: new StellarSdk.xdr.ContractEventBody(0, new StellarSdk.xdr.ContractEventV0({
+        topics: [
+          StellarSdk.xdr.ScVal.scvSymbol(name),
+          StellarSdk.Address.fromString(from).toScVal(),
+          StellarSdk.Address.fromString(to).toScVal(),
+        ],
+        data,
+      })),
+    }),
+  });
+
+/**
+ * Build a successful simulation with resources and a footprint
+ */
+const simulation = ({ auth = [], events = [], instructions = 500000 } = {}) => ({
+  _parsed: true,
+  latestLedger: 1000,
+  minResourceFee: '52000',
+  transactionData: new StellarSdk.SorobanDataBuilder()
+    .setResources(instructions, 1200, 300)
+    .setFootprint(
+      [new StellarSdk.Contract(XLM_ID).getFootprint(), new StellarSdk.Contract(TEST_CONTRACT_ADDRESS).getFootprint()],
+      [StellarSdk.xdr.LedgerKey.account(new StellarSdk.xdr.LedgerKeyAccount({
+        accountId: StellarSdk.Keypair.fromPublicKey(ALICE).xdrPublicKey(),
+      }))]
+    ),
+  result: { auth, retval: StellarSdk.xdr.ScVal.scvVoid() },
+  events,
+});
+
+/**
+ * Build a getLedgerEntries response for the contract account instance
+ * @param {object} options - threshold: signatures required (a multisig account when above 1); dailyXlm: raw daily XLM limit
+ */
+const instanceEntries = ({ threshold = 1, dailyXlm = null } = {}) => ({
+  entries: [{
+    val: StellarSdk.xdr.LedgerEntryData.contractData(new StellarSdk.xdr.ContractDataEntry({
+      ext: new StellarSdk.xdr.ExtensionPoint(0),
+      contract: StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScAddress(),
+      key: StellarSdk.xdr.ScVal.scvLedgerKeyContractInstance(),
+      durability: StellarSdk.xdr.ContractDataDurability.persistent(),
+      val: StellarSdk.xdr.ScVal.scvContractInstance(new StellarSdk.xdr.ScContractInstance({
+        executable: StellarSdk.xdr.ContractExecutable.contractExecutableWasm(Buffer.alloc(32)),
+        storage: [
+          entry(dataKey('Signers'), StellarSdk.xdr.ScVal.scvVec([
+            StellarSdk.xdr.ScVal.scvBytes(TEST_KEYPAIR.rawPublicKey()),
+            StellarSdk.xdr.ScVal.scvBytes(COSIGNER.rawPublicKey()),
+            StellarSdk.xdr.ScVal.scvBytes(StellarSdk.Keypair.random().rawPublicKey()),
+          ])),
+          entry(dataKey('Threshold'), StellarSdk.xdr.ScVal.scvU32(threshold)),
+          entry(dataKey('Passkeys'), StellarSdk.xdr.ScVal.scvMap([])),
+          ...(dailyXlm === null ? [] : [entry(dataKey('Limits'), StellarSdk.xdr.ScVal.scvMap([
+            entry(StellarSdk.Address.fromString(XLM_ID).toScVal(), StellarSdk.xdr.ScVal.scvMap([
+              entry(StellarSdk.xdr.ScVal.scvSymbol('daily'), amountVal(dailyXlm)),
+              entry(StellarSdk.xdr.ScVal.scvSymbol('weekly'), StellarSdk.xdr.ScVal.scvVoid()),
+            ])),
+          ]))]),
+        ],
+      })),
+    })),
+  }],
+});
+
+describe('Transaction previews', () => {
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+  });
+
+  describe('formatScVal', () => {
+    it('formats addresses, integers and symbols as text', () => {
+      expect(formatScVal(StellarSdk.Address.fromString(ALICE).toScVal())).toBe(ALICE);
+      expect(formatScVal(amountVal(123456789012345678901234567n))).toBe('123456789012345678901234567');
+      expect(formatScVal(StellarSdk.xdr.ScVal.scvSymbol('transfer'))).toBe('transfer');
+      expect(formatScVal(StellarSdk.xdr.ScVal.scvVoid())).toBe('null');
+    });
+
+    it('formats bytes as hex', () => {
+      expect(formatScVal(StellarSdk.xdr.ScVal.scvBytes(Buffer.from([0xde, 0xad])))).toBe('dead');
+    });
+
+    it('formats structs as JSON', () => {
+      const val = StellarSdk.xdr.ScVal.scvMap([
+        entry(StellarSdk.xdr.ScVal.scvSymbol('amount'), amountVal(5n)),
+        entry(StellarSdk.xdr.ScVal.scvSymbol('key'), StellarSdk.xdr.ScVal.scvBytes(Buffer.from([1]))),
+      ]);
+      expect(formatScVal(val)).toBe('{"amount":"5","key":"01"}');
+    });
+  });
+
+  describe('describeAuthEntry', () => {
+    it('describes the signer and the authorized call', () => {
+      const auth = authEntry(TEST_CONTRACT_ADDRESS, contractCall(XLM_ID, 'transfer', [
+        StellarSdk.Address.fromString(TEST_CONTRACT_ADDRESS).toScVal(),
+        StellarSdk.Address.fromString(ALICE).toScVal(),
+        amountVal(10000000n),
+      ]));
+
+      expect(describeAuthEntry(auth)).toEqual({
+        signer: TEST_CONTRACT_ADDRESS,
+        calls: [{ depth: 0, contract: XLM_ID, functionName: 'transfer', args: [TEST_CONTRACT_ADDRESS, ALICE, '10000000'] }],
+      });
+    });
+
+    it('lists nested calls after their parent', () => {
+      const auth = authEntry(null, contractCall(TEST_CONTRACT_ADDRESS, 'transfer_batch', [], [
+        contractCall(XLM_ID, 'transfer', [amountVal(1n)]),
+      ]));
+
+      const { signer, calls } = describeAuthEntry(auth);
+      expect(signer).toBeNull();
+      expect(calls.map(call => [call.depth, call.functionName])).toEqual([[0, 'transfer_batch'], [1, 'transfer']]);
+    });
+  });
+
+  describe('getBalanceDeltas', () => {
+    it('nets transfers per address and token', () => {
+      const deltas = getBalanceDeltas([
+        transferEvent(XLM_ID, TEST_CONTRACT_ADDRESS, ALICE, 30n),
+        transferEvent(XLM_ID, TEST_CONTRACT_ADDRESS, BOB, 20n),
+        transferEvent(XLM_ID, ALICE, BOB, 5n),
+      ]);
+
+      expect(deltas).toEqual([
+        { address: TEST_CONTRACT_ADDRESS, tokenContractId: XLM_ID, amount: -50n },
+        { address: ALICE, tokenContractId: XLM_ID, amount: 25n },
+        { address: BOB, tokenContractId: XLM_ID, amount: 25n },
+      ]);
+    });
+
+    it('reads the amount from muxed transfer data', () => {
+      const data = StellarSdk.xdr.ScVal.scvMap([
+        entry(StellarSdk.xdr.ScVal.scvSymbol('amount'), amountVal(7n)),
+        entry(StellarSdk.xdr.ScVal.scvSymbol('to_muxed_id'), StellarSdk.nativeToScVal(9n, { type: 'u64' })),
+      ]);
+
+      expect(getBalanceDeltas([transferEvent(XLM_ID, ALICE, BOB, 0n, { data })])).toEqual([
+        { address: ALICE, tokenContractId: XLM_ID, amount: -7n },
+        { address: BOB, tokenContractId: XLM_ID, amount: 7n },
+      ]);
+    });
+
+    it('skips map data without an amount', () => {
+      const data = StellarSdk.xdr.ScVal.scvMap([
+        entry(StellarSdk.xdr.ScVal.scvSymbol('to_muxed_id'), StellarSdk.nativeToScVal(9n, { type: 'u64' })),
+      ]);
+
+      expect(getBalanceDeltas([
+        transferEvent(XLM_ID, ALICE, BOB, 0n, { data }),
+        transferEvent(XLM_ID, ALICE, BOB, 3n),
+      ])).toEqual([
+        { address: ALICE, tokenContractId: XLM_ID, amount: -3n },
+        { address: BOB, tokenContractId: XLM_ID, amount: 3n },
+      ]);
+    });
+
+    it('ignores other events, failed calls and zero changes', () => {
+      expect(getBalanceDeltas([
+        transferEvent(XLM_ID, ALICE, BOB, 5n, { name: 'mint' }),
+        transferEvent(XLM_ID, ALICE, BOB, 5n, { successful: false }),
+        transferEvent(XLM_ID, ALICE, ALICE, 5n),
+      ])).toEqual([]);
+      expect(getBalanceDeltas()).toEqual([]);
+    });
+  });
+
+  describe('summarizeSimulation', () => {
+    it('decodes fees, resources, auth and balance changes', () => {
+      const auth = authEntry(TEST_CONTRACT_ADDRESS, contractCall(XLM_ID, 'transfer', []));
+      const summary = summarizeSimulation(
+        simulation({ auth: [auth], events: [transferEvent(XLM_ID, TEST_CONTRACT_ADDRESS, ALICE, 10n)] }),
+        { inclusionFee: '10000', instructionBump: 1000000 }
+      );
+
+      expect(summary).toEqual({
+        resourceFee: 52000n,
+        inclusionFee: 10000n,
+        maxFee: 62000n,
+        maxFeeBumpFee: null,
+        instructions: 1500000,
+        instructionBump: 1000000,
+        readBytes: 1200,
+        writeBytes: 300,
+        readOnlyEntries: 2,
+        readWriteEntries: 1,
+        authEntries: [describeAuthEntry(auth)],
+        balanceDeltas: [
+          { address: TEST_CONTRACT_ADDRESS, tokenContractId: XLM_ID, amount: -10n },
+          { address: ALICE, tokenContractId: XLM_ID, amount: 10n },
+        ],
+      });
+    });
+
+    it('includes the most a fee bump would cost', () => {
+      const summary = summarizeSimulation(simulation(), { inclusionFee: '10000', feeBumpFee: '50000' });
+
+      // The bump offers ten times the current rate (above the bid) for two "operations", plus the resource fee
+      expect(summary.maxFeeBumpFee).toBe(100000n * 2n + 52000n);
+    });
+
+    it('handles simulations without auth or events', () => {
+      const summary = summarizeSimulation({ ...simulation(), result: undefined, events: undefined }, { inclusionFee: 100 });
+
+      expect(summary.instructionBump).toBe(0);
+      expect(summary.maxFeeBumpFee).toBeNull();
+      expect(summary.instructions).toBe(500000);
+      expect(summary.authEntries).toEqual([]);
+      expect(summary.balanceDeltas).toEqual([]);
+    });
+  });
+
+  describe('previewContractAccountSend', () => {
+    let mockRpcServer;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockRpcServer = {
+        getLedgerEntries: jest.fn().mockResolvedValue(instanceEntries()),
+        getAccount: jest.fn().mockResolvedValue(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), '100')),
+        getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+        simulateTransaction: jest.fn().mockResolvedValue(simulation({
+          auth: [authEntry(TEST_CONTRACT_ADDRESS, contractCall(XLM_ID, 'transfer', []))],
+        })),
+        sendTransaction: jest.fn(),
+      };
+      getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+      getTokenContract.mockImplementation((id) => new StellarSdk.Contract(id || XLM_ID));
+    });
+
+    it('simulates the transfer from the contract account without sending it', async () => {
+      const preview = await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer });
+
+      const transaction = mockRpcServer.simulateTransaction.mock.calls[0][0];
+      const args = transaction.toEnvelope().v1().tx().operations()[0].body().invokeHostFunctionOp().hostFunction().invokeContract();
+      expect(args.functionName().toString()).toBe('transfer');
+      expect(args.args().map(arg => StellarSdk.scValToNative(arg))).toEqual([TEST_CONTRACT_ADDRESS, ALICE, 10000000n]);
+      expect(mockRpcServer.sendTransaction).not.toHaveBeenCalled();
+
+      expect(preview.needsDeployment).toBe(false);
+      expect(preview.inclusionFee).toBe(10000n);
+      expect(preview.instructionBump).toBe(1000000);
+      expect(preview.instructions).toBe(1500000);
+    });
+
+    it('previews the enforcing simulation of the signed auth entries', async () => {
+      mockRpcServer.simulateTransaction
+        .mockResolvedValueOnce(simulation({ auth: [authEntry(TEST_CONTRACT_ADDRESS, contractCall(XLM_ID, 'transfer', []))] }))
+        .mockResolvedValueOnce(simulation({ instructions: 700000 }));
+
+      const preview = await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer });
+
+      expect(mockRpcServer.simulateTransaction).toHaveBeenCalledTimes(2);
+      const enforced = mockRpcServer.simulateTransaction.mock.calls[1][0];
+      const [auth] = enforced.toEnvelope().v1().tx().operations()[0].body().invokeHostFunctionOp().auth();
+      expect(auth.credentials().address().signature().switch().name).not.toBe('scvVoid');
+      expect(preview.instructions).toBe(1700000);
+      expect(preview.authEntries).toEqual([describeAuthEntry(auth)]);
+      expect(mockRpcServer.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    it('throws when the account rejects the signed auth entries', async () => {
+      mockRpcServer.simulateTransaction
+        .mockResolvedValueOnce(simulation({ auth: [authEntry(TEST_CONTRACT_ADDRESS, contractCall(XLM_ID, 'transfer', []))] }))
+        .mockResolvedValueOnce({ _parsed: true, latestLedger: 1000, error: 'HostError' });
+
+      await expect(previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Contract account rejected the transaction');
+    });
+
+    it('budgets signature checks for every signature the threshold needs', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries({ threshold: 2 }));
+
+      const preview = await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer, cosigners: [COSIGNER] });
+
+      expect(preview.instructionBump).toBe(2000000);
+      expect(preview.instructions).toBe(2500000);
+    });
+
+    it('adds no signature budget when the account is not asked to sign', async () => {
+      mockRpcServer.simulateTransaction.mockResolvedValue(simulation());
+
+      const preview = await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer });
+
+      expect(preview.instructionBump).toBe(0);
+    });
+
+    it('flags accounts that have to be deployed first', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue({ entries: [] });
+
+      const preview = await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer });
+
+      expect(preview.needsDeployment).toBe(true);
+      expect(preview.instructionBump).toBe(1000000);
+      expect(mockRpcServer.simulateTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses the token decimals for the amount', async () => {
+      const token = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+
+      await previewContractAccountSend(ALICE, '1.5', { rpcServer: mockRpcServer, tokenContractId: token, decimals: 2 });
+
+      const transaction = mockRpcServer.simulateTransaction.mock.calls[0][0];
+      const invoke = transaction.toEnvelope().v1().tx().operations()[0].body().invokeHostFunctionOp().hostFunction().invokeContract();
+      expect(StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString()).toBe(token);
+      expect(StellarSdk.scValToNative(invoke.args()[2])).toBe(150n);
+    });
+
+    it('rejects sends over the spending limit before simulating', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries({ dailyXlm: 5000000n }));
+
+      await expect(previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer }))
+        .rejects.toThrow(/limit/);
+      expect(mockRpcServer.simulateTransaction).not.toHaveBeenCalled();
+    });
+
+    it('throws when the simulation fails', async () => {
+      mockRpcServer.simulateTransaction.mockResolvedValue({ _parsed: true, latestLedger: 1000, error: 'HostError' });
+
+      await expect(previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+    });
+
+    it('shows the fee bump cost only when fee bumps are turned on', async () => {
+      expect((await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer })).maxFeeBumpFee).toBeNull();
+
+      setFeeSettings({ autoBump: true });
+      const preview = await previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer });
+
+      expect(preview.maxFeeBumpFee).toBe(100000n * 2n + 52000n);
+    });
+
+    it('throws when there is no keypair', async () => {
+      getStoredKeypair.mockReturnValue(null);
+
+      await expect(previewContractAccountSend(ALICE, '1', { rpcServer: mockRpcServer }))
+        .rejects.toThrow('No keypair found in storage');
+    });
+  });
+
+  describe('previewClassicSend', () => {
+    it('simulates the transfer from the classic account', async () => {
+      const mockRpcServer = {
+        getAccount: jest.fn().mockResolvedValue(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), '100')),
+        getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+        simulateTransaction: jest.fn().mockResolvedValue(simulation({
+          auth: [authEntry(null, contractCall(XLM_ID, 'transfer', []))],
+        })),
+      };
+      getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+      getTokenContract.mockImplementation((id) => new StellarSdk.Contract(id || XLM_ID));
+
+      const preview = await previewClassicSend(BOB, '2', { rpcServer: mockRpcServer });
+
+      const transaction = mockRpcServer.simulateTransaction.mock.calls[0][0];
+      const args = transaction.toEnvelope().v1().tx().operations()[0].body().invokeHostFunctionOp().hostFunction().invokeContract();
+      expect(args.args().map(arg => StellarSdk.scValToNative(arg))).toEqual([TEST_KEYPAIR.publicKey(), BOB, 20000000n]);
+      expect(preview.needsDeployment).toBe(false);
+      expect(preview.instructionBump).toBe(0);
+      expect(preview.authEntries[0].signer).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Unit tests for guardian recovery
+ * Tests reading guardians and the pending recovery, guardian management and
+ * guardian actions on other accounts
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  parseRecoveryState,
+  isRecoveryReady,
+  findGuardianAddress,
+  getRecoveryState,
+  setGuardians,
+  cancelRecovery,
+  startRecovery,
+  approveRecovery,
+  rejectRecovery,
+  completeRecovery,
+} from '@/utils/stellar/recovery';
+import { deriveContractAddress } from '@/utils/stellar/helpers';
+
+const TEST_KEYPAIR = StellarSdk.Keypair.random();
+const TEST_PUBLIC_KEY = TEST_KEYPAIR.publicKey();
+const TEST_CONTRACT_ADDRESS = deriveContractAddress(TEST_PUBLIC_KEY);
+const LOST_ACCOUNT = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+const FRIEND = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const NEW_SIGNER = StellarSdk.Keypair.random();
+const NOW = 1750000000;
+
+// Recent Soroban inclusion fees (getFeeStats)
+const FEE_STATS = { sorobanInclusionFee: { p10: '100', p50: '10000', p90: '50000' } };
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+      accountFactoryAddress: 'CDUIY5ADZ6MXJFKWMCTU2W3LN3UZJM3UNUTXPZBFA7FRB4UN22IETNIP',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock keypair storage
+jest.mock('@/utils/stellar/keypair', () => ({
+  getStoredKeypair: jest.fn(),
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+  getXlmContract: jest.fn(),
+  getTokenContract: jest.fn(),
+}));
+
+import { getStoredKeypair } from '@/utils/stellar/keypair';
+
+const dataKey = (name) => StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvSymbol(name)]);
+const entry = (key, val) => new StellarSdk.xdr.ScMapEntry({ key, val });
+const address = (value) => StellarSdk.Address.fromString(value).toScVal();
+const struct = (fields) => StellarSdk.xdr.ScVal.scvMap(Object.keys(fields).sort().map(name =>
+  entry(StellarSdk.xdr.ScVal.scvSymbol(name), fields[name])));
+
+const recoveryStorage = ({ guardians = [], threshold = guardians.length ? 1 : 0, recovery = null, multisig = true } = {}) => [
+  multisig
+    ? entry(dataKey('Signers'), StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvBytes(TEST_KEYPAIR.rawPublicKey())]))
+    : entry(dataKey('Owner'), StellarSdk.xdr.ScVal.scvBytes(TEST_KEYPAIR.rawPublicKey())),
+  entry(dataKey('Threshold'), StellarSdk.xdr.ScVal.scvU32(1)),
+  entry(dataKey('Guardians'), StellarSdk.xdr.ScVal.scvVec(guardians.map(address))),
+  entry(dataKey('GuardianThreshold'), StellarSdk.xdr.ScVal.scvU32(threshold)),
+  ...(recovery ? [entry(dataKey('Recovery'), struct({
+    approvals: StellarSdk.xdr.ScVal.scvVec(recovery.approvals.map(address)),
+    effective_at: StellarSdk.nativeToScVal(recovery.effectiveAt, { type: 'u64' }),
+    new_signer: StellarSdk.xdr.ScVal.scvBytes(recovery.newSigner.rawPublicKey()),
+    rejections: StellarSdk.xdr.ScVal.scvVec((recovery.rejections || []).map(address)),
+  }))] : []),
+];
+
+/**
+ * Build a getLedgerEntries response for a contract instance with the given storage
+ */
+const instanceEntries = (contractAddress, storage) => ({
+  entries: [{
+    val: StellarSdk.xdr.LedgerEntryData.contractData(new StellarSdk.xdr.ContractDataEntry({
+      ext: new StellarSdk.xdr.ExtensionPoint(0),
+      contract: StellarSdk.Address.fromString(contractAddress).toScAddress(),
+      key: StellarSdk.xdr.ScVal.scvLedgerKeyContractInstance(),
+      durability: StellarSdk.xdr.ContractDataDurability.persistent(),
+      val: StellarSdk.xdr.ScVal.scvContractInstance(new StellarSdk.xdr.ScContractInstance({
+        executable: StellarSdk.xdr.ContractExecutable.contractExecutableWasm(Buffer.alloc(32)),
+        storage,
+      })),
+    })),
+  }],
+});
+
+describe('Guardian recovery', () => {
+  let mockRpcServer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRpcServer = {
+      getLedgerEntries: jest.fn(),
+      getAccount: jest.fn().mockResolvedValue(new StellarSdk.Account(TEST_PUBLIC_KEY, '100')),
+      getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+      simulateTransaction: jest.fn().mockResolvedValue({ error: 'test' }),
+      sendTransaction: jest.fn(),
+    };
+    getStoredKeypair.mockReturnValue(TEST_KEYPAIR);
+    jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const simulatedCall = () => mockRpcServer.simulateTransaction.mock.calls[0][0].operations[0].func.invokeContract();
+
+  describe('parseRecoveryState', () => {
+    it('reads guardians and the pending recovery', () => {
+      const state = parseRecoveryState(recoveryStorage({
+        guardians: [FRIEND, TEST_CONTRACT_ADDRESS],
+        threshold: 2,
+        recovery: { approvals: [FRIEND], rejections: [TEST_CONTRACT_ADDRESS], effectiveAt: NOW, newSigner: NEW_SIGNER },
+      }));
+
+      expect(state).toEqual({
+        guardians: [FRIEND, TEST_CONTRACT_ADDRESS],
+        threshold: 2,
+        recovery: { newSigner: NEW_SIGNER.publicKey(), approvals: [FRIEND], rejections: [TEST_CONTRACT_ADDRESS], effectiveAt: NOW },
+      });
+    });
+
+    it('has no guardians by default', () => {
+      expect(parseRecoveryState([])).toEqual({ guardians: [], threshold: 0, recovery: null });
+    });
+  });
+
+  describe('isRecoveryReady', () => {
+    const state = {
+      guardians: [FRIEND, TEST_CONTRACT_ADDRESS],
+      threshold: 2,
+      recovery: { newSigner: NEW_SIGNER.publicKey(), approvals: [FRIEND, TEST_CONTRACT_ADDRESS], effectiveAt: NOW },
+    };
+
+    it('needs enough approvals and the delay to pass', () => {
+      expect(isRecoveryReady(state, NOW)).toBe(true);
+      expect(isRecoveryReady(state, NOW - 1)).toBe(false);
+      expect(isRecoveryReady({ ...state, recovery: { ...state.recovery, approvals: [FRIEND] } }, NOW)).toBe(false);
+      expect(isRecoveryReady({ ...state, recovery: null }, NOW)).toBe(false);
+    });
+  });
+
+  describe('findGuardianAddress', () => {
+    it('prefers the contract account over the G account', () => {
+      expect(findGuardianAddress({ guardians: [TEST_PUBLIC_KEY, TEST_CONTRACT_ADDRESS] }, TEST_PUBLIC_KEY)).toBe(TEST_CONTRACT_ADDRESS);
+      expect(findGuardianAddress({ guardians: [TEST_PUBLIC_KEY] }, TEST_PUBLIC_KEY)).toBe(TEST_PUBLIC_KEY);
+      expect(findGuardianAddress({ guardians: [FRIEND] }, TEST_PUBLIC_KEY)).toBeNull();
+    });
+  });
+
+  describe('getRecoveryState', () => {
+    it('returns null for accounts deployed before recovery support', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(TEST_CONTRACT_ADDRESS, recoveryStorage({ multisig: false })));
+
+      expect(await getRecoveryState(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer })).toBeNull();
+    });
+  });
+
+  describe('guardian management', () => {
+    it('validates guardians and the threshold', async () => {
+      await expect(setGuardians(['GNOTAKEY'], 1, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Invalid guardian address: GNOTAKEY');
+      await expect(setGuardians([FRIEND], 2, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Guardian threshold must be between 1 and 1');
+      await expect(setGuardians([], 1, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Guardian threshold must be between 0 and 0');
+    });
+
+    it('invokes set_guardians without duplicates', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(TEST_CONTRACT_ADDRESS, recoveryStorage()));
+
+      await expect(setGuardians([FRIEND, ` ${FRIEND}`, LOST_ACCOUNT], 2, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+
+      const invoke = simulatedCall();
+      expect(invoke.functionName().toString()).toBe('set_guardians');
+      expect(invoke.args().map(arg => StellarSdk.scValToNative(arg))).toEqual([[FRIEND, LOST_ACCOUNT], 2]);
+    });
+
+    it('refuses recovery on legacy accounts', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(TEST_CONTRACT_ADDRESS, recoveryStorage({ multisig: false })));
+
+      await expect(cancelRecovery({ rpcServer: mockRpcServer }))
+        .rejects.toThrow('This account does not support guardian recovery');
+    });
+  });
+
+  describe('guardian actions', () => {
+    it('starts a recovery as the contract account guardian', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(LOST_ACCOUNT, recoveryStorage({ guardians: [TEST_CONTRACT_ADDRESS] })));
+
+      await expect(startRecovery(LOST_ACCOUNT, NEW_SIGNER.publicKey(), { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+
+      const invoke = simulatedCall();
+      expect(StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString()).toBe(LOST_ACCOUNT);
+      expect(invoke.functionName().toString()).toBe('start_recovery');
+      const [guardian, newSigner] = invoke.args().map(arg => StellarSdk.scValToNative(arg));
+      expect(guardian).toBe(TEST_CONTRACT_ADDRESS);
+      expect(StellarSdk.StrKey.encodeEd25519PublicKey(newSigner)).toBe(NEW_SIGNER.publicKey());
+    });
+
+    it('refuses wallets that are not guardians', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(LOST_ACCOUNT, recoveryStorage({ guardians: [FRIEND] })));
+
+      await expect(startRecovery(LOST_ACCOUNT, NEW_SIGNER.publicKey(), { rpcServer: mockRpcServer }))
+        .rejects.toThrow(`This wallet is not a guardian of ${LOST_ACCOUNT}`);
+    });
+
+    it('only approves the recovery for the expected key', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(LOST_ACCOUNT, recoveryStorage({
+        guardians: [FRIEND, TEST_PUBLIC_KEY],
+        recovery: { approvals: [FRIEND], effectiveAt: NOW, newSigner: NEW_SIGNER },
+      })));
+
+      await expect(approveRecovery(LOST_ACCOUNT, FRIEND, { rpcServer: mockRpcServer }))
+        .rejects.toThrow(`The pending recovery is for a different key: ${NEW_SIGNER.publicKey()}`);
+      expect(mockRpcServer.simulateTransaction).not.toHaveBeenCalled();
+
+      await expect(approveRecovery(LOST_ACCOUNT, NEW_SIGNER.publicKey(), { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+      expect(StellarSdk.scValToNative(simulatedCall().args()[0])).toBe(TEST_PUBLIC_KEY);
+    });
+
+    it('rejects the pending recovery as a guardian', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(LOST_ACCOUNT, recoveryStorage({ guardians: [FRIEND, TEST_PUBLIC_KEY] })));
+
+      await expect(rejectRecovery(LOST_ACCOUNT, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('There is no recovery to reject');
+
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(LOST_ACCOUNT, recoveryStorage({
+        guardians: [FRIEND, TEST_PUBLIC_KEY],
+        recovery: { approvals: [FRIEND], effectiveAt: NOW, newSigner: NEW_SIGNER },
+      })));
+
+      await expect(rejectRecovery(LOST_ACCOUNT, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Transaction simulation failed');
+
+      const invoke = simulatedCall();
+      expect(invoke.functionName().toString()).toBe('reject_recovery');
+      expect(invoke.args().map(arg => StellarSdk.scValToNative(arg))).toEqual([TEST_PUBLIC_KEY]);
+    });
+
+    it('completes a recovery only when it is ready', async () => {
+      mockRpcServer.getLedgerEntries.mockResolvedValue(instanceEntries(LOST_ACCOUNT, recoveryStorage({
+        guardians: [FRIEND],
+        recovery: { approvals: [FRIEND], effectiveAt: Math.floor(Date.now() / 1000) + 3600, newSigner: NEW_SIGNER },
+      })));
+
+      await expect(completeRecovery(LOST_ACCOUNT, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('The recovery needs more approvals or its delay has not passed');
+    });
+  });
+});
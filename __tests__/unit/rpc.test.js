@@ -1,6 +1,7 @@
 /**
  * Unit tests for RPC client factory and utilities
- * Tests createRpcServer, getDefaultRpcServer, getXlmContractId, getXlmContract
+ * Tests createRpcServer, getDefaultRpcServer, getXlmContractId, getXlmContract, getTokenContract
+ * and the endpoint pool
  */
 
 import * as StellarSdk from '@stellar/stellar-sdk';
@@ -11,6 +12,17 @@ import {
   resetDefaultRpcServer,
   getXlmContractId,
   getXlmContract,
+  getTokenContract,
+  isEndpointFailure,
+  rankEndpoints,
+  getRpcUrls,
+  getActiveRpcUrl,
+  getRpcEndpoints,
+  onRpcEndpointChange,
+  resetRpcEndpoints,
+  checkRpcEndpoints,
+  MAX_LEDGER_LAG,
+  RPC_RECHECK_AFTER_MS,
 } from '@/utils/stellar/rpc';
 
 // Mock config
@@ -20,6 +32,7 @@ jest.mock('@/utils/config', () => ({
     stellar: {
       network: 'testnet',
       sorobanRpcUrl: 'https://soroban-testnet.stellar.org',
+      sorobanRpcFallbackUrls: ['https://backup.example.com', 'https://soroban-testnet.stellar.org'],
     },
     networkPassphrase: 'Test SDF Network ; September 2015',
   },
@@ -191,6 +204,20 @@ describe('RPC Functions', () => {
       expect(operation.body().switch().name).toBe('invokeHostFunction');
     });
   });
+
+  describe('getTokenContract', () => {
+    it('defaults to the XLM contract', () => {
+      expect(getTokenContract().contractId()).toBe(getXlmContractId());
+    });
+
+    it('returns a contract for the given token', () => {
+      const tokenId = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+      const contract = getTokenContract(tokenId);
+
+      expect(contract).toBeInstanceOf(StellarSdk.Contract);
+      expect(contract.contractId()).toBe(tokenId);
+    });
+  });
 });
 
 describe('RPC Server Capabilities', () => {
@@ -205,3 +232,170 @@ describe('RPC Server Capabilities', () => {
     expect(typeof server.getLedgerEntries).toBe('function');
   });
 });
+
+describe('RPC endpoint pool', () => {
+  const PRIMARY = 'https://soroban-testnet.stellar.org';
+  const BACKUP = 'https://backup.example.com';
+  const HOSTS = { [PRIMARY]: 'soroban-testnet.stellar.org', [BACKUP]: 'backup.example.com' };
+
+  // Behaviour of each endpoint, by host: a function returning the result or throwing
+  let endpoints;
+
+  /**
+   * Build the error axios throws when an endpoint cannot be reached
+   */
+  const networkError = (status) => Object.assign(new Error(status ? `Request failed with status code ${status}` : 'Network Error'), {
+    isAxiosError: true,
+    response: status ? { status } : undefined,
+  });
+
+  /**
+   * Route an RPC method of every endpoint server to the behaviour of its host
+   */
+  const routeMethod = (method) => jest.spyOn(StellarSdk.rpc.Server.prototype, method).mockImplementation(async function (...args) {
+    return endpoints[this.serverURL.hostname()][method](...args);
+  });
+
+  beforeEach(() => {
+    resetRpcEndpoints();
+    endpoints = {
+      [HOSTS[PRIMARY]]: {
+        getHealth: () => ({ status: 'healthy' }),
+        getLatestLedger: () => ({ sequence: 1000 }),
+        getTransaction: () => ({ status: 'NOT_FOUND', latestLedger: 1000 }),
+        sendTransaction: () => ({ status: 'PENDING' }),
+      },
+      [HOSTS[BACKUP]]: {
+        getHealth: () => ({ status: 'healthy' }),
+        getLatestLedger: () => ({ sequence: 1000 }),
+        getTransaction: () => ({ status: 'SUCCESS', latestLedger: 1000 }),
+        sendTransaction: () => ({ status: 'PENDING' }),
+      },
+    };
+    ['getHealth', 'getLatestLedger', 'getTransaction', 'sendTransaction'].forEach(routeMethod);
+    // Retry without waiting
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isEndpointFailure', () => {
+    it('fails over on network, server and rate limit errors', () => {
+      expect(isEndpointFailure(networkError())).toBe(true);
+      expect(isEndpointFailure(networkError(503))).toBe(true);
+      expect(isEndpointFailure(networkError(429))).toBe(true);
+    });
+
+    it('does not fail over when the endpoint answered', () => {
+      expect(isEndpointFailure(networkError(400))).toBe(false);
+      expect(isEndpointFailure({ code: -32602, message: 'invalid parameters' })).toBe(false);
+      expect(isEndpointFailure(new Error('Account not found: GABC'))).toBe(false);
+    });
+  });
+
+  describe('rankEndpoints', () => {
+    const urls = ['a', 'b', 'c'];
+
+    it('keeps the configured order while every endpoint works', () => {
+      expect(rankEndpoints(urls, {})).toEqual(['a', 'b', 'c']);
+    });
+
+    it('moves lagging endpoints after working ones', () => {
+      const statuses = { a: { latestLedger: 100 }, b: { latestLedger: 100 + MAX_LEDGER_LAG + 1 }, c: { latestLedger: 100 + MAX_LEDGER_LAG } };
+
+      expect(rankEndpoints(urls, statuses)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('skips failed endpoints until they are due for a recheck', () => {
+      const now = 1_000_000;
+      const statuses = { a: { failedAt: now - 1000 }, b: { failedAt: now - RPC_RECHECK_AFTER_MS } };
+
+      expect(rankEndpoints(urls, statuses, now)).toEqual(['b', 'c', 'a']);
+    });
+  });
+
+  it('lists the primary endpoint first without duplicates', () => {
+    expect(getRpcUrls()).toEqual([PRIMARY, BACKUP]);
+    expect(getActiveRpcUrl()).toBe(PRIMARY);
+  });
+
+  it('fails over idempotent calls when the endpoint cannot be reached', async () => {
+    endpoints[HOSTS[PRIMARY]].getTransaction = () => { throw networkError(); };
+    const listener = jest.fn();
+    const unsubscribe = onRpcEndpointChange(listener);
+
+    const result = await createRpcServer().getTransaction('abc');
+    unsubscribe();
+
+    expect(result).toEqual({ status: 'SUCCESS', latestLedger: 1000 });
+    expect(getActiveRpcUrl()).toBe(BACKUP);
+    expect(listener).toHaveBeenCalledWith(BACKUP);
+    expect(getRpcEndpoints()).toEqual([
+      { url: PRIMARY, active: false, latestLedger: null, error: 'Network Error' },
+      { url: BACKUP, active: true, latestLedger: 1000, error: null },
+    ]);
+  });
+
+  it('retries with backoff and throws once every attempt failed', async () => {
+    endpoints[HOSTS[PRIMARY]].getTransaction = () => { throw networkError(502); };
+    endpoints[HOSTS[BACKUP]].getTransaction = () => { throw networkError(); };
+
+    // Primary, backup, then primary again
+    await expect(createRpcServer().getTransaction('abc')).rejects.toThrow('Request failed with status code 502');
+    expect(StellarSdk.rpc.Server.prototype.getTransaction).toHaveBeenCalledTimes(3);
+    expect(global.setTimeout.mock.calls.map(([, delay]) => delay)).toEqual([500, 1000]);
+  });
+
+  it('does not retry errors the endpoint answered with', async () => {
+    endpoints[HOSTS[PRIMARY]].getTransaction = () => { throw { code: -32602, message: 'invalid hash' }; };
+
+    await expect(createRpcServer().getTransaction('abc')).rejects.toEqual({ code: -32602, message: 'invalid hash' });
+    expect(StellarSdk.rpc.Server.prototype.getTransaction).toHaveBeenCalledTimes(1);
+    expect(getActiveRpcUrl()).toBe(PRIMARY);
+  });
+
+  it('sends transactions once and moves later calls to another endpoint', async () => {
+    endpoints[HOSTS[PRIMARY]].sendTransaction = () => { throw networkError(); };
+    const pool = createRpcServer();
+
+    await expect(pool.sendTransaction({})).rejects.toThrow('Network Error');
+    expect(StellarSdk.rpc.Server.prototype.sendTransaction).toHaveBeenCalledTimes(1);
+
+    await expect(pool.sendTransaction({})).resolves.toEqual({ status: 'PENDING' });
+  });
+
+  it('moves calls off an endpoint whose ledger lags', async () => {
+    endpoints[HOSTS[BACKUP]].getLatestLedger = () => ({ sequence: 1000 + MAX_LEDGER_LAG + 1 });
+    await checkRpcEndpoints();
+
+    expect(getActiveRpcUrl()).toBe(BACKUP);
+  });
+
+  describe('checkRpcEndpoints', () => {
+    it('records the latest ledger of every endpoint', async () => {
+      const results = await checkRpcEndpoints();
+
+      expect(results).toEqual([
+        { url: PRIMARY, active: true, latestLedger: 1000, error: null },
+        { url: BACKUP, active: false, latestLedger: 1000, error: null },
+      ]);
+    });
+
+    it('skips unhealthy and unreachable endpoints', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      endpoints[HOSTS[PRIMARY]].getHealth = () => ({ status: 'unhealthy' });
+
+      const results = await checkRpcEndpoints();
+
+      expect(results[0]).toEqual({ url: PRIMARY, active: false, latestLedger: null, error: 'RPC reports unhealthy' });
+      expect(getActiveRpcUrl()).toBe(BACKUP);
+
+      endpoints[HOSTS[BACKUP]].getHealth = () => { throw networkError(); };
+      await checkRpcEndpoints();
+
+      expect(getRpcEndpoints().map(endpoint => endpoint.error)).toEqual(['RPC reports unhealthy', 'Network Error']);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Unit tests for scan utilities
+ * Tests address validation, token metadata caching and token transfers
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  getAddressType,
+  isValidAddress,
+  formatTransferAmount,
+  getTokenMetadata,
+  getTokenTransfers,
+  formatTokenSymbol,
+  getTrackedTokens,
+  addTrackedToken,
+  removeTrackedToken,
+  getTrackedTokenBalances,
+} from '@/utils/scan';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+
+const TEST_PUBLIC_KEY = 'GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX';
+const TEST_CONTRACT_ADDRESS = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const OTHER_CONTRACT_ADDRESS = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+const XLM_CONTRACT_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const USDC_CONTRACT_ID = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    stellar: {
+      network: 'testnet',
+      sorobanRpcUrl: 'https://soroban-testnet.stellar.org',
+    },
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+  getXlmContractId: jest.fn(() => 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC'),
+}));
+
+import { createRpcServer } from '@/utils/stellar/rpc';
+
+/**
+ * Build a simulation response that returns the given ScVal
+ */
+function simResult(retval) {
+  return { result: { retval }, latestLedger: 12345 };
+}
+
+/**
+ * Build a transfer event for the given addresses and amount
+ */
+function transferEvent(from, to, amount, ledger, txHash) {
+  return {
+    topic: [
+      StellarSdk.nativeToScVal('transfer', { type: 'symbol' }),
+      StellarSdk.nativeToScVal(StellarSdk.Address.fromString(from), { type: 'address' }),
+      StellarSdk.nativeToScVal(StellarSdk.Address.fromString(to), { type: 'address' }),
+    ],
+    value: StellarSdk.nativeToScVal(amount, { type: 'i128' }),
+    txHash,
+    ledger,
+    ledgerClosedAt: '2025-01-01T00:00:00Z',
+  };
+}
+
+describe('Scan Utilities', () => {
+  describe('getAddressType', () => {
+    it('detects classic accounts', () => {
+      expect(getAddressType(TEST_PUBLIC_KEY)).toBe('account');
+    });
+
+    it('detects contracts', () => {
+      expect(getAddressType(TEST_CONTRACT_ADDRESS)).toBe('contract');
+    });
+
+    it('returns null for invalid input', () => {
+      expect(getAddressType('not-an-address')).toBeNull();
+      expect(getAddressType('')).toBeNull();
+      expect(getAddressType(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidAddress', () => {
+    it('accepts G and C addresses', () => {
+      expect(isValidAddress(TEST_PUBLIC_KEY)).toBe(true);
+      expect(isValidAddress(TEST_CONTRACT_ADDRESS)).toBe(true);
+    });
+
+    it('rejects addresses with a bad checksum', () => {
+      expect(isValidAddress(TEST_PUBLIC_KEY.slice(0, -1) + 'A')).toBe(false);
+    });
+  });
+
+  describe('formatTransferAmount', () => {
+    it('formats using 7 decimals by default', () => {
+      expect(formatTransferAmount(15000000n)).toBe('1.5');
+    });
+
+    it('formats using token decimals', () => {
+      expect(formatTransferAmount(1500n, 3)).toBe('1.5');
+    });
+  });
+
+  describe('formatTokenSymbol', () => {
+    it('shows the native SAC as XLM', () => {
+      expect(formatTokenSymbol('native')).toBe('XLM');
+    });
+
+    it('keeps other symbols unchanged', () => {
+      expect(formatTokenSymbol('USDC')).toBe('USDC');
+    });
+  });
+
+  describe('getTokenMetadata', () => {
+    let mockRpcServer;
+    let memoryStorage;
+
+    beforeEach(() => {
+      memoryStorage = createMemoryStorage();
+      setStorage(memoryStorage);
+
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockReturnValue(true);
+
+      mockRpcServer = {
+        simulateTransaction: jest.fn((tx) => {
+          const method = tx.operations[0].func.invokeContract().functionName().toString();
+          const values = {
+            name: StellarSdk.nativeToScVal('USD Coin', { type: 'string' }),
+            symbol: StellarSdk.nativeToScVal('USDC', { type: 'string' }),
+            decimals: StellarSdk.nativeToScVal(6, { type: 'u32' }),
+          };
+          return Promise.resolve(simResult(values[method]));
+        }),
+      };
+      createRpcServer.mockReturnValue(mockRpcServer);
+    });
+
+    it('fetches name, symbol and decimals via simulation', async () => {
+      const metadata = await getTokenMetadata(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+      expect(metadata).toEqual({ name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+      expect(mockRpcServer.simulateTransaction).toHaveBeenCalledTimes(3);
+    });
+
+    it('caches metadata in storage', async () => {
+      await getTokenMetadata(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+      const again = await getTokenMetadata(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer });
+
+      expect(again.symbol).toBe('USDC');
+      expect(mockRpcServer.simulateTransaction).toHaveBeenCalledTimes(3);
+    });
+
+    it('throws when simulation fails', async () => {
+      StellarSdk.rpc.Api.isSimulationSuccess.mockReturnValue(false);
+
+      await expect(getTokenMetadata(TEST_CONTRACT_ADDRESS, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('Failed to read');
+    });
+  });
+
+  describe('getTokenTransfers', () => {
+    let mockRpcServer;
+
+    beforeEach(() => {
+      mockRpcServer = {
+        getLatestLedger: jest.fn().mockResolvedValue({ sequence: 50000 }),
+        getEvents: jest.fn(),
+      };
+      createRpcServer.mockReturnValue(mockRpcServer);
+    });
+
+    it('returns an empty list when there are no events', async () => {
+      mockRpcServer.getEvents.mockResolvedValue({ events: [] });
+
+      const transfers = await getTokenTransfers(TEST_CONTRACT_ADDRESS, 20, { rpcServer: mockRpcServer });
+
+      expect(transfers).toEqual([]);
+    });
+
+    it('filters by token contract and sorts newest first', async () => {
+      mockRpcServer.getEvents.mockResolvedValue({
+        events: [
+          transferEvent(TEST_PUBLIC_KEY, OTHER_CONTRACT_ADDRESS, 10n, 100, 'old'),
+          transferEvent(OTHER_CONTRACT_ADDRESS, TEST_PUBLIC_KEY, 20n, 300, 'new'),
+          transferEvent(TEST_PUBLIC_KEY, OTHER_CONTRACT_ADDRESS, 30n, 200, 'mid'),
+        ],
+      });
+
+      const transfers = await getTokenTransfers(TEST_CONTRACT_ADDRESS, 2, { rpcServer: mockRpcServer });
+
+      const request = mockRpcServer.getEvents.mock.calls[0][0];
+      expect(request.filters[0].contractIds).toEqual([TEST_CONTRACT_ADDRESS]);
+      expect(request.startLedger).toBe(40000);
+      expect(transfers.map(t => t.txHash)).toEqual(['new', 'mid']);
+      expect(transfers[0].amount).toBe(20n);
+      expect(transfers[0].from).toBe(OTHER_CONTRACT_ADDRESS);
+    });
+
+    it('propagates RPC errors', async () => {
+      mockRpcServer.getEvents.mockRejectedValue(new Error('RPC unavailable'));
+
+      await expect(getTokenTransfers(TEST_CONTRACT_ADDRESS, 20, { rpcServer: mockRpcServer }))
+        .rejects.toThrow('RPC unavailable');
+    });
+  });
+
+  describe('Tracked tokens', () => {
+    beforeEach(() => {
+      setStorage(createMemoryStorage());
+    });
+
+    it('always tracks native XLM first', () => {
+      expect(getTrackedTokens()).toEqual([XLM_CONTRACT_ID]);
+    });
+
+    it('adds tokens once', () => {
+      addTrackedToken(USDC_CONTRACT_ID);
+      addTrackedToken(USDC_CONTRACT_ID);
+      addTrackedToken(XLM_CONTRACT_ID);
+
+      expect(getTrackedTokens()).toEqual([XLM_CONTRACT_ID, USDC_CONTRACT_ID]);
+    });
+
+    it('rejects non-contract addresses', () => {
+      expect(() => addTrackedToken(TEST_PUBLIC_KEY)).toThrow('contract address');
+    });
+
+    it('removes tokens but keeps native XLM', () => {
+      addTrackedToken(USDC_CONTRACT_ID);
+      removeTrackedToken(USDC_CONTRACT_ID);
+      removeTrackedToken(XLM_CONTRACT_ID);
+
+      expect(getTrackedTokens()).toEqual([XLM_CONTRACT_ID]);
+    });
+
+    it('reports balances per token and isolates failures', async () => {
+      addTrackedToken(USDC_CONTRACT_ID);
+      jest.spyOn(StellarSdk.rpc.Api, 'isSimulationSuccess').mockImplementation(r => !r.error);
+
+      const mockRpcServer = {
+        simulateTransaction: jest.fn((tx) => {
+          const invoke = tx.operations[0].func.invokeContract();
+          const contractId = StellarSdk.Address.fromScAddress(invoke.contractAddress()).toString();
+          const method = invoke.functionName().toString();
+          if (contractId === USDC_CONTRACT_ID) {
+            return Promise.resolve({ error: 'boom', latestLedger: 12345 });
+          }
+          const values = {
+            name: StellarSdk.nativeToScVal('native', { type: 'string' }),
+            symbol: StellarSdk.nativeToScVal('native', { type: 'string' }),
+            decimals: StellarSdk.nativeToScVal(7, { type: 'u32' }),
+            balance: StellarSdk.nativeToScVal(25000000n, { type: 'i128' }),
+          };
+          return Promise.resolve(simResult(values[method]));
+        }),
+      };
+
+      const balances = await getTrackedTokenBalances(TEST_PUBLIC_KEY, { rpcServer: mockRpcServer });
+
+      expect(balances).toHaveLength(2);
+      expect(balances[0]).toMatchObject({ tokenContractId: XLM_CONTRACT_ID, raw: 25000000n, display: '2.5' });
+      expect(balances[1].tokenContractId).toBe(USDC_CONTRACT_ID);
+      expect(balances[1].error).toMatch('Failed to read');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for session keys
+ * Tests invocation flattening, the scope check and held session keys
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  getAuthorizedCalls,
+  isInSessionScope,
+  getStoredSessionKeys,
+  saveSessionKey,
+  removeSavedSessionKey,
+  lockSessionKeys,
+  reencryptSessionKeys,
+  findSessionKeypair,
+} from '@/utils/stellar/session';
+import { createMemoryStorage, setStorage, KEYS } from '@/utils/stellar/storage';
+
+const ACCOUNT = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const USDC_ID = 'CBIELTK6YBZJU5UP2WWQEUCYKLPU6AUNZ2BQ4WWFEIE3USCIHMXQDAMA';
+const DESTINATION = 'GAIH3ULLFQ4DGSECF2AR555KZ4KNDGEKN4AFI4SU2M7B43MGK3QJZNSR';
+const OWNER = StellarSdk.Keypair.random();
+
+const address = (value) => StellarSdk.Address.fromString(value).toScVal();
+const i128 = (value) => StellarSdk.nativeToScVal(value, { type: 'i128' });
+
+/**
+ * Build an authorized invocation of a contract function
+ */
+const invocation = (contract, functionName, args = [], subInvocations = []) =>
+  new StellarSdk.xdr.SorobanAuthorizedInvocation({
+    function: StellarSdk.xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(new StellarSdk.xdr.InvokeContractArgs({
+      contractAddress: StellarSdk.Address.fromString(contract).toScAddress(),
+      functionName,
+      args,
+    })),
+    subInvocations,
+  });
+
+const transfer = (amount, contract = XLM_ID, from = ACCOUNT) =>
+  invocation(contract, 'transfer', [address(from), address(DESTINATION), i128(amount)]);
+
+const authEntry = (rootInvocation) => new StellarSdk.xdr.SorobanAuthorizationEntry({
+  credentials: StellarSdk.xdr.SorobanCredentials.sorobanCredentialsAddress(new StellarSdk.xdr.SorobanAddressCredentials({
+    address: StellarSdk.Address.fromString(ACCOUNT).toScAddress(),
+    nonce: StellarSdk.xdr.Int64.fromString('1'),
+    signatureExpirationLedger: 0,
+    signature: StellarSdk.xdr.ScVal.scvVoid(),
+  })),
+  rootInvocation,
+});
+
+describe('Session keys', () => {
+  const session = {
+    publicKey: 'GSESSION',
+    contracts: [XLM_ID],
+    functions: ['transfer'],
+    spendLimits: { [XLM_ID]: 100n },
+    spent: { [XLM_ID]: 40n },
+    expirationLedger: 1000,
+  };
+
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+    lockSessionKeys();
+  });
+
+  describe('getAuthorizedCalls', () => {
+    it('flattens sub-invocations depth first', () => {
+      const calls = getAuthorizedCalls(invocation(USDC_ID, 'swap', [], [transfer(5n)]));
+
+      expect(calls.map(call => [call.contract, call.functionName])).toEqual([[USDC_ID, 'swap'], [XLM_ID, 'transfer']]);
+      expect(calls[1].args).toHaveLength(3);
+    });
+  });
+
+  describe('isInSessionScope', () => {
+    const calls = (root) => getAuthorizedCalls(root);
+
+    it('accepts calls within scope and the remaining spend limit', () => {
+      expect(isInSessionScope(session, calls(transfer(60n)), ACCOUNT, 900)).toBe(true);
+    });
+
+    it('rejects spending over the limit', () => {
+      expect(isInSessionScope(session, calls(transfer(61n)), ACCOUNT, 900)).toBe(false);
+    });
+
+    it('counts each token against its own limit', () => {
+      const twoTokens = { ...session, contracts: [XLM_ID, USDC_ID], spendLimits: { ...session.spendLimits, [USDC_ID]: 5n }, spent: {} };
+      const both = invocation(USDC_ID, 'transfer', [address(ACCOUNT), address(DESTINATION), i128(5n)], [transfer(100n)]);
+
+      expect(isInSessionScope(twoTokens, calls(both), ACCOUNT, 900)).toBe(true);
+      expect(isInSessionScope(twoTokens, calls(transfer(6n, USDC_ID)), ACCOUNT, 900)).toBe(false);
+      expect(isInSessionScope({ ...twoTokens, spendLimits: session.spendLimits }, calls(transfer(10n ** 20n, USDC_ID)), ACCOUNT, 900)).toBe(true);
+    });
+
+    it('ignores transfers from other addresses', () => {
+      expect(isInSessionScope(session, calls(transfer(500n, XLM_ID, DESTINATION)), ACCOUNT, 900)).toBe(true);
+    });
+
+    it('rejects signatures that outlive the key', () => {
+      expect(isInSessionScope(session, calls(transfer(1n)), ACCOUNT, 1001)).toBe(false);
+    });
+
+    it('rejects contracts and functions outside the scope', () => {
+      expect(isInSessionScope(session, calls(transfer(1n, USDC_ID)), ACCOUNT, 900)).toBe(false);
+      expect(isInSessionScope(session, calls(invocation(XLM_ID, 'approve')), ACCOUNT, 900)).toBe(false);
+    });
+
+    it('never allows calls to the account itself', () => {
+      const open = { ...session, contracts: [XLM_ID, ACCOUNT], functions: [] };
+      expect(isInSessionScope(open, calls(invocation(ACCOUNT, 'add_signer')), ACCOUNT, 900)).toBe(false);
+    });
+
+    it('allows any function when none are listed', () => {
+      const open = { ...session, functions: [], spendLimits: {} };
+      expect(isInSessionScope(open, calls(invocation(XLM_ID, 'approve', [address(ACCOUNT), address(DESTINATION), i128(10n ** 20n)])), ACCOUNT, 900)).toBe(true);
+    });
+  });
+
+  describe('held session keys', () => {
+    it('stores and forgets session keys', async () => {
+      const keypair = StellarSdk.Keypair.random();
+
+      await saveSessionKey(keypair, ACCOUNT, OWNER);
+      expect(getStoredSessionKeys()).toEqual([{ publicKey: keypair.publicKey(), keystore: expect.any(String), account: ACCOUNT }]);
+
+      removeSavedSessionKey(keypair.publicKey());
+      expect(getStoredSessionKeys()).toEqual([]);
+    });
+
+    it('never stores the secret in plain text', async () => {
+      const keypair = StellarSdk.Keypair.random();
+      const memoryStorage = createMemoryStorage();
+      setStorage(memoryStorage);
+
+      await saveSessionKey(keypair, ACCOUNT, OWNER);
+
+      expect(memoryStorage.get(KEYS.SESSION_KEYS)).not.toContain(keypair.secret());
+    });
+
+    it('finds a held key whose scope covers the auth entries', async () => {
+      const keypair = StellarSdk.Keypair.random();
+      await saveSessionKey(keypair, ACCOUNT, OWNER);
+      const sessions = [{ ...session, publicKey: keypair.publicKey() }];
+
+      expect((await findSessionKeypair(sessions, [authEntry(transfer(10n))], ACCOUNT, 900, OWNER)).publicKey()).toBe(keypair.publicKey());
+      expect(await findSessionKeypair(sessions, [authEntry(transfer(10n)), authEntry(transfer(51n))], ACCOUNT, 900, OWNER)).toBeNull();
+    });
+
+    it('ignores keys that are not registered on the account', async () => {
+      const keypair = StellarSdk.Keypair.random();
+      await saveSessionKey(keypair, ACCOUNT, OWNER);
+
+      expect(await findSessionKeypair([], [authEntry(transfer(1n))], ACCOUNT, 900, OWNER)).toBeNull();
+    });
+
+    it('needs the owner key once locked', async () => {
+      const keypair = StellarSdk.Keypair.random();
+      await saveSessionKey(keypair, ACCOUNT, OWNER);
+      const sessions = [{ ...session, publicKey: keypair.publicKey() }];
+
+      lockSessionKeys();
+
+      expect(await findSessionKeypair(sessions, [authEntry(transfer(1n))], ACCOUNT, 900, StellarSdk.Keypair.random())).toBeNull();
+      expect((await findSessionKeypair(sessions, [authEntry(transfer(1n))], ACCOUNT, 900, OWNER)).secret()).toBe(keypair.secret());
+    });
+
+    it('re-encrypts session keys for a rotated owner key', async () => {
+      const keypair = StellarSdk.Keypair.random();
+      const other = StellarSdk.Keypair.random();
+      const otherOwner = StellarSdk.Keypair.random();
+      const rotated = StellarSdk.Keypair.random();
+      await saveSessionKey(keypair, ACCOUNT, OWNER);
+      await saveSessionKey(other, DESTINATION, otherOwner);
+      const [, untouched] = getStoredSessionKeys();
+
+      await reencryptSessionKeys(OWNER, rotated);
+      lockSessionKeys();
+
+      const sessions = [{ ...session, publicKey: keypair.publicKey() }];
+      expect(await findSessionKeypair(sessions, [authEntry(transfer(1n))], ACCOUNT, 900, OWNER)).toBeNull();
+      expect((await findSessionKeypair(sessions, [authEntry(transfer(1n))], ACCOUNT, 900, rotated)).publicKey()).toBe(keypair.publicKey());
+      expect(getStoredSessionKeys()).toContainEqual(untouched);
+    });
+  });
+});
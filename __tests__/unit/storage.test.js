@@ -17,6 +17,14 @@ import {
   clearKeypair,
   getMnemonic,
   importFromMnemonic,
+  getPublicKey,
+  getAccounts,
+  getActiveAccountIndex,
+  setActiveAccount,
+  addAccount,
+  addNextAccount,
+  deriveKeypairFromMnemonic,
+  storeKeypair,
 } from '@/utils/stellar/keypair';
 
 describe('Storage Abstraction', () => {
@@ -192,4 +200,77 @@ describe('Keypair Storage Operations', () => {
       expect(keypair1.publicKey()).toBe(keypair2.publicKey());
     });
   });
+
+  describe('Derived accounts', () => {
+    const testMnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+    it('lists account 0 for a stored wallet', () => {
+      const keypair = importFromMnemonic(testMnemonic);
+
+      expect(getAccounts()).toEqual([{ index: 0, publicKey: keypair.publicKey() }]);
+      expect(getActiveAccountIndex()).toBe(0);
+    });
+
+    it('returns no accounts without a wallet', () => {
+      expect(getAccounts()).toEqual([]);
+    });
+
+    it('adds accounts derived from the mnemonic', () => {
+      importFromMnemonic(testMnemonic);
+
+      const account = addNextAccount();
+
+      expect(account).toEqual({ index: 1, publicKey: deriveKeypairFromMnemonic(testMnemonic, 1).publicKey() });
+      expect(getAccounts().map(a => a.index)).toEqual([0, 1]);
+    });
+
+    it('adds each index only once', () => {
+      importFromMnemonic(testMnemonic);
+
+      addAccount(3);
+      addAccount(3);
+
+      expect(getAccounts().map(a => a.index)).toEqual([0, 3]);
+    });
+
+    it('resolves the stored keypair through the active account', () => {
+      const base = importFromMnemonic(testMnemonic);
+      addAccount(2);
+
+      setActiveAccount(2);
+
+      const expected = deriveKeypairFromMnemonic(testMnemonic, 2);
+      expect(getStoredKeypair().secret()).toBe(expected.secret());
+      expect(getPublicKey()).toBe(expected.publicKey());
+
+      setActiveAccount(0);
+      expect(getPublicKey()).toBe(base.publicKey());
+    });
+
+    it('rejects switching to an unknown account', () => {
+      importFromMnemonic(testMnemonic);
+
+      expect(() => setActiveAccount(5)).toThrow('Unknown account index');
+    });
+
+    it('requires a mnemonic to derive accounts', () => {
+      generateAndStoreKeypair();
+      memoryStorage.remove(KEYS.MNEMONIC);
+
+      expect(() => addNextAccount()).toThrow('recovery phrase is required');
+    });
+
+    it('forgets accounts when the wallet is replaced or cleared', () => {
+      importFromMnemonic(testMnemonic);
+      addAccount(1);
+      setActiveAccount(1);
+
+      storeKeypair(deriveKeypairFromMnemonic(testMnemonic, 5), testMnemonic);
+      expect(getAccounts()).toHaveLength(1);
+      expect(getActiveAccountIndex()).toBe(0);
+
+      clearKeypair();
+      expect(memoryStorage.get(KEYS.ACCOUNTS)).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,642 @@
+/**
+ * Unit tests for transaction lifecycle tracking
+ * Tests submission retries, polling until time bounds pass, resubmission,
+ * fee bumps, the persisted pending list and its reconciliation
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import {
+  getMaxTime,
+  isPastTimeBounds,
+  describeTransaction,
+  getPendingTransactions,
+  onPendingTransactionsChange,
+  waitForTransaction,
+  trackTransaction,
+  submitAndWait,
+  reconcilePendingTransactions,
+  isConnectionError,
+  getQueuedSends,
+  queueSend,
+  removeQueuedSend,
+  onQueuedSendsChange,
+  sendOrQueue,
+  sendQueuedSends,
+  RESUBMIT_EVERY_POLLS,
+  STALL_LEDGERS,
+  QUEUED_MESSAGE,
+} from '@/utils/stellar/tracker';
+import { buildFeeBump, setFeeSettings } from '@/utils/stellar/fees';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+
+const TEST_KEYPAIR = StellarSdk.Keypair.random();
+const XLM_ID = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+const NETWORK_PASSPHRASE = 'Test SDF Network ; September 2015';
+
+// Recent Soroban inclusion fees (getFeeStats)
+const FEE_STATS = { sorobanInclusionFee: { p10: '100', p50: '1000', p90: '25000' } };
+
+// Mock config
+jest.mock('@/utils/config', () => ({
+  __esModule: true,
+  default: {
+    networkPassphrase: 'Test SDF Network ; September 2015',
+  },
+}));
+
+// Mock RPC module
+jest.mock('@/utils/stellar/rpc', () => ({
+  createRpcServer: jest.fn(),
+}));
+
+/**
+ * Build a signed Soroban transaction calling the XLM contract
+ * @param {object} options - timeout: seconds until it expires (0 for none); sequence: source account sequence
+ */
+const sorobanTransaction = ({ timeout = 30, sequence = '100' } = {}) => {
+  const transaction = new StellarSdk.TransactionBuilder(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), sequence), {
+    fee: '1100',
+    networkPassphrase: NETWORK_PASSPHRASE,
+  })
+    .addOperation(new StellarSdk.Contract(XLM_ID).call('decimals'))
+    .setSorobanData(new StellarSdk.SorobanDataBuilder().setResourceFee(1000).build())
+    .setTimeout(timeout)
+    .build();
+  transaction.sign(TEST_KEYPAIR);
+  return transaction;
+};
+
+/**
+ * Build a TransactionResult with the given outcome
+ */
+const transactionResult = (result) => new StellarSdk.xdr.TransactionResult({
+  feeCharged: StellarSdk.xdr.Int64.fromString('100'),
+  result,
+  ext: new StellarSdk.xdr.TransactionResultExt(0),
+});
+
+const hashOf = (transaction) => transaction.hash().toString('hex');
+const now = () => Math.floor(Date.now() / 1000);
+// Each poll sees the next ledger
+let latestLedger = 1000;
+const notFound = (closeTime = now()) => ({ status: 'NOT_FOUND', latestLedger: latestLedger++, latestLedgerCloseTime: String(closeTime) });
+
+// What axios throws when the request never gets a response
+const networkError = () => Object.assign(new Error('Network Error'), { isAxiosError: true });
+
+describe('Transaction lifecycle', () => {
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+  });
+
+  describe('getMaxTime', () => {
+    it('reads the upper time bound', () => {
+      const transaction = sorobanTransaction({ timeout: 30 });
+
+      expect(getMaxTime(transaction)).toBe(Number(transaction.timeBounds.maxTime));
+      expect(getMaxTime(transaction)).toBeGreaterThan(now());
+    });
+
+    it('returns null without an upper time bound', () => {
+      expect(getMaxTime(sorobanTransaction({ timeout: 0 }))).toBeNull();
+    });
+
+    it('reads the bound of the transaction a fee bump wraps', () => {
+      const transaction = sorobanTransaction();
+
+      expect(getMaxTime(buildFeeBump(transaction, TEST_KEYPAIR, '1000'))).toBe(getMaxTime(transaction));
+    });
+  });
+
+  describe('isPastTimeBounds', () => {
+    it('compares the ledger close time with the bound', () => {
+      expect(isPastTimeBounds(100, '101')).toBe(true);
+      expect(isPastTimeBounds(100, 100)).toBe(false);
+      expect(isPastTimeBounds(null, 101)).toBe(false);
+      expect(isPastTimeBounds(100, undefined)).toBe(false);
+    });
+  });
+
+  describe('describeTransaction', () => {
+    it('names the invoked contract function', () => {
+      expect(describeTransaction(sorobanTransaction())).toBe('decimals');
+    });
+
+    it('names classic operations by type', () => {
+      const transaction = new StellarSdk.TransactionBuilder(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), '1'), {
+        fee: '100',
+        networkPassphrase: NETWORK_PASSPHRASE,
+      })
+        .addOperation(StellarSdk.Operation.bumpSequence({ bumpTo: '10' }))
+        .setTimeout(30)
+        .build();
+
+      expect(describeTransaction(transaction)).toBe('bumpSequence');
+    });
+  });
+
+  describe('isConnectionError', () => {
+    it('recognizes requests that got no response', () => {
+      expect(isConnectionError(networkError())).toBe(true);
+    });
+
+    it('ignores errors with a response and other errors', () => {
+      expect(isConnectionError(Object.assign(networkError(), { response: { status: 503 } }))).toBe(false);
+      expect(isConnectionError(new Error('Transaction failed'))).toBe(false);
+    });
+  });
+
+  describe('send queue', () => {
+    const send = { description: 'send 5 XLM', destination: 'GDEST', amount: '5' };
+
+    it('stores what to send and notifies listeners', () => {
+      const listener = jest.fn();
+      const unsubscribe = onQueuedSendsChange(listener);
+
+      const entry = queueSend(send);
+
+      expect(getQueuedSends()).toEqual([{ ...send, id: entry.id, networkPassphrase: NETWORK_PASSPHRASE, queuedAt: expect.any(Number), stage: 'queued' }]);
+      expect(listener).toHaveBeenCalledWith(getQueuedSends());
+
+      removeQueuedSend(entry.id);
+      expect(getQueuedSends()).toEqual([]);
+      unsubscribe();
+    });
+
+    it('queues a send without running it while offline', async () => {
+      const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      const run = jest.fn();
+
+      await expect(sendOrQueue(send, run)).rejects.toThrow(QUEUED_MESSAGE);
+      expect(run).not.toHaveBeenCalled();
+      expect(getQueuedSends()).toEqual([expect.objectContaining({ destination: 'GDEST', stage: 'queued' })]);
+      onLine.mockRestore();
+    });
+
+    it('queues a send that could not reach the RPC before anything was submitted', async () => {
+      await expect(sendOrQueue(send, () => Promise.reject(networkError()))).rejects.toThrow(QUEUED_MESSAGE);
+      expect(getQueuedSends()).toHaveLength(1);
+    });
+
+    it('does not queue other errors or gasless sends', async () => {
+      await expect(sendOrQueue(send, () => Promise.reject(new Error('Insufficient balance')))).rejects.toThrow('Insufficient balance');
+      await expect(sendOrQueue({ ...send, gasless: true }, () => Promise.reject(networkError()))).rejects.toThrow('Network Error');
+      expect(getQueuedSends()).toEqual([]);
+    });
+  });
+
+  describe('with RPC', () => {
+    let rpcServer;
+
+    beforeEach(() => {
+      rpcServer = {
+        getFeeStats: jest.fn().mockResolvedValue(FEE_STATS),
+        sendTransaction: jest.fn(async (transaction) => ({ status: 'PENDING', hash: hashOf(transaction) })),
+        getTransaction: jest.fn(async () => notFound()),
+      };
+      // Poll without waiting
+      jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
+    });
+
+    afterEach(() => {
+      global.setTimeout.mockRestore();
+    });
+
+    /**
+     * Make getTransaction confirm `hash` from the given call on
+     */
+    const confirmOnCall = (call, hash = null) => {
+      rpcServer.getTransaction.mockImplementation(async (polled) =>
+        (rpcServer.getTransaction.mock.calls.length >= call && (!hash || polled === hash)
+          ? { status: 'SUCCESS', txHash: polled }
+          : notFound()));
+    };
+
+    describe('trackTransaction', () => {
+      it('submits and confirms a transaction, reporting each stage', async () => {
+        const transaction = sorobanTransaction();
+        confirmOnCall(2);
+        const onProgress = jest.fn();
+
+        const result = await trackTransaction(rpcServer, transaction, { onProgress });
+
+        expect(result).toEqual({ status: 'SUCCESS', txHash: hashOf(transaction) });
+        expect(onProgress.mock.calls.map(([progress]) => progress.stage)).toEqual(['submitting', 'submitted', 'pending', 'confirmed']);
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'confirmed', hash: hashOf(transaction) }));
+      });
+
+      it('keeps the transaction in the pending list until it settles', async () => {
+        const transaction = sorobanTransaction();
+        let pendingWhilePolling;
+        rpcServer.getTransaction.mockImplementation(async () => {
+          pendingWhilePolling = getPendingTransactions();
+          return { status: 'SUCCESS' };
+        });
+
+        await trackTransaction(rpcServer, transaction);
+
+        expect(pendingWhilePolling).toEqual([expect.objectContaining({
+          hash: hashOf(transaction),
+          envelope: transaction.toXDR(),
+          networkPassphrase: NETWORK_PASSPHRASE,
+          description: 'decimals',
+          stage: 'submitted',
+        })]);
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('notifies listeners of pending list changes', async () => {
+        const listener = jest.fn();
+        const unsubscribe = onPendingTransactionsChange(listener);
+        rpcServer.getTransaction.mockResolvedValue({ status: 'SUCCESS' });
+
+        await trackTransaction(rpcServer, sorobanTransaction());
+        unsubscribe();
+
+        expect(listener.mock.calls[0][0]).toHaveLength(1);
+        expect(listener.mock.calls[listener.mock.calls.length - 1][0]).toEqual([]);
+      });
+
+      it('does not touch the pending list when not persisting', async () => {
+        const listener = jest.fn();
+        const unsubscribe = onPendingTransactionsChange(listener);
+        rpcServer.getTransaction.mockResolvedValue({ status: 'SUCCESS' });
+
+        await trackTransaction(rpcServer, sorobanTransaction(), { persist: false });
+        unsubscribe();
+
+        expect(listener).not.toHaveBeenCalled();
+      });
+
+      it('retries while the network asks to try again later', async () => {
+        rpcServer.sendTransaction
+          .mockResolvedValueOnce({ status: 'TRY_AGAIN_LATER', latestLedgerCloseTime: String(now()) })
+          .mockResolvedValueOnce({ status: 'TRY_AGAIN_LATER', latestLedgerCloseTime: String(now()) });
+        rpcServer.getTransaction.mockResolvedValue({ status: 'SUCCESS' });
+        const onProgress = jest.fn();
+
+        await trackTransaction(rpcServer, sorobanTransaction(), { onProgress });
+
+        expect(rpcServer.sendTransaction).toHaveBeenCalledTimes(3);
+        expect(onProgress.mock.calls.map(([progress]) => progress.stage)).toEqual(['submitting', 'retrying', 'retrying', 'submitted', 'confirmed']);
+      });
+
+      it('gives up retrying once the time bounds have passed', async () => {
+        const transaction = sorobanTransaction();
+        rpcServer.sendTransaction.mockResolvedValue({ status: 'TRY_AGAIN_LATER', latestLedgerCloseTime: String(getMaxTime(transaction) + 1) });
+
+        await expect(trackTransaction(rpcServer, transaction)).rejects.toThrow('Transaction expired before the network accepted it');
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('follows a transaction the network already has', async () => {
+        rpcServer.sendTransaction.mockResolvedValue({ status: 'DUPLICATE' });
+        rpcServer.getTransaction.mockResolvedValue({ status: 'SUCCESS' });
+
+        await expect(trackTransaction(rpcServer, sorobanTransaction())).resolves.toEqual({ status: 'SUCCESS' });
+      });
+
+      it('throws when the network rejects it', async () => {
+        rpcServer.sendTransaction.mockResolvedValue({
+          status: 'ERROR',
+          errorResult: transactionResult(StellarSdk.xdr.TransactionResultResult.txBadSeq()),
+        });
+
+        await expect(trackTransaction(rpcServer, sorobanTransaction()))
+          .rejects.toThrow('Transaction failed: Another transaction was sent from this account at the same time; try again');
+        expect(rpcServer.getTransaction).not.toHaveBeenCalled();
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('throws when the transaction fails', async () => {
+        rpcServer.getTransaction.mockResolvedValue({
+          status: 'FAILED',
+          resultXdr: transactionResult(StellarSdk.xdr.TransactionResultResult.txFailed([
+            StellarSdk.xdr.OperationResult.opInner(StellarSdk.xdr.OperationResultTr.invokeHostFunction(
+              StellarSdk.xdr.InvokeHostFunctionResult.invokeHostFunctionEntryArchived()
+            )),
+          ])),
+        });
+
+        await expect(trackTransaction(rpcServer, sorobanTransaction()))
+          .rejects.toThrow('Transaction failed: Some contract data is archived and must be restored first');
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('stops once a ledger closes after the time bounds', async () => {
+        const transaction = sorobanTransaction();
+        rpcServer.getTransaction.mockImplementation(async () =>
+          notFound(rpcServer.getTransaction.mock.calls.length > 12 ? getMaxTime(transaction) + 1 : now()));
+
+        await expect(trackTransaction(rpcServer, transaction)).rejects.toThrow('Transaction expired before it was included');
+        expect(rpcServer.getTransaction).toHaveBeenCalledTimes(13);
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('resubmits the same envelope while it is pending', async () => {
+        const transaction = sorobanTransaction();
+        confirmOnCall(RESUBMIT_EVERY_POLLS * 2 + 1);
+
+        await trackTransaction(rpcServer, transaction);
+
+        expect(rpcServer.sendTransaction).toHaveBeenCalledTimes(3);
+        rpcServer.sendTransaction.mock.calls.forEach(([sent]) => expect(hashOf(sent)).toBe(hashOf(transaction)));
+      });
+
+      it('fee-bumps a stalled transaction at the high preset and waits for either', async () => {
+        const transaction = sorobanTransaction();
+        let feeBumpHash;
+        let pendingAfterBump;
+        rpcServer.sendTransaction.mockImplementation(async (tx) => {
+          if (tx instanceof StellarSdk.FeeBumpTransaction) {
+            feeBumpHash = hashOf(tx);
+          }
+          return { status: 'PENDING', hash: hashOf(tx) };
+        });
+        rpcServer.getTransaction.mockImplementation(async (hash) => {
+          if (hash === feeBumpHash) {
+            pendingAfterBump = getPendingTransactions();
+            return { status: 'SUCCESS', txHash: hash };
+          }
+          return notFound();
+        });
+
+        const result = await trackTransaction(rpcServer, transaction, { keypair: TEST_KEYPAIR, autoBump: true });
+
+        expect(result).toEqual({ status: 'SUCCESS', txHash: feeBumpHash });
+        // Polled until STALL_LEDGERS ledgers closed after the first poll
+        expect(rpcServer.getTransaction.mock.calls.slice(0, STALL_LEDGERS + 1).every(([hash]) => hash === hashOf(transaction))).toBe(true);
+        const feeBump = rpcServer.sendTransaction.mock.calls[1][0];
+        expect(feeBump.innerTransaction.hash()).toEqual(transaction.hash());
+        expect(feeBump.fee).toBe(String(25000 * 2 + 1000));
+        expect(pendingAfterBump[0].feeBump).toBe(feeBump.toXDR());
+      });
+
+      it('keeps waiting for the original when the fee bump is rejected', async () => {
+        const transaction = sorobanTransaction();
+        rpcServer.sendTransaction
+          .mockResolvedValueOnce({ status: 'PENDING', hash: hashOf(transaction) })
+          .mockResolvedValueOnce({ status: 'ERROR', errorResult: 'txBAD_SEQ' });
+        confirmOnCall(STALL_LEDGERS + 2);
+
+        await expect(trackTransaction(rpcServer, transaction, { keypair: TEST_KEYPAIR, autoBump: true }))
+          .resolves.toEqual({ status: 'SUCCESS', txHash: hashOf(transaction) });
+        expect(rpcServer.sendTransaction.mock.calls[1][0]).toBeInstanceOf(StellarSdk.FeeBumpTransaction);
+      });
+
+      it('does not fee-bump without a keypair', async () => {
+        confirmOnCall(STALL_LEDGERS + 2);
+
+        await trackTransaction(rpcServer, sorobanTransaction(), { autoBump: true });
+
+        expect(rpcServer.sendTransaction).toHaveBeenCalledTimes(1);
+      });
+
+      it('fee-bumps only when turned on in the fee settings', async () => {
+        confirmOnCall(STALL_LEDGERS + 2);
+
+        await trackTransaction(rpcServer, sorobanTransaction(), { keypair: TEST_KEYPAIR });
+
+        expect(rpcServer.sendTransaction).toHaveBeenCalledTimes(1);
+
+        setFeeSettings({ autoBump: true });
+        rpcServer.getTransaction.mockClear();
+        rpcServer.sendTransaction.mockClear();
+        confirmOnCall(STALL_LEDGERS + 2);
+
+        await trackTransaction(rpcServer, sorobanTransaction({ sequence: '101' }), { keypair: TEST_KEYPAIR });
+
+        expect(rpcServer.sendTransaction.mock.calls[1][0]).toBeInstanceOf(StellarSdk.FeeBumpTransaction);
+      });
+
+      it('does not count polls within the same ledger as stalling', async () => {
+        rpcServer.getTransaction.mockImplementation(async () => (rpcServer.getTransaction.mock.calls.length >= 8
+          ? { status: 'SUCCESS' }
+          : { ...notFound(), latestLedger: 1000 }));
+
+        await trackTransaction(rpcServer, sorobanTransaction(), { keypair: TEST_KEYPAIR, autoBump: true });
+
+        expect(rpcServer.sendTransaction.mock.calls.some(([tx]) => tx instanceof StellarSdk.FeeBumpTransaction)).toBe(false);
+      });
+
+      it('leaves the transaction pending when the RPC keeps failing', async () => {
+        const transaction = sorobanTransaction();
+        rpcServer.getTransaction.mockRejectedValue(new Error('RPC unavailable'));
+
+        await expect(trackTransaction(rpcServer, transaction)).rejects.toThrow('RPC unavailable');
+        expect(rpcServer.getTransaction).toHaveBeenCalledTimes(3);
+        expect(getPendingTransactions().map(entry => entry.hash)).toEqual([hashOf(transaction)]);
+      });
+
+      it('rides out a single RPC error', async () => {
+        rpcServer.getTransaction
+          .mockRejectedValueOnce(new Error('RPC unavailable'))
+          .mockResolvedValueOnce({ status: 'SUCCESS' });
+
+        await expect(trackTransaction(rpcServer, sorobanTransaction())).resolves.toEqual({ status: 'SUCCESS' });
+      });
+
+      it('times out a transaction without time bounds but keeps it pending', async () => {
+        await expect(trackTransaction(rpcServer, sorobanTransaction({ timeout: 0 })))
+          .rejects.toThrow('Transaction timed out waiting for confirmation');
+        expect(getPendingTransactions()).toHaveLength(1);
+      });
+
+      it('keeps the transaction pending when the RPC cannot be reached', async () => {
+        const transaction = sorobanTransaction();
+        rpcServer.sendTransaction.mockRejectedValue(networkError());
+
+        await expect(trackTransaction(rpcServer, transaction)).rejects.toThrow('Network Error');
+        expect(getPendingTransactions()).toEqual([expect.objectContaining({ hash: hashOf(transaction) })]);
+      });
+    });
+
+    describe('sendOrQueue', () => {
+      it('leaves a submitted transaction to reconciliation instead of queueing it again', async () => {
+        rpcServer.sendTransaction.mockRejectedValue(networkError());
+
+        await expect(sendOrQueue({ description: 'send' }, () => trackTransaction(rpcServer, sorobanTransaction())))
+          .rejects.toThrow('Network Error');
+        expect(getQueuedSends()).toEqual([]);
+        expect(getPendingTransactions()).toHaveLength(1);
+      });
+    });
+
+    describe('sendQueuedSends', () => {
+      it('sends the queued sends in order and removes them', async () => {
+        const first = queueSend({ description: 'first' });
+        const second = queueSend({ description: 'second' });
+        const run = jest.fn()
+          .mockResolvedValueOnce({ status: 'SUCCESS', txHash: 'abc' })
+          .mockRejectedValueOnce(new Error('Insufficient balance'));
+
+        const results = await sendQueuedSends(run);
+
+        expect(run.mock.calls.map(([entry]) => entry.id)).toEqual([first.id, second.id]);
+        expect(results).toEqual([
+          { id: first.id, hash: 'abc', description: 'first', status: 'confirmed', error: null },
+          { id: second.id, hash: null, description: 'second', status: 'failed', error: 'Insufficient balance' },
+        ]);
+        expect(getQueuedSends()).toEqual([]);
+      });
+
+      it('keeps sends queued while the RPC still cannot be reached', async () => {
+        queueSend({ description: 'first' });
+        queueSend({ description: 'second' });
+        const run = jest.fn().mockRejectedValue(networkError());
+
+        await expect(sendQueuedSends(run)).resolves.toEqual([]);
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(getQueuedSends()).toHaveLength(2);
+      });
+
+      it('only sends the queued sends the filter selects', async () => {
+        queueSend({ description: 'mine', publicKey: 'GME' });
+        queueSend({ description: 'other wallet', publicKey: 'GOTHER' });
+        const run = jest.fn().mockResolvedValue({ txHash: 'abc' });
+
+        await sendQueuedSends(run, { filter: entry => entry.publicKey === 'GME' });
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(getQueuedSends()).toEqual([expect.objectContaining({ description: 'other wallet' })]);
+      });
+    });
+
+    describe('submitAndWait', () => {
+      it('tracks the transaction like trackTransaction', async () => {
+        const transaction = sorobanTransaction();
+        confirmOnCall(2);
+
+        await expect(submitAndWait(rpcServer, transaction)).resolves.toEqual({ status: 'SUCCESS', txHash: hashOf(transaction) });
+        expect(rpcServer.sendTransaction).toHaveBeenCalledWith(transaction);
+        expect(getPendingTransactions()).toEqual([]);
+      });
+    });
+
+    describe('waitForTransaction', () => {
+      it('polls a hash until it is confirmed', async () => {
+        confirmOnCall(3);
+
+        await expect(waitForTransaction(rpcServer, 'abc')).resolves.toEqual({ status: 'SUCCESS', txHash: 'abc' });
+        expect(rpcServer.sendTransaction).not.toHaveBeenCalled();
+      });
+
+      it('times out after maxAttempts', async () => {
+        await expect(waitForTransaction(rpcServer, 'abc', { maxAttempts: 4 }))
+          .rejects.toThrow('Transaction timed out waiting for confirmation');
+        expect(rpcServer.getTransaction).toHaveBeenCalledTimes(4);
+      });
+    });
+
+    describe('reconcilePendingTransactions', () => {
+      /**
+       * Leave a transaction in the pending list as if the page reloaded while it was pending
+       */
+      const leavePending = async (transaction) => {
+        const getTransaction = rpcServer.getTransaction;
+        rpcServer.getTransaction = jest.fn().mockRejectedValue(new Error('RPC unavailable'));
+        await trackTransaction(rpcServer, transaction).catch(() => {});
+        rpcServer.getTransaction = getTransaction;
+        rpcServer.sendTransaction.mockClear();
+      };
+
+      it('settles transactions confirmed while the page was closed', async () => {
+        const transaction = sorobanTransaction();
+        await leavePending(transaction);
+        rpcServer.getTransaction.mockResolvedValue({ status: 'SUCCESS' });
+
+        const results = await reconcilePendingTransactions({ rpcServer });
+
+        expect(results).toEqual([{ hash: hashOf(transaction), description: 'decimals', status: 'confirmed', error: null }]);
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('resubmits transactions still within their time bounds', async () => {
+        const transaction = sorobanTransaction();
+        await leavePending(transaction);
+        confirmOnCall(2);
+
+        await reconcilePendingTransactions({ rpcServer });
+
+        expect(rpcServer.sendTransaction).toHaveBeenCalledTimes(1);
+        expect(hashOf(rpcServer.sendTransaction.mock.calls[0][0])).toBe(hashOf(transaction));
+      });
+
+      it('reports transactions that expired', async () => {
+        const transaction = sorobanTransaction();
+        await leavePending(transaction);
+        rpcServer.getTransaction.mockResolvedValue(notFound(getMaxTime(transaction) + 1));
+
+        const [result] = await reconcilePendingTransactions({ rpcServer });
+
+        expect(result).toEqual(expect.objectContaining({ status: 'expired', error: 'Transaction expired before it was included' }));
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('keeps transactions whose outcome cannot be read', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const transaction = sorobanTransaction();
+        await leavePending(transaction);
+        rpcServer.getTransaction.mockRejectedValue(new Error('RPC unavailable'));
+
+        const [result] = await reconcilePendingTransactions({ rpcServer });
+
+        expect(result).toEqual(expect.objectContaining({ status: 'pending', error: 'RPC unavailable' }));
+        expect(getPendingTransactions()).toHaveLength(1);
+        console.error.mockRestore();
+      });
+
+      it('skips transactions of other networks', async () => {
+        const transaction = new StellarSdk.TransactionBuilder(new StellarSdk.Account(TEST_KEYPAIR.publicKey(), '1'), {
+          fee: '100',
+          networkPassphrase: StellarSdk.Networks.PUBLIC,
+        })
+          .addOperation(StellarSdk.Operation.bumpSequence({ bumpTo: '10' }))
+          .setTimeout(30)
+          .build();
+        await leavePending(transaction);
+
+        await expect(reconcilePendingTransactions({ rpcServer })).resolves.toEqual([]);
+        expect(getPendingTransactions()).toHaveLength(1);
+      });
+
+      it('resubmits a transaction the RPC could not be reached for', async () => {
+        const transaction = sorobanTransaction();
+        rpcServer.sendTransaction.mockRejectedValueOnce(networkError());
+        await trackTransaction(rpcServer, transaction).catch(() => {});
+        confirmOnCall(2);
+
+        const [result] = await reconcilePendingTransactions({ rpcServer });
+
+        expect(hashOf(rpcServer.sendTransaction.mock.calls[1][0])).toBe(hashOf(transaction));
+        expect(result).toEqual(expect.objectContaining({ status: 'confirmed' }));
+        expect(getPendingTransactions()).toEqual([]);
+      });
+
+      it('leaves pending transactions alone while offline', async () => {
+        const transaction = sorobanTransaction();
+        await leavePending(transaction);
+        const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+        const [result] = await reconcilePendingTransactions({ rpcServer });
+
+        expect(result).toEqual(expect.objectContaining({ status: 'pending', error: 'No connection' }));
+        expect(rpcServer.getTransaction).not.toHaveBeenCalled();
+        onLine.mockRestore();
+      });
+
+      it('shares a run with overlapping calls', async () => {
+        await leavePending(sorobanTransaction());
+        rpcServer.getTransaction.mockResolvedValue({ status: 'SUCCESS' });
+
+        const [first, second] = await Promise.all([
+          reconcilePendingTransactions({ rpcServer }),
+          reconcilePendingTransactions({ rpcServer }),
+        ]);
+
+        expect(second).toBe(first);
+        expect(rpcServer.getTransaction).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+});
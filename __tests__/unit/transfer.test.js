@@ -6,11 +6,22 @@
 import * as StellarSdk from '@stellar/stellar-sdk';
 import {
   signAuthEntry,
+  buildAuthPayload,
+  buildSignaturesScVal,
   parseAuthEntry,
   bumpInstructionLimit,
   parseTransferEvent,
+  buildTransferFilters,
+  getEventLedger,
+  getTransferHistoryPage,
+  HISTORY_WINDOW_LEDGERS,
+  checkClassicAccountMovable,
+  moveClassicAccount,
 } from '@/utils/stellar/transfer';
 import { computeNetworkIdHash } from '@/utils/stellar/helpers';
+import { toBase64Url } from '@/utils/stellar/passkey';
+import { createMemoryStorage, setStorage } from '@/utils/stellar/storage';
+import { trackTransaction } from '@/utils/stellar/tracker';
 
 // Generate a valid test keypair
 const TEST_KEYPAIR = StellarSdk.Keypair.random();
@@ -28,6 +39,10 @@ jest.mock('@/utils/config', () => ({
   },
 }));
 
+jest.mock('@/utils/stellar/tracker', () => ({
+  trackTransaction: jest.fn(),
+}));
+
 describe('Transfer Functions', () => {
   describe('parseAuthEntry', () => {
     it('parses auth entry from base64 XDR string', () => {
@@ -137,6 +152,101 @@ describe('Transfer Functions', () => {
       expect(sig.switch().name).toBe('scvBytes');
       expect(sig.bytes().length).toBe(64);
     });
+
+    /**
+     * Build an unsigned contract-account auth entry
+     */
+    const buildAuthEntry = () => {
+      const contractId = StellarSdk.StrKey.decodeContract('CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC');
+      return new StellarSdk.xdr.SorobanAuthorizationEntry({
+        credentials: StellarSdk.xdr.SorobanCredentials.sorobanCredentialsAddress(
+          new StellarSdk.xdr.SorobanAddressCredentials({
+            address: StellarSdk.xdr.ScAddress.scAddressTypeContract(contractId),
+            nonce: StellarSdk.xdr.Int64.fromString('7'),
+            signatureExpirationLedger: 0,
+            signature: StellarSdk.xdr.ScVal.scvVoid(),
+          })
+        ),
+        rootInvocation: new StellarSdk.xdr.SorobanAuthorizedInvocation({
+          function: StellarSdk.xdr.SorobanAuthorizedFunction.sorobanAuthorizedFunctionTypeContractFn(
+            new StellarSdk.xdr.InvokeContractArgs({
+              contractAddress: StellarSdk.xdr.ScAddress.scAddressTypeContract(contractId),
+              functionName: 'transfer',
+              args: [],
+            })
+          ),
+          subInvocations: [],
+        }),
+      });
+    };
+
+    it('signs with a signatures Vec sorted by public key for several keypairs', () => {
+      const keypairs = [StellarSdk.Keypair.random(), StellarSdk.Keypair.random(), StellarSdk.Keypair.random()];
+      const auth = buildAuthEntry();
+      const networkIdHash = computeNetworkIdHash();
+
+      const signed = signAuthEntry(auth, keypairs, 500, networkIdHash);
+      const payload = buildAuthPayload(auth, 500, networkIdHash);
+      const entries = signed.credentials().address().signature().vec();
+
+      expect(entries).toHaveLength(3);
+      const publicKeys = entries.map(entry => entry.map()[0].val().bytes());
+      const sortedKeys = [...publicKeys].sort(Buffer.compare);
+      expect(publicKeys).toEqual(sortedKeys);
+
+      entries.forEach(entry => {
+        const [publicKey, signature] = entry.map();
+        expect(publicKey.key().sym().toString()).toBe('public_key');
+        expect(signature.key().sym().toString()).toBe('signature');
+        const signer = StellarSdk.Keypair.fromPublicKey(StellarSdk.StrKey.encodeEd25519PublicKey(publicKey.val().bytes()));
+        expect(signer.verify(payload, signature.val().bytes())).toBe(true);
+      });
+    });
+
+    it('signs the same payload in both formats', () => {
+      const keypair = StellarSdk.Keypair.random();
+      const auth = buildAuthEntry();
+      const networkIdHash = computeNetworkIdHash();
+
+      const single = signAuthEntry(auth, keypair, 500, networkIdHash).credentials().address().signature().bytes();
+      const multi = signAuthEntry(auth, [keypair], 500, networkIdHash).credentials().address().signature().vec()[0];
+
+      expect(Buffer.compare(single, multi.map()[1].val().bytes())).toBe(0);
+    });
+
+    it('rejects duplicate signers', () => {
+      const keypair = StellarSdk.Keypair.random();
+      expect(() => buildSignaturesScVal(Buffer.alloc(32), [keypair, keypair]))
+        .toThrow(`Duplicate signer: ${keypair.publicKey()}`);
+    });
+
+    describe('passkey signatures', () => {
+      const payload = Buffer.alloc(32, 7);
+      const assertion = (credentialId, challenge = payload) => ({
+        credentialId: Buffer.from(credentialId),
+        authenticatorData: Buffer.alloc(37, 1),
+        clientDataJSON: Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge: toBase64Url(challenge) })),
+        signature: Buffer.alloc(64, 2),
+      });
+
+      it('tags ed25519 signatures and passkey assertions for accounts with passkey support', () => {
+        const keypair = StellarSdk.Keypair.random();
+        const entries = buildSignaturesScVal(payload, [assertion('b'), keypair, assertion('a')], true).vec();
+
+        expect(entries.map(entry => entry.vec()[0].sym().toString())).toEqual(['Ed25519', 'WebAuthn', 'WebAuthn']);
+        const webauthn = entries[1].vec()[1].map();
+        expect(webauthn.map(field => field.key().sym().toString()))
+          .toEqual(['authenticator_data', 'client_data_json', 'credential_id', 'signature']);
+        expect(webauthn[2].val().bytes().toString()).toBe('a');
+      });
+
+      it('rejects assertions the account cannot take or that sign another payload', () => {
+        expect(() => buildSignaturesScVal(payload, [assertion('a')])).toThrow('This account does not support passkeys');
+        expect(() => buildSignaturesScVal(payload, [assertion('a', Buffer.alloc(32))], true))
+          .toThrow('Passkey assertion is for a different payload');
+        expect(() => buildSignaturesScVal(payload, [assertion('a'), assertion('a')], true)).toThrow('Duplicate passkey: YQ');
+      });
+    });
   });
 
   describe('bumpInstructionLimit', () => {
@@ -206,7 +316,7 @@ describe('Transfer Functions', () => {
       expect(parsed.direction).toBe('sent');
       expect(parsed.from).toBe(fromAddress);
       expect(parsed.counterparty).toBe(toAddress);
-      expect(parsed.amountXLM).toBe(10);
+      expect(parsed.amount).toBe(100000000n);
       expect(parsed.txHash).toBe('abc123');
     });
 
@@ -239,7 +349,7 @@ describe('Transfer Functions', () => {
       expect(parsed.direction).toBe('received');
       expect(parsed.to).toBe(toAddress);
       expect(parsed.counterparty).toBe(fromAddress);
-      expect(parsed.amountXLM).toBe(5);
+      expect(parsed.amount).toBe(50000000n);
     });
 
     it('handles empty topics gracefully', () => {
@@ -255,7 +365,7 @@ describe('Transfer Functions', () => {
 
       expect(parsed.from).toBe('unknown');
       expect(parsed.to).toBe('unknown');
-      expect(parsed.amountXLM).toBe(0);
+      expect(parsed.amount).toBe(0n);
     });
   });
 });
@@ -419,7 +529,7 @@ describe('parseTransferEvent Edge Cases', () => {
     };
 
     const parsed = parseTransferEvent(event, targetAddress);
-    expect(parsed.amountXLM).toBe(0);
+    expect(parsed.amount).toBe(0n);
   });
 
   it('handles undefined topic field', () => {
@@ -474,7 +584,7 @@ describe('parseTransferEvent Edge Cases', () => {
     };
 
     const parsed = parseTransferEvent(event, targetAddress);
-    expect(parsed.amountXLM).toBeCloseTo(0.0000001, 7);
+    expect(parsed.amount).toBe(1n);
   });
 
   it('preserves all event metadata', () => {
@@ -499,3 +609,218 @@ describe('parseTransferEvent Edge Cases', () => {
     expect(parsed.timestamp).toBe('2025-06-15T12:30:00Z');
   });
 });
+
+describe('Transfer history pagination', () => {
+  const address = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+  const other = 'CAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFCT4';
+  const tokenContractId = 'CDLZFC3SYJYDZT7K67VZ75HPJVIEUVNIXF47ZG2FB2RMQQVU2HHGCYSC';
+
+  // Event IDs are a zero-padded TOID (ledger << 32 | tx order << 12) plus an event index
+  const eventId = (ledger, tx = 1) =>
+    `${((BigInt(ledger) << 32n) | (BigInt(tx) << 12n)).toString().padStart(19, '0')}-0000000000`;
+
+  const makeEvent = (ledger, tx = 1) => ({
+    id: eventId(ledger, tx),
+    topic: [
+      StellarSdk.nativeToScVal('transfer', { type: 'symbol' }),
+      StellarSdk.nativeToScVal(StellarSdk.Address.fromString(other), { type: 'address' }),
+      StellarSdk.nativeToScVal(StellarSdk.Address.fromString(address), { type: 'address' }),
+    ],
+    value: StellarSdk.nativeToScVal(BigInt(ledger), { type: 'i128' }),
+    txHash: `tx-${ledger}-${tx}`,
+    ledger,
+    ledgerClosedAt: '2025-01-01T00:00:00Z',
+  });
+
+  /**
+   * Mock RPC server that serves `events` like getEvents does: ascending order,
+   * at most `limit` per call, in ledger-range or cursor mode
+   */
+  const createMockServer = (events, { latestLedger = 100000, oldestLedger = 1 } = {}) => {
+    const sorted = [...events].sort((a, b) => (a.id < b.id ? -1 : 1));
+    return {
+      getHealth: jest.fn().mockResolvedValue({ status: 'healthy', latestLedger, oldestLedger }),
+      getEvents: jest.fn(async (request) => {
+        if (request.cursor && request.startLedger) {
+          throw new Error('cursor and startLedger are mutually exclusive');
+        }
+        if (!request.cursor && request.startLedger < oldestLedger) {
+          throw new Error('startLedger must be within the ledger range');
+        }
+        const matching = request.cursor
+          ? sorted.filter(e => e.id > request.cursor)
+          : sorted.filter(e => e.ledger >= request.startLedger && e.ledger < request.endLedger);
+        const page = matching.slice(0, request.limit);
+        return {
+          events: page,
+          cursor: page.length > 0 ? page[page.length - 1].id : 'end',
+          latestLedger,
+          oldestLedger,
+        };
+      }),
+    };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('builds sent and received filters for the token', () => {
+    const filters = buildTransferFilters(address, tokenContractId);
+    const target = StellarSdk.nativeToScVal(StellarSdk.Address.fromString(address), { type: 'address' }).toXDR('base64');
+
+    expect(filters).toHaveLength(2);
+    expect(filters[0].contractIds).toEqual([tokenContractId]);
+    expect(filters[0].topics[0][1]).toBe(target);
+    expect(filters[1].topics[0][2]).toBe(target);
+    expect(filters[0].topics[0][3]).toBe('**');
+  });
+
+  it('reads the ledger from an event ID', () => {
+    expect(getEventLedger(eventId(123456, 7))).toBe(123456);
+  });
+
+  it('returns the newest transfers first with a cursor for the next page', async () => {
+    const rpcServer = createMockServer([makeEvent(99990), makeEvent(99995), makeEvent(99999)]);
+
+    const page = await getTransferHistoryPage(address, { rpcServer, pageSize: 2, tokenContractId });
+
+    expect(page.transfers.map(t => t.ledger)).toEqual([99999, 99995]);
+    expect(page.transfers[0].direction).toBe('received');
+    expect(page.cursor).toBe(eventId(99995));
+  });
+
+  it('continues from the cursor without repeating transfers', async () => {
+    const rpcServer = createMockServer([makeEvent(99990), makeEvent(99995, 1), makeEvent(99995, 2), makeEvent(99999)]);
+
+    const first = await getTransferHistoryPage(address, { rpcServer, pageSize: 2, tokenContractId });
+    const second = await getTransferHistoryPage(address, { rpcServer, pageSize: 3, tokenContractId, cursor: first.cursor });
+
+    expect(first.transfers.map(t => t.txHash)).toEqual(['tx-99999-1', 'tx-99995-2']);
+    expect(second.transfers.map(t => t.txHash)).toEqual(['tx-99995-1', 'tx-99990-1']);
+    expect(second.cursor).toBeNull();
+  });
+
+  it('walks back through older ledger windows to fill a page', async () => {
+    const old = 100000 - HISTORY_WINDOW_LEDGERS * 3;
+    const rpcServer = createMockServer([makeEvent(old), makeEvent(99999)]);
+
+    const page = await getTransferHistoryPage(address, { rpcServer, pageSize: 5, tokenContractId });
+
+    expect(page.transfers.map(t => t.ledger)).toEqual([99999, old]);
+    expect(rpcServer.getEvents.mock.calls.length).toBeGreaterThan(3);
+  });
+
+  it('stops at the RPC retention window', async () => {
+    const rpcServer = createMockServer([makeEvent(95000)], { oldestLedger: 90000 });
+
+    const page = await getTransferHistoryPage(address, { rpcServer, pageSize: 5, tokenContractId });
+
+    expect(page.transfers).toHaveLength(1);
+    expect(page.cursor).toBeNull();
+    rpcServer.getEvents.mock.calls.forEach(([request]) => {
+      expect(request.startLedger).toBeGreaterThanOrEqual(90000);
+    });
+  });
+
+  it('follows getEvents cursors when a window has more events than one request returns', async () => {
+    const events = Array.from({ length: 150 }, (_, i) => makeEvent(99000 + i));
+    const rpcServer = createMockServer(events);
+
+    const page = await getTransferHistoryPage(address, { rpcServer, pageSize: 10, tokenContractId });
+
+    expect(page.transfers[0].ledger).toBe(99149);
+    expect(page.transfers).toHaveLength(10);
+    expect(rpcServer.getEvents.mock.calls.some(([request]) => request.cursor)).toBe(true);
+  });
+
+  it('deduplicates events returned more than once', async () => {
+    const event = makeEvent(99999);
+    const rpcServer = createMockServer([]);
+    rpcServer.getEvents.mockResolvedValue({ events: [event, { ...event }], cursor: 'end', oldestLedger: 1 });
+
+    const page = await getTransferHistoryPage(address, { rpcServer, pageSize: 5, tokenContractId });
+
+    expect(page.transfers).toHaveLength(1);
+  });
+
+  it('throws when the RPC request fails', async () => {
+    const rpcServer = createMockServer([]);
+    rpcServer.getEvents.mockRejectedValue(new Error('RPC unavailable'));
+
+    await expect(getTransferHistoryPage(address, { rpcServer, tokenContractId })).rejects.toThrow('RPC unavailable');
+  });
+});
+
+describe('Moving a classic account', () => {
+  const NEW_KEYPAIR = StellarSdk.Keypair.random();
+  const accountEntries = (numSubEntries) => ({
+    entries: [{ val: { account: () => ({ numSubEntries: () => numSubEntries, seqNum: () => '100' }) } }],
+  });
+
+  let mockRpcServer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setStorage(createMemoryStorage());
+    trackTransaction.mockResolvedValue({ status: 'SUCCESS' });
+    mockRpcServer = {
+      getLedgerEntries: jest.fn(),
+      getFeeStats: jest.fn().mockResolvedValue({ sorobanInclusionFee: { p10: '100', p50: '100', p90: '100' } }),
+    };
+  });
+
+  const operationsOf = () => trackTransaction.mock.calls[0][1].operations;
+
+  it('creates the new account and merges the old one into it', async () => {
+    mockRpcServer.getLedgerEntries
+      .mockResolvedValueOnce(accountEntries(0))
+      .mockResolvedValueOnce({ entries: [] });
+
+    expect(await moveClassicAccount(NEW_KEYPAIR.publicKey(), { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR }))
+      .toEqual({ status: 'SUCCESS' });
+
+    const [create, merge] = operationsOf();
+    expect(create).toMatchObject({ type: 'createAccount', destination: NEW_KEYPAIR.publicKey(), startingBalance: '1.0000000' });
+    expect(merge).toMatchObject({ type: 'accountMerge', destination: NEW_KEYPAIR.publicKey() });
+    expect(trackTransaction.mock.calls[0][1].source).toBe(TEST_PUBLIC_KEY);
+    expect(trackTransaction.mock.calls[0][1].sequence).toBe('101');
+    expect(trackTransaction.mock.calls[0][2]).toBeUndefined();
+  });
+
+  it('only merges into a new account that already exists', async () => {
+    mockRpcServer.getLedgerEntries.mockResolvedValue(accountEntries(0));
+
+    await moveClassicAccount(NEW_KEYPAIR.publicKey(), { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR });
+
+    expect(operationsOf().map(op => op.type)).toEqual(['accountMerge']);
+  });
+
+  it('does nothing without an old account', async () => {
+    mockRpcServer.getLedgerEntries.mockResolvedValue({ entries: [] });
+
+    expect(await moveClassicAccount(NEW_KEYPAIR.publicKey(), { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR })).toBeNull();
+    expect(trackTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses an account with trustlines or other entries', async () => {
+    mockRpcServer.getLedgerEntries.mockResolvedValue(accountEntries(2));
+
+    await expect(checkClassicAccountMovable(TEST_PUBLIC_KEY, { rpcServer: mockRpcServer }))
+      .rejects.toThrow(`Remove the trustlines and other entries of ${TEST_PUBLIC_KEY} first`);
+    await expect(moveClassicAccount(NEW_KEYPAIR.publicKey(), { rpcServer: mockRpcServer, keypair: TEST_KEYPAIR }))
+      .rejects.toThrow('only its XLM can move to a new key');
+    expect(trackTransaction).not.toHaveBeenCalled();
+  });
+
+  it('accepts an account without entries or without an account at all', async () => {
+    mockRpcServer.getLedgerEntries.mockResolvedValueOnce(accountEntries(0)).mockResolvedValueOnce({ entries: [] });
+
+    await expect(checkClassicAccountMovable(TEST_PUBLIC_KEY, { rpcServer: mockRpcServer })).resolves.toBeUndefined();
+    await expect(checkClassicAccountMovable(TEST_PUBLIC_KEY, { rpcServer: mockRpcServer })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Unit tests for the multi-wallet store
+ * Tests namespacing, labels, the active-wallet pointer and import/remove per wallet
+ */
+
+import {
+  DEFAULT_WALLET_ID,
+  getWalletKey,
+  getWallets,
+  getActiveWalletId,
+  registerWallet,
+  renameWallet,
+  getWalletStorage,
+  getContractKey,
+  setContractKey,
+  getContractAddress,
+  contractAddressOf,
+} from '@/utils/stellar/wallets';
+import { deriveContractAddress } from '@/utils/stellar/helpers';
+import {
+  generateAndStoreKeypair,
+  importFromMnemonic,
+  importFromMnemonicEncrypted,
+  getStoredKeypair,
+  getPublicKey,
+  getMnemonic,
+  hasKeypair,
+  clearKeypair,
+  listWallets,
+  switchWallet,
+  removeWallet,
+  isLocked,
+  unlock,
+  addNextAccount,
+  setActiveAccount,
+  rotateWalletKey,
+  resumeKeyRotation,
+  getPendingRotation,
+  lock,
+  ROTATION_SETTLE_MS,
+} from '@/utils/stellar/keypair';
+import { createMemoryStorage, setStorage, setStorageNetwork, getStorage, KEYS } from '@/utils/stellar/storage';
+
+const MNEMONIC_A = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const MNEMONIC_B = 'illness spike retreat truth genius clock brain pass fit cave bargain toe';
+
+describe('Multi-wallet store', () => {
+  let memoryStorage;
+
+  beforeEach(() => {
+    memoryStorage = createMemoryStorage();
+    setStorage(memoryStorage);
+    setStorageNetwork(null);
+  });
+
+  describe('getWalletKey', () => {
+    it('keeps the original keys for the default wallet', () => {
+      expect(getWalletKey(KEYS.KEYPAIR, DEFAULT_WALLET_ID)).toBe('stellar_keypair');
+    });
+
+    it('namespaces keys of other wallets', () => {
+      expect(getWalletKey(KEYS.KEYPAIR, 'abc')).toBe('stellar_keypair:abc');
+    });
+  });
+
+  describe('registry', () => {
+    it('is empty without stored keys', () => {
+      expect(getWallets()).toEqual([]);
+      expect(getActiveWalletId()).toBe(DEFAULT_WALLET_ID);
+    });
+
+    it('lists a wallet stored before multi-wallet support', () => {
+      memoryStorage.set(KEYS.KEYPAIR, 'SLEGACY');
+
+      expect(getWallets()).toEqual([{ id: DEFAULT_WALLET_ID, label: 'wallet 1' }]);
+    });
+
+    it('uses the default namespace for the first wallet', () => {
+      expect(registerWallet('main')).toBe(DEFAULT_WALLET_ID);
+      expect(registerWallet()).not.toBe(DEFAULT_WALLET_ID);
+      expect(getWallets().map(w => w.label)).toEqual(['main', 'wallet 2']);
+    });
+
+    it('renames wallets', () => {
+      const id = registerWallet('old');
+      renameWallet(id, '  new  ');
+
+      expect(getWallets()[0].label).toBe('new');
+      expect(() => renameWallet(id, ' ')).toThrow('cannot be empty');
+      expect(() => renameWallet('nope', 'x')).toThrow('Unknown wallet');
+    });
+
+    it('scopes storage to a wallet', () => {
+      getWalletStorage('abc').set(KEYS.MNEMONIC, 'words');
+
+      expect(memoryStorage.get('stellar_mnemonic:abc')).toBe('words');
+      expect(getWalletStorage(DEFAULT_WALLET_ID).get(KEYS.MNEMONIC)).toBeNull();
+    });
+  });
+
+  describe('wallets', () => {
+    it('imports a second phrase into a new wallet instead of overwriting', () => {
+      const first = importFromMnemonic(MNEMONIC_A, { label: 'personal' });
+      const second = importFromMnemonic(MNEMONIC_B, { label: 'test' });
+
+      const wallets = listWallets();
+      expect(wallets.map(w => w.label)).toEqual(['personal', 'test']);
+      expect(wallets.map(w => w.publicKey)).toEqual([first.publicKey(), second.publicKey()]);
+      expect(wallets[1].active).toBe(true);
+      expect(memoryStorage.get(KEYS.KEYPAIR)).toBe(first.secret());
+    });
+
+    it('resolves the stored keypair through the active wallet', () => {
+      const first = importFromMnemonic(MNEMONIC_A);
+      const second = generateAndStoreKeypair();
+
+      expect(getStoredKeypair().publicKey()).toBe(second.publicKey());
+
+      switchWallet(listWallets()[0].id);
+      expect(getStoredKeypair().publicKey()).toBe(first.publicKey());
+      expect(getPublicKey()).toBe(first.publicKey());
+      expect(getMnemonic()).toBe(MNEMONIC_A);
+    });
+
+    it('rejects switching to an unknown wallet', () => {
+      importFromMnemonic(MNEMONIC_A);
+
+      expect(() => switchWallet('nope')).toThrow('Unknown wallet');
+    });
+
+    it('removes one wallet and activates the next', () => {
+      importFromMnemonic(MNEMONIC_A);
+      const second = importFromMnemonic(MNEMONIC_B);
+      const [firstWallet, secondWallet] = listWallets();
+
+      removeWallet(firstWallet.id);
+
+      expect(listWallets()).toEqual([{ ...secondWallet, active: true }]);
+      expect(getStoredKeypair().publicKey()).toBe(second.publicKey());
+      expect(memoryStorage.get(KEYS.KEYPAIR)).toBeNull();
+    });
+
+    it('removes the network-scoped values of a wallet on every network', () => {
+      importFromMnemonic(MNEMONIC_A);
+      importFromMnemonic(MNEMONIC_B);
+      const [firstWallet, secondWallet] = listWallets();
+      const scopedKeys = [KEYS.SESSION_KEYS, KEYS.CONTRACT_KEYS, KEYS.PASSKEYS, KEYS.PENDING_ROTATION];
+      const store = (walletId) => scopedKeys.forEach(key => getStorage().set(getWalletKey(key, walletId), '[]'));
+
+      store(firstWallet.id);
+      store(secondWallet.id);
+      setStorageNetwork('futurenet');
+      store(firstWallet.id);
+      store(secondWallet.id);
+
+      removeWallet(secondWallet.id);
+
+      scopedKeys.forEach(key => {
+        expect(memoryStorage.get(getWalletKey(key, secondWallet.id))).toBeNull();
+        expect(memoryStorage.get(`futurenet:${getWalletKey(key, secondWallet.id)}`)).toBeNull();
+        expect(memoryStorage.get(getWalletKey(key, firstWallet.id))).toBe('[]');
+        expect(memoryStorage.get(`futurenet:${getWalletKey(key, firstWallet.id)}`)).toBe('[]');
+      });
+    });
+
+    it('clearKeypair removes only the active wallet', () => {
+      const first = importFromMnemonic(MNEMONIC_A);
+      importFromMnemonic(MNEMONIC_B);
+
+      clearKeypair();
+
+      expect(hasKeypair()).toBe(true);
+      expect(getPublicKey()).toBe(first.publicKey());
+
+      clearKeypair();
+      expect(hasKeypair()).toBe(false);
+      expect(getWallets()).toEqual([]);
+    });
+
+    it('locks an encrypted wallet when switching away', async () => {
+      await importFromMnemonicEncrypted(MNEMONIC_A, 'pin', { iterations: 1000 });
+      importFromMnemonic(MNEMONIC_B);
+      const [encrypted] = listWallets();
+
+      switchWallet(encrypted.id);
+
+      expect(isLocked()).toBe(true);
+      expect(encrypted.publicKey).toBe(getPublicKey());
+      await unlock('pin');
+      expect(getMnemonic()).toBe(MNEMONIC_A);
+    });
+  });
+
+  describe('key rotation', () => {
+    it('derives the contract account from the public key by default', () => {
+      expect(getContractKey('GCURRENT')).toBe('GCURRENT');
+    });
+
+    it('maps the current key to the original one', () => {
+      setContractKey('GSECOND', 'GFIRST');
+      setContractKey('GTHIRD', 'GFIRST');
+
+      expect(getContractKey('GTHIRD')).toBe('GFIRST');
+      expect(getContractKey('GSECOND')).toBe('GSECOND');
+      expect(getContractKey('GTHIRD', 'other')).toBe('GTHIRD');
+    });
+
+    it('resolves the contract address from a key or a stored address', () => {
+      const original = importFromMnemonic(MNEMONIC_A);
+      const address = deriveContractAddress(original.publicKey());
+
+      expect(contractAddressOf(original.publicKey())).toBe(address);
+      expect(contractAddressOf(address)).toBe(address);
+      expect(getContractAddress(original.publicKey())).toBe(address);
+
+      setContractKey('GNEW', address);
+      expect(getContractAddress('GNEW')).toBe(address);
+    });
+
+    it('imports a rotated key with its contract address', async () => {
+      const address = deriveContractAddress(importFromMnemonic(MNEMONIC_A).publicKey());
+
+      const plain = importFromMnemonic(MNEMONIC_B, { contractAddress: address });
+      expect(getContractAddress(plain.publicKey())).toBe(address);
+
+      const encrypted = await importFromMnemonicEncrypted(MNEMONIC_B, 'pin', { contractAddress: address, iterations: 1000 });
+      expect(getContractAddress(encrypted.publicKey())).toBe(address);
+    });
+
+    it('rejects an invalid contract address before importing', () => {
+      expect(() => importFromMnemonic(MNEMONIC_A, { contractAddress: 'GNOTACONTRACT' }))
+        .toThrow('Invalid contract account address');
+      expect(getWallets()).toEqual([]);
+    });
+
+    it('replaces the key and keeps the contract key', async () => {
+      const original = importFromMnemonic(MNEMONIC_A);
+      const rotate = jest.fn().mockResolvedValue();
+
+      const first = await rotateWalletKey(rotate);
+      const second = await rotateWalletKey(rotate);
+
+      expect(rotate.mock.calls).toEqual([[first.keypair.publicKey()], [second.keypair.publicKey()]]);
+      expect(getPublicKey()).toBe(second.keypair.publicKey());
+      expect(getMnemonic()).toBe(second.mnemonic);
+      expect(getContractKey(getPublicKey())).toBe(original.publicKey());
+    });
+
+    it('keeps the old key when the contract account cannot be rotated', async () => {
+      const original = importFromMnemonic(MNEMONIC_A);
+      const rotate = jest.fn().mockRejectedValue(new Error('failed'));
+
+      await expect(rotateWalletKey(rotate)).rejects.toThrow('failed');
+
+      expect(getPublicKey()).toBe(original.publicKey());
+      expect(getMnemonic()).toBe(MNEMONIC_A);
+      expect(getPendingRotation()).toBe(rotate.mock.calls[0][0]);
+      await expect(rotateWalletKey(jest.fn())).rejects.toThrow('A key rotation is pending');
+    });
+
+    it('saves the new key encrypted before moving the contract account', async () => {
+      const original = importFromMnemonic(MNEMONIC_A);
+      const rotate = jest.fn(async (newPublicKey) => {
+        expect(getPendingRotation()).toBe(newPublicKey);
+        expect(getPublicKey()).toBe(original.publicKey());
+      });
+
+      const { keypair, mnemonic } = await rotateWalletKey(rotate);
+
+      expect(rotate).toHaveBeenCalledTimes(1);
+      expect(getPendingRotation()).toBeNull();
+      expect(getPublicKey()).toBe(keypair.publicKey());
+      expect(getMnemonic()).toBe(mnemonic);
+    });
+
+    it('keeps the pending key out of plain text', async () => {
+      importFromMnemonic(MNEMONIC_A);
+      const rotate = jest.fn().mockRejectedValue(new Error('failed'));
+
+      await expect(rotateWalletKey(rotate)).rejects.toThrow('failed');
+
+      const pending = memoryStorage.get(KEYS.PENDING_ROTATION);
+      expect(pending).not.toBeNull();
+      expect(pending).not.toContain('"secret"');
+      expect(pending).not.toContain('mnemonic');
+    });
+
+    it('finishes an interrupted rotation once the contract account moved', async () => {
+      const original = importFromMnemonic(MNEMONIC_A);
+      const rotate = jest.fn().mockRejectedValue(new Error('timeout'));
+      await expect(rotateWalletKey(rotate)).rejects.toThrow('timeout');
+      const [newPublicKey] = rotate.mock.calls[0];
+      const isRotated = jest.fn().mockResolvedValue(true);
+
+      expect(await resumeKeyRotation(isRotated)).toBe('completed');
+
+      expect(isRotated).toHaveBeenCalledWith(newPublicKey, original.publicKey(), expect.anything());
+      expect(isRotated.mock.calls[0][2].publicKey()).toBe(original.publicKey());
+      expect(getPublicKey()).toBe(newPublicKey);
+      expect(getMnemonic()).not.toBe(MNEMONIC_A);
+      expect(getContractKey(newPublicKey)).toBe(original.publicKey());
+      expect(getPendingRotation()).toBeNull();
+      expect(await resumeKeyRotation(isRotated)).toBeNull();
+    });
+
+    it('discards a rotation the contract account did not move to once it has expired', async () => {
+      const original = importFromMnemonic(MNEMONIC_A);
+      await expect(rotateWalletKey(jest.fn().mockRejectedValue(new Error('failed')))).rejects.toThrow('failed');
+      const isRotated = jest.fn().mockResolvedValue(false);
+
+      expect(await resumeKeyRotation(isRotated)).toBe('pending');
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + ROTATION_SETTLE_MS);
+      try {
+        expect(await resumeKeyRotation(isRotated)).toBe('discarded');
+      } finally {
+        Date.now.mockRestore();
+      }
+
+      expect(getPublicKey()).toBe(original.publicKey());
+      expect(getMnemonic()).toBe(MNEMONIC_A);
+      expect(getPendingRotation()).toBeNull();
+    });
+
+    it('finishes the rotation of an encrypted keystore after unlocking', async () => {
+      const original = await importFromMnemonicEncrypted(MNEMONIC_A, 'pin', { iterations: 1000 });
+      const rotate = jest.fn().mockRejectedValue(new Error('timeout'));
+      await expect(rotateWalletKey(rotate, { password: 'pin', iterations: 1000 })).rejects.toThrow('timeout');
+      const [newPublicKey] = rotate.mock.calls[0];
+      const isRotated = jest.fn().mockResolvedValue(true);
+      lock();
+
+      await expect(resumeKeyRotation(isRotated, { password: 'pin', iterations: 1000 })).rejects.toThrow('Keystore is locked');
+
+      await unlock('pin');
+      await expect(resumeKeyRotation(isRotated, { password: 'wrong', iterations: 1000 })).rejects.toThrow('Incorrect password');
+      expect(await resumeKeyRotation(isRotated, { password: 'pin', iterations: 1000 })).toBe('completed');
+
+      expect(getPublicKey()).toBe(newPublicKey);
+      expect(getContractKey(newPublicKey)).toBe(original.publicKey());
+      lock();
+      await unlock('pin');
+      expect(getStoredKeypair().publicKey()).toBe(newPublicKey);
+    });
+
+    it('re-encrypts an encrypted keystore with the same password', async () => {
+      const original = await importFromMnemonicEncrypted(MNEMONIC_A, 'pin', { iterations: 1000 });
+      const rotate = jest.fn().mockResolvedValue();
+
+      await expect(rotateWalletKey(rotate, { password: 'wrong', iterations: 1000 })).rejects.toThrow('Incorrect password');
+      expect(rotate).not.toHaveBeenCalled();
+
+      const { mnemonic } = await rotateWalletKey(rotate, { password: 'pin', iterations: 1000 });
+
+      expect(memoryStorage.get(KEYS.MNEMONIC)).toBeNull();
+      expect(getContractKey(getPublicKey())).toBe(original.publicKey());
+      await unlock('pin');
+      expect(getMnemonic()).toBe(mnemonic);
+    });
+
+    it('rejects derived accounts', async () => {
+      importFromMnemonic(MNEMONIC_A);
+      addNextAccount();
+      setActiveAccount(1);
+
+      await expect(rotateWalletKey(jest.fn())).rejects.toThrow('Only the first account of a wallet can be rotated');
+    });
+  });
+});
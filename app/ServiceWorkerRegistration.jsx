@@ -4,9 +4,11 @@ import { useEffect } from 'react';
 
 export function ServiceWorkerRegistration() {
   useEffect(() => {
-    if ('serviceWorker' in navigator) {
+    // Development chunks are not content-hashed, so a cached copy would go stale
+    if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+      // The build id versions the service worker's cache
       navigator.serviceWorker
-        .register('/sw.js')
+        .register(`/sw.js?v=${encodeURIComponent(process.env.NEXT_PUBLIC_BUILD_ID)}`)
         .then((registration) => {
           console.log('Service Worker registered:', registration.scope);
         })
@@ -5,55 +5,335 @@ import {
   hasKeypair,
   generateAndStoreKeypair,
   importFromMnemonic,
+  importFromMnemonicEncrypted,
   getPublicKey,
   clearKeypair,
+  isKeystoreEncrypted,
+  isLocked,
+  unlock,
+  lock,
+  encryptStoredKeypair,
+  onLockChange,
+  getMnemonic,
+  getAccounts,
+  getActiveAccountIndex,
+  setActiveAccount,
+  addAccount,
+  addNextAccount,
+  discoverAccounts,
+  listWallets,
+  switchWallet,
+  removeWallet,
+  renameWallet,
   fundTestnetAccount,
   getBalance,
   getContractBalance,
   buildSACTransfer,
   deriveContractAddress,
   sendFromContractAccount,
+  sendBatchFromContractAccount,
+  previewContractAccountSend,
+  previewClassicSend,
   isGaslessEnabled,
   sendGaslessFromClassic,
   sendGaslessFromContract,
+  getXlmContractId,
+  getTokenMetadata,
+  XLM_DECIMALS,
+  getAccountSigners,
+  getSpendingPolicy,
+  setSpendingLimit,
+  setAllowList,
+  getSessionKeys,
+  addSessionKey,
+  removeSessionKey,
+  getRecoveryState,
+  setGuardians,
+  cancelRecovery,
+  startRecovery,
+  approveRecovery,
+  rejectRecovery,
+  completeRecovery,
+  cosignersFromSecrets,
+  addSigner,
+  removeSigner,
+  setSignerThreshold,
+  rotateAccountKey,
+  resumeOwnerRotation,
+  addPasskey,
+  removePasskey,
+  getContractAddress,
+  getFeeEstimates,
+  getPendingTransactions,
+  onPendingTransactionsChange,
+  reconcilePendingTransactions,
+  getQueuedSends,
+  onQueuedSendsChange,
+  removeQueuedSend,
+  sendOrQueue,
+  sendQueuedSends,
+  QUEUED_MESSAGE,
+  getActiveRpcUrl,
+  onRpcEndpointChange,
+  checkRpcEndpoints,
+  restoreNetwork,
+  listNetworks,
+  switchNetwork,
+  saveNetworkProfile,
+  removeNetworkProfile,
+  scopeKey,
+  watchIncomingTransfers,
+  showTransferNotification,
+  getNotificationPermission,
+  requestNotificationPermission,
 } from '@/utils/stellar/index';
+import { getTrackedTokens, getTrackedTokenBalances } from '@/utils/scan';
 import WalletDashboard from '@/components/WalletDashboard';
 import './App.css';
 import Link from 'next/link';
 
+// Incoming transfer toasts kept on screen
+const MAX_INCOMING_TOASTS = 5;
+
+// Cached per network (see scopeKey)
 const CACHE_KEYS = {
   walletAddress: 'cached_wallet_address',
   balance: 'cached_balance',
   classicBalance: 'cached_classic_balance',
   lastUpdated: 'cached_last_updated',
+  // Per-account balances ({ [publicKey]: { balance, classicBalance, lastUpdated } })
+  accountBalances: 'cached_account_balances',
 };
 
+/**
+ * Read the cached balances of every account
+ * @returns {object} Cached balances keyed by public key
+ */
+function readAccountBalanceCache() {
+  try {
+    return JSON.parse(localStorage.getItem(scopeKey(CACHE_KEYS.accountBalances)) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Cache the balances of one account
+ * @param {string} publicKey - The account public key
+ * @param {object} entry - { balance, classicBalance, lastUpdated }
+ */
+function writeAccountBalanceCache(publicKey, entry) {
+  const cache = readAccountBalanceCache();
+  cache[publicKey] = entry;
+  localStorage.setItem(scopeKey(CACHE_KEYS.accountBalances), JSON.stringify(cache));
+}
+
+/**
+ * Fetch tracked SEP-41 token balances (excluding XLM) for an address
+ * Tokens that fail to load are left out
+ * @param {string} address - The address to check (G... or C...)
+ * @returns {Promise<Array>} Token balances
+ */
+async function fetchTokenBalances(address) {
+  if (!address) {
+    return [];
+  }
+  const xlmContractId = getXlmContractId();
+  const balances = await getTrackedTokenBalances(address);
+  return balances.filter(b => b.tokenContractId !== xlmContractId && !b.error);
+}
+
+/**
+ * Get the symbol and decimals of a received token for a notification
+ * Tokens whose metadata cannot be read show their raw amount and contract ID
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @returns {Promise<{ symbol: string, decimals: number }>} The token
+ */
+async function getTransferToken(tokenContractId) {
+  if (!tokenContractId || tokenContractId === getXlmContractId()) {
+    return { symbol: 'XLM', decimals: XLM_DECIMALS };
+  }
+  try {
+    const { symbol, decimals } = await getTokenMetadata(tokenContractId);
+    return { symbol, decimals };
+  } catch {
+    return { symbol: `${tokenContractId.slice(0, 6)}...`, decimals: 0 };
+  }
+}
+
+/**
+ * Fetch the signer configuration of a contract account
+ * @param {string} contractAddress - The contract address (C...)
+ * @returns {Promise<object | null>} Signers and threshold, or null if unavailable
+ */
+async function fetchAccountSigners(contractAddress) {
+  if (!contractAddress) {
+    return null;
+  }
+  try {
+    return await getAccountSigners(contractAddress);
+  } catch (error) {
+    console.error('Error fetching account signers:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the spending policy of a contract account
+ * @param {string} contractAddress - The contract address (C...)
+ * @returns {Promise<object | null>} Limits, spending and allow-list, or null if unavailable
+ */
+async function fetchSpendingPolicy(contractAddress) {
+  if (!contractAddress) {
+    return null;
+  }
+  try {
+    return await getSpendingPolicy(contractAddress);
+  } catch (error) {
+    console.error('Error fetching spending policy:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the session keys of a contract account
+ * @param {string} contractAddress - The contract address (C...)
+ * @returns {Promise<Array | null>} Session keys, or null if unavailable
+ */
+async function fetchSessionKeys(contractAddress) {
+  if (!contractAddress) {
+    return null;
+  }
+  try {
+    return await getSessionKeys(contractAddress);
+  } catch (error) {
+    console.error('Error fetching session keys:', error);
+    return null;
+  }
+}
+
+/**
+ * Build, sign and submit a send queued while offline
+ * @param {object} send - The queued send (see queueForSend)
+ * @returns {Promise<object>} Transaction result
+ */
+function runQueuedSend({ account, destination, amount, token, gasless }) {
+  const tokenOptions = token ? { tokenContractId: token.tokenContractId, decimals: token.decimals } : {};
+  const useGasless = gasless && isGaslessEnabled();
+  if (account === 'classic') {
+    return useGasless ? sendGaslessFromClassic(destination, amount, tokenOptions) : buildSACTransfer(destination, amount, tokenOptions);
+  }
+  return useGasless ? sendGaslessFromContract(destination, amount, tokenOptions) : sendFromContractAccount(destination, amount, tokenOptions);
+}
+
+/**
+ * Describe a send for the offline queue
+ * @param {string} publicKey - The wallet public key; queued sends only go out from this wallet
+ * @param {'contract' | 'classic'} account - The account it is sent from
+ * @param {string} destination - Destination address
+ * @param {string} amount - Amount
+ * @param {object} options - token ({ tokenContractId, decimals, symbol } or null) and gasless
+ * @returns {object} The send to queue (see queueSend)
+ */
+function queueForSend(publicKey, account, destination, amount, { token = null, gasless = false }) {
+  return {
+    publicKey,
+    account,
+    destination,
+    amount,
+    token: token && { tokenContractId: token.tokenContractId, decimals: token.decimals, symbol: token.symbol },
+    gasless,
+    description: `send ${amount} ${token ? token.symbol : 'XLM'} to ${destination.slice(0, 8)}`,
+  };
+}
+
+/**
+ * Fetch the guardians and pending recovery of a contract account
+ * @param {string} contractAddress - The contract address (C...)
+ * @returns {Promise<object | null>} Recovery state, or null if unavailable
+ */
+async function fetchRecoveryState(contractAddress) {
+  if (!contractAddress) {
+    return null;
+  }
+  try {
+    return await getRecoveryState(contractAddress);
+  } catch (error) {
+    console.error('Error fetching recovery state:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch what each fee preset currently bids
+ * @returns {Promise<object | null>} Inclusion fees per preset, or null if unavailable
+ */
+async function fetchFeeEstimates() {
+  try {
+    return await getFeeEstimates();
+  } catch (error) {
+    console.error('Error fetching fee estimates:', error);
+    return null;
+  }
+}
+
 export default function Home() {
+  // Activate the saved network before anything reads network-scoped storage
+  const [network, setNetwork] = useState(() => (typeof window !== 'undefined' ? restoreNetwork() : null));
+  // Presets and custom networks ({ id, label, available, custom, active })
+  const [networks, setNetworks] = useState(listNetworks);
   const [hasWallet, setHasWallet] = useState(false);
   const [loading, setLoading] = useState(true);
   const [publicKey, setPublicKey] = useState(null);
   const [walletAddress, setWalletAddress] = useState(() => {
     if (typeof window !== 'undefined') {
-      return localStorage.getItem(CACHE_KEYS.walletAddress) || null;
+      return localStorage.getItem(scopeKey(CACHE_KEYS.walletAddress)) || null;
     }
     return null;
   });
   const [balance, setBalance] = useState(() => {
     if (typeof window !== 'undefined') {
-      return localStorage.getItem(CACHE_KEYS.balance) || '0';
+      return localStorage.getItem(scopeKey(CACHE_KEYS.balance)) || '0';
     }
     return '0';
   });
   const [classicBalance, setClassicBalance] = useState(() => {
     if (typeof window !== 'undefined') {
-      return localStorage.getItem(CACHE_KEYS.classicBalance) || '0';
+      return localStorage.getItem(scopeKey(CACHE_KEYS.classicBalance)) || '0';
     }
     return '0';
   });
+  // Tracked SEP-41 token balances (excluding XLM) for the send token pickers
+  const [tokenBalances, setTokenBalances] = useState([]);
+  const [classicTokenBalances, setClassicTokenBalances] = useState([]);
+  // Encrypted keystore state (unencrypted wallets are never locked)
+  const [keystoreEncrypted, setKeystoreEncrypted] = useState(false);
+  // Accounts derived from the mnemonic (SEP-0005 account indices)
+  const [accounts, setAccounts] = useState([]);
+  const [activeAccountIndex, setActiveAccountIndex] = useState(0);
+  // Independent wallets in storage ({ id, label, publicKey, active })
+  const [wallets, setWallets] = useState([]);
+  const [accountSigners, setAccountSigners] = useState(null);
+  const [spendingPolicy, setSpendingPolicy] = useState(null);
+  const [sessionKeys, setSessionKeys] = useState(null);
+  const [recoveryState, setRecoveryState] = useState(null);
+  const [feeEstimates, setFeeEstimates] = useState(null);
+  // Submitted transactions that have not settled yet, and those that settled while the page was closed
+  const [pendingTransactions, setPendingTransactions] = useState([]);
+  const [reconciledTransactions, setReconciledTransactions] = useState([]);
+  const [queuedSends, setQueuedSends] = useState([]);
+  // RPC endpoint calls currently go to
+  const [rpcUrl, setRpcUrl] = useState(getActiveRpcUrl);
+  const [locked, setLocked] = useState(false);
+  // Transfers received while the page is open, newest first, and whether they may also raise Web Notifications
+  const [incomingTransfers, setIncomingTransfers] = useState([]);
+  const [notificationPermission, setNotificationPermission] = useState(() => (typeof window !== 'undefined' ? getNotificationPermission() : 'unsupported'));
+  // Offline, the dashboard shows cached balances and sends are queued
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine);
   const [statusMessage, setStatusMessage] = useState(null); // { type: 'success' | 'error', text: string }
   const [lastUpdated, setLastUpdated] = useState(() => {
     if (typeof window !== 'undefined') {
-      const cached = localStorage.getItem(CACHE_KEYS.lastUpdated);
+      const cached = localStorage.getItem(scopeKey(CACHE_KEYS.lastUpdated));
       return cached ? parseInt(cached, 10) : null;
     }
     return null;
@@ -62,54 +342,169 @@ export default function Home() {
   // Persist state to localStorage when it changes
   useEffect(() => {
     if (walletAddress) {
-      localStorage.setItem(CACHE_KEYS.walletAddress, walletAddress);
+      localStorage.setItem(scopeKey(CACHE_KEYS.walletAddress), walletAddress);
     } else {
-      localStorage.removeItem(CACHE_KEYS.walletAddress);
+      localStorage.removeItem(scopeKey(CACHE_KEYS.walletAddress));
     }
   }, [walletAddress]);
 
   useEffect(() => {
-    localStorage.setItem(CACHE_KEYS.balance, balance);
+    localStorage.setItem(scopeKey(CACHE_KEYS.balance), balance);
   }, [balance]);
 
   useEffect(() => {
-    localStorage.setItem(CACHE_KEYS.classicBalance, classicBalance);
+    localStorage.setItem(scopeKey(CACHE_KEYS.classicBalance), classicBalance);
   }, [classicBalance]);
 
   useEffect(() => {
     if (lastUpdated) {
-      localStorage.setItem(CACHE_KEYS.lastUpdated, lastUpdated.toString());
+      localStorage.setItem(scopeKey(CACHE_KEYS.lastUpdated), lastUpdated.toString());
     }
   }, [lastUpdated]);
 
+  // Keep a per-account copy so switching accounts shows balances instantly
+  useEffect(() => {
+    if (publicKey) {
+      writeAccountBalanceCache(publicKey, { balance, classicBalance, lastUpdated });
+    }
+  }, [publicKey, balance, classicBalance, lastUpdated]);
+
   useEffect(() => {
     initializeWallet();
   }, []);
 
-  // Refresh balances when window gains focus
+  // Track keystore lock changes (including auto-lock)
+  useEffect(() => onLockChange(setLocked), []);
+
+  // Show which RPC endpoint is in use as calls fail over
+  useEffect(() => onRpcEndpointChange(setRpcUrl), []);
+
+  // Show the pending transaction list as transactions are submitted and settle
+  useEffect(() => {
+    setPendingTransactions(getPendingTransactions());
+    return onPendingTransactionsChange(setPendingTransactions);
+  }, []);
+
+  // Show the sends waiting for a connection
+  useEffect(() => {
+    setQueuedSends(getQueuedSends());
+    return onQueuedSendsChange(setQueuedSends);
+  }, []);
+
+  // Follow transactions left pending by a previous session or by a
+  // connection that dropped, then build, sign and submit the sends queued
+  // while offline, once there is a connection
+  useEffect(() => {
+    if (!online || !publicKey || !walletAddress) {
+      return;
+    }
+    const settle = async () => {
+      const reconciled = await reconcilePendingTransactions();
+      const sent = await sendQueuedSends(runQueuedSend, { filter: send => send.publicKey === publicKey });
+      const settled = [...reconciled.filter(result => result.status !== 'pending'), ...sent];
+      if (settled.length > 0) {
+        setReconciledTransactions(settled);
+        getBalance(publicKey).then(setClassicBalance).catch(() => {});
+        getContractBalance(walletAddress).then(setBalance).catch(() => {});
+      }
+    };
+    settle().catch(error => console.error('Error reconciling pending transactions:', error));
+  }, [online, publicKey, walletAddress]);
+
+  // Toast incoming transfers (and notify when the page is in the background) and refresh the balances they change
+  useEffect(() => {
+    if (!publicKey || !walletAddress) {
+      return;
+    }
+    const xlmContractId = getXlmContractId();
+    return watchIncomingTransfers([publicKey, walletAddress], transfers => {
+      setIncomingTransfers(prev => [...transfers.slice().reverse(), ...prev].slice(0, MAX_INCOMING_TOASTS));
+      if (document.visibilityState === 'hidden') {
+        transfers.forEach(transfer => {
+          getTransferToken(transfer.tokenContractId)
+            .then(token => showTransferNotification(transfer, token))
+            .catch(error => console.error('Error showing notification:', error));
+        });
+      }
+      const received = (address, isXlm) => transfers.some(transfer =>
+        transfer.to === address && (transfer.tokenContractId === xlmContractId) === isXlm);
+      if (received(publicKey, true)) {
+        getBalance(publicKey).then(setClassicBalance).catch(() => {});
+      }
+      if (received(walletAddress, true)) {
+        getContractBalance(walletAddress).then(setBalance).catch(() => {});
+      }
+      if (received(publicKey, false)) {
+        fetchTokenBalances(publicKey).then(setClassicTokenBalances).catch(() => {});
+      }
+      if (received(walletAddress, false)) {
+        fetchTokenBalances(walletAddress).then(setTokenBalances).catch(() => {});
+      }
+    }, { tokenContractIds: getTrackedTokens() });
+  }, [publicKey, walletAddress]);
+
+  // Refresh balances when window gains focus or the connection returns
   useEffect(() => {
     const handleFocus = () => {
       if (publicKey || walletAddress) {
         refreshBalances();
       }
     };
+    const handleOnline = () => {
+      setOnline(true);
+      handleFocus();
+    };
+    const handleOffline = () => setOnline(false);
 
     window.addEventListener('focus', handleFocus);
-    return () => window.removeEventListener('focus', handleFocus);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('focus', handleFocus);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
   }, [publicKey, walletAddress]);
 
   const initializeWallet = async () => {
     setLoading(true);
+    // Probe the RPC endpoints in the background; calls fail over meanwhile
+    checkRpcEndpoints().catch(() => {});
     try {
       // Check if keypair exists in local storage
       if (hasKeypair()) {
+        // Finish a key rotation an earlier session left pending (encrypted wallets do it on unlock)
+        if (!isKeystoreEncrypted()) {
+          await resumeOwnerRotation().catch(error => console.error('Error resuming key rotation:', error));
+        }
+
+        setKeystoreEncrypted(isKeystoreEncrypted());
+        setLocked(isLocked());
+        setWallets(listWallets());
+        setAccounts(getAccounts());
+        setActiveAccountIndex(getActiveAccountIndex());
+
         const pubKey = getPublicKey();
         setPublicKey(pubKey);
 
-        // Derive the contract address from public key
-        const contractAddr = deriveContractAddress(pubKey);
+        // Derive the contract address from the key the account was created with
+        const contractAddr = getContractAddress(pubKey);
         setWalletAddress(contractAddr);
 
+        // Show cached balances while fetching (e.g. after switching wallets)
+        const cached = readAccountBalanceCache()[pubKey];
+        if (cached) {
+          setClassicBalance(cached.classicBalance || '0');
+          setBalance(cached.balance || '0');
+          setLastUpdated(cached.lastUpdated || null);
+        }
+        setTokenBalances([]);
+        setClassicTokenBalances([]);
+        setAccountSigners(null);
+        setSpendingPolicy(null);
+        setSessionKeys(null);
+        setRecoveryState(null);
+
         // Fetch balances
         const classicBal = await getBalance(pubKey);
         setClassicBalance(classicBal);
@@ -117,6 +512,14 @@ export default function Home() {
         const contractBalance = await getContractBalance(contractAddr);
         setBalance(contractBalance);
 
+        // Token balances load in the background
+        fetchTokenBalances(pubKey).then(setClassicTokenBalances).catch(() => {});
+        fetchTokenBalances(contractAddr).then(setTokenBalances).catch(() => {});
+        fetchAccountSigners(contractAddr).then(setAccountSigners);
+        fetchSpendingPolicy(contractAddr).then(setSpendingPolicy);
+        fetchSessionKeys(contractAddr).then(setSessionKeys);
+        fetchRecoveryState(contractAddr).then(setRecoveryState);
+
         setHasWallet(true);
       }
     } catch (error) {
@@ -161,12 +564,34 @@ export default function Home() {
     }
   };
 
+  const updateTokenBalances = async (classicAddress, contractAddress) => {
+    try {
+      const [classicTokens, contractTokens] = await Promise.all([
+        fetchTokenBalances(classicAddress),
+        fetchTokenBalances(contractAddress),
+      ]);
+      setClassicTokenBalances(classicTokens);
+      setTokenBalances(contractTokens);
+    } catch (error) {
+      console.error('Error fetching token balances:', error);
+    }
+  };
+
   const refreshBalances = async () => {
     const results = await Promise.all([
       publicKey ? updateClassicBalance() : Promise.resolve(false),
       walletAddress ? updateBalance() : Promise.resolve(false)
     ]);
 
+    // Token balances and account settings are best-effort and don't affect the refresh result
+    updateTokenBalances(publicKey, walletAddress);
+    fetchAccountSigners(walletAddress).then(setAccountSigners);
+    fetchSpendingPolicy(walletAddress).then(setSpendingPolicy);
+    fetchSessionKeys(walletAddress).then(setSessionKeys);
+    fetchRecoveryState(walletAddress).then(setRecoveryState);
+    fetchFeeEstimates().then(setFeeEstimates);
+    checkRpcEndpoints().catch(() => {});
+
     // Only update timestamp if at least one refresh succeeded
     if (results.some(success => success)) {
       setLastUpdated(Date.now());
@@ -178,8 +603,13 @@ export default function Home() {
   const handleCreateWallet = async () => {
     setLoading(true);
     try {
-      // Generate and store keypair
+      // Generate and store keypair (in a new wallet if one already exists)
       const keypair = generateAndStoreKeypair();
+      setKeystoreEncrypted(false);
+      setLocked(false);
+      setWallets(listWallets());
+      setAccounts(getAccounts());
+      setActiveAccountIndex(0);
       const pubKey = keypair.publicKey();
       setPublicKey(pubKey);
 
@@ -191,6 +621,9 @@ export default function Home() {
       // Initial balances are 0
       setBalance('0');
       setClassicBalance('0');
+      setTokenBalances([]);
+      setClassicTokenBalances([]);
+      setLastUpdated(null);
 
       setHasWallet(true);
     } catch (error) {
@@ -201,16 +634,23 @@ export default function Home() {
     }
   };
 
-  const handleImportWallet = async (mnemonic) => {
+  const handleImportWallet = async (mnemonic, password, label, contractAddress) => {
     setLoading(true);
     try {
-      // Import keypair from mnemonic
-      const keypair = importFromMnemonic(mnemonic);
+      // Import keypair from mnemonic into a new wallet, encrypting it when a password is given
+      const keypair = password
+        ? await importFromMnemonicEncrypted(mnemonic, password, { label, contractAddress })
+        : importFromMnemonic(mnemonic, { label, contractAddress });
+      setKeystoreEncrypted(Boolean(password));
+      setLocked(false);
+      setWallets(listWallets());
+      setAccounts(getAccounts());
+      setActiveAccountIndex(0);
       const pubKey = keypair.publicKey();
       setPublicKey(pubKey);
 
-      // Derive the contract address from public key
-      const contractAddr = deriveContractAddress(pubKey);
+      // Derive the contract address from public key, unless it was imported with the wallet
+      const contractAddr = getContractAddress(pubKey);
       setWalletAddress(contractAddr);
 
       // Fetch balances (wallet may already have funds)
@@ -220,6 +660,8 @@ export default function Home() {
       const contractBalance = await getContractBalance(contractAddr);
       setBalance(contractBalance);
 
+      updateTokenBalances(pubKey, contractAddr);
+
       setHasWallet(true);
       setLastUpdated(Date.now());
     } catch (error) {
@@ -230,17 +672,78 @@ export default function Home() {
     }
   };
 
-  const handleSendXLM = async (destination, amount, { gasless = false } = {}) => {
+  const handleSwitchAccount = async (index) => {
+    setActiveAccount(index);
+    setActiveAccountIndex(index);
+
+    const pubKey = getPublicKey();
+    const contractAddr = getContractAddress(pubKey);
+    const cached = readAccountBalanceCache()[pubKey] || {};
+
+    // Show cached balances right away, then refresh in the background
+    setPublicKey(pubKey);
+    setWalletAddress(contractAddr);
+    setClassicBalance(cached.classicBalance || '0');
+    setBalance(cached.balance || '0');
+    setLastUpdated(cached.lastUpdated || null);
+    setTokenBalances([]);
+    setClassicTokenBalances([]);
+
+    try {
+      const [classicBal, contractBal] = await Promise.all([
+        getBalance(pubKey),
+        getContractBalance(contractAddr),
+      ]);
+      setClassicBalance(classicBal);
+      setBalance(contractBal);
+      setLastUpdated(Date.now());
+      updateTokenBalances(pubKey, contractAddr);
+    } catch (error) {
+      console.error('Error refreshing account balances:', error);
+    }
+  };
+
+  const handleAddAccount = async () => {
+    const account = addNextAccount();
+    setAccounts(getAccounts());
+    await handleSwitchAccount(account.index);
+  };
+
+  const handleDiscoverAccounts = async () => {
+    const mnemonic = getMnemonic();
+    if (!mnemonic) {
+      throw new Error('A recovery phrase is required to discover accounts');
+    }
+
+    const found = await discoverAccounts(mnemonic);
+    found.forEach(account => addAccount(account.index));
+    setAccounts(getAccounts());
+    return found.length;
+  };
+
+  const handleSendXLM = async (destination, amount, { gasless = false, token = null, cosigners = [] } = {}) => {
     setLoading(true);
     setStatusMessage(null);
+    const symbol = token ? token.symbol : 'XLM';
+    const tokenOptions = token ? { tokenContractId: token.tokenContractId, decimals: token.decimals } : {};
     try {
-      // Send XLM from contract account (will deploy contract if needed)
-      if (gasless && isGaslessEnabled()) {
-        await sendGaslessFromContract(destination, amount);
-        console.log('Gasless contract account transfer successful');
+      tokenOptions.cosigners = cosignersFromSecrets(cosigners);
+
+      // Send from contract account (will deploy contract if needed)
+      const send = async () => {
+        if (gasless && isGaslessEnabled()) {
+          await sendGaslessFromContract(destination, amount, tokenOptions);
+          console.log('Gasless contract account transfer successful');
+        } else {
+          await sendFromContractAccount(destination, amount, tokenOptions);
+          console.log('Contract account transfer successful');
+        }
+      };
+      // Cosigner secrets are not stored, so sends that need them are not queued
+      if (cosigners.length > 0) {
+        await send();
       } else {
-        await sendFromContractAccount(destination, amount);
-        console.log('Contract account transfer successful');
+        await sendOrQueue(queueForSend(publicKey, 'contract', destination, amount, { token, gasless }), send);
       }
 
       // Update balances after successful transaction
@@ -248,7 +751,7 @@ export default function Home() {
 
       // Show success message
       const gaslessLabel = gasless ? ' (gasless)' : '';
-      setStatusMessage({ type: 'success', text: `Successfully sent ${amount} XLM${gaslessLabel}!` });
+      setStatusMessage({ type: 'success', text: `Successfully sent ${amount} ${symbol}${gaslessLabel}!` });
 
       // Auto-close after 2 seconds
       setTimeout(() => {
@@ -256,8 +759,17 @@ export default function Home() {
         setStatusMessage(null);
       }, 2000);
     } catch (error) {
-      console.error('Error sending XLM from contract account:', error);
-      setStatusMessage({ type: 'error', text: `Failed to send XLM: ${error.message}` });
+      // Queued sends are not failures: they go out when the connection returns
+      if (error.message === QUEUED_MESSAGE) {
+        setStatusMessage({ type: 'success', text: QUEUED_MESSAGE });
+        setTimeout(() => {
+          setLoading(false);
+          setStatusMessage(null);
+        }, 3000);
+        return;
+      }
+      console.error(`Error sending ${symbol} from contract account:`, error);
+      setStatusMessage({ type: 'error', text: `Failed to send ${symbol}: ${error.message}` });
 
       // Auto-close error after 3 seconds
       setTimeout(() => {
@@ -269,25 +781,47 @@ export default function Home() {
     }
   };
 
-  const handleClassicSend = async (destination, amount, { gasless = false } = {}) => {
+  // Previews simulate the transfer the matching send handler submits
+  const handlePreviewSend = (destination, amount, { token = null, cosigners = [] } = {}) =>
+    previewContractAccountSend(destination, amount, {
+      ...(token ? { tokenContractId: token.tokenContractId, decimals: token.decimals } : {}),
+      cosigners: cosignersFromSecrets(cosigners),
+    });
+
+  const handlePreviewClassicSend = (destination, amount, { token = null } = {}) =>
+    previewClassicSend(destination, amount, token ? { tokenContractId: token.tokenContractId, decimals: token.decimals } : {});
+
+  // Rows report their own outcome; balances are refreshed whatever was sent
+  const handleSendBatch = async (rows, cosigners = []) => {
+    const results = await sendBatchFromContractAccount(rows, { cosigners: cosignersFromSecrets(cosigners) });
+    await refreshBalances();
+    return results;
+  };
+
+  const handleClassicSend = async (destination, amount, { gasless = false, token = null } = {}) => {
     setLoading(true);
     setStatusMessage(null);
+    const symbol = token ? token.symbol : 'XLM';
+    const tokenOptions = token ? { tokenContractId: token.tokenContractId, decimals: token.decimals } : {};
     try {
-      if (gasless && isGaslessEnabled()) {
-        await sendGaslessFromClassic(destination, amount);
-        console.log('Gasless classic account transfer successful');
-      } else {
-        await buildSACTransfer(destination, amount);
-        console.log('Classic account transfer successful');
-      }
+      await sendOrQueue(queueForSend(publicKey, 'classic', destination, amount, { token, gasless }), async () => {
+        if (gasless && isGaslessEnabled()) {
+          await sendGaslessFromClassic(destination, amount, tokenOptions);
+          console.log('Gasless classic account transfer successful');
+        } else {
+          await buildSACTransfer(destination, amount, tokenOptions);
+          console.log('Classic account transfer successful');
+        }
+      });
 
       // Update balances after successful transaction
       await updateClassicBalance();
       await updateBalance();
+      await updateTokenBalances(publicKey, walletAddress);
 
       // Show success message
       const gaslessLabel = gasless ? ' (gasless)' : '';
-      setStatusMessage({ type: 'success', text: `Successfully sent ${amount} XLM${gaslessLabel}!` });
+      setStatusMessage({ type: 'success', text: `Successfully sent ${amount} ${symbol}${gaslessLabel}!` });
 
       // Auto-close after 2 seconds
       setTimeout(() => {
@@ -295,8 +829,17 @@ export default function Home() {
         setStatusMessage(null);
       }, 2000);
     } catch (error) {
-      console.error('Error sending XLM from classic account:', error);
-      setStatusMessage({ type: 'error', text: `Failed to send XLM: ${error.message}` });
+      // Queued sends are not failures: they go out when the connection returns
+      if (error.message === QUEUED_MESSAGE) {
+        setStatusMessage({ type: 'success', text: QUEUED_MESSAGE });
+        setTimeout(() => {
+          setLoading(false);
+          setStatusMessage(null);
+        }, 3000);
+        return;
+      }
+      console.error(`Error sending ${symbol} from classic account:`, error);
+      setStatusMessage({ type: 'error', text: `Failed to send ${symbol}: ${error.message}` });
 
       // Auto-close error after 3 seconds
       setTimeout(() => {
@@ -322,17 +865,184 @@ export default function Home() {
     }
   };
 
+  const handleUnlock = async (password) => {
+    await unlock(password);
+
+    // Finish a key rotation an earlier session left pending
+    try {
+      if (await resumeOwnerRotation({ password }) === 'completed') {
+        await initializeWallet();
+      }
+    } catch (error) {
+      console.error('Error resuming key rotation:', error);
+    }
+  };
+
+  const handleEnableNotifications = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  const handleLock = () => {
+    lock();
+  };
+
+  const handleSetPassword = async (password) => {
+    await encryptStoredKeypair(password);
+    setKeystoreEncrypted(true);
+  };
+
+  const handleSwitchWallet = async (walletId) => {
+    switchWallet(walletId);
+    await initializeWallet();
+  };
+
+  const handleSwitchNetwork = async (id) => {
+    switchNetwork(id);
+    setNetwork(id);
+    setNetworks(listNetworks());
+
+    // Show what was cached on the new network while it loads
+    setWalletAddress(localStorage.getItem(scopeKey(CACHE_KEYS.walletAddress)) || null);
+    setBalance(localStorage.getItem(scopeKey(CACHE_KEYS.balance)) || '0');
+    setClassicBalance(localStorage.getItem(scopeKey(CACHE_KEYS.classicBalance)) || '0');
+    const cachedUpdated = localStorage.getItem(scopeKey(CACHE_KEYS.lastUpdated));
+    setLastUpdated(cachedUpdated ? parseInt(cachedUpdated, 10) : null);
+    setTokenBalances([]);
+    setClassicTokenBalances([]);
+    setFeeEstimates(null);
+    setPendingTransactions(getPendingTransactions());
+    setReconciledTransactions([]);
+    setIncomingTransfers([]);
+    setRpcUrl(getActiveRpcUrl());
+
+    await initializeWallet();
+  };
+
+  const handleSaveNetwork = async (profile) => {
+    await saveNetworkProfile(profile);
+    setNetworks(listNetworks());
+  };
+
+  const handleRemoveNetwork = (id) => {
+    removeNetworkProfile(id);
+    setNetworks(listNetworks());
+  };
+
+  const handleRenameWallet = (walletId, label) => {
+    renameWallet(walletId, label);
+    setWallets(listWallets());
+  };
+
+  const handleAddSigner = async (signerPublicKey, cosigners = []) => {
+    await addSigner(signerPublicKey, { cosigners: cosignersFromSecrets(cosigners) });
+    setAccountSigners(await fetchAccountSigners(walletAddress));
+  };
+
+  const handleRemoveSigner = async (signerPublicKey, cosigners = []) => {
+    await removeSigner(signerPublicKey, { cosigners: cosignersFromSecrets(cosigners) });
+    setAccountSigners(await fetchAccountSigners(walletAddress));
+  };
+
+  const handleSetThreshold = async (threshold, cosigners = []) => {
+    await setSignerThreshold(threshold, { cosigners: cosignersFromSecrets(cosigners) });
+    setAccountSigners(await fetchAccountSigners(walletAddress));
+  };
+
+  const handleAddPasskey = async (name, cosigners = []) => {
+    await addPasskey(name, { cosigners: cosignersFromSecrets(cosigners) });
+    setAccountSigners(await fetchAccountSigners(walletAddress));
+  };
+
+  const handleRemovePasskey = async (credentialId, cosigners = []) => {
+    await removePasskey(credentialId, { cosigners: cosignersFromSecrets(cosigners) });
+    setAccountSigners(await fetchAccountSigners(walletAddress));
+  };
+
+  const handleSetSpendingLimit = async (token, limits, cosigners = []) => {
+    await setSpendingLimit(token ? token.tokenContractId : null, limits, {
+      decimals: token ? token.decimals : 7,
+      cosigners: cosignersFromSecrets(cosigners),
+    });
+    setSpendingPolicy(await fetchSpendingPolicy(walletAddress));
+  };
+
+  const handleSetAllowList = async (destinations, cosigners = []) => {
+    await setAllowList(destinations, { cosigners: cosignersFromSecrets(cosigners) });
+    setSpendingPolicy(await fetchSpendingPolicy(walletAddress));
+  };
+
+  const handleAddSessionKey = async (scope, cosigners = []) => {
+    await addSessionKey(scope, { cosigners: cosignersFromSecrets(cosigners) });
+    setSessionKeys(await fetchSessionKeys(walletAddress));
+  };
+
+  const handleRemoveSessionKey = async (sessionPublicKey, cosigners = []) => {
+    await removeSessionKey(sessionPublicKey, { cosigners: cosignersFromSecrets(cosigners) });
+    setSessionKeys(await fetchSessionKeys(walletAddress));
+  };
+
+  const handleSetGuardians = async (guardians, threshold, cosigners = []) => {
+    await setGuardians(guardians, threshold, { cosigners: cosignersFromSecrets(cosigners) });
+    setRecoveryState(await fetchRecoveryState(walletAddress));
+  };
+
+  const handleCancelRecovery = async (cosigners = []) => {
+    await cancelRecovery({ cosigners: cosignersFromSecrets(cosigners) });
+    setRecoveryState(await fetchRecoveryState(walletAddress));
+  };
+
+  // Guardian actions on other wallets' accounts don't change this wallet's state
+  const handleStartRecovery = (accountAddress, newSigner, cosigners = []) =>
+    startRecovery(accountAddress, newSigner, { cosigners: cosignersFromSecrets(cosigners) });
+
+  const handleApproveRecovery = (accountAddress, newSigner, cosigners = []) =>
+    approveRecovery(accountAddress, newSigner, { cosigners: cosignersFromSecrets(cosigners) });
+
+  const handleRejectRecovery = (accountAddress, cosigners = []) =>
+    rejectRecovery(accountAddress, { cosigners: cosignersFromSecrets(cosigners) });
+
+  const handleCompleteRecovery = (accountAddress) => completeRecovery(accountAddress);
+
+  const handleRotateKey = async (password, cosigners = []) => {
+    await rotateAccountKey({ password, cosigners: cosignersFromSecrets(cosigners) });
+    await initializeWallet();
+  };
+
+  const handleRemoveWallet = (walletId) => {
+    removeWallet(walletId);
+    setWallets(listWallets());
+  };
+
   const handleReset = () => {
     clearKeypair();
-    localStorage.removeItem(CACHE_KEYS.walletAddress);
-    localStorage.removeItem(CACHE_KEYS.balance);
-    localStorage.removeItem(CACHE_KEYS.classicBalance);
-    localStorage.removeItem(CACHE_KEYS.lastUpdated);
+
+    // Another stored wallet becomes active
+    if (hasKeypair()) {
+      initializeWallet();
+      return;
+    }
+
+    setKeystoreEncrypted(false);
+    setAccounts([]);
+    setActiveAccountIndex(0);
+    setWallets([]);
+    setAccountSigners(null);
+    setSpendingPolicy(null);
+    setSessionKeys(null);
+    setRecoveryState(null);
+    setLocked(false);
+    localStorage.removeItem(scopeKey(CACHE_KEYS.walletAddress));
+    localStorage.removeItem(scopeKey(CACHE_KEYS.balance));
+    localStorage.removeItem(scopeKey(CACHE_KEYS.classicBalance));
+    localStorage.removeItem(scopeKey(CACHE_KEYS.lastUpdated));
+    localStorage.removeItem(scopeKey(CACHE_KEYS.accountBalances));
     setHasWallet(false);
     setPublicKey(null);
     setWalletAddress(null);
     setBalance('0');
     setClassicBalance('0');
+    setTokenBalances([]);
+    setClassicTokenBalances([]);
     setLastUpdated(null);
   };
 
@@ -353,17 +1063,73 @@ export default function Home() {
   return (
     <div className="app">
       <WalletDashboard
+        key={network}
         publicKey={publicKey}
         walletAddress={walletAddress}
         balance={balance}
         classicBalance={classicBalance}
+        tokenBalances={tokenBalances}
+        classicTokenBalances={classicTokenBalances}
         onSendXLM={handleSendXLM}
+        onPreviewSend={handlePreviewSend}
+        onPreviewClassicSend={handlePreviewClassicSend}
+        onSendBatch={handleSendBatch}
         onClassicSend={handleClassicSend}
         onRefreshBalances={refreshBalances}
         onFundAccount={handleFundAccount}
         onCreateWallet={handleCreateWallet}
         onImportWallet={handleImportWallet}
         onReset={handleReset}
+        keystoreEncrypted={keystoreEncrypted}
+        locked={locked}
+        onUnlock={handleUnlock}
+        onLock={handleLock}
+        onSetPassword={handleSetPassword}
+        accounts={accounts}
+        activeAccountIndex={activeAccountIndex}
+        onSwitchAccount={handleSwitchAccount}
+        onAddAccount={handleAddAccount}
+        onDiscoverAccounts={handleDiscoverAccounts}
+        wallets={wallets}
+        onSwitchWallet={handleSwitchWallet}
+        onRenameWallet={handleRenameWallet}
+        onRemoveWallet={handleRemoveWallet}
+        accountSigners={accountSigners}
+        onAddSigner={handleAddSigner}
+        onRemoveSigner={handleRemoveSigner}
+        onSetThreshold={handleSetThreshold}
+        onAddPasskey={handleAddPasskey}
+        onRemovePasskey={handleRemovePasskey}
+        spendingPolicy={spendingPolicy}
+        onSetSpendingLimit={handleSetSpendingLimit}
+        onSetAllowList={handleSetAllowList}
+        sessionKeys={sessionKeys}
+        onAddSessionKey={handleAddSessionKey}
+        onRemoveSessionKey={handleRemoveSessionKey}
+        recoveryState={recoveryState}
+        feeEstimates={feeEstimates}
+        pendingTransactions={pendingTransactions}
+        reconciledTransactions={reconciledTransactions}
+        queuedSends={queuedSends}
+        onDiscardQueued={removeQueuedSend}
+        onDismissReconciled={() => setReconciledTransactions([])}
+        rpcUrl={rpcUrl}
+        offline={!online}
+        incomingTransfers={incomingTransfers}
+        onDismissIncoming={(id) => setIncomingTransfers(prev => prev.filter(transfer => transfer.id !== id))}
+        notificationPermission={notificationPermission}
+        onEnableNotifications={handleEnableNotifications}
+        networks={networks}
+        onSwitchNetwork={handleSwitchNetwork}
+        onSaveNetwork={handleSaveNetwork}
+        onRemoveNetwork={handleRemoveNetwork}
+        onSetGuardians={handleSetGuardians}
+        onCancelRecovery={handleCancelRecovery}
+        onStartRecovery={handleStartRecovery}
+        onApproveRecovery={handleApproveRecovery}
+        onRejectRecovery={handleRejectRecovery}
+        onCompleteRecovery={handleCompleteRecovery}
+        onRotateKey={handleRotateKey}
         loading={loading}
         creatingWallet={loading && !hasWallet}
         lastUpdated={lastUpdated}
@@ -0,0 +1,31 @@
+'use client'
+
+import { useEffect } from 'react';
+import Link from 'next/link';
+import config from '@/utils/config';
+
+/**
+ * Shared header for the scan pages
+ * Applies the theme chosen in the wallet and links back to search and wallet
+ */
+export default function ScanHeader() {
+  useEffect(() => {
+    const theme = localStorage.getItem('theme') || 'dark';
+    document.documentElement.setAttribute('data-theme', theme);
+  }, []);
+
+  return (
+    <>
+      <h1>LUMENITOS SCAN</h1>
+      <p className={`network-label ${config.isTestnet ? 'testnet' : 'mainnet'}`}>
+        {config.isTestnet ? config.stellar.networkLabel : 'mainnet'}
+      </p>
+      <p>
+        <Link href="/scan">search</Link>
+        {' | '}
+        <Link href="/">wallet</Link>
+      </p>
+      <hr />
+    </>
+  );
+}
@@ -0,0 +1,54 @@
+'use client'
+
+import Link from 'next/link';
+import config from '@/utils/config';
+import { formatTransferAmount } from '@/utils/scan';
+
+const shortenAddress = (address) => {
+  if (!address || address.length < 12) return address;
+  return `${address.substring(0, 6)}....${address.substring(address.length - 6)}`;
+};
+
+const addressLink = (address) => {
+  if (!address || address === 'unknown') return address;
+  return <Link href={`/scan/account/${address}`}>{shortenAddress(address)}</Link>;
+};
+
+/**
+ * Render a list of parsed transfer events
+ * When `address` is set, transfers are shown relative to that account
+ * (direction + counterparty), otherwise as from -> to.
+ */
+export default function TransferList({ transfers, address = null, decimals = 7, symbol = 'XLM' }) {
+  if (!transfers || transfers.length === 0) {
+    return <p className="muted">no recent transfers</p>;
+  }
+
+  return (
+    <ul className="transfer-list">
+      {transfers.map((transfer, index) => (
+        <li key={`${transfer.txHash}-${index}`}>
+          {address ? (
+            <>
+              {transfer.direction === 'sent' ? 'sent' : 'received'}{' '}
+              {formatTransferAmount(transfer.amount, decimals)} {symbol}{' '}
+              {transfer.direction === 'sent' ? 'to' : 'from'} {addressLink(transfer.counterparty)}
+            </>
+          ) : (
+            <>
+              {addressLink(transfer.from)} → {addressLink(transfer.to)}{' '}
+              {formatTransferAmount(transfer.amount, decimals)} {symbol}
+            </>
+          )}
+          <br />
+          <span className="muted">
+            ledger {transfer.ledger}
+            {transfer.timestamp && ` | ${new Date(transfer.timestamp).toLocaleString()}`}
+            {' | '}
+            <a href={`${config.stellar.explorerUrl}/tx/${transfer.txHash}`} target="_blank" rel="noopener noreferrer">tx</a>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,6 @@
+import { redirect } from 'next/navigation';
+
+export default async function ScanAddressRedirect({ params }) {
+  const { address } = await params;
+  redirect(`/scan/account/${address}`);
+}
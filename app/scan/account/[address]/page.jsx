@@ -0,0 +1,158 @@
+'use client'
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import {
+  getAddressType,
+  getTrackedTokenBalances,
+  addTrackedToken,
+  removeTrackedToken,
+  formatTokenSymbol,
+} from '@/utils/scan';
+import ScanHeader from '../../ScanHeader';
+import TransferList from '../../TransferList';
+import useTransferHistory from '@/components/useTransferHistory';
+import LoadMore from '@/components/LoadMore';
+import '../../scan.css';
+
+const TRANSFER_PAGE_SIZE = 20;
+
+export default function ScanAccount() {
+  const { address } = useParams();
+  const addressType = getAddressType(address);
+
+  const [balances, setBalances] = useState(null);
+  const [newToken, setNewToken] = useState('');
+  const [tokenError, setTokenError] = useState('');
+  const [balancesError, setBalancesError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const history = useTransferHistory(addressType ? address : null, { pageSize: TRANSFER_PAGE_SIZE });
+  const { reload: reloadHistory } = history;
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setBalancesError('');
+    try {
+      setBalances(await getTrackedTokenBalances(address));
+    } catch (err) {
+      console.error('Error loading account:', err);
+      setBalancesError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [address]);
+
+  const handleRefresh = (e) => {
+    e.preventDefault();
+    load();
+    reloadHistory();
+  };
+
+  const handleAddToken = (e) => {
+    e.preventDefault();
+    try {
+      addTrackedToken(newToken.trim());
+      setNewToken('');
+      setTokenError('');
+      load();
+    } catch (err) {
+      setTokenError(err.message);
+    }
+  };
+
+  const handleRemoveToken = (tokenContractId) => {
+    removeTrackedToken(tokenContractId);
+    setBalances(balances.filter(b => b.tokenContractId !== tokenContractId));
+  };
+
+  useEffect(() => {
+    if (addressType) {
+      load();
+    }
+  }, [addressType, load]);
+
+  if (!addressType) {
+    return (
+      <div className="scan">
+        <ScanHeader />
+        <p className="error">invalid address: {address}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="scan">
+      <ScanHeader />
+
+      <p className="muted">{addressType === 'contract' ? 'contract' : 'account'}</p>
+      <p className="address">{address}</p>
+
+      {addressType === 'contract' && (
+        <p>
+          <Link href={`/scan/token/${address}`}>view as token</Link>
+        </p>
+      )}
+
+      <h2>balances</h2>
+      {balancesError ? (
+        <p className="error">error: {balancesError}</p>
+      ) : loading && balances === null ? (
+        <p>loading...</p>
+      ) : (
+        <ul className="transfer-list">
+          {(balances || []).map((b, index) => (
+            <li key={b.tokenContractId}>
+              {b.error ? (
+                <span className="muted">unavailable </span>
+              ) : (
+                <>{b.display} </>
+              )}
+              <Link href={`/scan/token/${b.tokenContractId}`}>
+                {b.symbol ? formatTokenSymbol(b.symbol) : b.tokenContractId.substring(0, 6)}
+              </Link>
+              {index > 0 && (
+                <>
+                  {' '}(<a href="#" onClick={(e) => { e.preventDefault(); handleRemoveToken(b.tokenContractId); }}>untrack</a>)
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAddToken}>
+        <input
+          type="text"
+          value={newToken}
+          onChange={(e) => setNewToken(e.target.value)}
+          placeholder="track token: CXXX..."
+          autoComplete="off"
+        />
+        {tokenError && <p className="error">{tokenError}</p>}
+        <p>
+          <a href="#" onClick={handleAddToken}>track</a>
+        </p>
+      </form>
+
+      <h2>transfers</h2>
+      {history.transfers === null ? (
+        history.error ? <p className="error">error: {history.error}</p> : <p>loading...</p>
+      ) : (
+        <>
+          <TransferList transfers={history.transfers} address={address} />
+          {history.error && <p className="error">error: {history.error}</p>}
+          {history.cachedAt && <p>saved {new Date(history.cachedAt).toLocaleString()}</p>}
+          <LoadMore onLoadMore={history.loadMore} hasMore={history.hasMore} loading={history.loading} />
+        </>
+      )}
+
+      <p>
+        <a href="#" onClick={handleRefresh}>
+          {loading || history.loading ? 'refreshing' : 'refresh'}
+        </a>
+      </p>
+    </div>
+  );
+}
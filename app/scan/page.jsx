@@ -0,0 +1,52 @@
+'use client'
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { isValidAddress } from '@/utils/scan';
+import ScanHeader from './ScanHeader';
+import './scan.css';
+
+export default function ScanSearch() {
+  const router = useRouter();
+  const [address, setAddress] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const trimmed = address.trim();
+
+    if (!isValidAddress(trimmed)) {
+      setError('enter a valid G... or C... address');
+      return;
+    }
+
+    setError('');
+    router.push(`/scan/account/${trimmed}`);
+  };
+
+  return (
+    <div className="scan">
+      <ScanHeader />
+
+      <form onSubmit={handleSearch}>
+        <p>
+          <label htmlFor="address">address</label>
+        </p>
+        <input
+          type="text"
+          id="address"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          placeholder="GXXX... or CXXX..."
+          autoComplete="off"
+        />
+
+        {error && <p className="error">{error}</p>}
+
+        <p>
+          <a href="#" onClick={handleSearch}>search</a>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+'use client'
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'next/navigation';
+import { getAddressType, getTokenMetadata, getTokenTransfers, formatTokenSymbol } from '@/utils/scan';
+import ScanHeader from '../../ScanHeader';
+import TransferList from '../../TransferList';
+import '../../scan.css';
+
+const TRANSFER_LIMIT = 20;
+
+export default function ScanToken() {
+  const { address } = useParams();
+  const isContract = getAddressType(address) === 'contract';
+
+  const [metadata, setMetadata] = useState(null);
+  const [transfers, setTransfers] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const meta = await getTokenMetadata(address);
+      setMetadata(meta);
+      const recent = await getTokenTransfers(address, TRANSFER_LIMIT);
+      setTransfers(recent);
+    } catch (err) {
+      console.error('Error loading token:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    if (isContract) {
+      load();
+    }
+  }, [isContract, load]);
+
+  if (!isContract) {
+    return (
+      <div className="scan">
+        <ScanHeader />
+        <p className="error">not a token contract address: {address}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="scan">
+      <ScanHeader />
+
+      <p className="muted">token</p>
+      <p className="address">{address}</p>
+
+      {metadata && (
+        <p>
+          name: {metadata.name}<br />
+          symbol: {formatTokenSymbol(metadata.symbol)}<br />
+          decimals: {metadata.decimals}
+        </p>
+      )}
+
+      <h2>transfers</h2>
+      {error ? (
+        <p className="error">error: {error}</p>
+      ) : loading && transfers === null ? (
+        <p>loading...</p>
+      ) : (
+        <TransferList
+          transfers={transfers}
+          decimals={metadata?.decimals}
+          symbol={metadata ? formatTokenSymbol(metadata.symbol) : ''}
+        />
+      )}
+
+      <p>
+        <a href="#" onClick={(e) => { e.preventDefault(); load(); }}>
+          {loading ? 'refreshing' : 'refresh'}
+        </a>
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+'use client'
+
+/**
+ * Co-signer secret keys for a multi-signer contract account
+ * The keys are only held in component state for the current action
+ */
+export default function CosignerField({ value, onChange, threshold, disabled }) {
+  return (
+    <div className="form-group">
+      <label htmlFor="cosignerSecrets">co-signer secret keys (one per line)</label>
+      <textarea
+        id="cosignerSecrets"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="SXXX..."
+        rows={3}
+        autoComplete="off"
+        disabled={disabled}
+      />
+      <small>{threshold - 1} more signature(s) needed, keys are not stored</small>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+'use client'
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * Infinite-scroll sentinel
+ * Calls `onLoadMore` when scrolled into view, with a "load more" link as a fallback
+ * for browsers without IntersectionObserver
+ */
+export default function LoadMore({ onLoadMore, hasMore, loading }) {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    if (!hasMore || loading || typeof IntersectionObserver === 'undefined' || !sentinelRef.current) {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, loading, onLoadMore]);
+
+  if (!hasMore) {
+    return null;
+  }
+
+  return (
+    <p ref={sentinelRef}>
+      {loading ? 'loading...' : (
+        <a href="#" onClick={(e) => { e.preventDefault(); onLoadMore(); }}>load more</a>
+      )}
+    </p>
+  );
+}
@@ -0,0 +1,198 @@
+'use client'
+
+import { useState } from 'react';
+import CosignerField from './CosignerField';
+import useAdminAction from './useAdminAction';
+import { shortenAddress } from './format';
+
+/**
+ * Recovery modal of a contract account: its guardians, its pending recovery and
+ * guardian actions on other wallets' accounts
+ * Rendered while open, so the guardian fields start from the account's current guardians
+ */
+export default function RecoveryPanel({
+  recoveryState,
+  threshold,
+  needsCosigners,
+  withUnlock,
+  onSetGuardians,
+  onCancelRecovery,
+  onStartRecovery,
+  onApproveRecovery,
+  onRejectRecovery,
+  onCompleteRecovery,
+  onClose,
+}) {
+  const [guardianList, setGuardianList] = useState(recoveryState.guardians.join('\n'));
+  const [guardianThreshold, setGuardianThreshold] = useState(String(recoveryState.threshold || 1));
+  const [recoverAccount, setRecoverAccount] = useState('');
+  const [recoverSigner, setRecoverSigner] = useState('');
+  const [notice, setNotice] = useState('');
+  const action = useAdminAction('recovery');
+
+  const handleSetGuardians = () => {
+    const guardians = guardianList.split('\n').map(g => g.trim()).filter(Boolean);
+    const approvals = guardians.length === 0 ? 0 : Number(guardianThreshold);
+    return action.run('guardians', (cosigners) => onSetGuardians(guardians, approvals, cosigners));
+  };
+
+  const handleCancelRecovery = () => action.run('cancel', (cosigners) => onCancelRecovery(cosigners));
+
+  /**
+   * Run a guardian action on another wallet's account and confirm it in the modal
+   */
+  const handleGuardianAction = async (busy, guardianAction, message) => {
+    setNotice('');
+    if (await action.run(busy, guardianAction)) {
+      setNotice(message);
+    }
+  };
+
+  const handleStartRecovery = () => handleGuardianAction(
+    'start',
+    (cosigners) => onStartRecovery(recoverAccount.trim(), recoverSigner.trim(), cosigners),
+    'recovery started'
+  );
+
+  const handleApproveRecovery = () => handleGuardianAction(
+    'approve',
+    (cosigners) => onApproveRecovery(recoverAccount.trim(), recoverSigner.trim(), cosigners),
+    'recovery approved'
+  );
+
+  const handleRejectRecovery = () => handleGuardianAction(
+    'reject',
+    (cosigners) => onRejectRecovery(recoverAccount.trim(), cosigners),
+    'recovery rejected'
+  );
+
+  const handleCompleteRecovery = () => handleGuardianAction(
+    'complete',
+    () => onCompleteRecovery(recoverAccount.trim()),
+    'recovery completed'
+  );
+
+  return (
+    <div className="modal-overlay" onClick={() => !action.busy && onClose()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>recovery</h3>
+        <p>if every key of this account is lost, guardians can hand it to a new key after a 3 day delay</p>
+
+        {recoveryState.guardians.length === 0
+          ? <p>no guardians</p>
+          : <p>{recoveryState.threshold} of {recoveryState.guardians.length} guardian(s) must approve a recovery</p>}
+        {recoveryState.guardians.map(guardian => (
+          <p key={guardian}>{shortenAddress(guardian)}</p>
+        ))}
+
+        {recoveryState.recovery && (
+          <p className="error">
+            recovery to {shortenAddress(recoveryState.recovery.newSigner)} pending,{' '}
+            approved by {recoveryState.recovery.approvals.length} of {recoveryState.threshold},{' '}
+            {recoveryState.recovery.rejections.length > 0 && `rejected by ${recoveryState.recovery.rejections.length} of ${recoveryState.threshold}, `}
+            can complete on {new Date(recoveryState.recovery.effectiveAt * 1000).toLocaleString()}{' '}
+            (<a href="#" onClick={withUnlock(handleCancelRecovery)}>
+              {action.busy === 'cancel' ? 'cancelling...' : 'cancel'}
+            </a>)
+          </p>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="guardianList">guardians (one address per line)</label>
+          <textarea
+            id="guardianList"
+            value={guardianList}
+            onChange={(e) => setGuardianList(e.target.value)}
+            placeholder="GXXX... or CXXX..."
+            rows={3}
+            autoComplete="off"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="guardianThreshold">approvals needed</label>
+          <input
+            type="number"
+            id="guardianThreshold"
+            value={guardianThreshold}
+            onChange={(e) => setGuardianThreshold(e.target.value)}
+            min="1"
+            step="1"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <p>
+          <a href="#" onClick={withUnlock(handleSetGuardians)}>
+            {action.busy === 'guardians' ? 'saving...' : 'save guardians'}
+          </a>
+        </p>
+
+        <p>help recover a wallet you are a guardian of</p>
+
+        <div className="form-group">
+          <label htmlFor="recoverAccount">account to recover</label>
+          <input
+            type="text"
+            id="recoverAccount"
+            value={recoverAccount}
+            onChange={(e) => setRecoverAccount(e.target.value)}
+            placeholder="CXXX..."
+            autoComplete="off"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="recoverSigner">new key</label>
+          <input
+            type="text"
+            id="recoverSigner"
+            value={recoverSigner}
+            onChange={(e) => setRecoverSigner(e.target.value)}
+            placeholder="GXXX..."
+            autoComplete="off"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        {needsCosigners && (
+          <CosignerField
+            value={action.cosignerSecrets}
+            onChange={action.setCosignerSecrets}
+            threshold={threshold}
+            disabled={Boolean(action.busy)}
+          />
+        )}
+
+        {action.error && (
+          <p className="error">{action.error}</p>
+        )}
+        {notice && (
+          <p>{notice}</p>
+        )}
+
+        <p>
+          <a href="#" onClick={withUnlock(handleStartRecovery)}>
+            {action.busy === 'start' ? 'starting...' : 'start recovery'}
+          </a>
+          {' | '}
+          <a href="#" onClick={withUnlock(handleApproveRecovery)}>
+            {action.busy === 'approve' ? 'approving...' : 'approve recovery'}
+          </a>
+          {' | '}
+          <a href="#" onClick={withUnlock(handleRejectRecovery)}>
+            {action.busy === 'reject' ? 'rejecting...' : 'reject recovery'}
+          </a>
+          {' | '}
+          <a href="#" onClick={withUnlock(handleCompleteRecovery)}>
+            {action.busy === 'complete' ? 'completing...' : 'complete recovery'}
+          </a>
+          {' | '}
+          <a href="#" onClick={(e) => { e.preventDefault(); onClose(); }}>close</a>
+        </p>
+      </div>
+    </div>
+  );
+}
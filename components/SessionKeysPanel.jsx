@@ -0,0 +1,162 @@
+'use client'
+
+import { useState } from 'react';
+import { getXlmContractId, formatAmount } from '../utils/stellar/index';
+import CosignerField from './CosignerField';
+import useAdminAction from './useAdminAction';
+import { shortenAddress, amountStep, findToken } from './format';
+
+// Ledgers close about every 5 seconds
+const LEDGERS_PER_HOUR = 720;
+
+/**
+ * Session keys modal of a contract account: scoped keys held in this browser
+ * Rendered while open, so its fields start empty each time
+ */
+export default function SessionKeysPanel({
+  sessionKeys,
+  tokenBalances,
+  tokens,
+  threshold,
+  needsCosigners,
+  withUnlock,
+  onAddSessionKey,
+  onRemoveSessionKey,
+  onClose,
+}) {
+  const [sessionTokenId, setSessionTokenId] = useState('');
+  const [sessionFunctions, setSessionFunctions] = useState('transfer');
+  const [sessionSpendLimit, setSessionSpendLimit] = useState('');
+  const [sessionHours, setSessionHours] = useState('24');
+  const action = useAdminAction('session keys');
+
+  const sessionToken = tokenBalances.find(t => t.tokenContractId === sessionTokenId) || null;
+
+  /**
+   * Describe the scope of a session key, e.g. "transfer on XLM, 1 of 5 xlm spent, expires at ledger 100"
+   */
+  const describeSession = (session) => {
+    const contracts = session.contracts.map(id => findToken(tokens, id).symbol).join(', ');
+    const limits = Object.entries(session.spendLimits).map(([id, limit]) => {
+      const token = findToken(tokens, id);
+      const spent = session.spent[id] ?? 0n;
+      return `${formatAmount(spent, token.decimals)} of ${formatAmount(limit, token.decimals)} ${token.symbol.toLowerCase()} spent`;
+    });
+    const spending = limits.length > 0 ? limits.join(', ') : 'no spend limit';
+    const expiry = session.expired ? 'expired' : `expires at ledger ${session.expirationLedger}`;
+    return `${session.functions.join(', ') || 'any function'} on ${contracts}, ${spending}, ${expiry}`;
+  };
+
+  const handleAddSession = async () => {
+    const tokenContractId = sessionToken ? sessionToken.tokenContractId : getXlmContractId();
+    const scope = {
+      contracts: [tokenContractId],
+      functions: sessionFunctions.split(',').map(fn => fn.trim()).filter(Boolean),
+      spendLimits: { [tokenContractId]: sessionSpendLimit },
+      decimals: { [tokenContractId]: sessionToken ? sessionToken.decimals : 7 },
+      durationLedgers: Math.round(Number(sessionHours) * LEDGERS_PER_HOUR),
+    };
+    if (await action.run('add', (cosigners) => onAddSessionKey(scope, cosigners))) {
+      setSessionSpendLimit('');
+    }
+  };
+
+  const handleRemoveSession = (publicKey) =>
+    action.run(`remove-${publicKey}`, (cosigners) => onRemoveSessionKey(publicKey, cosigners));
+
+  return (
+    <div className="modal-overlay" onClick={() => !action.busy && onClose()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>session keys</h3>
+        <p>session keys are held in this browser and sign calls within their scope instead of the wallet key</p>
+
+        {sessionKeys.length === 0 && <p>no session keys</p>}
+        {sessionKeys.map(session => (
+          <p key={session.publicKey}>
+            {shortenAddress(session.publicKey)}{session.held && ' (this browser)'}: {describeSession(session)}{' '}
+            (<a href="#" onClick={withUnlock(() => handleRemoveSession(session.publicKey))}>
+              {action.busy === `remove-${session.publicKey}` ? 'revoking...' : 'revoke'}
+            </a>)
+          </p>
+        ))}
+
+        {tokenBalances.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="sessionToken">token</label>
+            <select
+              id="sessionToken"
+              value={sessionTokenId}
+              onChange={(e) => setSessionTokenId(e.target.value)}
+              disabled={Boolean(action.busy)}
+            >
+              <option value="">XLM</option>
+              {tokenBalances.map(t => (
+                <option key={t.tokenContractId} value={t.tokenContractId}>{t.symbol}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="sessionFunctions">functions (comma separated, empty for any)</label>
+          <input
+            type="text"
+            id="sessionFunctions"
+            value={sessionFunctions}
+            onChange={(e) => setSessionFunctions(e.target.value)}
+            autoComplete="off"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="sessionSpendLimit">spend limit</label>
+          <input
+            type="number"
+            id="sessionSpendLimit"
+            value={sessionSpendLimit}
+            onChange={(e) => setSessionSpendLimit(e.target.value)}
+            placeholder="no limit"
+            min="0"
+            step={amountStep(sessionToken ? sessionToken.decimals : 7)}
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="sessionHours">valid for (hours)</label>
+          <input
+            type="number"
+            id="sessionHours"
+            value={sessionHours}
+            onChange={(e) => setSessionHours(e.target.value)}
+            min="1"
+            step="1"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        {needsCosigners && (
+          <CosignerField
+            value={action.cosignerSecrets}
+            onChange={action.setCosignerSecrets}
+            threshold={threshold}
+            disabled={Boolean(action.busy)}
+          />
+        )}
+
+        {action.error && (
+          <p className="error">{action.error}</p>
+        )}
+
+        <p>
+          <a href="#" onClick={withUnlock(handleAddSession)}>
+            {action.busy === 'add' ? 'creating...' : 'create session key'}
+          </a>
+          {' | '}
+          <a href="#" onClick={(e) => { e.preventDefault(); onClose(); }}>close</a>
+        </p>
+      </div>
+    </div>
+  );
+}
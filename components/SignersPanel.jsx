@@ -0,0 +1,170 @@
+'use client'
+
+import { useState } from 'react';
+import CosignerField from './CosignerField';
+import useAdminAction from './useAdminAction';
+import { shortenAddress } from './format';
+
+/**
+ * Signers modal of a contract account: ed25519 signers, passkeys and the threshold
+ * Rendered while open, so its fields start empty each time
+ */
+export default function SignersPanel({
+  publicKey,
+  accountSigners,
+  needsCosigners,
+  canRotateKey,
+  withUnlock,
+  onAddSigner,
+  onRemoveSigner,
+  onSetThreshold,
+  onAddPasskey,
+  onRemovePasskey,
+  onRotateKey,
+  onClose,
+}) {
+  const [newSigner, setNewSigner] = useState('');
+  const [newThreshold, setNewThreshold] = useState('');
+  const [newPasskeyName, setNewPasskeyName] = useState('');
+  const action = useAdminAction('signers');
+
+  // Passkeys count towards the threshold like ed25519 signers
+  const signerCount = accountSigners.signers.length + (accountSigners.passkeys?.length || 0);
+
+  const handleAddSigner = async () => {
+    if (await action.run('add', (cosigners) => onAddSigner(newSigner.trim(), cosigners))) {
+      setNewSigner('');
+    }
+  };
+
+  const handleRemoveSigner = (signer) => action.run(`remove-${signer}`, (cosigners) => onRemoveSigner(signer, cosigners));
+
+  const handleAddPasskey = async () => {
+    if (await action.run('passkey', (cosigners) => onAddPasskey(newPasskeyName.trim() || 'lumenitos', cosigners))) {
+      setNewPasskeyName('');
+    }
+  };
+
+  const handleRemovePasskey = (credentialId) =>
+    action.run(`remove-${credentialId}`, (cosigners) => onRemovePasskey(credentialId, cosigners));
+
+  const handleSetThreshold = async () => {
+    if (await action.run('threshold', (cosigners) => onSetThreshold(Number(newThreshold), cosigners))) {
+      setNewThreshold('');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={() => !action.busy && onClose()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>signers</h3>
+
+        <p>{accountSigners.threshold} of {signerCount} signatures required</p>
+
+        {accountSigners.signers.map(signer => (
+          <p key={signer}>
+            {shortenAddress(signer)}{signer === publicKey && ' (this wallet)'}{' '}
+            {signerCount > 1 && (
+              <>(<a href="#" onClick={withUnlock(() => handleRemoveSigner(signer))}>
+                {action.busy === `remove-${signer}` ? 'removing...' : 'remove'}
+              </a>)</>
+            )}
+          </p>
+        ))}
+
+        {accountSigners.passkeys?.map(passkey => (
+          <p key={passkey.credentialId}>
+            passkey {passkey.name || shortenAddress(passkey.credentialId)}{passkey.held && ' (this wallet)'}{' '}
+            {signerCount > 1 && (
+              <>(<a href="#" onClick={withUnlock(() => handleRemovePasskey(passkey.credentialId))}>
+                {action.busy === `remove-${passkey.credentialId}` ? 'removing...' : 'remove'}
+              </a>)</>
+            )}
+          </p>
+        ))}
+
+        <div className="form-group">
+          <label htmlFor="newSigner">new signer</label>
+          <input
+            type="text"
+            id="newSigner"
+            value={newSigner}
+            onChange={(e) => setNewSigner(e.target.value)}
+            placeholder="GXXX..."
+            autoComplete="off"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="newThreshold">threshold</label>
+          <input
+            type="number"
+            id="newThreshold"
+            value={newThreshold}
+            onChange={(e) => setNewThreshold(e.target.value)}
+            placeholder={String(accountSigners.threshold)}
+            min="1"
+            max={signerCount}
+            step="1"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        {accountSigners.passkeys && (
+          <div className="form-group">
+            <label htmlFor="newPasskeyName">passkey name</label>
+            <input
+              type="text"
+              id="newPasskeyName"
+              value={newPasskeyName}
+              onChange={(e) => setNewPasskeyName(e.target.value)}
+              placeholder="lumenitos"
+              autoComplete="off"
+              disabled={Boolean(action.busy)}
+            />
+          </div>
+        )}
+
+        {needsCosigners && (
+          <CosignerField
+            value={action.cosignerSecrets}
+            onChange={action.setCosignerSecrets}
+            threshold={accountSigners.threshold}
+            disabled={Boolean(action.busy)}
+          />
+        )}
+
+        {action.error && (
+          <p className="error">{action.error}</p>
+        )}
+
+        <p>
+          <a href="#" onClick={withUnlock(handleAddSigner)}>
+            {action.busy === 'add' ? 'adding...' : 'add signer'}
+          </a>
+          {' | '}
+          <a href="#" onClick={withUnlock(handleSetThreshold)}>
+            {action.busy === 'threshold' ? 'saving...' : 'set threshold'}
+          </a>
+          {' | '}
+          {accountSigners.passkeys && (
+            <>
+              <a href="#" onClick={withUnlock(handleAddPasskey)}>
+                {action.busy === 'passkey' ? 'waiting for passkey...' : 'add passkey'}
+              </a>
+              {' | '}
+            </>
+          )}
+          {canRotateKey && (
+            <>
+              <a href="#" onClick={withUnlock(onRotateKey)}>rotate key</a>
+              {' | '}
+            </>
+          )}
+          <a href="#" onClick={(e) => { e.preventDefault(); onClose(); }}>close</a>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+'use client'
+
+import { useState } from 'react';
+import { getRemainingAllowance, formatAmount } from '../utils/stellar/index';
+import CosignerField from './CosignerField';
+import useAdminAction from './useAdminAction';
+import { shortenAddress, amountStep, findToken } from './format';
+
+/**
+ * Spending policy modal of a contract account: per-token limits and the destination allow-list
+ * Rendered while open, so its fields start empty each time
+ */
+export default function SpendingLimitsPanel({
+  spendingPolicy,
+  tokenBalances,
+  tokens,
+  threshold,
+  needsCosigners,
+  withUnlock,
+  onSetSpendingLimit,
+  onSetAllowList,
+  onClose,
+}) {
+  const [limitTokenId, setLimitTokenId] = useState('');
+  const [dailyLimit, setDailyLimit] = useState('');
+  const [weeklyLimit, setWeeklyLimit] = useState('');
+  const [newDestination, setNewDestination] = useState('');
+  const action = useAdminAction('spending policy');
+
+  const limitToken = tokenBalances.find(t => t.tokenContractId === limitTokenId) || null;
+
+  /**
+   * Describe the remaining allowance of a limited token, e.g. "4 of 10 xlm left today"
+   */
+  const describeAllowance = (tokenContractId) => {
+    const token = findToken(tokens, tokenContractId);
+    const limit = spendingPolicy.limits[tokenContractId];
+    const remaining = getRemainingAllowance(spendingPolicy, tokenContractId);
+    const unit = token.symbol.toLowerCase();
+    const parts = [];
+    if (limit.daily !== null) {
+      parts.push(`${formatAmount(remaining.daily, token.decimals)} of ${formatAmount(limit.daily, token.decimals)} ${unit} left today`);
+    }
+    if (limit.weekly !== null) {
+      parts.push(`${formatAmount(remaining.weekly, token.decimals)} of ${formatAmount(limit.weekly, token.decimals)} ${unit} left this week`);
+    }
+    return parts.join(', ');
+  };
+
+  /**
+   * Describe a spending limit change waiting for the policy delay
+   */
+  const describePendingLimit = (tokenContractId) => {
+    const token = findToken(tokens, tokenContractId);
+    const pending = spendingPolicy.pendingLimits[tokenContractId];
+    const amount = (value) => (value === null ? 'no limit' : formatAmount(value, token.decimals));
+    return `${token.symbol.toLowerCase()} changes to ${amount(pending.daily)} daily, ${amount(pending.weekly)} weekly on ${new Date(pending.effectiveAt * 1000).toLocaleString()}`;
+  };
+
+  const handleSetLimit = async () => {
+    if (await action.run('limit', (cosigners) => onSetSpendingLimit(limitToken, { daily: dailyLimit, weekly: weeklyLimit }, cosigners))) {
+      setDailyLimit('');
+      setWeeklyLimit('');
+    }
+  };
+
+  const handleRemoveLimit = (tokenContractId) =>
+    action.run(`remove-${tokenContractId}`, (cosigners) => onSetSpendingLimit(findToken(tokens, tokenContractId), {}, cosigners));
+
+  const handleAllowDestination = async () => {
+    const destinations = [...spendingPolicy.allowList, newDestination.trim()];
+    if (await action.run('allow', (cosigners) => onSetAllowList(destinations, cosigners))) {
+      setNewDestination('');
+    }
+  };
+
+  const handleDisallowDestination = (destination) =>
+    action.run(`disallow-${destination}`, (cosigners) => onSetAllowList(spendingPolicy.allowList.filter(d => d !== destination), cosigners));
+
+  return (
+    <div className="modal-overlay" onClick={() => !action.busy && onClose()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>spending limits</h3>
+
+        {Object.keys(spendingPolicy.limits).length === 0 && <p>no limits</p>}
+        {Object.keys(spendingPolicy.limits).map(tokenContractId => (
+          <p key={tokenContractId}>
+            {describeAllowance(tokenContractId)}{' '}
+            (<a href="#" onClick={withUnlock(() => handleRemoveLimit(tokenContractId))}>
+              {action.busy === `remove-${tokenContractId}` ? 'removing...' : 'remove'}
+            </a>)
+          </p>
+        ))}
+        {Object.keys(spendingPolicy.pendingLimits).map(tokenContractId => (
+          <p key={tokenContractId}><small>pending: {describePendingLimit(tokenContractId)}</small></p>
+        ))}
+
+        {tokenBalances.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="limitToken">token</label>
+            <select
+              id="limitToken"
+              value={limitTokenId}
+              onChange={(e) => setLimitTokenId(e.target.value)}
+              disabled={Boolean(action.busy)}
+            >
+              <option value="">XLM</option>
+              {tokenBalances.map(t => (
+                <option key={t.tokenContractId} value={t.tokenContractId}>{t.symbol}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="dailyLimit">daily limit</label>
+          <input
+            type="number"
+            id="dailyLimit"
+            value={dailyLimit}
+            onChange={(e) => setDailyLimit(e.target.value)}
+            placeholder="no limit"
+            min="0"
+            step={amountStep(limitToken ? limitToken.decimals : 7)}
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="weeklyLimit">weekly limit</label>
+          <input
+            type="number"
+            id="weeklyLimit"
+            value={weeklyLimit}
+            onChange={(e) => setWeeklyLimit(e.target.value)}
+            placeholder="no limit"
+            min="0"
+            step={amountStep(limitToken ? limitToken.decimals : 7)}
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <p>allowed destinations{spendingPolicy.allowList.length === 0 && ': any'}</p>
+        {spendingPolicy.allowList.map(destination => (
+          <p key={destination}>
+            {shortenAddress(destination)}{' '}
+            (<a href="#" onClick={withUnlock(() => handleDisallowDestination(destination))}>
+              {action.busy === `disallow-${destination}` ? 'removing...' : 'remove'}
+            </a>)
+          </p>
+        ))}
+        {spendingPolicy.pendingAllowList && (
+          <p>
+            <small>
+              pending: {spendingPolicy.pendingAllowList.destinations.length === 0
+                ? 'any destination'
+                : `${spendingPolicy.pendingAllowList.destinations.length} destination(s)`}{' '}
+              on {new Date(spendingPolicy.pendingAllowList.effectiveAt * 1000).toLocaleString()}
+            </small>
+          </p>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="newDestination">new destination</label>
+          <input
+            type="text"
+            id="newDestination"
+            value={newDestination}
+            onChange={(e) => setNewDestination(e.target.value)}
+            placeholder="GXXX... or CXXX..."
+            autoComplete="off"
+            disabled={Boolean(action.busy)}
+          />
+        </div>
+
+        <p><small>lower limits and removed destinations apply at once, anything else after 24 hours</small></p>
+
+        {needsCosigners && (
+          <CosignerField
+            value={action.cosignerSecrets}
+            onChange={action.setCosignerSecrets}
+            threshold={threshold}
+            disabled={Boolean(action.busy)}
+          />
+        )}
+
+        {action.error && (
+          <p className="error">{action.error}</p>
+        )}
+
+        <p>
+          <a href="#" onClick={withUnlock(handleSetLimit)}>
+            {action.busy === 'limit' ? 'saving...' : 'set limit'}
+          </a>
+          {' | '}
+          <a href="#" onClick={withUnlock(handleAllowDestination)}>
+            {action.busy === 'allow' ? 'adding...' : 'allow destination'}
+          </a>
+          {' | '}
+          <a href="#" onClick={(e) => { e.preventDefault(); onClose(); }}>close</a>
+        </p>
+      </div>
+    </div>
+  );
+}
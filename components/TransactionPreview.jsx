@@ -0,0 +1,60 @@
+'use client'
+
+import { formatAmount } from '../utils/stellar/index';
+import { shortenAddress } from './format';
+
+const formatCallArg = (arg) => (/^[GCM][A-Z2-7]{55,}$/.test(arg) ? shortenAddress(arg) : arg);
+
+/**
+ * Decoded simulation of a send, shown before it is signed
+ * @param {Object} props.preview - Send preview (fees, footprint, authorizations, balance changes)
+ * @param {boolean} props.gasless - Whether the relayer pays the fee
+ * @param {Array<{ tokenContractId: string, symbol: string, decimals: number }>} props.tokens - Tokens balance changes can be shown in
+ */
+export default function TransactionPreview({ preview, gasless, tokens }) {
+  const formatDelta = ({ tokenContractId, amount: delta }) => {
+    const token = tokens.find(t => t.tokenContractId === tokenContractId);
+    const sign = delta < 0n ? '-' : '+';
+    const magnitude = delta < 0n ? -delta : delta;
+    return token
+      ? `${sign}${formatAmount(magnitude, token.decimals)} ${token.symbol.toLowerCase()}`
+      : `${sign}${magnitude} (raw units of ${shortenAddress(tokenContractId)})`;
+  };
+
+  return (
+    <>
+      {preview.needsDeployment && (
+        <p className="warning">the contract account is deployed first, in a separate transaction.</p>
+      )}
+      <p>
+        fee: {gasless
+          ? 'paid by the relayer'
+          : `up to ${formatAmount(preview.maxFee, 7)} xlm (${formatAmount(preview.resourceFee, 7)} resources + ${formatAmount(preview.inclusionFee, 7)} inclusion)`}
+      </p>
+      {!gasless && preview.maxFeeBumpFee !== null && (
+        <p>if it stalls, a fee bump can charge up to {formatAmount(preview.maxFeeBumpFee, 7)} xlm instead</p>
+      )}
+      <p>
+        instructions: {preview.instructions}
+        {preview.instructionBump > 0 && ` (including ${preview.instructionBump} for signature checks)`}
+      </p>
+      <p>
+        footprint: {preview.readOnlyEntries} read-only and {preview.readWriteEntries} read-write entries,
+        {' '}{preview.readBytes} bytes read, {preview.writeBytes} bytes written
+      </p>
+      {preview.authEntries.length > 0 && <p>authorizations:</p>}
+      {preview.authEntries.map((auth, i) => auth.calls.map((call, j) => (
+        <p key={`${i}-${j}`}>
+          {call.depth === 0 ? `${auth.signer ? shortenAddress(auth.signer) : 'the transaction source'} authorizes ` : '↳ then '}
+          {call.contract ? `${shortenAddress(call.contract)}.` : ''}{call.functionName}({call.args.map(formatCallArg).join(', ')})
+        </p>
+      )))}
+      {preview.balanceDeltas.length > 0 && <p>balance changes:</p>}
+      {preview.balanceDeltas.map(delta => (
+        <p key={`${delta.address}-${delta.tokenContractId}`}>
+          {shortenAddress(delta.address)}: {formatDelta(delta)}
+        </p>
+      ))}
+    </>
+  );
+}
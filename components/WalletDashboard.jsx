@@ -6,16 +6,65 @@ import { QRCodeSVG } from 'qrcode.react';
 import { Scanner } from '@yudiel/react-qr-scanner';
 import { MuxedAccount } from '@stellar/stellar-sdk';
 import config from '../utils/config';
-import { getContractTTLs, getMnemonic, bumpInstanceTTL, bumpCodeTTL, bumpBalanceTTL, bumpFactoryInstanceTTL, bumpFactoryCodeTTL } from '../utils/stellar/index';
+import { getContractTTLs, getMnemonic, bumpInstanceTTL, bumpCodeTTL, bumpBalanceTTL, bumpFactoryInstanceTTL, bumpFactoryCodeTTL, exportTransferHistory, getExportFileName, getXlmContractId, formatAmount, parseBatchCsv, FEE_PRESETS, getFeeSettings, setFeeSettings } from '../utils/stellar/index';
+import useTransferHistory from './useTransferHistory';
+import LoadMore from './LoadMore';
+import SignersPanel from './SignersPanel';
+import SpendingLimitsPanel from './SpendingLimitsPanel';
+import SessionKeysPanel from './SessionKeysPanel';
+import RecoveryPanel from './RecoveryPanel';
+import TransactionPreview from './TransactionPreview';
+import CosignerField from './CosignerField';
+import useAdminAction from './useAdminAction';
+import { shortenAddress, amountStep, findToken } from './format';
 import './WalletDashboard.css';
 
+// Fields of the custom network form: [profile key, label, placeholder]
+const NETWORK_PROFILE_FIELDS = [
+  ['label', 'name', 'e.g. staging'],
+  ['sorobanRpcUrl', 'rpc url', 'https://'],
+  ['passphrase', 'network passphrase', 'e.g. Staging Network ; 2025'],
+  ['friendbotUrl', 'friendbot url (optional)', 'https://'],
+  ['accountFactoryAddress', 'factory address', 'C...'],
+  ['simpleAccountWasmHash', 'simple_account wasm hash (optional)', 'read from the factory'],
+  ['accountFactoryWasmHash', 'factory wasm hash (optional)', 'read from the factory'],
+];
+
+const EMPTY_NETWORK_PROFILE = Object.fromEntries(NETWORK_PROFILE_FIELDS.map(([key]) => [key, '']));
+
+/**
+ * Link a transaction to the explorer of the active network (plain text where it has none, e.g. local)
+ */
+const txLink = (hash, text) => (config.stellar.explorerUrl
+  ? <a href={`${config.stellar.explorerUrl}/tx/${hash}`} target="_blank" rel="noopener noreferrer">{text}</a>
+  : text);
+
+/**
+ * Save text content as a file download
+ */
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
 function WalletDashboard({
   publicKey,
   walletAddress,
   balance,
   classicBalance,
+  tokenBalances = [],
+  classicTokenBalances = [],
   onSendXLM,
+  onPreviewSend,
+  onSendBatch,
   onClassicSend,
+  onPreviewClassicSend,
   onRefreshBalances,
   onReset,
   onFundAccount,
@@ -25,6 +74,56 @@ function WalletDashboard({
   creatingWallet,
   lastUpdated,
   gaslessEnabled = false,
+  keystoreEncrypted = false,
+  locked = false,
+  onUnlock,
+  onLock,
+  onSetPassword,
+  accounts = [],
+  activeAccountIndex = 0,
+  onSwitchAccount,
+  onAddAccount,
+  onDiscoverAccounts,
+  wallets = [],
+  onSwitchWallet,
+  onRenameWallet,
+  onRemoveWallet,
+  accountSigners = null,
+  onAddSigner,
+  onRemoveSigner,
+  onSetThreshold,
+  onAddPasskey,
+  onRemovePasskey,
+  spendingPolicy = null,
+  onSetSpendingLimit,
+  onSetAllowList,
+  sessionKeys = null,
+  onAddSessionKey,
+  onRemoveSessionKey,
+  recoveryState = null,
+  onSetGuardians,
+  onCancelRecovery,
+  onStartRecovery,
+  onApproveRecovery,
+  onRejectRecovery,
+  onCompleteRecovery,
+  onRotateKey,
+  feeEstimates = null,
+  pendingTransactions = [],
+  reconciledTransactions = [],
+  onDismissReconciled,
+  queuedSends = [],
+  onDiscardQueued,
+  rpcUrl = null,
+  networks = [],
+  onSwitchNetwork,
+  onSaveNetwork,
+  onRemoveNetwork,
+  offline = false,
+  incomingTransfers = [],
+  onDismissIncoming,
+  notificationPermission = 'unsupported',
+  onEnableNotifications,
 }) {
   const [showSend, setShowSend] = useState(false);
   const [showClassicSend, setShowClassicSend] = useState(false);
@@ -46,14 +145,63 @@ function WalletDashboard({
   const [importMnemonic, setImportMnemonic] = useState('');
   const [importError, setImportError] = useState('');
   const [importing, setImporting] = useState(false);
+  const [importPassword, setImportPassword] = useState('');
+  const [importLabel, setImportLabel] = useState('');
+  const [importContractAddress, setImportContractAddress] = useState('');
+  const [showWallets, setShowWallets] = useState(false);
+  const [walletLabel, setWalletLabel] = useState('');
+  const [walletsError, setWalletsError] = useState('');
+  const [confirmRemoveWalletId, setConfirmRemoveWalletId] = useState(null);
+  const [showUnlock, setShowUnlock] = useState(false);
+  const [unlockPassword, setUnlockPassword] = useState('');
+  const [unlockError, setUnlockError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [afterUnlock, setAfterUnlock] = useState(null);
+  const [showSetPassword, setShowSetPassword] = useState(false);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [settingPassword, setSettingPassword] = useState(false);
+  const [showAccounts, setShowAccounts] = useState(false);
+  const [historyAddress, setHistoryAddress] = useState(null);
+  const [showSigners, setShowSigners] = useState(false);
+  const [cosignerSecrets, setCosignerSecrets] = useState('');
+  const [showLimits, setShowLimits] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [showRecovery, setShowRecovery] = useState(false);
+  const [showRotate, setShowRotate] = useState(false);
+  const [rotatePassword, setRotatePassword] = useState('');
+  const rotateAction = useAdminAction('key');
+  const { reset: resetRotateAction } = rotateAction;
+  const [showBatch, setShowBatch] = useState(false);
+  const [batchCsv, setBatchCsv] = useState('');
+  const [batchResults, setBatchResults] = useState(null);
+  const batchAction = useAdminAction('batch payments');
+  const { reset: resetBatchAction } = batchAction;
+  const [showHistoryExport, setShowHistoryExport] = useState(false);
+  const [showNetworks, setShowNetworks] = useState(false);
+  const [networkProfile, setNetworkProfile] = useState(EMPTY_NETWORK_PROFILE);
+  const [networksBusy, setNetworksBusy] = useState('');
+  const [networksError, setNetworksError] = useState('');
+  const [historyExportToken, setHistoryExportToken] = useState('');
+  const [historyExportFormat, setHistoryExportFormat] = useState('csv');
+  const [exportingHistory, setExportingHistory] = useState(false);
+  const [historyExportMessage, setHistoryExportMessage] = useState('');
+  const [accountsBusy, setAccountsBusy] = useState('');
+  const [accountsMessage, setAccountsMessage] = useState('');
   const [destination, setDestination] = useState('');
   const [amount, setAmount] = useState('');
   const [classicDestination, setClassicDestination] = useState('');
   const [classicAmount, setClassicAmount] = useState('');
+  const [sendTokenId, setSendTokenId] = useState('');
+  const [classicSendTokenId, setClassicSendTokenId] = useState('');
   const [destMuxedId, setDestMuxedId] = useState('');
   const [classicDestMuxedId, setClassicDestMuxedId] = useState('');
   const [sending, setSending] = useState(false);
   const [classicSending, setClassicSending] = useState(false);
+  const [sendPreview, setSendPreview] = useState(null);
+  const [classicSendPreview, setClassicSendPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
   const [useGasless, setUseGasless] = useState(() => {
     if (typeof window !== 'undefined') {
       const saved = localStorage.getItem('gasless');
@@ -61,6 +209,9 @@ function WalletDashboard({
     }
     return false;
   });
+  const [feeSettings, setFeeSettingsState] = useState(() => getFeeSettings());
+  const [customFee, setCustomFee] = useState(() => getFeeSettings().inclusionFee || '');
+  const [feeError, setFeeError] = useState('');
   const [copied, setCopied] = useState('');
   const [refreshing, setRefreshing] = useState(false);
   const [refreshed, setRefreshed] = useState(false);
@@ -72,6 +223,8 @@ function WalletDashboard({
     return saved || 'dark';
   });
 
+  const history = useTransferHistory(historyAddress);
+
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
     localStorage.setItem('theme', theme);
@@ -92,27 +245,47 @@ function WalletDashboard({
     setShowClassicScanner(false);
     setShowTTLs(false);
     setTtlData(null);
+    setHistoryAddress(null);
+    setShowSigners(false);
+    setShowLimits(false);
+    setShowSessions(false);
+    setShowRecovery(false);
+    setShowRotate(false);
+    resetRotateAction();
+    setShowBatch(false);
+    setBatchCsv('');
+    setBatchResults(null);
+    resetBatchAction();
+    setCosignerSecrets('');
+    setShowHistoryExport(false);
+    setHistoryExportMessage('');
     setShowExport(false);
+    setShowUnlock(false);
+    setShowSetPassword(false);
+    setShowAccounts(false);
+    setAccountsMessage('');
+    setShowWallets(false);
+    setConfirmRemoveWalletId(null);
     setDestination('');
     setAmount('');
+    setSendTokenId('');
+    setClassicSendTokenId('');
+    setSendPreview(null);
+    setClassicSendPreview(null);
+    setPreviewError('');
     setSending(false);
     setCopied('');
     setRefreshing(false);
     setRefreshed(false);
     setFunding(false);
     setFunded(false);
-  }, [walletAddress]);
+  }, [walletAddress, resetRotateAction, resetBatchAction]);
 
   const toggleTheme = (e) => {
     e.preventDefault();
     setTheme(theme === 'dark' ? 'light' : 'dark');
   };
 
-  const shortenAddress = (address) => {
-    if (!address || address.length < 12) return address;
-    return `${address.substring(0, 6)}....${address.substring(address.length - 6)}`;
-  };
-
   const getClassicReceiveAddress = () => {
     if (!muxedId || muxedId.trim() === '') {
       return publicKey;
@@ -143,6 +316,40 @@ function WalletDashboard({
     }
   };
 
+  // Selected token for each send modal (null means native XLM)
+  const sendToken = tokenBalances.find(t => t.tokenContractId === sendTokenId) || null;
+  const classicSendToken = classicTokenBalances.find(t => t.tokenContractId === classicSendTokenId) || null;
+
+  // Tokens held by either account, for the history export picker
+  const exportableTokens = [...tokenBalances, ...classicTokenBalances]
+    .filter((t, index, all) => all.findIndex(o => o.tokenContractId === t.tokenContractId) === index)
+    .map(({ tokenContractId, symbol, decimals }) => ({ tokenContractId, symbol, decimals }));
+
+  const handleExportHistory = async (e) => {
+    e.preventDefault();
+    if (exportingHistory) return;
+    setExportingHistory(true);
+    setHistoryExportMessage('');
+    try {
+      // An empty selection exports native XLM only
+      const tokens = historyExportToken === 'all'
+        ? [{ tokenContractId: null }, ...exportableTokens]
+        : exportableTokens.filter(t => t.tokenContractId === historyExportToken);
+      const { content, count } = await exportTransferHistory([publicKey, walletAddress], tokens, { format: historyExportFormat });
+      downloadFile(
+        content,
+        getExportFileName(historyExportFormat),
+        historyExportFormat === 'csv' ? 'text/csv' : 'application/json'
+      );
+      setHistoryExportMessage(`exported ${count} transfer(s)`);
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      setHistoryExportMessage(`error: ${error.message}`);
+    } finally {
+      setExportingHistory(false);
+    }
+  };
+
   const handleRefresh = async (e) => {
     e.preventDefault();
     setRefreshing(true);
@@ -178,15 +385,65 @@ function WalletDashboard({
     }
   };
 
+  // Multi-signer contract accounts with a threshold above 1 need co-signer keys
+  const needsCosigners = Boolean(accountSigners?.multisig && accountSigners.threshold > 1);
+  // Passkeys count towards the threshold like ed25519 signers
+  const signerCount = accountSigners ? accountSigners.signers.length + (accountSigners.passkeys?.length || 0) : 0;
+  const cosignerList = () => cosignerSecrets.split('\n').map(line => line.trim()).filter(Boolean);
+
+  /**
+   * Simulate a send and show its preview instead of submitting it
+   */
+  const loadPreview = async (preview, setPreview, setBusy) => {
+    setBusy(true);
+    setPreviewError('');
+    try {
+      setPreview(await preview());
+    } catch (error) {
+      console.error('Error previewing transaction:', error);
+      setPreviewError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closeSend = () => {
+    setShowSend(false);
+    setSendPreview(null);
+    setPreviewError('');
+  };
+
+  const closeClassicSend = () => {
+    setShowClassicSend(false);
+    setClassicSendPreview(null);
+    setPreviewError('');
+  };
+
   const handleSend = async (e) => {
     e.preventDefault();
+    const finalDest = getMuxedDestination(destination, destMuxedId);
+    // Review the simulated effects before signing; offline the send is queued without one
+    if (onPreviewSend && !sendPreview && !offline) {
+      await loadPreview(
+        () => onPreviewSend(finalDest, amount, { token: sendToken, ...(needsCosigners ? { cosigners: cosignerList() } : {}) }),
+        setSendPreview,
+        setSending
+      );
+      return;
+    }
+
     setSending(true);
     try {
-      const finalDest = getMuxedDestination(destination, destMuxedId);
-      await onSendXLM(finalDest, amount, { gasless: gaslessEnabled && useGasless });
+      await onSendXLM(finalDest, amount, {
+        gasless: gaslessEnabled && useGasless,
+        token: sendToken,
+        ...(needsCosigners ? { cosigners: cosignerList() } : {}),
+      });
       setDestination('');
       setAmount('');
       setDestMuxedId('');
+      setSendTokenId('');
+      setCosignerSecrets('');
       setShowSend(false);
 
       // Refresh balances after successful send
@@ -195,18 +452,89 @@ function WalletDashboard({
       // Error already handled in parent
     } finally {
       setSending(false);
+      setSendPreview(null);
     }
   };
 
+  // Tokens the spending limits and session keys panels know the symbol and decimals of
+  const policyTokens = [
+    { tokenContractId: getXlmContractId(), symbol: 'XLM', decimals: 7 },
+    ...tokenBalances.map(({ tokenContractId, symbol, decimals }) => ({ tokenContractId, symbol, decimals })),
+  ];
+
+  /**
+   * Format the amount of a transfer with its token's decimals, e.g. "1.5 XLM"
+   */
+  const formatTransferAmount = (transfer) => {
+    const tokenContractId = transfer.tokenContractId || getXlmContractId();
+    const token = classicTokenBalances.find(t => t.tokenContractId === tokenContractId) || findToken(policyTokens, tokenContractId);
+    return `${formatAmount(transfer.amount, token.decimals)} ${token.symbol}`;
+  };
+
+  // Only the wallet's own key can be rotated, not keys derived from its phrase
+  const canRotateKey = activeAccountIndex === 0 && Boolean(accountSigners?.signers.includes(publicKey));
+
+  const openRotate = () => {
+    setShowSigners(false);
+    setShowRotate(true);
+  };
+
+  const closeRotate = () => {
+    setShowRotate(false);
+    setRotatePassword('');
+    rotateAction.reset();
+  };
+
+  const handleRotateKey = async () => {
+    if (await rotateAction.run('rotate', (cosigners) => onRotateKey(rotatePassword, cosigners))) {
+      closeRotate();
+      // Show the new recovery phrase so it gets backed up
+      setShowExport(true);
+    }
+  };
+
+  // Batch rows can name held tokens by symbol
+  const batchRows = parseBatchCsv(batchCsv, tokenBalances);
+  const validBatchRows = batchRows.filter(row => !row.error);
+
+  const closeBatch = () => {
+    setShowBatch(false);
+    setBatchCsv('');
+    setBatchResults(null);
+    batchAction.reset();
+  };
+
+  const handleBatchFile = async (e) => {
+    const [file] = e.target.files;
+    if (file) {
+      setBatchCsv(await file.text());
+      setBatchResults(null);
+    }
+  };
+
+  const handleSendBatch = () => batchAction.run('send', async (cosigners) => {
+    setBatchResults(await onSendBatch(batchRows, cosigners));
+  });
+
   const handleClassicSend = async (e) => {
     e.preventDefault();
+    const finalDest = getMuxedDestination(classicDestination, classicDestMuxedId);
+    if (onPreviewClassicSend && !classicSendPreview && !offline) {
+      await loadPreview(
+        () => onPreviewClassicSend(finalDest, classicAmount, { token: classicSendToken }),
+        setClassicSendPreview,
+        setClassicSending
+      );
+      return;
+    }
+
     setClassicSending(true);
     try {
-      const finalDest = getMuxedDestination(classicDestination, classicDestMuxedId);
-      await onClassicSend(finalDest, classicAmount, { gasless: gaslessEnabled && useGasless });
+      await onClassicSend(finalDest, classicAmount, { gasless: gaslessEnabled && useGasless, token: classicSendToken });
       setClassicDestination('');
       setClassicAmount('');
       setClassicDestMuxedId('');
+      setClassicSendTokenId('');
       setShowClassicSend(false);
 
       // Refresh balances after successful send
@@ -215,6 +543,7 @@ function WalletDashboard({
       // Error already handled in parent
     } finally {
       setClassicSending(false);
+      setClassicSendPreview(null);
     }
   };
 
@@ -337,14 +666,137 @@ function WalletDashboard({
     }
   };
 
+  // Run an action that needs the secret key, asking for the password first if locked
+  const withUnlock = (action) => (e) => {
+    e.preventDefault();
+    if (locked) {
+      setAfterUnlock(() => action);
+      setShowUnlock(true);
+    } else {
+      action();
+    }
+  };
+
+  const closeNetworks = () => {
+    setShowNetworks(false);
+    setNetworkProfile(EMPTY_NETWORK_PROFILE);
+    setNetworksError('');
+  };
+
+  const handleSaveNetwork = async (e) => {
+    e.preventDefault();
+    setNetworksBusy('save');
+    setNetworksError('');
+    try {
+      await onSaveNetwork(networkProfile);
+      setNetworkProfile(EMPTY_NETWORK_PROFILE);
+    } catch (error) {
+      console.error('Error saving network:', error);
+      setNetworksError(error.message);
+    } finally {
+      setNetworksBusy('');
+    }
+  };
+
+  const handleRemoveNetwork = (id) => {
+    setNetworksError('');
+    try {
+      onRemoveNetwork(id);
+    } catch (error) {
+      setNetworksError(error.message);
+    }
+  };
+
+  const closeUnlock = () => {
+    setShowUnlock(false);
+    setUnlockPassword('');
+    setUnlockError('');
+    setAfterUnlock(null);
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlockError('');
+    setUnlocking(true);
+    try {
+      await onUnlock(unlockPassword);
+      const action = afterUnlock;
+      closeUnlock();
+      if (action) {
+        action();
+      }
+    } catch (error) {
+      setUnlockError(error.message);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const closeSetPassword = () => {
+    setShowSetPassword(false);
+    setNewPassword('');
+    setConfirmPassword('');
+    setPasswordError('');
+  };
+
+  const handleSetPassword = async (e) => {
+    e.preventDefault();
+    setPasswordError('');
+    if (newPassword.length < 4) {
+      setPasswordError('password must be at least 4 characters');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setPasswordError('passwords do not match');
+      return;
+    }
+    setSettingPassword(true);
+    try {
+      await onSetPassword(newPassword);
+      closeSetPassword();
+    } catch (error) {
+      setPasswordError(error.message);
+    } finally {
+      setSettingPassword(false);
+    }
+  };
+
+  const handleAddAccount = async () => {
+    setAccountsMessage('');
+    setAccountsBusy('add');
+    try {
+      await onAddAccount();
+    } catch (error) {
+      setAccountsMessage(error.message);
+    } finally {
+      setAccountsBusy('');
+    }
+  };
+
+  const handleDiscoverAccounts = async () => {
+    setAccountsMessage('');
+    setAccountsBusy('discover');
+    try {
+      const count = await onDiscoverAccounts();
+      setAccountsMessage(`found ${count} used account${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      setAccountsMessage(error.message);
+    } finally {
+      setAccountsBusy('');
+    }
+  };
+
   const handleImport = async (e) => {
     e.preventDefault();
     setImportError('');
     setImporting(true);
     try {
-      await onImportWallet(importMnemonic);
+      await onImportWallet(importMnemonic, importPassword || undefined, importLabel.trim() || undefined, importContractAddress.trim() || undefined);
       setShowImport(false);
       setImportMnemonic('');
+      setImportPassword('');
+      setImportLabel('');
+      setImportContractAddress('');
     } catch (error) {
       setImportError(error.message);
     } finally {
@@ -352,15 +804,193 @@ function WalletDashboard({
     }
   };
 
+  const activeWallet = wallets.find(w => w.active) || null;
+
+  const handleRenameWallet = (e) => {
+    e.preventDefault();
+    setWalletsError('');
+    try {
+      onRenameWallet(activeWallet.id, walletLabel);
+    } catch (error) {
+      setWalletsError(error.message);
+    }
+  };
+
+  // Symbols and decimals of the tokens a preview can show balance changes in
+  const previewTokens = [{ tokenContractId: getXlmContractId(), symbol: 'XLM', decimals: 7 }, ...exportableTokens];
+
+  const saveFeeSettings = (settings) => {
+    try {
+      setFeeSettingsState(setFeeSettings(settings));
+      setFeeError('');
+    } catch (error) {
+      setFeeError(error.message);
+    }
+  };
+
+  const importModal = showImport && (
+    <div className="modal-overlay" onClick={() => !importing && setShowImport(false)}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>import wallet</h3>
+
+        <p>enter your 12-word recovery phrase to restore your wallet.</p>
+
+        <form onSubmit={handleImport}>
+          <div className="form-group">
+            <label htmlFor="importMnemonic">recovery phrase</label>
+            <textarea
+              id="importMnemonic"
+              value={importMnemonic}
+              onChange={(e) => setImportMnemonic(e.target.value)}
+              placeholder="word1 word2 word3 ..."
+              rows={3}
+              required
+              disabled={importing}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="importLabel">label (optional)</label>
+            <input
+              type="text"
+              id="importLabel"
+              value={importLabel}
+              onChange={(e) => setImportLabel(e.target.value)}
+              placeholder="e.g. personal"
+              disabled={importing}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="importContractAddress">contract account (only if the key was rotated)</label>
+            <input
+              type="text"
+              id="importContractAddress"
+              value={importContractAddress}
+              onChange={(e) => setImportContractAddress(e.target.value)}
+              placeholder="CXXX..."
+              autoComplete="off"
+              disabled={importing}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="importPassword">password (optional, encrypts your keys)</label>
+            <input
+              type="password"
+              id="importPassword"
+              value={importPassword}
+              onChange={(e) => setImportPassword(e.target.value)}
+              autoComplete="new-password"
+              disabled={importing}
+            />
+          </div>
+
+          {importError && (
+            <p className="error">{importError}</p>
+          )}
+
+          <p>
+            <a href="#" onClick={(e) => { e.preventDefault(); setShowImport(false); setImportError(''); setImportMnemonic(''); setImportPassword(''); setImportLabel(''); setImportContractAddress(''); }}>cancel</a>
+            {' | '}
+            <a href="#" onClick={handleImport}>
+              {importing ? 'importing...' : 'import'}
+            </a>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+
+  // Networks without an RPC URL or factory address are listed but cannot be picked
+  const networkSelect = onSwitchNetwork && (
+    <p>
+      {networks.length > 1 && (
+        <>
+          <label htmlFor="network">network</label>{' '}
+          <select
+            id="network"
+            value={config.stellar.network}
+            onChange={(e) => onSwitchNetwork(e.target.value)}
+            disabled={loading}
+          >
+            {networks.map(network => (
+              <option key={network.id} value={network.id} disabled={!network.available}>
+                {network.label}{network.available ? '' : ' (not configured)'}
+              </option>
+            ))}
+          </select>{' '}
+        </>
+      )}
+      {onSaveNetwork && (
+        <a href="#" onClick={(e) => { e.preventDefault(); setShowNetworks(true); }}>custom networks</a>
+      )}
+    </p>
+  );
+
+  const customNetworks = networks.filter(network => network.custom);
+
+  const networksModal = showNetworks && (
+    <div className="modal-overlay" onClick={() => !networksBusy && closeNetworks()}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>custom networks</h3>
+
+        {customNetworks.length === 0 && <p>no custom networks yet.</p>}
+        {customNetworks.map(network => (
+          <p key={network.id}>
+            {network.label}
+            {network.active ? ' (active)' : (
+              <>
+                {' '}
+                <a href="#" onClick={(e) => { e.preventDefault(); handleRemoveNetwork(network.id); }}>remove</a>
+              </>
+            )}
+          </p>
+        ))}
+
+        <hr />
+
+        <p>the rpc must serve the passphrase and the factory must derive account addresses like this wallet. wasm hashes left empty are read from the factory.</p>
+
+        <form onSubmit={handleSaveNetwork}>
+          {NETWORK_PROFILE_FIELDS.map(([key, label, placeholder]) => (
+            <div className="form-group" key={key}>
+              <label htmlFor={`network-${key}`}>{label}</label>
+              <input
+                type="text"
+                id={`network-${key}`}
+                value={networkProfile[key]}
+                onChange={(e) => setNetworkProfile({ ...networkProfile, [key]: e.target.value })}
+                placeholder={placeholder}
+                disabled={Boolean(networksBusy)}
+              />
+            </div>
+          ))}
+
+          {networksError && <p className="error">{networksError}</p>}
+
+          <p>
+            <a href="#" onClick={handleSaveNetwork}>
+              {networksBusy ? 'checking...' : 'check and save'}
+            </a>
+            {' | '}
+            <a href="#" onClick={(e) => { e.preventDefault(); closeNetworks(); }}>close</a>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+
   // Show generate wallet link if no wallet exists
   if (!walletAddress) {
     return (
       <div className="wallet-dashboard">
         <h1>LUMENITOS</h1>
         <p className={`network-label ${config.isTestnet ? 'testnet' : 'mainnet'}`}>
-          {config.isTestnet ? config.stellar.network : 'MAINNET - FUNDS AT RISK'}
+          {config.isTestnet ? config.stellar.networkLabel : 'MAINNET - FUNDS AT RISK'}
         </p>
         <p className="disclaimer">THIS IS AN EXPERIMENTAL STELLAR SMART WALLET. DON'T BE STUPID.</p>
+        {networkSelect}
 
         <hr />
 
@@ -374,42 +1004,8 @@ function WalletDashboard({
           </a>
         </p>
 
-        {showImport && (
-          <div className="modal-overlay" onClick={() => !importing && setShowImport(false)}>
-            <div className="modal" onClick={(e) => e.stopPropagation()}>
-              <h3>import wallet</h3>
-
-              <p>enter your 12-word recovery phrase to restore your wallet.</p>
-
-              <form onSubmit={handleImport}>
-                <div className="form-group">
-                  <label htmlFor="importMnemonic">recovery phrase</label>
-                  <textarea
-                    id="importMnemonic"
-                    value={importMnemonic}
-                    onChange={(e) => setImportMnemonic(e.target.value)}
-                    placeholder="word1 word2 word3 ..."
-                    rows={3}
-                    required
-                    disabled={importing}
-                  />
-                </div>
-
-                {importError && (
-                  <p className="error">{importError}</p>
-                )}
-
-                <p>
-                  <a href="#" onClick={(e) => { e.preventDefault(); setShowImport(false); setImportError(''); setImportMnemonic(''); }}>cancel</a>
-                  {' | '}
-                  <a href="#" onClick={handleImport}>
-                    {importing ? 'importing...' : 'import'}
-                  </a>
-                </p>
-              </form>
-            </div>
-          </div>
-        )}
+        {importModal}
+        {networksModal}
       </div>
     );
   }
@@ -418,9 +1014,23 @@ function WalletDashboard({
     <div className="wallet-dashboard">
       <h1>LUMENITOS</h1>
       <p className={`network-label ${config.isTestnet ? 'testnet' : 'mainnet'}`}>
-        {config.isTestnet ? config.stellar.network : 'MAINNET - FUNDS AT RISK'}
+        {config.isTestnet ? config.stellar.networkLabel : 'MAINNET - FUNDS AT RISK'}
       </p>
       <p className="disclaimer">THIS IS AN EXPERIMENTAL STELLAR SMART WALLET. DON'T BE STUPID.</p>
+      {networkSelect}
+
+      {incomingTransfers.length > 0 && (
+        <div className="toasts">
+          {incomingTransfers.map(transfer => (
+            <p key={transfer.id} className="toast">
+              received {formatTransferAmount(transfer)} from {shortenAddress(transfer.from)}{' '}
+              ({transfer.to === publicKey ? 'classic' : 'contract'} account){' '}
+              {txLink(transfer.txHash, 'tx')}{' '}
+              <a href="#" onClick={(e) => { e.preventDefault(); onDismissIncoming(transfer.id); }}>dismiss</a>
+            </p>
+          ))}
+        </div>
+      )}
 
       {config.isTestnet && parseFloat(balance) === 0 && parseFloat(classicBalance) === 0 && (
         <p>
@@ -432,6 +1042,20 @@ function WalletDashboard({
 
       <hr />
 
+      {activeWallet && (
+        <p>
+          {activeWallet.label}{' '}
+          (<a href="#" onClick={(e) => { e.preventDefault(); setWalletLabel(activeWallet.label); setShowWallets(true); }}>wallets</a>)
+        </p>
+      )}
+
+      {accounts.length > 0 && (
+        <p>
+          account #{activeAccountIndex}{' '}
+          (<a href="#" onClick={(e) => { e.preventDefault(); setShowAccounts(true); }}>accounts</a>)
+        </p>
+      )}
+
       <p>
       {shortenAddress(publicKey)}{' '}
         (<a href="#" onClick={(e) => { e.preventDefault(); copyToClipboard(publicKey, 'classic'); }}>
@@ -443,10 +1067,16 @@ function WalletDashboard({
         {classicBalance} XLM
       </p>
 
+      {classicTokenBalances.filter(t => t.raw > 0n).map(t => (
+        <p key={t.tokenContractId}>{t.display} {t.symbol}</p>
+      ))}
+
       <p>
         <a href="#" onClick={(e) => { e.preventDefault(); setShowClassicQR(true); }}>receive</a>
         {' | '}
-        <a href="#" onClick={(e) => { e.preventDefault(); setShowClassicSend(true); }}>send</a>
+        <a href="#" onClick={withUnlock(() => setShowClassicSend(true))}>send</a>
+        {' | '}
+        <a href="#" onClick={(e) => { e.preventDefault(); setHistoryAddress(publicKey); }}>history</a>
         {' | '}
         <Link href={`/scan/account/${publicKey}`}>scan</Link>
       </p>
@@ -464,14 +1094,52 @@ function WalletDashboard({
         {balance} XLM
       </p>
 
+      {tokenBalances.filter(t => t.raw > 0n).map(t => (
+        <p key={t.tokenContractId}>{t.display} {t.symbol}</p>
+      ))}
+
       <p>
         <a href="#" onClick={(e) => { e.preventDefault(); setShowQR(true); }}>receive</a>
         {' | '}
-        <a href="#" onClick={(e) => { e.preventDefault(); setShowSend(true); }}>send</a>
+        <a href="#" onClick={withUnlock(() => setShowSend(true))}>send</a>
+        {' | '}
+        <a href="#" onClick={withUnlock(() => setShowBatch(true))}>batch</a>
+        {' | '}
+        <a href="#" onClick={(e) => { e.preventDefault(); setHistoryAddress(walletAddress); }}>history</a>
         {' | '}
         <Link href={`/scan/account/${walletAddress}`}>scan</Link>
         {' | '}
         <a href="#" onClick={handleShowTTLs}>ttls</a>
+        {accountSigners?.multisig && (
+          <>
+            {' | '}
+            <a href="#" onClick={(e) => { e.preventDefault(); setShowSigners(true); }}>
+              signers ({accountSigners.threshold}-of-{signerCount})
+            </a>
+          </>
+        )}
+        {spendingPolicy && (
+          <>
+            {' | '}
+            <a href="#" onClick={(e) => { e.preventDefault(); setShowLimits(true); }}>limits</a>
+          </>
+        )}
+        {sessionKeys && (
+          <>
+            {' | '}
+            <a href="#" onClick={(e) => { e.preventDefault(); setShowSessions(true); }}>
+              session keys ({sessionKeys.filter(k => !k.expired).length})
+            </a>
+          </>
+        )}
+        {recoveryState && (
+          <>
+            {' | '}
+            <a href="#" onClick={(e) => { e.preventDefault(); setShowRecovery(true); }}>
+              {recoveryState.recovery ? 'recovery (pending)' : 'recovery'}
+            </a>
+          </>
+        )}
       </p>
 
       <hr />
@@ -489,19 +1157,113 @@ function WalletDashboard({
         </p>
       )}
 
+      <p>
+        <label htmlFor="feePreset">fee</label>{' '}
+        <select
+          id="feePreset"
+          value={feeSettings.preset}
+          onChange={(e) => saveFeeSettings({ ...feeSettings, preset: e.target.value })}
+          disabled={Boolean(feeSettings.inclusionFee)}
+        >
+          {Object.keys(FEE_PRESETS).map(preset => (
+            <option key={preset} value={preset}>
+              {preset}{feeEstimates ? ` (${feeEstimates[preset]} stroops)` : ''}
+            </option>
+          ))}
+        </select>{' '}
+        <input
+          type="text"
+          inputMode="numeric"
+          aria-label="custom fee (stroops)"
+          placeholder="custom (stroops)"
+          value={customFee}
+          onChange={(e) => setCustomFee(e.target.value)}
+          onBlur={() => saveFeeSettings({ ...feeSettings, inclusionFee: customFee })}
+          size={16}
+        />{' '}
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(feeSettings.autoBump)}
+            onChange={(e) => saveFeeSettings({ ...feeSettings, autoBump: e.target.checked })}
+          />
+          {' '}fee-bump stalled transactions
+        </label>
+      </p>
+      {feeError && <p className="error">{feeError}</p>}
+
+      {pendingTransactions.map(pending => (
+        <p key={pending.hash}>
+          pending: {pending.description} ({pending.stage}){' '}
+          {txLink(pending.hash, pending.hash.slice(0, 8))}
+        </p>
+      ))}
+
+      {queuedSends.map(queued => (
+        <p key={queued.id}>
+          {queued.description} ({queued.stage}){' '}
+          <a href="#" onClick={(e) => { e.preventDefault(); onDiscardQueued(queued.id); }}>discard</a>
+        </p>
+      ))}
+
+      {reconciledTransactions.length > 0 && (
+        <div>
+          {reconciledTransactions.map(settled => (
+            <p key={settled.hash || settled.id} className={settled.status === 'confirmed' ? undefined : 'error'}>
+              {settled.description} {settled.hash?.slice(0, 8)} {settled.status} while you were away
+              {settled.error && `: ${settled.error}`}
+            </p>
+          ))}
+          <p>
+            <a href="#" onClick={(e) => { e.preventDefault(); onDismissReconciled(); }}>dismiss</a>
+          </p>
+        </div>
+      )}
+
+      {!keystoreEncrypted && (
+        <p className="warning">
+          keys are stored unencrypted on this device.{' '}
+          <a href="#" onClick={(e) => { e.preventDefault(); setShowSetPassword(true); }}>set password</a>
+        </p>
+      )}
+
+      {offline && (
+        <p className="warning">
+          offline: showing the last known balances. sends are queued, then signed and submitted when the connection returns
+        </p>
+      )}
+
       {lastUpdated && (
         <p>
           updated: {new Date(lastUpdated).toLocaleString()}
         </p>
       )}
 
+      {rpcUrl && <p>rpc: {new URL(rpcUrl).host}</p>}
+
       <p>
         <a href="#" onClick={handleRefresh}>
           {refreshing ? 'refreshing' : refreshed ? 'refreshed!' : 'refresh'}
         </a>
         {' | '}
-        <a href="#" onClick={(e) => { e.preventDefault(); setShowExport(true); }}>export</a>
+        <a href="#" onClick={withUnlock(() => setShowExport(true))}>export</a>
+        {' | '}
+        <a href="#" onClick={(e) => { e.preventDefault(); setShowHistoryExport(true); }}>export history</a>
         {' | '}
+        {notificationPermission === 'default' && (
+          <>
+            <a href="#" onClick={(e) => { e.preventDefault(); onEnableNotifications(); }}>notifications</a>
+            {' | '}
+          </>
+        )}
+        {keystoreEncrypted && (
+          <>
+            <a href="#" onClick={(e) => { e.preventDefault(); locked ? setShowUnlock(true) : onLock(); }}>
+              {locked ? 'unlock' : 'lock'}
+            </a>
+            {' | '}
+          </>
+        )}
         <a href="#" onClick={(e) => { e.preventDefault(); setShowDelete(true); }}>forget</a>
       </p>
 
@@ -512,125 +1274,202 @@ function WalletDashboard({
       </div>
 
       {showClassicSend && (
-        <div className="modal-overlay" onClick={() => !classicSending && setShowClassicSend(false)}>
+        <div className="modal-overlay" onClick={() => !classicSending && closeClassicSend()}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
-            <h3>send xlm (classic account)</h3>
+            <h3>send {classicSendToken ? classicSendToken.symbol.toLowerCase() : 'xlm'} (classic account)</h3>
 
-            <form onSubmit={handleClassicSend}>
-              <div className="form-group">
-                <label htmlFor="classicDestination">
-                  destination address (<a href="#" onClick={(e) => { e.preventDefault(); setShowClassicScanner(true); }}>qr</a>)
-                </label>
-                <input
-                  type="text"
-                  id="classicDestination"
-                  value={classicDestination}
-                  onChange={(e) => setClassicDestination(e.target.value)}
-                  placeholder="GXXX... or CXXX..."
-                  required
-                  disabled={classicSending}
-                />
-              </div>
+            {classicSendPreview ? (
+              <>
+                <TransactionPreview preview={classicSendPreview} gasless={gaslessEnabled && useGasless} tokens={previewTokens} />
+                <p>
+                  <a href="#" onClick={(e) => { e.preventDefault(); setClassicSendPreview(null); }}>back</a>
+                  {' | '}
+                  <a href="#" onClick={handleClassicSend}>
+                    {classicSending ? 'sending...' : 'confirm'}
+                  </a>
+                </p>
+              </>
+            ) : (
+              <form onSubmit={handleClassicSend}>
+                <div className="form-group">
+                  <label htmlFor="classicDestination">
+                    destination address (<a href="#" onClick={(e) => { e.preventDefault(); setShowClassicScanner(true); }}>qr</a>)
+                  </label>
+                  <input
+                    type="text"
+                    id="classicDestination"
+                    value={classicDestination}
+                    onChange={(e) => setClassicDestination(e.target.value)}
+                    placeholder="GXXX... or CXXX..."
+                    required
+                    disabled={classicSending}
+                  />
+                </div>
 
-              <div className="form-group">
-                <label htmlFor="classicDestMuxedId">muxed id (optional)</label>
-                <input
-                  type="text"
-                  id="classicDestMuxedId"
-                  value={classicDestMuxedId}
-                  onChange={(e) => setClassicDestMuxedId(e.target.value)}
-                  placeholder="e.g. 12345"
-                  disabled={classicSending || !classicDestination.startsWith('G')}
-                />
-              </div>
+                <div className="form-group">
+                  <label htmlFor="classicDestMuxedId">muxed id (optional)</label>
+                  <input
+                    type="text"
+                    id="classicDestMuxedId"
+                    value={classicDestMuxedId}
+                    onChange={(e) => setClassicDestMuxedId(e.target.value)}
+                    placeholder="e.g. 12345"
+                    disabled={classicSending || !classicDestination.startsWith('G')}
+                  />
+                </div>
 
-              <div className="form-group">
-                <label htmlFor="classicAmount">amount (xlm)</label>
-                <input
-                  type="number"
-                  id="classicAmount"
-                  value={classicAmount}
-                  onChange={(e) => setClassicAmount(e.target.value)}
-                  placeholder="0.00"
-                  step="0.0000001"
-                  min="0.0000001"
-                  max={classicBalance}
-                  required
-                  disabled={classicSending}
-                />
-                <small>available: {classicBalance} xlm</small>
-              </div>
+                {classicTokenBalances.length > 0 && (
+                  <div className="form-group">
+                    <label htmlFor="classicSendToken">token</label>
+                    <select
+                      id="classicSendToken"
+                      value={classicSendTokenId}
+                      onChange={(e) => { setClassicSendTokenId(e.target.value); setClassicAmount(''); }}
+                      disabled={classicSending}
+                    >
+                      <option value="">XLM</option>
+                      {classicTokenBalances.map(t => (
+                        <option key={t.tokenContractId} value={t.tokenContractId}>{t.symbol}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
-              <p>
-                <a href="#" onClick={(e) => { e.preventDefault(); setShowClassicSend(false); }}>cancel</a>
-                {' | '}
-                <a href="#" onClick={(e) => { e.preventDefault(); handleClassicSend(e); }}>
-                  {classicSending ? 'sending...' : 'send'}
-                </a>
-              </p>
-            </form>
+                <div className="form-group">
+                  <label htmlFor="classicAmount">amount ({classicSendToken ? classicSendToken.symbol.toLowerCase() : 'xlm'})</label>
+                  <input
+                    type="number"
+                    id="classicAmount"
+                    value={classicAmount}
+                    onChange={(e) => setClassicAmount(e.target.value)}
+                    placeholder="0.00"
+                    step={amountStep(classicSendToken ? classicSendToken.decimals : 7)}
+                    min={amountStep(classicSendToken ? classicSendToken.decimals : 7)}
+                    max={classicSendToken ? classicSendToken.display : classicBalance}
+                    required
+                    disabled={classicSending}
+                  />
+                  <small>available: {classicSendToken ? `${classicSendToken.display} ${classicSendToken.symbol.toLowerCase()}` : `${classicBalance} xlm`}</small>
+                </div>
+
+                {previewError && (
+                  <p className="error">{previewError}</p>
+                )}
+
+                <p>
+                  <a href="#" onClick={(e) => { e.preventDefault(); closeClassicSend(); }}>cancel</a>
+                  {' | '}
+                  <a href="#" onClick={(e) => { e.preventDefault(); handleClassicSend(e); }}>
+                    {classicSending ? (onPreviewClassicSend && !offline ? 'simulating...' : 'sending...') : (onPreviewClassicSend && !offline ? 'review' : 'send')}
+                  </a>
+                </p>
+              </form>
+            )}
           </div>
         </div>
       )}
 
       {showSend && (
-        <div className="modal-overlay" onClick={() => !sending && setShowSend(false)}>
+        <div className="modal-overlay" onClick={() => !sending && closeSend()}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
-            <h3>send xlm (contract account)</h3>
+            <h3>send {sendToken ? sendToken.symbol.toLowerCase() : 'xlm'} (contract account)</h3>
 
-            <form onSubmit={handleSend}>
-              <div className="form-group">
-                <label htmlFor="destination">
-                  destination address (<a href="#" onClick={(e) => { e.preventDefault(); setShowScanner(true); }}>qr</a>)
-                </label>
-                <input
-                  type="text"
-                  id="destination"
-                  value={destination}
-                  onChange={(e) => setDestination(e.target.value)}
-                  placeholder="GXXX..."
-                  required
-                  disabled={sending}
-                />
-              </div>
+            {sendPreview ? (
+              <>
+                <TransactionPreview preview={sendPreview} gasless={gaslessEnabled && useGasless} tokens={previewTokens} />
+                <p>
+                  <a href="#" onClick={(e) => { e.preventDefault(); setSendPreview(null); }}>back</a>
+                  {' | '}
+                  <a href="#" onClick={handleSend}>
+                    {sending ? 'sending...' : 'confirm'}
+                  </a>
+                </p>
+              </>
+            ) : (
+              <form onSubmit={handleSend}>
+                <div className="form-group">
+                  <label htmlFor="destination">
+                    destination address (<a href="#" onClick={(e) => { e.preventDefault(); setShowScanner(true); }}>qr</a>)
+                  </label>
+                  <input
+                    type="text"
+                    id="destination"
+                    value={destination}
+                    onChange={(e) => setDestination(e.target.value)}
+                    placeholder="GXXX..."
+                    required
+                    disabled={sending}
+                  />
+                </div>
 
-              <div className="form-group">
-                <label htmlFor="destMuxedId">muxed id (optional)</label>
-                <input
-                  type="text"
-                  id="destMuxedId"
-                  value={destMuxedId}
-                  onChange={(e) => setDestMuxedId(e.target.value)}
-                  placeholder="e.g. 12345"
-                  disabled={sending || !destination.startsWith('G')}
-                />
-              </div>
+                <div className="form-group">
+                  <label htmlFor="destMuxedId">muxed id (optional)</label>
+                  <input
+                    type="text"
+                    id="destMuxedId"
+                    value={destMuxedId}
+                    onChange={(e) => setDestMuxedId(e.target.value)}
+                    placeholder="e.g. 12345"
+                    disabled={sending || !destination.startsWith('G')}
+                  />
+                </div>
 
-              <div className="form-group">
-                <label htmlFor="amount">amount (xlm)</label>
-                <input
-                  type="number"
-                  id="amount"
-                  value={amount}
-                  onChange={(e) => setAmount(e.target.value)}
-                  placeholder="0.00"
-                  step="0.0000001"
-                  min="0.0000001"
-                  max={balance}
-                  required
-                  disabled={sending}
-                />
-                <small>available: {balance} xlm</small>
-              </div>
+                {tokenBalances.length > 0 && (
+                  <div className="form-group">
+                    <label htmlFor="sendToken">token</label>
+                    <select
+                      id="sendToken"
+                      value={sendTokenId}
+                      onChange={(e) => { setSendTokenId(e.target.value); setAmount(''); }}
+                      disabled={sending}
+                    >
+                      <option value="">XLM</option>
+                      {tokenBalances.map(t => (
+                        <option key={t.tokenContractId} value={t.tokenContractId}>{t.symbol}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
-              <p>
-                <a href="#" onClick={(e) => { e.preventDefault(); setShowSend(false); }}>cancel</a>
-                {' | '}
-                <a href="#" onClick={(e) => { e.preventDefault(); handleSend(e); }}>
-                  {sending ? 'sending...' : 'send'}
-                </a>
-              </p>
-            </form>
+                <div className="form-group">
+                  <label htmlFor="amount">amount ({sendToken ? sendToken.symbol.toLowerCase() : 'xlm'})</label>
+                  <input
+                    type="number"
+                    id="amount"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    placeholder="0.00"
+                    step={amountStep(sendToken ? sendToken.decimals : 7)}
+                    min={amountStep(sendToken ? sendToken.decimals : 7)}
+                    max={sendToken ? sendToken.display : balance}
+                    required
+                    disabled={sending}
+                  />
+                  <small>available: {sendToken ? `${sendToken.display} ${sendToken.symbol.toLowerCase()}` : `${balance} xlm`}</small>
+                </div>
+
+                {needsCosigners && (
+                  <CosignerField
+                    value={cosignerSecrets}
+                    onChange={setCosignerSecrets}
+                    threshold={accountSigners.threshold}
+                    disabled={sending}
+                  />
+                )}
+
+                {previewError && (
+                  <p className="error">{previewError}</p>
+                )}
+
+                <p>
+                  <a href="#" onClick={(e) => { e.preventDefault(); closeSend(); }}>cancel</a>
+                  {' | '}
+                  <a href="#" onClick={(e) => { e.preventDefault(); handleSend(e); }}>
+                    {sending ? (onPreviewSend && !offline ? 'simulating...' : 'sending...') : (onPreviewSend && !offline ? 'review' : 'send')}
+                  </a>
+                </p>
+              </form>
+            )}
           </div>
         </div>
       )}
@@ -720,6 +1559,271 @@ function WalletDashboard({
         </div>
       )}
 
+      {historyAddress && (
+        <div className="modal-overlay" onClick={() => setHistoryAddress(null)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>history ({historyAddress === publicKey ? 'classic account' : 'contract account'})</h3>
+
+            {history.transfers === null ? (
+              history.error ? <p>error: {history.error}</p> : <p>loading...</p>
+            ) : history.transfers.length === 0 ? (
+              <p>no transfers</p>
+            ) : (
+              history.transfers.map(transfer => (
+                <p key={transfer.id || transfer.txHash}>
+                  {transfer.direction} {formatTransferAmount(transfer)} {transfer.direction === 'sent' ? 'to' : 'from'} {shortenAddress(transfer.counterparty)}
+                  <br />
+                  ledger {transfer.ledger}
+                  {transfer.timestamp && ` | ${new Date(transfer.timestamp).toLocaleString()}`}
+                  {' | '}
+                  {txLink(transfer.txHash, 'tx')}
+                </p>
+              ))
+            )}
+
+            {history.transfers !== null && history.error && <p>error: {history.error}</p>}
+            {history.cachedAt && <p>saved {new Date(history.cachedAt).toLocaleString()}</p>}
+            <LoadMore onLoadMore={history.loadMore} hasMore={history.hasMore} loading={history.loading} />
+
+            <p>
+              <a href="#" onClick={(e) => { e.preventDefault(); setHistoryAddress(null); }}>close</a>
+            </p>
+          </div>
+        </div>
+      )}
+
+      {showHistoryExport && (
+        <div className="modal-overlay" onClick={() => setShowHistoryExport(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>export history</h3>
+            <p>all transfers of the classic and contract accounts within the rpc retention window</p>
+
+            <div className="form-group">
+              <label htmlFor="historyExportToken">token</label>
+              <select
+                id="historyExportToken"
+                value={historyExportToken}
+                onChange={(e) => setHistoryExportToken(e.target.value)}
+                disabled={exportingHistory}
+              >
+                <option value="">XLM</option>
+                {exportableTokens.map(t => (
+                  <option key={t.tokenContractId} value={t.tokenContractId}>{t.symbol}</option>
+                ))}
+                {exportableTokens.length > 0 && <option value="all">all tokens</option>}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="historyExportFormat">format</label>
+              <select
+                id="historyExportFormat"
+                value={historyExportFormat}
+                onChange={(e) => setHistoryExportFormat(e.target.value)}
+                disabled={exportingHistory}
+              >
+                <option value="csv">csv</option>
+                <option value="json">json</option>
+              </select>
+            </div>
+
+            {historyExportMessage && <p>{historyExportMessage}</p>}
+
+            <p>
+              <a href="#" onClick={(e) => { e.preventDefault(); setShowHistoryExport(false); setHistoryExportMessage(''); }}>close</a>
+              {' | '}
+              <a href="#" onClick={handleExportHistory}>
+                {exportingHistory ? 'exporting...' : 'download'}
+              </a>
+            </p>
+          </div>
+        </div>
+      )}
+
+      {showSigners && accountSigners && (
+        <SignersPanel
+          publicKey={publicKey}
+          accountSigners={accountSigners}
+          needsCosigners={needsCosigners}
+          canRotateKey={canRotateKey}
+          withUnlock={withUnlock}
+          onAddSigner={onAddSigner}
+          onRemoveSigner={onRemoveSigner}
+          onSetThreshold={onSetThreshold}
+          onAddPasskey={onAddPasskey}
+          onRemovePasskey={onRemovePasskey}
+          onRotateKey={openRotate}
+          onClose={() => setShowSigners(false)}
+        />
+      )}
+
+      {showRotate && (
+        <div className="modal-overlay" onClick={() => !rotateAction.busy && closeRotate()}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>rotate key</h3>
+
+            <p>replaces the key of this wallet with a new key and recovery phrase. the contract account keeps its address.</p>
+            <p className="warning">
+              the classic account is merged into the account of the new key, so its xlm moves too; remove its trustlines first.
+              accounts derived from the old phrase are forgotten and the old phrase no longer controls the contract account.
+            </p>
+
+            {keystoreEncrypted && (
+              <div className="form-group">
+                <label htmlFor="rotatePassword">password</label>
+                <input
+                  type="password"
+                  id="rotatePassword"
+                  value={rotatePassword}
+                  onChange={(e) => setRotatePassword(e.target.value)}
+                  autoComplete="current-password"
+                  disabled={Boolean(rotateAction.busy)}
+                />
+              </div>
+            )}
+
+            {needsCosigners && (
+              <CosignerField
+                value={rotateAction.cosignerSecrets}
+                onChange={rotateAction.setCosignerSecrets}
+                threshold={accountSigners.threshold}
+                disabled={Boolean(rotateAction.busy)}
+              />
+            )}
+
+            {rotateAction.error && (
+              <p className="error">{rotateAction.error}</p>
+            )}
+
+            <p>
+              <a href="#" onClick={withUnlock(handleRotateKey)}>
+                {rotateAction.busy ? 'rotating...' : 'rotate'}
+              </a>
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); closeRotate(); }}>cancel</a>
+            </p>
+          </div>
+        </div>
+      )}
+
+      {showBatch && (
+        <div className="modal-overlay" onClick={() => !batchAction.busy && closeBatch()}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>batch payments</h3>
+
+            <p>one payment per line: destination,token,amount. the token is XLM, the symbol of a held token or a token contract ID.</p>
+
+            <div className="form-group">
+              <label htmlFor="batchCsv">payments</label>
+              <textarea
+                id="batchCsv"
+                value={batchCsv}
+                onChange={(e) => { setBatchCsv(e.target.value); setBatchResults(null); }}
+                placeholder="GXXX...,XLM,10"
+                rows={6}
+                autoComplete="off"
+                disabled={Boolean(batchAction.busy)}
+              />
+              <input type="file" accept=".csv,text/csv" onChange={handleBatchFile} disabled={Boolean(batchAction.busy)} />
+            </div>
+
+            {batchResults ? (
+              <>
+                <p>
+                  {batchResults.filter(r => r.status === 'sent').length} sent,{' '}
+                  {batchResults.filter(r => r.status === 'pending').length} pending,{' '}
+                  {batchResults.filter(r => r.status === 'failed').length} failed
+                </p>
+                {batchResults.map(result => (
+                  <p key={result.line} className={result.status === 'failed' ? 'error' : undefined}>
+                    line {result.line}: {result.amount} {result.symbol} to {shortenAddress(result.destination)}{' '}
+                    {result.status === 'sent' && txLink(result.hash, 'sent')}
+                    {result.status === 'pending' && <>{txLink(result.hash, 'pending')} (not confirmed yet: {result.error})</>}
+                    {result.status === 'failed' && `failed: ${result.error}`}
+                  </p>
+                ))}
+              </>
+            ) : batchRows.length > 0 && (
+              <>
+                <p>{validBatchRows.length} payment(s) ready</p>
+                {batchRows.filter(row => row.error).map(row => (
+                  <p key={row.line} className="error">line {row.line}: {row.error}</p>
+                ))}
+              </>
+            )}
+
+            {needsCosigners && (
+              <CosignerField
+                value={batchAction.cosignerSecrets}
+                onChange={batchAction.setCosignerSecrets}
+                threshold={accountSigners.threshold}
+                disabled={Boolean(batchAction.busy)}
+              />
+            )}
+
+            {batchAction.error && (
+              <p className="error">{batchAction.error}</p>
+            )}
+
+            <p>
+              {!batchResults && validBatchRows.length > 0 && (
+                <>
+                  <a href="#" onClick={withUnlock(handleSendBatch)}>
+                    {batchAction.busy ? 'sending...' : `send ${validBatchRows.length} payment(s)`}
+                  </a>
+                  {' | '}
+                </>
+              )}
+              <a href="#" onClick={(e) => { e.preventDefault(); closeBatch(); }}>close</a>
+            </p>
+          </div>
+        </div>
+      )}
+
+      {showLimits && spendingPolicy && (
+        <SpendingLimitsPanel
+          spendingPolicy={spendingPolicy}
+          tokenBalances={tokenBalances}
+          tokens={policyTokens}
+          threshold={accountSigners?.threshold}
+          needsCosigners={needsCosigners}
+          withUnlock={withUnlock}
+          onSetSpendingLimit={onSetSpendingLimit}
+          onSetAllowList={onSetAllowList}
+          onClose={() => setShowLimits(false)}
+        />
+      )}
+
+      {showSessions && sessionKeys && (
+        <SessionKeysPanel
+          sessionKeys={sessionKeys}
+          tokenBalances={tokenBalances}
+          tokens={policyTokens}
+          threshold={accountSigners?.threshold}
+          needsCosigners={needsCosigners}
+          withUnlock={withUnlock}
+          onAddSessionKey={onAddSessionKey}
+          onRemoveSessionKey={onRemoveSessionKey}
+          onClose={() => setShowSessions(false)}
+        />
+      )}
+
+      {showRecovery && recoveryState && (
+        <RecoveryPanel
+          recoveryState={recoveryState}
+          threshold={accountSigners?.threshold}
+          needsCosigners={needsCosigners}
+          withUnlock={withUnlock}
+          onSetGuardians={onSetGuardians}
+          onCancelRecovery={onCancelRecovery}
+          onStartRecovery={onStartRecovery}
+          onApproveRecovery={onApproveRecovery}
+          onRejectRecovery={onRejectRecovery}
+          onCompleteRecovery={onCompleteRecovery}
+          onClose={() => setShowRecovery(false)}
+        />
+      )}
+
       {showTTLs && (
         <div className="modal-overlay" onClick={() => setShowTTLs(false)}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
@@ -794,6 +1898,9 @@ function WalletDashboard({
                       </div>
                     ))}
                   </div>
+                  {walletAddress && (
+                    <p>contract account: {walletAddress} (after a key rotation, restoring this phrase needs it too)</p>
+                  )}
                   <p>
                     <a href="#" onClick={(e) => { e.preventDefault(); copyToClipboard(mnemonic, 'mnemonic'); }}>
                       {copied === 'mnemonic' ? 'copied!' : 'copy (unsafe!)'}
@@ -813,6 +1920,192 @@ function WalletDashboard({
           </div>
         </div>
       )}
+
+      {showAccounts && (
+        <div className="modal-overlay" onClick={() => !accountsBusy && setShowAccounts(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>accounts</h3>
+
+            <p>accounts derived from your recovery phrase. each has its own classic and contract account.</p>
+
+            {accounts.map(account => (
+              <p key={account.index}>
+                #{account.index} {shortenAddress(account.publicKey)}{' '}
+                {account.index === activeAccountIndex ? (
+                  '(active)'
+                ) : (
+                  <>(<a href="#" onClick={(e) => { e.preventDefault(); onSwitchAccount(account.index); }}>switch</a>)</>
+                )}
+              </p>
+            ))}
+
+            {accountsMessage && (
+              <p>{accountsMessage}</p>
+            )}
+
+            <p>
+              <a href="#" onClick={withUnlock(handleAddAccount)}>
+                {accountsBusy === 'add' ? 'adding...' : 'add account'}
+              </a>
+              {' | '}
+              <a href="#" onClick={withUnlock(handleDiscoverAccounts)}>
+                {accountsBusy === 'discover' ? 'discovering...' : 'discover'}
+              </a>
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); setShowAccounts(false); setAccountsMessage(''); }}>close</a>
+            </p>
+          </div>
+        </div>
+      )}
+
+      {showWallets && (
+        <div className="modal-overlay" onClick={() => setShowWallets(false)}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>wallets</h3>
+
+            {wallets.map(wallet => (
+              <p key={wallet.id}>
+                {wallet.label} {shortenAddress(wallet.publicKey)}{' '}
+                {wallet.active ? (
+                  '(active)'
+                ) : confirmRemoveWalletId === wallet.id ? (
+                  <>
+                    remove and delete its keys? (
+                    <a href="#" onClick={(e) => { e.preventDefault(); setConfirmRemoveWalletId(null); }}>cancel</a>
+                    {' | '}
+                    <a href="#" onClick={(e) => { e.preventDefault(); setConfirmRemoveWalletId(null); onRemoveWallet(wallet.id); }}>remove</a>)
+                  </>
+                ) : (
+                  <>
+                    (<a href="#" onClick={(e) => { e.preventDefault(); onSwitchWallet(wallet.id); }}>switch</a>
+                    {' | '}
+                    <a href="#" onClick={(e) => { e.preventDefault(); setConfirmRemoveWalletId(wallet.id); }}>remove</a>)
+                  </>
+                )}
+              </p>
+            ))}
+
+            {activeWallet && (
+              <form onSubmit={handleRenameWallet}>
+                <div className="form-group">
+                  <label htmlFor="walletLabel">label</label>
+                  <input
+                    type="text"
+                    id="walletLabel"
+                    value={walletLabel}
+                    onChange={(e) => setWalletLabel(e.target.value)}
+                    required
+                  />
+                </div>
+              </form>
+            )}
+
+            {walletsError && (
+              <p className="error">{walletsError}</p>
+            )}
+
+            <p>
+              <a href="#" onClick={handleRenameWallet}>rename</a>
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); setShowWallets(false); onCreateWallet(); }}>new wallet</a>
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); setShowWallets(false); setShowImport(true); }}>import</a>
+              {' | '}
+              <a href="#" onClick={(e) => { e.preventDefault(); setShowWallets(false); }}>close</a>
+            </p>
+          </div>
+        </div>
+      )}
+
+      {importModal}
+
+      {networksModal}
+
+      {showUnlock && (
+        <div className="modal-overlay" onClick={() => !unlocking && closeUnlock()}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>unlock wallet</h3>
+
+            <form onSubmit={handleUnlock}>
+              <div className="form-group">
+                <label htmlFor="unlockPassword">password</label>
+                <input
+                  type="password"
+                  id="unlockPassword"
+                  value={unlockPassword}
+                  onChange={(e) => setUnlockPassword(e.target.value)}
+                  autoComplete="current-password"
+                  autoFocus
+                  required
+                  disabled={unlocking}
+                />
+              </div>
+
+              {unlockError && (
+                <p className="error">{unlockError}</p>
+              )}
+
+              <p>
+                <a href="#" onClick={(e) => { e.preventDefault(); closeUnlock(); }}>cancel</a>
+                {' | '}
+                <a href="#" onClick={handleUnlock}>
+                  {unlocking ? 'unlocking...' : 'unlock'}
+                </a>
+              </p>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {showSetPassword && (
+        <div className="modal-overlay" onClick={() => !settingPassword && closeSetPassword()}>
+          <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <h3>set password</h3>
+
+            <p>your keys will be encrypted on this device. you will need this password to send or export. it cannot be recovered, but your recovery phrase still restores the wallet.</p>
+
+            <form onSubmit={handleSetPassword}>
+              <div className="form-group">
+                <label htmlFor="newPassword">password</label>
+                <input
+                  type="password"
+                  id="newPassword"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                  disabled={settingPassword}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">confirm password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                  disabled={settingPassword}
+                />
+              </div>
+
+              {passwordError && (
+                <p className="error">{passwordError}</p>
+              )}
+
+              <p>
+                <a href="#" onClick={(e) => { e.preventDefault(); closeSetPassword(); }}>cancel</a>
+                {' | '}
+                <a href="#" onClick={handleSetPassword}>
+                  {settingPassword ? 'encrypting...' : 'encrypt'}
+                </a>
+              </p>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,26 @@
+/**
+ * Display helpers shared by the dashboard and its panels
+ */
+
+/**
+ * Shorten an address for display, e.g. "GABCDE....UVWXYZ"
+ */
+export const shortenAddress = (address) => {
+  if (!address || address.length < 12) return address;
+  return `${address.substring(0, 6)}....${address.substring(address.length - 6)}`;
+};
+
+/**
+ * Smallest amount step for a token with the given decimals (e.g. 7 -> "0.0000001")
+ */
+export const amountStep = (decimals) => (decimals > 0 ? `0.${'0'.repeat(decimals - 1)}1` : '1');
+
+/**
+ * Look up a token for display; unknown tokens show raw amounts
+ * @param {Array<{ tokenContractId: string, symbol: string, decimals: number }>} tokens - Known tokens
+ * @param {string} tokenContractId - Token contract ID (C...)
+ * @returns {{ tokenContractId: string, symbol: string, decimals: number }} The token
+ */
+export const findToken = (tokens, tokenContractId) =>
+  tokens.find(t => t.tokenContractId === tokenContractId) ||
+  { tokenContractId, symbol: shortenAddress(tokenContractId), decimals: 0 };
@@ -0,0 +1,40 @@
+'use client'
+
+import { useState, useCallback } from 'react';
+
+/**
+ * State of a contract account admin action (signers, spending policy, session keys, ...)
+ * Tracks which action is busy and its error, and holds the co-signer keys typed
+ * for it only until it succeeds
+ * @param {string} subject - What the actions update, for error logs
+ * @returns {{ busy: string, error: string, cosignerSecrets: string, setCosignerSecrets: Function, run: Function, reset: Function }} Action state;
+ *   run(busy, action) calls action(cosigners) and resolves to whether it succeeded, reset() drops the error and the co-signer keys
+ */
+export default function useAdminAction(subject) {
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [cosignerSecrets, setCosignerSecrets] = useState('');
+
+  const run = async (name, action) => {
+    setBusy(name);
+    setError('');
+    try {
+      await action(cosignerSecrets.split('\n').map(line => line.trim()).filter(Boolean));
+      setCosignerSecrets('');
+      return true;
+    } catch (err) {
+      console.error(`Error updating ${subject}:`, err);
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const reset = useCallback(() => {
+    setError('');
+    setCosignerSecrets('');
+  }, []);
+
+  return { busy, error, cosignerSecrets, setCosignerSecrets, run, reset };
+}
@@ -0,0 +1,80 @@
+'use client'
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getTransferHistoryPage, getCachedTransferHistory, cacheTransferHistory } from '../utils/stellar/index';
+
+/**
+ * Paginated transfer history for an address
+ * Loads the newest page when the address changes and appends older pages on demand.
+ * The newest page is cached, so the last known history shows while it loads
+ * and stays when it cannot be loaded (e.g. offline)
+ * @param {string | null} address - Address to load history for (null to stay idle)
+ * @param {object} options - Options
+ * @param {number} options.pageSize - Transfers per page (default 20)
+ * @returns {{ transfers: Array | null, loading: boolean, error: string, hasMore: boolean, cachedAt: number | null, loadMore: Function, reload: Function }} History state (cachedAt is set while the cached page is shown)
+ */
+export default function useTransferHistory(address, { pageSize = 20 } = {}) {
+  const [transfers, setTransfers] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // Identifies the latest request so stale responses (e.g. after an address change) are dropped
+  const requestRef = useRef(0);
+
+  const loadPage = useCallback(async (fromCursor) => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    setError('');
+
+    try {
+      const page = await getTransferHistoryPage(address, { cursor: fromCursor, pageSize });
+      if (request !== requestRef.current) return;
+
+      setTransfers(prev => {
+        if (!fromCursor || !prev) {
+          return page.transfers;
+        }
+        const known = new Set(prev.map(t => t.id));
+        return [...prev, ...page.transfers.filter(t => !known.has(t.id))];
+      });
+      setCursor(page.cursor);
+      setCachedAt(null);
+      if (!fromCursor) {
+        cacheTransferHistory(address, page);
+      }
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      console.error('Error loading transfer history:', err);
+      setError(err.message);
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [address, pageSize]);
+
+  useEffect(() => {
+    const cached = address ? getCachedTransferHistory(address) : null;
+    setTransfers(cached ? cached.transfers.slice(0, pageSize) : null);
+    setCursor(null);
+    setCachedAt(cached ? cached.savedAt : null);
+    if (address) {
+      loadPage(null);
+    } else {
+      requestRef.current++;
+      setLoading(false);
+    }
+  }, [address, pageSize, loadPage]);
+
+  const loadMore = useCallback(() => {
+    if (cursor && !loading) {
+      loadPage(cursor);
+    }
+  }, [cursor, loading, loadPage]);
+
+  const reload = useCallback(() => loadPage(null), [loadPage]);
+
+  return { transfers, loading, error, hasMore: cursor !== null, cachedAt, loadMore, reload };
+}
@@ -1,10 +1,56 @@
 //! Simple account contract for Lumenitos wallet.
 //!
-//! This contract is owned by a single ed25519 public key that is also used for
-//! authentication. Based on the Soroban simple_account example.
+//! This contract is controlled by a set of ed25519 signers with an M-of-N
+//! threshold. It is deployed with a single signer (the creator's public key)
+//! and a threshold of 1; more signers can be added later by the account
+//! itself. Based on the Soroban simple_account and account examples.
+//!
+//! The account can also enforce a spending policy on the calls it authorizes:
+//! per-token daily and weekly limits and an allow-list of destinations.
+//! Changes that tighten the policy apply immediately, changes that loosen it
+//! only take effect after `POLICY_DELAY`, so a compromised key cannot lift
+//! the limits and drain the account at once.
+//!
+//! Session keys are short-lived secondary keys that can authorize calls to
+//! specific contracts and functions on their own, up to a spend limit per
+//! token and until an expiration ledger.
+//!
+//! If every signer key is lost, guardians (any Stellar addresses) can
+//! replace the signers with a new key: one guardian starts a recovery, the
+//! others approve it, and once enough have approved it can be completed
+//! after `RECOVERY_DELAY`. Until then the account itself can cancel it, and
+//! so can as many guardians as a recovery needs by rejecting it, so a single
+//! guardian cannot hold the account in a recovery nobody else wants.
+//!
+//! Passkeys (WebAuthn credentials with secp256r1 keys) count as signers
+//! alongside the ed25519 keys: they sign the authorization payload as the
+//! WebAuthn challenge and the account checks the client data, the relying
+//! party the passkey was registered for and the secp256r1 signature.
+//!
+//! `transfer_batch` pays several destinations in one invocation, checking
+//! each payment against the spending policy like a direct transfer.
 #![no_std]
 
-use soroban_sdk::{auth::Context, contract, contractimpl, contracttype, BytesN, Env, Vec};
+use soroban_sdk::{
+    auth::{Context, ContractContext},
+    contract, contracterror, contractimpl, contracttype, symbol_short, token, Address, Bytes,
+    BytesN, Env, IntoVal, Map, Symbol, TryFromVal, Val, Vec,
+};
+
+const DAY: u64 = 24 * 60 * 60;
+const WEEK: u64 = 7 * DAY;
+
+/// Delay (in seconds) before a change that loosens the spending policy
+/// takes effect.
+pub const POLICY_DELAY: u64 = DAY;
+
+/// Delay (in seconds) between starting a recovery and completing it.
+pub const RECOVERY_DELAY: u64 = 3 * DAY;
+
+/// Longest WebAuthn client data JSON accepted, in bytes.
+const MAX_CLIENT_DATA_LEN: usize = 1024;
+
+const BASE64URL: &[u8; 64] = b"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
 
 #[contract]
 pub struct SimpleAccount;
@@ -12,36 +58,1265 @@ pub struct SimpleAccount;
 #[derive(Clone)]
 #[contracttype]
 pub enum DataKey {
-    Owner,
+    Signers,
+    Threshold,
+    Limits,
+    Spending,
+    AllowList,
+    PendingLimits,
+    PendingAllowList,
+    SessionKeys,
+    Guardians,
+    GuardianThreshold,
+    Recovery,
+    Passkeys,
+}
+
+/// An ed25519 signature over the authorization payload.
+#[derive(Clone)]
+#[contracttype]
+pub struct Ed25519Signature {
+    pub public_key: BytesN<32>,
+    pub signature: BytesN<64>,
+}
+
+/// A passkey signer: its uncompressed secp256r1 public key and the SHA-256
+/// hash of the relying party ID (the wallet's domain) it was created for.
+#[derive(Clone, Debug, Eq, PartialEq)]
+#[contracttype]
+pub struct Passkey {
+    pub public_key: BytesN<65>,
+    pub rp_id_hash: BytesN<32>,
+}
+
+/// A WebAuthn assertion by a passkey whose challenge is the authorization
+/// payload. `signature` is the raw (r, s) secp256r1 signature with a low s.
+#[derive(Clone)]
+#[contracttype]
+pub struct WebAuthnSignature {
+    pub authenticator_data: Bytes,
+    pub client_data_json: Bytes,
+    pub credential_id: Bytes,
+    pub signature: BytesN<64>,
+}
+
+/// A signature over the authorization payload by one of the account signers.
+#[derive(Clone)]
+#[contracttype]
+pub enum Signature {
+    Ed25519(Ed25519Signature),
+    WebAuthn(WebAuthnSignature),
+}
+
+/// Spending limits for one token, in the token's smallest unit.
+/// `None` means no limit for that period.
+#[derive(Clone)]
+#[contracttype]
+pub struct SpendLimit {
+    pub daily: Option<i128>,
+    pub weekly: Option<i128>,
+}
+
+/// Amount of a token spent in the current day and week. Days and weeks are
+/// counted in UTC from the Unix epoch.
+#[derive(Clone)]
+#[contracttype]
+pub struct Spending {
+    pub day: u64,
+    pub day_spent: i128,
+    pub week: u64,
+    pub week_spent: i128,
+}
+
+/// A loosened spending limit waiting for `POLICY_DELAY`.
+#[derive(Clone)]
+#[contracttype]
+pub struct PendingLimit {
+    pub effective_at: u64,
+    pub limit: SpendLimit,
+}
+
+/// A loosened allow-list waiting for `POLICY_DELAY`.
+#[derive(Clone)]
+#[contracttype]
+pub struct PendingAllowList {
+    pub destinations: Vec<Address>,
+    pub effective_at: u64,
+}
+
+/// A session key may authorize calls to `contracts` (limited to `functions`
+/// unless empty) until `expiration_ledger`. A token in `spend_limits` can be
+/// spent up to its limit, counted in that token's own units in `spent`;
+/// tokens without a limit are not capped. Session keys can never call the
+/// account itself.
+#[derive(Clone)]
+#[contracttype]
+pub struct SessionKey {
+    pub contracts: Vec<Address>,
+    pub expiration_ledger: u32,
+    pub functions: Vec<Symbol>,
+    pub spend_limits: Map<Address, i128>,
+    pub spent: Map<Address, i128>,
+}
+
+/// A pending recovery replacing the signers with `new_signer`, approved by
+/// `approvals` and rejected by `rejections` (guardian addresses), and
+/// completable from `effective_at`.
+#[derive(Clone)]
+#[contracttype]
+pub struct Recovery {
+    pub approvals: Vec<Address>,
+    pub effective_at: u64,
+    pub new_signer: BytesN<32>,
+    pub rejections: Vec<Address>,
+}
+
+/// One payment of a `transfer_batch`, in the token's smallest unit.
+#[derive(Clone)]
+#[contracttype]
+pub struct Payment {
+    pub amount: i128,
+    pub to: Address,
+    pub token: Address,
+}
+
+#[contracterror]
+#[derive(Copy, Clone, Debug, Eq, PartialEq, PartialOrd, Ord)]
+#[repr(u32)]
+pub enum AccountError {
+    NotEnoughSignatures = 1,
+    UnknownSigner = 2,
+    SignaturesNotSorted = 3,
+    InvalidThreshold = 4,
+    SignerExists = 5,
+    SignerNotFound = 6,
+    InvalidLimit = 7,
+    LimitExceeded = 8,
+    DestinationNotAllowed = 9,
+    UnsupportedCall = 10,
+    SessionKeyExpired = 11,
+    OutOfScope = 12,
+    InvalidSessionKey = 13,
+    SessionKeyNotFound = 14,
+    InvalidGuardians = 15,
+    NotGuardian = 16,
+    RecoveryInProgress = 17,
+    NoRecovery = 18,
+    RecoveryNotReady = 19,
+    RecoveryMismatch = 20,
+    PasskeyExists = 21,
+    PasskeyNotFound = 22,
+    InvalidClientData = 23,
+    RelyingPartyMismatch = 24,
+    EmptyBatch = 25,
+}
+
+fn get_signers(env: &Env) -> Vec<BytesN<32>> {
+    env.storage()
+        .instance()
+        .get::<_, Vec<BytesN<32>>>(&DataKey::Signers)
+        .unwrap()
+}
+
+/// Passkeys by credential ID.
+fn get_passkeys(env: &Env) -> Map<Bytes, Passkey> {
+    env.storage()
+        .instance()
+        .get(&DataKey::Passkeys)
+        .unwrap_or_else(|| Map::new(env))
+}
+
+/// Number of signers, ed25519 keys and passkeys together.
+fn signer_count(env: &Env) -> u32 {
+    get_signers(env).len() + get_passkeys(env).len()
+}
+
+fn get_threshold(env: &Env) -> u32 {
+    env.storage()
+        .instance()
+        .get::<_, u32>(&DataKey::Threshold)
+        .unwrap()
+}
+
+fn get_limits(env: &Env) -> Map<Address, SpendLimit> {
+    env.storage()
+        .instance()
+        .get(&DataKey::Limits)
+        .unwrap_or_else(|| Map::new(env))
+}
+
+fn get_pending_limits(env: &Env) -> Map<Address, PendingLimit> {
+    env.storage()
+        .instance()
+        .get(&DataKey::PendingLimits)
+        .unwrap_or_else(|| Map::new(env))
+}
+
+fn get_spending(env: &Env) -> Map<Address, Spending> {
+    env.storage()
+        .instance()
+        .get(&DataKey::Spending)
+        .unwrap_or_else(|| Map::new(env))
+}
+
+/// A limit with neither period set is no limit at all.
+fn active_limit(limit: SpendLimit) -> Option<SpendLimit> {
+    if limit.daily.is_none() && limit.weekly.is_none() {
+        None
+    } else {
+        Some(limit)
+    }
+}
+
+fn store_limit(limits: &mut Map<Address, SpendLimit>, token: &Address, limit: Option<SpendLimit>) {
+    match limit {
+        Some(limit) => limits.set(token.clone(), limit),
+        None => {
+            limits.remove(token.clone());
+        }
+    }
+}
+
+/// The limit in force for a token, including a pending change whose delay
+/// has passed.
+fn effective_limit(env: &Env, token: &Address) -> Option<SpendLimit> {
+    if let Some(pending) = get_pending_limits(env).get(token.clone()) {
+        if pending.effective_at <= env.ledger().timestamp() {
+            return active_limit(pending.limit);
+        }
+    }
+    get_limits(env).get(token.clone())
+}
+
+/// The allow-list in force, including a pending change whose delay has
+/// passed. An empty list allows any destination.
+fn effective_allow_list(env: &Env) -> Vec<Address> {
+    if let Some(pending) = env
+        .storage()
+        .instance()
+        .get::<_, PendingAllowList>(&DataKey::PendingAllowList)
+    {
+        if pending.effective_at <= env.ledger().timestamp() {
+            return pending.destinations;
+        }
+    }
+    env.storage()
+        .instance()
+        .get(&DataKey::AllowList)
+        .unwrap_or_else(|| Vec::new(env))
+}
+
+/// Whether `new` is at most `current`, where `None` is unlimited.
+fn at_most(new: Option<i128>, current: Option<i128>) -> bool {
+    match (new, current) {
+        (_, None) => true,
+        (Some(new), Some(current)) => new <= current,
+        (None, Some(_)) => false,
+    }
+}
+
+/// Spending of a token in the current day and week; a period restarts at
+/// zero once it is over.
+fn current_spending(env: &Env, token: &Address) -> Spending {
+    let now = env.ledger().timestamp();
+    let (day, week) = (now / DAY, now / WEEK);
+    match get_spending(env).get(token.clone()) {
+        Some(spending) => Spending {
+            day,
+            day_spent: if spending.day == day { spending.day_spent } else { 0 },
+            week,
+            week_spent: if spending.week == week { spending.week_spent } else { 0 },
+        },
+        None => Spending {
+            day,
+            day_spent: 0,
+            week,
+            week_spent: 0,
+        },
+    }
+}
+
+fn remaining(limit: Option<i128>, spent: i128) -> Option<i128> {
+    limit.map(|limit| if limit > spent { limit - spent } else { 0 })
+}
+
+fn decode_arg<T: TryFromVal<Env, Val>>(
+    env: &Env,
+    call: &ContractContext,
+    index: u32,
+) -> Result<T, AccountError> {
+    let value = call.args.get(index).ok_or(AccountError::UnsupportedCall)?;
+    T::try_from_val(env, &value).map_err(|_| AccountError::UnsupportedCall)
+}
+
+/// Argument positions of the destination (or spender) and amount of a
+/// `transfer`, `approve` or `burn` call that moves this account's funds.
+/// Returns `None` for any other call.
+fn spend_args(env: &Env, call: &ContractContext) -> Option<(Option<u32>, u32)> {
+    let indices = if call.fn_name == symbol_short!("transfer")
+        || call.fn_name == symbol_short!("approve")
+    {
+        (Some(1), 2)
+    } else if call.fn_name == symbol_short!("burn") {
+        (None, 1)
+    } else {
+        return None;
+    };
+
+    match call.args.get(0).map(|from| Address::try_from_val(env, &from)) {
+        Some(Ok(from)) if from == env.current_contract_address() => Some(indices),
+        _ => None,
+    }
+}
+
+/// Check a call authorized by this account against the spending policy and
+/// record what it spends. Spending calls (see `spend_args`) count against
+/// the token's limits; their destination (or spender) must be on the
+/// allow-list. Arguments the policy needs but cannot decode (e.g. a muxed
+/// destination) reject the call.
+fn enforce_policy(env: &Env, call: &ContractContext) -> Result<(), AccountError> {
+    let Some((to_index, amount_index)) = spend_args(env, call) else {
+        return Ok(());
+    };
+
+    if let Some(to_index) = to_index {
+        let allow_list = effective_allow_list(env);
+        if !allow_list.is_empty() {
+            let to: Address = decode_arg(env, call, to_index)?;
+            if !allow_list.contains(&to) {
+                return Err(AccountError::DestinationNotAllowed);
+            }
+        }
+    }
+
+    if let Some(limit) = effective_limit(env, &call.contract) {
+        let amount: i128 = decode_arg(env, call, amount_index)?;
+        let mut spending = current_spending(env, &call.contract);
+        spending.day_spent = spending
+            .day_spent
+            .checked_add(amount)
+            .ok_or(AccountError::LimitExceeded)?;
+        spending.week_spent = spending
+            .week_spent
+            .checked_add(amount)
+            .ok_or(AccountError::LimitExceeded)?;
+        if !at_most(Some(spending.day_spent), limit.daily)
+            || !at_most(Some(spending.week_spent), limit.weekly)
+        {
+            return Err(AccountError::LimitExceeded);
+        }
+
+        let mut all = get_spending(env);
+        all.set(call.contract.clone(), spending);
+        env.storage().instance().set(&DataKey::Spending, &all);
+    }
+
+    Ok(())
+}
+
+fn get_session_keys(env: &Env) -> Map<BytesN<32>, SessionKey> {
+    env.storage()
+        .instance()
+        .get(&DataKey::SessionKeys)
+        .unwrap_or_else(|| Map::new(env))
+}
+
+/// Check that a call is within the scope of a session key and add what it
+/// spends to the key's total for the token.
+fn check_session_scope(
+    env: &Env,
+    session: &mut SessionKey,
+    context: &Context,
+) -> Result<(), AccountError> {
+    let call = match context {
+        Context::Contract(call) => call,
+        _ => return Err(AccountError::OutOfScope),
+    };
+
+    if call.contract == env.current_contract_address()
+        || !session.contracts.contains(&call.contract)
+        || (!session.functions.is_empty() && !session.functions.contains(&call.fn_name))
+    {
+        return Err(AccountError::OutOfScope);
+    }
+
+    if let (Some(limit), Some((_, amount_index))) = (
+        session.spend_limits.get(call.contract.clone()),
+        spend_args(env, call),
+    ) {
+        let amount: i128 = decode_arg(env, call, amount_index)?;
+        let spent = session
+            .spent
+            .get(call.contract.clone())
+            .unwrap_or(0)
+            .checked_add(amount)
+            .ok_or(AccountError::OutOfScope)?;
+        if spent > limit {
+            return Err(AccountError::OutOfScope);
+        }
+        session.spent.set(call.contract.clone(), spent);
+    }
+
+    Ok(())
+}
+
+fn get_guardians(env: &Env) -> Vec<Address> {
+    env.storage()
+        .instance()
+        .get(&DataKey::Guardians)
+        .unwrap_or_else(|| Vec::new(env))
+}
+
+fn get_recovery(env: &Env) -> Result<Recovery, AccountError> {
+    env.storage()
+        .instance()
+        .get(&DataKey::Recovery)
+        .ok_or(AccountError::NoRecovery)
+}
+
+/// Require authorization by `guardian` and check it is a guardian.
+fn require_guardian(env: &Env, guardian: &Address) -> Result<(), AccountError> {
+    guardian.require_auth();
+    if !get_guardians(env).contains(guardian) {
+        return Err(AccountError::NotGuardian);
+    }
+    Ok(())
+}
+
+/// Encode the authorization payload the way WebAuthn puts a challenge in
+/// the client data: base64url without padding.
+fn base64url_challenge(payload: &BytesN<32>) -> [u8; 43] {
+    let mut out = [0u8; 43];
+    let mut bits: u32 = 0;
+    let mut count = 0;
+    let mut i = 0;
+    for byte in payload.to_array().iter() {
+        bits = ((bits << 8) | *byte as u32) & 0xffff;
+        count += 8;
+        while count >= 6 {
+            count -= 6;
+            out[i] = BASE64URL[((bits >> count) & 63) as usize];
+            i += 1;
+        }
+    }
+    out[i] = BASE64URL[((bits << (6 - count)) & 63) as usize];
+    out
+}
+
+/// The client data fields the account checks. Strings are the raw JSON
+/// string contents, which never need escapes for these fields.
+struct ClientData<'a> {
+    kind: &'a [u8],
+    challenge: &'a [u8],
+    origin: &'a [u8],
+    cross_origin: bool,
+}
+
+fn skip_whitespace(json: &[u8], mut i: usize) -> usize {
+    while i < json.len() && matches!(json[i], b' ' | b'\t' | b'\n' | b'\r') {
+        i += 1;
+    }
+    i
+}
+
+/// Read the JSON string that starts at `i`: its raw contents (escapes are
+/// not decoded) and the index after the closing quote.
+fn read_string(json: &[u8], i: usize) -> Option<(&[u8], usize)> {
+    if json.get(i) != Some(&b'"') {
+        return None;
+    }
+    let mut end = i + 1;
+    while end < json.len() {
+        match json[end] {
+            b'"' => return Some((&json[i + 1..end], end + 1)),
+            b'\\' => end += 2,
+            byte if byte < 0x20 => return None,
+            _ => end += 1,
+        }
+    }
+    None
+}
+
+/// Skip the JSON value that starts at `i` (of any type, nested or not):
+/// the index of the `,` or `}` that follows it.
+fn skip_value(json: &[u8], mut i: usize) -> Option<usize> {
+    let start = i;
+    let mut depth = 0u32;
+    while i < json.len() {
+        match json[i] {
+            b'"' => {
+                i = read_string(json, i)?.1;
+                continue;
+            }
+            b'{' | b'[' => depth += 1,
+            b'}' | b']' if depth > 0 => depth -= 1,
+            b',' | b'}' if depth == 0 => return if i > start { Some(i) } else { None },
+            b']' => return None,
+            _ => {}
+        }
+        i += 1;
+    }
+    None
+}
+
+/// Parse the client data JSON object. `type`, `challenge` and `origin` must
+/// each appear once as strings without escapes; `crossOrigin`, if present,
+/// must be a boolean. Other members are skipped.
+fn parse_client_data(json: &[u8]) -> Option<ClientData<'_>> {
+    let mut kind = None;
+    let mut challenge = None;
+    let mut origin = None;
+    let mut cross_origin = None;
+
+    let mut i = skip_whitespace(json, 0);
+    if json.get(i) != Some(&b'{') {
+        return None;
+    }
+    i = skip_whitespace(json, i + 1);
+    loop {
+        let (key, next) = read_string(json, i)?;
+        if key.contains(&b'\\') {
+            return None;
+        }
+        i = skip_whitespace(json, next);
+        if json.get(i) != Some(&b':') {
+            return None;
+        }
+        i = skip_whitespace(json, i + 1);
+
+        let field = match key {
+            b"type" => Some(&mut kind),
+            b"challenge" => Some(&mut challenge),
+            b"origin" => Some(&mut origin),
+            _ => None,
+        };
+        if let Some(field) = field {
+            let (value, next) = read_string(json, i)?;
+            if field.is_some() || value.contains(&b'\\') {
+                return None;
+            }
+            *field = Some(value);
+            i = next;
+        } else if key == b"crossOrigin" {
+            if cross_origin.is_some() {
+                return None;
+            }
+            if json[i..].starts_with(b"true") {
+                cross_origin = Some(true);
+                i += 4;
+            } else if json[i..].starts_with(b"false") {
+                cross_origin = Some(false);
+                i += 5;
+            } else {
+                return None;
+            }
+        } else {
+            i = skip_value(json, i)?;
+        }
+
+        i = skip_whitespace(json, i);
+        match json.get(i) {
+            Some(b',') => i = skip_whitespace(json, i + 1),
+            Some(b'}') => break,
+            _ => return None,
+        }
+    }
+    if skip_whitespace(json, i + 1) != json.len() {
+        return None;
+    }
+
+    Some(ClientData {
+        kind: kind?,
+        challenge: challenge?,
+        origin: origin?,
+        cross_origin: cross_origin.unwrap_or(false),
+    })
+}
+
+/// The host of a client data origin: `https://host[:port]`, or
+/// `http://localhost[:port]` for development.
+fn origin_host(origin: &[u8]) -> Option<&[u8]> {
+    let (secure, rest) = match origin.strip_prefix(b"https://") {
+        Some(rest) => (true, rest),
+        None => (false, origin.strip_prefix(b"http://")?),
+    };
+    let host = match rest.iter().position(|byte| *byte == b':') {
+        Some(end) => &rest[..end],
+        None => rest,
+    };
+    if host.is_empty() || host.contains(&b'/') || (!secure && host != b"localhost") {
+        return None;
+    }
+    Some(host)
+}
+
+/// Verify a passkey assertion: the client data must be a same-origin
+/// `webauthn.get` for the payload as challenge, made on the relying party
+/// the passkey was registered for, the authenticator data must carry that
+/// relying party's ID hash and report user presence, and the secp256r1
+/// signature must cover the authenticator data and the client data hash.
+fn verify_webauthn(
+    env: &Env,
+    signature_payload: &BytesN<32>,
+    passkey: &Passkey,
+    signature: &WebAuthnSignature,
+) -> Result<(), AccountError> {
+    let len = signature.client_data_json.len() as usize;
+    if len > MAX_CLIENT_DATA_LEN {
+        return Err(AccountError::InvalidClientData);
+    }
+    let mut buffer = [0u8; MAX_CLIENT_DATA_LEN];
+    signature
+        .client_data_json
+        .copy_into_slice(&mut buffer[..len]);
+
+    let client_data = parse_client_data(&buffer[..len]).ok_or(AccountError::InvalidClientData)?;
+    if client_data.kind != b"webauthn.get"
+        || client_data.challenge != &base64url_challenge(signature_payload)[..]
+        || client_data.cross_origin
+    {
+        return Err(AccountError::InvalidClientData);
+    }
+    let host = origin_host(client_data.origin).ok_or(AccountError::InvalidClientData)?;
+    let rp_id_hash = env.crypto().sha256(&Bytes::from_slice(env, host)).to_bytes();
+    if rp_id_hash != passkey.rp_id_hash {
+        return Err(AccountError::RelyingPartyMismatch);
+    }
+
+    // The authenticator data starts with the 32-byte RP ID hash and the
+    // flags; bit 0 is user presence
+    let authenticator_data = &signature.authenticator_data;
+    if authenticator_data.len() < 37 {
+        return Err(AccountError::InvalidClientData);
+    }
+    if authenticator_data.slice(..32) != Bytes::from(passkey.rp_id_hash.clone()) {
+        return Err(AccountError::RelyingPartyMismatch);
+    }
+    if authenticator_data.get(32).unwrap() & 0x01 == 0 {
+        return Err(AccountError::InvalidClientData);
+    }
+
+    let mut signed = authenticator_data.clone();
+    signed.append(&Bytes::from(
+        env.crypto().sha256(&signature.client_data_json).to_bytes(),
+    ));
+    env.crypto().secp256r1_verify(
+        &passkey.public_key,
+        &env.crypto().sha256(&signed),
+        &signature.signature,
+    );
+    Ok(())
+}
+
+/// Verify signatures by the account signers: ed25519 signatures must be
+/// sorted by public key and passkey signatures by credential ID (which also
+/// rules out duplicates), and at least `threshold` of them must be valid.
+fn verify_signers(
+    env: &Env,
+    signature_payload: &BytesN<32>,
+    signatures: &Vec<Signature>,
+) -> Result<(), AccountError> {
+    if signatures.len() < get_threshold(env) {
+        return Err(AccountError::NotEnoughSignatures);
+    }
+
+    let signers = get_signers(env);
+    let passkeys = get_passkeys(env);
+    let mut previous_key: Option<BytesN<32>> = None;
+    let mut previous_credential: Option<Bytes> = None;
+
+    for signature in signatures.iter() {
+        match signature {
+            Signature::Ed25519(signature) => {
+                if let Some(previous) = previous_key {
+                    if previous >= signature.public_key {
+                        return Err(AccountError::SignaturesNotSorted);
+                    }
+                }
+                if !signers.contains(&signature.public_key) {
+                    return Err(AccountError::UnknownSigner);
+                }
+                env.crypto().ed25519_verify(
+                    &signature.public_key,
+                    &signature_payload.clone().into(),
+                    &signature.signature,
+                );
+                previous_key = Some(signature.public_key);
+            }
+            Signature::WebAuthn(signature) => {
+                if let Some(previous) = previous_credential {
+                    if previous >= signature.credential_id {
+                        return Err(AccountError::SignaturesNotSorted);
+                    }
+                }
+                let passkey = passkeys
+                    .get(signature.credential_id.clone())
+                    .ok_or(AccountError::UnknownSigner)?;
+                verify_webauthn(env, signature_payload, &passkey, &signature)?;
+                previous_credential = Some(signature.credential_id);
+            }
+        }
+    }
+
+    Ok(())
 }
 
 #[contractimpl]
 impl SimpleAccount {
-    /// Initialize the account with the owner's ed25519 public key.
+    /// Initialize the account with the creator's ed25519 public key as the
+    /// only signer, no passkeys and a threshold of 1.
     /// Can only be called once during contract deployment.
     pub fn __constructor(env: Env, public_key: BytesN<32>) {
-        if env.storage().instance().has(&DataKey::Owner) {
+        if env.storage().instance().has(&DataKey::Signers) {
             panic!("owner is already set");
         }
-        env.storage().instance().set(&DataKey::Owner, &public_key);
+        let mut signers = Vec::new(&env);
+        signers.push_back(public_key);
+        env.storage().instance().set(&DataKey::Signers, &signers);
+        env.storage().instance().set(&DataKey::Threshold, &1u32);
+        // Also tells clients the account takes tagged Signature values
+        env.storage()
+            .instance()
+            .set(&DataKey::Passkeys, &Map::<Bytes, Passkey>::new(&env));
+    }
+
+    /// Get the signer public keys.
+    pub fn signers(env: Env) -> Vec<BytesN<32>> {
+        get_signers(&env)
+    }
+
+    /// Get the number of signatures required to authorize the account.
+    pub fn threshold(env: Env) -> u32 {
+        get_threshold(&env)
+    }
+
+    /// Add a signer. Requires authorization by the account itself.
+    pub fn add_signer(env: Env, public_key: BytesN<32>) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let mut signers = get_signers(&env);
+        if signers.contains(&public_key) {
+            return Err(AccountError::SignerExists);
+        }
+        signers.push_back(public_key);
+        env.storage().instance().set(&DataKey::Signers, &signers);
+        Ok(())
+    }
+
+    /// Remove a signer. Requires authorization by the account itself.
+    /// The remaining signers must still be able to meet the threshold.
+    pub fn remove_signer(env: Env, public_key: BytesN<32>) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let mut signers = get_signers(&env);
+        let index = signers
+            .first_index_of(&public_key)
+            .ok_or(AccountError::SignerNotFound)?;
+        if signer_count(&env) - 1 < get_threshold(&env) {
+            return Err(AccountError::InvalidThreshold);
+        }
+        signers.remove(index);
+        env.storage().instance().set(&DataKey::Signers, &signers);
+        Ok(())
+    }
+
+    /// Change the number of required signatures (1..=number of signers,
+    /// passkeys included). Requires authorization by the account itself.
+    pub fn set_threshold(env: Env, threshold: u32) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        if threshold == 0 || threshold > signer_count(&env) {
+            return Err(AccountError::InvalidThreshold);
+        }
+        env.storage().instance().set(&DataKey::Threshold, &threshold);
+        Ok(())
+    }
+
+    /// Replace the signer `current` with `new_key`, keeping the threshold,
+    /// the policy and the account address. Requires authorization by the
+    /// account itself, which on a single-signer account is the current key.
+    pub fn rotate_owner(
+        env: Env,
+        current: BytesN<32>,
+        new_key: BytesN<32>,
+    ) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let mut signers = get_signers(&env);
+        let index = signers
+            .first_index_of(&current)
+            .ok_or(AccountError::SignerNotFound)?;
+        if signers.contains(&new_key) {
+            return Err(AccountError::SignerExists);
+        }
+        signers.set(index, new_key.clone());
+        env.storage().instance().set(&DataKey::Signers, &signers);
+
+        // A signer cannot also be a session key
+        let mut sessions = get_session_keys(&env);
+        if sessions.remove(new_key).is_some() {
+            env.storage().instance().set(&DataKey::SessionKeys, &sessions);
+        }
+        Ok(())
+    }
+
+    /// Get the passkeys by credential ID.
+    pub fn passkeys(env: Env) -> Map<Bytes, Passkey> {
+        get_passkeys(&env)
+    }
+
+    /// Add a passkey signer: a WebAuthn credential ID, its uncompressed
+    /// secp256r1 public key and the SHA-256 hash of the relying party ID it
+    /// was created for. Requires authorization by the account itself.
+    pub fn add_passkey(
+        env: Env,
+        credential_id: Bytes,
+        public_key: BytesN<65>,
+        rp_id_hash: BytesN<32>,
+    ) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let mut passkeys = get_passkeys(&env);
+        if passkeys.contains_key(credential_id.clone()) {
+            return Err(AccountError::PasskeyExists);
+        }
+        passkeys.set(
+            credential_id,
+            Passkey {
+                public_key,
+                rp_id_hash,
+            },
+        );
+        env.storage().instance().set(&DataKey::Passkeys, &passkeys);
+        Ok(())
+    }
+
+    /// Remove a passkey signer. Requires authorization by the account
+    /// itself. The remaining signers must still be able to meet the
+    /// threshold.
+    pub fn remove_passkey(env: Env, credential_id: Bytes) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let mut passkeys = get_passkeys(&env);
+        if !passkeys.contains_key(credential_id.clone()) {
+            return Err(AccountError::PasskeyNotFound);
+        }
+        if signer_count(&env) - 1 < get_threshold(&env) {
+            return Err(AccountError::InvalidThreshold);
+        }
+        passkeys.remove(credential_id);
+        env.storage().instance().set(&DataKey::Passkeys, &passkeys);
+        Ok(())
+    }
+
+    /// Get the spending limit in force for a token, if any.
+    pub fn limit(env: Env, token: Address) -> Option<SpendLimit> {
+        effective_limit(&env, &token)
+    }
+
+    /// Get how much of a token can still be spent today and this week.
+    /// `None` means no limit for that period.
+    pub fn allowance(env: Env, token: Address) -> (Option<i128>, Option<i128>) {
+        match effective_limit(&env, &token) {
+            Some(limit) => {
+                let spending = current_spending(&env, &token);
+                (
+                    remaining(limit.daily, spending.day_spent),
+                    remaining(limit.weekly, spending.week_spent),
+                )
+            }
+            None => (None, None),
+        }
+    }
+
+    /// Get the destinations the account may send to (empty allows any).
+    pub fn allow_list(env: Env) -> Vec<Address> {
+        effective_allow_list(&env)
+    }
+
+    /// Set the daily and weekly limits for a token; `None` lifts the limit
+    /// for that period. Requires authorization by the account itself.
+    /// Lower limits apply immediately, higher ones after `POLICY_DELAY`.
+    pub fn set_limit(
+        env: Env,
+        token: Address,
+        daily: Option<i128>,
+        weekly: Option<i128>,
+    ) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        if matches!(daily, Some(v) if v < 0) || matches!(weekly, Some(v) if v < 0) {
+            return Err(AccountError::InvalidLimit);
+        }
+
+        let current = effective_limit(&env, &token);
+        let tightens = match &current {
+            Some(current) => at_most(daily, current.daily) && at_most(weekly, current.weekly),
+            None => true,
+        };
+        let limit = SpendLimit { daily, weekly };
+
+        let mut limits = get_limits(&env);
+        let mut pending = get_pending_limits(&env);
+        pending.remove(token.clone());
+        if tightens {
+            store_limit(&mut limits, &token, active_limit(limit));
+        } else {
+            // The current limit stays in force until the change is due
+            store_limit(&mut limits, &token, current);
+            pending.set(
+                token,
+                PendingLimit {
+                    effective_at: env.ledger().timestamp() + POLICY_DELAY,
+                    limit,
+                },
+            );
+        }
+        env.storage().instance().set(&DataKey::Limits, &limits);
+        env.storage().instance().set(&DataKey::PendingLimits, &pending);
+        Ok(())
+    }
+
+    /// Replace the destination allow-list (empty allows any destination).
+    /// Requires authorization by the account itself. Removing destinations
+    /// applies immediately, adding them or clearing the list after
+    /// `POLICY_DELAY`.
+    pub fn set_allow_list(env: Env, destinations: Vec<Address>) {
+        env.current_contract_address().require_auth();
+
+        let current = effective_allow_list(&env);
+        let tightens = current.is_empty()
+            || (!destinations.is_empty() && destinations.iter().all(|d| current.contains(&d)));
+
+        env.storage().instance().remove(&DataKey::PendingAllowList);
+        if tightens {
+            env.storage().instance().set(&DataKey::AllowList, &destinations);
+        } else {
+            // The current list stays in force until the change is due
+            env.storage().instance().set(&DataKey::AllowList, &current);
+            env.storage().instance().set(
+                &DataKey::PendingAllowList,
+                &PendingAllowList {
+                    destinations,
+                    effective_at: env.ledger().timestamp() + POLICY_DELAY,
+                },
+            );
+        }
+    }
+
+    /// Send several token payments in one invocation. Requires authorization
+    /// by the account itself. The account calls the tokens directly, so
+    /// their transfers are not authorized through `__check_auth`; each
+    /// payment is checked against the spending policy here instead, and any
+    /// rejected payment fails the whole batch.
+    pub fn transfer_batch(env: Env, payments: Vec<Payment>) -> Result<(), AccountError> {
+        let account = env.current_contract_address();
+        account.require_auth();
+
+        if payments.is_empty() {
+            return Err(AccountError::EmptyBatch);
+        }
+
+        for payment in payments.iter() {
+            enforce_policy(
+                &env,
+                &ContractContext {
+                    contract: payment.token.clone(),
+                    fn_name: symbol_short!("transfer"),
+                    args: (account.clone(), payment.to.clone(), payment.amount).into_val(&env),
+                },
+            )?;
+            token::Client::new(&env, &payment.token).transfer(
+                &account,
+                &payment.to,
+                &payment.amount,
+            );
+        }
+        Ok(())
+    }
+
+    /// Get the session keys, including expired ones not yet removed.
+    pub fn session_keys(env: Env) -> Map<BytesN<32>, SessionKey> {
+        get_session_keys(&env)
+    }
+
+    /// Register (or replace) a session key that may call `functions` (empty
+    /// allows any) on `contracts` until `expiration_ledger`, spending at
+    /// most the limit of each token in `spend_limits` (a token must be one
+    /// of `contracts`). Requires authorization by the account itself.
+    /// Expired session keys are dropped.
+    pub fn add_session_key(
+        env: Env,
+        public_key: BytesN<32>,
+        contracts: Vec<Address>,
+        functions: Vec<Symbol>,
+        spend_limits: Map<Address, i128>,
+        expiration_ledger: u32,
+    ) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        if get_signers(&env).contains(&public_key) {
+            return Err(AccountError::SignerExists);
+        }
+        let ledger = env.ledger().sequence();
+        if contracts.is_empty()
+            || contracts.contains(&env.current_contract_address())
+            || expiration_ledger <= ledger
+        {
+            return Err(AccountError::InvalidSessionKey);
+        }
+        for (token, limit) in spend_limits.iter() {
+            if limit < 0 || !contracts.contains(&token) {
+                return Err(AccountError::InvalidLimit);
+            }
+        }
+
+        let mut sessions = Map::new(&env);
+        for (key, session) in get_session_keys(&env).iter() {
+            if session.expiration_ledger >= ledger {
+                sessions.set(key, session);
+            }
+        }
+        sessions.set(
+            public_key,
+            SessionKey {
+                contracts,
+                expiration_ledger,
+                functions,
+                spend_limits,
+                spent: Map::new(&env),
+            },
+        );
+        env.storage().instance().set(&DataKey::SessionKeys, &sessions);
+        Ok(())
+    }
+
+    /// Revoke a session key. Requires authorization by the account itself.
+    pub fn remove_session_key(env: Env, public_key: BytesN<32>) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let mut sessions = get_session_keys(&env);
+        if sessions.remove(public_key).is_none() {
+            return Err(AccountError::SessionKeyNotFound);
+        }
+        env.storage().instance().set(&DataKey::SessionKeys, &sessions);
+        Ok(())
+    }
+
+    /// Get the guardians and how many of them must approve a recovery.
+    pub fn guardians(env: Env) -> (Vec<Address>, u32) {
+        let threshold = env
+            .storage()
+            .instance()
+            .get(&DataKey::GuardianThreshold)
+            .unwrap_or(0);
+        (get_guardians(&env), threshold)
+    }
+
+    /// Get the pending recovery, if any.
+    pub fn recovery(env: Env) -> Option<Recovery> {
+        get_recovery(&env).ok()
+    }
+
+    /// Replace the guardians and the number of approvals a recovery needs
+    /// (1..=number of guardians, or 0 with no guardians to disable
+    /// recovery). Cancels a pending recovery. Requires authorization by the
+    /// account itself.
+    pub fn set_guardians(
+        env: Env,
+        guardians: Vec<Address>,
+        threshold: u32,
+    ) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        let valid_threshold = if guardians.is_empty() {
+            threshold == 0
+        } else {
+            threshold > 0 && threshold <= guardians.len()
+        };
+        if !valid_threshold || guardians.contains(&env.current_contract_address()) {
+            return Err(AccountError::InvalidGuardians);
+        }
+        for (i, guardian) in guardians.iter().enumerate() {
+            if guardians.first_index_of(&guardian) != Some(i as u32) {
+                return Err(AccountError::InvalidGuardians);
+            }
+        }
+
+        env.storage().instance().set(&DataKey::Guardians, &guardians);
+        env.storage()
+            .instance()
+            .set(&DataKey::GuardianThreshold, &threshold);
+        env.storage().instance().remove(&DataKey::Recovery);
+        Ok(())
+    }
+
+    /// Start a recovery that replaces the signers with `new_signer`, as its
+    /// first approval. Requires authorization by a guardian.
+    pub fn start_recovery(
+        env: Env,
+        guardian: Address,
+        new_signer: BytesN<32>,
+    ) -> Result<(), AccountError> {
+        require_guardian(&env, &guardian)?;
+        if env.storage().instance().has(&DataKey::Recovery) {
+            return Err(AccountError::RecoveryInProgress);
+        }
+
+        let mut approvals = Vec::new(&env);
+        approvals.push_back(guardian);
+        let recovery = Recovery {
+            approvals,
+            effective_at: env.ledger().timestamp() + RECOVERY_DELAY,
+            new_signer,
+            rejections: Vec::new(&env),
+        };
+        env.storage().instance().set(&DataKey::Recovery, &recovery);
+        Ok(())
+    }
+
+    /// Approve the pending recovery, withdrawing an earlier rejection.
+    /// `new_signer` must match it, so an approval cannot be redirected to
+    /// another key. Requires authorization by a guardian.
+    pub fn approve_recovery(
+        env: Env,
+        guardian: Address,
+        new_signer: BytesN<32>,
+    ) -> Result<(), AccountError> {
+        require_guardian(&env, &guardian)?;
+
+        let mut recovery = get_recovery(&env)?;
+        if recovery.new_signer != new_signer {
+            return Err(AccountError::RecoveryMismatch);
+        }
+        if let Some(index) = recovery.rejections.first_index_of(&guardian) {
+            recovery.rejections.remove(index);
+        }
+        if !recovery.approvals.contains(&guardian) {
+            recovery.approvals.push_back(guardian);
+        }
+        env.storage().instance().set(&DataKey::Recovery, &recovery);
+        Ok(())
+    }
+
+    /// Reject the pending recovery, withdrawing an earlier approval. Once as
+    /// many guardians as a recovery needs have rejected it, it is cancelled
+    /// and another one can be started. Requires authorization by a guardian.
+    pub fn reject_recovery(env: Env, guardian: Address) -> Result<(), AccountError> {
+        require_guardian(&env, &guardian)?;
+
+        let mut recovery = get_recovery(&env)?;
+        if let Some(index) = recovery.approvals.first_index_of(&guardian) {
+            recovery.approvals.remove(index);
+        }
+        if !recovery.rejections.contains(&guardian) {
+            recovery.rejections.push_back(guardian);
+        }
+
+        let (_, threshold) = Self::guardians(env.clone());
+        if recovery.rejections.len() >= threshold {
+            env.storage().instance().remove(&DataKey::Recovery);
+        } else {
+            env.storage().instance().set(&DataKey::Recovery, &recovery);
+        }
+        Ok(())
+    }
+
+    /// Cancel the pending recovery. Requires authorization by the account
+    /// itself.
+    pub fn cancel_recovery(env: Env) -> Result<(), AccountError> {
+        env.current_contract_address().require_auth();
+
+        get_recovery(&env)?;
+        env.storage().instance().remove(&DataKey::Recovery);
+        Ok(())
+    }
+
+    /// Complete the pending recovery once enough guardians approved it and
+    /// the delay has passed: `new_signer` becomes the only signer with a
+    /// threshold of 1 and all passkeys and session keys are revoked. Anyone
+    /// can submit it.
+    pub fn complete_recovery(env: Env) -> Result<(), AccountError> {
+        let recovery = get_recovery(&env)?;
+        let (_, threshold) = Self::guardians(env.clone());
+        if threshold == 0
+            || recovery.approvals.len() < threshold
+            || env.ledger().timestamp() < recovery.effective_at
+        {
+            return Err(AccountError::RecoveryNotReady);
+        }
+
+        let mut signers = Vec::new(&env);
+        signers.push_back(recovery.new_signer);
+        env.storage().instance().set(&DataKey::Signers, &signers);
+        env.storage().instance().set(&DataKey::Threshold, &1u32);
+        env.storage()
+            .instance()
+            .set(&DataKey::Passkeys, &Map::<Bytes, Passkey>::new(&env));
+        env.storage().instance().remove(&DataKey::SessionKeys);
+        env.storage().instance().remove(&DataKey::Recovery);
+        Ok(())
     }
 
     /// Verify authentication for contract invocations.
     /// This is called by the Soroban host when this contract's address
     /// is used as a source for `require_auth`.
+    ///
+    /// Either the account signers sign (see `verify_signers`), or a single
+    /// session key that is not expired and whose scope covers every
+    /// authorized call. Every authorized call must also satisfy the
+    /// spending policy.
     #[allow(non_snake_case)]
     pub fn __check_auth(
         env: Env,
         signature_payload: BytesN<32>,
-        signature: BytesN<64>,
-        _auth_context: Vec<Context>,
-    ) {
-        let public_key: BytesN<32> = env
-            .storage()
-            .instance()
-            .get::<_, BytesN<32>>(&DataKey::Owner)
-            .unwrap();
-        env.crypto()
-            .ed25519_verify(&public_key, &signature_payload.into(), &signature);
+        signatures: Vec<Signature>,
+        auth_context: Vec<Context>,
+    ) -> Result<(), AccountError> {
+        let session = match (signatures.len(), signatures.get(0)) {
+            (1, Some(Signature::Ed25519(signature))) => {
+                if get_signers(&env).contains(&signature.public_key) {
+                    None
+                } else {
+                    get_session_keys(&env)
+                        .get(signature.public_key.clone())
+                        .map(|session| (signature, session))
+                }
+            }
+            _ => None,
+        };
+
+        match session {
+            Some((signature, mut session)) => {
+                if env.ledger().sequence() > session.expiration_ledger {
+                    return Err(AccountError::SessionKeyExpired);
+                }
+                env.crypto().ed25519_verify(
+                    &signature.public_key,
+                    &signature_payload.clone().into(),
+                    &signature.signature,
+                );
+                for context in auth_context.iter() {
+                    check_session_scope(&env, &mut session, &context)?;
+                }
+                if session.spend_limit.is_some() {
+                    let mut sessions = get_session_keys(&env);
+                    sessions.set(signature.public_key, session);
+                    env.storage().instance().set(&DataKey::SessionKeys, &sessions);
+                }
+            }
+            None => verify_signers(&env, &signature_payload, &signatures)?,
+        }
+
+        for context in auth_context.iter() {
+            if let Context::Contract(call) = context {
+                enforce_policy(&env, &call)?;
+            }
+        }
+
+        Ok(())
     }
 }
+
+#[cfg(test)]
+mod test;
@@ -0,0 +1,1617 @@
+//! Tests for the simple account: every `__check_auth` path (signers,
+//! passkeys, session keys), the spending policy, recovery and
+//! `transfer_batch`, including the ways each of them rejects.
+extern crate std;
+
+use ed25519_dalek::{Signer as _, SigningKey};
+use p256::ecdsa::{
+    signature::hazmat::PrehashSigner, Signature as P256Signature, SigningKey as P256SigningKey,
+};
+use soroban_sdk::{
+    auth::{Context, ContractContext},
+    map, symbol_short,
+    testutils::{Address as _, Ledger},
+    token, vec, Address, Bytes, BytesN, Env, IntoVal, InvokeError, Map, Symbol, Val, Vec,
+};
+
+use crate::{
+    base64url_challenge, AccountError, Ed25519Signature, Passkey, Payment, Signature,
+    SimpleAccount, SimpleAccountClient, WebAuthnSignature, MAX_CLIENT_DATA_LEN, POLICY_DELAY,
+    RECOVERY_DELAY,
+};
+
+const DAY: u64 = 24 * 60 * 60;
+
+struct Account {
+    env: Env,
+    address: Address,
+    client: SimpleAccountClient<'static>,
+    owner: SigningKey,
+}
+
+/// Deploy an account owned by a fixed ed25519 key. Calls that need the
+/// account's own authorization are mocked; `__check_auth` is tested directly.
+fn setup() -> Account {
+    let env = Env::default();
+    env.mock_all_auths();
+    env.ledger().set_sequence_number(100);
+
+    let owner = ed25519_key(1);
+    let address = env.register(SimpleAccount, (public_key(&env, &owner),));
+    let client = SimpleAccountClient::new(&env, &address);
+    Account {
+        env,
+        address,
+        client,
+        owner,
+    }
+}
+
+fn ed25519_key(seed: u8) -> SigningKey {
+    SigningKey::from_bytes(&[seed; 32])
+}
+
+fn public_key(env: &Env, key: &SigningKey) -> BytesN<32> {
+    BytesN::from_array(env, &key.verifying_key().to_bytes())
+}
+
+fn payload(env: &Env, seed: u8) -> BytesN<32> {
+    BytesN::from_array(env, &[seed; 32])
+}
+
+fn ed25519_signature(env: &Env, key: &SigningKey, payload: &BytesN<32>) -> Signature {
+    Signature::Ed25519(Ed25519Signature {
+        public_key: public_key(env, key),
+        signature: BytesN::from_array(env, &key.sign(&payload.to_array()).to_bytes()),
+    })
+}
+
+/// Signatures by several ed25519 keys, sorted by public key as the account
+/// requires.
+fn ed25519_signatures(
+    env: &Env,
+    keys: &[&SigningKey],
+    payload: &BytesN<32>,
+) -> std::vec::Vec<Signature> {
+    let mut keys = keys.to_vec();
+    keys.sort_by_key(|key| key.verifying_key().to_bytes());
+    keys.iter()
+        .map(|key| ed25519_signature(env, key, payload))
+        .collect()
+}
+
+fn check_auth(
+    account: &Account,
+    payload: &BytesN<32>,
+    signatures: &[Signature],
+    contexts: Vec<Context>,
+) -> Result<(), Result<AccountError, InvokeError>> {
+    let env = &account.env;
+    let mut list: Vec<Signature> = Vec::new(env);
+    for signature in signatures {
+        list.push_back(signature.clone());
+    }
+    let signatures: Val = list.into_val(env);
+    env.try_invoke_contract_check_auth::<AccountError>(
+        &account.address,
+        payload,
+        signatures,
+        &contexts,
+    )
+}
+
+fn call(env: &Env, contract: &Address, fn_name: &str, args: Vec<Val>) -> Context {
+    Context::Contract(ContractContext {
+        contract: contract.clone(),
+        fn_name: Symbol::new(env, fn_name),
+        args,
+    })
+}
+
+fn transfer(env: &Env, token: &Address, from: &Address, to: &Address, amount: i128) -> Context {
+    Context::Contract(ContractContext {
+        contract: token.clone(),
+        fn_name: symbol_short!("transfer"),
+        args: (from.clone(), to.clone(), amount).into_val(env),
+    })
+}
+
+/// A transfer of `amount` from the account, authorized by its owner.
+fn owner_transfer(
+    account: &Account,
+    token: &Address,
+    to: &Address,
+    amount: i128,
+) -> Result<(), Result<AccountError, InvokeError>> {
+    let env = &account.env;
+    let payload = payload(env, 9);
+    check_auth(
+        account,
+        &payload,
+        &[ed25519_signature(env, &account.owner, &payload)],
+        vec![env, transfer(env, token, &account.address, to, amount)],
+    )
+}
+
+fn create_token(env: &Env, holder: &Address, amount: i128) -> Address {
+    let token = env
+        .register_stellar_asset_contract_v2(Address::generate(env))
+        .address();
+    token::StellarAssetClient::new(env, &token).mint(holder, &amount);
+    token
+}
+
+fn passkey_key(seed: u8) -> P256SigningKey {
+    P256SigningKey::from_slice(&[seed; 32]).unwrap()
+}
+
+fn passkey_public_key(env: &Env, key: &P256SigningKey) -> BytesN<65> {
+    let point = key.verifying_key().to_encoded_point(false);
+    let mut bytes = [0u8; 65];
+    bytes.copy_from_slice(point.as_bytes());
+    BytesN::from_array(env, &bytes)
+}
+
+/// The relying party ID of the wallet the passkeys are created on.
+const RP_ID: &[u8] = b"wallet.example";
+
+fn rp_id_hash(env: &Env, rp_id: &[u8]) -> BytesN<32> {
+    env.crypto()
+        .sha256(&Bytes::from_slice(env, rp_id))
+        .to_bytes()
+}
+
+/// The payload as a WebAuthn challenge.
+fn challenge(payload: &BytesN<32>) -> std::string::String {
+    std::string::String::from_utf8(base64url_challenge(payload).to_vec()).unwrap()
+}
+
+/// Client data JSON of a `webauthn.get` for the payload, as a browser
+/// writes it.
+fn client_data(payload: &BytesN<32>) -> std::string::String {
+    std::format!(
+        r#"{{"type":"webauthn.get","challenge":"{}","origin":"https://wallet.example","crossOrigin":false}}"#,
+        challenge(payload)
+    )
+}
+
+/// Authenticator data: RP ID hash, flags and a zero signature counter.
+fn authenticator_data_for(env: &Env, rp_id: &[u8], flags: u8) -> [u8; 37] {
+    let mut data = [0u8; 37];
+    data[..32].copy_from_slice(&rp_id_hash(env, rp_id).to_array());
+    data[32] = flags;
+    data
+}
+
+fn authenticator_data(env: &Env, flags: u8) -> [u8; 37] {
+    authenticator_data_for(env, RP_ID, flags)
+}
+
+fn webauthn_signature(
+    env: &Env,
+    key: &P256SigningKey,
+    credential_id: &[u8],
+    authenticator_data: &[u8],
+    client_data_json: &str,
+) -> Signature {
+    let client_data_json = Bytes::from_slice(env, client_data_json.as_bytes());
+    let mut signed = Bytes::from_slice(env, authenticator_data);
+    signed.append(&Bytes::from_array(
+        env,
+        &env.crypto().sha256(&client_data_json).to_array(),
+    ));
+    let digest = env.crypto().sha256(&signed).to_array();
+
+    let signature: P256Signature = key.sign_prehash(&digest).unwrap();
+    let signature = signature.normalize_s().unwrap_or(signature);
+    let mut bytes = [0u8; 64];
+    bytes.copy_from_slice(&signature.to_bytes());
+
+    Signature::WebAuthn(WebAuthnSignature {
+        authenticator_data: Bytes::from_slice(env, authenticator_data),
+        client_data_json,
+        credential_id: Bytes::from_slice(env, credential_id),
+        signature: BytesN::from_array(env, &bytes),
+    })
+}
+
+/// A passkey assertion for the payload, as a browser makes it.
+fn passkey_signature(
+    env: &Env,
+    key: &P256SigningKey,
+    credential_id: &[u8],
+    payload: &BytesN<32>,
+) -> Signature {
+    webauthn_signature(
+        env,
+        key,
+        credential_id,
+        &authenticator_data(env, 0x05),
+        &client_data(payload),
+    )
+}
+
+fn add_passkey(account: &Account, credential_id: &[u8], key: &P256SigningKey) {
+    let env = &account.env;
+    account.client.add_passkey(
+        &Bytes::from_slice(env, credential_id),
+        &passkey_public_key(env, key),
+        &rp_id_hash(env, RP_ID),
+    );
+}
+
+#[test]
+fn constructor_sets_owner_and_threshold() {
+    let account = setup();
+    let env = &account.env;
+
+    assert_eq!(
+        account.client.signers(),
+        vec![env, public_key(env, &account.owner)]
+    );
+    assert_eq!(account.client.threshold(), 1);
+    assert_eq!(account.client.passkeys(), Map::new(env));
+}
+
+#[test]
+fn owner_signature_authorizes() {
+    let account = setup();
+    let env = &account.env;
+    let payload = payload(env, 1);
+
+    let result = check_auth(
+        &account,
+        &payload,
+        &[ed25519_signature(env, &account.owner, &payload)],
+        vec![
+            env,
+            call(env, &account.address, "add_signer", Vec::new(env)),
+        ],
+    );
+    assert_eq!(result, Ok(()));
+}
+
+#[test]
+fn rejects_missing_and_unknown_signatures() {
+    let account = setup();
+    let env = &account.env;
+    let payload = payload(env, 1);
+
+    assert_eq!(
+        check_auth(&account, &payload, &[], Vec::new(env)),
+        Err(Ok(AccountError::NotEnoughSignatures))
+    );
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &ed25519_key(2), &payload)],
+            Vec::new(env)
+        ),
+        Err(Ok(AccountError::UnknownSigner))
+    );
+}
+
+#[test]
+fn rejects_signature_over_another_payload() {
+    let account = setup();
+    let env = &account.env;
+
+    let result = check_auth(
+        &account,
+        &payload(env, 1),
+        &[ed25519_signature(env, &account.owner, &payload(env, 2))],
+        Vec::new(env),
+    );
+    assert!(result.is_err());
+}
+
+#[test]
+fn multisig_requires_threshold_of_sorted_signatures() {
+    let account = setup();
+    let env = &account.env;
+    let second = ed25519_key(2);
+    account.client.add_signer(&public_key(env, &second));
+    account.client.set_threshold(&2);
+    let payload = payload(env, 1);
+
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &account.owner, &payload)],
+            Vec::new(env)
+        ),
+        Err(Ok(AccountError::NotEnoughSignatures))
+    );
+
+    let sorted = ed25519_signatures(env, &[&account.owner, &second], &payload);
+    assert_eq!(
+        check_auth(&account, &payload, &sorted, Vec::new(env)),
+        Ok(())
+    );
+
+    let reversed = [sorted[1].clone(), sorted[0].clone()];
+    assert_eq!(
+        check_auth(&account, &payload, &reversed, Vec::new(env)),
+        Err(Ok(AccountError::SignaturesNotSorted))
+    );
+
+    let duplicate = [sorted[0].clone(), sorted[0].clone()];
+    assert_eq!(
+        check_auth(&account, &payload, &duplicate, Vec::new(env)),
+        Err(Ok(AccountError::SignaturesNotSorted))
+    );
+}
+
+#[test]
+fn signer_management_keeps_threshold_reachable() {
+    let account = setup();
+    let env = &account.env;
+    let owner = public_key(env, &account.owner);
+    let second = public_key(env, &ed25519_key(2));
+
+    assert_eq!(
+        account.client.try_add_signer(&owner),
+        Err(Ok(AccountError::SignerExists))
+    );
+    assert_eq!(
+        account.client.try_remove_signer(&second),
+        Err(Ok(AccountError::SignerNotFound))
+    );
+    assert_eq!(
+        account.client.try_remove_signer(&owner),
+        Err(Ok(AccountError::InvalidThreshold))
+    );
+    assert_eq!(
+        account.client.try_set_threshold(&0),
+        Err(Ok(AccountError::InvalidThreshold))
+    );
+    assert_eq!(
+        account.client.try_set_threshold(&2),
+        Err(Ok(AccountError::InvalidThreshold))
+    );
+
+    account.client.add_signer(&second);
+    account.client.set_threshold(&2);
+    assert_eq!(
+        account.client.try_remove_signer(&second),
+        Err(Ok(AccountError::InvalidThreshold))
+    );
+    account.client.set_threshold(&1);
+    account.client.remove_signer(&owner);
+    assert_eq!(account.client.signers(), vec![env, second]);
+}
+
+#[test]
+fn rotate_owner_replaces_the_key() {
+    let account = setup();
+    let env = &account.env;
+    let owner = public_key(env, &account.owner);
+    let new_key = ed25519_key(2);
+
+    assert_eq!(
+        account.client.try_rotate_owner(
+            &public_key(env, &ed25519_key(3)),
+            &public_key(env, &new_key)
+        ),
+        Err(Ok(AccountError::SignerNotFound))
+    );
+    assert_eq!(
+        account.client.try_rotate_owner(&owner, &owner),
+        Err(Ok(AccountError::SignerExists))
+    );
+
+    account
+        .client
+        .rotate_owner(&owner, &public_key(env, &new_key));
+    assert_eq!(
+        account.client.signers(),
+        vec![env, public_key(env, &new_key)]
+    );
+
+    let payload = payload(env, 1);
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &account.owner, &payload)],
+            Vec::new(env)
+        ),
+        Err(Ok(AccountError::UnknownSigner))
+    );
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &new_key, &payload)],
+            Vec::new(env)
+        ),
+        Ok(())
+    );
+}
+
+#[test]
+fn rotate_owner_drops_a_session_key_with_the_new_key() {
+    let account = setup();
+    let env = &account.env;
+    let new_key = public_key(env, &ed25519_key(2));
+    account.client.add_session_key(
+        &new_key,
+        &vec![env, Address::generate(env)],
+        &Vec::new(env),
+        &Map::new(env),
+        &200,
+    );
+
+    account
+        .client
+        .rotate_owner(&public_key(env, &account.owner), &new_key);
+    assert!(account.client.session_keys().is_empty());
+}
+
+#[test]
+fn daily_limit_resets_the_next_day() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    let to = Address::generate(env);
+    account.client.set_limit(&token, &Some(100), &None);
+
+    assert_eq!(owner_transfer(&account, &token, &to, 60), Ok(()));
+    assert_eq!(account.client.allowance(&token), (Some(40), None));
+    assert_eq!(
+        owner_transfer(&account, &token, &to, 41),
+        Err(Ok(AccountError::LimitExceeded))
+    );
+
+    env.ledger().set_timestamp(DAY);
+    assert_eq!(owner_transfer(&account, &token, &to, 100), Ok(()));
+}
+
+#[test]
+fn weekly_limit_spans_days() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    let to = Address::generate(env);
+    account.client.set_limit(&token, &Some(100), &Some(150));
+
+    assert_eq!(owner_transfer(&account, &token, &to, 100), Ok(()));
+    env.ledger().set_timestamp(DAY);
+    assert_eq!(
+        owner_transfer(&account, &token, &to, 51),
+        Err(Ok(AccountError::LimitExceeded))
+    );
+    assert_eq!(owner_transfer(&account, &token, &to, 50), Ok(()));
+}
+
+#[test]
+fn limits_apply_to_approve_and_burn() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    let spender = Address::generate(env);
+    account.client.set_limit(&token, &Some(100), &None);
+    let payload = payload(env, 1);
+    let signatures = [ed25519_signature(env, &account.owner, &payload)];
+
+    let approve = call(
+        env,
+        &token,
+        "approve",
+        (account.address.clone(), spender, 101i128, 200u32).into_val(env),
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &signatures, vec![env, approve]),
+        Err(Ok(AccountError::LimitExceeded))
+    );
+
+    let burn = call(
+        env,
+        &token,
+        "burn",
+        (account.address.clone(), 101i128).into_val(env),
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &signatures, vec![env, burn]),
+        Err(Ok(AccountError::LimitExceeded))
+    );
+}
+
+#[test]
+fn ignores_transfers_from_other_addresses() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    account.client.set_limit(&token, &Some(100), &None);
+    let payload = payload(env, 1);
+
+    let other = transfer(
+        env,
+        &token,
+        &Address::generate(env),
+        &Address::generate(env),
+        1_000,
+    );
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &account.owner, &payload)],
+            vec![env, other]
+        ),
+        Ok(())
+    );
+}
+
+#[test]
+fn rejects_spending_calls_it_cannot_decode() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    account.client.set_limit(&token, &Some(100), &None);
+    let payload = payload(env, 1);
+
+    let undecodable = call(
+        env,
+        &token,
+        "transfer",
+        (
+            account.address.clone(),
+            Address::generate(env),
+            symbol_short!("all"),
+        )
+            .into_val(env),
+    );
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &account.owner, &payload)],
+            vec![env, undecodable]
+        ),
+        Err(Ok(AccountError::UnsupportedCall))
+    );
+}
+
+#[test]
+fn loosening_a_limit_waits_for_the_delay() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+
+    assert_eq!(
+        account.client.try_set_limit(&token, &Some(-1), &None),
+        Err(Ok(AccountError::InvalidLimit))
+    );
+
+    account.client.set_limit(&token, &Some(100), &None);
+    account.client.set_limit(&token, &Some(1_000), &None);
+    assert_eq!(account.client.limit(&token).unwrap().daily, Some(100));
+
+    env.ledger().set_timestamp(POLICY_DELAY);
+    assert_eq!(account.client.limit(&token).unwrap().daily, Some(1_000));
+
+    account.client.set_limit(&token, &Some(10), &None);
+    assert_eq!(account.client.limit(&token).unwrap().daily, Some(10));
+
+    account.client.set_limit(&token, &None, &None);
+    assert!(account.client.limit(&token).is_some());
+    env.ledger().set_timestamp(2 * POLICY_DELAY);
+    assert!(account.client.limit(&token).is_none());
+}
+
+#[test]
+fn allow_list_restricts_destinations() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    let allowed = Address::generate(env);
+    let other = Address::generate(env);
+    account.client.set_allow_list(&vec![env, allowed.clone()]);
+
+    assert_eq!(owner_transfer(&account, &token, &allowed, 1), Ok(()));
+    assert_eq!(
+        owner_transfer(&account, &token, &other, 1),
+        Err(Ok(AccountError::DestinationNotAllowed))
+    );
+
+    // Adding a destination is a loosening change
+    account
+        .client
+        .set_allow_list(&vec![env, allowed.clone(), other.clone()]);
+    assert_eq!(
+        owner_transfer(&account, &token, &other, 1),
+        Err(Ok(AccountError::DestinationNotAllowed))
+    );
+    env.ledger().set_timestamp(POLICY_DELAY);
+    assert_eq!(owner_transfer(&account, &token, &other, 1), Ok(()));
+}
+
+/// Register a session key that may call `transfer` on `token`, spending
+/// at most 100 of it, until ledger 200.
+fn add_transfer_session(account: &Account, key: &SigningKey, token: &Address) {
+    let env = &account.env;
+    account.client.add_session_key(
+        &public_key(env, key),
+        &vec![env, token.clone()],
+        &vec![env, symbol_short!("transfer")],
+        &map![env, (token.clone(), 100)],
+        &200,
+    );
+}
+
+fn session_transfer(
+    account: &Account,
+    key: &SigningKey,
+    context: Context,
+) -> Result<(), Result<AccountError, InvokeError>> {
+    let env = &account.env;
+    let payload = payload(env, 7);
+    check_auth(
+        account,
+        &payload,
+        &[ed25519_signature(env, key, &payload)],
+        vec![env, context],
+    )
+}
+
+#[test]
+fn session_key_authorizes_calls_in_scope_up_to_its_limit() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let token = Address::generate(env);
+    let to = Address::generate(env);
+    add_transfer_session(&account, &session, &token);
+
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &token, &account.address, &to, 60)
+        ),
+        Ok(())
+    );
+    let stored = account
+        .client
+        .session_keys()
+        .get(public_key(env, &session))
+        .unwrap();
+    assert_eq!(stored.spent.get(token.clone()), Some(60));
+
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &token, &account.address, &to, 41)
+        ),
+        Err(Ok(AccountError::OutOfScope))
+    );
+}
+
+#[test]
+fn session_key_limits_each_token_on_its_own() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let limited = Address::generate(env);
+    let unlimited = Address::generate(env);
+    let to = Address::generate(env);
+    account.client.add_session_key(
+        &public_key(env, &session),
+        &vec![env, limited.clone(), unlimited.clone()],
+        &vec![env, symbol_short!("transfer")],
+        &map![env, (limited.clone(), 100)],
+        &200,
+    );
+
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &unlimited, &account.address, &to, 5_000)
+        ),
+        Ok(())
+    );
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &limited, &account.address, &to, 100)
+        ),
+        Ok(())
+    );
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &limited, &account.address, &to, 1)
+        ),
+        Err(Ok(AccountError::OutOfScope))
+    );
+    let stored = account
+        .client
+        .session_keys()
+        .get(public_key(env, &session))
+        .unwrap();
+    assert_eq!(stored.spent.get(limited), Some(100));
+    assert_eq!(stored.spent.get(unlimited), None);
+}
+
+#[test]
+fn session_key_expires() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let token = Address::generate(env);
+    add_transfer_session(&account, &session, &token);
+
+    env.ledger().set_sequence_number(201);
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &token, &account.address, &Address::generate(env), 1)
+        ),
+        Err(Ok(AccountError::SessionKeyExpired))
+    );
+}
+
+#[test]
+fn session_key_rejects_calls_out_of_scope() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let token = Address::generate(env);
+    add_transfer_session(&account, &session, &token);
+    let to = Address::generate(env);
+
+    let other_token = transfer(env, &Address::generate(env), &account.address, &to, 1);
+    assert_eq!(
+        session_transfer(&account, &session, other_token),
+        Err(Ok(AccountError::OutOfScope))
+    );
+
+    let other_function = call(
+        env,
+        &token,
+        "approve",
+        (account.address.clone(), to.clone(), 1i128, 200u32).into_val(env),
+    );
+    assert_eq!(
+        session_transfer(&account, &session, other_function),
+        Err(Ok(AccountError::OutOfScope))
+    );
+
+    let own_call = call(env, &account.address, "add_signer", Vec::new(env));
+    assert_eq!(
+        session_transfer(&account, &session, own_call),
+        Err(Ok(AccountError::OutOfScope))
+    );
+}
+
+#[test]
+fn session_key_signature_must_be_valid() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let token = Address::generate(env);
+    add_transfer_session(&account, &session, &token);
+
+    let result = check_auth(
+        &account,
+        &payload(env, 1),
+        &[ed25519_signature(env, &session, &payload(env, 2))],
+        vec![
+            env,
+            transfer(env, &token, &account.address, &Address::generate(env), 1),
+        ],
+    );
+    assert!(result.is_err());
+}
+
+#[test]
+fn session_key_is_bound_by_the_spending_policy() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let token = Address::generate(env);
+    add_transfer_session(&account, &session, &token);
+    account.client.set_limit(&token, &Some(10), &None);
+
+    assert_eq!(
+        session_transfer(
+            &account,
+            &session,
+            transfer(env, &token, &account.address, &Address::generate(env), 11)
+        ),
+        Err(Ok(AccountError::LimitExceeded))
+    );
+}
+
+#[test]
+fn session_key_cannot_join_a_multisig() {
+    let account = setup();
+    let env = &account.env;
+    let session = ed25519_key(5);
+    let token = Address::generate(env);
+    add_transfer_session(&account, &session, &token);
+    let payload = payload(env, 1);
+
+    let signatures = ed25519_signatures(env, &[&account.owner, &session], &payload);
+    assert_eq!(
+        check_auth(&account, &payload, &signatures, Vec::new(env)),
+        Err(Ok(AccountError::UnknownSigner))
+    );
+}
+
+#[test]
+fn session_key_management_validates_the_scope() {
+    let account = setup();
+    let env = &account.env;
+    let key = public_key(env, &ed25519_key(5));
+    let token = Address::generate(env);
+    let functions: Vec<Symbol> = Vec::new(env);
+
+    assert_eq!(
+        account.client.try_add_session_key(
+            &public_key(env, &account.owner),
+            &vec![env, token.clone()],
+            &functions,
+            &Map::new(env),
+            &200
+        ),
+        Err(Ok(AccountError::SignerExists))
+    );
+    assert_eq!(
+        account
+            .client
+            .try_add_session_key(&key, &Vec::new(env), &functions, &Map::new(env), &200),
+        Err(Ok(AccountError::InvalidSessionKey))
+    );
+    assert_eq!(
+        account.client.try_add_session_key(
+            &key,
+            &vec![env, account.address.clone()],
+            &functions,
+            &Map::new(env),
+            &200
+        ),
+        Err(Ok(AccountError::InvalidSessionKey))
+    );
+    assert_eq!(
+        account.client.try_add_session_key(
+            &key,
+            &vec![env, token.clone()],
+            &functions,
+            &Map::new(env),
+            &100
+        ),
+        Err(Ok(AccountError::InvalidSessionKey))
+    );
+    assert_eq!(
+        account.client.try_add_session_key(
+            &key,
+            &vec![env, token.clone()],
+            &functions,
+            &map![env, (token.clone(), -1)],
+            &200
+        ),
+        Err(Ok(AccountError::InvalidLimit))
+    );
+    assert_eq!(
+        account.client.try_add_session_key(
+            &key,
+            &vec![env, token.clone()],
+            &functions,
+            &map![env, (Address::generate(env), 100)],
+            &200
+        ),
+        Err(Ok(AccountError::InvalidLimit))
+    );
+    assert_eq!(
+        account.client.try_remove_session_key(&key),
+        Err(Ok(AccountError::SessionKeyNotFound))
+    );
+
+    account
+        .client
+        .add_session_key(&key, &vec![env, token], &functions, &Map::new(env), &200);
+    account.client.remove_session_key(&key);
+    assert!(account.client.session_keys().is_empty());
+}
+
+#[test]
+fn adding_a_session_key_drops_expired_ones() {
+    let account = setup();
+    let env = &account.env;
+    let token = Address::generate(env);
+    let old = public_key(env, &ed25519_key(5));
+    let new = public_key(env, &ed25519_key(6));
+    let functions: Vec<Symbol> = Vec::new(env);
+    account.client.add_session_key(
+        &old,
+        &vec![env, token.clone()],
+        &functions,
+        &Map::new(env),
+        &150,
+    );
+
+    env.ledger().set_sequence_number(151);
+    account
+        .client
+        .add_session_key(&new, &vec![env, token], &functions, &Map::new(env), &300);
+
+    let sessions = account.client.session_keys();
+    assert!(!sessions.contains_key(old));
+    assert!(sessions.contains_key(new));
+}
+
+#[test]
+fn passkey_signature_authorizes() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+    let payload = payload(env, 1);
+
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[passkey_signature(env, &key, b"credential-1", &payload)],
+            Vec::new(env)
+        ),
+        Ok(())
+    );
+}
+
+#[test]
+fn passkey_counts_towards_the_threshold() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+    account.client.set_threshold(&2);
+    let payload = payload(env, 1);
+    let owner = ed25519_signature(env, &account.owner, &payload);
+    let passkey = passkey_signature(env, &key, b"credential-1", &payload);
+
+    assert_eq!(
+        check_auth(&account, &payload, &[owner.clone()], Vec::new(env)),
+        Err(Ok(AccountError::NotEnoughSignatures))
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &[owner, passkey.clone()], Vec::new(env)),
+        Ok(())
+    );
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[passkey.clone(), passkey],
+            Vec::new(env)
+        ),
+        Err(Ok(AccountError::SignaturesNotSorted))
+    );
+}
+
+#[test]
+fn rejects_unknown_passkeys() {
+    let account = setup();
+    let env = &account.env;
+    let payload = payload(env, 1);
+
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[passkey_signature(
+                env,
+                &passkey_key(3),
+                b"credential-1",
+                &payload
+            )],
+            Vec::new(env)
+        ),
+        Err(Ok(AccountError::UnknownSigner))
+    );
+}
+
+#[test]
+fn rejects_assertions_for_another_challenge() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+
+    let signature = webauthn_signature(
+        env,
+        &key,
+        b"credential-1",
+        &authenticator_data(env, 0x05),
+        &client_data(&payload(env, 2)),
+    );
+    assert_eq!(
+        check_auth(&account, &payload(env, 1), &[signature], Vec::new(env)),
+        Err(Ok(AccountError::InvalidClientData))
+    );
+}
+
+#[test]
+fn rejects_registrations_and_missing_user_presence() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+    let payload = payload(env, 1);
+
+    let create = client_data(&payload).replace("webauthn.get", "webauthn.create");
+    let registration = webauthn_signature(
+        env,
+        &key,
+        b"credential-1",
+        &authenticator_data(env, 0x05),
+        &create,
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &[registration], Vec::new(env)),
+        Err(Ok(AccountError::InvalidClientData))
+    );
+
+    let absent = webauthn_signature(
+        env,
+        &key,
+        b"credential-1",
+        &authenticator_data(env, 0x04),
+        &client_data(&payload),
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &[absent], Vec::new(env)),
+        Err(Ok(AccountError::InvalidClientData))
+    );
+
+    let truncated = webauthn_signature(
+        env,
+        &key,
+        b"credential-1",
+        &authenticator_data(env, 0x05)[..32],
+        &client_data(&payload),
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &[truncated], Vec::new(env)),
+        Err(Ok(AccountError::InvalidClientData))
+    );
+}
+
+#[test]
+fn parses_the_client_data_fields_exactly() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+    let payload = payload(env, 1);
+    let challenge = challenge(&payload);
+    let check = |json: &str| {
+        let signature = webauthn_signature(
+            env,
+            &key,
+            b"credential-1",
+            &authenticator_data(env, 0x05),
+            json,
+        );
+        check_auth(&account, &payload, &[signature], Vec::new(env))
+    };
+
+    // Members in another order, whitespace and extra members are fine
+    assert_eq!(
+        check(&std::format!(
+            r#" {{ "origin" : "https://wallet.example:8443", "tokenBinding": {{"status": "present", "id": "a,}}b"}},
+            "challenge": "{}", "type": "webauthn.get", "other_keys_can_be_added_here": "do not compare clientDataJSON" }} "#,
+            challenge
+        )),
+        Ok(())
+    );
+
+    let rejected = [
+        // The fields only appear inside another member
+        std::format!(
+            r#"{{"type":"webauthn.get","challenge":"AAAA","origin":"https://wallet.example","note":"\"challenge\":\"{}\""}}"#,
+            challenge
+        ),
+        std::format!(
+            r#"{{"type":"webauthn.create","note":"\"type\":\"webauthn.get\"","challenge":"{}","origin":"https://wallet.example"}}"#,
+            challenge
+        ),
+        // A field twice, escaped or missing
+        std::format!(
+            r#"{{"type":"webauthn.get","challenge":"{}","challenge":"AAAA","origin":"https://wallet.example"}}"#,
+            challenge
+        ),
+        std::format!(
+            r#"{{"type":"webauthn\u002eget","challenge":"{}","origin":"https://wallet.example"}}"#,
+            challenge
+        ),
+        std::format!(r#"{{"type":"webauthn.get","challenge":"{}"}}"#, challenge),
+        // Cross-origin iframes, malformed JSON and trailing data
+        client_data(&payload).replace("\"crossOrigin\":false", "\"crossOrigin\":true"),
+        client_data(&payload).replace("\"crossOrigin\":false", "\"crossOrigin\":"),
+        client_data(&payload).replace("}", ""),
+        std::format!("{}{{}}", client_data(&payload)),
+        std::format!("[{}]", client_data(&payload)),
+    ];
+    for json in rejected.iter() {
+        assert_eq!(
+            check(json),
+            Err(Ok(AccountError::InvalidClientData)),
+            "{}",
+            json
+        );
+    }
+}
+
+#[test]
+fn rejects_assertions_for_another_relying_party() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+    let payload = payload(env, 1);
+    let check = |authenticator_data: &[u8], json: &str| {
+        let signature = webauthn_signature(env, &key, b"credential-1", authenticator_data, json);
+        check_auth(&account, &payload, &[signature], Vec::new(env))
+    };
+    let other_origin = client_data(&payload).replace("wallet.example", "evil.example");
+
+    assert_eq!(
+        check(&authenticator_data(env, 0x05), &other_origin),
+        Err(Ok(AccountError::RelyingPartyMismatch))
+    );
+    assert_eq!(
+        check(
+            &authenticator_data_for(env, b"evil.example", 0x05),
+            &client_data(&payload)
+        ),
+        Err(Ok(AccountError::RelyingPartyMismatch))
+    );
+    assert_eq!(
+        check(
+            &authenticator_data_for(env, b"evil.example", 0x05),
+            &other_origin
+        ),
+        Err(Ok(AccountError::RelyingPartyMismatch))
+    );
+
+    // Origins must be https (http only on localhost) without a path
+    for origin in [
+        "http://wallet.example",
+        "https://wallet.example/",
+        "wallet.example",
+        "https://",
+    ] {
+        let json = client_data(&payload).replace("https://wallet.example", origin);
+        assert_eq!(
+            check(&authenticator_data(env, 0x05), &json),
+            Err(Ok(AccountError::InvalidClientData)),
+            "{}",
+            origin
+        );
+    }
+}
+
+#[test]
+fn accepts_passkeys_created_on_localhost() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    account.client.add_passkey(
+        &Bytes::from_slice(env, b"credential-1"),
+        &passkey_public_key(env, &key),
+        &rp_id_hash(env, b"localhost"),
+    );
+    let payload = payload(env, 1);
+
+    let signature = webauthn_signature(
+        env,
+        &key,
+        b"credential-1",
+        &authenticator_data_for(env, b"localhost", 0x05),
+        &client_data(&payload).replace("https://wallet.example", "http://localhost:3000"),
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &[signature], Vec::new(env)),
+        Ok(())
+    );
+}
+
+#[test]
+fn rejects_oversized_client_data() {
+    let account = setup();
+    let env = &account.env;
+    let key = passkey_key(3);
+    add_passkey(&account, b"credential-1", &key);
+    let payload = payload(env, 1);
+
+    let padded = std::format!(
+        "{}{}",
+        client_data(&payload),
+        " ".repeat(MAX_CLIENT_DATA_LEN)
+    );
+    let signature = webauthn_signature(
+        env,
+        &key,
+        b"credential-1",
+        &authenticator_data(env, 0x05),
+        &padded,
+    );
+    assert_eq!(
+        check_auth(&account, &payload, &[signature], Vec::new(env)),
+        Err(Ok(AccountError::InvalidClientData))
+    );
+}
+
+#[test]
+fn rejects_passkey_signatures_by_another_key() {
+    let account = setup();
+    let env = &account.env;
+    add_passkey(&account, b"credential-1", &passkey_key(3));
+    let payload = payload(env, 1);
+
+    let result = check_auth(
+        &account,
+        &payload,
+        &[passkey_signature(
+            env,
+            &passkey_key(4),
+            b"credential-1",
+            &payload,
+        )],
+        Vec::new(env),
+    );
+    assert!(result.is_err());
+}
+
+#[test]
+fn passkey_management_keeps_threshold_reachable() {
+    let account = setup();
+    let env = &account.env;
+    let credential = Bytes::from_slice(env, b"credential-1");
+    let key = passkey_public_key(env, &passkey_key(3));
+    let rp_id_hash = rp_id_hash(env, RP_ID);
+
+    assert_eq!(
+        account.client.try_remove_passkey(&credential),
+        Err(Ok(AccountError::PasskeyNotFound))
+    );
+    account.client.add_passkey(&credential, &key, &rp_id_hash);
+    assert_eq!(
+        account.client.passkeys().get(credential.clone()),
+        Some(Passkey {
+            public_key: key.clone(),
+            rp_id_hash: rp_id_hash.clone(),
+        })
+    );
+    assert_eq!(
+        account
+            .client
+            .try_add_passkey(&credential, &key, &rp_id_hash),
+        Err(Ok(AccountError::PasskeyExists))
+    );
+
+    account.client.set_threshold(&2);
+    assert_eq!(
+        account.client.try_remove_passkey(&credential),
+        Err(Ok(AccountError::InvalidThreshold))
+    );
+    account.client.set_threshold(&1);
+    account.client.remove_passkey(&credential);
+    assert!(account.client.passkeys().is_empty());
+}
+
+#[test]
+fn encodes_the_challenge_as_base64url() {
+    let env = Env::default();
+
+    assert_eq!(
+        &base64url_challenge(&BytesN::from_array(&env, &[0; 32])),
+        &[b'A'; 43]
+    );
+    let mut ones = [b'_'; 43];
+    ones[42] = b'8';
+    assert_eq!(
+        base64url_challenge(&BytesN::from_array(&env, &[0xff; 32])),
+        ones
+    );
+}
+
+/// Two guardians, both needed for a recovery.
+fn add_guardians(account: &Account) -> (Address, Address) {
+    let env = &account.env;
+    let first = Address::generate(env);
+    let second = Address::generate(env);
+    account
+        .client
+        .set_guardians(&vec![env, first.clone(), second.clone()], &2);
+    (first, second)
+}
+
+#[test]
+fn guardians_must_be_distinct_with_a_reachable_threshold() {
+    let account = setup();
+    let env = &account.env;
+    let guardian = Address::generate(env);
+    let one = vec![env, guardian.clone()];
+
+    assert_eq!(
+        account.client.try_set_guardians(&one, &0),
+        Err(Ok(AccountError::InvalidGuardians))
+    );
+    assert_eq!(
+        account.client.try_set_guardians(&one, &2),
+        Err(Ok(AccountError::InvalidGuardians))
+    );
+    assert_eq!(
+        account.client.try_set_guardians(&Vec::new(env), &1),
+        Err(Ok(AccountError::InvalidGuardians))
+    );
+    assert_eq!(
+        account
+            .client
+            .try_set_guardians(&vec![env, guardian.clone(), guardian.clone()], &1),
+        Err(Ok(AccountError::InvalidGuardians))
+    );
+    assert_eq!(
+        account
+            .client
+            .try_set_guardians(&vec![env, account.address.clone()], &1),
+        Err(Ok(AccountError::InvalidGuardians))
+    );
+
+    account.client.set_guardians(&one, &1);
+    assert_eq!(account.client.guardians(), (one, 1));
+}
+
+#[test]
+fn recovery_replaces_every_signer_after_the_delay() {
+    let account = setup();
+    let env = &account.env;
+    let (first, second) = add_guardians(&account);
+    let new_key = ed25519_key(8);
+    let new_signer = public_key(env, &new_key);
+    add_passkey(&account, b"credential-1", &passkey_key(3));
+    account.client.add_session_key(
+        &public_key(env, &ed25519_key(5)),
+        &vec![env, Address::generate(env)],
+        &Vec::new(env),
+        &Map::new(env),
+        &200,
+    );
+
+    assert_eq!(
+        account.client.try_complete_recovery(),
+        Err(Ok(AccountError::NoRecovery))
+    );
+    account.client.start_recovery(&first, &new_signer);
+    env.ledger().set_timestamp(RECOVERY_DELAY);
+    assert_eq!(
+        account.client.try_complete_recovery(),
+        Err(Ok(AccountError::RecoveryNotReady))
+    );
+
+    account.client.approve_recovery(&second, &new_signer);
+    account.client.complete_recovery();
+
+    assert_eq!(account.client.signers(), vec![env, new_signer]);
+    assert_eq!(account.client.threshold(), 1);
+    assert!(account.client.passkeys().is_empty());
+    assert!(account.client.session_keys().is_empty());
+    assert!(account.client.recovery().is_none());
+
+    let payload = payload(env, 1);
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &account.owner, &payload)],
+            Vec::new(env)
+        ),
+        Err(Ok(AccountError::UnknownSigner))
+    );
+    assert_eq!(
+        check_auth(
+            &account,
+            &payload,
+            &[ed25519_signature(env, &new_key, &payload)],
+            Vec::new(env)
+        ),
+        Ok(())
+    );
+}
+
+#[test]
+fn recovery_waits_for_the_delay() {
+    let account = setup();
+    let env = &account.env;
+    let (first, second) = add_guardians(&account);
+    let new_signer = public_key(env, &ed25519_key(8));
+
+    env.ledger().set_timestamp(1_000);
+    account.client.start_recovery(&first, &new_signer);
+    account.client.approve_recovery(&second, &new_signer);
+
+    env.ledger().set_timestamp(1_000 + RECOVERY_DELAY - 1);
+    assert_eq!(
+        account.client.try_complete_recovery(),
+        Err(Ok(AccountError::RecoveryNotReady))
+    );
+}
+
+#[test]
+fn recovery_is_limited_to_guardians_and_one_key() {
+    let account = setup();
+    let env = &account.env;
+    let (first, second) = add_guardians(&account);
+    let new_signer = public_key(env, &ed25519_key(8));
+    let other_signer = public_key(env, &ed25519_key(9));
+
+    assert_eq!(
+        account
+            .client
+            .try_start_recovery(&Address::generate(env), &new_signer),
+        Err(Ok(AccountError::NotGuardian))
+    );
+    assert_eq!(
+        account.client.try_approve_recovery(&second, &new_signer),
+        Err(Ok(AccountError::NoRecovery))
+    );
+
+    account.client.start_recovery(&first, &new_signer);
+    assert_eq!(
+        account.client.try_start_recovery(&second, &other_signer),
+        Err(Ok(AccountError::RecoveryInProgress))
+    );
+    assert_eq!(
+        account.client.try_approve_recovery(&second, &other_signer),
+        Err(Ok(AccountError::RecoveryMismatch))
+    );
+
+    // Approving twice does not count twice
+    account.client.approve_recovery(&first, &new_signer);
+    assert_eq!(account.client.recovery().unwrap().approvals.len(), 1);
+}
+
+#[test]
+fn account_can_cancel_a_recovery() {
+    let account = setup();
+    let env = &account.env;
+    let (first, _) = add_guardians(&account);
+
+    assert_eq!(
+        account.client.try_cancel_recovery(),
+        Err(Ok(AccountError::NoRecovery))
+    );
+    account
+        .client
+        .start_recovery(&first, &public_key(env, &ed25519_key(8)));
+    account.client.cancel_recovery();
+    assert!(account.client.recovery().is_none());
+}
+
+#[test]
+fn guardians_can_reject_a_recovery() {
+    let account = setup();
+    let env = &account.env;
+    let (first, second) = add_guardians(&account);
+    let third = Address::generate(env);
+    account
+        .client
+        .set_guardians(&vec![env, first.clone(), second.clone(), third.clone()], &2);
+    let new_signer = public_key(env, &ed25519_key(8));
+
+    assert_eq!(
+        account.client.try_reject_recovery(&second),
+        Err(Ok(AccountError::NoRecovery))
+    );
+    assert_eq!(
+        account.client.try_reject_recovery(&Address::generate(env)),
+        Err(Ok(AccountError::NotGuardian))
+    );
+
+    // A rejection withdraws an approval and rejecting twice does not count twice
+    account.client.start_recovery(&first, &new_signer);
+    account.client.approve_recovery(&second, &new_signer);
+    account.client.reject_recovery(&second);
+    account.client.reject_recovery(&second);
+    let recovery = account.client.recovery().unwrap();
+    assert_eq!(recovery.approvals, vec![env, first.clone()]);
+    assert_eq!(recovery.rejections, vec![env, second.clone()]);
+
+    // As many rejections as the recovery needs approvals cancel it
+    account.client.reject_recovery(&third);
+    assert!(account.client.recovery().is_none());
+
+    // And the guardians can start the recovery they want
+    let other_signer = public_key(env, &ed25519_key(9));
+    account.client.start_recovery(&second, &other_signer);
+    account.client.approve_recovery(&third, &other_signer);
+    env.ledger().set_timestamp(RECOVERY_DELAY);
+    account.client.complete_recovery();
+    assert_eq!(account.client.signers(), vec![env, other_signer]);
+}
+
+#[test]
+fn transfer_batch_pays_every_destination() {
+    let account = setup();
+    let env = &account.env;
+    let token = create_token(env, &account.address, 1_000);
+    let first = Address::generate(env);
+    let second = Address::generate(env);
+
+    account.client.transfer_batch(&vec![
+        env,
+        Payment {
+            amount: 100,
+            to: first.clone(),
+            token: token.clone(),
+        },
+        Payment {
+            amount: 250,
+            to: second.clone(),
+            token: token.clone(),
+        },
+    ]);
+
+    let client = token::Client::new(env, &token);
+    assert_eq!(client.balance(&first), 100);
+    assert_eq!(client.balance(&second), 250);
+    assert_eq!(client.balance(&account.address), 650);
+}
+
+#[test]
+fn transfer_batch_rejects_an_empty_batch() {
+    let account = setup();
+
+    assert_eq!(
+        account.client.try_transfer_batch(&Vec::new(&account.env)),
+        Err(Ok(AccountError::EmptyBatch))
+    );
+}
+
+#[test]
+fn transfer_batch_applies_the_policy_to_the_whole_batch() {
+    let account = setup();
+    let env = &account.env;
+    let token = create_token(env, &account.address, 1_000);
+    let allowed = Address::generate(env);
+    account.client.set_limit(&token, &Some(150), &None);
+    let payment = Payment {
+        amount: 100,
+        to: allowed.clone(),
+        token: token.clone(),
+    };
+
+    assert_eq!(
+        account
+            .client
+            .try_transfer_batch(&vec![env, payment.clone(), payment.clone()]),
+        Err(Ok(AccountError::LimitExceeded))
+    );
+    let client = token::Client::new(env, &token);
+    assert_eq!(client.balance(&account.address), 1_000);
+
+    account.client.set_allow_list(&vec![env, allowed]);
+    let elsewhere = Payment {
+        amount: 1,
+        to: Address::generate(env),
+        token: token.clone(),
+    };
+    assert_eq!(
+        account
+            .client
+            .try_transfer_batch(&vec![env, payment, elsewhere]),
+        Err(Ok(AccountError::DestinationNotAllowed))
+    );
+    assert_eq!(client.balance(&account.address), 1_000);
+}
@@ -13,6 +13,13 @@ if (typeof window !== 'undefined' && !window.crypto) {
   };
 }
 
+// jsdom doesn't implement SubtleCrypto; use Node's WebCrypto (keystore encryption)
+if (typeof window !== 'undefined' && window.crypto && !window.crypto.subtle) {
+  Object.defineProperty(window.crypto, 'subtle', {
+    value: require('crypto').webcrypto.subtle,
+  });
+}
+
 // Mock localStorage for tests
 const localStorageMock = {
   store: {},
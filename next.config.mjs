@@ -1,5 +1,28 @@
+import { execSync } from 'child_process';
+
+/**
+ * Identify the build; versions the service worker cache (public/sw.js)
+ * @returns {string} The commit being built, or a timestamp outside git
+ */
+function getBuildId() {
+  if (process.env.VERCEL_GIT_COMMIT_SHA) {
+    return process.env.VERCEL_GIT_COMMIT_SHA.slice(0, 12);
+  }
+  try {
+    return execSync('git rev-parse --short=12 HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return Date.now().toString(36);
+  }
+}
+
+const buildId = getBuildId();
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  env: {
+    NEXT_PUBLIC_BUILD_ID: buildId,
+  },
+  generateBuildId: async () => buildId,
   async redirects() {
     const network = process.env.NEXT_PUBLIC_STELLAR_NETWORK || 'testnet';
     return [
@@ -1,48 +1,123 @@
-const CACHE_NAME = 'lumenitos-v1';
+// The cache is versioned by the build (ServiceWorkerRegistration passes the
+// build id as ?v=), so every deployment installs a fresh cache and the
+// activate step drops the caches of older builds
+const CACHE_PREFIX = 'lumenitos-';
+const CACHE_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// App shell; the icons and Next.js chunks it references are added on install
 const urlsToCache = [
   '/',
-  '/manifest.json'
+  '/manifest.json',
+  '/apple-icon'
 ];
 
-// Install event - cache essential files
+// Next.js chunk URLs in the page HTML, including those in the RSC payload ("static/chunks/...")
+const STATIC_ASSET_PATTERN = /\/_next\/static\/[^"'\s)\\]+|static\/(?:chunks|css|media)\/[^"'\s)\\]+/g;
+
+/**
+ * Find the Next.js static assets a page loads
+ * @param {string} html - Page HTML
+ * @returns {string[]} Asset paths under /_next/static/
+ */
+function findStaticAssets(html) {
+  const paths = (html.match(STATIC_ASSET_PATTERN) || [])
+    .map((path) => (path.startsWith('/') ? path : `/_next/${path}`));
+  return [...new Set(paths)];
+}
+
+/**
+ * Cache the app shell, the manifest icons and the page's static assets
+ * Only the shell must succeed; a missing asset is fetched when it is used
+ * @returns {Promise<void>}
+ */
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(urlsToCache);
+
+  const [page, manifest] = await Promise.all([cache.match('/'), cache.match('/manifest.json')]);
+  const { icons = [] } = await manifest.json();
+  const assets = [...icons.map((icon) => icon.src), ...findStaticAssets(await page.text())];
+  await Promise.allSettled(assets.map((asset) => cache.add(asset)));
+}
+
+/**
+ * Cache a successful response
+ * @param {Request} request - The request
+ * @param {Response} response - Its response
+ * @returns {Response} The response
+ */
+function remember(request, response) {
+  if (response.ok) {
+    const responseClone = response.clone();
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.put(request, responseClone));
+  }
+  return response;
+}
+
+// Install event - cache the app shell and static chunks
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => cache.addAll(urlsToCache))
-      .then(() => self.skipWaiting())
+    precache().then(() => self.skipWaiting())
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up caches of older builds
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames
-          .filter((cacheName) => cacheName !== CACHE_NAME)
+          .filter((cacheName) => cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME)
           .map((cacheName) => caches.delete(cacheName))
       );
     }).then(() => self.clients.claim())
   );
 });
 
-// Fetch event - network first, fallback to cache
+// Fetch event - cache first for static chunks, network first for everything else
 self.addEventListener('fetch', (event) => {
   // Skip non-GET requests
   if (event.request.method !== 'GET') return;
 
-  // Skip external requests (Stellar RPC, etc.)
+  // Skip external requests (Stellar RPC, etc.); the wallet caches what it reads from them
   if (!event.request.url.startsWith(self.location.origin)) return;
 
+  const { pathname } = new URL(event.request.url);
+
+  // Static chunk names contain a content hash, so a cached copy never goes stale
+  if (pathname.startsWith('/_next/static/')) {
+    event.respondWith(
+      caches.match(event.request)
+        .then((cached) => cached || fetch(event.request).then((response) => remember(event.request, response)))
+    );
+    return;
+  }
+
   event.respondWith(
     fetch(event.request)
-      .then((response) => {
-        // Clone the response before caching
-        const responseClone = response.clone();
-        caches.open(CACHE_NAME)
-          .then((cache) => cache.put(event.request, responseClone));
-        return response;
+      .then((response) => remember(event.request, response))
+      .catch(async () => {
+        const cached = await caches.match(event.request);
+        // Pages not visited yet open the wallet
+        if (!cached && event.request.mode === 'navigate') {
+          return caches.match('/');
+        }
+        return cached;
       })
-      .catch(() => caches.match(event.request))
+  );
+});
+
+// Notification click - focus an open wallet window, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
   );
 });
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Deploy simple_account WASM and account_factory contract to a local
+ * stellar/quickstart network (docker run --rm -p 8000:8000 stellar/quickstart --local)
+ *
+ * The admin account is created with the local Friendbot, so no secret is needed.
+ * Set LOCAL_RPC_URL / LOCAL_FRIENDBOT_URL if quickstart is not on localhost:8000.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StellarSdk = require('@stellar/stellar-sdk');
+
+const LOCAL_RPC = process.env.LOCAL_RPC_URL || 'http://localhost:8000/rpc';
+const LOCAL_FRIENDBOT = process.env.LOCAL_FRIENDBOT_URL || 'http://localhost:8000/friendbot';
+const NETWORK_PASSPHRASE = 'Standalone Network ; February 2017';
+
+const adminKeypair = StellarSdk.Keypair.random();
+const rpcServer = new StellarSdk.rpc.Server(LOCAL_RPC, { allowHttp: LOCAL_RPC.startsWith('http://') });
+
+async function submit(operation, description) {
+  const sourceAccount = await rpcServer.getAccount(adminKeypair.publicKey());
+
+  let tx = new StellarSdk.TransactionBuilder(sourceAccount, {
+    fee: StellarSdk.BASE_FEE,
+    networkPassphrase: NETWORK_PASSPHRASE,
+  })
+    .addOperation(operation)
+    .setTimeout(300)
+    .build();
+
+  tx = await rpcServer.prepareTransaction(tx);
+  tx.sign(adminKeypair);
+
+  console.log(`Submitting ${description}...`);
+  const response = await rpcServer.sendTransaction(tx);
+  if (response.status === 'ERROR') {
+    console.error('Transaction error:', response);
+    throw new Error(`${description} failed`);
+  }
+
+  const result = await rpcServer.pollTransaction(response.hash, { attempts: 30 });
+  if (result.status !== 'SUCCESS') {
+    console.error('Transaction failed:', result);
+    throw new Error(`${description} failed: ${result.status}`);
+  }
+  return result;
+}
+
+async function uploadWasm(wasmPath, name) {
+  const wasmBuffer = fs.readFileSync(wasmPath);
+  const wasmHash = StellarSdk.hash(wasmBuffer).toString('hex');
+
+  await submit(StellarSdk.Operation.uploadContractWasm({ wasm: wasmBuffer }), `${name} WASM upload`);
+  console.log(`${name} WASM hash: ${wasmHash}`);
+  return wasmHash;
+}
+
+async function deployFactory(simpleAccountWasmHash) {
+  const factoryWasmPath = path.join(__dirname, '../contracts/account_factory/out/account_factory.wasm');
+  const factoryWasmHash = await uploadWasm(factoryWasmPath, 'account_factory');
+
+  const result = await submit(StellarSdk.Operation.createCustomContract({
+    address: new StellarSdk.Address(adminKeypair.publicKey()),
+    wasmHash: Buffer.from(factoryWasmHash, 'hex'),
+    constructorArgs: [StellarSdk.xdr.ScVal.scvBytes(Buffer.from(simpleAccountWasmHash, 'hex'))],
+  }), 'factory deployment');
+
+  return { contractId: StellarSdk.Address.fromScVal(result.returnValue).toString(), wasmHash: factoryWasmHash };
+}
+
+async function main() {
+  console.log('=== Deploying to local network ===');
+  console.log(`RPC: ${LOCAL_RPC}`);
+
+  try {
+    const funding = await fetch(`${LOCAL_FRIENDBOT}?addr=${encodeURIComponent(adminKeypair.publicKey())}`);
+    if (!funding.ok) {
+      throw new Error(`Friendbot funding failed: ${funding.status}`);
+    }
+    console.log(`Admin account: ${adminKeypair.publicKey()}`);
+
+    const simpleAccountPath = path.join(__dirname, '../contracts/simple_account/out/simple_account.wasm');
+    const simpleAccountWasmHash = await uploadWasm(simpleAccountPath, 'simple_account');
+    const factoryResult = await deployFactory(simpleAccountWasmHash);
+
+    console.log('\n=== Deployment Complete ===');
+    console.log('Add to .env.local:');
+    console.log(`NEXT_PUBLIC_LOCAL_ACCOUNT_FACTORY_ADDRESS=${factoryResult.contractId}`);
+  } catch (error) {
+    console.error('Deployment failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
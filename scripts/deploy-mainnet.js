@@ -101,8 +101,12 @@ async function deployFactory(simpleAccountWasmHash) {
 
   const sourceAccount = await rpcServer.getAccount(adminKeypair.publicKey());
 
-  // Create a salt from the admin's public key for deterministic deployment
-  const salt = StellarSdk.hash(Buffer.from(adminKeypair.publicKey()));
+  // Create a salt from the admin's public key and the simple_account WASM hash for deterministic
+  // deployment; the factory fixes the WASM hash in its constructor, so each WASM gets its own factory
+  const salt = StellarSdk.hash(Buffer.concat([
+    Buffer.from(adminKeypair.publicKey()),
+    Buffer.from(simpleAccountWasmHash, 'hex'),
+  ]));
 
   // Deploy with constructor args: simple_account WASM hash
   const wasmHashScVal = StellarSdk.xdr.ScVal.scvBytes(Buffer.from(simpleAccountWasmHash, 'hex'));
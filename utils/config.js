@@ -1,48 +1,225 @@
 /**
  * Configuration utility
  * Uses NEXT_PUBLIC_ prefixed environment variables for client-side access
+ *
+ * Every network the wallet can switch to at runtime has a preset below. The
+ * build network (NEXT_PUBLIC_STELLAR_NETWORK) is selected by default, and the
+ * NEXT_PUBLIC_STELLAR_* variables override its preset. Custom networks
+ * defined in the wallet are added at runtime (see utils/stellar/network.js).
  */
 
+const BUILD_NETWORK = process.env.NEXT_PUBLIC_STELLAR_NETWORK || 'testnet';
+
+/**
+ * Split a comma-separated list of URLs
+ * @param {string} value - Comma-separated URLs
+ * @returns {string[]} The URLs
+ */
+function parseUrls(value) {
+  return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// The contracts built from this repository; custom networks may name their own builds
+const simpleAccountWasmHash = process.env.NEXT_PUBLIC_SIMPLE_ACCOUNT_WASM_HASH;
+const accountFactoryWasmHash = process.env.NEXT_PUBLIC_ACCOUNT_FACTORY_WASM_HASH || 'f0a485779f0112659461678dd2d0e4ffeb4120d2e0afa9dc70c44b1be2d772cf';
+
+// Real funds live on the network with this passphrase, whatever the profile is called
+const MAINNET_PASSPHRASE = 'Public Global Stellar Network ; September 2015';
+
+// Network presets. A network without an RPC URL or factory address cannot be selected.
+const PRESETS = ['testnet', 'mainnet', 'futurenet', 'local'];
+const NETWORKS = {
+  testnet: {
+    label: 'testnet',
+    passphrase: 'Test SDF Network ; September 2015',
+    // Custom RPC with desc order support for getEvents, falls back to standard testnet RPC
+    sorobanRpcUrl: 'https://134-209-117-133.nip.io',
+    sorobanRpcFallbackUrls: ['https://soroban-testnet.stellar.org'],
+    friendbotUrl: 'https://friendbot.stellar.org',
+    explorerUrl: 'https://stellar.expert/explorer/testnet',
+    accountFactoryAddress: 'CDUIY5ADZ6MXJFKWMCTU2W3LN3UZJM3UNUTXPZBFA7FRB4UN22IETNIP',
+    gaslessUrl: 'https://channels.openzeppelin.com/testnet',
+  },
+  mainnet: {
+    label: 'mainnet',
+    passphrase: MAINNET_PASSPHRASE,
+    sorobanRpcUrl: 'https://rpc.lightsail.network',
+    sorobanRpcFallbackUrls: [],
+    friendbotUrl: null,
+    explorerUrl: 'https://stellar.expert/explorer/public',
+    accountFactoryAddress: process.env.NEXT_PUBLIC_MAINNET_ACCOUNT_FACTORY_ADDRESS || null,
+    gaslessUrl: 'https://channels.openzeppelin.com',
+  },
+  futurenet: {
+    label: 'futurenet',
+    passphrase: 'Test SDF Future Network ; October 2022',
+    sorobanRpcUrl: 'https://rpc-futurenet.stellar.org',
+    sorobanRpcFallbackUrls: [],
+    friendbotUrl: 'https://friendbot-futurenet.stellar.org',
+    explorerUrl: 'https://stellar.expert/explorer/futurenet',
+    accountFactoryAddress: process.env.NEXT_PUBLIC_FUTURENET_ACCOUNT_FACTORY_ADDRESS || null,
+    gaslessUrl: null,
+  },
+  // stellar/quickstart started with --local
+  local: {
+    label: 'local',
+    passphrase: 'Standalone Network ; February 2017',
+    sorobanRpcUrl: 'http://localhost:8000/rpc',
+    sorobanRpcFallbackUrls: [],
+    friendbotUrl: 'http://localhost:8000/friendbot',
+    explorerUrl: null,
+    accountFactoryAddress: process.env.NEXT_PUBLIC_LOCAL_ACCOUNT_FACTORY_ADDRESS || null,
+    gaslessUrl: null,
+  },
+};
+
+if (NETWORKS[BUILD_NETWORK]) {
+  const preset = NETWORKS[BUILD_NETWORK];
+  NETWORKS[BUILD_NETWORK] = {
+    ...preset,
+    sorobanRpcUrl: process.env.NEXT_PUBLIC_STELLAR_SOROBAN_RPC_URL || preset.sorobanRpcUrl,
+    // Endpoints the wallet fails over to when the one above is down or lagging (comma-separated)
+    sorobanRpcFallbackUrls: process.env.NEXT_PUBLIC_STELLAR_SOROBAN_RPC_FALLBACK_URLS !== undefined
+      ? parseUrls(process.env.NEXT_PUBLIC_STELLAR_SOROBAN_RPC_FALLBACK_URLS)
+      : preset.sorobanRpcFallbackUrls,
+    friendbotUrl: process.env.NEXT_PUBLIC_STELLAR_FRIENDBOT_URL || preset.friendbotUrl,
+    explorerUrl: process.env.NEXT_PUBLIC_STELLAR_EXPLORER_URL || preset.explorerUrl,
+    // Account factory contract address - used to deploy new simple_account instances
+    accountFactoryAddress: process.env.NEXT_PUBLIC_ACCOUNT_FACTORY_ADDRESS || preset.accountFactoryAddress,
+  };
+}
+
+let activeNetwork = NETWORKS[BUILD_NETWORK] ? BUILD_NETWORK : 'testnet';
+
 // Client-accessible configuration (safe to expose to browser)
 const publicConfig = {
+  // Settings of the active network
   stellar: {
-    network: process.env.NEXT_PUBLIC_STELLAR_NETWORK || 'testnet',
-    // Use custom RPC with desc order support for getEvents, falls back to standard testnet RPC
-    sorobanRpcUrl: process.env.NEXT_PUBLIC_STELLAR_SOROBAN_RPC_URL || 'https://134-209-117-133.nip.io',
-    friendbotUrl: process.env.NEXT_PUBLIC_STELLAR_FRIENDBOT_URL || 'https://friendbot.stellar.org',
-    explorerUrl: process.env.NEXT_PUBLIC_STELLAR_EXPLORER_URL || 'https://stellar.expert/explorer/testnet',
-    simpleAccountWasmHash: process.env.NEXT_PUBLIC_SIMPLE_ACCOUNT_WASM_HASH,
-    // Account factory contract address - used to deploy new simple_account instances
-    accountFactoryAddress: process.env.NEXT_PUBLIC_ACCOUNT_FACTORY_ADDRESS || 'CDUIY5ADZ6MXJFKWMCTU2W3LN3UZJM3UNUTXPZBFA7FRB4UN22IETNIP',
+    get network() {
+      return activeNetwork;
+    },
+    // Name to show for the active network (custom profiles have generated ids)
+    get networkLabel() {
+      return NETWORKS[activeNetwork].label || activeNetwork;
+    },
+    get sorobanRpcUrl() {
+      return NETWORKS[activeNetwork].sorobanRpcUrl;
+    },
+    get sorobanRpcFallbackUrls() {
+      return NETWORKS[activeNetwork].sorobanRpcFallbackUrls;
+    },
+    get friendbotUrl() {
+      return NETWORKS[activeNetwork].friendbotUrl;
+    },
+    get explorerUrl() {
+      return NETWORKS[activeNetwork].explorerUrl;
+    },
+    // Custom networks may run other builds of the contracts
+    get simpleAccountWasmHash() {
+      return NETWORKS[activeNetwork].simpleAccountWasmHash || simpleAccountWasmHash;
+    },
+    get accountFactoryAddress() {
+      return NETWORKS[activeNetwork].accountFactoryAddress;
+    },
     // Factory WASM hash - for TTL management
-    accountFactoryWasmHash: process.env.NEXT_PUBLIC_ACCOUNT_FACTORY_WASM_HASH || 'f0a485779f0112659461678dd2d0e4ffeb4120d2e0afa9dc70c44b1be2d772cf',
+    get accountFactoryWasmHash() {
+      return NETWORKS[activeNetwork].accountFactoryWasmHash || accountFactoryWasmHash;
+    },
   },
   gasless: {
-    enabled: !!process.env.NEXT_PUBLIC_OZ_CHANNELS_API_KEY,
+    // Channels API keys are issued per network, so the key only serves the build network
+    get enabled() {
+      return !!process.env.NEXT_PUBLIC_OZ_CHANNELS_API_KEY && activeNetwork === BUILD_NETWORK && !!this.baseUrl;
+    },
     apiKey: process.env.NEXT_PUBLIC_OZ_CHANNELS_API_KEY,
-    // Use testnet or mainnet endpoint based on network
     get baseUrl() {
-      return publicConfig.stellar.network === 'mainnet'
-        ? 'https://channels.openzeppelin.com'
-        : 'https://channels.openzeppelin.com/testnet';
+      return NETWORKS[activeNetwork].gaslessUrl;
     },
   },
   get networkPassphrase() {
-    return this.stellar.network === 'mainnet'
-      ? 'Public Global Stellar Network ; September 2015'
-      : 'Test SDF Network ; September 2015';
+    return NETWORKS[activeNetwork].passphrase;
   },
   get isTestnet() {
-    return this.stellar.network !== 'mainnet';
+    return NETWORKS[activeNetwork].passphrase !== MAINNET_PASSPHRASE;
   },
+  // Network selected when nothing else was saved
+  defaultNetwork: activeNetwork,
 };
 
+/**
+ * Check whether a network has what the wallet needs to run on it
+ * @param {string} id - Network id
+ * @returns {boolean} True if the network has an RPC URL and a factory address
+ */
+export function isNetworkAvailable(id) {
+  const network = NETWORKS[id];
+  return !!(network && network.sorobanRpcUrl && network.accountFactoryAddress);
+}
+
+/**
+ * Get the networks the wallet knows
+ * @returns {Array<{id: string, label: string, available: boolean, custom: boolean}>} Presets, then custom networks
+ */
+export function getNetworks() {
+  return Object.entries(NETWORKS).map(([id, network]) => ({
+    id,
+    label: network.label,
+    available: isNetworkAvailable(id),
+    custom: !PRESETS.includes(id),
+  }));
+}
+
+/**
+ * Add or replace a custom network
+ * @param {string} id - Network id
+ * @param {object} settings - label, passphrase, sorobanRpcUrl, friendbotUrl, accountFactoryAddress,
+ *   simpleAccountWasmHash and accountFactoryWasmHash
+ * @throws {Error} If the id is one of the presets
+ */
+export function addNetwork(id, settings) {
+  if (PRESETS.includes(id)) {
+    throw new Error(`Network ${id} is built in`);
+  }
+  NETWORKS[id] = {
+    sorobanRpcFallbackUrls: [],
+    friendbotUrl: null,
+    explorerUrl: null,
+    gaslessUrl: null,
+    ...settings,
+  };
+}
+
+/**
+ * Remove a custom network (the active network cannot be removed)
+ * @param {string} id - Network id
+ * @throws {Error} If the id is one of the presets or the active network
+ */
+export function removeNetwork(id) {
+  if (PRESETS.includes(id)) {
+    throw new Error(`Network ${id} is built in`);
+  }
+  if (id === activeNetwork) {
+    throw new Error('Switch to another network before removing this one');
+  }
+  delete NETWORKS[id];
+}
+
+/**
+ * Make a network the active one
+ * @param {string} id - Network id
+ */
+export function setActiveNetwork(id) {
+  if (!NETWORKS[id]) {
+    throw new Error(`Unknown network: ${id}`);
+  }
+  if (!isNetworkAvailable(id)) {
+    throw new Error(`Network ${id} is not configured`);
+  }
+  activeNetwork = id;
+}
+
 // Combined config export
-export const config = {
-  stellar: publicConfig.stellar,
-  networkPassphrase: publicConfig.networkPassphrase,
-  isTestnet: publicConfig.isTestnet,
-};
+export const config = publicConfig;
 
 // Export public config that can be imported directly in client components
 export default publicConfig;
@@ -0,0 +1,208 @@
+/**
+ * Scan utilities
+ * Address validation, token metadata and transfer lookups for the mini explorer
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { createRpcServer, getXlmContractId } from '../stellar/rpc';
+import { getStorage } from '../stellar/storage';
+import { getTokenMetadata as fetchTokenMetadata, getTokenBalance } from '../stellar/balance';
+import { parseTransferEvent } from '../stellar/transfer';
+import { formatAmount } from '../stellar/helpers';
+
+// Storage key prefix for cached token metadata (name, symbol, decimals)
+const METADATA_KEY_PREFIX = 'scan_token_metadata_';
+
+// Storage key for the list of manually tracked token contracts
+const TRACKED_TOKENS_KEY = 'scan_tracked_tokens';
+
+// How far back to look for token transfer events
+const TRANSFER_LOOKBACK_LEDGERS = 10000;
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Get the type of a Stellar address
+ * @param {string} address - The address to check
+ * @returns {'account' | 'contract' | null} Address type, or null if invalid
+ */
+export function getAddressType(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+  if (StellarSdk.StrKey.isValidEd25519PublicKey(address)) {
+    return 'account';
+  }
+  if (StellarSdk.StrKey.isValidContract(address)) {
+    return 'contract';
+  }
+  return null;
+}
+
+/**
+ * Check if a string is a valid G... or C... address
+ * @param {string} address - The address to check
+ * @returns {boolean} True if valid
+ */
+export function isValidAddress(address) {
+  return getAddressType(address) !== null;
+}
+
+/**
+ * Format a raw transfer amount using the token's decimals
+ * @param {bigint} rawAmount - Raw amount from the transfer event
+ * @param {number} decimals - Token decimals
+ * @returns {string} Formatted amount
+ */
+export function formatTransferAmount(rawAmount, decimals = 7) {
+  return formatAmount(rawAmount, decimals);
+}
+
+/**
+ * Get the display symbol for a token
+ * The native XLM SAC reports its symbol as "native"
+ * @param {string} symbol - Symbol returned by the token contract
+ * @returns {string} Display symbol
+ */
+export function formatTokenSymbol(symbol) {
+  return symbol === 'native' ? 'XLM' : symbol;
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Get SEP-41 token metadata (name, symbol, decimals)
+ * Results are cached in storage since metadata never changes
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<{ name: string, symbol: string, decimals: number }>} Token metadata
+ */
+export async function getTokenMetadata(tokenContractId, { rpcServer } = {}) {
+  const storage = getStorage();
+  const cacheKey = `${METADATA_KEY_PREFIX}${tokenContractId}`;
+
+  const cached = storage.get(cacheKey);
+  if (cached) {
+    try {
+      return JSON.parse(cached);
+    } catch {
+      storage.remove(cacheKey);
+    }
+  }
+
+  const metadata = await fetchTokenMetadata(tokenContractId, { rpcServer });
+  storage.set(cacheKey, JSON.stringify(metadata));
+  return metadata;
+}
+
+/**
+ * Fetch recent transfers of a token
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @param {number} limit - Maximum transfers to return
+ * @param {object} deps - Dependencies
+ * @returns {Promise<Array>} Array of transfers, newest first
+ */
+export async function getTokenTransfers(tokenContractId, limit = 20, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  try {
+    const latestLedgerInfo = await rpcServer.getLatestLedger();
+    const startLedger = Math.max(1, latestLedgerInfo.sequence - TRANSFER_LOOKBACK_LEDGERS);
+
+    const transferSymbol = StellarSdk.nativeToScVal('transfer', { type: 'symbol' });
+
+    const result = await rpcServer.getEvents({
+      startLedger,
+      filters: [{
+        type: 'contract',
+        contractIds: [tokenContractId],
+        topics: [[transferSymbol.toXDR('base64'), '*', '*', '**']],
+      }],
+      limit: 100,
+    });
+
+    if (!result.events || result.events.length === 0) {
+      return [];
+    }
+
+    const sortedEvents = result.events.sort((a, b) => b.ledger - a.ledger);
+    return sortedEvents.slice(0, limit).map(event => parseTransferEvent(event, null));
+  } catch (error) {
+    console.error('Error fetching token transfers:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// Tracked Tokens (storage side effects)
+// ============================================
+
+/**
+ * Get the list of tracked token contract IDs
+ * Native XLM is always tracked and listed first
+ * @returns {string[]} Token contract IDs
+ */
+export function getTrackedTokens() {
+  const storage = getStorage();
+  let tracked = [];
+
+  try {
+    tracked = JSON.parse(storage.get(TRACKED_TOKENS_KEY) || '[]');
+  } catch {
+    tracked = [];
+  }
+
+  const xlmContractId = getXlmContractId();
+  return [xlmContractId, ...tracked.filter(id => id !== xlmContractId)];
+}
+
+/**
+ * Start tracking a token contract
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @throws {Error} If the address is not a contract address
+ */
+export function addTrackedToken(tokenContractId) {
+  if (getAddressType(tokenContractId) !== 'contract') {
+    throw new Error('Token must be a contract address (C...)');
+  }
+
+  const tracked = getTrackedTokens().slice(1);
+  if (!tracked.includes(tokenContractId) && tokenContractId !== getXlmContractId()) {
+    tracked.push(tokenContractId);
+    getStorage().set(TRACKED_TOKENS_KEY, JSON.stringify(tracked));
+  }
+}
+
+/**
+ * Stop tracking a token contract (native XLM cannot be removed)
+ * @param {string} tokenContractId - The token contract address (C...)
+ */
+export function removeTrackedToken(tokenContractId) {
+  const tracked = getTrackedTokens().slice(1).filter(id => id !== tokenContractId);
+  getStorage().set(TRACKED_TOKENS_KEY, JSON.stringify(tracked));
+}
+
+/**
+ * Get balances of all tracked tokens for an address
+ * Tokens whose metadata or balance cannot be read are reported with an error
+ * @param {string} address - The address to check (G... or C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<Array<{ tokenContractId: string, raw?: bigint, display?: string, symbol?: string, decimals?: number, name?: string, error?: string }>>} Balances
+ */
+export async function getTrackedTokenBalances(address, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  return Promise.all(getTrackedTokens().map(async (tokenContractId) => {
+    try {
+      const metadata = await getTokenMetadata(tokenContractId, { rpcServer });
+      const balance = await getTokenBalance(tokenContractId, address, { rpcServer, metadata });
+      return { tokenContractId, ...balance };
+    } catch (error) {
+      return { tokenContractId, error: error.message };
+    }
+  }));
+}
@@ -0,0 +1,66 @@
+/**
+ * Account discovery
+ * Finds which SEP-0005 account indices of a mnemonic have been used on-chain
+ */
+
+import { createRpcServer } from './rpc';
+import { deriveKeypairFromMnemonic } from './keypair';
+import { deriveContractAddress } from './helpers';
+import { contractInstanceExists } from './contract';
+
+// Stop scanning after this many consecutive unused indices
+const DEFAULT_GAP_LIMIT = 3;
+
+// Never scan more than this many indices
+const DEFAULT_MAX_ACCOUNTS = 20;
+
+/**
+ * Check if a classic account exists (has been funded) on-chain
+ * @param {string} publicKey - The account public key (G...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<boolean>} True if the account exists
+ */
+export async function classicAccountExists(publicKey, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  try {
+    await rpcServer.getAccount(publicKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Scan account indices of a mnemonic for funded G accounts or deployed contract accounts
+ * Account 0 is always returned; scanning stops after `gapLimit` consecutive unused indices
+ * @param {string} mnemonic - The mnemonic phrase
+ * @param {object} deps - Dependencies
+ * @param {StellarSdk.rpc.Server} deps.rpcServer - RPC server instance
+ * @param {number} deps.gapLimit - Consecutive unused indices before stopping (default 3)
+ * @param {number} deps.maxAccounts - Maximum indices to scan (default 20)
+ * @returns {Promise<Array<{ index: number, publicKey: string, contractAddress: string, funded: boolean, deployed: boolean }>>} Used accounts, by index
+ */
+export async function discoverAccounts(mnemonic, { rpcServer, gapLimit = DEFAULT_GAP_LIMIT, maxAccounts = DEFAULT_MAX_ACCOUNTS } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  const found = [];
+  let unused = 0;
+
+  for (let index = 0; index < maxAccounts && unused < gapLimit; index++) {
+    const publicKey = deriveKeypairFromMnemonic(mnemonic, index).publicKey();
+    const contractAddress = deriveContractAddress(publicKey);
+
+    const [funded, deployed] = await Promise.all([
+      classicAccountExists(publicKey, { rpcServer }),
+      contractInstanceExists(contractAddress, { rpcServer }),
+    ]);
+
+    if (funded || deployed || index === 0) {
+      found.push({ index, publicKey, contractAddress, funded, deployed });
+    }
+    unused = funded || deployed ? 0 : unused + 1;
+  }
+
+  return found;
+}
@@ -1,12 +1,62 @@
 /**
  * Balance query functions
  * Unified balance fetching for both classic and contract accounts
+ * Supports native XLM and any SEP-41 token contract
  */
 
 import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '../config';
 import { createRpcServer } from './rpc';
-import { stroopsToXlm, formatXlmBalance } from './helpers';
+import { formatAmount } from './helpers';
+
+/**
+ * Get the native XLM Stellar Asset Contract (SAC) ID for the configured network
+ * @returns {string} The XLM SAC contract ID
+ */
+function getNativeContractId() {
+  return StellarSdk.Asset.native().contractId(config.networkPassphrase);
+}
+
+/**
+ * Build a read-only transaction invoking a contract method
+ * For read-only calls, a placeholder source account is used
+ * @param {string} contractId - The contract address (C...)
+ * @param {string} method - The method to invoke
+ * @param {...StellarSdk.xdr.ScVal} args - Method arguments
+ * @returns {StellarSdk.Transaction} The transaction to simulate
+ */
+function buildReadOnlyTransaction(contractId, method, ...args) {
+  const contract = new StellarSdk.Contract(contractId);
+  const placeholderKeypair = StellarSdk.Keypair.random();
+  const placeholderAccount = new StellarSdk.Account(placeholderKeypair.publicKey(), '0');
+
+  return new StellarSdk.TransactionBuilder(placeholderAccount, {
+    fee: '10000',
+    networkPassphrase: config.networkPassphrase
+  })
+    .addOperation(contract.call(method, ...args))
+    .setTimeout(30)
+    .build();
+}
+
+/**
+ * Simulate a read-only token method and return the native result
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @param {string} method - The method to invoke (e.g. 'decimals')
+ * @returns {Promise<any>} The native return value
+ * @throws {Error} If the simulation fails
+ */
+async function simulateTokenView(rpcServer, tokenContractId, method) {
+  const transaction = buildReadOnlyTransaction(tokenContractId, method);
+  const simulationResponse = await rpcServer.simulateTransaction(transaction);
+
+  if (!StellarSdk.rpc.Api.isSimulationSuccess(simulationResponse)) {
+    throw new Error(`Failed to read ${method} from token ${tokenContractId}`);
+  }
+
+  return StellarSdk.scValToNative(simulationResponse.result.retval);
+}
 
 /**
  * Get XLM balance for any address (G... or C...)
@@ -20,34 +70,12 @@ export async function getBalance(address, { rpcServer } = {}) {
   rpcServer = rpcServer || createRpcServer();
 
   try {
-    // Get the native XLM SAC contract ID
-    const xlmAsset = StellarSdk.Asset.native();
-    const xlmContractId = xlmAsset.contractId(config.networkPassphrase);
-    const contract = new StellarSdk.Contract(xlmContractId);
-
-    // Create address for the account we're checking
-    const addressObj = new StellarSdk.Address(address);
-
-    // Build a transaction to simulate the balance() call
-    // For read-only calls, use a placeholder account
-    const placeholderKeypair = StellarSdk.Keypair.random();
-    const placeholderAccount = new StellarSdk.Account(placeholderKeypair.publicKey(), '0');
-
-    const transaction = new StellarSdk.TransactionBuilder(placeholderAccount, {
-      fee: '10000',
-      networkPassphrase: config.networkPassphrase
-    })
-      .addOperation(contract.call('balance', addressObj.toScVal()))
-      .setTimeout(30)
-      .build();
-
-    const simulationResponse = await rpcServer.simulateTransaction(transaction);
+    const simulationResponse = await simulateBalanceQuery(address, { rpcServer });
 
     if (StellarSdk.rpc.Api.isSimulationSuccess(simulationResponse)) {
       const resultValue = simulationResponse.result.retval;
       const balanceStroops = StellarSdk.scValToNative(resultValue);
-      const balanceXLM = stroopsToXlm(balanceStroops);
-      return formatXlmBalance(balanceXLM);
+      return formatAmount(balanceStroops);
     } else {
       // Account might not exist or have no balance
       return '0';
@@ -61,31 +89,80 @@ export async function getBalance(address, { rpcServer } = {}) {
 // Alias for backwards compatibility
 export const getContractBalance = getBalance;
 
+/**
+ * Get SEP-41 token metadata via simulation
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<{ name: string, symbol: string, decimals: number }>} Token metadata
+ */
+export async function getTokenMetadata(tokenContractId, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  const [decimals, symbol, name] = await Promise.all([
+    simulateTokenView(rpcServer, tokenContractId, 'decimals'),
+    simulateTokenView(rpcServer, tokenContractId, 'symbol'),
+    simulateTokenView(rpcServer, tokenContractId, 'name'),
+  ]);
+
+  return {
+    name: String(name),
+    symbol: String(symbol),
+    decimals: Number(decimals),
+  };
+}
+
+/**
+ * Get the balance of any SEP-41 token for an address (G... or C...)
+ * @param {string} tokenContractId - The token contract address (C...)
+ * @param {string} address - The address to check (G... or C...)
+ * @param {object} deps - Dependencies
+ * @param {StellarSdk.rpc.Server} deps.rpcServer - RPC server instance
+ * @param {object} deps.metadata - Previously fetched token metadata (skips the metadata lookups)
+ * @returns {Promise<{ raw: bigint, display: string, decimals: number, symbol: string, name: string }>} Token balance
+ */
+export async function getTokenBalance(tokenContractId, address, { rpcServer, metadata } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  try {
+    const [tokenMetadata, simulationResponse] = await Promise.all([
+      metadata || getTokenMetadata(tokenContractId, { rpcServer }),
+      simulateBalanceQuery(address, { rpcServer, tokenContractId }),
+    ]);
+
+    // A failed simulation usually means the holder has no balance entry
+    let raw = 0n;
+    if (StellarSdk.rpc.Api.isSimulationSuccess(simulationResponse)) {
+      raw = BigInt(StellarSdk.scValToNative(simulationResponse.result.retval));
+    }
+
+    return {
+      raw,
+      display: formatAmount(raw, tokenMetadata.decimals),
+      decimals: tokenMetadata.decimals,
+      symbol: tokenMetadata.symbol,
+      name: tokenMetadata.name,
+    };
+  } catch (error) {
+    console.error('Error fetching token balance:', error);
+    throw error;
+  }
+}
+
 /**
  * Simulate a balance query (for testing transaction building)
  * Returns the raw simulation response
  * @param {string} address - The address to check
  * @param {object} deps - Dependencies
+ * @param {StellarSdk.rpc.Server} deps.rpcServer - RPC server instance
+ * @param {string} deps.tokenContractId - Token to query (defaults to native XLM)
  * @returns {Promise<object>} The simulation response
  */
-export async function simulateBalanceQuery(address, { rpcServer } = {}) {
+export async function simulateBalanceQuery(address, { rpcServer, tokenContractId } = {}) {
   rpcServer = rpcServer || createRpcServer();
+  tokenContractId = tokenContractId || getNativeContractId();
 
-  const xlmAsset = StellarSdk.Asset.native();
-  const xlmContractId = xlmAsset.contractId(config.networkPassphrase);
-  const contract = new StellarSdk.Contract(xlmContractId);
   const addressObj = new StellarSdk.Address(address);
-
-  const placeholderKeypair = StellarSdk.Keypair.random();
-  const placeholderAccount = new StellarSdk.Account(placeholderKeypair.publicKey(), '0');
-
-  const transaction = new StellarSdk.TransactionBuilder(placeholderAccount, {
-    fee: '10000',
-    networkPassphrase: config.networkPassphrase
-  })
-    .addOperation(contract.call('balance', addressObj.toScVal()))
-    .setTimeout(30)
-    .build();
+  const transaction = buildReadOnlyTransaction(tokenContractId, 'balance', addressObj.toScVal());
 
   return rpcServer.simulateTransaction(transaction);
 }
@@ -0,0 +1,295 @@
+/**
+ * Batch payments
+ * Pays many destinations from the contract account (e.g. a payroll CSV) with
+ * as few transactions as possible: payments are grouped into chunks that each
+ * go out as one transfer_batch call, and every row reports its own outcome
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { createRpcServer, getTokenContract, getXlmContractId } from './rpc';
+import { getStoredKeypair } from './keypair';
+import { parseAmount, XLM_DECIMALS } from './helpers';
+import { getContractAddress } from './wallets';
+import { getTokenMetadata } from './balance';
+import { buildTransferOperation } from './transfer';
+import {
+  contractInstanceExists,
+  deploySimpleAccount,
+  getAccountSigners,
+  getSpendingPolicy,
+  assertWithinSpendingPolicy,
+  invokeAsContractAccount,
+} from './contract';
+import { getPendingTransactions } from './tracker';
+
+// Payments per transaction. Each one adds its destination's balance entry to
+// the footprint, so larger chunks run into the per-transaction ledger entry
+// and instruction limits
+export const BATCH_CHUNK_SIZE = 10;
+
+// Failures before a transaction is submitted: nothing was paid, so the chunk
+// can be split to find the rows the simulation rejects
+const NOT_SUBMITTED_ERRORS = ['Transaction simulation failed', 'Contract account rejected the transaction'];
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Split a CSV line into cells, honouring double-quoted cells (pure function)
+ * @param {string} line - CSV line
+ * @returns {string[]} Trimmed cell values
+ */
+export function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+/**
+ * Resolve the token column of a batch row (pure function)
+ * @param {string} value - Empty or "XLM" for native XLM, a token symbol or a token contract ID (C...)
+ * @param {Array<{ tokenContractId: string, symbol: string, decimals: number }>} tokens - Known tokens
+ * @returns {{ tokenContractId: string | null, symbol: string, decimals: number | null }} Token (null contract ID for XLM, null decimals when unknown)
+ * @throws {Error} If the token is neither XLM, a known symbol nor a contract ID
+ */
+function resolveBatchToken(value, tokens) {
+  if (value === '' || value.toUpperCase() === 'XLM' || value.toLowerCase() === 'native') {
+    return { tokenContractId: null, symbol: 'XLM', decimals: XLM_DECIMALS };
+  }
+
+  const known = tokens.find(t => t.tokenContractId === value) ||
+    tokens.find(t => t.symbol.toLowerCase() === value.toLowerCase());
+  if (known) {
+    return { tokenContractId: known.tokenContractId, symbol: known.symbol, decimals: known.decimals };
+  }
+  if (StellarSdk.StrKey.isValidContract(value)) {
+    return { tokenContractId: value, symbol: value, decimals: null };
+  }
+  throw new Error(`Unknown token: ${value}`);
+}
+
+/**
+ * Parse batch payment rows from CSV text (pure function)
+ * Each line is destination,token,amount; a header line, blank lines and lines
+ * starting with # are skipped. Invalid rows are kept with an error so they
+ * can be shown next to the valid ones.
+ * @param {string} text - CSV text
+ * @param {Array<{ tokenContractId: string, symbol: string, decimals: number }>} tokens - Tokens that may be referred to by symbol
+ * @returns {Array<{ line: number, destination: string, tokenContractId: string | null, symbol: string, decimals: number | null, amount: string, error: string | null }>} Rows with their 1-based line numbers
+ */
+export function parseBatchCsv(text, tokens = []) {
+  const rows = [];
+
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    if (raw.trim() === '' || raw.trim().startsWith('#')) {
+      return;
+    }
+
+    const cells = splitCsvLine(raw);
+    if (rows.length === 0 && cells[0].toLowerCase() === 'destination') {
+      return;
+    }
+
+    const [destination = '', token = '', amount = ''] = cells;
+    const row = { line: index + 1, destination, tokenContractId: null, symbol: token, decimals: null, amount, error: null };
+    try {
+      if (cells.length !== 3) {
+        throw new Error('Expected destination,token,amount');
+      }
+      if (!StellarSdk.StrKey.isValidEd25519PublicKey(destination) && !StellarSdk.StrKey.isValidContract(destination)) {
+        throw new Error(`Invalid destination: ${destination}`);
+      }
+      Object.assign(row, resolveBatchToken(token, tokens));
+      if (row.decimals !== null && parseAmount(amount, row.decimals) <= 0n) {
+        throw new Error('Amount must be greater than zero');
+      }
+    } catch (error) {
+      row.error = error.message;
+    }
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+/**
+ * Split payments into chunks of at most `size` (pure function)
+ * @param {Array} payments - Payments
+ * @param {number} size - Largest chunk
+ * @returns {Array<Array>} Chunks in order
+ */
+export function chunkPayments(payments, size = BATCH_CHUNK_SIZE) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Invalid chunk size: ${size}`);
+  }
+
+  const chunks = [];
+  for (let i = 0; i < payments.length; i += size) {
+    chunks.push(payments.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Build a transfer_batch invocation on the contract account (pure function)
+ * @param {string} contractAddress - The contract account (C...)
+ * @param {Array<{ destination: string, tokenContractId: string, rawAmount: bigint }>} payments - Payments in the token's smallest unit
+ * @returns {StellarSdk.xdr.Operation} The invokeHostFunction operation
+ */
+export function buildBatchTransferOperation(contractAddress, payments) {
+  // Payment structs encode as maps with their fields in alphabetical order
+  const payment = ({ destination, tokenContractId, rawAmount }) => StellarSdk.xdr.ScVal.scvMap([
+    new StellarSdk.xdr.ScMapEntry({
+      key: StellarSdk.xdr.ScVal.scvSymbol('amount'),
+      val: StellarSdk.nativeToScVal(rawAmount, { type: 'i128' }),
+    }),
+    new StellarSdk.xdr.ScMapEntry({
+      key: StellarSdk.xdr.ScVal.scvSymbol('to'),
+      val: new StellarSdk.Address(destination).toScVal(),
+    }),
+    new StellarSdk.xdr.ScMapEntry({
+      key: StellarSdk.xdr.ScVal.scvSymbol('token'),
+      val: new StellarSdk.Address(tokenContractId).toScVal(),
+    }),
+  ]);
+
+  const contract = new StellarSdk.Contract(contractAddress);
+  return contract.call('transfer_batch', StellarSdk.xdr.ScVal.scvVec(payments.map(payment)));
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Send batch payments from the wallet's contract account
+ * Deploys the contract if needed and checks every row against the spending
+ * policy, counting the rows before it. Chunks the simulation rejects are split
+ * in half until the rejected rows are isolated; a lone row is sent as a plain
+ * transfer. Accounts deployed before batch support send one row per transaction.
+ * @param {Array} rows - Rows from parseBatchCsv (rows with an error are reported as failed)
+ * @param {object} deps - Dependencies
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs for multi-signer accounts
+ * @param {number} deps.chunkSize - Payments per transaction (default BATCH_CHUNK_SIZE)
+ * @returns {Promise<Array<object>>} The rows in order, each with status and the transaction hash or error: 'sent', 'failed', or 'pending' when the transaction was submitted but its outcome is unknown (it stays in the pending list)
+ */
+export async function sendBatchFromContractAccount(rows, { rpcServer, keypair, cosigners = [], chunkSize = BATCH_CHUNK_SIZE } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+
+  rpcServer = rpcServer || createRpcServer();
+  const contractAddress = getContractAddress(keypair.publicKey());
+  const results = rows.map(row => ({ ...row, status: row.error ? 'failed' : null, hash: null }));
+  const fail = (result, message) => Object.assign(result, { status: 'failed', error: message });
+
+  const pending = results.filter(result => !result.status);
+  if (pending.length === 0) {
+    return results;
+  }
+
+  // Check if contract exists, deploy if not
+  if (!(await contractInstanceExists(contractAddress, { rpcServer }))) {
+    await deploySimpleAccount({ rpcServer, keypair });
+  }
+
+  // Read the decimals of tokens given by contract ID only
+  const unknownTokens = [...new Set(pending.filter(r => r.decimals === null).map(r => r.tokenContractId))];
+  const decimals = {};
+  await Promise.all(unknownTokens.map(async tokenContractId => {
+    try {
+      decimals[tokenContractId] = (await getTokenMetadata(tokenContractId, { rpcServer })).decimals;
+    } catch (error) {
+      console.error(`Error reading token ${tokenContractId}:`, error);
+    }
+  }));
+
+  const policy = await getSpendingPolicy(contractAddress, { rpcServer });
+  const spent = {};
+  const payments = [];
+  pending.forEach(result => {
+    try {
+      const rowDecimals = result.decimals ?? decimals[result.tokenContractId];
+      if (rowDecimals === undefined) {
+        throw new Error('Could not read the token decimals');
+      }
+      const tokenContractId = result.tokenContractId || getXlmContractId();
+      const rawAmount = parseAmount(result.amount, rowDecimals);
+      const total = (spent[tokenContractId] || 0n) + rawAmount;
+      assertWithinSpendingPolicy(policy, tokenContractId, result.destination, total);
+
+      spent[tokenContractId] = total;
+      payments.push({ result, destination: result.destination, tokenContractId, rawAmount });
+    } catch (error) {
+      fail(result, error.message);
+    }
+  });
+
+  const account = await getAccountSigners(contractAddress, { rpcServer });
+  // transfer_batch shipped in the same contract version as passkeys
+  const size = account?.passkeys ? chunkSize : 1;
+
+  const sendChunk = async (chunk) => {
+    const [first] = chunk;
+    const operation = chunk.length === 1
+      ? buildTransferOperation(getTokenContract(first.tokenContractId), contractAddress, first.destination, first.rawAmount)
+      : buildBatchTransferOperation(contractAddress, chunk);
+
+    let hash = null;
+    const onProgress = (progress) => {
+      hash = hash || progress.hash;
+    };
+
+    try {
+      const response = await invokeAsContractAccount(operation, { rpcServer, keypair, cosigners, onProgress });
+      chunk.forEach(({ result }) => Object.assign(result, { status: 'sent', hash: response.txHash || response.hash }));
+    } catch (error) {
+      if (chunk.length > 1 && NOT_SUBMITTED_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+        const middle = Math.ceil(chunk.length / 2);
+        await sendChunk(chunk.slice(0, middle));
+        await sendChunk(chunk.slice(middle));
+        return;
+      }
+      console.error('Error sending batch payments:', error);
+      // Still in the pending list: the outcome is unknown (e.g. the RPC is
+      // unreachable) and the transaction may yet be included
+      if (hash && getPendingTransactions().some(entry => entry.hash === hash)) {
+        chunk.forEach(({ result }) => Object.assign(result, { status: 'pending', hash, error: error.message }));
+        return;
+      }
+      chunk.forEach(({ result }) => fail(result, error.message));
+    }
+  };
+
+  for (const chunk of chunkPayments(payments, size)) {
+    await sendChunk(chunk);
+  }
+
+  return results;
+}
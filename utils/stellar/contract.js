@@ -5,16 +5,37 @@
 
 import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '../config';
-import { createRpcServer, getXlmContract } from './rpc';
-import { getStoredKeypair } from './keypair';
+import { createRpcServer, getTokenContract } from './rpc';
+import { getStoredKeypair, rotateWalletKey, resumeKeyRotation } from './keypair';
 import {
   deriveContractAddress,
   buildInstanceLedgerKey,
   computeNetworkIdHash,
-  waitForTransaction,
-  xlmToStroops
+  parseAmount
 } from './helpers';
-import { signAuthEntry, parseAuthEntry, bumpInstructionLimit } from './transfer';
+import { getInclusionFee } from './fees';
+import { trackTransaction } from './tracker';
+import { isSimulationFailure, describeSimulationError } from './errors';
+import {
+  signAuthEntry,
+  buildAuthPayload,
+  parseAuthEntry,
+  bumpInstructionLimit,
+  buildTransferOperation,
+  checkClassicAccountMovable,
+  moveClassicAccount,
+} from './transfer';
+import { getStoredSessionKeys, saveSessionKey, removeSavedSessionKey, findSessionKeypair } from './session';
+import {
+  toBase64Url,
+  fromBase64Url,
+  getStoredPasskeys,
+  savePasskey,
+  removeSavedPasskey,
+  createPasskey,
+  getPasskeyAssertion,
+} from './passkey';
+import { getContractAddress, contractAddressOf } from './wallets';
 
 /**
  * Check if a contract instance exists on-chain
@@ -64,7 +85,7 @@ export async function deploySimpleAccount({ rpcServer, keypair } = {}) {
   const factoryContract = new StellarSdk.Contract(factoryAddress);
 
   let transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
-    fee: '10000000',
+    fee: await getInclusionFee({ rpcServer }),
     networkPassphrase: config.networkPassphrase,
   })
     .addOperation(
@@ -79,128 +100,860 @@ export async function deploySimpleAccount({ rpcServer, keypair } = {}) {
   // Simulate to get resource requirements
   const simResult = await rpcServer.simulateTransaction(transaction);
 
-  if (!StellarSdk.rpc.Api.isSimulationSuccess(simResult)) {
-    const errorMsg = simResult.error || 'Unknown simulation error';
-    throw new Error(`Factory deployment simulation failed: ${errorMsg}`);
+  if (isSimulationFailure(simResult)) {
+    throw new Error(`Factory deployment simulation failed: ${describeSimulationError(simResult)}`);
   }
 
   // Assemble with simulation results
   transaction = StellarSdk.rpc.assembleTransaction(transaction, simResult).build();
   transaction.sign(keypair);
 
-  const response = await rpcServer.sendTransaction(transaction);
+  await trackTransaction(rpcServer, transaction, { keypair });
+
+  return deriveContractAddress(publicKey);
+}
 
-  if (response.status === 'PENDING') {
-    await waitForTransaction(rpcServer, response.hash);
-    return deriveContractAddress(publicKey);
+// Extra instructions budgeted per ed25519 signature verified in __check_auth
+export const INSTRUCTIONS_PER_SIGNATURE = 1000000;
+
+// Seconds before a change that loosens the spending policy takes effect
+// (POLICY_DELAY in the simple_account contract)
+export const POLICY_DELAY_SECONDS = 24 * 60 * 60;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const SECONDS_PER_WEEK = 7 * SECONDS_PER_DAY;
+
+/**
+ * Index a simple_account instance storage by key name (pure function)
+ * @param {Array<StellarSdk.xdr.ScMapEntry>} storage - Contract instance storage
+ * @returns {Object<string, StellarSdk.xdr.ScVal>} Values of the DataKey entries
+ */
+export function readInstanceValues(storage) {
+  const values = {};
+  for (const entry of storage || []) {
+    const key = entry.key();
+    // contracttype enum unit variants are stored as Vec[Symbol(name)]
+    if (key.switch().name === 'scvVec' && key.vec()?.length === 1 && key.vec()[0].switch().name === 'scvSymbol') {
+      values[key.vec()[0].sym().toString()] = entry.val();
+    }
   }
+  return values;
+}
 
-  if (response.status === 'ERROR') {
-    throw new Error(`Factory deployment failed: ${JSON.stringify(response.errorResult)}`);
+/**
+ * Read the signer configuration from a simple_account instance storage (pure function)
+ * Accounts deployed before multi-signer support store a single `Owner` key; accounts
+ * deployed before passkey support have no `Passkeys` map and take untagged signatures
+ * @param {Array<StellarSdk.xdr.ScMapEntry>} storage - Contract instance storage
+ * @returns {{ signers: string[], threshold: number, multisig: boolean, passkeys: Array<{ credentialId: string, publicKey: Buffer, rpIdHash: Buffer }> | null } | null} Signers (G...), threshold, whether the account takes a signatures Vec, and its passkeys (null without passkey support)
+ */
+export function parseAccountSigners(storage) {
+  const values = readInstanceValues(storage);
+
+  if (values.Signers) {
+    return {
+      signers: values.Signers.vec().map(v => StellarSdk.StrKey.encodeEd25519PublicKey(v.bytes())),
+      threshold: values.Threshold ? values.Threshold.u32() : 1,
+      multisig: true,
+      passkeys: values.Passkeys
+        ? (values.Passkeys.map() || []).map(entry => {
+          const { public_key: publicKey, rp_id_hash: rpIdHash } = StellarSdk.scValToNative(entry.val());
+          return { credentialId: toBase64Url(entry.key().bytes()), publicKey, rpIdHash };
+        })
+        : null,
+    };
   }
+  if (values.Owner) {
+    return {
+      signers: [StellarSdk.StrKey.encodeEd25519PublicKey(values.Owner.bytes())],
+      threshold: 1,
+      multisig: false,
+      passkeys: null,
+    };
+  }
+  return null;
+}
 
-  return deriveContractAddress(publicKey);
+/**
+ * Parse co-signer secret keys into keypairs (pure function)
+ * Blank entries are ignored
+ * @param {string[]} secrets - Secret keys (S...)
+ * @returns {StellarSdk.Keypair[]} Co-signer keypairs
+ * @throws {Error} If a secret key is invalid
+ */
+export function cosignersFromSecrets(secrets = []) {
+  return secrets
+    .map(secret => secret.trim())
+    .filter(Boolean)
+    .map(secret => {
+      if (!StellarSdk.StrKey.isValidEd25519SecretSeed(secret)) {
+        throw new Error('Invalid co-signer secret key');
+      }
+      return StellarSdk.Keypair.fromSecret(secret);
+    });
+}
+
+/**
+ * Pick the keypairs and passkeys that sign for a contract account (pure function)
+ * Passkeys ask the user to confirm each signature, so they only make up for missing keys
+ * @param {{ signers: string[], threshold: number, multisig: boolean, passkeys: Array | null } | null} account - Account signer configuration
+ * @param {StellarSdk.Keypair} keypair - The wallet keypair
+ * @param {StellarSdk.Keypair[]} cosigners - Additional signer keypairs
+ * @param {Array<{ credentialId: string }>} passkeys - Passkeys held by the wallet (see getStoredPasskeys)
+ * @returns {StellarSdk.Keypair | Array<StellarSdk.Keypair | { credentialId: string }>} A single keypair for legacy accounts, otherwise the signing keypairs and passkeys
+ * @throws {Error} If a co-signer is not a signer or the threshold cannot be met
+ */
+export function selectAccountSigners(account, keypair, cosigners = [], passkeys = []) {
+  if (!account || !account.multisig) {
+    if (cosigners.length > 0) {
+      throw new Error('This account does not support multiple signers');
+    }
+    return keypair;
+  }
+
+  cosigners.forEach(cosigner => {
+    if (!account.signers.includes(cosigner.publicKey())) {
+      throw new Error(`Not a signer of this account: ${cosigner.publicKey()}`);
+    }
+  });
+
+  const signing = [];
+  [keypair, ...cosigners].forEach(kp => {
+    if (account.signers.includes(kp.publicKey()) && !signing.some(s => s.publicKey() === kp.publicKey())) {
+      signing.push(kp);
+    }
+  });
+
+  const registered = (account.passkeys || []).map(p => p.credentialId);
+  const usable = passkeys.filter(p => registered.includes(p.credentialId));
+  signing.push(...usable.slice(0, Math.max(account.threshold - signing.length, 0)));
+
+  if (signing.length < account.threshold) {
+    throw new Error(`This account requires ${account.threshold} signatures (${signing.length} provided)`);
+  }
+  return signing;
+}
+
+/**
+ * Read the instance storage of a deployed contract
+ * @param {string} contractAddress - The contract address (C...)
+ * @param {StellarSdk.rpc.Server} rpcServer - RPC server instance
+ * @returns {Promise<{ storage: Array<StellarSdk.xdr.ScMapEntry>, latestLedger: number } | null>} Storage and the ledger it was read at, or null if not deployed
+ */
+export async function getInstanceStorage(contractAddress, rpcServer) {
+  const contractId = StellarSdk.StrKey.decodeContract(contractAddress);
+  const response = await rpcServer.getLedgerEntries(buildInstanceLedgerKey(contractId));
+  if (!response.entries || response.entries.length === 0) {
+    return null;
+  }
+
+  try {
+    const instance = response.entries[0].val.contractData().val().instance();
+    return { storage: instance.storage(), latestLedger: response.latestLedger };
+  } catch (error) {
+    console.error('Error reading contract instance storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the signers and threshold of a contract account
+ * Passkeys are marked as held (with their name) when this wallet registered them
+ * @param {string} contractAddress - The contract address (C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object | null>} Signer configuration (see parseAccountSigners), or null if not deployed
+ */
+export async function getAccountSigners(contractAddress, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  const instance = await getInstanceStorage(contractAddress, rpcServer);
+  const account = instance ? parseAccountSigners(instance.storage) : null;
+  if (!account?.passkeys) {
+    return account;
+  }
+
+  const held = getStoredPasskeys().filter(p => p.account === contractAddress);
+  return {
+    ...account,
+    passkeys: account.passkeys.map(passkey => {
+      const stored = held.find(p => p.credentialId === passkey.credentialId);
+      return { ...passkey, held: Boolean(stored), name: stored ? stored.name : null };
+    }),
+  };
+}
+
+/**
+ * Read the spending policy from a simple_account instance storage (pure function)
+ * Pending changes whose delay has passed are treated as in force, like the contract does
+ * @param {Array<StellarSdk.xdr.ScMapEntry>} storage - Contract instance storage
+ * @param {number} now - Current time in seconds
+ * @returns {{ limits: object, spending: object, allowList: string[], pendingLimits: object, pendingAllowList: { destinations: string[], effectiveAt: number } | null }} Limits ({ daily, weekly } raw amounts or null) and spending ({ day, daySpent, week, weekSpent }) by token contract ID, the allow-list, and changes still waiting for their delay
+ */
+export function parseSpendingPolicy(storage, now = Math.floor(Date.now() / 1000)) {
+  const values = readInstanceValues(storage);
+  const read = (key) => (values[key] ? StellarSdk.scValToNative(values[key]) : null);
+  const toLimit = (limit) => ({ daily: limit.daily ?? null, weekly: limit.weekly ?? null });
+
+  const limits = {};
+  Object.entries(read('Limits') || {}).forEach(([token, limit]) => {
+    limits[token] = toLimit(limit);
+  });
+
+  const pendingLimits = {};
+  Object.entries(read('PendingLimits') || {}).forEach(([token, pending]) => {
+    const limit = toLimit(pending.limit);
+    const effectiveAt = Number(pending.effective_at);
+    if (effectiveAt > now) {
+      pendingLimits[token] = { ...limit, effectiveAt };
+    } else if (limit.daily === null && limit.weekly === null) {
+      delete limits[token];
+    } else {
+      limits[token] = limit;
+    }
+  });
+
+  const spending = {};
+  Object.entries(read('Spending') || {}).forEach(([token, spent]) => {
+    spending[token] = {
+      day: Number(spent.day),
+      daySpent: spent.day_spent,
+      week: Number(spent.week),
+      weekSpent: spent.week_spent,
+    };
+  });
+
+  let allowList = read('AllowList') || [];
+  let pendingAllowList = null;
+  const pendingList = read('PendingAllowList');
+  if (pendingList) {
+    const effectiveAt = Number(pendingList.effective_at);
+    if (effectiveAt > now) {
+      pendingAllowList = { destinations: pendingList.destinations, effectiveAt };
+    } else {
+      allowList = pendingList.destinations;
+    }
+  }
+
+  return { limits, spending, allowList, pendingLimits, pendingAllowList };
+}
+
+/**
+ * Get how much of a token can still be spent today and this week (pure function)
+ * Days and weeks are counted in UTC from the Unix epoch, like the contract does
+ * @param {object} policy - Policy from parseSpendingPolicy
+ * @param {string} tokenContractId - Token contract ID (C...)
+ * @param {number} now - Current time in seconds
+ * @returns {{ daily: bigint | null, weekly: bigint | null } | null} Remaining raw amounts (null for a period without limit), or null if the token has no limit
+ */
+export function getRemainingAllowance(policy, tokenContractId, now = Math.floor(Date.now() / 1000)) {
+  const limit = policy?.limits[tokenContractId];
+  if (!limit) {
+    return null;
+  }
+
+  const spent = policy.spending[tokenContractId];
+  const daySpent = spent && spent.day === Math.floor(now / SECONDS_PER_DAY) ? spent.daySpent : 0n;
+  const weekSpent = spent && spent.week === Math.floor(now / SECONDS_PER_WEEK) ? spent.weekSpent : 0n;
+  const remaining = (max, used) => (max === null ? null : (max > used ? max - used : 0n));
+
+  return { daily: remaining(limit.daily, daySpent), weekly: remaining(limit.weekly, weekSpent) };
 }
 
 /**
- * Send XLM from contract account
- * Deploys contract if needed, signs auth entries for custom account
+ * Check a payment against the spending policy (pure function)
+ * The contract enforces the same rules; checking first gives a readable error
+ * @param {object | null} policy - Policy from parseSpendingPolicy (null: no policy)
+ * @param {string} tokenContractId - Token contract ID (C...)
  * @param {string} destination - Destination address
- * @param {string} amount - Amount in XLM
+ * @param {bigint} rawAmount - Amount in the token's smallest unit
+ * @param {number} now - Current time in seconds
+ * @throws {Error} If the destination is not allowed or the amount exceeds the remaining allowance
+ */
+export function assertWithinSpendingPolicy(policy, tokenContractId, destination, rawAmount, now = Math.floor(Date.now() / 1000)) {
+  if (!policy) {
+    return;
+  }
+  if (policy.allowList.length > 0 && !policy.allowList.includes(destination)) {
+    throw new Error(`Destination is not on the allow-list: ${destination}`);
+  }
+
+  const remaining = getRemainingAllowance(policy, tokenContractId, now);
+  if (remaining?.daily != null && rawAmount > remaining.daily) {
+    throw new Error('Amount exceeds the remaining daily limit');
+  }
+  if (remaining?.weekly != null && rawAmount > remaining.weekly) {
+    throw new Error('Amount exceeds the remaining weekly limit');
+  }
+}
+
+/**
+ * Get the spending policy of a contract account
+ * @param {string} contractAddress - The contract address (C...)
  * @param {object} deps - Dependencies
- * @returns {Promise<object>} Transaction result
+ * @returns {Promise<object | null>} Policy (see parseSpendingPolicy), or null if not deployed or deployed before policy support
  */
-export async function sendFromContractAccount(destination, amount, { rpcServer, keypair } = {}) {
-  keypair = keypair || getStoredKeypair();
-  if (!keypair) {
-    throw new Error('No keypair found in storage');
+export async function getSpendingPolicy(contractAddress, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  const instance = await getInstanceStorage(contractAddress, rpcServer);
+  // Accounts deployed before multi-signer support cannot hold a policy
+  if (!instance || !parseAccountSigners(instance.storage)?.multisig) {
+    return null;
+  }
+  return parseSpendingPolicy(instance.storage);
+}
+
+/**
+ * Read the session keys from a simple_account instance storage (pure function)
+ * @param {Array<StellarSdk.xdr.ScMapEntry>} storage - Contract instance storage
+ * @returns {Array<{ publicKey: string, contracts: string[], functions: string[], spendLimits: object, spent: object, expirationLedger: number }>} Session keys, including expired ones; spend limits and amounts spent are raw amounts by token contract ID
+ */
+export function parseSessionKeys(storage) {
+  const sessions = readInstanceValues(storage).SessionKeys;
+  if (!sessions) {
+    return [];
   }
 
+  return sessions.map().map(entry => {
+    const session = StellarSdk.scValToNative(entry.val());
+    return {
+      publicKey: StellarSdk.StrKey.encodeEd25519PublicKey(entry.key().bytes()),
+      contracts: session.contracts,
+      functions: session.functions,
+      spendLimits: session.spend_limits,
+      spent: session.spent,
+      expirationLedger: Number(session.expiration_ledger),
+    };
+  });
+}
+
+/**
+ * Get the session keys of a contract account
+ * @param {string} contractAddress - The contract address (C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<Array<object> | null>} Session keys (see parseSessionKeys) flagged `expired` and `held` (secret stored in this wallet), or null if not deployed or deployed before session key support
+ */
+export async function getSessionKeys(contractAddress, { rpcServer } = {}) {
   rpcServer = rpcServer || createRpcServer();
-  const publicKey = keypair.publicKey();
-  const contractAddress = deriveContractAddress(publicKey);
 
-  // Check if contract exists, deploy if not
-  const exists = await contractInstanceExists(contractAddress, { rpcServer });
-  if (!exists) {
-    console.log('Contract does not exist, deploying...');
-    await deploySimpleAccount({ rpcServer, keypair });
-    console.log('Contract deployed at:', contractAddress);
+  const instance = await getInstanceStorage(contractAddress, rpcServer);
+  if (!instance || !parseAccountSigners(instance.storage)?.multisig) {
+    return null;
+  }
+
+  const held = getStoredSessionKeys();
+  return parseSessionKeys(instance.storage).map(session => ({
+    ...session,
+    expired: session.expirationLedger < instance.latestLedger,
+    held: held.some(k => k.publicKey === session.publicKey && k.account === contractAddress),
+  }));
+}
+
+/**
+ * Sign the address-credential auth entries of a simulation for the wallet's contract account
+ * Uses a held session key when one covers every authorized call, otherwise the account signers
+ * (held passkeys sign through the browser when the keys are not enough)
+ * @param {Array} authEntries - Auth entries from simulation
+ * @param {number} validUntilLedger - Signature expiration ledger
+ * @param {object} deps - Dependencies
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs
+ * @returns {Promise<{ authEntries: Array<StellarSdk.xdr.SorobanAuthorizationEntry>, signatureCount: number }>} Signed entries and signatures per entry
+ */
+export async function signContractAccountAuth(authEntries, validUntilLedger, { rpcServer, keypair, cosigners = [] } = {}) {
+  const entries = authEntries.map(parseAuthEntry);
+  const isAccountEntry = (auth) => auth.credentials().switch().name === 'sorobanCredentialsAddress';
+
+  // Nothing to sign when the invocation needs no authorization from the contract account
+  if (!entries.some(isAccountEntry)) {
+    return { authEntries: entries, signatureCount: 0 };
+  }
+
+  const contractAddress = getContractAddress(keypair.publicKey());
+  const account = await getAccountSigners(contractAddress, { rpcServer });
+
+  // A held session key whose scope covers the invocation signs instead of the account signers
+  let sessionKeypair = null;
+  if (cosigners.length === 0 && account?.multisig && getStoredSessionKeys().some(k => k.account === contractAddress)) {
+    const sessions = await getSessionKeys(contractAddress, { rpcServer });
+    sessionKeypair = await findSessionKeypair(sessions || [], entries.filter(isAccountEntry), contractAddress, validUntilLedger, keypair);
+  }
+
+  const passkeys = account?.passkeys ? getStoredPasskeys().filter(p => p.account === contractAddress) : [];
+  const signers = sessionKeypair ? [sessionKeypair] : selectAccountSigners(account, keypair, cosigners, passkeys);
+  const networkIdHash = computeNetworkIdHash();
+  const tagged = Boolean(account?.passkeys);
+
+  // Passkeys sign each payload as a WebAuthn challenge; the browser handles one prompt at a time
+  const signed = [];
+  for (const auth of entries) {
+    if (!isAccountEntry(auth)) {
+      signed.push(auth);
+      continue;
+    }
+    let entrySigners = signers;
+    if (Array.isArray(signers) && signers.some(s => s.credentialId)) {
+      const payload = buildAuthPayload(auth, validUntilLedger, networkIdHash);
+      entrySigners = [];
+      for (const signer of signers) {
+        entrySigners.push(signer.credentialId ? await getPasskeyAssertion(payload, signer.credentialId) : signer);
+      }
+    }
+    signed.push(signAuthEntry(auth, entrySigners, validUntilLedger, networkIdHash, tagged));
   }
 
-  const xlmContract = getXlmContract();
-  const stroops = xlmToStroops(amount);
+  return { authEntries: signed, signatureCount: Array.isArray(signers) ? signers.length : 1 };
+}
+
+/**
+ * Attach auth entries to the invokeHostFunction operation of a transaction
+ * @param {StellarSdk.Transaction} transaction - Unsigned transaction
+ * @param {Array<StellarSdk.xdr.SorobanAuthorizationEntry>} authEntries - Auth entries
+ * @returns {StellarSdk.Transaction} A copy of the transaction carrying the auth entries
+ */
+function withAuthEntries(transaction, authEntries) {
+  const txEnvelope = StellarSdk.xdr.TransactionEnvelope.fromXDR(transaction.toXDR(), 'base64');
+  const ops = txEnvelope.v1().tx().operations();
+
+  if (ops.length > 0 && ops[0].body().switch().name === 'invokeHostFunction') {
+    ops[0].body().invokeHostFunctionOp().auth(authEntries);
+  }
+
+  return new StellarSdk.Transaction(txEnvelope, config.networkPassphrase);
+}
 
+/**
+ * Simulate a contract invocation as the wallet's contract account will authorize it
+ * Simulates, signs the contract account auth entries and re-simulates with the
+ * signatures. In enforcing mode __check_auth runs, so the footprint covers the
+ * spending counters it writes and policy violations are caught before submitting
+ * @param {StellarSdk.xdr.Operation} operation - The invokeHostFunction operation
+ * @param {object} deps - Dependencies
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs
+ * @returns {Promise<{ transaction: StellarSdk.Transaction, simulation: object, authEntries: Array<StellarSdk.xdr.SorobanAuthorizationEntry>, signatureCount: number }>} The unsigned transaction carrying the signed auth entries, its enforced simulation and the signatures per entry
+ * @throws {Error} If either simulation fails
+ */
+export async function simulateAsContractAccount(operation, { rpcServer, keypair, cosigners = [] }) {
+  const publicKey = keypair.publicKey();
   const sourceAccount = await rpcServer.getAccount(publicKey);
-  const fromAddress = new StellarSdk.Address(contractAddress);
-  const toAddress = new StellarSdk.Address(destination);
 
-  let transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
-    fee: '10000',
+  const transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
+    fee: await getInclusionFee({ rpcServer }),
     networkPassphrase: config.networkPassphrase,
   })
-    .addOperation(
-      xlmContract.call(
-        'transfer',
-        fromAddress.toScVal(),
-        toAddress.toScVal(),
-        StellarSdk.nativeToScVal(stroops, { type: 'i128' })
-      )
-    )
+    .addOperation(operation)
     .setTimeout(30)
     .build();
 
   // Simulate to get auth entries
   const simResult = await rpcServer.simulateTransaction(transaction);
 
-  if (!StellarSdk.rpc.Api.isSimulationSuccess(simResult)) {
-    throw new Error('Transaction simulation failed');
+  if (isSimulationFailure(simResult)) {
+    throw new Error(`Transaction simulation failed: ${describeSimulationError(simResult)}`);
   }
 
   // Sign auth entries
-  const authEntries = simResult.result?.auth || [];
-  const signedAuthEntries = [];
-  const latestLedger = simResult.latestLedger;
-  const validUntilLedger = latestLedger + 60;
-  const networkIdHash = computeNetworkIdHash();
+  const validUntilLedger = simResult.latestLedger + 60;
+  const { authEntries, signatureCount } = await signContractAccountAuth(
+    simResult.result?.auth || [],
+    validUntilLedger,
+    { rpcServer, keypair, cosigners }
+  );
+
+  const authorized = withAuthEntries(transaction, authEntries);
+  const enforcedSimResult = await rpcServer.simulateTransaction(authorized);
+
+  if (isSimulationFailure(enforcedSimResult)) {
+    throw new Error(`Contract account rejected the transaction: ${describeSimulationError(enforcedSimResult)}`);
+  }
 
-  for (const authEntry of authEntries) {
-    const auth = parseAuthEntry(authEntry);
+  return { transaction: authorized, simulation: enforcedSimResult, authEntries, signatureCount };
+}
 
-    if (auth.credentials().switch().name === 'sorobanCredentialsAddress') {
-      const signedAuth = signAuthEntry(auth, keypair, validUntilLedger, networkIdHash);
-      signedAuthEntries.push(signedAuth);
-    } else {
-      signedAuthEntries.push(auth);
-    }
+/**
+ * Submit a contract invocation authorized by the wallet's contract account
+ * Simulates with the signed auth entries (see simulateAsContractAccount) and
+ * submits from the G account
+ * @param {StellarSdk.xdr.Operation} operation - The invokeHostFunction operation
+ * @param {object} deps - Dependencies
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs
+ * @param {function(object): void} deps.onProgress - Called with { stage, hash, ... } once submitting (see trackTransaction)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function invokeAsContractAccount(operation, { rpcServer, keypair, cosigners = [], onProgress }) {
+  const { transaction: authorized, simulation, signatureCount } = await simulateAsContractAccount(
+    operation,
+    { rpcServer, keypair, cosigners }
+  );
+
+  let transaction = StellarSdk.rpc.assembleTransaction(authorized, simulation).build();
+
+  // Bump instructions
+  const txEnvelope = StellarSdk.xdr.TransactionEnvelope.fromXDR(transaction.toXDR(), 'base64');
+  bumpInstructionLimit(txEnvelope, INSTRUCTIONS_PER_SIGNATURE * signatureCount);
+
+  transaction = new StellarSdk.Transaction(txEnvelope, config.networkPassphrase);
+  transaction.sign(keypair);
+
+  return trackTransaction(rpcServer, transaction, { keypair, onProgress });
+}
+
+/**
+ * Send XLM or any SEP-41 token from contract account
+ * Deploys contract if needed, checks the spending policy, signs auth entries for custom account
+ * @param {string} destination - Destination address
+ * @param {string} amount - Display amount (e.g. "1.5")
+ * @param {object} deps - Dependencies
+ * @param {string} deps.tokenContractId - Token to send (defaults to native XLM)
+ * @param {number} deps.decimals - Token decimals (default 7)
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs for multi-signer accounts
+ * @returns {Promise<object>} Transaction result
+ */
+export async function sendFromContractAccount(destination, amount, { rpcServer, keypair, tokenContractId, decimals = 7, cosigners = [] } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
   }
 
-  // Assemble with original simulation
-  transaction = StellarSdk.rpc.assembleTransaction(transaction, simResult).build();
+  rpcServer = rpcServer || createRpcServer();
+  const contractAddress = getContractAddress(keypair.publicKey());
+
+  // Check if contract exists, deploy if not
+  const exists = await contractInstanceExists(contractAddress, { rpcServer });
+  if (!exists) {
+    await deploySimpleAccount({ rpcServer, keypair });
+  }
 
-  // Replace auth entries and bump instructions
-  const txXdr = transaction.toXDR();
-  const txEnvelope = StellarSdk.xdr.TransactionEnvelope.fromXDR(txXdr, 'base64');
-  const innerTx = txEnvelope.v1().tx();
-  const ops = innerTx.operations();
+  const tokenContract = getTokenContract(tokenContractId);
+  const rawAmount = parseAmount(amount, decimals);
 
-  if (ops.length > 0 && ops[0].body().switch().name === 'invokeHostFunction') {
-    const invokeOp = ops[0].body().invokeHostFunctionOp();
-    invokeOp.auth(signedAuthEntries);
+  const policy = await getSpendingPolicy(contractAddress, { rpcServer });
+  assertWithinSpendingPolicy(policy, tokenContract.contractId(), destination, rawAmount);
+
+  return invokeAsContractAccount(
+    buildTransferOperation(tokenContract, contractAddress, destination, rawAmount),
+    { rpcServer, keypair, cosigners }
+  );
+}
+
+/**
+ * Call an admin function (signers, passkeys, spending policy, session keys, guardians) on the wallet's contract account
+ * @param {string} method - Contract function name
+ * @param {Array<StellarSdk.xdr.ScVal>} args - Function arguments
+ * @param {string} feature - Feature name for the error on accounts deployed before it existed
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object>} Transaction result
+ */
+export async function invokeAccountAdmin(method, args, feature, { rpcServer, keypair, cosigners = [] } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
   }
 
-  bumpInstructionLimit(txEnvelope);
+  rpcServer = rpcServer || createRpcServer();
+  const contractAddress = getContractAddress(keypair.publicKey());
 
-  transaction = new StellarSdk.Transaction(txEnvelope, config.networkPassphrase);
-  transaction.sign(keypair);
+  const account = await getAccountSigners(contractAddress, { rpcServer });
+  if (!account) {
+    throw new Error('Contract account is not deployed');
+  }
+  if (!account.multisig) {
+    throw new Error(`This account does not support ${feature}`);
+  }
+
+  const contract = new StellarSdk.Contract(contractAddress);
+  return invokeAsContractAccount(contract.call(method, ...args), { rpcServer, keypair, cosigners });
+}
+
+/**
+ * Add an ed25519 signer to the wallet's contract account
+ * @param {string} signerPublicKey - Signer public key (G...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the current threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function addSigner(signerPublicKey, deps = {}) {
+  if (!StellarSdk.StrKey.isValidEd25519PublicKey(signerPublicKey)) {
+    throw new Error('Invalid signer public key');
+  }
+  const keyBytes = StellarSdk.StrKey.decodeEd25519PublicKey(signerPublicKey);
+  return invokeAccountAdmin('add_signer', [StellarSdk.nativeToScVal(keyBytes, { type: 'bytes' })], 'multiple signers', deps);
+}
 
-  const response = await rpcServer.sendTransaction(transaction);
+/**
+ * Remove an ed25519 signer from the wallet's contract account
+ * @param {string} signerPublicKey - Signer public key (G...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the current threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function removeSigner(signerPublicKey, deps = {}) {
+  if (!StellarSdk.StrKey.isValidEd25519PublicKey(signerPublicKey)) {
+    throw new Error('Invalid signer public key');
+  }
+  const keyBytes = StellarSdk.StrKey.decodeEd25519PublicKey(signerPublicKey);
+  return invokeAccountAdmin('remove_signer', [StellarSdk.nativeToScVal(keyBytes, { type: 'bytes' })], 'multiple signers', deps);
+}
+
+/**
+ * Change the number of signatures the wallet's contract account requires
+ * @param {number} threshold - Required signatures (1..number of signers)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the current threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function setSignerThreshold(threshold, deps = {}) {
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw new Error('Threshold must be a positive integer');
+  }
+  return invokeAccountAdmin('set_threshold', [StellarSdk.nativeToScVal(threshold, { type: 'u32' })], 'multiple signers', deps);
+}
 
-  if (response.status === 'PENDING') {
-    return waitForTransaction(rpcServer, response.hash);
+/**
+ * Move the wallet's contract account from its current key to a new one
+ * The account keeps its address, so the wallet must keep deriving it from the
+ * original key (see rotateWalletKey)
+ * @param {string} newPublicKey - The new owner public key (G...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function rotateOwner(newPublicKey, { keypair, ...deps } = {}) {
+  if (!StellarSdk.StrKey.isValidEd25519PublicKey(newPublicKey)) {
+    throw new Error('Invalid new owner public key');
+  }
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+  if (newPublicKey === keypair.publicKey()) {
+    throw new Error('The new key must differ from the current key');
   }
 
-  return response;
+  return invokeAccountAdmin('rotate_owner', [
+    StellarSdk.nativeToScVal(keypair.rawPublicKey(), { type: 'bytes' }),
+    StellarSdk.nativeToScVal(StellarSdk.StrKey.decodeEd25519PublicKey(newPublicKey), { type: 'bytes' }),
+  ], 'key rotation', { ...deps, keypair });
+}
+
+/**
+ * Replace the key of the active wallet with a new key and recovery phrase (see rotateWalletKey)
+ * The contract account moves to the new key and keeps its address; then the
+ * classic account is merged into the new key's account, so its XLM moves with
+ * the wallet and the new key can pay fees
+ * @param {object} options - Options and dependencies
+ * @param {string} options.password - Password of an encrypted keystore
+ * @param {StellarSdk.rpc.Server} options.rpcServer - RPC server instance
+ * @param {Array<StellarSdk.Keypair>} options.cosigners - Keypairs needed to meet the threshold
+ * @returns {Promise<{ keypair: StellarSdk.Keypair, mnemonic: string }>} The new keypair and recovery phrase
+ * @throws {Error} If the classic account holds more than XLM (see checkClassicAccountMovable), or the rotation fails
+ */
+export async function rotateAccountKey({ password, rpcServer, cosigners = [] } = {}) {
+  const keypair = getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+  rpcServer = rpcServer || createRpcServer();
+
+  // Checked before anything moves, so the classic account cannot be left behind
+  await checkClassicAccountMovable(keypair.publicKey(), { rpcServer });
+
+  return rotateWalletKey(async (newPublicKey) => {
+    await rotateOwner(newPublicKey, { rpcServer, keypair, cosigners });
+    await moveClassicAccount(newPublicKey, { rpcServer, keypair });
+  }, { password });
+}
+
+/**
+ * Finish or discard an interrupted key rotation of the active wallet (see resumeKeyRotation)
+ * Reads the signers of the contract account to tell whether it moved to the new key,
+ * and moves the classic account too if the rotation stopped before it did
+ * @param {object} options - Options and dependencies
+ * @param {string} options.password - Password of an encrypted keystore
+ * @param {StellarSdk.rpc.Server} options.rpcServer - RPC server instance
+ * @returns {Promise<'completed' | 'discarded' | 'pending' | null>} What happened, or null without a pending rotation
+ */
+export async function resumeOwnerRotation({ password, rpcServer } = {}) {
+  return resumeKeyRotation(async (newPublicKey, contractKey, current) => {
+    const account = await getAccountSigners(contractAddressOf(contractKey), { rpcServer });
+    if (!account || !account.signers.includes(newPublicKey)) {
+      return false;
+    }
+    await moveClassicAccount(newPublicKey, { rpcServer, keypair: current });
+    return true;
+  }, { password });
+}
+
+/**
+ * Create a passkey and add it as a signer of the wallet's contract account
+ * @param {string} name - Passkey name shown by the authenticator and the wallet
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function addPasskey(name, { rpcServer, keypair, cosigners = [] } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+
+  rpcServer = rpcServer || createRpcServer();
+  const contractAddress = getContractAddress(keypair.publicKey());
+
+  // Check support before asking the user to create a passkey
+  const account = await getAccountSigners(contractAddress, { rpcServer });
+  if (!account) {
+    throw new Error('Contract account is not deployed');
+  }
+  if (!account.passkeys) {
+    throw new Error('This account does not support passkeys');
+  }
+
+  const passkey = await createPasskey(name);
+  const result = await invokeAccountAdmin('add_passkey', [
+    StellarSdk.xdr.ScVal.scvBytes(fromBase64Url(passkey.credentialId)),
+    StellarSdk.xdr.ScVal.scvBytes(passkey.publicKey),
+    StellarSdk.xdr.ScVal.scvBytes(passkey.rpIdHash),
+  ], 'passkeys', { rpcServer, keypair, cosigners });
+
+  savePasskey({ credentialId: passkey.credentialId, name }, contractAddress);
+  return result;
+}
+
+/**
+ * Remove a passkey signer from the wallet's contract account
+ * @param {string} credentialId - Credential ID (base64url)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function removePasskey(credentialId, deps = {}) {
+  const result = await invokeAccountAdmin('remove_passkey', [
+    StellarSdk.xdr.ScVal.scvBytes(fromBase64Url(credentialId)),
+  ], 'passkeys', deps);
+
+  removeSavedPasskey(credentialId);
+  return result;
+}
+
+/**
+ * Set the daily and weekly spending limits of a token on the wallet's contract account
+ * Lower limits apply immediately, higher or lifted limits after POLICY_DELAY_SECONDS
+ * @param {string | null} tokenContractId - Token contract ID (null for native XLM)
+ * @param {{ daily?: string | null, weekly?: string | null }} limits - Display amounts (empty or null: no limit for that period)
+ * @param {object} deps - Dependencies (decimals: token decimals, default 7; cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function setSpendingLimit(tokenContractId, { daily = null, weekly = null } = {}, { decimals = 7, ...deps } = {}) {
+  const toScVal = (limit) => (limit === null || limit === undefined || String(limit).trim() === ''
+    ? StellarSdk.xdr.ScVal.scvVoid()
+    : StellarSdk.nativeToScVal(parseAmount(limit, decimals), { type: 'i128' }));
+
+  const token = new StellarSdk.Address(getTokenContract(tokenContractId).contractId());
+  return invokeAccountAdmin('set_limit', [token.toScVal(), toScVal(daily), toScVal(weekly)], 'spending policies', deps);
+}
+
+/**
+ * Lift the spending limits of a token (takes effect after POLICY_DELAY_SECONDS)
+ * @param {string | null} tokenContractId - Token contract ID (null for native XLM)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function removeSpendingLimit(tokenContractId, deps = {}) {
+  return setSpendingLimit(tokenContractId, {}, deps);
+}
+
+/**
+ * Replace the destination allow-list of the wallet's contract account
+ * Removing destinations applies immediately, adding them or clearing the list after POLICY_DELAY_SECONDS
+ * @param {string[]} destinations - Allowed destinations (G... or C...); empty allows any destination
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function setAllowList(destinations, deps = {}) {
+  const addresses = [...new Set(destinations.map(d => d.trim()).filter(Boolean))];
+  addresses.forEach(address => {
+    if (!StellarSdk.StrKey.isValidEd25519PublicKey(address) && !StellarSdk.StrKey.isValidContract(address)) {
+      throw new Error(`Invalid destination address: ${address}`);
+    }
+  });
+
+  const list = StellarSdk.xdr.ScVal.scvVec(addresses.map(address => new StellarSdk.Address(address).toScVal()));
+  return invokeAccountAdmin('set_allow_list', [list], 'spending policies', deps);
+}
+
+/**
+ * Create a session key in this wallet and register it on the wallet's contract account
+ * The key is stored before submitting so it is not lost if confirmation times out
+ * @param {object} scope - What the session key may do
+ * @param {string[]} scope.contracts - Contracts it may call (C...)
+ * @param {string[]} scope.functions - Functions it may call on them (empty: any)
+ * @param {object} scope.spendLimits - Display amount it may spend of each token, by token contract ID (tokens left out or empty: no limit)
+ * @param {object} scope.decimals - Decimals of each limited token, by token contract ID (default 7)
+ * @param {number} scope.durationLedgers - Number of ledgers until the key expires
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<string>} The session public key (G...)
+ */
+export async function addSessionKey({ contracts = [], functions = [], spendLimits = {}, decimals = {}, durationLedgers } = {}, { rpcServer, keypair, cosigners = [] } = {}) {
+  if (contracts.length === 0) {
+    throw new Error('A session key needs at least one contract');
+  }
+  contracts.forEach(contract => {
+    if (!StellarSdk.StrKey.isValidContract(contract)) {
+      throw new Error(`Invalid contract address: ${contract}`);
+    }
+  });
+  functions.forEach(fn => {
+    if (!/^[a-zA-Z0-9_]{1,32}$/.test(fn)) {
+      throw new Error(`Invalid function name: ${fn}`);
+    }
+  });
+  if (!Number.isInteger(durationLedgers) || durationLedgers < 1) {
+    throw new Error('Session duration must be a positive number of ledgers');
+  }
+  const limited = Object.entries(spendLimits).filter(([, amount]) => amount !== null && String(amount).trim() !== '');
+  limited.forEach(([token]) => {
+    if (!contracts.includes(token)) {
+      throw new Error(`A spend limit must be for one of the contracts: ${token}`);
+    }
+  });
+
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+  rpcServer = rpcServer || createRpcServer();
+
+  const { sequence } = await rpcServer.getLatestLedger();
+  const sessionKeypair = StellarSdk.Keypair.random();
+  // Soroban maps are ordered by key, and contract addresses order by their raw bytes
+  const limits = StellarSdk.xdr.ScVal.scvMap(limited
+    .sort(([a], [b]) => Buffer.compare(StellarSdk.StrKey.decodeContract(a), StellarSdk.StrKey.decodeContract(b)))
+    .map(([token, amount]) => new StellarSdk.xdr.ScMapEntry({
+      key: new StellarSdk.Address(token).toScVal(),
+      val: StellarSdk.nativeToScVal(parseAmount(amount, decimals[token] ?? 7), { type: 'i128' }),
+    })));
+
+  await saveSessionKey(sessionKeypair, getContractAddress(keypair.publicKey()), keypair);
+
+  await invokeAccountAdmin('add_session_key', [
+    StellarSdk.nativeToScVal(sessionKeypair.rawPublicKey(), { type: 'bytes' }),
+    StellarSdk.xdr.ScVal.scvVec(contracts.map(contract => new StellarSdk.Address(contract).toScVal())),
+    StellarSdk.xdr.ScVal.scvVec(functions.map(fn => StellarSdk.xdr.ScVal.scvSymbol(fn))),
+    limits,
+    StellarSdk.nativeToScVal(sequence + durationLedgers, { type: 'u32' }),
+  ], 'session keys', { rpcServer, keypair, cosigners });
+
+  return sessionKeypair.publicKey();
+}
+
+/**
+ * Revoke a session key on the wallet's contract account and forget it in this wallet
+ * @param {string} publicKey - Session public key (G...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function removeSessionKey(publicKey, deps = {}) {
+  if (!StellarSdk.StrKey.isValidEd25519PublicKey(publicKey)) {
+    throw new Error('Invalid session public key');
+  }
+  const keyBytes = StellarSdk.StrKey.decodeEd25519PublicKey(publicKey);
+  const result = await invokeAccountAdmin('remove_session_key', [StellarSdk.nativeToScVal(keyBytes, { type: 'bytes' })], 'session keys', deps);
+  removeSavedSessionKey(publicKey);
+  return result;
 }
 
 // Re-export for convenience
@@ -0,0 +1,238 @@
+/**
+ * Failure reasons
+ * Decodes TransactionResult XDR, simulation errors and Soroban diagnostic
+ * events into messages a user can act on
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+
+// simple_account AccountError codes (contracts/simple_account/src/lib.rs)
+export const ACCOUNT_ERRORS = {
+  1: 'Not enough signatures to authorize this transaction',
+  2: 'A signature is from a key that is not a signer of this account',
+  3: 'Signatures are not in the order the account expects',
+  4: 'The signature threshold is invalid',
+  5: 'That signer is already on the account',
+  6: 'That signer is not on the account',
+  7: 'The spending limit is invalid',
+  8: 'Amount exceeds the spending limit',
+  9: 'Destination is not on the allow-list',
+  10: 'The account does not allow this call',
+  11: 'The session key has expired',
+  12: 'The call is outside what the session key may do',
+  13: 'The session key is invalid',
+  14: 'The session key is not on the account',
+  15: 'The guardians are invalid',
+  16: 'Not a guardian of this account',
+  17: 'A recovery is already in progress',
+  18: 'No recovery is in progress',
+  19: 'The recovery delay has not passed yet',
+  20: 'The recovery does not match the pending one',
+  21: 'That passkey is already on the account',
+  22: 'That passkey is not on the account',
+  23: 'The passkey response is invalid',
+  24: 'The passkey was created for another site',
+  25: 'The batch is empty',
+};
+
+// Messages the host and the Stellar Asset Contract attach to their errors
+const HOST_MESSAGES = [
+  ['balance is not sufficient to spend', 'Insufficient balance'],
+  ['trustline entry is missing', 'The account has no trustline for this asset'],
+  ['negative amount is not allowed', 'Amount cannot be negative'],
+  ['signature has expired', 'The signature has expired; sign and send again'],
+  ['nonce already exists', 'The signature was already used; sign and send again'],
+];
+
+// Host errors by "Type, Code" when no message says more
+const HOST_ERRORS = {
+  'Auth, InvalidAction': 'The transaction is missing a required authorization',
+  'Budget, ExceededLimit': 'The contract call exceeds the network resource limits',
+  'Storage, MissingValue': 'Contract data is missing or archived; it may need to be restored',
+  'Storage, ExceededLimit': 'The contract call touched data it did not declare; simulate it again',
+};
+
+const TRANSACTION_RESULTS = {
+  txTooEarly: 'The transaction is not valid yet',
+  txTooLate: 'The transaction expired before it was included',
+  txMissingOperation: 'The transaction has no operations',
+  txBadSeq: 'Another transaction was sent from this account at the same time; try again',
+  txBadAuth: 'The transaction signature is missing or invalid',
+  txInsufficientBalance: 'Not enough XLM to pay the fee and keep the minimum balance',
+  txNoAccount: 'The account does not exist; fund it first',
+  txInsufficientFee: 'The fee is too low for current network demand',
+  txBadAuthExtra: 'The transaction has signatures it does not need',
+  txInternalError: 'The network hit an internal error',
+  txNotSupported: 'The network does not support this transaction',
+  txBadSponsorship: 'The transaction leaves a sponsorship unfinished',
+  txBadMinSeqAgeOrGap: 'The transaction preconditions are not met',
+  txMalformed: 'The transaction is malformed',
+  txSorobanInvalid: 'The transaction resources do not match its contract call; simulate it again',
+};
+
+const OPERATION_RESULTS = {
+  opBadAuth: 'An operation signature is missing or invalid',
+  opNoAccount: 'The operation source account does not exist',
+  opNotSupported: 'The network does not support this operation',
+  opTooManySubentries: 'The account has too many trustlines, offers or data entries',
+  opExceededWorkLimit: 'The operation did too much work',
+  opTooManySponsoring: 'The account sponsors too many entries',
+  invokeHostFunctionMalformed: 'The contract call is malformed',
+  invokeHostFunctionTrapped: 'The contract call failed',
+  invokeHostFunctionResourceLimitExceeded: 'The contract call used more resources than were reserved; try again',
+  invokeHostFunctionEntryArchived: 'Some contract data is archived and must be restored first',
+  invokeHostFunctionInsufficientRefundableFee: 'The fee does not cover the rent of the contract call; try again',
+  extendFootprintTtlMalformed: 'The TTL extension is malformed',
+  extendFootprintTtlResourceLimitExceeded: 'The TTL extension used more resources than were reserved; try again',
+  extendFootprintTtlInsufficientRefundableFee: 'The fee does not cover the rent of the TTL extension; try again',
+  restoreFootprintMalformed: 'The restore is malformed',
+  restoreFootprintResourceLimitExceeded: 'The restore used more resources than were reserved; try again',
+  restoreFootprintInsufficientRefundableFee: 'The fee does not cover the rent of the restore; try again',
+};
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Describe a host error (pure function)
+ * Contract errors with a message come from the Stellar Asset Contract; those
+ * without one are read as simple_account errors
+ * @param {string} type - Error type (e.g. "Auth", "Contract")
+ * @param {string} code - Error code (e.g. "InvalidAction", or the contract error number)
+ * @param {string | null} message - Message the host attached to the error
+ * @returns {string} Readable reason
+ */
+export function describeHostError(type, code, message = null) {
+  const known = message && HOST_MESSAGES.find(([prefix]) => message.startsWith(prefix));
+  if (known) {
+    return known[1];
+  }
+  if (type === 'Contract') {
+    return message || ACCOUNT_ERRORS[code] || `Contract error #${code}`;
+  }
+  return HOST_ERRORS[`${type}, ${code}`] || message || `Error(${type}, ${code})`;
+}
+
+/**
+ * Read the message a diagnostic error event carries (pure function)
+ * @param {StellarSdk.xdr.ScVal} data - Event data: a string, or a Vec starting with one
+ * @returns {string | null} The message
+ */
+function readEventMessage(data) {
+  const value = data.switch().name === 'scvVec' && data.vec()?.length ? data.vec()[0] : data;
+  return value.switch().name === 'scvString' ? value.str().toString() : null;
+}
+
+/**
+ * Describe the first error among Soroban diagnostic events (pure function)
+ * The first error event is the root cause; later ones are it propagating up the call stack
+ * @param {StellarSdk.xdr.DiagnosticEvent[]} events - Diagnostic events
+ * @returns {string | null} Readable reason, or null if no event is an error
+ */
+export function describeDiagnosticEvents(events = []) {
+  for (const diagnostic of events || []) {
+    const body = diagnostic.event().body().v0();
+    const topics = body.topics();
+    if (topics.length < 2 || topics[0].switch().name !== 'scvSymbol' || topics[0].sym().toString() !== 'error'
+      || topics[1].switch().name !== 'scvError') {
+      continue;
+    }
+
+    const error = topics[1].error();
+    const type = error.switch().name.replace(/^sce/, '');
+    const code = type === 'Contract' ? error.contractCode() : error.code().name.replace(/^scec/, '');
+    return describeHostError(type, code, readEventMessage(body.data()));
+  }
+  return null;
+}
+
+/**
+ * Check whether a transaction cannot be sent as simulated (pure function)
+ * @param {object} simulation - simulateTransaction response
+ * @returns {boolean} True if the simulation failed or archived entries must be restored first
+ */
+export function isSimulationFailure(simulation) {
+  return !StellarSdk.rpc.Api.isSimulationSuccess(simulation) || StellarSdk.rpc.Api.isSimulationRestore(simulation);
+}
+
+/**
+ * Describe why a simulation failed (pure function)
+ * @param {object} simulation - simulateTransaction response
+ * @returns {string} Readable reason
+ */
+export function describeSimulationError(simulation) {
+  if (StellarSdk.rpc.Api.isSimulationRestore(simulation)) {
+    return OPERATION_RESULTS.invokeHostFunctionEntryArchived;
+  }
+
+  const fromEvents = describeDiagnosticEvents(simulation.events);
+  if (fromEvents) {
+    return fromEvents;
+  }
+
+  const error = simulation.error || '';
+  // The event log lists the newest error first, so the last one is the root cause
+  const hostErrors = [...error.matchAll(/Error\((\w+), #?(\w+)\)/g)];
+  if (hostErrors.length > 0) {
+    const [, type, code] = hostErrors[hostErrors.length - 1];
+    return describeHostError(type, type === 'Contract' ? Number(code) : code);
+  }
+  return error.split('\n')[0] || 'Unknown simulation error';
+}
+
+/**
+ * Describe a failed operation result (pure function)
+ * @param {StellarSdk.xdr.OperationResult} result - The operation result
+ * @returns {string} Readable reason
+ */
+function describeOperationResult(result) {
+  const code = result.switch().name === 'opInner' ? result.tr().value().switch().name : result.switch().name;
+  return OPERATION_RESULTS[code] || code;
+}
+
+/**
+ * Describe a failed TransactionResult (pure function)
+ * @param {StellarSdk.xdr.TransactionResult | string} result - The result, or its base64 XDR
+ * @returns {string} Readable reason
+ */
+export function describeTransactionResult(result) {
+  const transactionResult = typeof result === 'string'
+    ? StellarSdk.xdr.TransactionResult.fromXDR(result, 'base64')
+    : result;
+
+  let outcome = transactionResult.result();
+  if (outcome.switch().name === 'txFeeBumpInnerFailed') {
+    outcome = outcome.innerResultPair().result().result();
+  }
+
+  const code = outcome.switch().name;
+  if (code === 'txFailed') {
+    const failed = outcome.results().find(op => op.switch().name !== 'opInner' || !op.tr().value().switch().name.endsWith('Success'));
+    return failed ? describeOperationResult(failed) : 'The transaction failed';
+  }
+  return TRANSACTION_RESULTS[code] || code;
+}
+
+/**
+ * Describe why a transaction was rejected or failed (pure function)
+ * Prefers the diagnostic events, which name the contract error, over the result codes
+ * @param {object} response - sendTransaction ERROR or getTransaction FAILED response
+ * @returns {string} Readable reason
+ */
+export function describeTransactionFailure(response) {
+  const fromEvents = describeDiagnosticEvents(response.diagnosticEvents || response.diagnosticEventsXdr);
+  if (fromEvents) {
+    return fromEvents;
+  }
+
+  const result = response.errorResult || response.resultXdr;
+  if (!result) {
+    return 'Unknown error';
+  }
+  try {
+    return describeTransactionResult(result);
+  } catch {
+    return String(result);
+  }
+}
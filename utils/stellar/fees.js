@@ -0,0 +1,187 @@
+/**
+ * Fee strategy
+ * Picks the inclusion fee of wallet transactions from recent network fees
+ * (low/normal/high presets or a fixed override) and builds the fee bumps
+ * that replace stalled transactions (see trackTransaction)
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { createRpcServer } from './rpc';
+import { getStorage, KEYS } from './storage';
+
+// Percentile of recent Soroban inclusion fees each preset bids
+export const FEE_PRESETS = {
+  low: 'p10',
+  normal: 'p50',
+  high: 'p90',
+};
+
+export const DEFAULT_FEE_PRESET = 'normal';
+
+// Inclusion fee used when the network fees cannot be read (stroops per operation)
+export const DEFAULT_INCLUSION_FEE = '10000';
+
+// A transaction waiting in the queue is only replaced by a fee bump that
+// offers at least ten times its fee rate
+export const FEE_BUMP_MULTIPLIER = 10;
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Pick the inclusion fee of a preset from getFeeStats (pure function)
+ * Wallet transactions all invoke contracts, so Soroban inclusion fees are used
+ * @param {object} feeStats - getFeeStats response
+ * @param {string} preset - "low", "normal" or "high"
+ * @returns {string} Inclusion fee in stroops per operation (at least the network minimum)
+ * @throws {Error} If the preset is unknown
+ */
+export function selectInclusionFee(feeStats, preset = DEFAULT_FEE_PRESET) {
+  const percentile = FEE_PRESETS[preset];
+  if (!percentile) {
+    throw new Error(`Unknown fee preset: ${preset}`);
+  }
+
+  const fee = BigInt(feeStats.sorobanInclusionFee[percentile]);
+  const minimum = BigInt(StellarSdk.BASE_FEE);
+  return (fee > minimum ? fee : minimum).toString();
+}
+
+/**
+ * Get the inclusion fee rate a transaction offers (pure function)
+ * @param {StellarSdk.Transaction} transaction - The transaction
+ * @returns {bigint} Stroops per operation, excluding the Soroban resource fee
+ */
+export function getInclusionFeeRate(transaction) {
+  const sorobanData = transaction.toEnvelope().v1().tx().ext().value();
+  const resourceFee = sorobanData ? BigInt(sorobanData.resourceFee().toString()) : 0n;
+  return (BigInt(transaction.fee) - resourceFee) / BigInt(transaction.operations.length);
+}
+
+/**
+ * Get the inclusion fee rate a fee bump offers (pure function)
+ * @param {bigint | string} currentRate - Inclusion fee rate of the transaction it replaces
+ * @param {bigint | string} inclusionFee - Preferred inclusion fee; raised to FEE_BUMP_MULTIPLIER times the current rate if lower
+ * @returns {bigint} Stroops per operation
+ */
+export function getFeeBumpRate(currentRate, inclusionFee) {
+  const replacement = BigInt(currentRate) * BigInt(FEE_BUMP_MULTIPLIER);
+  return BigInt(inclusionFee) > replacement ? BigInt(inclusionFee) : replacement;
+}
+
+/**
+ * Get the most a fee bump of a single-operation Soroban transaction costs (pure function)
+ * The fee bump pays its rate for the inner operation and for itself, plus the resource fee
+ * @param {bigint | string} resourceFee - Resource fee of the transaction (stroops)
+ * @param {bigint | string} currentRate - Inclusion fee rate of the transaction
+ * @param {bigint | string} inclusionFee - Inclusion fee the fee bump bids (see getFeeBumpRate)
+ * @returns {bigint} Maximum fee in stroops
+ */
+export function getMaxFeeBumpFee(resourceFee, currentRate, inclusionFee) {
+  return getFeeBumpRate(currentRate, inclusionFee) * 2n + BigInt(resourceFee);
+}
+
+/**
+ * Wrap a submitted transaction in a fee bump that can replace it in the queue (pure function)
+ * @param {StellarSdk.Transaction} transaction - The signed transaction
+ * @param {StellarSdk.Keypair} keypair - Fee source that signs the fee bump
+ * @param {string} inclusionFee - Preferred inclusion fee (see getFeeBumpRate)
+ * @returns {StellarSdk.FeeBumpTransaction} The signed fee bump transaction
+ */
+export function buildFeeBump(transaction, keypair, inclusionFee) {
+  const fee = getFeeBumpRate(getInclusionFeeRate(transaction), inclusionFee);
+
+  const feeBump = StellarSdk.TransactionBuilder.buildFeeBumpTransaction(
+    keypair,
+    fee.toString(),
+    transaction,
+    transaction.networkPassphrase
+  );
+  feeBump.sign(keypair);
+  return feeBump;
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Get the fee settings of this device
+ * @returns {{ preset: string, inclusionFee: string | null, autoBump: boolean }} The preset, the fixed inclusion fee that overrides it (null to follow the network) and whether stalled transactions are fee-bumped
+ */
+export function getFeeSettings() {
+  try {
+    const saved = JSON.parse(getStorage().get(KEYS.FEE_SETTINGS) || '{}');
+    return {
+      preset: FEE_PRESETS[saved.preset] ? saved.preset : DEFAULT_FEE_PRESET,
+      inclusionFee: saved.inclusionFee || null,
+      autoBump: saved.autoBump === true,
+    };
+  } catch {
+    return { preset: DEFAULT_FEE_PRESET, inclusionFee: null, autoBump: false };
+  }
+}
+
+/**
+ * Save the fee settings of this device
+ * @param {object} settings - Settings
+ * @param {string} settings.preset - "low", "normal" or "high"
+ * @param {string | null} settings.inclusionFee - Fixed inclusion fee in stroops per operation, or null/empty to follow the network
+ * @param {boolean} settings.autoBump - Fee-bump stalled transactions at the "high" preset (default: false)
+ * @returns {{ preset: string, inclusionFee: string | null, autoBump: boolean }} The saved settings
+ * @throws {Error} If the preset is unknown or the inclusion fee is not a whole number of stroops of at least the network minimum
+ */
+export function setFeeSettings({ preset = DEFAULT_FEE_PRESET, inclusionFee = null, autoBump = false } = {}) {
+  if (!FEE_PRESETS[preset]) {
+    throw new Error(`Unknown fee preset: ${preset}`);
+  }
+
+  const override = inclusionFee === null || String(inclusionFee).trim() === '' ? null : String(inclusionFee).trim();
+  if (override !== null && (!/^\d+$/.test(override) || BigInt(override) < BigInt(StellarSdk.BASE_FEE))) {
+    throw new Error(`Inclusion fee must be a whole number of stroops of at least ${StellarSdk.BASE_FEE}`);
+  }
+
+  const settings = { preset, inclusionFee: override, autoBump: autoBump === true };
+  getStorage().set(KEYS.FEE_SETTINGS, JSON.stringify(settings));
+  return settings;
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Get the inclusion fee of every preset from recent network fees
+ * @param {object} deps - Dependencies
+ * @returns {Promise<{ low: string, normal: string, high: string }>} Inclusion fees in stroops per operation
+ */
+export async function getFeeEstimates({ rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+  const feeStats = await rpcServer.getFeeStats();
+
+  return Object.fromEntries(Object.keys(FEE_PRESETS).map(preset => [preset, selectInclusionFee(feeStats, preset)]));
+}
+
+/**
+ * Get the inclusion fee for a new transaction
+ * Uses the saved override if there is one, otherwise the preset applied to
+ * recent network fees, falling back to DEFAULT_INCLUSION_FEE if those cannot be read
+ * @param {object} deps - Dependencies
+ * @param {string} deps.preset - Preset to use instead of the saved one
+ * @returns {Promise<string>} Inclusion fee in stroops per operation
+ */
+export async function getInclusionFee({ rpcServer, preset } = {}) {
+  const settings = getFeeSettings();
+  if (settings.inclusionFee && !preset) {
+    return settings.inclusionFee;
+  }
+
+  rpcServer = rpcServer || createRpcServer();
+  try {
+    return selectInclusionFee(await rpcServer.getFeeStats(), preset || settings.preset);
+  } catch (error) {
+    console.error('Error reading network fees:', error);
+    return DEFAULT_INCLUSION_FEE;
+  }
+}
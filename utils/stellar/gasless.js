@@ -13,11 +13,14 @@
 import * as StellarSdk from '@stellar/stellar-sdk';
 import { ChannelsClient } from '@openzeppelin/relayer-plugin-channels';
 import config from '../config';
-import { createRpcServer, getXlmContract } from './rpc';
+import { createRpcServer, getTokenContract } from './rpc';
 import { getStoredKeypair } from './keypair';
-import { xlmToStroops, deriveContractAddress, waitForTransaction } from './helpers';
-import { contractInstanceExists } from './contract';
-import { signAuthEntry, parseAuthEntry, bumpInstructionLimit } from './transfer';
+import { getContractAddress } from './wallets';
+import { parseAmount, deriveContractAddress } from './helpers';
+import { waitForTransaction } from './tracker';
+import { isSimulationFailure, describeSimulationError, describeTransactionFailure } from './errors';
+import { contractInstanceExists, signContractAccountAuth, getSpendingPolicy, assertWithinSpendingPolicy } from './contract';
+import { parseAuthEntry, bumpInstructionLimit, buildTransferOperation } from './transfer';
 import { computeNetworkIdHash } from './helpers';
 
 /**
@@ -43,6 +46,53 @@ function createChannelsClient() {
   });
 }
 
+// Fields of a relayer response that carry the transaction's own failure
+const FAILURE_FIELDS = ['errorResult', 'resultXdr', 'diagnosticEvents', 'diagnosticEventsXdr'];
+
+/**
+ * Describe a failed OZ Channels submission (pure function)
+ * A result XDR or diagnostic events in the relayer's response are described
+ * like an RPC failure; otherwise the relayer's own reason is used
+ * @param {Error|object} failure - Error thrown by the Channels client, or a submit response with a failed status
+ * @returns {string} Human-readable reason
+ */
+export function describeChannelsFailure(failure) {
+  const data = failure.errorDetails || failure.response?.data || failure;
+  const response = [data.details, data, failure]
+    .find(candidate => candidate && FAILURE_FIELDS.some(field => candidate[field]));
+  if (response) {
+    return describeTransactionFailure(response);
+  }
+  return data.details?.reason || data.status_reason || data.error || failure.message || 'Unknown error';
+}
+
+/**
+ * Submit a host function and its signed auth entries through OZ Channels
+ * @param {ChannelsClient} client - The channels client
+ * @param {string} func - Host function XDR (base64)
+ * @param {string[]} auth - Signed auth entry XDRs (base64)
+ * @returns {Promise<object>} The relayer response ({ transactionId, hash, status })
+ * @throws {Error} If the relayer rejects the transaction or it fails on-chain
+ */
+async function submitToChannels(client, func, auth) {
+  let result;
+  try {
+    result = await client.submitSorobanTransaction({ func, auth });
+  } catch (error) {
+    console.error('OZ Channels error:', error);
+    const details = error.errorDetails || error.response?.data;
+    if (details) {
+      console.error('Error details:', JSON.stringify(details, null, 2));
+    }
+    throw new Error(`Transaction failed: ${describeChannelsFailure(error)}`);
+  }
+
+  if (String(result.status).toLowerCase() === 'failed') {
+    throw new Error(`Transaction failed: ${describeChannelsFailure(result)}`);
+  }
+  return result;
+}
+
 /**
  * Deploy the simple account contract via the factory using gasless (OZ Channels).
  * Since the factory.create() doesn't require auth, anyone can pay the fees.
@@ -90,9 +140,8 @@ export async function deploySimpleAccountGasless({ rpcServer, keypair } = {}) {
   // Simulate to get resource requirements
   const simResult = await rpcServer.simulateTransaction(transaction);
 
-  if (!StellarSdk.rpc.Api.isSimulationSuccess(simResult)) {
-    const errorMsg = simResult.error || 'Unknown simulation error';
-    throw new Error(`Factory deployment simulation failed: ${errorMsg}`);
+  if (isSimulationFailure(simResult)) {
+    throw new Error(`Factory deployment simulation failed: ${describeSimulationError(simResult)}`);
   }
 
   // Assemble with simulation results
@@ -112,42 +161,31 @@ export async function deploySimpleAccountGasless({ rpcServer, keypair } = {}) {
   // Submit via OZ Channels
   console.log('Deploying contract account via OZ Channels (gasless)...');
 
-  try {
-    const result = await client.submitSorobanTransaction({
-      func,
-      auth,
-    });
-
-    console.log('OZ Channels deployment response:', result);
-
-    // Wait for transaction confirmation
-    if (result.hash) {
-      await waitForTransaction(rpcServer, result.hash);
-    }
+  const result = await submitToChannels(client, func, auth);
 
-    return deriveContractAddress(publicKey);
-  } catch (error) {
-    console.error('OZ Channels deployment error:', error);
-    if (error.response?.data) {
-      console.error('Error response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
+  // Wait for transaction confirmation
+  if (result.hash) {
+    await waitForTransaction(rpcServer, result.hash);
   }
+
+  return deriveContractAddress(publicKey);
 }
 
 /**
- * Send XLM from classic account using gasless (OZ Channels)
+ * Send XLM or any SEP-41 token from classic account using gasless (OZ Channels)
  *
  * Classic accounts normally use source-account credentials, but OZ Channels
  * requires detached address credentials. We convert the auth entry to use
  * address credentials with ed25519 signature, just like contract accounts.
  *
  * @param {string} destination - Destination address (G... or C...)
- * @param {string} amount - Amount in XLM
+ * @param {string} amount - Display amount (e.g. "1.5")
  * @param {object} deps - Dependencies
+ * @param {string} deps.tokenContractId - Token to send (defaults to native XLM)
+ * @param {number} deps.decimals - Token decimals (default 7)
  * @returns {Promise<object>} Transaction result with hash
  */
-export async function sendGaslessFromClassic(destination, amount, { rpcServer, keypair } = {}) {
+export async function sendGaslessFromClassic(destination, amount, { rpcServer, keypair, tokenContractId, decimals = 7 } = {}) {
   keypair = keypair || getStoredKeypair();
   if (!keypair) {
     throw new Error('No keypair found in storage');
@@ -156,13 +194,10 @@ export async function sendGaslessFromClassic(destination, amount, { rpcServer, k
   rpcServer = rpcServer || createRpcServer();
   const client = createChannelsClient();
 
-  const xlmContract = getXlmContract();
-  const stroops = xlmToStroops(amount);
+  const tokenContract = getTokenContract(tokenContractId);
+  const rawAmount = parseAmount(amount, decimals);
   const sourceAddress = keypair.publicKey();
-
-  // Build the transfer operation
   const fromAddress = new StellarSdk.Address(sourceAddress);
-  const toAddress = new StellarSdk.Address(destination);
 
   const sourceAccount = await rpcServer.getAccount(sourceAddress);
 
@@ -171,22 +206,15 @@ export async function sendGaslessFromClassic(destination, amount, { rpcServer, k
     fee: '100',
     networkPassphrase: config.networkPassphrase,
   })
-    .addOperation(
-      xlmContract.call(
-        'transfer',
-        fromAddress.toScVal(),
-        toAddress.toScVal(),
-        StellarSdk.nativeToScVal(stroops, { type: 'i128' })
-      )
-    )
+    .addOperation(buildTransferOperation(tokenContract, sourceAddress, destination, rawAmount))
     .setTimeout(30)
     .build();
 
   // Simulate to get resource requirements and the root invocation
   const simulation = await rpcServer.simulateTransaction(tx);
 
-  if (!StellarSdk.rpc.Api.isSimulationSuccess(simulation)) {
-    throw new Error('Transaction simulation failed');
+  if (isSimulationFailure(simulation)) {
+    throw new Error(`Transaction simulation failed: ${describeSimulationError(simulation)}`);
   }
 
   // Get the auth entry from simulation - it will have source account credentials
@@ -273,45 +301,27 @@ export async function sendGaslessFromClassic(destination, amount, { rpcServer, k
   const auth = signedAuthEntries.map(a => a.toXDR('base64'));
 
   // Submit via OZ Channels
-  console.log('Submitting gasless classic transfer to OZ Channels...');
-  console.log('Base URL:', config.gasless.baseUrl);
-  console.log('Func XDR length:', func.length);
-  console.log('Auth entries count:', auth.length);
-
-  try {
-    const result = await client.submitSorobanTransaction({
-      func,
-      auth,
-    });
-
-    console.log('OZ Channels response:', result);
-
-    return {
-      hash: result.hash,
-      status: result.status,
-      transactionId: result.transactionId,
-    };
-  } catch (error) {
-    console.error('OZ Channels error:', error);
-    console.error('Error message:', error.message);
-    console.error('Error response:', error.response);
-    if (error.response?.data) {
-      console.error('Error response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
-  }
+  const result = await submitToChannels(client, func, auth);
+  return {
+    hash: result.hash,
+    status: result.status,
+    transactionId: result.transactionId,
+  };
 }
 
 /**
- * Send XLM from contract account using gasless (OZ Channels)
+ * Send XLM or any SEP-41 token from contract account using gasless (OZ Channels)
  * Handles contract deployment if needed, signs auth entries for custom account
  *
  * @param {string} destination - Destination address
- * @param {string} amount - Amount in XLM
+ * @param {string} amount - Display amount (e.g. "1.5")
  * @param {object} deps - Dependencies
+ * @param {string} deps.tokenContractId - Token to send (defaults to native XLM)
+ * @param {number} deps.decimals - Token decimals (default 7)
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs for multi-signer accounts
  * @returns {Promise<object>} Transaction result with hash
  */
-export async function sendGaslessFromContract(destination, amount, { rpcServer, keypair } = {}) {
+export async function sendGaslessFromContract(destination, amount, { rpcServer, keypair, tokenContractId, decimals = 7, cosigners = [] } = {}) {
   keypair = keypair || getStoredKeypair();
   if (!keypair) {
     throw new Error('No keypair found in storage');
@@ -321,63 +331,45 @@ export async function sendGaslessFromContract(destination, amount, { rpcServer,
   const client = createChannelsClient();
 
   const publicKey = keypair.publicKey();
-  const contractAddress = deriveContractAddress(publicKey);
+  const contractAddress = getContractAddress(publicKey);
 
   // Check if contract exists, deploy gaslessly if not
   const exists = await contractInstanceExists(contractAddress, { rpcServer });
   if (!exists) {
-    console.log('Contract does not exist, deploying via gasless...');
     await deploySimpleAccountGasless({ rpcServer, keypair });
-    console.log('Contract deployed at:', contractAddress);
   }
 
-  const xlmContract = getXlmContract();
-  const stroops = xlmToStroops(amount);
+  const tokenContract = getTokenContract(tokenContractId);
+  const rawAmount = parseAmount(amount, decimals);
+
+  const policy = await getSpendingPolicy(contractAddress, { rpcServer });
+  assertWithinSpendingPolicy(policy, tokenContract.contractId(), destination, rawAmount);
 
   const sourceAccount = await rpcServer.getAccount(publicKey);
-  const fromAddress = new StellarSdk.Address(contractAddress);
-  const toAddress = new StellarSdk.Address(destination);
 
   // Build transaction for simulation
   let tx = new StellarSdk.TransactionBuilder(sourceAccount, {
     fee: '100',
     networkPassphrase: config.networkPassphrase,
   })
-    .addOperation(
-      xlmContract.call(
-        'transfer',
-        fromAddress.toScVal(),
-        toAddress.toScVal(),
-        StellarSdk.nativeToScVal(stroops, { type: 'i128' })
-      )
-    )
+    .addOperation(buildTransferOperation(tokenContract, contractAddress, destination, rawAmount))
     .setTimeout(30)
     .build();
 
   // Simulate to get auth entries
   const simResult = await rpcServer.simulateTransaction(tx);
 
-  if (!StellarSdk.rpc.Api.isSimulationSuccess(simResult)) {
-    throw new Error('Transaction simulation failed');
+  if (isSimulationFailure(simResult)) {
+    throw new Error(`Transaction simulation failed: ${describeSimulationError(simResult)}`);
   }
 
   // Sign auth entries for the contract account
-  const authEntries = simResult.result?.auth || [];
-  const signedAuthEntries = [];
-  const latestLedger = simResult.latestLedger;
-  const validUntilLedger = latestLedger + 60;
-  const networkIdHash = computeNetworkIdHash();
-
-  for (const authEntry of authEntries) {
-    const auth = parseAuthEntry(authEntry);
-
-    if (auth.credentials().switch().name === 'sorobanCredentialsAddress') {
-      const signedAuth = signAuthEntry(auth, keypair, validUntilLedger, networkIdHash);
-      signedAuthEntries.push(signedAuth);
-    } else {
-      signedAuthEntries.push(auth);
-    }
-  }
+  const validUntilLedger = simResult.latestLedger + 60;
+  const { authEntries: signedAuthEntries, signatureCount } = await signContractAccountAuth(
+    simResult.result?.auth || [],
+    validUntilLedger,
+    { rpcServer, keypair, cosigners }
+  );
 
   // Assemble the transaction
   tx = StellarSdk.rpc.assembleTransaction(tx, simResult).build();
@@ -394,7 +386,7 @@ export async function sendGaslessFromContract(destination, amount, { rpcServer,
   }
 
   // Bump instruction limit for ed25519 verification overhead
-  bumpInstructionLimit(txEnvelope);
+  bumpInstructionLimit(txEnvelope, 1000000 * signatureCount);
 
   // Get the updated invoke operation
   const updatedOps = txEnvelope.v1().tx().operations();
@@ -405,31 +397,10 @@ export async function sendGaslessFromContract(destination, amount, { rpcServer,
   const auth = signedAuthEntries.map(a => a.toXDR('base64'));
 
   // Submit via OZ Channels
-  console.log('Submitting gasless contract transaction to OZ Channels...');
-  console.log('Base URL:', config.gasless.baseUrl);
-  console.log('Func XDR length:', func.length);
-  console.log('Auth entries count:', auth.length);
-
-  try {
-    const result = await client.submitSorobanTransaction({
-      func,
-      auth,
-    });
-
-    console.log('OZ Channels response:', result);
-
-    return {
-      hash: result.hash,
-      status: result.status,
-      transactionId: result.transactionId,
-    };
-  } catch (error) {
-    console.error('OZ Channels error:', error);
-    console.error('Error message:', error.message);
-    console.error('Error response:', error.response);
-    if (error.response?.data) {
-      console.error('Error response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
-  }
+  const result = await submitToChannels(client, func, auth);
+  return {
+    hash: result.hash,
+    status: result.status,
+    transactionId: result.transactionId,
+  };
 }
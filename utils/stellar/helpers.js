@@ -5,54 +5,75 @@
 import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '../config';
 
+// Number of decimals used by native XLM (1 XLM = 10,000,000 stroops)
+export const XLM_DECIMALS = 7;
+
 /**
- * Wait for a transaction to be confirmed
- * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
- * @param {string} hash - Transaction hash
- * @param {object} options - Options
- * @param {number} options.maxAttempts - Maximum polling attempts (default: 10)
- * @param {number} options.interval - Polling interval in ms (default: 2000)
- * @returns {Promise<object>} The transaction response
+ * Parse a display amount into a raw integer amount without floating point math
+ * Accepts plain decimal strings such as "1", "1.5" or "0.0000001"
+ * @param {string | number | bigint} amount - Display amount (e.g. "1.5")
+ * @param {number} decimals - Token decimals (default 7)
+ * @returns {bigint} Raw amount (integer)
+ * @throws {Error} If the amount is not numeric, negative or has too many decimal places
  */
-export async function waitForTransaction(rpcServer, hash, { maxAttempts = 10, interval = 2000 } = {}) {
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    await new Promise(resolve => setTimeout(resolve, interval));
-    const response = await rpcServer.getTransaction(hash);
+export function parseAmount(amount, decimals = XLM_DECIMALS) {
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new Error(`Invalid decimals: ${decimals}`);
+  }
 
-    if (response.status === 'SUCCESS') {
-      return response;
-    }
-    if (response.status === 'FAILED') {
-      throw new Error(`Transaction failed: ${response.resultXdr || response.status}`);
+  if (typeof amount === 'bigint') {
+    if (amount < 0n) {
+      throw new Error('Amount cannot be negative');
     }
-    // status is NOT_FOUND, keep polling
+    return amount * 10n ** BigInt(decimals);
   }
-  throw new Error('Transaction timed out waiting for confirmation');
-}
 
-/**
- * Submit a transaction and wait for confirmation
- * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
- * @param {StellarSdk.Transaction} transaction - The signed transaction
- * @param {object} options - Wait options
- * @returns {Promise<object>} The transaction response
- */
-export async function submitAndWait(rpcServer, transaction, options = {}) {
-  const response = await rpcServer.sendTransaction(transaction);
+  if (typeof amount === 'number' && !Number.isFinite(amount)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  const value = typeof amount === 'string' || typeof amount === 'number'
+    ? String(amount).trim()
+    : '';
+
+  if (value.startsWith('-')) {
+    throw new Error('Amount cannot be negative');
+  }
 
-  if (response.status === 'ERROR') {
-    throw new Error(`Transaction failed: ${JSON.stringify(response.errorResult) || 'Unknown error'}`);
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid amount: ${amount}`);
   }
 
-  if (response.status === 'PENDING') {
-    return waitForTransaction(rpcServer, response.hash, options);
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new Error(`Amount has more than ${decimals} decimal places`);
   }
 
-  return response;
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * Format a raw integer amount as a display string without floating point math
+ * Trailing zeros are trimmed (e.g. 15000000n with 7 decimals -> "1.5")
+ * @param {bigint | number | string} rawAmount - Raw amount (integer)
+ * @param {number} decimals - Token decimals (default 7)
+ * @returns {string} Display amount
+ */
+export function formatAmount(rawAmount, decimals = XLM_DECIMALS) {
+  const raw = BigInt(rawAmount);
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
 }
 
 /**
  * Convert stroops to XLM
+ * @deprecated Loses precision above 2^53; use formatAmount(stroops) instead
  * @param {bigint | number} stroops - Amount in stroops
  * @returns {number} Amount in XLM
  */
@@ -62,6 +83,7 @@ export function stroopsToXlm(stroops) {
 
 /**
  * Convert raw token amount to display amount based on decimals
+ * @deprecated Loses precision above 2^53; use formatAmount(rawAmount, decimals) instead
  * @param {bigint | number | string} rawAmount - Raw amount from contract
  * @param {number} decimals - Token decimals (default 7)
  * @returns {number} Display amount
@@ -72,6 +94,7 @@ export function rawToDisplay(rawAmount, decimals = 7) {
 
 /**
  * Format token balance for display
+ * @deprecated Use formatAmount(rawAmount, decimals) instead
  * @param {number} balance - Balance as a number
  * @param {number} decimals - Token decimals for precision (default 7)
  * @returns {string} Formatted balance
@@ -86,6 +109,7 @@ export function formatTokenBalance(balance, decimals = 7) {
 
 /**
  * Convert XLM to stroops
+ * @deprecated Rounds through floating point; use parseAmount(xlm) instead
  * @param {string | number} xlm - Amount in XLM
  * @returns {number} Amount in stroops (integer)
  */
@@ -95,6 +119,7 @@ export function xlmToStroops(xlm) {
 
 /**
  * Format XLM balance for display
+ * @deprecated Use formatAmount(stroops) instead
  * @param {number} balance - Balance in XLM
  * @returns {string} Formatted balance
  */
@@ -174,10 +199,15 @@ export function deriveContractSalt(publicKey) {
  * Derive deterministic contract address from public key using the factory.
  * The contract address is derived from the factory address + signer's public key bytes as salt.
  * @param {string} publicKey - The Stellar public key (G...)
+ * @param {object} network - Factory and network to derive for (defaults to the active network)
+ * @param {string} network.factoryAddress - Account factory address (C...)
+ * @param {string} network.networkPassphrase - Network passphrase
  * @returns {string} The contract address (C...)
  */
-export function deriveContractAddress(publicKey) {
-  const factoryAddress = config.stellar.accountFactoryAddress;
+export function deriveContractAddress(publicKey, {
+  factoryAddress = config.stellar.accountFactoryAddress,
+  networkPassphrase = config.networkPassphrase,
+} = {}) {
   if (!factoryAddress) {
     throw new Error('Account factory address not configured');
   }
@@ -185,7 +215,7 @@ export function deriveContractAddress(publicKey) {
   const salt = deriveContractSalt(publicKey);
   const preimage = StellarSdk.xdr.HashIdPreimage.envelopeTypeContractId(
     new StellarSdk.xdr.HashIdPreimageContractId({
-      networkId: StellarSdk.hash(new TextEncoder().encode(config.networkPassphrase)),
+      networkId: StellarSdk.hash(new TextEncoder().encode(networkPassphrase)),
       contractIdPreimage: StellarSdk.xdr.ContractIdPreimage.contractIdPreimageFromAddress(
         new StellarSdk.xdr.ContractIdPreimageFromAddress({
           // Use the factory contract as the deployer, not the user's public key
@@ -261,3 +291,27 @@ export function scValToAmount(scVal) {
     return 0n;
   }
 }
+
+/**
+ * Extract the destination muxed ID from a transfer event value, if any
+ * Muxed transfers carry a map value: { amount: i128, to_muxed_id: u64 | string | bytes }
+ * @param {StellarSdk.xdr.ScVal} scVal - The event value
+ * @returns {string | null} The muxed ID, or null for plain transfers
+ */
+export function scValToMuxedId(scVal) {
+  if (!scVal || scVal.switch().name !== 'scvMap') {
+    return null;
+  }
+
+  for (const entry of scVal.map() || []) {
+    const key = entry.key();
+    if (key.switch().name === 'scvSymbol' && key.sym().toString() === 'to_muxed_id') {
+      const native = StellarSdk.scValToNative(entry.val());
+      if (native === null || native === undefined) {
+        return null;
+      }
+      return native instanceof Uint8Array ? Buffer.from(native).toString('hex') : String(native);
+    }
+  }
+  return null;
+}
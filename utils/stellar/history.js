@@ -0,0 +1,268 @@
+/**
+ * Transfer history export and offline cache
+ * Collects the full transfer history of one or more accounts and serializes it
+ * as CSV or JSON for reconciliation. The newest page of each address is also
+ * kept in storage so the history can be shown while offline
+ */
+
+import { createRpcServer, getXlmContractId } from './rpc';
+import { getTransferHistoryPage } from './transfer';
+import { getTokenMetadata } from './balance';
+import { formatAmount } from './helpers';
+import { getStorage, KEYS } from './storage';
+
+// Columns of an exported record, in CSV order
+export const EXPORT_COLUMNS = [
+  'account',
+  'txHash',
+  'ledger',
+  'timestamp',
+  'direction',
+  'counterparty',
+  'muxedId',
+  'token',
+  'symbol',
+  'decimals',
+  'amount',
+  'amountDisplay',
+];
+
+// Transfers fetched per history page while exporting
+const EXPORT_PAGE_SIZE = 200;
+
+// Addresses whose newest history page is kept; the least recently saved are dropped
+const HISTORY_CACHE_ADDRESSES = 10;
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Convert parsed transfers into export records (pure function)
+ * @param {Array} transfers - Transfers from getTransferHistoryPage
+ * @param {string} account - Address the transfers were fetched for
+ * @param {{ tokenContractId: string, symbol: string, decimals: number }} token - Token the transfers belong to
+ * @returns {Array<object>} Export records (amount is the exact raw integer as a string)
+ */
+export function transfersToRecords(transfers, account, token) {
+  return transfers.map(transfer => ({
+    account,
+    txHash: transfer.txHash,
+    ledger: transfer.ledger,
+    timestamp: transfer.timestamp || '',
+    direction: transfer.direction,
+    counterparty: transfer.counterparty,
+    muxedId: transfer.muxedId || '',
+    token: token.tokenContractId,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    amount: transfer.amount.toString(),
+    amountDisplay: formatAmount(transfer.amount, token.decimals),
+  }));
+}
+
+/**
+ * Escape a value for a CSV cell (pure function)
+ * Quotes cells containing separators and neutralizes spreadsheet formulas
+ * (token symbols are attacker-controlled)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialize export records as CSV with a header row (pure function)
+ * @param {Array<object>} records - Export records
+ * @returns {string} CSV text
+ */
+export function recordsToCsv(records) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  records.forEach(record => {
+    lines.push(EXPORT_COLUMNS.map(column => escapeCsvValue(record[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serialize export records as JSON (pure function)
+ * @param {Array<object>} records - Export records
+ * @returns {string} Pretty-printed JSON array
+ */
+export function recordsToJson(records) {
+  return JSON.stringify(records.map(record => {
+    const ordered = {};
+    EXPORT_COLUMNS.forEach(column => { ordered[column] = record[column]; });
+    return ordered;
+  }), null, 2);
+}
+
+/**
+ * Build a file name for an export (pure function)
+ * @param {'csv' | 'json'} format - Export format
+ * @param {Date} date - Export date
+ * @returns {string} File name
+ */
+export function getExportFileName(format, date = new Date()) {
+  return `lumenitos-history-${date.toISOString().slice(0, 10)}.${format}`;
+}
+
+/**
+ * Make transfers storable as JSON (pure function)
+ * @param {Array} transfers - Transfers from getTransferHistoryPage
+ * @returns {Array} The transfers with amounts as strings
+ */
+export function serializeTransfers(transfers) {
+  return transfers.map(transfer => ({ ...transfer, amount: transfer.amount.toString() }));
+}
+
+/**
+ * Restore transfers stored by serializeTransfers (pure function)
+ * @param {Array} transfers - Stored transfers
+ * @returns {Array} The transfers with bigint amounts
+ */
+export function deserializeTransfers(transfers) {
+  return transfers.map(transfer => ({ ...transfer, amount: BigInt(transfer.amount) }));
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Read the history cache of the current network
+ * @returns {object} Cached pages keyed by address
+ */
+function readHistoryCache() {
+  try {
+    return JSON.parse(getStorage().get(KEYS.HISTORY_CACHE) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the last history page saved for an address
+ * @param {string} address - Address the history belongs to
+ * @returns {{ transfers: Array, cursor: string | null, savedAt: number } | null} The newest page when it was saved, or null
+ */
+export function getCachedTransferHistory(address) {
+  const entry = readHistoryCache()[address];
+  if (!entry) {
+    return null;
+  }
+  try {
+    return { ...entry, transfers: deserializeTransfers(entry.transfers) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the newest history page of an address
+ * @param {string} address - Address the history belongs to
+ * @param {{ transfers: Array, cursor: string | null }} page - Page from getTransferHistoryPage
+ */
+export function cacheTransferHistory(address, page) {
+  const cache = readHistoryCache();
+  cache[address] = { transfers: serializeTransfers(page.transfers), cursor: page.cursor, savedAt: Date.now() };
+
+  const kept = Object.entries(cache)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, HISTORY_CACHE_ADDRESSES);
+  getStorage().set(KEYS.HISTORY_CACHE, JSON.stringify(Object.fromEntries(kept)));
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Fetch the full transfer history of an address for one token
+ * Follows history cursors until the RPC retention window is exhausted
+ * @param {string} address - Address to fetch transfers for
+ * @param {object} options - Options and dependencies
+ * @param {StellarSdk.rpc.Server} options.rpcServer - RPC server instance
+ * @param {string} options.tokenContractId - Token contract (defaults to the native XLM SAC)
+ * @returns {Promise<Array>} All transfers, newest first
+ */
+export async function getFullTransferHistory(address, { rpcServer, tokenContractId } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  const transfers = [];
+  let cursor = null;
+
+  do {
+    const page = await getTransferHistoryPage(address, {
+      rpcServer,
+      cursor,
+      pageSize: EXPORT_PAGE_SIZE,
+      tokenContractId,
+    });
+    transfers.push(...page.transfers);
+    cursor = page.cursor;
+  } while (cursor);
+
+  return transfers;
+}
+
+/**
+ * Export the transfer history of several accounts and tokens
+ * @param {Array<string>} accounts - Addresses to export (e.g. classic and contract account)
+ * @param {Array<{ tokenContractId: string | null, symbol?: string, decimals?: number }>} tokens - Tokens to export (a null ID or an empty list means native XLM); missing metadata is fetched
+ * @param {object} options - Options and dependencies
+ * @param {'csv' | 'json'} options.format - Output format (default 'csv')
+ * @param {StellarSdk.rpc.Server} options.rpcServer - RPC server instance
+ * @returns {Promise<{ content: string, count: number }>} Serialized export and number of records
+ */
+export async function exportTransferHistory(accounts, tokens = [], { format = 'csv', rpcServer } = {}) {
+  if (format !== 'csv' && format !== 'json') {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  rpcServer = rpcServer || createRpcServer();
+
+  try {
+    const tokenList = tokens.length > 0 ? tokens : [{ tokenContractId: null }];
+
+    const resolvedTokens = await Promise.all(tokenList.map(async (token) => {
+      if (!token.tokenContractId) {
+        return { tokenContractId: getXlmContractId(), symbol: 'XLM', decimals: 7 };
+      }
+      if (token.symbol && token.decimals !== undefined) {
+        return token;
+      }
+      const metadata = await getTokenMetadata(token.tokenContractId, { rpcServer });
+      return {
+        tokenContractId: token.tokenContractId,
+        symbol: metadata.symbol === 'native' ? 'XLM' : metadata.symbol,
+        decimals: metadata.decimals,
+      };
+    }));
+
+    const records = [];
+    for (const account of accounts) {
+      for (const token of resolvedTokens) {
+        const transfers = await getFullTransferHistory(account, { rpcServer, tokenContractId: token.tokenContractId });
+        records.push(...transfersToRecords(transfers, account, token));
+      }
+    }
+
+    records.sort((a, b) => b.ledger - a.ledger);
+
+    return {
+      content: format === 'csv' ? recordsToCsv(records) : recordsToJson(records),
+      count: records.length,
+    };
+  } catch (error) {
+    console.error('Error exporting transfer history:', error);
+    throw error;
+  }
+}
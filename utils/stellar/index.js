@@ -14,6 +14,8 @@ export {
   createMemoryStorage,
   setStorage,
   getStorage,
+  setStorageNetwork,
+  scopeKey,
   KEYS,
 } from './storage';
 
@@ -26,12 +28,44 @@ export {
   getAccount,
   getXlmContractId,
   getXlmContract,
+  getTokenContract,
 } from './rpc';
 
+// RPC endpoint pool
+export {
+  RPC_RETRY_ATTEMPTS,
+  MAX_LEDGER_LAG,
+  isEndpointFailure,
+  rankEndpoints,
+  getRpcUrls,
+  getActiveRpcUrl,
+  getRpcEndpoints,
+  onRpcEndpointChange,
+  resetRpcEndpoints,
+  createRpcPool,
+  checkRpcEndpoints,
+} from './rpc';
+
+// Network selection
+export {
+  getSavedNetwork,
+  restoreNetwork,
+  listNetworks,
+  switchNetwork,
+  onNetworkChange,
+  // Custom network profiles
+  validateNetworkProfile,
+  getNetworkProfiles,
+  verifyNetworkProfile,
+  saveNetworkProfile,
+  removeNetworkProfile,
+} from './network';
+
 // Keypair management
 export {
   // Pure functions (testable without side effects)
   deriveKeypairFromMnemonic,
+  getDerivationPath,
   generateMnemonic,
   validateMnemonic,
   normalizeMnemonic,
@@ -46,12 +80,68 @@ export {
   hasKeypair,
   clearKeypair,
   signMessage,
+  // Encrypted keystore
+  DEFAULT_AUTO_LOCK_MS,
+  storeEncryptedKeypair,
+  generateAndStoreEncryptedKeypair,
+  importFromMnemonicEncrypted,
+  encryptStoredKeypair,
+  isKeystoreEncrypted,
+  isLocked,
+  unlock,
+  lock,
+  setAutoLockTimeout,
+  onLockChange,
+  // Derived accounts
+  getAccounts,
+  getActiveAccountIndex,
+  setActiveAccount,
+  addAccount,
+  addNextAccount,
+  // Wallets
+  listWallets,
+  switchWallet,
+  removeWallet,
+  // Key rotation
+  ROTATION_SETTLE_MS,
+  rotateWalletKey,
+  resumeKeyRotation,
+  getPendingRotation,
 } from './keypair';
 
+// Multi-wallet store
+export {
+  DEFAULT_WALLET_ID,
+  getWallets,
+  getActiveWalletId,
+  renameWallet,
+  getWalletStorage,
+  getContractKey,
+  setContractKey,
+  contractAddressOf,
+  getContractAddress,
+} from './wallets';
+
+// Account discovery
+export {
+  classicAccountExists,
+  discoverAccounts,
+} from './accounts';
+
+// Keystore encryption (pure crypto, no storage)
+export {
+  encryptKeystore,
+  decryptKeystore,
+  isEncryptedKeystore,
+  getKeystoreMeta,
+} from './keystore';
+
 // Balance queries
 export {
   getBalance,
   getContractBalance,
+  getTokenBalance,
+  getTokenMetadata,
   simulateBalanceQuery,
 } from './balance';
 
@@ -60,21 +150,196 @@ export {
   buildTransferOperation,
   buildSACTransfer,
   signAuthEntry,
+  buildAuthPayload,
+  buildSignaturesScVal,
   parseAuthEntry,
   bumpInstructionLimit,
   fundTestnetAccount,
+  checkClassicAccountMovable,
+  moveClassicAccount,
   parseTransferEvent,
+  buildTransferFilters,
+  getEventLedger,
+  getTransferHistoryPage,
   getTransferHistory,
+  HISTORY_WINDOW_LEDGERS,
 } from './transfer';
 
+// History export and offline cache
+export {
+  EXPORT_COLUMNS,
+  transfersToRecords,
+  recordsToCsv,
+  recordsToJson,
+  getExportFileName,
+  getFullTransferHistory,
+  exportTransferHistory,
+  serializeTransfers,
+  deserializeTransfers,
+  getCachedTransferHistory,
+  cacheTransferHistory,
+} from './history';
+
+// Incoming transfer notifications
+export {
+  WATCH_INTERVAL_MS,
+  buildIncomingFilters,
+  selectIncomingTransfers,
+  describeIncomingTransfer,
+  getLastSeenLedgers,
+  checkIncomingTransfers,
+  watchIncomingTransfers,
+  getNotificationPermission,
+  requestNotificationPermission,
+  showTransferNotification,
+} from './notifications';
+
 // Contract functions
 export {
   contractInstanceExists,
   deploySimpleAccount,
   sendFromContractAccount,
   deriveContractAddress,
+  parseAccountSigners,
+  cosignersFromSecrets,
+  selectAccountSigners,
+  getAccountSigners,
+  signContractAccountAuth,
+  addSigner,
+  removeSigner,
+  setSignerThreshold,
+  rotateOwner,
+  rotateAccountKey,
+  resumeOwnerRotation,
+  addPasskey,
+  removePasskey,
+  POLICY_DELAY_SECONDS,
+  parseSpendingPolicy,
+  getRemainingAllowance,
+  assertWithinSpendingPolicy,
+  getSpendingPolicy,
+  setSpendingLimit,
+  removeSpendingLimit,
+  setAllowList,
+  parseSessionKeys,
+  getSessionKeys,
+  addSessionKey,
+  removeSessionKey,
 } from './contract';
 
+// Batch payments
+export {
+  BATCH_CHUNK_SIZE,
+  splitCsvLine,
+  parseBatchCsv,
+  chunkPayments,
+  buildBatchTransferOperation,
+  sendBatchFromContractAccount,
+} from './batch';
+
+// Fees
+export {
+  FEE_PRESETS,
+  DEFAULT_FEE_PRESET,
+  DEFAULT_INCLUSION_FEE,
+  FEE_BUMP_MULTIPLIER,
+  selectInclusionFee,
+  getInclusionFeeRate,
+  getFeeBumpRate,
+  getMaxFeeBumpFee,
+  buildFeeBump,
+  getFeeSettings,
+  setFeeSettings,
+  getFeeEstimates,
+  getInclusionFee,
+} from './fees';
+
+// Transaction lifecycle
+export {
+  POLL_INTERVAL_MS,
+  RESUBMIT_EVERY_POLLS,
+  STALL_LEDGERS,
+  getMaxTime,
+  isPastTimeBounds,
+  describeTransaction,
+  getPendingTransactions,
+  onPendingTransactionsChange,
+  waitForTransaction,
+  trackTransaction,
+  submitAndWait,
+  reconcilePendingTransactions,
+  isConnectionError,
+  QUEUED_MESSAGE,
+  getQueuedSends,
+  queueSend,
+  removeQueuedSend,
+  onQueuedSendsChange,
+  sendOrQueue,
+  sendQueuedSends,
+} from './tracker';
+
+// Failure reasons
+export {
+  ACCOUNT_ERRORS,
+  describeHostError,
+  describeDiagnosticEvents,
+  isSimulationFailure,
+  describeSimulationError,
+  describeTransactionResult,
+  describeTransactionFailure,
+} from './errors';
+
+// Transaction previews
+export {
+  formatScVal,
+  describeAuthEntry,
+  getBalanceDeltas,
+  summarizeSimulation,
+  previewContractAccountSend,
+  previewClassicSend,
+} from './preview';
+
+// Session keys
+export {
+  getAuthorizedCalls,
+  isInSessionScope,
+  getStoredSessionKeys,
+  saveSessionKey,
+  removeSavedSessionKey,
+  lockSessionKeys,
+  reencryptSessionKeys,
+  findSessionKeypair,
+} from './session';
+
+// Passkeys
+export {
+  toBase64Url,
+  fromBase64Url,
+  publicKeyFromSpki,
+  derToRawSignature,
+  getAssertionChallenge,
+  getStoredPasskeys,
+  savePasskey,
+  removeSavedPasskey,
+  createPasskey,
+  getPasskeyAssertion,
+} from './passkey';
+
+// Guardian recovery
+export {
+  RECOVERY_DELAY_SECONDS,
+  parseRecoveryState,
+  isRecoveryReady,
+  findGuardianAddress,
+  getRecoveryState,
+  setGuardians,
+  cancelRecovery,
+  startRecovery,
+  approveRecovery,
+  rejectRecovery,
+  completeRecovery,
+} from './recovery';
+
 // TTL functions
 export {
   MAX_TTL_EXTENSION,
@@ -88,8 +353,9 @@ export {
 
 // Helpers (commonly needed utilities)
 export {
-  waitForTransaction,
-  submitAndWait,
+  XLM_DECIMALS,
+  parseAmount,
+  formatAmount,
   stroopsToXlm,
   xlmToStroops,
   formatXlmBalance,
@@ -102,6 +368,7 @@ export {
   deriveContractSalt,
   scValToAddress,
   scValToAmount,
+  scValToMuxedId,
 } from './helpers';
 
 // Gasless transfers (OZ Channels)
@@ -110,4 +377,5 @@ export {
   sendGaslessFromClassic,
   sendGaslessFromContract,
   deploySimpleAccountGasless,
+  describeChannelsFailure,
 } from './gasless';
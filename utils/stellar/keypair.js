@@ -6,23 +6,64 @@
 import * as StellarSdk from '@stellar/stellar-sdk';
 import * as bip39 from 'bip39';
 import { derivePath } from 'ed25519-hd-key';
-import { getStorage, KEYS } from './storage';
+import { KEYS } from './storage';
+import {
+  getWallets,
+  getActiveWalletId,
+  setActiveWalletId,
+  registerWallet,
+  unregisterWallet,
+  renameWallet,
+  getWalletStorage,
+  getContractKey,
+  setContractKey,
+} from './wallets';
+import { encryptKeystore, decryptKeystore, getKeystoreMeta } from './keystore';
+import { lockSessionKeys, reencryptSessionKeys } from './session';
 
-// SEP-0005 derivation path for Stellar
-const STELLAR_DERIVATION_PATH = "m/44'/148'/0'";
+// SEP-0005 derivation path prefix for Stellar (account index is appended)
+const STELLAR_DERIVATION_PREFIX = "m/44'/148'";
+
+// Lock an unlocked keystore after this much inactivity (5 minutes)
+export const DEFAULT_AUTO_LOCK_MS = 5 * 60 * 1000;
+
+// Time after which a rotation transaction that has not landed has expired (they are valid for 30 seconds)
+export const ROTATION_SETTLE_MS = 2 * 60 * 1000;
+
+// Decrypted secrets of an unlocked keystore ({ secret, mnemonic }), kept in memory only
+let session = null;
+let autoLockMs = DEFAULT_AUTO_LOCK_MS;
+let autoLockTimer = null;
+const lockListeners = new Set();
+
+// Last keypair derived for a non-zero account index (seed derivation is slow)
+let derivedAccountCache = null;
 
 // ============================================
 // Pure Functions (no side effects, testable)
 // ============================================
 
+/**
+ * Get the SEP-0005 derivation path for an account index (pure function)
+ * @param {number} index - Account index (default 0)
+ * @returns {string} Derivation path (e.g. "m/44'/148'/0'")
+ */
+export function getDerivationPath(index = 0) {
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error(`Invalid account index: ${index}`);
+  }
+  return `${STELLAR_DERIVATION_PREFIX}/${index}'`;
+}
+
 /**
  * Derive a keypair from a mnemonic phrase (pure function)
  * @param {string} mnemonic - The 12-word BIP39 mnemonic phrase
+ * @param {number} index - SEP-0005 account index (default 0)
  * @returns {StellarSdk.Keypair} The derived keypair
  */
-export function deriveKeypairFromMnemonic(mnemonic) {
+export function deriveKeypairFromMnemonic(mnemonic, index = 0) {
   const seed = bip39.mnemonicToSeedSync(mnemonic);
-  const derivedKey = derivePath(STELLAR_DERIVATION_PATH, seed.toString('hex'));
+  const derivedKey = derivePath(getDerivationPath(index), seed.toString('hex'));
   return StellarSdk.Keypair.fromRawEd25519Seed(derivedKey.key);
 }
 
@@ -62,26 +103,95 @@ export function signWithKeypair(keypair, messageBytes) {
   return keypair.sign(messageBytes);
 }
 
+/**
+ * Check a mnemonic and the contract address it is imported with (pure function)
+ * @param {string} mnemonic - The mnemonic phrase
+ * @param {string} contractAddress - Contract account of a rotated key (C...), if any
+ * @returns {string} The normalized mnemonic
+ * @throws {Error} If the mnemonic or the contract address is invalid
+ */
+function checkImport(mnemonic, contractAddress) {
+  const normalized = normalizeMnemonic(mnemonic);
+
+  if (!validateMnemonic(normalized)) {
+    throw new Error('Invalid mnemonic phrase. Please check your 12 words.');
+  }
+  if (contractAddress && !StellarSdk.StrKey.isValidContract(contractAddress)) {
+    throw new Error('Invalid contract account address');
+  }
+  return normalized;
+}
+
 // ============================================
 // Storage Functions (side effects)
 // ============================================
 
 /**
- * Store a keypair and mnemonic in storage
+ * Store a keypair and mnemonic in storage (unencrypted)
+ * Replaces any encrypted keystore
  * @param {StellarSdk.Keypair} keypair - The keypair to store
  * @param {string} mnemonic - The mnemonic phrase
  */
 export function storeKeypair(keypair, mnemonic) {
-  const storage = getStorage();
+  const storage = getWalletStorage();
+  storage.remove(KEYS.KEYSTORE);
+  endSession();
+  resetAccounts();
   storage.set(KEYS.KEYPAIR, keypair.secret());
   storage.set(KEYS.MNEMONIC, mnemonic);
 }
 
 /**
- * Generate a new keypair and store it
+ * Store a keypair and mnemonic encrypted with a password
+ * Removes any unencrypted copy and leaves the keystore unlocked
+ * Derived accounts are kept, so this can also encrypt an existing wallet
+ * @param {StellarSdk.Keypair} keypair - The keypair to store
+ * @param {string} mnemonic - The mnemonic phrase
+ * @param {string} password - The password or PIN
+ * @param {object} options - Keystore options (e.g. iterations)
+ * @returns {Promise<void>}
+ */
+export async function storeEncryptedKeypair(keypair, mnemonic, password, options = {}) {
+  const secrets = { secret: keypair.secret(), mnemonic: mnemonic || null };
+  const keystore = await encryptKeystore(secrets, password, {
+    ...options,
+    meta: { publicKey: keypair.publicKey() },
+  });
+
+  const storage = getWalletStorage();
+  storage.set(KEYS.KEYSTORE, keystore);
+  storage.remove(KEYS.KEYPAIR);
+  storage.remove(KEYS.MNEMONIC);
+  startSession(secrets);
+}
+
+/**
+ * Make sure the active wallet is empty before storing new keys
+ * Adds and switches to a new wallet if the active one already holds keys
+ * @param {string} label - Optional label for the wallet
+ */
+function selectEmptyWallet(label) {
+  if (hasKeypair()) {
+    switchWallet(registerWallet(label));
+    return;
+  }
+
+  const activeId = getActiveWalletId();
+  if (!getWallets().some(w => w.id === activeId)) {
+    switchWallet(registerWallet(label));
+  } else if (label) {
+    renameWallet(activeId, label);
+  }
+}
+
+/**
+ * Generate a new keypair and store it in a new wallet
+ * @param {object} options - Options
+ * @param {string} options.label - Wallet label
  * @returns {StellarSdk.Keypair} The generated keypair
  */
-export function generateAndStoreKeypair() {
+export function generateAndStoreKeypair({ label } = {}) {
+  selectEmptyWallet(label);
   const mnemonic = generateMnemonic();
   const keypair = deriveKeypairFromMnemonic(mnemonic);
   storeKeypair(keypair, mnemonic);
@@ -89,30 +199,75 @@ export function generateAndStoreKeypair() {
 }
 
 /**
- * Import a wallet from mnemonic and store it
+ * Import a wallet from mnemonic and store it in a new wallet
+ * A key that was rotated controls a contract account whose address is derived
+ * from an earlier key, so it is imported with that address
  * @param {string} mnemonic - The mnemonic phrase
+ * @param {object} options - Options
+ * @param {string} options.label - Wallet label
+ * @param {string} options.contractAddress - Contract account of a rotated key (C...)
  * @returns {StellarSdk.Keypair} The derived keypair
- * @throws {Error} If mnemonic is invalid
+ * @throws {Error} If mnemonic or contract address is invalid
  */
-export function importFromMnemonic(mnemonic) {
-  const normalized = normalizeMnemonic(mnemonic);
+export function importFromMnemonic(mnemonic, { label, contractAddress } = {}) {
+  const normalized = checkImport(mnemonic, contractAddress);
 
-  if (!validateMnemonic(normalized)) {
-    throw new Error('Invalid mnemonic phrase. Please check your 12 words.');
+  selectEmptyWallet(label);
+  const keypair = deriveKeypairFromMnemonic(normalized);
+  storeKeypair(keypair, normalized);
+  if (contractAddress) {
+    setContractKey(keypair.publicKey(), contractAddress);
   }
+  return keypair;
+}
 
+/**
+ * Generate a new keypair and store it in a new wallet, encrypted with a password
+ * @param {string} password - The password or PIN
+ * @param {object} options - Keystore options (e.g. iterations) and wallet label
+ * @returns {Promise<StellarSdk.Keypair>} The generated keypair
+ */
+export async function generateAndStoreEncryptedKeypair(password, { label, ...options } = {}) {
+  selectEmptyWallet(label);
+  const mnemonic = generateMnemonic();
+  const keypair = deriveKeypairFromMnemonic(mnemonic);
+  await storeEncryptedKeypair(keypair, mnemonic, password, options);
+  return keypair;
+}
+
+/**
+ * Import a wallet from mnemonic and store it in a new wallet, encrypted with a password
+ * @param {string} mnemonic - The mnemonic phrase
+ * @param {string} password - The password or PIN
+ * @param {object} options - Keystore options (e.g. iterations), wallet label and contract address (see importFromMnemonic)
+ * @returns {Promise<StellarSdk.Keypair>} The derived keypair
+ * @throws {Error} If mnemonic or contract address is invalid
+ */
+export async function importFromMnemonicEncrypted(mnemonic, password, { label, contractAddress, ...options } = {}) {
+  const normalized = checkImport(mnemonic, contractAddress);
+
+  selectEmptyWallet(label);
   const keypair = deriveKeypairFromMnemonic(normalized);
-  storeKeypair(keypair, normalized);
+  await storeEncryptedKeypair(keypair, normalized, password, options);
+  if (contractAddress) {
+    setContractKey(keypair.publicKey(), contractAddress);
+  }
   return keypair;
 }
 
 /**
- * Get the stored keypair
+ * Get the stored keypair of the active account
+ * Returns null while an encrypted keystore is locked
  * @returns {StellarSdk.Keypair | null} The keypair if it exists
  */
 export function getStoredKeypair() {
-  const storage = getStorage();
-  const secretKey = storage.get(KEYS.KEYPAIR);
+  const index = getActiveAccountIndex();
+  if (index > 0) {
+    return getDerivedAccountKeypair(index);
+  }
+
+  const storage = getWalletStorage();
+  const secretKey = isKeystoreEncrypted() ? touchSession()?.secret : storage.get(KEYS.KEYPAIR);
 
   if (!secretKey) {
     return null;
@@ -127,39 +282,527 @@ export function getStoredKeypair() {
 }
 
 /**
- * Get the public key from stored keypair
+ * Get the public key of the active account
  * @returns {string | null} The public key if it exists
  */
 export function getPublicKey() {
+  const index = getActiveAccountIndex();
+  if (index > 0) {
+    const account = getAccounts().find(a => a.index === index);
+    return account ? account.publicKey : null;
+  }
+
+  // The public key is kept in plain text so a locked wallet can still show balances
+  if (isKeystoreEncrypted()) {
+    return getKeystoreMeta(getWalletStorage().get(KEYS.KEYSTORE)).publicKey || null;
+  }
   const keypair = getStoredKeypair();
   return keypair ? keypair.publicKey() : null;
 }
 
 /**
  * Get the stored mnemonic phrase
+ * Returns null while an encrypted keystore is locked
  * @returns {string | null} The mnemonic if it exists
  */
 export function getMnemonic() {
-  const storage = getStorage();
+  if (isKeystoreEncrypted()) {
+    return touchSession()?.mnemonic ?? null;
+  }
+  const storage = getWalletStorage();
   return storage.get(KEYS.MNEMONIC);
 }
 
 /**
- * Check if a keypair exists in storage
+ * Check if the active wallet holds a keypair (encrypted or not)
  * @returns {boolean} True if keypair exists
  */
 export function hasKeypair() {
-  const storage = getStorage();
-  return storage.get(KEYS.KEYPAIR) !== null;
+  const storage = getWalletStorage();
+  return storage.get(KEYS.KEYPAIR) !== null || storage.get(KEYS.KEYSTORE) !== null;
 }
 
 /**
- * Clear the stored keypair and mnemonic
+ * Remove the active wallet (keypair, mnemonic and derived accounts)
+ * Another stored wallet, if any, becomes active
  */
 export function clearKeypair() {
-  const storage = getStorage();
-  storage.remove(KEYS.KEYPAIR);
-  storage.remove(KEYS.MNEMONIC);
+  removeWallet(getActiveWalletId());
+}
+
+// ============================================
+// Wallets (storage side effects)
+// ============================================
+
+/**
+ * List stored wallets with their public keys
+ * @returns {Array<{ id: string, label: string, publicKey: string | null, active: boolean }>} Wallets
+ */
+export function listWallets() {
+  const activeId = getActiveWalletId();
+
+  return getWallets().map(wallet => {
+    const storage = getWalletStorage(wallet.id);
+    const secret = storage.get(KEYS.KEYPAIR);
+    const publicKey = secret
+      ? StellarSdk.Keypair.fromSecret(secret).publicKey()
+      : getKeystoreMeta(storage.get(KEYS.KEYSTORE)).publicKey || null;
+
+    return { ...wallet, publicKey, active: wallet.id === activeId };
+  });
+}
+
+/**
+ * Switch the active wallet
+ * Locks the previous wallet's keystore
+ * @param {string} walletId - Wallet ID
+ * @throws {Error} If the wallet does not exist
+ */
+export function switchWallet(walletId) {
+  const wasLocked = isLocked();
+  setActiveWalletId(walletId);
+  endSession();
+  derivedAccountCache = null;
+  if (isLocked() !== wasLocked) {
+    notifyLockChange();
+  }
+}
+
+/**
+ * Remove a wallet and all of its stored keys
+ * @param {string} walletId - Wallet ID
+ */
+export function removeWallet(walletId) {
+  const wasActive = getActiveWalletId() === walletId;
+  const wasLocked = isLocked();
+  unregisterWallet(walletId);
+
+  if (wasActive) {
+    endSession();
+    derivedAccountCache = null;
+    if (isLocked() !== wasLocked) {
+      notifyLockChange();
+    }
+  }
+}
+
+// ============================================
+// Derived Accounts (storage side effects)
+// ============================================
+
+/**
+ * Forget derived accounts and select account 0
+ */
+function resetAccounts() {
+  const storage = getWalletStorage();
+  storage.remove(KEYS.ACCOUNTS);
+  storage.remove(KEYS.ACTIVE_ACCOUNT);
+  derivedAccountCache = null;
+}
+
+/**
+ * Derive the keypair for an account index from the stored mnemonic
+ * @param {number} index - Account index
+ * @returns {StellarSdk.Keypair | null} The keypair, or null if locked or no mnemonic is stored
+ */
+function getDerivedAccountKeypair(index) {
+  const mnemonic = getMnemonic();
+  if (!mnemonic) {
+    return null;
+  }
+
+  if (!derivedAccountCache || derivedAccountCache.mnemonic !== mnemonic || derivedAccountCache.index !== index) {
+    const keypair = deriveKeypairFromMnemonic(mnemonic, index);
+    derivedAccountCache = { mnemonic, index, secret: keypair.secret() };
+  }
+  return StellarSdk.Keypair.fromSecret(derivedAccountCache.secret);
+}
+
+/**
+ * Get the index of the active account
+ * @returns {number} Active account index (0 if none selected)
+ */
+export function getActiveAccountIndex() {
+  const index = parseInt(getWalletStorage().get(KEYS.ACTIVE_ACCOUNT) || '0', 10);
+  return Number.isInteger(index) && index >= 0 ? index : 0;
+}
+
+/**
+ * Get the accounts derived from the stored mnemonic
+ * Account 0 is the stored keypair itself and is always listed first
+ * @returns {Array<{ index: number, publicKey: string }>} Known accounts, by index
+ */
+export function getAccounts() {
+  const storage = getWalletStorage();
+  let derived = [];
+
+  try {
+    derived = JSON.parse(storage.get(KEYS.ACCOUNTS) || '[]');
+  } catch {
+    derived = [];
+  }
+
+  // Resolve account 0 directly so this never recurses through the active account
+  const storedSecret = storage.get(KEYS.KEYPAIR);
+  const basePublicKey = isKeystoreEncrypted()
+    ? getKeystoreMeta(storage.get(KEYS.KEYSTORE)).publicKey
+    : storedSecret && StellarSdk.Keypair.fromSecret(storedSecret).publicKey();
+
+  if (!basePublicKey) {
+    return [];
+  }
+
+  return [
+    { index: 0, publicKey: basePublicKey },
+    ...derived.filter(a => a.index > 0).sort((a, b) => a.index - b.index),
+  ];
+}
+
+/**
+ * Derive and remember the account at an index
+ * @param {number} index - Account index
+ * @returns {{ index: number, publicKey: string }} The account
+ * @throws {Error} If the keystore is locked or no mnemonic is stored
+ */
+export function addAccount(index) {
+  if (isLocked()) {
+    throw new Error('Keystore is locked');
+  }
+
+  const mnemonic = getMnemonic();
+  if (!mnemonic) {
+    throw new Error('A recovery phrase is required to derive more accounts');
+  }
+
+  const accounts = getAccounts();
+  const existing = accounts.find(a => a.index === index);
+  if (existing) {
+    return existing;
+  }
+
+  const account = { index, publicKey: deriveKeypairFromMnemonic(mnemonic, index).publicKey() };
+  const derived = [...accounts.slice(1), account];
+  getWalletStorage().set(KEYS.ACCOUNTS, JSON.stringify(derived));
+  return account;
+}
+
+/**
+ * Derive and remember the next unused account index
+ * @returns {{ index: number, publicKey: string }} The new account
+ */
+export function addNextAccount() {
+  const accounts = getAccounts();
+  const nextIndex = accounts.length > 0 ? accounts[accounts.length - 1].index + 1 : 0;
+  return addAccount(nextIndex);
+}
+
+/**
+ * Switch the active account
+ * @param {number} index - Account index (must be a known account)
+ * @throws {Error} If the account is unknown
+ */
+export function setActiveAccount(index) {
+  if (!getAccounts().some(a => a.index === index)) {
+    throw new Error(`Unknown account index: ${index}`);
+  }
+  getWalletStorage().set(KEYS.ACTIVE_ACCOUNT, String(index));
+}
+
+// ============================================
+// Key Rotation (storage side effects)
+// ============================================
+
+/**
+ * Get the secret of the wallet's first account, whichever account is active
+ * @returns {string | null} Secret key, or null if locked or missing
+ */
+function getBaseSecret() {
+  return isKeystoreEncrypted() ? touchSession()?.secret ?? null : getWalletStorage().get(KEYS.KEYPAIR);
+}
+
+/**
+ * Check the password of an encrypted keystore before storing keys with it
+ * @param {string} password - The password or PIN
+ * @returns {Promise<void>}
+ * @throws {Error} If the password is missing or wrong
+ */
+async function checkKeystorePassword(password) {
+  if (!password) {
+    throw new Error('Password is required to re-encrypt the keystore');
+  }
+  await decryptKeystore(getWalletStorage().get(KEYS.KEYSTORE), password);
+}
+
+/**
+ * Replace the wallet's key with the key of a rotation and forget the rotation
+ * @param {StellarSdk.Keypair} current - The key being replaced
+ * @param {{ secret: string, mnemonic: string }} rotation - The new key and recovery phrase
+ * @param {string} contractKey - The key the contract address was derived from
+ * @param {object} options - Keystore options (password of an encrypted keystore)
+ * @returns {Promise<StellarSdk.Keypair>} The new keypair
+ */
+async function promoteRotation(current, rotation, contractKey, { password, ...options }) {
+  const keypair = StellarSdk.Keypair.fromSecret(rotation.secret);
+  if (isKeystoreEncrypted()) {
+    resetAccounts();
+    await storeEncryptedKeypair(keypair, rotation.mnemonic, password, options);
+  } else {
+    storeKeypair(keypair, rotation.mnemonic);
+  }
+  setContractKey(keypair.publicKey(), contractKey);
+  await reencryptSessionKeys(current, keypair);
+  getWalletStorage().remove(KEYS.PENDING_ROTATION);
+  return keypair;
+}
+
+/**
+ * Get the new public key of a key rotation that has not been finished
+ * @returns {string | null} The new public key, or null without a pending rotation
+ */
+export function getPendingRotation() {
+  const pending = getWalletStorage().get(KEYS.PENDING_ROTATION);
+  return pending ? getKeystoreMeta(pending).publicKey || null : null;
+}
+
+/**
+ * Replace the key of the active wallet with a new recovery phrase
+ * The new key is saved first as a pending rotation, encrypted with the current
+ * key; the caller then moves the contract account to it (e.g. with rotateOwner)
+ * and only then does the new key replace the current one. The wallet keeps
+ * deriving the same contract address from the original key. Accounts derived
+ * from the old phrase are forgotten; session keys are re-encrypted with the new key.
+ * If `rotate` fails the rotation stays pending, since the transaction may still
+ * land; resumeKeyRotation finishes or discards it
+ * @param {function(string): Promise<*>} rotate - Moves the contract account to the new public key
+ * @param {object} options - Keystore options
+ * @param {string} options.password - Password of an encrypted keystore (it is re-encrypted with it)
+ * @returns {Promise<{ keypair: StellarSdk.Keypair, mnemonic: string }>} The new keypair and recovery phrase
+ * @throws {Error} If a derived account is active, the keystore is locked, the password is wrong
+ *   or a rotation is pending
+ */
+export async function rotateWalletKey(rotate, { password, ...options } = {}) {
+  if (getActiveAccountIndex() > 0) {
+    throw new Error('Only the first account of a wallet can be rotated');
+  }
+  if (isLocked()) {
+    throw new Error('Keystore is locked');
+  }
+  if (getPendingRotation()) {
+    throw new Error('A key rotation is pending');
+  }
+
+  // Check the password before the account moves to a key that could not be stored
+  if (isKeystoreEncrypted()) {
+    await checkKeystorePassword(password);
+  }
+
+  const current = getStoredKeypair();
+  if (!current) {
+    throw new Error('No keypair found in storage');
+  }
+  const contractKey = getContractKey(current.publicKey());
+
+  const mnemonic = generateMnemonic();
+  const keypair = deriveKeypairFromMnemonic(mnemonic);
+  const rotation = { secret: keypair.secret(), mnemonic };
+  getWalletStorage().set(KEYS.PENDING_ROTATION, await encryptKeystore(rotation, current.secret(), {
+    kdf: 'HKDF',
+    meta: { publicKey: keypair.publicKey(), contractKey, createdAt: Date.now() },
+  }));
+
+  await rotate(keypair.publicKey());
+  await promoteRotation(current, rotation, contractKey, { password, ...options });
+
+  return { keypair, mnemonic };
+}
+
+/**
+ * Finish or discard a key rotation that was interrupted (call after unlocking)
+ * The rotation is finished if the contract account moved to the new key and
+ * discarded if it did not. A rotation younger than ROTATION_SETTLE_MS is left
+ * pending while the account has not moved, since its transaction may still land
+ * @param {function(string, string, StellarSdk.Keypair): Promise<boolean>} isRotated - Whether the contract account
+ *   (of the contract key, second argument) has the new public key (first argument) as a signer; it gets
+ *   the key being replaced (third argument) to finish moving the wallet to the new one
+ * @param {object} options - Keystore options
+ * @param {string} options.password - Password of an encrypted keystore (it is re-encrypted with it)
+ * @returns {Promise<'completed' | 'discarded' | 'pending' | null>} What happened, or null without a pending rotation
+ * @throws {Error} If the keystore is locked or the password is wrong
+ */
+export async function resumeKeyRotation(isRotated, { password, ...options } = {}) {
+  const pending = getWalletStorage().get(KEYS.PENDING_ROTATION);
+  if (!pending) {
+    return null;
+  }
+  if (isLocked()) {
+    throw new Error('Keystore is locked');
+  }
+
+  const secret = getBaseSecret();
+  if (!secret) {
+    throw new Error('No keypair found in storage');
+  }
+  const current = StellarSdk.Keypair.fromSecret(secret);
+  const { publicKey, contractKey, createdAt } = getKeystoreMeta(pending);
+
+  // Interrupted after the new key was stored
+  if (current.publicKey() === publicKey) {
+    setContractKey(publicKey, contractKey);
+    getWalletStorage().remove(KEYS.PENDING_ROTATION);
+    return 'completed';
+  }
+
+  if (!(await isRotated(publicKey, contractKey, current))) {
+    if (Date.now() - createdAt < ROTATION_SETTLE_MS) {
+      return 'pending';
+    }
+    getWalletStorage().remove(KEYS.PENDING_ROTATION);
+    return 'discarded';
+  }
+
+  if (isKeystoreEncrypted()) {
+    await checkKeystorePassword(password);
+  }
+  const rotation = await decryptKeystore(pending, current.secret());
+  await promoteRotation(current, rotation, contractKey, { password, ...options });
+  return 'completed';
+}
+
+// ============================================
+// Keystore Lock (session side effects)
+// ============================================
+
+/**
+ * Notify lock listeners of the current lock state
+ */
+function notifyLockChange() {
+  const locked = isLocked();
+  lockListeners.forEach(listener => listener(locked));
+}
+
+/**
+ * (Re)start the auto-lock timer
+ */
+function scheduleAutoLock() {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = autoLockMs > 0 ? setTimeout(lock, autoLockMs) : null;
+}
+
+/**
+ * Keep decrypted secrets in memory and start the auto-lock timer
+ * @param {object} secrets - Decrypted { secret, mnemonic }
+ */
+function startSession(secrets) {
+  session = secrets;
+  scheduleAutoLock();
+  notifyLockChange();
+}
+
+/**
+ * Forget decrypted secrets (including session keys) without notifying listeners
+ */
+function endSession() {
+  session = null;
+  lockSessionKeys();
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+}
+
+/**
+ * Record keystore activity, postponing the auto-lock
+ * @returns {object | null} The unlocked secrets, or null if locked
+ */
+function touchSession() {
+  if (session) {
+    scheduleAutoLock();
+  }
+  return session;
+}
+
+/**
+ * Check if the stored wallet is protected by an encrypted keystore
+ * @returns {boolean} True if encrypted
+ */
+export function isKeystoreEncrypted() {
+  return getWalletStorage().get(KEYS.KEYSTORE) !== null;
+}
+
+/**
+ * Check if the encrypted keystore is locked
+ * Unencrypted wallets are never locked
+ * @returns {boolean} True if locked
+ */
+export function isLocked() {
+  return isKeystoreEncrypted() && session === null;
+}
+
+/**
+ * Unlock the encrypted keystore with a password
+ * @param {string} password - The password or PIN
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no encrypted keystore or the password is incorrect
+ */
+export async function unlock(password) {
+  const keystore = getWalletStorage().get(KEYS.KEYSTORE);
+  if (!keystore) {
+    throw new Error('No encrypted keystore found');
+  }
+
+  startSession(await decryptKeystore(keystore, password));
+}
+
+/**
+ * Lock the keystore, forgetting decrypted secrets
+ */
+export function lock() {
+  const wasUnlocked = session !== null;
+  endSession();
+  if (wasUnlocked) {
+    notifyLockChange();
+  }
+}
+
+/**
+ * Encrypt a wallet that is stored in plain text (migration for existing wallets)
+ * Also re-encrypts an unlocked keystore with a new password
+ * @param {string} password - The new password or PIN
+ * @param {object} options - Keystore options (e.g. iterations)
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no wallet or the keystore is locked
+ */
+export async function encryptStoredKeypair(password, options = {}) {
+  if (isLocked()) {
+    throw new Error('Keystore is locked');
+  }
+
+  // Always encrypt the base (account 0) secret, whichever account is active
+  const secret = getBaseSecret();
+  if (!secret) {
+    throw new Error('No keypair found in storage');
+  }
+
+  await storeEncryptedKeypair(StellarSdk.Keypair.fromSecret(secret), getMnemonic(), password, options);
+}
+
+/**
+ * Set the inactivity timeout after which the keystore locks itself
+ * @param {number} ms - Timeout in milliseconds (0 disables auto-lock)
+ */
+export function setAutoLockTimeout(ms) {
+  autoLockMs = ms;
+  if (session) {
+    scheduleAutoLock();
+  }
+}
+
+/**
+ * Subscribe to lock state changes (unlock, lock and auto-lock)
+ * @param {function(boolean): void} listener - Called with the new locked state
+ * @returns {function} Unsubscribe function
+ */
+export function onLockChange(listener) {
+  lockListeners.add(listener);
+  return () => lockListeners.delete(listener);
 }
 
 /**
@@ -168,6 +811,10 @@ export function clearKeypair() {
  * @returns {string} Base64-encoded signature
  */
 export function signMessage(message) {
+  if (isLocked()) {
+    throw new Error('Keystore is locked');
+  }
+
   const keypair = getStoredKeypair();
   if (!keypair) {
     throw new Error('No keypair found in storage');
@@ -0,0 +1,184 @@
+/**
+ * Encrypted keystore
+ * Password-based encryption of wallet secrets using WebCrypto
+ * (PBKDF2-SHA256 key derivation + AES-256-GCM). Secrets encrypted with
+ * another secret key (e.g. session keys) use HKDF-SHA256 instead, since a
+ * random key needs no stretching
+ */
+
+// Current keystore format version
+const KEYSTORE_VERSION = 1;
+
+// PBKDF2 iteration count (OWASP recommendation for PBKDF2-HMAC-SHA256)
+export const DEFAULT_KDF_ITERATIONS = 600_000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Get the WebCrypto SubtleCrypto implementation
+ * @returns {SubtleCrypto} SubtleCrypto instance
+ * @throws {Error} If WebCrypto is unavailable (e.g. insecure context)
+ */
+function getCrypto() {
+  const crypto = globalThis.crypto;
+  if (!crypto || !crypto.subtle) {
+    throw new Error('Web Crypto API is not available in this environment');
+  }
+  return crypto;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derive an AES-GCM key from a password or secret key
+ * @param {string} password - The password, PIN or secret key
+ * @param {object} kdf - Key derivation parameters
+ * @param {string} kdf.name - 'PBKDF2' or 'HKDF'
+ * @param {Uint8Array} kdf.salt - Random salt
+ * @param {number} kdf.iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} The derived key
+ */
+async function deriveKey(password, { name, salt, iterations }) {
+  const { subtle } = getCrypto();
+  const baseKey = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    name,
+    false,
+    ['deriveKey']
+  );
+
+  const params = name === 'HKDF'
+    ? { name, salt, info: new Uint8Array(), hash: 'SHA-256' }
+    : { name, salt, iterations, hash: 'SHA-256' };
+
+  return subtle.deriveKey(
+    params,
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a stored value is an encrypted keystore
+ * @param {string | null} value - The stored value
+ * @returns {boolean} True if the value is an encrypted keystore
+ */
+export function isEncryptedKeystore(value) {
+  if (typeof value !== 'string' || !value.startsWith('{')) {
+    return false;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed.version === KEYSTORE_VERSION && typeof parsed.ciphertext === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt secrets with a password
+ * @param {object} secrets - JSON-serializable secrets to encrypt
+ * @param {string} password - The password, PIN or secret key
+ * @param {object} options - Options
+ * @param {number} options.iterations - PBKDF2 iterations (default: 600,000)
+ * @param {string} options.kdf - 'PBKDF2' for passwords (default) or 'HKDF' for random secret keys
+ * @param {object} options.meta - Non-secret metadata stored in plain text (e.g. public key)
+ * @returns {Promise<string>} Serialized keystore
+ */
+export async function encryptKeystore(secrets, password, { iterations = DEFAULT_KDF_ITERATIONS, kdf = 'PBKDF2', meta = {} } = {}) {
+  if (!password) {
+    throw new Error('A password is required to encrypt the keystore');
+  }
+
+  const crypto = getCrypto();
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(password, { name: kdf, salt, iterations });
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(secrets))
+  );
+
+  return JSON.stringify({
+    version: KEYSTORE_VERSION,
+    kdf: kdf === 'HKDF'
+      ? { name: kdf, hash: 'SHA-256', salt: bytesToBase64(salt) }
+      : { name: kdf, hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+    meta,
+  });
+}
+
+/**
+ * Decrypt a keystore with a password
+ * @param {string} keystore - Serialized keystore
+ * @param {string} password - The password, PIN or secret key it was encrypted with
+ * @returns {Promise<object>} The decrypted secrets
+ * @throws {Error} If the password is wrong or the keystore is corrupted
+ */
+export async function decryptKeystore(keystore, password) {
+  if (!isEncryptedKeystore(keystore)) {
+    throw new Error('Invalid keystore');
+  }
+
+  const { kdf, cipher, ciphertext } = JSON.parse(keystore);
+  const key = await deriveKey(password, { ...kdf, salt: base64ToBytes(kdf.salt) });
+
+  let plaintext;
+  try {
+    plaintext = await getCrypto().subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(cipher.iv) },
+      key,
+      base64ToBytes(ciphertext)
+    );
+  } catch {
+    // AES-GCM authentication fails for a wrong password or tampered data
+    throw new Error('Incorrect password');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Read the plain-text metadata of a keystore without decrypting it
+ * @param {string} keystore - Serialized keystore
+ * @returns {object} Keystore metadata
+ */
+export function getKeystoreMeta(keystore) {
+  if (!isEncryptedKeystore(keystore)) {
+    return {};
+  }
+  return JSON.parse(keystore).meta || {};
+}
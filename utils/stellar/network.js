@@ -0,0 +1,312 @@
+/**
+ * Network selection
+ * Switches the wallet between Stellar networks at runtime. Keys and wallets
+ * are shared by every network; contract keys, session keys, passkeys, fee
+ * settings and pending transactions are stored per network.
+ *
+ * Besides the presets in config.js, users can define custom network profiles
+ * (private forks, staging networks). A profile is only saved once its RPC and
+ * account factory check out.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import config, {
+  getNetworks,
+  isNetworkAvailable,
+  setActiveNetwork,
+  addNetwork,
+  removeNetwork,
+} from '../config';
+import { getStorage, setStorageNetwork, KEYS } from './storage';
+import { createRpcServer, resetDefaultRpcServer, resetRpcEndpoints } from './rpc';
+import { deriveContractAddress, buildInstanceLedgerKey } from './helpers';
+import { isSimulationFailure, describeSimulationError } from './errors';
+
+// Listeners notified when the active network changes
+const networkListeners = new Set();
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Check that a value is an http(s) URL (pure function)
+ * @param {string} value - The value
+ * @returns {boolean} True for http and https URLs
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read an optional WASM hash (pure function)
+ * @param {string} value - Hex hash as entered
+ * @param {string} name - Contract name for the error message
+ * @returns {string | null} Lowercase hex hash, or null if empty
+ * @throws {Error} If the hash is not 32 bytes of hex
+ */
+function readWasmHash(value, name) {
+  const hash = (value || '').trim().toLowerCase();
+  if (hash && !/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error(`The ${name} WASM hash must be 64 hex characters`);
+  }
+  return hash || null;
+}
+
+/**
+ * Check and normalize a custom network profile (pure function)
+ * @param {object} profile - label, sorobanRpcUrl, passphrase, friendbotUrl (optional),
+ *   accountFactoryAddress, simpleAccountWasmHash and accountFactoryWasmHash (optional)
+ * @returns {object} The profile with trimmed values and null for empty optional ones
+ * @throws {Error} If a value is missing or malformed
+ */
+export function validateNetworkProfile(profile) {
+  const label = (profile.label || '').trim();
+  if (!label) {
+    throw new Error('Enter a name for the network');
+  }
+
+  const sorobanRpcUrl = (profile.sorobanRpcUrl || '').trim();
+  if (!isHttpUrl(sorobanRpcUrl)) {
+    throw new Error('The RPC URL must be an http(s) URL');
+  }
+
+  const passphrase = (profile.passphrase || '').trim();
+  if (!passphrase) {
+    throw new Error('Enter the network passphrase');
+  }
+
+  const friendbotUrl = (profile.friendbotUrl || '').trim() || null;
+  if (friendbotUrl && !isHttpUrl(friendbotUrl)) {
+    throw new Error('The Friendbot URL must be an http(s) URL');
+  }
+
+  const accountFactoryAddress = (profile.accountFactoryAddress || '').trim();
+  if (!StellarSdk.StrKey.isValidContract(accountFactoryAddress)) {
+    throw new Error('The factory address must be a contract address (C...)');
+  }
+
+  return {
+    label,
+    sorobanRpcUrl,
+    passphrase,
+    friendbotUrl,
+    accountFactoryAddress,
+    simpleAccountWasmHash: readWasmHash(profile.simpleAccountWasmHash, 'simple_account'),
+    accountFactoryWasmHash: readWasmHash(profile.accountFactoryWasmHash, 'account_factory'),
+  };
+}
+
+/**
+ * Generate an id for a custom network (pure function)
+ * @returns {string} Network id
+ */
+function generateNetworkId() {
+  return `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Get the network saved by the last switch
+ * @returns {string} Network id, or the default network if none was saved
+ */
+export function getSavedNetwork() {
+  return getStorage().get(KEYS.NETWORK) || config.defaultNetwork;
+}
+
+/**
+ * Make a network active without saving it or notifying listeners
+ * @param {string} id - Network id
+ */
+function applyNetwork(id) {
+  setActiveNetwork(id);
+  setStorageNetwork(id === config.defaultNetwork ? null : id);
+  resetDefaultRpcServer();
+  resetRpcEndpoints();
+}
+
+/**
+ * Get the saved custom network profiles
+ * @returns {Array<object>} Profiles (see validateNetworkProfile) with their id
+ */
+export function getNetworkProfiles() {
+  try {
+    return JSON.parse(getStorage().get(KEYS.NETWORK_PROFILES) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the custom network profiles
+ * @param {Array<object>} profiles - Profiles with their id
+ */
+function saveNetworkProfiles(profiles) {
+  getStorage().set(KEYS.NETWORK_PROFILES, JSON.stringify(profiles));
+}
+
+/**
+ * Activate the saved network (call once before reading wallet storage)
+ * Registers the custom network profiles first. Falls back to the default
+ * network if the saved one is no longer configured
+ * @returns {string} The active network id
+ */
+export function restoreNetwork() {
+  getNetworkProfiles().forEach(({ id, ...profile }) => addNetwork(id, profile));
+
+  const saved = getSavedNetwork();
+  applyNetwork(isNetworkAvailable(saved) ? saved : config.defaultNetwork);
+  return config.stellar.network;
+}
+
+/**
+ * List the networks the wallet can switch to
+ * @returns {Array<{id: string, label: string, available: boolean, active: boolean}>} The networks
+ */
+export function listNetworks() {
+  return getNetworks().map(network => ({
+    ...network,
+    active: network.id === config.stellar.network,
+  }));
+}
+
+/**
+ * Switch the wallet to another network and save the choice
+ * @param {string} id - Network id
+ * @returns {string} The active network id
+ * @throws {Error} If the network is unknown or not configured
+ */
+export function switchNetwork(id) {
+  applyNetwork(id);
+  getStorage().set(KEYS.NETWORK, id);
+  networkListeners.forEach(listener => listener(id));
+  return id;
+}
+
+/**
+ * Remove a custom network profile
+ * Data stored for the network is kept, so adding it again restores it
+ * @param {string} id - Network id
+ * @throws {Error} If the network is built in or active
+ */
+export function removeNetworkProfile(id) {
+  removeNetwork(id);
+  saveNetworkProfiles(getNetworkProfiles().filter(profile => profile.id !== id));
+}
+
+/**
+ * Subscribe to network switches
+ * @param {Function} listener - Called with the new network id
+ * @returns {Function} Unsubscribe function
+ */
+export function onNetworkChange(listener) {
+  networkListeners.add(listener);
+  return () => networkListeners.delete(listener);
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Simulate a read-only call of the account factory
+ * @param {StellarSdk.rpc.Server} rpcServer - RPC server of the network
+ * @param {object} profile - The network profile
+ * @param {string} method - Factory method
+ * @param {...StellarSdk.xdr.ScVal} args - Method arguments
+ * @returns {Promise<any>} The native return value
+ * @throws {Error} If the simulation fails
+ */
+async function simulateFactoryView(rpcServer, profile, method, ...args) {
+  // Read-only calls need no real source account
+  const placeholderAccount = new StellarSdk.Account(StellarSdk.Keypair.random().publicKey(), '0');
+  const transaction = new StellarSdk.TransactionBuilder(placeholderAccount, {
+    fee: StellarSdk.BASE_FEE,
+    networkPassphrase: profile.passphrase,
+  })
+    .addOperation(new StellarSdk.Contract(profile.accountFactoryAddress).call(method, ...args))
+    .setTimeout(30)
+    .build();
+
+  const simulation = await rpcServer.simulateTransaction(transaction);
+  if (isSimulationFailure(simulation)) {
+    throw new Error(`The factory ${method}() call failed: ${describeSimulationError(simulation)}`);
+  }
+  return StellarSdk.scValToNative(simulation.result.retval);
+}
+
+/**
+ * Check a custom network profile against the network itself
+ * The RPC must serve the passphrase, the factory must be deployed (with the
+ * given code), deploy the given simple_account WASM and derive account
+ * addresses the way deriveContractAddress does
+ * @param {object} profile - A validated profile (see validateNetworkProfile)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object>} The profile with both WASM hashes filled in from the network
+ * @throws {Error} If the network does not match the profile
+ */
+export async function verifyNetworkProfile(profile, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer(profile.sorobanRpcUrl);
+
+  const { passphrase } = await rpcServer.getNetwork();
+  if (passphrase !== profile.passphrase) {
+    throw new Error(`The RPC serves "${passphrase}", not "${profile.passphrase}"`);
+  }
+
+  const factoryId = StellarSdk.StrKey.decodeContract(profile.accountFactoryAddress);
+  const { entries } = await rpcServer.getLedgerEntries(buildInstanceLedgerKey(factoryId));
+  if (!entries || entries.length === 0) {
+    throw new Error(`Factory ${profile.accountFactoryAddress} is not deployed on this network`);
+  }
+  const factoryWasmHash = entries[0].val.contractData().val().instance().executable().wasmHash().toString('hex');
+  if (profile.accountFactoryWasmHash && factoryWasmHash !== profile.accountFactoryWasmHash) {
+    throw new Error(`The factory runs WASM ${factoryWasmHash}, not ${profile.accountFactoryWasmHash}`);
+  }
+
+  const simpleAccountWasmHash = Buffer.from(await simulateFactoryView(rpcServer, profile, 'wasm_hash')).toString('hex');
+  if (profile.simpleAccountWasmHash && simpleAccountWasmHash !== profile.simpleAccountWasmHash) {
+    throw new Error(`The factory deploys simple_account WASM ${simpleAccountWasmHash}, not ${profile.simpleAccountWasmHash}`);
+  }
+
+  // Any key will do: the factory and the wallet must agree on its account address
+  const probe = StellarSdk.Keypair.random();
+  const factoryAddress = await simulateFactoryView(rpcServer, profile, 'get_address', StellarSdk.xdr.ScVal.scvBytes(probe.rawPublicKey()));
+  const derivedAddress = deriveContractAddress(probe.publicKey(), {
+    factoryAddress: profile.accountFactoryAddress,
+    networkPassphrase: profile.passphrase,
+  });
+  if (factoryAddress !== derivedAddress) {
+    throw new Error(`The factory derives account ${factoryAddress} where the wallet expects ${derivedAddress}`);
+  }
+
+  return { ...profile, simpleAccountWasmHash, accountFactoryWasmHash: factoryWasmHash };
+}
+
+/**
+ * Validate, verify and save a custom network profile
+ * @param {object} profile - The profile as entered, with the id of the profile it replaces if any
+ * @param {object} deps - Dependencies
+ * @returns {Promise<string>} The network id
+ * @throws {Error} If the profile is invalid or does not match the network
+ */
+export async function saveNetworkProfile({ id, ...profile }, deps = {}) {
+  const verified = await verifyNetworkProfile(validateNetworkProfile(profile), deps);
+
+  id = id || generateNetworkId();
+  addNetwork(id, verified);
+  saveNetworkProfiles([...getNetworkProfiles().filter(saved => saved.id !== id), { id, ...verified }]);
+
+  // Calls to an edited active network go to its new endpoint
+  if (id === config.stellar.network) {
+    resetDefaultRpcServer();
+    resetRpcEndpoints();
+  }
+  return id;
+}
@@ -0,0 +1,248 @@
+/**
+ * Incoming transfer notifications
+ * Polls getEvents for transfers of the tracked tokens to the wallet's addresses
+ * while the page is open and shows them as Web Notifications through the service worker.
+ * The last ledger checked for each address is stored, so a transfer is
+ * reported once even across reloads
+ */
+
+import config from '../config';
+import { createRpcServer, getXlmContractId } from './rpc';
+import { getStorage, KEYS } from './storage';
+import { formatAmount, XLM_DECIMALS } from './helpers';
+import { buildTransferFilters, fetchEventsInRange, parseTransferEvent, HISTORY_WINDOW_LEDGERS } from './transfer';
+
+// Time between checks (ledgers close about every 5 seconds)
+export const WATCH_INTERVAL_MS = 10000;
+
+// getEvents accepts at most 5 filters per request and 5 contract IDs per filter
+const MAX_EVENT_FILTERS = 5;
+const MAX_FILTER_CONTRACTS = 5;
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Build getEvents filters matching transfers of any of the tokens to any of the addresses (pure function)
+ * @param {string[]} addresses - Recipient addresses (G... or C...)
+ * @param {string[]} tokenContractIds - Token contracts to match (C...)
+ * @returns {Array<Array<object>>} Event filters, grouped into requests of at most MAX_EVENT_FILTERS
+ */
+export function buildIncomingFilters(addresses, tokenContractIds) {
+  const filters = [];
+  addresses.forEach(address => {
+    const [, incoming] = buildTransferFilters(address, tokenContractIds[0]);
+    for (let i = 0; i < tokenContractIds.length; i += MAX_FILTER_CONTRACTS) {
+      filters.push({ ...incoming, contractIds: tokenContractIds.slice(i, i + MAX_FILTER_CONTRACTS) });
+    }
+  });
+
+  const requests = [];
+  for (let i = 0; i < filters.length; i += MAX_EVENT_FILTERS) {
+    requests.push(filters.slice(i, i + MAX_EVENT_FILTERS));
+  }
+  return requests;
+}
+
+/**
+ * Pick the transfers to report from a batch of transfer events (pure function)
+ * Transfers between the addresses themselves (e.g. funding the contract
+ * account from the classic one) are not incoming
+ * @param {Array} events - Transfer events from getEvents, in ascending order
+ * @param {string[]} addresses - The wallet's addresses
+ * @param {object} lastSeen - Last reported ledger per address; addresses without one are skipped
+ * @returns {Array} Parsed transfers (see parseTransferEvent), oldest first
+ */
+export function selectIncomingTransfers(events, addresses, lastSeen) {
+  const seen = new Set();
+  return events
+    .map(event => ({ event, transfer: parseTransferEvent(event, null) }))
+    .filter(({ event, transfer }) => {
+      if (seen.has(event.id) || !addresses.includes(transfer.to) || addresses.includes(transfer.from)) {
+        return false;
+      }
+      seen.add(event.id);
+      return lastSeen[transfer.to] !== undefined && event.ledger > lastSeen[transfer.to];
+    })
+    .map(({ transfer }) => transfer);
+}
+
+/**
+ * Describe an incoming transfer for a notification (pure function)
+ * @param {object} transfer - Parsed transfer
+ * @param {object} token - The transferred token
+ * @param {string} token.symbol - Display symbol (default: XLM)
+ * @param {number} token.decimals - Token decimals (default: 7)
+ * @returns {{ title: string, body: string }} Notification text
+ */
+export function describeIncomingTransfer(transfer, { symbol = 'XLM', decimals = XLM_DECIMALS } = {}) {
+  const from = transfer.from.length > 12 ? `${transfer.from.slice(0, 6)}....${transfer.from.slice(-6)}` : transfer.from;
+  return {
+    title: `Received ${formatAmount(transfer.amount, decimals)} ${symbol}`,
+    body: `From ${from} to your ${transfer.to.startsWith('C') ? 'contract' : 'classic'} account`,
+  };
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Get the last ledger checked for each address on the current network
+ * @returns {object} Ledger sequence keyed by address
+ */
+export function getLastSeenLedgers() {
+  try {
+    return JSON.parse(getStorage().get(KEYS.LAST_SEEN_LEDGERS) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record that the addresses were checked up to a ledger
+ * @param {string[]} addresses - Addresses checked
+ * @param {number} ledger - Last ledger checked
+ */
+function saveLastSeenLedger(addresses, ledger) {
+  const lastSeen = getLastSeenLedgers();
+  addresses.forEach(address => { lastSeen[address] = ledger; });
+  getStorage().set(KEYS.LAST_SEEN_LEDGERS, JSON.stringify(lastSeen));
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Check for transfers to the addresses since they were last checked
+ * Addresses checked for the first time start at the latest ledger, so
+ * earlier transfers are not reported. After a long absence only the last
+ * HISTORY_WINDOW_LEDGERS ledgers are checked (older transfers are in the history)
+ * @param {string[]} addresses - The wallet's addresses (G... and C...)
+ * @param {object} options - Options and dependencies
+ * @param {StellarSdk.rpc.Server} options.rpcServer - RPC server instance
+ * @param {string[]} options.tokenContractIds - Token contracts to watch (defaults to the native XLM SAC)
+ * @returns {Promise<Array>} New incoming transfers, oldest first (tokenContractId tells the token)
+ */
+export async function checkIncomingTransfers(addresses, { rpcServer, tokenContractIds } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+  const network = config.stellar.network;
+
+  try {
+    const { latestLedger, oldestLedger } = await rpcServer.getHealth();
+    const lastSeen = getLastSeenLedgers();
+    const checked = addresses.filter(address => lastSeen[address] !== undefined).map(address => lastSeen[address]);
+
+    let transfers = [];
+    if (checked.length > 0) {
+      const startLedger = Math.max(oldestLedger, latestLedger - HISTORY_WINDOW_LEDGERS + 1, Math.min(...checked) + 1);
+      if (startLedger <= latestLedger) {
+        const requests = buildIncomingFilters(addresses, tokenContractIds?.length ? tokenContractIds : [getXlmContractId()]);
+        const events = [];
+        for (const filters of requests) {
+          events.push(...(await fetchEventsInRange(rpcServer, filters, startLedger, latestLedger + 1)).events);
+        }
+        // Event IDs are zero-padded, so they sort in ledger order
+        events.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        transfers = selectIncomingTransfers(events, addresses, lastSeen);
+      }
+    }
+
+    // Ledgers of a network switched away from meanwhile mean nothing on the new one
+    if (config.stellar.network !== network) {
+      return [];
+    }
+    saveLastSeenLedger(addresses, latestLedger);
+    return transfers;
+  } catch (error) {
+    console.error('Error checking incoming transfers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check for incoming transfers every `interval` until stopped
+ * Checks are skipped while the browser is offline; failed checks are retried
+ * at the next interval
+ * @param {string[]} addresses - The wallet's addresses (G... and C...)
+ * @param {function(Array): void} onTransfers - Called with each batch of new transfers
+ * @param {object} options - interval (ms), plus the options of checkIncomingTransfers
+ * @returns {function(): void} Stop function
+ */
+export function watchIncomingTransfers(addresses, onTransfers, { interval = WATCH_INTERVAL_MS, ...options } = {}) {
+  let stopped = false;
+  let timer = null;
+
+  const check = async () => {
+    if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+      try {
+        const transfers = await checkIncomingTransfers(addresses, options);
+        // Reported even if stopped meanwhile: they are already marked as seen
+        if (transfers.length > 0) {
+          onTransfers(transfers);
+        }
+      } catch {
+        // Logged by checkIncomingTransfers; the next check covers the same ledgers
+      }
+    }
+    if (!stopped) {
+      timer = setTimeout(check, interval);
+    }
+  };
+
+  check();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+// ============================================
+// Notification Functions (browser side effects)
+// ============================================
+
+/**
+ * Get whether Web Notifications may be shown
+ * @returns {'granted' | 'denied' | 'default' | 'unsupported'} The permission
+ */
+export function getNotificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Ask the user to allow Web Notifications (call from a click handler)
+ * @returns {Promise<string>} The permission (see getNotificationPermission)
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') {
+    return 'unsupported';
+  }
+  return Notification.requestPermission();
+}
+
+/**
+ * Show a Web Notification for an incoming transfer
+ * Goes through the service worker when one is registered, so the
+ * notification works in installed apps and opens the wallet when clicked
+ * @param {object} transfer - Parsed transfer
+ * @param {object} token - The transferred token (see describeIncomingTransfer)
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export async function showTransferNotification(transfer, token) {
+  if (getNotificationPermission() !== 'granted') {
+    return false;
+  }
+
+  const { title, body } = describeIncomingTransfer(transfer, token);
+  // The tag keeps a transfer from being shown twice (e.g. by two open tabs)
+  const options = { body, tag: transfer.id, icon: '/icon-192.png', data: { url: '/' } };
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+  return true;
+}
@@ -0,0 +1,213 @@
+/**
+ * Passkeys
+ * WebAuthn credentials with secp256r1 keys that sign for the contract account
+ * alongside its ed25519 signers: the authorization payload is the WebAuthn
+ * challenge, and the account checks the client data, the relying party the
+ * passkey was created for and the signature
+ */
+
+import { KEYS } from './storage';
+import { getWalletStorage } from './wallets';
+
+// COSE algorithm identifier of ES256 (ECDSA on P-256 with SHA-256)
+const ES256 = -7;
+
+// Order of the P-256 curve; the host only accepts signatures with s <= n / 2
+const P256_ORDER = BigInt('0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551');
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Encode bytes as unpadded base64url, the encoding of WebAuthn challenges and credential IDs (pure function)
+ * @param {ArrayBuffer | Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+export function toBase64Url(bytes) {
+  return Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode an unpadded base64url string (pure function)
+ * @param {string} value - Base64url string
+ * @returns {Buffer} Decoded bytes
+ */
+export function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Extract the uncompressed P-256 point from a DER SubjectPublicKeyInfo (pure function)
+ * @param {ArrayBuffer | Uint8Array} spki - Public key from AuthenticatorAttestationResponse.getPublicKey()
+ * @returns {Buffer} 65-byte public key (0x04 || x || y)
+ * @throws {Error} If the key is not an uncompressed P-256 point
+ */
+export function publicKeyFromSpki(spki) {
+  const bytes = Buffer.from(spki);
+  // The point is the BIT STRING that ends the structure
+  const point = bytes.subarray(bytes.length - 65);
+  if (bytes.length < 65 || point[0] !== 0x04) {
+    throw new Error('Unsupported passkey public key');
+  }
+  return Buffer.from(point);
+}
+
+/**
+ * Convert a DER ECDSA signature to the raw r || s form with a low s (pure function)
+ * @param {ArrayBuffer | Uint8Array} der - Signature from AuthenticatorAssertionResponse.signature
+ * @returns {Buffer} 64-byte signature
+ * @throws {Error} If the signature is not DER encoded
+ */
+export function derToRawSignature(der) {
+  const bytes = Buffer.from(der);
+  if (bytes[0] !== 0x30) {
+    throw new Error('Invalid passkey signature');
+  }
+
+  // P-256 signatures are short enough for one-byte lengths
+  let offset = 2;
+  const readInteger = () => {
+    if (bytes[offset] !== 0x02) {
+      throw new Error('Invalid passkey signature');
+    }
+    const length = bytes[offset + 1];
+    const value = bytes.subarray(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    return BigInt(`0x${value.toString('hex') || '0'}`);
+  };
+
+  const r = readInteger();
+  let s = readInteger();
+  if (s > P256_ORDER / 2n) {
+    s = P256_ORDER - s;
+  }
+
+  const toBytes = (value) => Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+  return Buffer.concat([toBytes(r), toBytes(s)]);
+}
+
+/**
+ * Read the challenge a WebAuthn assertion signed (pure function)
+ * @param {{ clientDataJSON: Buffer }} assertion - Passkey assertion (see getPasskeyAssertion)
+ * @returns {Buffer} The challenge bytes
+ */
+export function getAssertionChallenge(assertion) {
+  return fromBase64Url(JSON.parse(assertion.clientDataJSON.toString('utf8')).challenge);
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Get the passkeys the active wallet registered
+ * @returns {Array<{ credentialId: string, name: string, account: string }>} Credential IDs (base64url), names and the contract account each belongs to
+ */
+export function getStoredPasskeys() {
+  try {
+    return JSON.parse(getWalletStorage().get(KEYS.PASSKEYS) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Remember a passkey registered on a contract account
+ * @param {{ credentialId: string, name: string }} passkey - Credential ID (base64url) and name
+ * @param {string} account - Contract account it is registered on (C...)
+ */
+export function savePasskey({ credentialId, name }, account) {
+  const passkeys = getStoredPasskeys().filter(p => p.credentialId !== credentialId);
+  passkeys.push({ credentialId, name, account });
+  getWalletStorage().set(KEYS.PASSKEYS, JSON.stringify(passkeys));
+}
+
+/**
+ * Forget a passkey
+ * @param {string} credentialId - Credential ID (base64url)
+ */
+export function removeSavedPasskey(credentialId) {
+  const passkeys = getStoredPasskeys().filter(p => p.credentialId !== credentialId);
+  getWalletStorage().set(KEYS.PASSKEYS, JSON.stringify(passkeys));
+}
+
+// ============================================
+// WebAuthn Functions (browser side effects)
+// ============================================
+
+/**
+ * Get the WebAuthn credentials container
+ * @param {CredentialsContainer} credentials - Injected container (tests)
+ * @returns {CredentialsContainer} Credentials container
+ * @throws {Error} If the browser does not support WebAuthn
+ */
+function getCredentialsContainer(credentials) {
+  credentials = credentials || (typeof navigator !== 'undefined' ? navigator.credentials : null);
+  if (!credentials || typeof credentials.get !== 'function') {
+    throw new Error('Passkeys are not supported in this browser');
+  }
+  return credentials;
+}
+
+/**
+ * Create a secp256r1 passkey on the user's authenticator
+ * The relying party is the wallet's domain (the WebAuthn default), and the
+ * account only accepts the passkey's assertions made on that domain
+ * @param {string} name - Name shown by the authenticator
+ * @param {object} deps - Dependencies
+ * @returns {Promise<{ credentialId: string, publicKey: Buffer, rpIdHash: Buffer }>} Credential ID (base64url),
+ *   65-byte public key and the SHA-256 hash of the relying party ID
+ */
+export async function createPasskey(name, { credentials } = {}) {
+  const crypto = globalThis.crypto;
+  const credential = await getCredentialsContainer(credentials).create({
+    publicKey: {
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      rp: { name: 'Lumenitos' },
+      user: { id: crypto.getRandomValues(new Uint8Array(16)), name, displayName: name },
+      pubKeyCredParams: [{ type: 'public-key', alg: ES256 }],
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+    },
+  });
+  if (!credential) {
+    throw new Error('Passkey creation was cancelled');
+  }
+  if (credential.response.getPublicKeyAlgorithm() !== ES256) {
+    throw new Error('The authenticator did not create a secp256r1 passkey');
+  }
+
+  return {
+    credentialId: toBase64Url(credential.rawId),
+    publicKey: publicKeyFromSpki(credential.response.getPublicKey()),
+    // The authenticator data starts with the RP ID hash
+    rpIdHash: Buffer.from(credential.response.getAuthenticatorData()).subarray(0, 32),
+  };
+}
+
+/**
+ * Sign a payload with a passkey: the payload is the WebAuthn challenge
+ * @param {Buffer} payload - The 32-byte authorization payload
+ * @param {string} credentialId - Credential ID (base64url)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<{ credentialId: Buffer, authenticatorData: Buffer, clientDataJSON: Buffer, signature: Buffer }>} Assertion with a raw 64-byte signature
+ */
+export async function getPasskeyAssertion(payload, credentialId, { credentials } = {}) {
+  const assertion = await getCredentialsContainer(credentials).get({
+    publicKey: {
+      challenge: payload,
+      allowCredentials: [{ type: 'public-key', id: fromBase64Url(credentialId) }],
+      userVerification: 'preferred',
+    },
+  });
+  if (!assertion) {
+    throw new Error('Passkey signing was cancelled');
+  }
+
+  return {
+    credentialId: Buffer.from(assertion.rawId),
+    authenticatorData: Buffer.from(assertion.response.authenticatorData),
+    clientDataJSON: Buffer.from(assertion.response.clientDataJSON),
+    signature: derToRawSignature(assertion.response.signature),
+  };
+}
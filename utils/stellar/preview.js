@@ -0,0 +1,293 @@
+/**
+ * Transaction previews
+ * Decodes a simulateTransaction result into what a send will cost and do:
+ * fees, resources, the authorizations it asks for and the balance changes
+ * of the transfer events it emits
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import config from '../config';
+import { createRpcServer, getTokenContract } from './rpc';
+import { getStoredKeypair } from './keypair';
+import { parseAmount } from './helpers';
+import { getContractAddress } from './wallets';
+import { buildTransferOperation } from './transfer';
+import { getInclusionFee, getFeeSettings, getMaxFeeBumpFee } from './fees';
+import { isSimulationFailure, describeSimulationError } from './errors';
+import {
+  getAccountSigners,
+  getSpendingPolicy,
+  assertWithinSpendingPolicy,
+  simulateAsContractAccount,
+  INSTRUCTIONS_PER_SIGNATURE,
+} from './contract';
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Render a contract argument as readable text (pure function)
+ * @param {StellarSdk.xdr.ScVal} scVal - The argument
+ * @returns {string} Addresses as strkeys, integers in full, bytes as hex
+ */
+export function formatScVal(scVal) {
+  const native = StellarSdk.scValToNative(scVal);
+  if (Buffer.isBuffer(native)) {
+    return native.toString('hex');
+  }
+  if (native === null || typeof native !== 'object') {
+    return String(native);
+  }
+  return JSON.stringify(native, (key, value) => {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (value && value.type === 'Buffer') {
+      return Buffer.from(value.data).toString('hex');
+    }
+    return value;
+  });
+}
+
+/**
+ * Describe what an auth entry authorizes (pure function)
+ * @param {StellarSdk.xdr.SorobanAuthorizationEntry} auth - Auth entry from simulation
+ * @returns {{ signer: string | null, calls: Array<{ depth: number, contract: string | null, functionName: string, args: string[] }> }} The authorizing address (null: the transaction source) and the authorized calls, root first
+ */
+export function describeAuthEntry(auth) {
+  const credentials = auth.credentials();
+  const signer = credentials.switch().name === 'sorobanCredentialsAddress'
+    ? StellarSdk.Address.fromScAddress(credentials.address().address()).toString()
+    : null;
+
+  const calls = [];
+  const visit = (invocation, depth) => {
+    const fn = invocation.function();
+    if (fn.switch().name === 'sorobanAuthorizedFunctionTypeContractFn') {
+      const call = fn.contractFn();
+      calls.push({
+        depth,
+        contract: StellarSdk.Address.fromScAddress(call.contractAddress()).toString(),
+        functionName: call.functionName().toString(),
+        args: call.args().map(formatScVal),
+      });
+    } else {
+      calls.push({ depth, contract: null, functionName: 'create contract', args: [] });
+    }
+    invocation.subInvocations().forEach(sub => visit(sub, depth + 1));
+  };
+  visit(auth.rootInvocation(), 0);
+
+  return { signer, calls };
+}
+
+/**
+ * Sum the balance changes of the token transfer events a simulation emitted (pure function)
+ * @param {Array<StellarSdk.xdr.DiagnosticEvent>} events - Events from simulation
+ * @returns {Array<{ address: string, tokenContractId: string, amount: bigint }>} Non-zero changes in the token's smallest unit, in order of first appearance
+ */
+export function getBalanceDeltas(events = []) {
+  const deltas = new Map();
+  const add = (address, tokenContractId, amount) => {
+    const key = `${address}:${tokenContractId}`;
+    const delta = deltas.get(key) || { address, tokenContractId, amount: 0n };
+    delta.amount += amount;
+    deltas.set(key, delta);
+  };
+
+  events.forEach(diagnostic => {
+    const event = diagnostic.event();
+    if (!diagnostic.inSuccessfulContractCall() || event.type().name !== 'contract' || !event.contractId()) {
+      return;
+    }
+    const body = event.body().v0();
+    const topics = body.topics();
+    const data = body.data();
+    if (topics.length < 3 || topics[0].switch().name !== 'scvSymbol' || topics[0].sym().toString() !== 'transfer') {
+      return;
+    }
+
+    // Transfers to muxed destinations carry { amount, to_muxed_id } as data;
+    // a map without an amount is not a transfer this can read
+    let amountVal = data;
+    if (data.switch().name === 'scvMap') {
+      const amountEntry = (data.map() || []).find(entry =>
+        entry.key().switch().name === 'scvSymbol' && entry.key().sym().toString() === 'amount');
+      if (!amountEntry) {
+        return;
+      }
+      amountVal = amountEntry.val();
+    }
+
+    const tokenContractId = StellarSdk.StrKey.encodeContract(event.contractId());
+    const amount = BigInt(StellarSdk.scValToNative(amountVal));
+    add(StellarSdk.scValToNative(topics[1]), tokenContractId, -amount);
+    add(StellarSdk.scValToNative(topics[2]), tokenContractId, amount);
+  });
+
+  return [...deltas.values()].filter(delta => delta.amount !== 0n);
+}
+
+/**
+ * Summarize a successful simulation as a transaction preview (pure function)
+ * @param {object} simulation - Successful simulateTransaction result
+ * @param {object} options - Options
+ * @param {string | number} options.inclusionFee - Inclusion fee of the transaction (stroops)
+ * @param {number} options.instructionBump - Instructions added on top of the simulation (signature checks)
+ * @param {string | null} options.feeBumpFee - Inclusion fee a fee bump would bid if the transaction stalls (null when fee bumps are off)
+ * @returns {object} Preview with fees (stroops, bigint; maxFeeBumpFee is null without fee bumps), instructions, footprint, auth entries (see describeAuthEntry) and balance deltas (see getBalanceDeltas)
+ */
+export function summarizeSimulation(simulation, { inclusionFee, instructionBump = 0, feeBumpFee = null }) {
+  const resources = simulation.transactionData.build().resources();
+  const footprint = resources.footprint();
+  const resourceFee = BigInt(simulation.minResourceFee);
+
+  return {
+    resourceFee,
+    inclusionFee: BigInt(inclusionFee),
+    maxFee: resourceFee + BigInt(inclusionFee),
+    maxFeeBumpFee: feeBumpFee === null ? null : getMaxFeeBumpFee(resourceFee, inclusionFee, feeBumpFee),
+    instructions: resources.instructions() + instructionBump,
+    instructionBump,
+    readBytes: resources.diskReadBytes(),
+    writeBytes: resources.writeBytes(),
+    readOnlyEntries: footprint.readOnly().length,
+    readWriteEntries: footprint.readWrite().length,
+    authEntries: (simulation.result?.auth || []).map(describeAuthEntry),
+    balanceDeltas: getBalanceDeltas(simulation.events),
+  };
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Get the inclusion fee a fee bump would bid for a stalled send
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @returns {Promise<string | null>} The "high" preset, or null when fee bumps are turned off
+ */
+async function getFeeBumpFee(rpcServer) {
+  return getFeeSettings().autoBump ? getInclusionFee({ rpcServer, preset: 'high' }) : null;
+}
+
+/**
+ * Simulate a transfer as the send functions build it
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {string} sourcePublicKey - Transaction source (G...)
+ * @param {StellarSdk.xdr.Operation} operation - The transfer operation
+ * @returns {Promise<{ transaction: StellarSdk.Transaction, simulation: object }>} The unsigned transaction and its successful simulation
+ * @throws {Error} If the simulation fails
+ */
+async function simulateTransfer(rpcServer, sourcePublicKey, operation) {
+  const sourceAccount = await rpcServer.getAccount(sourcePublicKey);
+  const transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
+    fee: await getInclusionFee({ rpcServer }),
+    networkPassphrase: config.networkPassphrase,
+  })
+    .addOperation(operation)
+    .setTimeout(30)
+    .build();
+
+  const simulation = await rpcServer.simulateTransaction(transaction);
+  if (isSimulationFailure(simulation)) {
+    throw new Error(`Transaction simulation failed: ${describeSimulationError(simulation)}`);
+  }
+  return { transaction, simulation };
+}
+
+/**
+ * Preview a send from the wallet's contract account (see sendFromContractAccount)
+ * A deployed account signs the auth entries and the preview is the enforcing
+ * simulation the send submits, with the instructions added for each signature
+ * (signatures are not checked in simulation). An account still to be deployed
+ * cannot check auth yet, so its preview is the recording simulation
+ * @param {string} destination - Destination address
+ * @param {string} amount - Display amount (e.g. "1.5")
+ * @param {object} deps - Dependencies
+ * @param {string} deps.tokenContractId - Token to send (defaults to native XLM)
+ * @param {number} deps.decimals - Token decimals (default 7)
+ * @param {StellarSdk.Keypair[]} deps.cosigners - Additional signer keypairs for multi-signer accounts
+ * @returns {Promise<object>} Preview (see summarizeSimulation) with needsDeployment when the account has to be deployed first
+ */
+export async function previewContractAccountSend(destination, amount, { rpcServer, keypair, tokenContractId, decimals = 7, cosigners = [] } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+
+  rpcServer = rpcServer || createRpcServer();
+  const contractAddress = getContractAddress(keypair.publicKey());
+  const tokenContract = getTokenContract(tokenContractId);
+  const rawAmount = parseAmount(amount, decimals);
+
+  const [account, policy] = await Promise.all([
+    getAccountSigners(contractAddress, { rpcServer }),
+    getSpendingPolicy(contractAddress, { rpcServer }),
+  ]);
+  assertWithinSpendingPolicy(policy, tokenContract.contractId(), destination, rawAmount);
+
+  const operation = buildTransferOperation(tokenContract, contractAddress, destination, rawAmount);
+
+  if (!account) {
+    const { transaction, simulation } = await simulateTransfer(rpcServer, keypair.publicKey(), operation);
+    const signsForAccount = (simulation.result?.auth || []).some(auth =>
+      auth.credentials().switch().name === 'sorobanCredentialsAddress');
+
+    return {
+      ...summarizeSimulation(simulation, {
+        inclusionFee: transaction.fee,
+        instructionBump: signsForAccount ? INSTRUCTIONS_PER_SIGNATURE : 0,
+        feeBumpFee: await getFeeBumpFee(rpcServer),
+      }),
+      needsDeployment: true,
+    };
+  }
+
+  const { transaction, simulation, authEntries, signatureCount } = await simulateAsContractAccount(
+    operation,
+    { rpcServer, keypair, cosigners }
+  );
+
+  return {
+    ...summarizeSimulation(simulation, {
+      inclusionFee: transaction.fee,
+      instructionBump: INSTRUCTIONS_PER_SIGNATURE * signatureCount,
+      feeBumpFee: await getFeeBumpFee(rpcServer),
+    }),
+    authEntries: authEntries.map(describeAuthEntry),
+    needsDeployment: false,
+  };
+}
+
+/**
+ * Preview a send from the classic account (see buildSACTransfer)
+ * @param {string} destination - Destination address
+ * @param {string} amount - Display amount (e.g. "1.5")
+ * @param {object} deps - Dependencies
+ * @param {string} deps.tokenContractId - Token to send (defaults to native XLM)
+ * @param {number} deps.decimals - Token decimals (default 7)
+ * @returns {Promise<object>} Preview (see summarizeSimulation)
+ */
+export async function previewClassicSend(destination, amount, { rpcServer, keypair, tokenContractId, decimals = 7 } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+
+  rpcServer = rpcServer || createRpcServer();
+  const tokenContract = getTokenContract(tokenContractId);
+  const rawAmount = parseAmount(amount, decimals);
+
+  const { transaction, simulation } = await simulateTransfer(
+    rpcServer,
+    keypair.publicKey(),
+    buildTransferOperation(tokenContract, keypair.publicKey(), destination, rawAmount)
+  );
+
+  return {
+    ...summarizeSimulation(simulation, { inclusionFee: transaction.fee, feeBumpFee: await getFeeBumpFee(rpcServer) }),
+    needsDeployment: false,
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * Guardian recovery
+ * Guardians (any Stellar addresses) can replace the signers of a contract account
+ * whose keys were lost: one guardian starts a recovery for a new key, the others
+ * approve it, and after a delay anyone can complete it. The account itself can
+ * cancel a recovery during the delay, and so can as many guardians as a recovery
+ * needs by rejecting it.
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { createRpcServer } from './rpc';
+import { getStoredKeypair } from './keypair';
+import { deriveContractAddress } from './helpers';
+import { getContractAddress } from './wallets';
+import {
+  readInstanceValues,
+  getInstanceStorage,
+  parseAccountSigners,
+  invokeAsContractAccount,
+  invokeAccountAdmin,
+} from './contract';
+
+// Seconds between starting a recovery and completing it
+// (RECOVERY_DELAY in the simple_account contract)
+export const RECOVERY_DELAY_SECONDS = 3 * 24 * 60 * 60;
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Read guardians and the pending recovery from a simple_account instance storage (pure function)
+ * @param {Array<StellarSdk.xdr.ScMapEntry>} storage - Contract instance storage
+ * @returns {{ guardians: string[], threshold: number, recovery: { newSigner: string, approvals: string[], rejections: string[], effectiveAt: number } | null }} Guardian addresses, approvals a recovery needs, and the pending recovery
+ */
+export function parseRecoveryState(storage) {
+  const values = readInstanceValues(storage);
+  const recovery = values.Recovery ? StellarSdk.scValToNative(values.Recovery) : null;
+
+  return {
+    guardians: values.Guardians ? StellarSdk.scValToNative(values.Guardians) : [],
+    threshold: values.GuardianThreshold ? Number(StellarSdk.scValToNative(values.GuardianThreshold)) : 0,
+    recovery: recovery && {
+      newSigner: StellarSdk.StrKey.encodeEd25519PublicKey(recovery.new_signer),
+      approvals: recovery.approvals,
+      rejections: recovery.rejections || [],
+      effectiveAt: Number(recovery.effective_at),
+    },
+  };
+}
+
+/**
+ * Check whether the pending recovery can be completed (pure function)
+ * @param {object} state - Recovery state from parseRecoveryState
+ * @param {number} now - Current time in seconds
+ * @returns {boolean} True if enough guardians approved and the delay has passed
+ */
+export function isRecoveryReady(state, now = Math.floor(Date.now() / 1000)) {
+  return Boolean(
+    state?.recovery &&
+    state.threshold > 0 &&
+    state.recovery.approvals.length >= state.threshold &&
+    now >= state.recovery.effectiveAt
+  );
+}
+
+/**
+ * Find which address of a wallet is a guardian: its contract account or its G account (pure function)
+ * @param {object} state - Recovery state of the account being recovered
+ * @param {string} publicKey - The wallet public key (G...)
+ * @param {string} contractAddress - The wallet contract account (C...)
+ * @returns {string | null} Guardian address, or null if the wallet is not a guardian
+ */
+export function findGuardianAddress(state, publicKey, contractAddress = deriveContractAddress(publicKey)) {
+  if (state.guardians.includes(contractAddress)) {
+    return contractAddress;
+  }
+  return state.guardians.includes(publicKey) ? publicKey : null;
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Get the guardians and pending recovery of a contract account
+ * @param {string} contractAddress - The contract address (C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object | null>} Recovery state (see parseRecoveryState), or null if not deployed or deployed before recovery support
+ */
+export async function getRecoveryState(contractAddress, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+
+  const instance = await getInstanceStorage(contractAddress, rpcServer);
+  if (!instance || !parseAccountSigners(instance.storage)?.multisig) {
+    return null;
+  }
+  return parseRecoveryState(instance.storage);
+}
+
+/**
+ * Replace the guardians of the wallet's contract account
+ * Cancels a pending recovery
+ * @param {string[]} guardians - Guardian addresses (G... or C...); empty disables recovery
+ * @param {number} threshold - Approvals a recovery needs (0 with no guardians)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function setGuardians(guardians, threshold, deps = {}) {
+  const addresses = [...new Set(guardians.map(g => g.trim()).filter(Boolean))];
+  addresses.forEach(address => {
+    if (!StellarSdk.StrKey.isValidEd25519PublicKey(address) && !StellarSdk.StrKey.isValidContract(address)) {
+      throw new Error(`Invalid guardian address: ${address}`);
+    }
+  });
+
+  const minimum = addresses.length === 0 ? 0 : 1;
+  if (!Number.isInteger(threshold) || threshold < minimum || threshold > addresses.length) {
+    throw new Error(`Guardian threshold must be between ${minimum} and ${addresses.length}`);
+  }
+
+  return invokeAccountAdmin('set_guardians', [
+    StellarSdk.xdr.ScVal.scvVec(addresses.map(address => new StellarSdk.Address(address).toScVal())),
+    StellarSdk.nativeToScVal(threshold, { type: 'u32' }),
+  ], 'guardian recovery', deps);
+}
+
+/**
+ * Cancel the pending recovery of the wallet's contract account
+ * @param {object} deps - Dependencies (cosigners: keypairs needed to meet the threshold)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function cancelRecovery(deps = {}) {
+  return invokeAccountAdmin('cancel_recovery', [], 'guardian recovery', deps);
+}
+
+/**
+ * Call a guardian function on someone else's contract account
+ * The wallet authorizes as whichever of its addresses is a guardian; for its
+ * contract account that means signing an auth entry for the other account's call
+ * @param {string} method - 'start_recovery', 'approve_recovery' or 'reject_recovery'
+ * @param {string} accountAddress - The account being recovered (C...)
+ * @param {string | null} newSignerPublicKey - The key that will control the account (G...), null to reject
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object>} Transaction result
+ */
+async function invokeAsGuardian(method, accountAddress, newSignerPublicKey, { rpcServer, keypair, cosigners = [] } = {}) {
+  if (!StellarSdk.StrKey.isValidContract(accountAddress)) {
+    throw new Error('Invalid account address');
+  }
+  if (method !== 'reject_recovery' && !StellarSdk.StrKey.isValidEd25519PublicKey(newSignerPublicKey)) {
+    throw new Error('Invalid new signer public key');
+  }
+
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+  rpcServer = rpcServer || createRpcServer();
+
+  const state = await getRecoveryState(accountAddress, { rpcServer });
+  if (!state) {
+    throw new Error('This account does not support guardian recovery');
+  }
+  const publicKey = keypair.publicKey();
+  const guardian = findGuardianAddress(state, publicKey, getContractAddress(publicKey));
+  if (!guardian) {
+    throw new Error(`This wallet is not a guardian of ${accountAddress}`);
+  }
+  if (method === 'start_recovery' && state.recovery) {
+    throw new Error('A recovery is already in progress');
+  }
+  if (method === 'approve_recovery') {
+    if (!state.recovery) {
+      throw new Error('There is no recovery to approve');
+    }
+    if (state.recovery.newSigner !== newSignerPublicKey) {
+      throw new Error(`The pending recovery is for a different key: ${state.recovery.newSigner}`);
+    }
+  }
+  if (method === 'reject_recovery' && !state.recovery) {
+    throw new Error('There is no recovery to reject');
+  }
+
+  const args = [new StellarSdk.Address(guardian).toScVal()];
+  if (newSignerPublicKey) {
+    args.push(StellarSdk.nativeToScVal(StellarSdk.StrKey.decodeEd25519PublicKey(newSignerPublicKey), { type: 'bytes' }));
+  }
+  const operation = new StellarSdk.Contract(accountAddress).call(method, ...args);
+  return invokeAsContractAccount(operation, { rpcServer, keypair, cosigners });
+}
+
+/**
+ * Start a recovery of another wallet's contract account as one of its guardians
+ * Counts as the first approval
+ * @param {string} accountAddress - The account being recovered (C...)
+ * @param {string} newSignerPublicKey - The key that will control the account (G...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed for this wallet's contract account)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function startRecovery(accountAddress, newSignerPublicKey, deps = {}) {
+  return invokeAsGuardian('start_recovery', accountAddress, newSignerPublicKey, deps);
+}
+
+/**
+ * Approve the pending recovery of another wallet's contract account as one of its guardians
+ * @param {string} accountAddress - The account being recovered (C...)
+ * @param {string} newSignerPublicKey - The key the recovery must be for (G...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed for this wallet's contract account)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function approveRecovery(accountAddress, newSignerPublicKey, deps = {}) {
+  return invokeAsGuardian('approve_recovery', accountAddress, newSignerPublicKey, deps);
+}
+
+/**
+ * Reject the pending recovery of another wallet's contract account as one of its guardians
+ * Withdraws this guardian's approval; once as many guardians as a recovery needs
+ * have rejected it, the recovery is cancelled and another one can be started
+ * @param {string} accountAddress - The account being recovered (C...)
+ * @param {object} deps - Dependencies (cosigners: keypairs needed for this wallet's contract account)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function rejectRecovery(accountAddress, deps = {}) {
+  return invokeAsGuardian('reject_recovery', accountAddress, null, deps);
+}
+
+/**
+ * Complete a recovery once enough guardians approved it and the delay has passed
+ * Needs no authorization; the wallet only pays the fee
+ * @param {string} accountAddress - The account being recovered (C...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<object>} Transaction result
+ */
+export async function completeRecovery(accountAddress, { rpcServer, keypair } = {}) {
+  if (!StellarSdk.StrKey.isValidContract(accountAddress)) {
+    throw new Error('Invalid account address');
+  }
+
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+  rpcServer = rpcServer || createRpcServer();
+
+  const state = await getRecoveryState(accountAddress, { rpcServer });
+  if (!state?.recovery) {
+    throw new Error('There is no recovery to complete');
+  }
+  if (!isRecoveryReady(state)) {
+    throw new Error('The recovery needs more approvals or its delay has not passed');
+  }
+
+  const contract = new StellarSdk.Contract(accountAddress);
+  return invokeAsContractAccount(contract.call('complete_recovery'), { rpcServer, keypair });
+}
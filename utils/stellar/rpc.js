@@ -1,21 +1,231 @@
 /**
  * RPC client factory and related utilities
- * Provides dependency injection for the Soroban RPC server
+ * Provides dependency injection for the Soroban RPC server, and a pool that
+ * spreads calls over the configured endpoints: idempotent calls are retried
+ * with backoff and fail over when an endpoint errors or its ledger lags
  */
 
 import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '../config';
 
+// Calls that do not change state, so they can be repeated on any endpoint
+const IDEMPOTENT_METHODS = [
+  'getHealth',
+  'getLatestLedger',
+  'getNetwork',
+  'getVersionInfo',
+  'getFeeStats',
+  'getLedgerEntries',
+  'getEvents',
+  'getTransaction',
+  'getTransactions',
+  'simulateTransaction',
+];
+
+// Attempts per idempotent call, each on the best endpoint at the time
+export const RPC_RETRY_ATTEMPTS = 3;
+
+// Delay before the first retry, doubled for each later one
+export const RPC_RETRY_DELAY_MS = 500;
+
+// Ledgers an endpoint may trail the newest one seen before calls move elsewhere
+export const MAX_LEDGER_LAG = 5;
+
+// How long a failed endpoint is skipped before it is tried again
+export const RPC_RECHECK_AFTER_MS = 60 * 1000;
+
 // Default RPC server instance (lazily created)
 let defaultRpcServer = null;
 
+// Endpoint state shared by every pool ({ [url]: { latestLedger, failedAt, error } })
+let endpointStatus = {};
+let activeRpcUrl = null;
+const endpointServers = new Map();
+const endpointListeners = new Set();
+
+/**
+ * Check whether an error means the endpoint could not answer (pure function)
+ * JSON-RPC errors are the endpoint answering, so another endpoint would answer the same
+ * @param {Error | object} error - Error thrown by an RPC call
+ * @returns {boolean} True for network errors, timeouts, rate limits and server errors
+ */
+export function isEndpointFailure(error) {
+  if (!error?.isAxiosError) {
+    return false;
+  }
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+/**
+ * Get the delay before a retry (pure function)
+ * @param {number} attempt - Failed attempts so far, from 0
+ * @returns {number} Milliseconds to wait
+ */
+export function getRetryDelay(attempt) {
+  return RPC_RETRY_DELAY_MS * 2 ** attempt;
+}
+
+/**
+ * Order endpoints from best to worst (pure function)
+ * Working endpoints come first, then those trailing the newest ledger by more
+ * than MAX_LEDGER_LAG, then those that failed in the last RPC_RECHECK_AFTER_MS;
+ * the configured order breaks ties
+ * @param {string[]} urls - Endpoints in order of preference
+ * @param {object} statuses - Endpoint state by URL ({ latestLedger, failedAt })
+ * @param {number} now - Current time in milliseconds
+ * @returns {string[]} The endpoints, best first
+ */
+export function rankEndpoints(urls, statuses, now = Date.now()) {
+  const newestLedger = Math.max(0, ...urls.map(url => statuses[url]?.latestLedger || 0));
+  const rank = (url) => {
+    const status = statuses[url] || {};
+    if (status.failedAt && now - status.failedAt < RPC_RECHECK_AFTER_MS) {
+      return 2;
+    }
+    return status.latestLedger && newestLedger - status.latestLedger > MAX_LEDGER_LAG ? 1 : 0;
+  };
+  return [...urls].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Get the configured RPC endpoints
+ * @returns {string[]} The primary endpoint followed by the fallbacks
+ */
+export function getRpcUrls() {
+  return [...new Set([config.stellar.sorobanRpcUrl, ...(config.stellar.sorobanRpcFallbackUrls || [])])];
+}
+
+/**
+ * Get the endpoint calls currently go to
+ * @returns {string} The endpoint URL
+ */
+export function getActiveRpcUrl() {
+  return activeRpcUrl || rankEndpoints(getRpcUrls(), endpointStatus)[0];
+}
+
+/**
+ * Get the state of every configured endpoint
+ * @returns {Array<{ url: string, active: boolean, latestLedger: number | null, error: string | null }>} Endpoints in configured order
+ */
+export function getRpcEndpoints() {
+  const active = getActiveRpcUrl();
+  return getRpcUrls().map(url => ({
+    url,
+    active: url === active,
+    latestLedger: endpointStatus[url]?.latestLedger || null,
+    error: endpointStatus[url]?.error || null,
+  }));
+}
+
+/**
+ * Subscribe to changes of the active endpoint
+ * @param {Function} listener - Called with the new active URL
+ * @returns {Function} Unsubscribe function
+ */
+export function onRpcEndpointChange(listener) {
+  endpointListeners.add(listener);
+  return () => endpointListeners.delete(listener);
+}
+
+/**
+ * Forget what is known about the endpoints (for testing)
+ */
+export function resetRpcEndpoints() {
+  endpointStatus = {};
+  activeRpcUrl = null;
+}
+
+/**
+ * Record the state of an endpoint and move calls to the best one
+ * @param {string} url - The endpoint
+ * @param {object} changes - { latestLedger, failedAt, error }
+ */
+function updateEndpoint(url, changes) {
+  endpointStatus = { ...endpointStatus, [url]: { ...endpointStatus[url], ...changes } };
+
+  const [best] = rankEndpoints(getRpcUrls(), endpointStatus);
+  if (best !== activeRpcUrl) {
+    activeRpcUrl = best;
+    endpointListeners.forEach(listener => listener(best));
+  }
+}
+
+/**
+ * Get the single-endpoint server of a URL
+ * @param {string} url - The endpoint
+ * @returns {StellarSdk.rpc.Server} RPC server instance
+ */
+function endpointServer(url) {
+  if (!endpointServers.has(url)) {
+    endpointServers.set(url, new StellarSdk.rpc.Server(url, { allowHttp: url.startsWith('http://') }));
+  }
+  return endpointServers.get(url);
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call the best endpoint, moving to the next best when it cannot answer
+ * @param {string} method - RPC server method
+ * @param {Array} args - Method arguments
+ * @param {number} attempts - Endpoints to try, waiting getRetryDelay between them
+ * @returns {Promise<any>} The method result
+ * @throws {Error} The last endpoint failure, or the first error that is not one
+ */
+async function callEndpoints(method, args, attempts) {
+  let lastError;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const url = getActiveRpcUrl();
+    try {
+      const result = await endpointServer(url)[method](...args);
+      const latestLedger = method === 'getLatestLedger' ? result?.sequence : result?.latestLedger;
+      updateEndpoint(url, { failedAt: null, error: null, ...(Number.isInteger(latestLedger) && { latestLedger }) });
+      return result;
+    } catch (error) {
+      if (!isEndpointFailure(error)) {
+        throw error;
+      }
+      updateEndpoint(url, { failedAt: Date.now(), error: error.message });
+      lastError = error;
+      if (attempt + 1 < attempts) {
+        await sleep(getRetryDelay(attempt));
+      }
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Create an RPC server that spreads calls over the configured endpoints
+ * Idempotent calls are retried RPC_RETRY_ATTEMPTS times on the best endpoint
+ * at the time. sendTransaction is sent once; if the endpoint cannot answer,
+ * resubmissions go to another one. Calls built on these (getAccount,
+ * prepareTransaction) fail over with them
+ * @returns {StellarSdk.rpc.Server} RPC server instance
+ */
+export function createRpcPool() {
+  const pool = new StellarSdk.rpc.Server(getActiveRpcUrl(), { allowHttp: getActiveRpcUrl().startsWith('http://') });
+  IDEMPOTENT_METHODS.forEach(method => {
+    pool[method] = (...args) => callEndpoints(method, args, RPC_RETRY_ATTEMPTS);
+  });
+  pool.sendTransaction = (transaction) => callEndpoints('sendTransaction', [transaction], 1);
+  return pool;
+}
+
 /**
  * Create a new RPC server instance
- * @param {string} url - RPC server URL (defaults to config)
+ * @param {string} url - RPC server URL (defaults to a pool of the configured endpoints)
  * @returns {StellarSdk.rpc.Server} RPC server instance
  */
-export function createRpcServer(url = config.stellar.sorobanRpcUrl) {
-  return new StellarSdk.rpc.Server(url);
+export function createRpcServer(url) {
+  return url ? new StellarSdk.rpc.Server(url, { allowHttp: url.startsWith('http://') }) : createRpcPool();
 }
 
 /**
@@ -44,6 +254,29 @@ export function resetDefaultRpcServer() {
   defaultRpcServer = null;
 }
 
+/**
+ * Probe every configured endpoint with getHealth and getLatestLedger
+ * Unhealthy endpoints are skipped for RPC_RECHECK_AFTER_MS and lagging ones
+ * are used only when no other endpoint works
+ * @returns {Promise<Array>} The endpoint states (see getRpcEndpoints)
+ */
+export async function checkRpcEndpoints() {
+  await Promise.all(getRpcUrls().map(async (url) => {
+    try {
+      const health = await endpointServer(url).getHealth();
+      if (health.status !== 'healthy') {
+        throw new Error(`RPC reports ${health.status}`);
+      }
+      const { sequence } = await endpointServer(url).getLatestLedger();
+      updateEndpoint(url, { failedAt: null, error: null, latestLedger: sequence });
+    } catch (error) {
+      console.error(`Error checking RPC endpoint ${url}:`, error);
+      updateEndpoint(url, { failedAt: Date.now(), error: error.message || String(error) });
+    }
+  }));
+  return getRpcEndpoints();
+}
+
 /**
  * Get account from RPC server
  * @param {StellarSdk.rpc.Server} rpcServer - The RPC server instance
@@ -70,3 +303,12 @@ export function getXlmContractId() {
 export function getXlmContract() {
   return new StellarSdk.Contract(getXlmContractId());
 }
+
+/**
+ * Create a Contract instance for any SEP-41 token
+ * @param {string} tokenContractId - The token contract ID (defaults to the XLM SAC)
+ * @returns {StellarSdk.Contract} The token contract instance
+ */
+export function getTokenContract(tokenContractId) {
+  return tokenContractId ? new StellarSdk.Contract(tokenContractId) : getXlmContract();
+}
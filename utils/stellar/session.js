@@ -0,0 +1,240 @@
+/**
+ * Session keys
+ * Short-lived ed25519 keys held in the browser that the contract account accepts,
+ * instead of its signers, for calls within a scope (contracts, functions and
+ * spend limits per token) until an expiration ledger. Their secrets are stored encrypted
+ * with the key of the account that owns them, so they are only usable while
+ * the wallet is unlocked
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import { KEYS } from './storage';
+import { getWalletStorage } from './wallets';
+import { encryptKeystore, decryptKeystore } from './keystore';
+
+// Argument positions of the source and amount of calls that spend funds
+// (mirrors spend_args in the simple_account contract)
+const SPEND_FUNCTIONS = {
+  transfer: 2,
+  approve: 2,
+  burn: 1,
+};
+
+// Decrypted session key secrets by public key, kept in memory only until the wallet locks
+const unlockedSecrets = new Map();
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Flatten an authorized invocation tree into the calls it authorizes (pure function)
+ * @param {StellarSdk.xdr.SorobanAuthorizedInvocation} invocation - Root invocation of an auth entry
+ * @returns {Array<{ contract: string, functionName: string, args: Array<StellarSdk.xdr.ScVal> } | { createContract: true }>} Authorized calls
+ */
+export function getAuthorizedCalls(invocation) {
+  const fn = invocation.function();
+  const calls = fn.switch().name === 'sorobanAuthorizedFunctionTypeContractFn'
+    ? [{
+      contract: StellarSdk.Address.fromScAddress(fn.contractFn().contractAddress()).toString(),
+      functionName: fn.contractFn().functionName().toString(),
+      args: fn.contractFn().args(),
+    }]
+    : [{ createContract: true }];
+
+  invocation.subInvocations().forEach(sub => calls.push(...getAuthorizedCalls(sub)));
+  return calls;
+}
+
+/**
+ * Get the amount a call spends from an account (pure function)
+ * @param {{ functionName: string, args: Array<StellarSdk.xdr.ScVal> }} call - Authorized call
+ * @param {string} accountAddress - The spending account (C...)
+ * @returns {bigint | null} Raw amount, 0n for calls that spend nothing, or null if it cannot be decoded
+ */
+function getSpentAmount(call, accountAddress) {
+  const amountIndex = SPEND_FUNCTIONS[call.functionName];
+  if (amountIndex === undefined) {
+    return 0n;
+  }
+
+  try {
+    if (StellarSdk.Address.fromScVal(call.args[0]).toString() !== accountAddress) {
+      return 0n;
+    }
+  } catch {
+    return 0n;
+  }
+
+  try {
+    const amount = StellarSdk.scValToNative(call.args[amountIndex]);
+    return typeof amount === 'bigint' ? amount : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a session key may authorize a set of calls (pure function)
+ * Mirrors the scope check of the simple_account contract
+ * @param {{ contracts: string[], functions: string[], spendLimits: object, spent: object, expirationLedger: number }} session - On-chain session key (see parseSessionKeys)
+ * @param {Array<object>} calls - Calls from getAuthorizedCalls
+ * @param {string} accountAddress - The contract account (C...)
+ * @param {number} validUntilLedger - Ledger the signatures expire at
+ * @returns {boolean} True if every call is within scope
+ */
+export function isInSessionScope(session, calls, accountAddress, validUntilLedger) {
+  if (validUntilLedger > session.expirationLedger) {
+    return false;
+  }
+
+  const spent = { ...session.spent };
+  for (const call of calls) {
+    if (call.createContract || call.contract === accountAddress || !session.contracts.includes(call.contract)) {
+      return false;
+    }
+    if (session.functions.length > 0 && !session.functions.includes(call.functionName)) {
+      return false;
+    }
+
+    const amount = getSpentAmount(call, accountAddress);
+    if (amount === null) {
+      return false;
+    }
+    // Each token counts against its own limit, in its own units
+    const limit = session.spendLimits[call.contract];
+    if (limit !== undefined) {
+      spent[call.contract] = (spent[call.contract] ?? 0n) + amount;
+      if (spent[call.contract] > limit) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Get the session keys held by the active wallet
+ * @returns {Array<{ publicKey: string, keystore: string, account: string }>} Session keys (secret encrypted) and the contract account each belongs to
+ */
+export function getStoredSessionKeys() {
+  try {
+    return JSON.parse(getWalletStorage().get(KEYS.SESSION_KEYS) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the session keys of the active wallet
+ * @param {Array<object>} keys - Session keys (see getStoredSessionKeys)
+ */
+function saveSessionKeys(keys) {
+  getWalletStorage().set(KEYS.SESSION_KEYS, JSON.stringify(keys));
+}
+
+/**
+ * Encrypt a session key secret with the key of its owner
+ * @param {StellarSdk.Keypair} keypair - Session keypair
+ * @param {StellarSdk.Keypair} owner - Keypair of the account owner
+ * @returns {Promise<string>} Serialized keystore
+ */
+function encryptSessionSecret(keypair, owner) {
+  return encryptKeystore({ secret: keypair.secret() }, owner.secret(), { kdf: 'HKDF' });
+}
+
+/**
+ * Keep a session key in the active wallet, encrypted with the key of its owner
+ * @param {StellarSdk.Keypair} keypair - Session keypair
+ * @param {string} account - Contract account it is registered on (C...)
+ * @param {StellarSdk.Keypair} owner - Keypair of the account owner
+ * @returns {Promise<void>}
+ */
+export async function saveSessionKey(keypair, account, owner) {
+  const keystore = await encryptSessionSecret(keypair, owner);
+  const keys = getStoredSessionKeys().filter(k => k.publicKey !== keypair.publicKey());
+  keys.push({ publicKey: keypair.publicKey(), keystore, account });
+  saveSessionKeys(keys);
+  unlockedSecrets.set(keypair.publicKey(), keypair.secret());
+}
+
+/**
+ * Forget a session key
+ * @param {string} publicKey - Session public key (G...)
+ */
+export function removeSavedSessionKey(publicKey) {
+  saveSessionKeys(getStoredSessionKeys().filter(k => k.publicKey !== publicKey));
+  unlockedSecrets.delete(publicKey);
+}
+
+/**
+ * Forget all decrypted session key secrets (on lock or wallet switch)
+ */
+export function lockSessionKeys() {
+  unlockedSecrets.clear();
+}
+
+/**
+ * Decrypt a held session key
+ * @param {{ publicKey: string, keystore: string }} held - Stored session key
+ * @param {StellarSdk.Keypair} owner - Keypair of the account owner
+ * @returns {Promise<StellarSdk.Keypair | null>} Session keypair, or null if the owner key cannot decrypt it
+ */
+async function unlockSessionKey(held, owner) {
+  if (!unlockedSecrets.has(held.publicKey)) {
+    try {
+      unlockedSecrets.set(held.publicKey, (await decryptKeystore(held.keystore, owner.secret())).secret);
+    } catch {
+      return null;
+    }
+  }
+  return StellarSdk.Keypair.fromSecret(unlockedSecrets.get(held.publicKey));
+}
+
+/**
+ * Re-encrypt the session keys of an owner key for its replacement (after a key rotation)
+ * Keys the previous key cannot decrypt (those of other accounts) are left as they are
+ * @param {StellarSdk.Keypair} previousOwner - Keypair the keys are encrypted with
+ * @param {StellarSdk.Keypair} owner - New owner keypair
+ * @returns {Promise<void>}
+ */
+export async function reencryptSessionKeys(previousOwner, owner) {
+  for (const held of getStoredSessionKeys()) {
+    let secrets;
+    try {
+      secrets = await decryptKeystore(held.keystore, previousOwner.secret());
+    } catch {
+      continue;
+    }
+    await saveSessionKey(StellarSdk.Keypair.fromSecret(secrets.secret), held.account, owner);
+  }
+}
+
+/**
+ * Find a held session key that may sign a set of auth entries
+ * @param {Array<object>} sessions - On-chain session keys of the account (see parseSessionKeys)
+ * @param {Array<StellarSdk.xdr.SorobanAuthorizationEntry>} authEntries - Address-credential entries of the account
+ * @param {string} accountAddress - The contract account (C...)
+ * @param {number} validUntilLedger - Ledger the signatures expire at
+ * @param {StellarSdk.Keypair} owner - Keypair of the account owner (decrypts the session key)
+ * @returns {Promise<StellarSdk.Keypair | null>} Session keypair, or null if none is in scope
+ */
+export async function findSessionKeypair(sessions, authEntries, accountAddress, validUntilLedger, owner) {
+  const calls = authEntries.flatMap(auth => getAuthorizedCalls(auth.rootInvocation()));
+
+  for (const held of getStoredSessionKeys()) {
+    const session = sessions.find(s => s.publicKey === held.publicKey);
+    if (held.account === accountAddress && session && isInSessionScope(session, calls, accountAddress, validUntilLedger)) {
+      const keypair = await unlockSessionKey(held, owner);
+      if (keypair) {
+        return keypair;
+      }
+    }
+  }
+  return null;
+}
@@ -5,6 +5,35 @@
 
 const STORAGE_KEY = 'stellar_keypair';
 const MNEMONIC_KEY = 'stellar_mnemonic';
+const KEYSTORE_KEY = 'stellar_keystore';
+const ACCOUNTS_KEY = 'stellar_accounts';
+const ACTIVE_ACCOUNT_KEY = 'stellar_active_account';
+const WALLETS_KEY = 'stellar_wallets';
+const ACTIVE_WALLET_KEY = 'stellar_active_wallet';
+const SESSION_KEYS_KEY = 'stellar_session_keys';
+const CONTRACT_KEYS_KEY = 'stellar_contract_keys';
+const PASSKEYS_KEY = 'stellar_passkeys';
+const FEE_SETTINGS_KEY = 'stellar_fee_settings';
+const PENDING_TRANSACTIONS_KEY = 'stellar_pending_transactions';
+const QUEUED_SENDS_KEY = 'stellar_queued_sends';
+const NETWORK_KEY = 'stellar_network';
+const NETWORK_PROFILES_KEY = 'stellar_network_profiles';
+const HISTORY_CACHE_KEY = 'stellar_history_cache';
+const LAST_SEEN_LEDGERS_KEY = 'stellar_last_seen_ledgers';
+const PENDING_ROTATION_KEY = 'stellar_pending_rotation';
+
+// Keys holding data that belongs to one network; keys and wallets are shared by all networks
+const NETWORK_SCOPED_KEYS = [
+  SESSION_KEYS_KEY,
+  CONTRACT_KEYS_KEY,
+  PASSKEYS_KEY,
+  FEE_SETTINGS_KEY,
+  PENDING_TRANSACTIONS_KEY,
+  QUEUED_SENDS_KEY,
+  HISTORY_CACHE_KEY,
+  LAST_SEEN_LEDGERS_KEY,
+  PENDING_ROTATION_KEY,
+];
 
 /**
  * Create a storage adapter wrapping a storage backend
@@ -36,6 +65,9 @@ export function createMemoryStorage() {
 // Default storage instance (lazily initialized for SSR compatibility)
 let storage = null;
 
+// Prefix of network-scoped keys; null on the default network so its keys keep their names
+let networkScope = null;
+
 /**
  * Get or create the default storage instance
  * Uses localStorage in browser, memory storage in Node.js
@@ -64,11 +96,68 @@ export function setStorage(newStorage) {
  * @returns {object} Current storage adapter
  */
 export function getStorage() {
-  return storage || getDefaultStorage();
+  const backend = storage || getDefaultStorage();
+  if (networkScope === null) {
+    return backend;
+  }
+
+  // Per-wallet copies of a key are named "<key>:<walletId>"
+  const scoped = (key) => NETWORK_SCOPED_KEYS.some(name => key === name || key.startsWith(`${name}:`))
+    ? scopeKey(key)
+    : key;
+  return {
+    ...backend,
+    get: (key) => backend.get(scoped(key)),
+    set: (key, value) => backend.set(scoped(key), value),
+    remove: (key) => backend.remove(scoped(key)),
+  };
+}
+
+/**
+ * Scope network-bound storage keys to a network
+ * @param {string | null} network - Network id, or null for the default network
+ */
+export function setStorageNetwork(network) {
+  networkScope = network;
+}
+
+/**
+ * Get the name a network-bound key is stored under on the current network
+ * @param {string} key - Storage key
+ * @returns {string} The key, prefixed with the network unless it is the default one
+ */
+export function scopeKey(key) {
+  return networkScope === null ? key : `${networkScope}:${key}`;
+}
+
+/**
+ * Remove a network-bound key from the given networks, whichever one is active
+ * @param {string} key - Storage key
+ * @param {Array<string | null>} networks - Network ids, null for the default network
+ */
+export function removeFromNetworks(key, networks) {
+  const backend = storage || getDefaultStorage();
+  networks.forEach(network => backend.remove(network === null ? key : `${network}:${key}`));
 }
 
 // Export storage keys for consistent access
 export const KEYS = {
   KEYPAIR: STORAGE_KEY,
   MNEMONIC: MNEMONIC_KEY,
+  KEYSTORE: KEYSTORE_KEY,
+  ACCOUNTS: ACCOUNTS_KEY,
+  ACTIVE_ACCOUNT: ACTIVE_ACCOUNT_KEY,
+  WALLETS: WALLETS_KEY,
+  ACTIVE_WALLET: ACTIVE_WALLET_KEY,
+  SESSION_KEYS: SESSION_KEYS_KEY,
+  CONTRACT_KEYS: CONTRACT_KEYS_KEY,
+  PASSKEYS: PASSKEYS_KEY,
+  FEE_SETTINGS: FEE_SETTINGS_KEY,
+  PENDING_TRANSACTIONS: PENDING_TRANSACTIONS_KEY,
+  QUEUED_SENDS: QUEUED_SENDS_KEY,
+  NETWORK: NETWORK_KEY,
+  NETWORK_PROFILES: NETWORK_PROFILES_KEY,
+  HISTORY_CACHE: HISTORY_CACHE_KEY,
+  LAST_SEEN_LEDGERS: LAST_SEEN_LEDGERS_KEY,
+  PENDING_ROTATION: PENDING_ROTATION_KEY,
 };
@@ -0,0 +1,616 @@
+/**
+ * Transaction lifecycle tracking
+ * Follows a submitted transaction until it is confirmed, fails or can no
+ * longer be included: submissions the network asks to retry are retried, the
+ * signed envelope is resubmitted while its time bounds allow, a stalled
+ * transaction is fee-bumped, and pending transactions are kept in storage so
+ * they can be reconciled after the page reloads.
+ * Sends made without a connection are queued as intents (what to send, not a
+ * signed transaction, which would expire within minutes) and are built,
+ * signed and submitted when the connection returns
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import config from '../config';
+import { createRpcServer } from './rpc';
+import { getStorage, KEYS } from './storage';
+import { buildFeeBump, getInclusionFee, getFeeSettings } from './fees';
+import { describeTransactionFailure } from './errors';
+
+// Time between status polls (ledgers close about every 5 seconds)
+export const POLL_INTERVAL_MS = 2000;
+
+// Polls between resubmissions of a transaction that is not included yet.
+// Resubmitting the same signed envelope is safe: its sequence number lets it
+// apply at most once
+export const RESUBMIT_EVERY_POLLS = 5;
+
+// Ledgers that close without including a submitted transaction before it
+// counts as stalled. Three ledgers (about 15 seconds) is half the 30-second
+// time bounds the wallet sets, which leaves a fee bump time to be included
+export const STALL_LEDGERS = 3;
+
+// Polls (and retries) for transactions without an upper time bound
+const MAX_POLLS_WITHOUT_TIME_BOUND = 30;
+
+// Consecutive RPC errors before giving up (the transaction stays pending)
+const MAX_RPC_FAILURES = 3;
+
+// Listeners notified when the pending transaction list changes
+const pendingListeners = new Set();
+
+// Listeners notified when the queued send list changes
+const queueListeners = new Set();
+
+// Reconciliation in progress, shared by overlapping calls (e.g. page load and reconnect)
+let reconciliation = null;
+
+// Queued sends being sent, shared by overlapping calls like reconciliation
+let queueRun = null;
+
+// Thrown when a send could not reach the network; it waits in the queue
+export const QUEUED_MESSAGE = 'You are offline: the send is queued and will be signed and submitted when the connection returns';
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Get the transaction a fee bump wraps (pure function)
+ * @param {StellarSdk.Transaction | StellarSdk.FeeBumpTransaction} transaction - The transaction
+ * @returns {StellarSdk.Transaction} The inner transaction, or the transaction itself
+ */
+function innerTransaction(transaction) {
+  return transaction instanceof StellarSdk.FeeBumpTransaction ? transaction.innerTransaction : transaction;
+}
+
+/**
+ * Get the latest ledger close time a transaction can be included at (pure function)
+ * @param {StellarSdk.Transaction | StellarSdk.FeeBumpTransaction} transaction - The transaction
+ * @returns {number | null} Unix time in seconds, or null without an upper time bound
+ */
+export function getMaxTime(transaction) {
+  const maxTime = Number(innerTransaction(transaction).timeBounds?.maxTime || 0);
+  return maxTime > 0 ? maxTime : null;
+}
+
+/**
+ * Check whether a ledger closed after a transaction's time bounds (pure function)
+ * @param {number | null} maxTime - Upper time bound (see getMaxTime)
+ * @param {number | string} ledgerCloseTime - Close time of the latest ledger (unix seconds)
+ * @returns {boolean} True if the transaction can no longer be included
+ */
+export function isPastTimeBounds(maxTime, ledgerCloseTime) {
+  return maxTime !== null && ledgerCloseTime !== undefined && Number(ledgerCloseTime) > maxTime;
+}
+
+/**
+ * Describe what a transaction does in a word or two (pure function)
+ * @param {StellarSdk.Transaction | StellarSdk.FeeBumpTransaction} transaction - The transaction
+ * @returns {string} The invoked contract function (e.g. "transfer") or the operation type
+ */
+export function describeTransaction(transaction) {
+  const [operation] = innerTransaction(transaction).operations;
+  if (operation?.type === 'invokeHostFunction' && operation.func.switch().name === 'hostFunctionTypeInvokeContract') {
+    return operation.func.invokeContract().functionName().toString();
+  }
+  return operation?.type || 'transaction';
+}
+
+/**
+ * Check whether an error means the RPC could not be reached at all (pure function)
+ * @param {Error | object} error - Error thrown by an RPC call
+ * @returns {boolean} True for network errors without a response
+ */
+export function isConnectionError(error) {
+  return !!error?.isAxiosError && !error.response;
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Get the transactions submitted but not yet settled
+ * @returns {Array<{ hash: string, envelope: string, feeBump: string | null, networkPassphrase: string, description: string, submittedAt: number, stage: string }>} Pending transactions with their signed envelopes (base64 XDR), oldest first
+ */
+export function getPendingTransactions() {
+  try {
+    return JSON.parse(getStorage().get(KEYS.PENDING_TRANSACTIONS) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the pending transaction list and notify listeners
+ * @param {Array<object>} entries - Pending transactions
+ */
+function writePendingTransactions(entries) {
+  getStorage().set(KEYS.PENDING_TRANSACTIONS, JSON.stringify(entries));
+  pendingListeners.forEach(listener => listener(entries));
+}
+
+/**
+ * Update a pending transaction
+ * @param {string} hash - Transaction hash
+ * @param {object} changes - Fields to change
+ */
+function updatePendingTransaction(hash, changes) {
+  writePendingTransactions(getPendingTransactions().map(entry => (entry.hash === hash ? { ...entry, ...changes } : entry)));
+}
+
+/**
+ * Remove a settled transaction from the pending list
+ * @param {string} hash - Transaction hash
+ */
+function removePendingTransaction(hash) {
+  writePendingTransactions(getPendingTransactions().filter(entry => entry.hash !== hash));
+}
+
+/**
+ * Subscribe to changes of the pending transaction list
+ * @param {function(Array<object>): void} listener - Called with the list (see getPendingTransactions)
+ * @returns {function(): void} Unsubscribe function
+ */
+export function onPendingTransactionsChange(listener) {
+  pendingListeners.add(listener);
+  return () => pendingListeners.delete(listener);
+}
+
+/**
+ * Get the sends queued while offline
+ * @returns {Array<{ id: string, description: string, networkPassphrase: string, queuedAt: number, stage: 'queued' }>} Queued sends, oldest first, with the fields they were queued with
+ */
+export function getQueuedSends() {
+  try {
+    return JSON.parse(getStorage().get(KEYS.QUEUED_SENDS) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the queued send list and notify listeners
+ * @param {Array<object>} entries - Queued sends
+ */
+function writeQueuedSends(entries) {
+  getStorage().set(KEYS.QUEUED_SENDS, JSON.stringify(entries));
+  queueListeners.forEach(listener => listener(entries));
+}
+
+/**
+ * Queue a send to be built, signed and submitted when the connection returns
+ * Only what to send is stored, never keys or signatures
+ * @param {object} send - What to send, passed back to the function given to sendQueuedSends; description is shown while it waits
+ * @returns {object} The queued entry
+ */
+export function queueSend(send) {
+  const entry = {
+    ...send,
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    networkPassphrase: config.networkPassphrase,
+    queuedAt: Date.now(),
+    stage: 'queued',
+  };
+  writeQueuedSends([...getQueuedSends(), entry]);
+  return entry;
+}
+
+/**
+ * Remove a send from the queue, e.g. once it was sent or to discard it
+ * @param {string} id - Queued send id
+ */
+export function removeQueuedSend(id) {
+  writeQueuedSends(getQueuedSends().filter(entry => entry.id !== id));
+}
+
+/**
+ * Subscribe to changes of the queued send list
+ * @param {function(Array<object>): void} listener - Called with the list (see getQueuedSends)
+ * @returns {function(): void} Unsubscribe function
+ */
+export function onQueuedSendsChange(listener) {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+}
+
+// ============================================
+// RPC Functions
+// ============================================
+
+/**
+ * Check whether the browser knows it has no connection
+ * @returns {boolean} True when offline (always false outside the browser)
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Wait before the next poll
+ * @param {number} interval - Milliseconds
+ */
+function sleep(interval) {
+  return new Promise(resolve => setTimeout(resolve, interval));
+}
+
+/**
+ * Submit a transaction, retrying while the network asks to try again later
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {StellarSdk.Transaction} transaction - The signed transaction
+ * @param {object} options - interval and report (stage callback)
+ * @returns {Promise<{ status: 'submitted', latestLedger: number } | { status: 'rejected' | 'expired', error: Error }>} The submission outcome, with the latest ledger when it was accepted
+ */
+async function submit(rpcServer, transaction, { interval, report }) {
+  const maxTime = getMaxTime(transaction);
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await rpcServer.sendTransaction(transaction);
+
+    // DUPLICATE: the network already has it
+    if (response.status === 'PENDING' || response.status === 'DUPLICATE') {
+      report('submitted');
+      return { status: 'submitted', latestLedger: response.latestLedger };
+    }
+    if (response.status === 'ERROR') {
+      return { status: 'rejected', error: new Error(`Transaction failed: ${describeTransactionFailure(response)}`) };
+    }
+
+    // TRY_AGAIN_LATER: the queue did not take it, so sending it again is safe
+    if (isPastTimeBounds(maxTime, response.latestLedgerCloseTime) || (maxTime === null && attempt >= MAX_POLLS_WITHOUT_TIME_BOUND)) {
+      return { status: 'expired', error: new Error('Transaction expired before the network accepted it') };
+    }
+    report('retrying', { attempt });
+    await sleep(interval);
+  }
+}
+
+/**
+ * Fee-bump a stalled transaction at the "high" preset
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {StellarSdk.Transaction} transaction - The signed transaction
+ * @param {StellarSdk.Keypair} keypair - Fee source
+ * @returns {Promise<StellarSdk.FeeBumpTransaction | null>} The submitted fee bump, or null if it was not accepted
+ */
+async function submitFeeBump(rpcServer, transaction, keypair) {
+  try {
+    const feeBump = buildFeeBump(transaction, keypair, await getInclusionFee({ rpcServer, preset: 'high' }));
+    const response = await rpcServer.sendTransaction(feeBump);
+    // An error here usually means the original was included meanwhile
+    return response.status === 'PENDING' || response.status === 'DUPLICATE' ? feeBump : null;
+  } catch (error) {
+    console.error('Error fee-bumping transaction:', error);
+    return null;
+  }
+}
+
+/**
+ * Poll transactions until one is confirmed, fails or can no longer be included
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {string[]} hashes - Hashes to poll
+ * @param {object} options - Options
+ * @param {StellarSdk.Transaction} options.transaction - Signed transaction, for its time bounds and to resubmit or fee-bump it (optional)
+ * @param {StellarSdk.FeeBumpTransaction} options.feeBump - Fee bump already submitted for it (optional)
+ * @param {StellarSdk.Keypair} options.keypair - Fee source for a fee bump (none without it)
+ * @param {number} options.stallLedgers - Ledgers closed without it before fee-bumping
+ * @param {number} options.submittedLedger - Latest ledger when it was submitted (default: the first poll's)
+ * @param {number} options.maxPolls - Polls when there is no upper time bound
+ * @param {boolean} options.resubmitFirst - Resubmit after the first poll (e.g. after a reload)
+ * @param {function} options.report - Stage callback
+ * @param {function} options.onFeeBump - Called with a submitted fee bump
+ * @returns {Promise<{ status: 'confirmed', response: object } | { status: 'failed' | 'expired', error: Error }>} The outcome
+ * @throws {Error} If the RPC keeps failing or, without time bounds, no outcome is known after maxPolls (it may still be included)
+ */
+async function follow(rpcServer, hashes, {
+  transaction = null,
+  feeBump = null,
+  keypair = null,
+  stallLedgers = STALL_LEDGERS,
+  submittedLedger = null,
+  interval = POLL_INTERVAL_MS,
+  maxPolls = MAX_POLLS_WITHOUT_TIME_BOUND,
+  resubmitFirst = false,
+  report = () => {},
+  onFeeBump = () => {},
+}) {
+  const maxTime = transaction ? getMaxTime(transaction) : null;
+  let failures = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    await sleep(interval);
+
+    let latest;
+    try {
+      for (const hash of hashes) {
+        latest = await rpcServer.getTransaction(hash);
+        if (latest.status === 'SUCCESS') {
+          return { status: 'confirmed', response: latest };
+        }
+        if (latest.status === 'FAILED') {
+          return { status: 'failed', error: new Error(`Transaction failed: ${describeTransactionFailure(latest)}`) };
+        }
+      }
+      failures = 0;
+    } catch (error) {
+      if (++failures >= MAX_RPC_FAILURES) {
+        throw error;
+      }
+      continue;
+    }
+
+    // Still NOT_FOUND
+    if (isPastTimeBounds(maxTime, latest.latestLedgerCloseTime)) {
+      return { status: 'expired', error: new Error('Transaction expired before it was included') };
+    }
+    if (maxTime === null && attempt >= maxPolls) {
+      throw new Error('Transaction timed out waiting for confirmation');
+    }
+    report('pending', { attempt, latestLedger: latest.latestLedger });
+    submittedLedger = submittedLedger ?? latest.latestLedger;
+
+    if (!transaction) {
+      continue;
+    }
+    if (keypair && !feeBump && latest.latestLedger - submittedLedger >= stallLedgers) {
+      feeBump = await submitFeeBump(rpcServer, transaction, keypair);
+      if (feeBump) {
+        hashes.unshift(feeBump.hash().toString('hex'));
+        onFeeBump(feeBump);
+        report('fee-bumped', { feeBumpHash: hashes[0] });
+      }
+    } else if (attempt % RESUBMIT_EVERY_POLLS === 0 || (resubmitFirst && attempt === 1)) {
+      // Errors are expected once it is included; the next poll finds out
+      await rpcServer.sendTransaction(feeBump || transaction).catch(() => {});
+      report('resubmitted', { attempt });
+    }
+  }
+}
+
+/**
+ * Wait for a transaction submitted elsewhere (e.g. by a relayer) to be confirmed
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {string} hash - Transaction hash
+ * @param {object} options - Options
+ * @param {number} options.maxAttempts - Maximum polling attempts (default: 30)
+ * @param {number} options.interval - Polling interval in ms (default: 2000)
+ * @param {function(object): void} options.onProgress - Called with { stage, hash, ... } on every poll
+ * @returns {Promise<object>} The transaction response
+ * @throws {Error} If the transaction fails or is not confirmed in time
+ */
+export async function waitForTransaction(rpcServer, hash, { maxAttempts = MAX_POLLS_WITHOUT_TIME_BOUND, interval = POLL_INTERVAL_MS, onProgress } = {}) {
+  const outcome = await follow(rpcServer, [hash], {
+    interval,
+    maxPolls: maxAttempts,
+    report: (stage, details) => onProgress?.({ stage, hash, ...details }),
+  });
+
+  if (outcome.status !== 'confirmed') {
+    throw outcome.error;
+  }
+  return outcome.response;
+}
+
+/**
+ * Submit a signed transaction and follow it until it settles
+ * TRY_AGAIN_LATER is retried and the envelope is resubmitted every few polls
+ * until the latest ledger closes after its time bounds. When fee bumps are
+ * turned on (see getFeeSettings) and a keypair is given, a transaction that
+ * `stallLedgers` ledgers closed without is fee-bumped at the "high" preset
+ * (and at least the replacement rate) and both hashes are polled. The
+ * transaction is kept in the pending list until it settles.
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {StellarSdk.Transaction} transaction - The signed transaction
+ * @param {object} options - Options
+ * @param {StellarSdk.Keypair} options.keypair - Fee source of a fee bump, normally the transaction source (no fee bump without it)
+ * @param {boolean} options.autoBump - Fee-bump a stalled transaction (default: the saved fee settings)
+ * @param {number} options.stallLedgers - Ledgers closed without it before fee-bumping (default: STALL_LEDGERS)
+ * @param {number} options.interval - Polling interval in ms (default: 2000)
+ * @param {boolean} options.persist - Keep it in the pending list while it settles (default: true)
+ * @param {function(object): void} options.onProgress - Called with { stage, hash, ... }: submitting, submitted, retrying, pending, resubmitted, fee-bumped, then confirmed, failed, rejected or expired
+ * @returns {Promise<object>} The confirmed getTransaction response
+ * @throws {Error} If the transaction is rejected, fails or expires; other errors (e.g. the RPC is unreachable) leave it pending
+ */
+export async function trackTransaction(rpcServer, transaction, { keypair = null, autoBump = getFeeSettings().autoBump, stallLedgers = STALL_LEDGERS, interval = POLL_INTERVAL_MS, persist = true, onProgress } = {}) {
+  const hash = transaction.hash().toString('hex');
+  const report = (stage, details = {}) => {
+    if (persist) {
+      updatePendingTransaction(hash, { stage });
+    }
+    onProgress?.({ stage, hash, ...details });
+  };
+
+  if (persist) {
+    writePendingTransactions([...getPendingTransactions().filter(entry => entry.hash !== hash), {
+      hash,
+      envelope: transaction.toXDR(),
+      feeBump: null,
+      networkPassphrase: transaction.networkPassphrase,
+      description: describeTransaction(transaction),
+      submittedAt: Date.now(),
+      stage: 'submitting',
+    }]);
+  }
+
+  report('submitting');
+  let outcome = await submit(rpcServer, transaction, { interval, report });
+  if (outcome.status === 'submitted') {
+    outcome = await follow(rpcServer, [hash], {
+      transaction,
+      keypair: autoBump ? keypair : null,
+      stallLedgers,
+      submittedLedger: outcome.latestLedger ?? null,
+      interval,
+      report,
+      onFeeBump: (feeBump) => persist && updatePendingTransaction(hash, { feeBump: feeBump.toXDR() }),
+    });
+  }
+
+  if (persist) {
+    removePendingTransaction(hash);
+  }
+  onProgress?.({ stage: outcome.status, hash });
+
+  if (outcome.status !== 'confirmed') {
+    throw outcome.error;
+  }
+  return outcome.response;
+}
+
+/**
+ * Submit a signed transaction and wait for it to be confirmed
+ * Same as trackTransaction; kept so callers of the earlier helper still work
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {StellarSdk.Transaction} transaction - The signed transaction
+ * @param {object} options - See trackTransaction
+ * @returns {Promise<object>} The confirmed getTransaction response
+ */
+export function submitAndWait(rpcServer, transaction, options = {}) {
+  return trackTransaction(rpcServer, transaction, options);
+}
+
+/**
+ * Run a send, or queue it when there is no connection
+ * A send is queued when the browser is offline, or when it fails to reach the
+ * RPC before any transaction was submitted. Once a signed transaction is in the
+ * pending list it is not queued again: reconcilePendingTransactions resubmits it
+ * @param {object} send - What to send (see queueSend); gasless sends are only queued while offline, since the relayer may have received them
+ * @param {function(): Promise<object>} run - Builds, signs and submits the send
+ * @returns {Promise<object>} The result of run
+ * @throws {Error} QUEUED_MESSAGE when the send was queued, otherwise the error of run
+ */
+export async function sendOrQueue(send, run) {
+  if (isOffline()) {
+    queueSend(send);
+    throw new Error(QUEUED_MESSAGE);
+  }
+
+  const pendingBefore = new Set(getPendingTransactions().map(entry => entry.hash));
+  try {
+    return await run();
+  } catch (error) {
+    const submitted = getPendingTransactions().some(entry => !pendingBefore.has(entry.hash));
+    if (isConnectionError(error) && !submitted && !send.gasless) {
+      queueSend(send);
+      throw new Error(QUEUED_MESSAGE);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send the queued sends of the current network
+ * @param {function(object): Promise<object>} run - See sendQueuedSends
+ * @param {object} options - See sendQueuedSends
+ * @returns {Promise<Array<object>>} Outcome of each (see sendQueuedSends)
+ */
+async function sendQueue(run, { filter = () => true, onProgress }) {
+  const entries = getQueuedSends().filter(entry => entry.networkPassphrase === config.networkPassphrase && filter(entry));
+
+  const results = [];
+  for (const entry of entries) {
+    if (isOffline()) {
+      break;
+    }
+    const { id, description } = entry;
+    onProgress?.({ stage: 'sending', id });
+
+    try {
+      const response = await run(entry);
+      removeQueuedSend(id);
+      onProgress?.({ stage: 'confirmed', id });
+      results.push({ id, hash: response?.txHash || response?.hash || null, description, status: 'confirmed', error: null });
+    } catch (error) {
+      // Still no connection: it stays queued, and so do the ones after it
+      if (isConnectionError(error)) {
+        break;
+      }
+      console.error('Error sending queued send:', error);
+      removeQueuedSend(id);
+      onProgress?.({ stage: 'failed', id });
+      results.push({ id, hash: null, description, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Build, sign and submit the sends queued while offline, oldest first, e.g.
+ * when the connection returns
+ * Each send is removed from the queue once it is confirmed or has failed. A
+ * send that still cannot reach the RPC stays queued with those after it. A
+ * call made while another is running shares its result
+ * @param {function(object): Promise<object>} run - Sends a queued entry (see queueSend) and resolves to the confirmed transaction
+ * @param {object} options - Options
+ * @param {function(object): boolean} options.filter - Which queued sends to send now, e.g. those of the active wallet (default: all)
+ * @param {function(object): void} options.onProgress - Called with { stage, id }: sending, then confirmed or failed
+ * @returns {Promise<Array<{ id: string, hash: string | null, description: string, status: 'confirmed' | 'failed', error: string | null }>>} Outcome of each send that was attempted
+ */
+export function sendQueuedSends(run, options = {}) {
+  if (!queueRun) {
+    queueRun = sendQueue(run, options).finally(() => {
+      queueRun = null;
+    });
+  }
+  return queueRun;
+}
+
+/**
+ * Settle the pending transactions of the current network
+ * @param {object} deps - See reconcilePendingTransactions
+ * @returns {Promise<Array<object>>} Outcome of each (see reconcilePendingTransactions)
+ */
+async function reconcile({ rpcServer, interval = POLL_INTERVAL_MS, onProgress }) {
+  rpcServer = rpcServer || createRpcServer();
+  const entries = getPendingTransactions().filter(entry => entry.networkPassphrase === config.networkPassphrase);
+
+  if (isOffline()) {
+    return entries.map(({ hash, description }) => ({ hash, description, status: 'pending', error: 'No connection' }));
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    const { hash, description } = entry;
+    const report = (stage, details = {}) => {
+      updatePendingTransaction(hash, { stage });
+      onProgress?.({ stage, hash, ...details });
+    };
+
+    try {
+      const transaction = StellarSdk.TransactionBuilder.fromXDR(entry.envelope, entry.networkPassphrase);
+      const feeBump = entry.feeBump ? StellarSdk.TransactionBuilder.fromXDR(entry.feeBump, entry.networkPassphrase) : null;
+      const hashes = feeBump ? [feeBump.hash().toString('hex'), hash] : [hash];
+
+      const outcome = await follow(rpcServer, hashes, { transaction, feeBump, interval, resubmitFirst: true, report });
+      removePendingTransaction(hash);
+      onProgress?.({ stage: outcome.status, hash });
+      results.push({ hash, description, status: outcome.status, error: outcome.error?.message || null });
+    } catch (error) {
+      console.error('Error reconciling pending transaction:', error);
+      results.push({ hash, description, status: 'pending', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Settle the pending transactions of the current network, e.g. after a reload
+ * or when the connection returns
+ * Each one is polled and, while its time bounds allow, resubmitted. A call
+ * made while another is running shares its result (and only the first
+ * call's deps are used)
+ * @param {object} deps - Dependencies
+ * @param {number} deps.interval - Polling interval in ms (default: 2000)
+ * @param {function(object): void} deps.onProgress - Called with { stage, hash, ... }
+ * @returns {Promise<Array<{ hash: string, description: string, status: string, error: string | null }>>} Outcome of each: confirmed, failed or expired, or pending if it could not be determined (it stays in the list)
+ */
+export function reconcilePendingTransactions(deps = {}) {
+  if (!reconciliation) {
+    reconciliation = reconcile(deps).finally(() => {
+      reconciliation = null;
+    });
+  }
+  return reconciliation;
+}
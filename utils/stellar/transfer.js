@@ -1,104 +1,179 @@
 /**
- * Transfer functions for XLM
+ * Transfer functions for XLM and SEP-41 tokens
  * Handles both classic account transfers and contract account transfers
  */
 
 import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '../config';
-import { createRpcServer, getXlmContract, getXlmContractId } from './rpc';
+import { createRpcServer, getTokenContract, getXlmContractId } from './rpc';
 import { getStoredKeypair } from './keypair';
-import { xlmToStroops, waitForTransaction, deriveContractAddress, computeNetworkIdHash, scValToAddress, scValToAmount, stroopsToXlm } from './helpers';
+import { toBase64Url, getAssertionChallenge } from './passkey';
+import { getInclusionFee } from './fees';
+import { trackTransaction } from './tracker';
+import { isSimulationFailure, describeSimulationError } from './errors';
+import { parseAmount, deriveContractAddress, computeNetworkIdHash, scValToAddress, scValToAmount, scValToMuxedId } from './helpers';
+
+// XLM a new account is created with before an old one is merged into it (the two base reserves)
+const NEW_ACCOUNT_BALANCE = '1';
 
 /**
- * Build a SAC transfer operation
- * @param {StellarSdk.Contract} xlmContract - The XLM contract instance
+ * Build a SEP-41 transfer operation
+ * @param {StellarSdk.Contract} tokenContract - The token contract instance
  * @param {string} from - Source address
  * @param {string} to - Destination address
- * @param {number} stroops - Amount in stroops
+ * @param {bigint | number} rawAmount - Amount in the token's smallest unit
  * @returns {StellarSdk.xdr.Operation} The transfer operation
  */
-export function buildTransferOperation(xlmContract, from, to, stroops) {
+export function buildTransferOperation(tokenContract, from, to, rawAmount) {
   const fromAddress = new StellarSdk.Address(from);
   const toAddress = new StellarSdk.Address(to);
 
-  return xlmContract.call(
+  return tokenContract.call(
     'transfer',
     fromAddress.toScVal(),
     toAddress.toScVal(),
-    StellarSdk.nativeToScVal(stroops, { type: 'i128' })
+    StellarSdk.nativeToScVal(rawAmount, { type: 'i128' })
   );
 }
 
 /**
- * Transfer XLM from classic account using SAC
+ * Transfer XLM or any SEP-41 token from the classic account
  * @param {string} destination - Destination address
- * @param {string} amount - Amount in XLM
+ * @param {string} amount - Display amount (e.g. "1.5")
  * @param {object} deps - Dependencies
+ * @param {string} deps.tokenContractId - Token to send (defaults to native XLM)
+ * @param {number} deps.decimals - Token decimals (default 7)
  * @returns {Promise<object>} Transaction result
  */
-export async function buildSACTransfer(destination, amount, { rpcServer, keypair } = {}) {
+export async function buildSACTransfer(destination, amount, { rpcServer, keypair, tokenContractId, decimals = 7 } = {}) {
   keypair = keypair || getStoredKeypair();
   if (!keypair) {
     throw new Error('No keypair found in storage');
   }
 
   rpcServer = rpcServer || createRpcServer();
-  const xlmContract = getXlmContract();
-  const stroops = xlmToStroops(amount);
+  const tokenContract = getTokenContract(tokenContractId);
+  const rawAmount = parseAmount(amount, decimals);
 
   const sourceAccount = await rpcServer.getAccount(keypair.publicKey());
 
   let transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
-    fee: '10000',
+    fee: await getInclusionFee({ rpcServer }),
     networkPassphrase: config.networkPassphrase
   })
-    .addOperation(buildTransferOperation(xlmContract, keypair.publicKey(), destination, stroops))
+    .addOperation(buildTransferOperation(tokenContract, keypair.publicKey(), destination, rawAmount))
     .setTimeout(30)
     .build();
 
-  transaction = await rpcServer.prepareTransaction(transaction);
-  transaction.sign(keypair);
-
-  const response = await rpcServer.sendTransaction(transaction);
-
-  if (response.status === 'PENDING') {
-    return waitForTransaction(rpcServer, response.hash);
+  const simulation = await rpcServer.simulateTransaction(transaction);
+  if (isSimulationFailure(simulation)) {
+    throw new Error(`Transaction simulation failed: ${describeSimulationError(simulation)}`);
   }
 
-  return response;
+  transaction = StellarSdk.rpc.assembleTransaction(transaction, simulation).build();
+  transaction.sign(keypair);
+
+  return trackTransaction(rpcServer, transaction, { keypair });
 }
 
 /**
- * Sign a Soroban auth entry for contract account authorization
+ * Compute the payload a contract account's __check_auth verifies (pure function)
  * @param {StellarSdk.xdr.SorobanAuthorizationEntry} auth - The auth entry
- * @param {StellarSdk.Keypair} keypair - The keypair to sign with
  * @param {number} validUntilLedger - Signature expiration ledger
  * @param {Buffer} networkIdHash - Network ID hash
- * @returns {StellarSdk.xdr.SorobanAuthorizationEntry} Signed auth entry
+ * @returns {Buffer} The 32-byte signature payload
  */
-export function signAuthEntry(auth, keypair, validUntilLedger, networkIdHash) {
-  const addressCreds = auth.credentials().address();
-  const nonce = addressCreds.nonce();
-
-  // Build the HashIdPreimage for Soroban authorization
+export function buildAuthPayload(auth, validUntilLedger, networkIdHash) {
   const preimage = StellarSdk.xdr.HashIdPreimage.envelopeTypeSorobanAuthorization(
     new StellarSdk.xdr.HashIdPreimageSorobanAuthorization({
       networkId: networkIdHash,
-      nonce: nonce,
+      nonce: auth.credentials().address().nonce(),
       signatureExpirationLedger: validUntilLedger,
       invocation: auth.rootInvocation(),
     })
   );
+  return StellarSdk.hash(preimage.toXDR());
+}
+
+/**
+ * Sign a payload with several signers as a multi-signer signatures Vec (pure function)
+ * Produces Vec<Signature> with ed25519 signatures sorted by public key bytes and passkey
+ * assertions sorted by credential ID, the order simple_account's __check_auth requires.
+ * Accounts with passkey support take each signature tagged with its kind
+ * (Ed25519 { public_key, signature } or WebAuthn { authenticator_data, client_data_json, credential_id, signature })
+ * @param {Buffer} payload - The signature payload
+ * @param {Array<StellarSdk.Keypair | object>} signers - Signing keypairs and passkey assertions of the payload (see getPasskeyAssertion)
+ * @param {boolean} tagged - Whether the account takes tagged signatures (passkey support)
+ * @returns {StellarSdk.xdr.ScVal} Signatures ScVal
+ * @throws {Error} If the same signer is given twice or an assertion does not fit the payload or account
+ */
+export function buildSignaturesScVal(payload, signers, tagged = false) {
+  const keypairs = signers.filter(s => !s.credentialId).sort((a, b) => Buffer.compare(a.rawPublicKey(), b.rawPublicKey()));
+  const assertions = signers.filter(s => s.credentialId).sort((a, b) => Buffer.compare(a.credentialId, b.credentialId));
 
-  // Hash and sign
-  const payload = StellarSdk.hash(preimage.toXDR());
-  const signature = keypair.sign(payload);
-  const signatureScVal = StellarSdk.nativeToScVal(signature, { type: 'bytes' });
+  for (let i = 1; i < keypairs.length; i++) {
+    if (keypairs[i].publicKey() === keypairs[i - 1].publicKey()) {
+      throw new Error(`Duplicate signer: ${keypairs[i].publicKey()}`);
+    }
+  }
+  for (let i = 1; i < assertions.length; i++) {
+    if (assertions[i].credentialId.equals(assertions[i - 1].credentialId)) {
+      throw new Error(`Duplicate passkey: ${toBase64Url(assertions[i].credentialId)}`);
+    }
+  }
+  if (assertions.length > 0 && !tagged) {
+    throw new Error('This account does not support passkeys');
+  }
+  assertions.forEach(assertion => {
+    if (!getAssertionChallenge(assertion).equals(payload)) {
+      throw new Error('Passkey assertion is for a different payload');
+    }
+  });
+
+  // Struct fields are encoded as a map sorted by field name
+  const struct = (fields) => StellarSdk.xdr.ScVal.scvMap(Object.keys(fields).sort().map(key => new StellarSdk.xdr.ScMapEntry({
+    key: StellarSdk.xdr.ScVal.scvSymbol(key),
+    val: StellarSdk.xdr.ScVal.scvBytes(fields[key]),
+  })));
+  const variant = (kind, value) => (tagged ? StellarSdk.xdr.ScVal.scvVec([StellarSdk.xdr.ScVal.scvSymbol(kind), value]) : value);
+
+  return StellarSdk.xdr.ScVal.scvVec([
+    ...keypairs.map(kp => variant('Ed25519', struct({
+      public_key: kp.rawPublicKey(),
+      signature: kp.sign(payload),
+    }))),
+    ...assertions.map(assertion => variant('WebAuthn', struct({
+      authenticator_data: assertion.authenticatorData,
+      client_data_json: assertion.clientDataJSON,
+      credential_id: assertion.credentialId,
+      signature: assertion.signature,
+    }))),
+  ]);
+}
+
+/**
+ * Sign a Soroban auth entry for contract account authorization
+ * A single keypair produces the legacy single-owner bytes signature; an array of
+ * signers produces the multi-signer signatures Vec
+ * @param {StellarSdk.xdr.SorobanAuthorizationEntry} auth - The auth entry
+ * @param {StellarSdk.Keypair | Array<StellarSdk.Keypair | object>} keypair - The keypair(s) and passkey assertions to sign with
+ * @param {number} validUntilLedger - Signature expiration ledger
+ * @param {Buffer} networkIdHash - Network ID hash
+ * @param {boolean} tagged - Whether the account takes tagged signatures (passkey support)
+ * @returns {StellarSdk.xdr.SorobanAuthorizationEntry} Signed auth entry
+ */
+export function signAuthEntry(auth, keypair, validUntilLedger, networkIdHash, tagged = false) {
+  const addressCreds = auth.credentials().address();
+  const payload = buildAuthPayload(auth, validUntilLedger, networkIdHash);
+
+  const signatureScVal = Array.isArray(keypair)
+    ? buildSignaturesScVal(payload, keypair, tagged)
+    : StellarSdk.nativeToScVal(keypair.sign(payload), { type: 'bytes' });
 
   // Create new credentials with our signature
   const newAddressCreds = new StellarSdk.xdr.SorobanAddressCredentials({
     address: addressCreds.address(),
-    nonce: nonce,
+    nonce: addressCreds.nonce(),
     signatureExpirationLedger: validUntilLedger,
     signature: signatureScVal,
   });
@@ -139,6 +214,84 @@ export function bumpInstructionLimit(txEnvelope, additionalInstructions = 100000
   resources.instructions(current + additionalInstructions);
 }
 
+/**
+ * Read the classic account of a public key
+ * @param {StellarSdk.rpc.Server} rpcServer - The RPC server
+ * @param {string} publicKey - Account public key (G...)
+ * @returns {Promise<StellarSdk.xdr.AccountEntry | null>} The account entry, or null if the account does not exist
+ */
+async function getClassicAccountEntry(rpcServer, publicKey) {
+  const key = StellarSdk.xdr.LedgerKey.account(new StellarSdk.xdr.LedgerKeyAccount({
+    accountId: StellarSdk.Keypair.fromPublicKey(publicKey).xdrPublicKey(),
+  }));
+  const response = await rpcServer.getLedgerEntries(key);
+  return response.entries?.[0]?.val.account() ?? null;
+}
+
+/**
+ * Refuse to move a classic account that holds more than XLM
+ * Trustlines, offers, data entries and extra signers block a merge
+ * @param {StellarSdk.xdr.AccountEntry | null} entry - The account entry
+ * @param {string} publicKey - Account public key (G...)
+ * @throws {Error} If the account has subentries
+ */
+function assertClassicAccountMovable(entry, publicKey) {
+  if (entry && entry.numSubEntries() > 0) {
+    throw new Error(`Remove the trustlines and other entries of ${publicKey} first: only its XLM can move to a new key`);
+  }
+}
+
+/**
+ * Check that the classic account of a key can move to another key (see moveClassicAccount)
+ * @param {string} publicKey - Account public key (G...)
+ * @param {object} deps - Dependencies
+ * @returns {Promise<void>}
+ * @throws {Error} If the account has trustlines or other entries that cannot move
+ */
+export async function checkClassicAccountMovable(publicKey, { rpcServer } = {}) {
+  rpcServer = rpcServer || createRpcServer();
+  assertClassicAccountMovable(await getClassicAccountEntry(rpcServer, publicKey), publicKey);
+}
+
+/**
+ * Move the classic account of a key to a new key, e.g. after a key rotation
+ * Creates the new account unless it exists and merges the old one into it, so
+ * the whole XLM balance moves and the new key can pay fees
+ * @param {string} newPublicKey - The new key (G...)
+ * @param {object} deps - Dependencies (keypair: the key being replaced)
+ * @returns {Promise<object | null>} Transaction result, or null if the old key has no account
+ * @throws {Error} If the account has trustlines or other entries that cannot move
+ */
+export async function moveClassicAccount(newPublicKey, { rpcServer, keypair } = {}) {
+  keypair = keypair || getStoredKeypair();
+  if (!keypair) {
+    throw new Error('No keypair found in storage');
+  }
+  rpcServer = rpcServer || createRpcServer();
+
+  const entry = await getClassicAccountEntry(rpcServer, keypair.publicKey());
+  if (!entry) {
+    return null;
+  }
+  assertClassicAccountMovable(entry, keypair.publicKey());
+
+  const builder = new StellarSdk.TransactionBuilder(new StellarSdk.Account(keypair.publicKey(), entry.seqNum().toString()), {
+    fee: await getInclusionFee({ rpcServer }),
+    networkPassphrase: config.networkPassphrase,
+  });
+  if (!(await getClassicAccountEntry(rpcServer, newPublicKey))) {
+    builder.addOperation(StellarSdk.Operation.createAccount({ destination: newPublicKey, startingBalance: NEW_ACCOUNT_BALANCE }));
+  }
+  const transaction = builder
+    .addOperation(StellarSdk.Operation.accountMerge({ destination: newPublicKey }))
+    .setTimeout(30)
+    .build();
+  transaction.sign(keypair);
+
+  // No fee bump: the merged account could not pay for it
+  return trackTransaction(rpcServer, transaction);
+}
+
 /**
  * Fund a testnet account using Friendbot
  * Friendbot now supports both classic (G...) and contract (C...) addresses directly.
@@ -209,13 +362,14 @@ export async function fundTestnetAccount(address, signerPublicKey = null) {
  * Parse a transfer event into structured format
  * @param {object} event - The event from getEvents
  * @param {string} targetAddress - Address we're tracking
- * @returns {object} Parsed transfer info
+ * @returns {object} Parsed transfer info (amount is the raw i128 value, to be formatted with the token's decimals; muxedId the destination muxed ID if any)
  */
 export function parseTransferEvent(event, targetAddress) {
   const topics = event.topic || [];
   let from = 'unknown';
   let to = 'unknown';
-  let amountXLM = 0;
+  let amount = 0n;
+  let muxedId = null;
 
   if (topics.length >= 2) {
     from = scValToAddress(topics[1]);
@@ -224,73 +378,156 @@ export function parseTransferEvent(event, targetAddress) {
     to = scValToAddress(topics[2]);
   }
   if (event.value) {
-    const stroops = scValToAmount(event.value);
-    amountXLM = stroopsToXlm(stroops);
+    amount = scValToAmount(event.value);
+    muxedId = scValToMuxedId(event.value);
   }
 
   const direction = from === targetAddress ? 'sent' : 'received';
 
   return {
+    id: event.id,
     txHash: event.txHash,
     ledger: event.ledger,
     timestamp: event.ledgerClosedAt,
     from,
     to,
-    amountXLM,
+    amount,
     direction,
-    counterparty: direction === 'sent' ? to : from
+    counterparty: direction === 'sent' ? to : from,
+    muxedId,
+    tokenContractId: event.contractId ? event.contractId.toString() : null,
   };
 }
 
+// Ledgers covered by each getEvents range request when walking history backwards
+export const HISTORY_WINDOW_LEDGERS = 10000;
+
+// Maximum events per getEvents request
+const EVENTS_PAGE_LIMIT = 100;
+
 /**
- * Fetch recent XLM transfer history
+ * Build getEvents filters matching transfers from or to an address (pure function)
+ * @param {string} address - Address to match (G... or C...)
+ * @param {string} tokenContractId - Token contract to match (C...)
+ * @returns {Array<object>} Event filters (sent, received)
+ */
+export function buildTransferFilters(address, tokenContractId) {
+  const transferSymbol = StellarSdk.nativeToScVal('transfer', { type: 'symbol' }).toXDR('base64');
+  const target = StellarSdk.nativeToScVal(StellarSdk.Address.fromString(address), {
+    type: 'address',
+  }).toXDR('base64');
+
+  // '**' matches both SAC transfers (asset topic) and plain SEP-41 transfers
+  return [
+    { type: 'contract', contractIds: [tokenContractId], topics: [[transferSymbol, target, '*', '**']] },
+    { type: 'contract', contractIds: [tokenContractId], topics: [[transferSymbol, '*', target, '**']] },
+  ];
+}
+
+/**
+ * Get the ledger sequence encoded in an event ID (pure function)
+ * Event IDs start with a zero-padded TOID whose upper 32 bits are the ledger
+ * @param {string} eventId - Event ID from getEvents
+ * @returns {number} Ledger sequence
+ */
+export function getEventLedger(eventId) {
+  const toid = BigInt(String(eventId).split('-')[0]);
+  return Number(toid >> 32n);
+}
+
+/**
+ * Fetch every matching event in a ledger range, following getEvents cursors
+ * @param {StellarSdk.rpc.Server} rpcServer - RPC server instance
+ * @param {Array<object>} filters - Event filters
+ * @param {number} startLedger - First ledger (inclusive)
+ * @param {number} endLedger - Last ledger (exclusive)
+ * @returns {Promise<{ events: Array, oldestLedger: number }>} Events in ascending order
+ */
+export async function fetchEventsInRange(rpcServer, filters, startLedger, endLedger) {
+  let result = await rpcServer.getEvents({ startLedger, endLedger, filters, limit: EVENTS_PAGE_LIMIT });
+  const oldestLedger = result.oldestLedger;
+  const events = [];
+
+  for (;;) {
+    const batch = result.events || [];
+    const inRange = batch.filter(event => event.ledger < endLedger);
+    events.push(...inRange);
+
+    // A short page, or one that ran past the range, means the range is exhausted
+    if (batch.length < EVENTS_PAGE_LIMIT || inRange.length < batch.length || !result.cursor) {
+      break;
+    }
+    result = await rpcServer.getEvents({ cursor: result.cursor, filters, limit: EVENTS_PAGE_LIMIT });
+  }
+
+  return { events, oldestLedger };
+}
+
+/**
+ * Fetch one page of transfer history, newest first
+ * Walks back from the latest ledger (or the cursor) in ledger windows until the
+ * page is full or the RPC retention window is reached
  * @param {string} address - Address to fetch transfers for
- * @param {number} limit - Maximum transfers to return
- * @param {object} deps - Dependencies
- * @returns {Promise<Array>} Array of transfers
+ * @param {object} options - Options and dependencies
+ * @param {StellarSdk.rpc.Server} options.rpcServer - RPC server instance
+ * @param {string} options.cursor - Cursor returned by the previous page (omit for the first page)
+ * @param {number} options.pageSize - Maximum transfers to return (default 20)
+ * @param {string} options.tokenContractId - Token contract (defaults to the native XLM SAC)
+ * @returns {Promise<{ transfers: Array, cursor: string | null }>} Transfers and the cursor of the next page (null when history is exhausted)
  */
-export async function getTransferHistory(address, limit = 5, { rpcServer } = {}) {
+export async function getTransferHistoryPage(address, { rpcServer, cursor = null, pageSize = 20, tokenContractId } = {}) {
   rpcServer = rpcServer || createRpcServer();
 
   try {
-    const xlmContractId = getXlmContractId();
-    const latestLedgerInfo = await rpcServer.getLatestLedger();
-    const latestLedger = latestLedgerInfo.sequence;
-    const startLedger = Math.max(1, latestLedger - 10000);
-
-    const transferSymbol = StellarSdk.nativeToScVal('transfer', { type: 'symbol' });
-    const targetScVal = StellarSdk.nativeToScVal(StellarSdk.Address.fromString(address), {
-      type: 'address',
-    });
-
-    const fromFilter = {
-      type: 'contract',
-      contractIds: [xlmContractId],
-      topics: [[transferSymbol.toXDR('base64'), targetScVal.toXDR('base64'), '*', '*']],
-    };
-
-    const toFilter = {
-      type: 'contract',
-      contractIds: [xlmContractId],
-      topics: [[transferSymbol.toXDR('base64'), '*', targetScVal.toXDR('base64'), '*']],
-    };
+    const filters = buildTransferFilters(address, tokenContractId || getXlmContractId());
+    const health = await rpcServer.getHealth();
+    let oldestLedger = health.oldestLedger;
+    let endLedger = cursor ? getEventLedger(cursor) + 1 : health.latestLedger + 1;
+
+    const seen = new Set();
+    const collected = [];
+
+    while (collected.length < pageSize && endLedger > oldestLedger) {
+      const startLedger = Math.max(oldestLedger, endLedger - HISTORY_WINDOW_LEDGERS);
+      const result = await fetchEventsInRange(rpcServer, filters, startLedger, endLedger);
+      if (result.oldestLedger) {
+        oldestLedger = Math.max(oldestLedger, result.oldestLedger);
+      }
 
-    const result = await rpcServer.getEvents({
-      startLedger,
-      filters: [fromFilter, toFilter],
-      limit: 100,
-    });
+      // Event IDs sort chronologically; skip anything at or after the cursor
+      const fresh = result.events.filter(event => {
+        if (seen.has(event.id) || (cursor && event.id >= cursor)) {
+          return false;
+        }
+        seen.add(event.id);
+        return true;
+      });
+      collected.push(...fresh.sort((a, b) => (a.id < b.id ? 1 : -1)));
 
-    if (!result.events || result.events.length === 0) {
-      return [];
+      endLedger = startLedger;
     }
 
-    const sortedEvents = result.events.sort((a, b) => b.ledger - a.ledger);
-    const limitedEvents = sortedEvents.slice(0, limit);
+    const page = collected.slice(0, pageSize);
+    const exhausted = collected.length <= pageSize && endLedger <= oldestLedger;
 
-    return limitedEvents.map(event => parseTransferEvent(event, address));
+    return {
+      transfers: page.map(event => parseTransferEvent(event, address)),
+      cursor: exhausted || page.length === 0 ? null : page[page.length - 1].id,
+    };
   } catch (error) {
     console.error('Error fetching transfer history:', error);
     throw error;
   }
 }
+
+/**
+ * Fetch recent XLM transfer history
+ * @param {string} address - Address to fetch transfers for
+ * @param {number} limit - Maximum transfers to return
+ * @param {object} deps - Dependencies
+ * @returns {Promise<Array>} Array of transfers, newest first
+ */
+export async function getTransferHistory(address, limit = 5, { rpcServer } = {}) {
+  const { transfers } = await getTransferHistoryPage(address, { rpcServer, pageSize: limit });
+  return transfers;
+}
@@ -7,7 +7,8 @@ import * as StellarSdk from '@stellar/stellar-sdk';
 import config from '../config';
 import { createRpcServer, getXlmContractId } from './rpc';
 import { getStoredKeypair } from './keypair';
-import { buildInstanceLedgerKey, buildCodeLedgerKey, buildBalanceLedgerKey, submitAndWait } from './helpers';
+import { buildInstanceLedgerKey, buildCodeLedgerKey, buildBalanceLedgerKey } from './helpers';
+import { trackTransaction } from './tracker';
 
 // Maximum TTL extension (about 35 days at 5s/ledger)
 export const MAX_TTL_EXTENSION = 500000;
@@ -143,7 +144,7 @@ async function extendTTL(ledgerKey, { rpcServer, keypair } = {}) {
   const preparedTransaction = await rpcServer.prepareTransaction(transaction);
   preparedTransaction.sign(keypair);
 
-  return submitAndWait(rpcServer, preparedTransaction);
+  return trackTransaction(rpcServer, preparedTransaction, { keypair });
 }
 
 /**
@@ -0,0 +1,254 @@
+/**
+ * Multi-wallet store
+ * Keeps several independent wallets in one storage backend, each under its own
+ * namespace, with labels and a pointer to the active wallet
+ */
+
+import * as StellarSdk from '@stellar/stellar-sdk';
+import config, { getNetworks } from '../config';
+import { getStorage, removeFromNetworks, KEYS } from './storage';
+import { deriveContractAddress } from './helpers';
+
+// The first wallet keeps the original un-namespaced keys, so wallets stored
+// before multi-wallet support keep working without a data migration
+export const DEFAULT_WALLET_ID = 'default';
+
+// ============================================
+// Pure Functions (no side effects, testable)
+// ============================================
+
+/**
+ * Get the storage key for a per-wallet value (pure function)
+ * @param {string} key - Base key (e.g. KEYS.KEYPAIR)
+ * @param {string} walletId - Wallet ID
+ * @returns {string} Namespaced storage key
+ */
+export function getWalletKey(key, walletId) {
+  return walletId === DEFAULT_WALLET_ID ? key : `${key}:${walletId}`;
+}
+
+/**
+ * Generate a new random wallet ID (pure function)
+ * @returns {string} Wallet ID
+ */
+export function generateWalletId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Get the contract account address a contract key stands for (pure function)
+ * @param {string} contractKey - The public key the address is derived from (G...), or the address itself (C...)
+ * @returns {string} Contract address (C...)
+ */
+export function contractAddressOf(contractKey) {
+  return StellarSdk.StrKey.isValidContract(contractKey) ? contractKey : deriveContractAddress(contractKey);
+}
+
+// ============================================
+// Storage Functions (side effects)
+// ============================================
+
+/**
+ * Check if a wallet holds any key material
+ * @param {string} walletId - Wallet ID
+ * @returns {boolean} True if the wallet has a keypair or keystore
+ */
+function walletHasKeys(walletId) {
+  const storage = getStorage();
+  return storage.get(getWalletKey(KEYS.KEYPAIR, walletId)) !== null ||
+    storage.get(getWalletKey(KEYS.KEYSTORE, walletId)) !== null;
+}
+
+/**
+ * Persist the wallet registry
+ * @param {Array<{ id: string, label: string }>} wallets - Wallets to save
+ */
+function saveWallets(wallets) {
+  getStorage().set(KEYS.WALLETS, JSON.stringify(wallets));
+}
+
+/**
+ * Get all wallets in the store
+ * A wallet stored before multi-wallet support is listed as the default wallet
+ * @returns {Array<{ id: string, label: string }>} Wallets, in creation order
+ */
+export function getWallets() {
+  const storage = getStorage();
+  let wallets = [];
+
+  try {
+    wallets = JSON.parse(storage.get(KEYS.WALLETS) || '[]');
+  } catch {
+    wallets = [];
+  }
+
+  if (!wallets.some(w => w.id === DEFAULT_WALLET_ID) && walletHasKeys(DEFAULT_WALLET_ID)) {
+    wallets.unshift({ id: DEFAULT_WALLET_ID, label: 'wallet 1' });
+  }
+
+  return wallets;
+}
+
+/**
+ * Get the ID of the active wallet
+ * @returns {string} Active wallet ID (the default wallet if the store is empty)
+ */
+export function getActiveWalletId() {
+  const wallets = getWallets();
+  const activeId = getStorage().get(KEYS.ACTIVE_WALLET);
+
+  if (activeId && wallets.some(w => w.id === activeId)) {
+    return activeId;
+  }
+  return wallets.length > 0 ? wallets[0].id : DEFAULT_WALLET_ID;
+}
+
+/**
+ * Point the store at another wallet
+ * @param {string} walletId - Wallet ID
+ * @throws {Error} If the wallet does not exist
+ */
+export function setActiveWalletId(walletId) {
+  if (!getWallets().some(w => w.id === walletId)) {
+    throw new Error(`Unknown wallet: ${walletId}`);
+  }
+  getStorage().set(KEYS.ACTIVE_WALLET, walletId);
+}
+
+/**
+ * Add an empty wallet to the registry
+ * The default namespace is reused while it holds no keys
+ * @param {string} label - Display label (defaults to "wallet N")
+ * @returns {string} The new wallet ID
+ */
+export function registerWallet(label) {
+  const wallets = getWallets();
+  const id = wallets.some(w => w.id === DEFAULT_WALLET_ID) || walletHasKeys(DEFAULT_WALLET_ID)
+    ? generateWalletId()
+    : DEFAULT_WALLET_ID;
+
+  wallets.push({ id, label: label || `wallet ${wallets.length + 1}` });
+  saveWallets(wallets);
+  return id;
+}
+
+/**
+ * Remove a wallet from the registry along with all of its stored values,
+ * on every known network
+ * Moves the active pointer to the first remaining wallet if needed
+ * @param {string} walletId - Wallet ID
+ */
+export function unregisterWallet(walletId) {
+  const storage = getStorage();
+  const wasActive = getActiveWalletId() === walletId;
+
+  [KEYS.KEYPAIR, KEYS.MNEMONIC, KEYS.KEYSTORE, KEYS.ACCOUNTS, KEYS.ACTIVE_ACCOUNT].forEach(key => {
+    storage.remove(getWalletKey(key, walletId));
+  });
+
+  // Session keys, passkeys, contract keys and key rotations are kept per network
+  const networks = getNetworks().map(({ id }) => (id === config.defaultNetwork ? null : id));
+  [KEYS.SESSION_KEYS, KEYS.CONTRACT_KEYS, KEYS.PASSKEYS, KEYS.PENDING_ROTATION].forEach(key => {
+    removeFromNetworks(getWalletKey(key, walletId), networks);
+  });
+
+  const remaining = getWallets().filter(w => w.id !== walletId);
+  saveWallets(remaining);
+
+  if (wasActive) {
+    if (remaining.length > 0) {
+      storage.set(KEYS.ACTIVE_WALLET, remaining[0].id);
+    } else {
+      storage.remove(KEYS.ACTIVE_WALLET);
+    }
+  }
+}
+
+/**
+ * Change the label of a wallet
+ * @param {string} walletId - Wallet ID
+ * @param {string} label - New label
+ * @throws {Error} If the wallet does not exist or the label is empty
+ */
+export function renameWallet(walletId, label) {
+  const trimmed = (label || '').trim();
+  if (!trimmed) {
+    throw new Error('Wallet label cannot be empty');
+  }
+
+  const wallets = getWallets();
+  const wallet = wallets.find(w => w.id === walletId);
+  if (!wallet) {
+    throw new Error(`Unknown wallet: ${walletId}`);
+  }
+
+  wallet.label = trimmed;
+  saveWallets(wallets);
+}
+
+/**
+ * Get a storage adapter scoped to one wallet's namespace
+ * @param {string} walletId - Wallet ID (defaults to the active wallet)
+ * @returns {object} Storage adapter (get/set/remove)
+ */
+export function getWalletStorage(walletId = getActiveWalletId()) {
+  const storage = getStorage();
+  return {
+    get: (key) => storage.get(getWalletKey(key, walletId)),
+    set: (key, value) => storage.set(getWalletKey(key, walletId), value),
+    remove: (key) => storage.remove(getWalletKey(key, walletId)),
+  };
+}
+
+/**
+ * Read the contract key map of a wallet ({ [currentPublicKey]: originalPublicKey or contract address })
+ * @param {string} walletId - Wallet ID
+ * @returns {object} Contract keys by current public key
+ */
+function getContractKeys(walletId) {
+  try {
+    return JSON.parse(getWalletStorage(walletId).get(KEYS.CONTRACT_KEYS) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the public key a contract account address is derived from
+ * After an owner key rotation the account keeps the address derived from its
+ * original key, so the wallet remembers that key for its new one. A wallet
+ * imported with its contract address remembers the address instead
+ * @param {string} publicKey - Current public key (G...)
+ * @param {string} walletId - Wallet ID (defaults to the active wallet)
+ * @returns {string} Public key to derive the contract address from, or the contract address (see contractAddressOf)
+ */
+export function getContractKey(publicKey, walletId = getActiveWalletId()) {
+  return getContractKeys(walletId)[publicKey] || publicKey;
+}
+
+/**
+ * Get the contract account address of a key
+ * @param {string} publicKey - Current public key (G...)
+ * @param {string} walletId - Wallet ID (defaults to the active wallet)
+ * @returns {string} Contract address (C...)
+ */
+export function getContractAddress(publicKey, walletId = getActiveWalletId()) {
+  return contractAddressOf(getContractKey(publicKey, walletId));
+}
+
+/**
+ * Remember the contract address derivation key of a rotated key
+ * @param {string} publicKey - The new public key (G...)
+ * @param {string} contractKey - The key the contract address was derived from (G...), or the contract address (C...)
+ * @param {string} walletId - Wallet ID (defaults to the active wallet)
+ */
+export function setContractKey(publicKey, contractKey, walletId = getActiveWalletId()) {
+  // Earlier keys of the same account are no longer signers
+  const keys = Object.fromEntries(
+    Object.entries(getContractKeys(walletId)).filter(([, original]) => original !== contractKey)
+  );
+  if (publicKey !== contractKey) {
+    keys[publicKey] = contractKey;
+  }
+  getWalletStorage(walletId).set(KEYS.CONTRACT_KEYS, JSON.stringify(keys));
+}
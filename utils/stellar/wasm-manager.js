@@ -7,6 +7,7 @@ import * as StellarSdk from '@stellar/stellar-sdk';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
+import { trackTransaction } from './tracker';
 
 // TTL threshold - bump if expiring within this many ledgers (~1 day at 5s/ledger)
 const TTL_BUMP_THRESHOLD = 17280;
@@ -45,6 +46,16 @@ function getNetworkPassphrase() {
     : 'Test SDF Network ; September 2015';
 }
 
+/**
+ * Log the progress of a tracked transaction (every stage but the polls)
+ * @param {{ stage: string, hash: string }} progress
+ */
+function logProgress({ stage, hash }) {
+  if (stage !== 'pending') {
+    console.log(`[WASM Manager] Transaction ${hash.slice(0, 12)}...: ${stage}`);
+  }
+}
+
 /**
  * Build ledger key for WASM code
  * @param {Buffer} wasmHash
@@ -105,26 +116,10 @@ async function installWasm(rpcServer, adminKeypair, wasmBuffer) {
   const preparedTransaction = await rpcServer.prepareTransaction(transaction);
   preparedTransaction.sign(adminKeypair);
 
-  const response = await rpcServer.sendTransaction(preparedTransaction);
-
-  if (response.status === 'PENDING') {
-    // Wait for confirmation
-    for (let i = 0; i < 30; i++) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      const txResponse = await rpcServer.getTransaction(response.hash);
-      if (txResponse.status === 'SUCCESS') {
-        console.log('[WASM Manager] WASM installed successfully');
-        return;
-      }
-      if (txResponse.status === 'FAILED') {
-        throw new Error(`WASM install failed: ${txResponse.resultXdr}`);
-      }
-    }
-    throw new Error('WASM install timed out');
-  }
-
-  if (response.status === 'ERROR') {
-    throw new Error(`WASM install error: ${JSON.stringify(response.errorResult)}`);
+  try {
+    await trackTransaction(rpcServer, preparedTransaction, { persist: false, onProgress: logProgress });
+  } catch (error) {
+    throw new Error(`WASM install failed: ${error.message}`);
   }
 
   console.log('[WASM Manager] WASM installed successfully');
@@ -160,25 +155,10 @@ async function restoreWasm(rpcServer, adminKeypair, wasmHash) {
   const preparedTransaction = await rpcServer.prepareTransaction(transaction);
   preparedTransaction.sign(adminKeypair);
 
-  const response = await rpcServer.sendTransaction(preparedTransaction);
-
-  if (response.status === 'PENDING') {
-    for (let i = 0; i < 30; i++) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      const txResponse = await rpcServer.getTransaction(response.hash);
-      if (txResponse.status === 'SUCCESS') {
-        console.log('[WASM Manager] WASM restored successfully');
-        return;
-      }
-      if (txResponse.status === 'FAILED') {
-        throw new Error(`WASM restore failed: ${txResponse.resultXdr}`);
-      }
-    }
-    throw new Error('WASM restore timed out');
-  }
-
-  if (response.status === 'ERROR') {
-    throw new Error(`WASM restore error: ${JSON.stringify(response.errorResult)}`);
+  try {
+    await trackTransaction(rpcServer, preparedTransaction, { persist: false, onProgress: logProgress });
+  } catch (error) {
+    throw new Error(`WASM restore failed: ${error.message}`);
   }
 
   console.log('[WASM Manager] WASM restored successfully');
@@ -216,25 +196,10 @@ async function bumpWasmTTL(rpcServer, adminKeypair, wasmHash) {
   const preparedTransaction = await rpcServer.prepareTransaction(transaction);
   preparedTransaction.sign(adminKeypair);
 
-  const response = await rpcServer.sendTransaction(preparedTransaction);
-
-  if (response.status === 'PENDING') {
-    for (let i = 0; i < 30; i++) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      const txResponse = await rpcServer.getTransaction(response.hash);
-      if (txResponse.status === 'SUCCESS') {
-        console.log('[WASM Manager] WASM TTL bumped successfully');
-        return;
-      }
-      if (txResponse.status === 'FAILED') {
-        throw new Error(`WASM TTL bump failed: ${txResponse.resultXdr}`);
-      }
-    }
-    throw new Error('WASM TTL bump timed out');
-  }
-
-  if (response.status === 'ERROR') {
-    throw new Error(`WASM TTL bump error: ${JSON.stringify(response.errorResult)}`);
+  try {
+    await trackTransaction(rpcServer, preparedTransaction, { persist: false, onProgress: logProgress });
+  } catch (error) {
+    throw new Error(`WASM TTL bump failed: ${error.message}`);
   }
 
   console.log('[WASM Manager] WASM TTL bumped successfully');